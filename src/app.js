@@ -6,7 +6,10 @@ import express from 'express'
 import cors from 'cors'
 import rateLimiter from './middlewares/rate_limiter.js'
 import OptionalUserExtractor from './middlewares/optional_user_extractor.js'
+import { handleUploadError } from './middlewares/multer.js'
 import UserRoutes from './routes/User.routes.js'
+import RolesRoutes from './routes/Roles.routes.js'
+import TwoFactorRoutes from './routes/TwoFactor.routes.js'
 import FilesRoutes from './routes/Files.routes.js'
 import SubjectsRoutes from './routes/Subjects.routes.js'
 import AspectsRoutes from './routes/Aspects.routes.js'
@@ -19,6 +22,8 @@ import RequirementsRoutes from './routes/Requirements.routes.js'
 import RequirementTypesRoutes from './routes/RequirementTypes.routes.js'
 import ReqIdentificationRoutes from './routes/ReqIdentification.routes.js'
 import ReqIdentifyRoutes from './routes/ReqIdentify.routes.js'
+import AuditRoutes from './routes/Audit.routes.js'
+import SearchRoutes from './routes/Search.routes.js'
 import { NODE_ENV, APP_URL } from './config/variables.config.js'
 
 /**
@@ -50,6 +55,8 @@ app.use(rateLimiter) // Apply rate limiting
  */
 
 app.use('/api', UserRoutes)
+app.use('/api', RolesRoutes)
+app.use('/api', TwoFactorRoutes)
 app.use('/api', FilesRoutes)
 app.use('/api', SubjectsRoutes)
 app.use('/api', AspectsRoutes)
@@ -62,6 +69,13 @@ app.use('/api', RequirementTypesRoutes)
 app.use('/api', LegalVerbsRoutes)
 app.use('/api', ReqIdentificationRoutes)
 app.use('/api', ReqIdentifyRoutes)
+app.use('/api', AuditRoutes)
+app.use('/api', SearchRoutes)
+
+/**
+ * Handle upload errors, such as files over the size limit.
+ */
+app.use(handleUploadError)
 
 /**
  * Handle 404 Not Found errors.
@@ -1,5 +1,13 @@
 import { OpenAI } from 'openai'
-import { OPENAI_API_KEY, ORGANIZATION_ID, PROJECT_ID } from './variables.config.js'
+import crypto from 'crypto'
+import {
+  OPENAI_API_KEY,
+  ORGANIZATION_ID,
+  PROJECT_ID,
+  EMBEDDING_PROVIDER,
+  NODE_ENV
+} from './variables.config.js'
+import { foldAccents } from '../utils/searchText.js'
 
 /**
  * Client options for OpenAI API configuration.
@@ -28,7 +36,8 @@ export const models = {
   reasoning: {
     High: 'o1',
     Low: 'o1-mini'
-  }
+  },
+  embedding: 'text-embedding-3-small'
 }
 
 /**
@@ -51,4 +60,66 @@ export function getReasoningModel (level) {
   return level === 'High' ? models.reasoning.High : models.reasoning.Low
 }
 
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} model - The name of the embedding model. Stored with each embedding,
+ * so embeddings of different models are never compared.
+ * @property {function(string[]): Promise<number[][]>} embed - Returns one embedding per text, in the same order.
+ */
+
+/**
+ * Embedding provider backed by the OpenAI embeddings API.
+ * @type {EmbeddingProvider}
+ */
+export const openAIEmbeddingProvider = {
+  model: models.embedding,
+  async embed (texts) {
+    const response = await openai.embeddings.create({
+      model: models.embedding,
+      input: texts
+    })
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(({ embedding }) => embedding)
+  }
+}
+
+/**
+ * Number of dimensions of the local embeddings.
+ */
+const LOCAL_EMBEDDING_DIMENSIONS = 256
+
+/**
+ * Deterministic embedding provider that needs no network, used in tests.
+ * Each accent-folded word is hashed into one of the dimensions (the hashing trick), so texts
+ * sharing words are similar; it captures no meaning beyond shared words.
+ * @type {EmbeddingProvider}
+ */
+export const localEmbeddingProvider = {
+  model: `local-hash-${LOCAL_EMBEDDING_DIMENSIONS}`,
+  async embed (texts) {
+    return texts.map((text) => {
+      const vector = new Array(LOCAL_EMBEDDING_DIMENSIONS).fill(0)
+      const words = foldAccents(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+      for (const word of words) {
+        const hash = crypto.createHash('md5').update(word).digest()
+        vector[hash.readUInt16BE(0) % LOCAL_EMBEDDING_DIMENSIONS] += hash[2] & 1 ? 1 : -1
+      }
+      const norm = Math.hypot(...vector) || 1
+      return vector.map((value) => value / norm)
+    })
+  }
+}
+
+/**
+ * Gets the embedding provider selected by EMBEDDING_PROVIDER ('openai' or 'local').
+ * Defaults to the local provider in the test environment and to OpenAI otherwise.
+ *
+ * @returns {EmbeddingProvider}
+ */
+export function getEmbeddingProvider () {
+  const provider = EMBEDDING_PROVIDER || (NODE_ENV === 'test' ? 'local' : 'openai')
+  return provider === 'local' ? localEmbeddingProvider : openAIEmbeddingProvider
+}
+
 export default openai
@@ -7,6 +7,12 @@ import emailQueue from '../workers/emailWorker.js'
 import extractArticlesQueue from '../workers/extractArticlesWorker.js'
 import sendLegalBasisQueue from '../workers/sendLegalBasisWorker.js'
 import reqIdentificationQueue from '../workers/reqIdentificationWorker.js'
+import reqIdentificationReportQueue from '../workers/reqIdentificationReportWorker.js'
+import embeddingsQueue from '../workers/embeddingsWorker.js'
+import UserRepository from '../repositories/User.repository.js'
+import UserTwoFactorRepository from '../repositories/UserTwoFactor.repository.js'
+import { generateTotp, getTotpCounter, TOTP_PERIOD } from '../utils/totp.js'
+import { ADMIN_GMAIL, ADMIN_PASSWORD_TEST } from './variables.config.js'
 
 const timeout = 500000
 
@@ -16,6 +22,83 @@ const timeout = 500000
  */
 export const api = supertest(app)
 
+/**
+ * Generates a TOTP code of an enrolled user that was not used yet.
+ * Each code is accepted once, so it uses the first time step after the last used one,
+ * waiting until that step is accepted when it is more than one step ahead.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<string>} - The TOTP code.
+ */
+export const generateUnusedTotp = async (userId) => {
+  const { secret, lastUsedCounter } = await UserTwoFactorRepository.findByUserId(userId)
+  const counter = Math.max(getTotpCounter(), (lastUsedCounter ?? 0) + 1)
+  const timestamp = counter * TOTP_PERIOD * 1000
+  const waitTime = timestamp - TOTP_PERIOD * 1000 - Date.now()
+  if (waitTime > 0) {
+    await new Promise((resolve) => setTimeout(resolve, waitTime))
+  }
+  return generateTotp(secret, timestamp)
+}
+
+/**
+ * Waits until the embeddings worker has processed every queued job, so the semantic search
+ * sees the articles created or updated before the call.
+ * @param {number} [timeoutMs=30000] - How long to wait before giving up.
+ * @returns {Promise<void>}
+ * @throws {Error} - If jobs are still queued when the time runs out, e.g. because the worker keeps failing.
+ */
+export const waitForEmbeddings = async (timeoutMs = 30000) => {
+  const deadline = Date.now() + timeoutMs
+  let counts
+  do {
+    counts = await embeddingsQueue.getJobCounts()
+    const { waiting, active, delayed } = counts
+    if (waiting + active + delayed === 0) return
+    await new Promise((resolve) => setTimeout(resolve, 100))
+  } while (Date.now() < deadline)
+  const { waiting, active, delayed, failed } = counts
+  throw new Error(
+    `Embedding jobs still pending after ${timeoutMs} ms ` +
+      `(waiting: ${waiting}, active: ${active}, delayed: ${delayed}, failed: ${failed})`
+  )
+}
+
+/**
+ * Logs in as the test admin and returns an access token.
+ * Two-factor authentication is mandatory for admins, so the admin is enrolled on the
+ * first login and later logins use a code generated from the stored secret.
+ * @returns {Promise<string>} - The access token.
+ */
+export const loginAsAdmin = async () => {
+  const response = await api
+    .post('/api/user/login')
+    .send({
+      gmail: ADMIN_GMAIL,
+      password: ADMIN_PASSWORD_TEST
+    })
+    .expect(200)
+    .expect('Content-Type', /application\/json/)
+
+  const { twoFactorToken, twoFactorSetupRequired } = response.body
+  if (twoFactorSetupRequired) {
+    const setupResponse = await api
+      .post('/api/user/login/2fa/setup')
+      .send({ twoFactorToken })
+      .expect(200)
+    const enableResponse = await api
+      .post('/api/user/login/2fa/enable')
+      .send({ twoFactorToken, code: generateTotp(setupResponse.body.secret) })
+      .expect(200)
+    return enableResponse.body.token
+  }
+  const admin = await UserRepository.existsByGmail(ADMIN_GMAIL)
+  const verifyResponse = await api
+    .post('/api/user/login/2fa')
+    .send({ twoFactorToken, code: await generateUnusedTotp(admin.id) })
+    .expect(200)
+  return verifyResponse.body.token
+}
+
 /**
  * Initializes the server only once for all test files.
  * Uses a random port in test environment to avoid port conflicts
@@ -38,6 +121,8 @@ afterAll(async () => {
   await extractArticlesQueue.close()
   await sendLegalBasisQueue.close()
   await reqIdentificationQueue.close()
+  await reqIdentificationReportQueue.close()
+  await embeddingsQueue.close()
   if (serverInstance) {
     await new Promise((resolve, reject) => {
       serverInstance.close((err) => {
@@ -11,6 +11,12 @@ export const {
   APP_URL,
   JWT_SECRET,
   JWT_EXPIRATION,
+  REFRESH_TOKEN_EXPIRATION_DAYS,
+  PASSWORD_RESET_CODE_EXPIRATION_MINUTES,
+  PASSWORD_RESET_TOKEN_EXPIRATION_MINUTES,
+  PASSWORD_RESET_MAX_ATTEMPTS,
+  PASSWORD_RESET_ACCOUNT_MAX_ATTEMPTS,
+  PASSWORD_RESET_ACCOUNT_LOCK_MINUTES,
   ACM_SUITE_API_URL,
   ACM_SUITE_EMAIL,
   ACM_SUITE_PASSWORD,
@@ -58,6 +64,8 @@ export const {
   OPENAI_API_KEY,
   ORGANIZATION_ID,
   PROJECT_ID,
+  EMBEDDING_PROVIDER,
+  TEXT_EXTRACTION_PROVIDER,
   LIMIT_EXTRACT_ARTICLES,
   CONCURRENCY_EXTRACT_ARTICLES,
   LIMIT_SEND_LEGAL_BASIS,
@@ -10,23 +10,25 @@ import HttpException from '../services/errors/HttpException.js'
 /**
  * Creates a single article associated with a legal basis.
  * @function createArticle
- * @param {import('express').Request} req - Request object, expects { id } in req.params and fields in req.body (title, article, order).
+ * @param {import('express').Request} req - Request object, expects { id } in req.params and fields in req.body (title, article, order, sectionKind, parentId).
  * @param {import('express').Response} res - Response object.
  * @returns {Object} - The created article or an error message if an error occurs.
  */
 export const createArticle = async (req, res) => {
   const { userId } = req
   const { legalBasisId } = req.params
-  const { title, article, order } = req.body
+  const { title, article, order, sectionKind, parentId } = req.body
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const createdArticle = await ArticlesService.create(legalBasisId, {
+    const createdArticle = await ArticlesService.create(userId, legalBasisId, {
       title,
       article,
-      order
+      order,
+      sectionKind,
+      parentId
     })
     return res.status(201).json({ article: createdArticle })
   } catch (error) {
@@ -41,11 +43,11 @@ export const createArticle = async (req, res) => {
 }
 
 /**
- * Retrieves articles associated with a specific legal basis by its ID.
+ * Retrieves a page of articles of a legal basis.
  * @function getArticlesByLegalBasisId
- * @param {import('express').Request} req - Request object, expects { id } in req.params representing the legalBasisId.
+ * @param {import('express').Request} req - Request object, expects { legalBasisId } in req.params and expects optional { page, pageSize, cursor, sort, name, description } in query parameters.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - A list of articles associated with the given legal basis or an error message if an error occurs.
+ * @returns {Object} - The articles of a legal basis of the page and the pagination details.
  */
 export const getArticlesByLegalBasisId = async (req, res) => {
   const { userId } = req
@@ -55,8 +57,8 @@ export const getArticlesByLegalBasisId = async (req, res) => {
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const articles = await ArticlesService.getByLegalBasisId(legalBasisId)
-    return res.status(200).json({ articles })
+    const { items: articles, pagination } = await ArticlesService.getByLegalBasisId(legalBasisId, req.query)
+    return res.status(200).json({ articles, pagination })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -67,24 +69,24 @@ export const getArticlesByLegalBasisId = async (req, res) => {
     return res.status(500).json({ message: 'Internal Server Error' })
   }
 }
+
 /**
- * Filters articles by their name for a specific legal basis.
- * @function getArticlesByName
- * @param {import('express').Request} req - Request object, expects { name } in req.query and { legalBasisId } in req.params.
+ * Retrieves the outline of a legal basis: its titles, chapters, sections and articles, nested.
+ * @function getTableOfContents
+ * @param {import('express').Request} req - Request object, expects { legalBasisId } in req.params.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - A list of articles matching the name for the given legal basis or an error message if an error occurs.
+ * @returns {Object} - The table of contents of the legal basis.
  */
-export const getArticlesByName = async (req, res) => {
+export const getTableOfContents = async (req, res) => {
   const { userId } = req
   const { legalBasisId } = req.params
-  const { name } = req.query
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const articles = await ArticlesService.getByName(legalBasisId, name)
-    return res.status(200).json({ articles })
+    const tableOfContents = await ArticlesService.getTableOfContents(legalBasisId)
+    return res.status(200).json({ tableOfContents })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -97,26 +99,48 @@ export const getArticlesByName = async (req, res) => {
 }
 
 /**
- * Filters articles by their description for a specific legal basis.
- * @function getArticlesByDescription
- * @param {import('express').Request} req - Request object, expects { description } in req.query and { legalBasisId } in req.params.
+ * Finds the articles whose meaning is closest to a text.
+ * @function semanticSearchArticles
+ * @param {import('express').Request} req - Request object, expects { q } and optional { subjectId, aspectIds, page, pageSize } in query parameters.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - A list of articles matching the description for the given legal basis or an error message if an error occurs.
+ * @returns {Object} - The articles of the page, each with its similarity, and the pagination details.
  */
-export const getArticlesByDescription = async (req, res) => {
+export const semanticSearchArticles = async (req, res) => {
   const { userId } = req
-  const { legalBasisId } = req.params
-  const { description } = req.query
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const articles = await ArticlesService.getByDescription(
-      legalBasisId,
-      description
-    )
-    return res.status(200).json({ articles })
+    const { items: articles, pagination } = await ArticlesService.semanticSearch(req.query)
+    return res.status(200).json({ articles, pagination })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Queues the embedding of the articles and requirements that have none.
+ * @function backfillEmbeddings
+ * @param {import('express').Request} req - Request object.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The ID of the queued backfill job.
+ */
+export const backfillEmbeddings = async (req, res) => {
+  const { userId } = req
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const { jobId } = await ArticlesService.backfillEmbeddings()
+    return res.status(201).json({ jobId })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -156,26 +180,56 @@ export const getArticleById = async (req, res) => {
   }
 }
 
+/**
+ * Retrieves the párrafos, fracciones and incisos of an article.
+ * @function getArticleSubunits
+ * @param {import('express').Request} req - Request object, expects { id } in req.params.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The sub-units of the article or an error message if an error occurs.
+ */
+export const getArticleSubunits = async (req, res) => {
+  const { userId } = req
+  const { id } = req.params
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const subunits = await ArticlesService.getSubunits(id)
+    return res.status(200).json({ subunits })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
 /**
  * Updates an article by its ID.
  * @function updateArticleById
- * @param {import('express').Request} req - Request object, expects { id } in req.params and updated fields in req.body (title, article, order).
+ * @param {import('express').Request} req - Request object, expects { id } in req.params and updated fields in req.body (title, article, order, sectionKind, parentId).
  * @param {import('express').Response} res - Response object.
  * @returns {Object} - The updated article or an error message if an error occurs.
  */
 export const updateArticle = async (req, res) => {
   const { userId } = req
   const { id } = req.params
-  const { title, article, order } = req.body
+  const { title, article, order, sectionKind, parentId } = req.body
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const updatedArticle = await ArticlesService.updateById(id, {
+    const updatedArticle = await ArticlesService.updateById(userId, id, {
       title,
       article,
-      order
+      order,
+      sectionKind,
+      parentId
     })
     return res.status(200).json({ article: updatedArticle })
   } catch (error) {
@@ -204,7 +258,7 @@ export const deleteArticle = async (req, res) => {
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const { success } = await ArticlesService.deleteById(id)
+    const { success } = await ArticlesService.deleteById(userId, id)
     if (success) {
       return res.sendStatus(204)
     } else {
@@ -241,7 +295,10 @@ export const deleteArticlesBatch = async (req, res) => {
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const { success } = await ArticlesService.deleteArticlesBatch(articleIds)
+    const { success } = await ArticlesService.deleteArticlesBatch(
+      userId,
+      articleIds
+    )
     if (success) {
       return res.sendStatus(204)
     } else {
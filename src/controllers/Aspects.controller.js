@@ -42,11 +42,11 @@ export const createAspect = async (req, res) => {
 }
 
 /**
- * Retrieves all aspects associated with a specific subject.
+ * Retrieves a page of the aspects associated with a specific subject.
  * @function getAspectsBySubject
- * @param {import('express').Request} req - Request object, expects { subjectId } as URL parameter.
+ * @param {import('express').Request} req - Request object, expects { subjectId } as URL parameter and optional { page, pageSize, cursor, sort, name } in query parameters.
  * @param {import('express').Response} res - Response object.
- * @returns {Array} - List of aspects associated with the subject.
+ * @returns {Object} - The aspects of the page and the pagination details.
  */
 export const getAspectsBySubject = async (req, res) => {
   const { userId } = req
@@ -56,8 +56,8 @@ export const getAspectsBySubject = async (req, res) => {
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const aspects = await AspectsService.getBySubjectId(subjectId)
-    return res.status(200).json({ aspects })
+    const { items: aspects, pagination } = await AspectsService.getBySubjectId(subjectId, req.query)
+    return res.status(200).json({ aspects, pagination })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -97,35 +97,6 @@ export const getAspectById = async (req, res) => {
   }
 }
 
-/**
- * Retrieves aspects by name for a specific subject.
- * @function getAspectsByName
- * @param {import('express').Request} req - Request object, expects `aspectName` in query parameters and `subjectId` in URL parameters.
- * @param {import('express').Response} res - Response object.
- * @returns {Array} - An array of aspects matching the criteria or an empty array if none found.
- */
-export const getAspectsByName = async (req, res) => {
-  const { userId } = req
-  const { subjectId } = req.params
-  const { aspectName } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const aspects = await AspectsService.getByName(aspectName, subjectId)
-    return res.status(200).json({ aspects })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
 /**
  * Updates an aspect by ID.
  * @function updateAspect
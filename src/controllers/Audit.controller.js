@@ -0,0 +1,35 @@
+import AuditService from '../services/audit/Audit.service.js'
+import UserService from '../services/users/User.service.js'
+import HttpException from '../services/errors/HttpException.js'
+
+/**
+ * Controller for audit log operations.
+ * @module AuditController
+ */
+
+/**
+ * Retrieves a page of audit log entries, optionally filtered by user, entity, action and date range.
+ * @function getAuditLogs
+ * @param {import('express').Request} req - Request object, expects optional { page, pageSize, cursor, sort, userId, entityType, entityId, action, from, to } in query parameters.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The entries of the page and the pagination details.
+ */
+export const getAuditLogs = async (req, res) => {
+  const { userId } = req
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const { items: auditLogs, pagination } = await AuditService.getAll(req.query)
+    return res.status(200).json({ auditLogs, pagination })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
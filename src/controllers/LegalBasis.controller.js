@@ -1,7 +1,8 @@
 import LegalBasisService from '../services/legalBasis/LegalBasis.service.js'
+import LegalBasisRevisionsService from '../services/legalBasis/legalBasisRevisions/LegalBasisRevisions.service.js'
+import LegalBasisAmendmentsService from '../services/legalBasis/legalBasisAmendments/LegalBasisAmendments.service.js'
 import HttpException from '../services/errors/HttpException.js'
 import UserService from '../services/users/User.service.js'
-import parseDate from '../utils/parseDate.js'
 
 /**
  * Controller for legal basis operations.
@@ -66,11 +67,11 @@ export const createLegalBasis = async (req, res) => {
 }
 
 /**
- * Retrieves all legal basis records.
+ * Retrieves a page of legal basis records.
  * @function getAllLegalBasis
- * @param {import('express').Request} req - Request object.
+ * @param {import('express').Request} req - Request object, expects { page, pageSize, cursor, sort, name, abbreviation, classification, jurisdiction, state, municipalities, subjectId, aspectIds, lastReformFrom, lastReformTo } in query parameters.
  * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of legal basis entries.
+ * @returns {Object} - A page of legal basis entries and the pagination details.
  */
 export const getAllLegalBasis = async (req, res) => {
   try {
@@ -79,8 +80,10 @@ export const getAllLegalBasis = async (req, res) => {
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const legalBasis = await LegalBasisService.getAll()
-    return res.status(200).json({ legalBasis })
+    const { items: legalBasis, pagination } = await LegalBasisService.getAll(
+      req.query
+    )
+    return res.status(200).json({ legalBasis, pagination })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -121,22 +124,58 @@ export const getLegalBasisById = async (req, res) => {
 }
 
 /**
- * Retrieves legal basis by their name.
- * @function getLegalBasisByName
- * @param {import('express').Request} req - Request object, expects { name } in params.
+ * Updates a legal basis record.
+ * @function updateLegalBasis
+ * @param {import('express').Request} req - Request object, expects { id } in params and { legalName, abbreviation, subjectId, aspectsIds, classification, jurisdiction, state, municipality, lastReform, extractArticles, intelligenceLevel, removeDocument } in body and an optional 'document' file.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - The legal basis data.
+ * @returns {Object} - The updated legal basis record.
  */
-export const getLegalBasisByName = async (req, res) => {
+export const updateLegalBasis = async (req, res) => {
+  const { id } = req.params
   const { userId } = req
-  const { name } = req.query
+  const {
+    legalName,
+    abbreviation,
+    subjectId,
+    aspectsIds,
+    classification,
+    jurisdiction,
+    state,
+    municipality,
+    lastReform,
+    extractArticles,
+    intelligenceLevel,
+    removeDocument
+  } = req.body
+  const document = req.file
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const legalBasis = await LegalBasisService.getByName(name)
-    return res.status(200).json({ legalBasis })
+    const { jobId, legalBasis } = await LegalBasisService.updateById(
+      userId,
+      id,
+      {
+        legalName,
+        abbreviation,
+        subjectId,
+        aspectsIds,
+        classification,
+        jurisdiction,
+        state,
+        municipality,
+        lastReform,
+        extractArticles,
+        intelligenceLevel,
+        removeDocument
+      },
+      document
+    )
+    return res.status(200).json({
+      jobId,
+      legalBasis
+    })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -149,22 +188,26 @@ export const getLegalBasisByName = async (req, res) => {
 }
 
 /**
- * Retrieves a legal basis by its abbreviation.
- * @function getLegalBasisByAbbreviation
- * @param {import('express').Request} req - Request object, expects { abbreviation } in params.
+ * Deletes a legal basis by ID.
+ * @function deleteLegalBasis
+ * @param {import('express').Request} req - Request object, expects { id } in params.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - The legal basis data.
+ * @returns {void}
  */
-export const getLegalBasisByAbbreviation = async (req, res) => {
+export const deleteLegalBasis = async (req, res) => {
   const { userId } = req
-  const { abbreviation } = req.query
+  const { id } = req.params
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const legalBasis = await LegalBasisService.getByAbbreviation(abbreviation)
-    return res.status(200).json({ legalBasis })
+    const { success } = await LegalBasisService.deleteById(userId, id)
+    if (success) {
+      return res.sendStatus(204)
+    } else {
+      return res.status(500).json({ message: 'Internal Server Error' })
+    }
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -177,52 +220,38 @@ export const getLegalBasisByAbbreviation = async (req, res) => {
 }
 
 /**
- * Retrieves a legal basis by its classification.
- * @function getLegalBasisByClassification
- * @param {import('express').Request} req - Request object, expects { classification } in params.
+ * Deletes multiple legal bases by their IDs.
+ * @function deleteLegalBasisBatch
+ * @param {import('express').Request} req - Request object, expects { legalBasisIds } in body.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - The legal basis data.
+ * @returns {void}
  */
-export const getLegalBasisByClassification = async (req, res) => {
+export const deleteLegalBasisBatch = async (req, res) => {
   const { userId } = req
-  const { classification } = req.query
+  const { legalBasisIds } = req.body
+  if (
+    !legalBasisIds ||
+    !Array.isArray(legalBasisIds) ||
+    legalBasisIds.length === 0
+  ) {
+    return res.status(400).json({
+      message: 'Missing required fields: legalBasisIds'
+    })
+  }
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const legalBasis = await LegalBasisService.getByClassification(
-      classification
+    const { success } = await LegalBasisService.deleteBatch(
+      userId,
+      legalBasisIds
     )
-    return res.status(200).json({ legalBasis })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves legal basis entries by jurisdiction.
- * @function getLegalBasisByJurisdiction
- * @param {import('express').Request} req - Request object, expects { jurisdiction } as a route parameter.
- * @param {import('express').Response} res - Response object.
- * @returns {Object} - A list of filtered legal basis entries.
- */
-export const getLegalBasisByJurisdiction = async (req, res) => {
-  const { userId } = req
-  const { jurisdiction } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
+    if (success) {
+      return res.sendStatus(204)
+    } else {
+      return res.status(500).json({ message: 'Internal Server Error' })
     }
-    const legalBasis = await LegalBasisService.getByJurisdiction(jurisdiction)
-    return res.status(200).json({ legalBasis })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -235,22 +264,22 @@ export const getLegalBasisByJurisdiction = async (req, res) => {
 }
 
 /**
- * Retrieves legal basis entries by state.
- * @function getLegalBasisByState
- * @param {import('express').Request} req - Request object, expects { state } in query parameters.
+ * Retrieves the revision history of a legal basis.
+ * @function getLegalBasisRevisions
+ * @param {import('express').Request} req - Request object, expects { id } in params.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - A list of filtered legal basis entries.
+ * @returns {Object} - The revisions of the legal basis.
  */
-export const getLegalBasisByState = async (req, res) => {
+export const getLegalBasisRevisions = async (req, res) => {
   const { userId } = req
-  const { state } = req.query
+  const { id } = req.params
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const legalBasis = await LegalBasisService.getByState(state)
-    return res.status(200).json({ legalBasis })
+    const revisions = await LegalBasisRevisionsService.getRevisions(id)
+    return res.status(200).json({ revisions })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -263,38 +292,24 @@ export const getLegalBasisByState = async (req, res) => {
 }
 
 /**
- * Retrieves legal basis entries by state and municipalities.
- * @function getLegalBasisByStateAndMunicipalities
- * @param {import('express').Request} req - Request object, expects { state, municipalities } in query parameters.
+ * Restores a legal basis to a previous revision.
+ * @function restoreLegalBasisRevision
+ * @param {import('express').Request} req - Request object, expects { id, revisionId } in params.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - A list of filtered legal basis entries.
+ * @returns {Object} - The restored legal basis.
  */
-export const getLegalBasisByStateAndMunicipalities = async (req, res) => {
+export const restoreLegalBasisRevision = async (req, res) => {
   const { userId } = req
-  const { state, municipalities } = req.query
-  if (municipalities && municipalities.length > 0 && !state) {
-    return res.status(400).json({
-      message: 'State is required if municipalities are provided'
-    })
-  }
+  const { id, revisionId } = req.params
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const municipalitiesList = Array.isArray(municipalities)
-      ? municipalities
-        .map((municipality) => String(municipality).trim())
-        .filter((municipality) => municipality.length > 0)
-      : typeof municipalities === 'string'
-        ? municipalities
-          .split(',')
-          .map((municipality) => String(municipality).trim())
-          .filter((municipality) => municipality.length > 0)
-        : []
-    const legalBasis = await LegalBasisService.getByStateAndMunicipalities(
-      state,
-      municipalitiesList
+    const legalBasis = await LegalBasisRevisionsService.restore(
+      userId,
+      id,
+      revisionId
     )
     return res.status(200).json({ legalBasis })
   } catch (error) {
@@ -309,59 +324,26 @@ export const getLegalBasisByStateAndMunicipalities = async (req, res) => {
 }
 
 /**
- * Retrieves legal basis entries filtered by subject.
- * @function getLegalBasisBySubject
- * @param {import('express').Request} req - Request object, expects { subjectId } in query parameters.
+ * Retrieves the revision history of the articles of a legal basis.
+ * @function getArticleRevisions
+ * @param {import('express').Request} req - Request object, expects { id } in params and optional { articleId } in query.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - A list of filtered legal basis entries by subject.
+ * @returns {Object} - The article revisions of the legal basis.
  */
-export const getLegalBasisBySubject = async (req, res) => {
+export const getArticleRevisions = async (req, res) => {
   const { userId } = req
-  const { subjectId } = req.params
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const legalBasis = await LegalBasisService.getBySubject(subjectId)
-    return res.status(200).json({ legalBasis })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves legal basis entries filtered by subject and optionally by aspects.
- * @function getLegalBasisBySubjectAndAspects
- * @param {import('express').Request} req - Request object, expects { subjectId, aspectIds } in query parameters.
- * @param {import('express').Response} res - Response object.
- * @returns {Object} - A list of filtered legal basis entries by subject and aspects.
- */
-export const getLegalBasisBySubjectAndAspects = async (req, res) => {
-  const { userId } = req
-  const { subjectId } = req.params
-  const { aspectIds } = req.query
+  const { id } = req.params
+  const { articleId } = req.query
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const aspects = Array.isArray(aspectIds)
-      ? aspectIds.map(Number).filter(Number.isInteger)
-      : typeof aspectIds === 'string'
-        ? aspectIds.split(',').map(Number).filter(Number.isInteger)
-        : []
-    const legalBasis = await LegalBasisService.getBySubjectAndAspects(
-      subjectId,
-      aspects
+    const revisions = await LegalBasisRevisionsService.getArticleRevisions(
+      id,
+      articleId
     )
-    return res.status(200).json({ legalBasis })
+    return res.status(200).json({ revisions })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -374,33 +356,26 @@ export const getLegalBasisBySubjectAndAspects = async (req, res) => {
 }
 
 /**
- * Retrieves legal basis entries by filters.
- * @function getLegalBasisByCriteria
- * @param {import('express').Request} req - Request object, expects { subjectId, aspectIds, state, municipalities, jurisdiction } in query parameters.
+ * Restores an article of a legal basis to a previous revision.
+ * @function restoreArticleRevision
+ * @param {import('express').Request} req - Request object, expects { id, revisionId } in params.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - A list of filtered legal basis entries.
+ * @returns {Object} - The restored article.
  */
-export const getLegalBasisByCriteria = async (req, res) => {
+export const restoreArticleRevision = async (req, res) => {
   const { userId } = req
-  const { jurisdiction, state, municipality, subjectId, aspectIds } = req.query
+  const { id, revisionId } = req.params
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const aspects = Array.isArray(aspectIds)
-      ? aspectIds.map(Number).filter(Number.isInteger)
-      : typeof aspectIds === 'string'
-        ? aspectIds.split(',').map(Number).filter(Number.isInteger)
-        : []
-    const legalBasis = await LegalBasisService.getLegalBasisByCriteria({
-      jurisdiction,
-      state,
-      municipality,
-      subjectId,
-      aspectIds: aspects
-    })
-    return res.status(200).json({ legalBasis })
+    const article = await LegalBasisRevisionsService.restoreArticle(
+      userId,
+      id,
+      revisionId
+    )
+    return res.status(200).json({ article })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -413,37 +388,22 @@ export const getLegalBasisByCriteria = async (req, res) => {
 }
 
 /**
- * Retrieves legal basis entries filtered by a date range for the last_reform.
- * @function getLegalBasisByLastReform
- * @param {import('express').Request} req - Request object, expects { from, to } in query parameters.
+ * Retrieves the amendments a decree makes to other legal bases.
+ * @function getDecreeAmendments
+ * @param {import('express').Request} req - Request object, expects { id } in params.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - A list of filtered legal basis entries by date range.
+ * @returns {Object} - The amendments of the decree.
  */
-export const getLegalBasisByLastReform = async (req, res) => {
+export const getDecreeAmendments = async (req, res) => {
   const { userId } = req
-  const { from, to } = req.query
-  const { date: parsedFrom, error: fromError } = from
-    ? parseDate(from, 'from')
-    : { date: null, error: null }
-  const { date: parsedTo, error: toError } = to
-    ? parseDate(to, 'to')
-    : { date: null, error: null }
-  if (fromError || toError) {
-    return res.status(400).json({
-      message: 'Invalid date format',
-      errors: [fromError, toError].filter(Boolean)
-    })
-  }
+  const { id } = req.params
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const legalBasis = await LegalBasisService.getByLastReform(
-      parsedFrom,
-      parsedTo
-    )
-    return res.status(200).json({ legalBasis })
+    const amendments = await LegalBasisAmendmentsService.getByDecreeId(id)
+    return res.status(200).json({ amendments })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -456,58 +416,28 @@ export const getLegalBasisByLastReform = async (req, res) => {
 }
 
 /**
- * Updates a legal basis record.
- * @function updateLegalBasis
- * @param {import('express').Request} req - Request object, expects { id } in params and { legalName, abbreviation, subjectId, aspectsIds, classification, jurisdiction, state, municipality, lastReform, extractArticles, intelligenceLevel, removeDocument } in body and an optional 'document' file.
+ * Reviews an amendment of a decree.
+ * @function reviewDecreeAmendment
+ * @param {import('express').Request} req - Request object, expects { id, amendmentId } in params and { status, targetId, action, articleName, content } in body.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - The updated legal basis record.
+ * @returns {Object} - The reviewed amendment.
  */
-export const updateLegalBasis = async (req, res) => {
-  const { id } = req.params
+export const reviewDecreeAmendment = async (req, res) => {
   const { userId } = req
-  const {
-    legalName,
-    abbreviation,
-    subjectId,
-    aspectsIds,
-    classification,
-    jurisdiction,
-    state,
-    municipality,
-    lastReform,
-    extractArticles,
-    intelligenceLevel,
-    removeDocument
-  } = req.body
-  const document = req.file
+  const { id, amendmentId } = req.params
+  const { status, targetId, action, articleName, content } = req.body
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const { jobId, legalBasis } = await LegalBasisService.updateById(
+    const amendment = await LegalBasisAmendmentsService.review(
       userId,
       id,
-      {
-        legalName,
-        abbreviation,
-        subjectId,
-        aspectsIds,
-        classification,
-        jurisdiction,
-        state,
-        municipality,
-        lastReform,
-        extractArticles,
-        intelligenceLevel,
-        removeDocument
-      },
-      document
+      amendmentId,
+      { status, targetId, action, articleName, content }
     )
-    return res.status(200).json({
-      jobId,
-      legalBasis
-    })
+    return res.status(200).json({ amendment })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -520,13 +450,13 @@ export const updateLegalBasis = async (req, res) => {
 }
 
 /**
- * Deletes a legal basis by ID.
- * @function deleteLegalBasis
+ * Applies the approved amendments of a decree to the articles of their target legal bases.
+ * @function applyDecreeAmendments
  * @param {import('express').Request} req - Request object, expects { id } in params.
  * @param {import('express').Response} res - Response object.
- * @returns {void}
+ * @returns {Object} - The amendments of the decree.
  */
-export const deleteLegalBasis = async (req, res) => {
+export const applyDecreeAmendments = async (req, res) => {
   const { userId } = req
   const { id } = req.params
   try {
@@ -534,53 +464,8 @@ export const deleteLegalBasis = async (req, res) => {
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const { success } = await LegalBasisService.deleteById(id)
-    if (success) {
-      return res.sendStatus(204)
-    } else {
-      return res.status(500).json({ message: 'Internal Server Error' })
-    }
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Deletes multiple legal bases by their IDs.
- * @function deleteLegalBasisBatch
- * @param {import('express').Request} req - Request object, expects { legalBasisIds } in body.
- * @param {import('express').Response} res - Response object.
- * @returns {void}
- */
-export const deleteLegalBasisBatch = async (req, res) => {
-  const { userId } = req
-  const { legalBasisIds } = req.body
-  if (
-    !legalBasisIds ||
-    !Array.isArray(legalBasisIds) ||
-    legalBasisIds.length === 0
-  ) {
-    return res.status(400).json({
-      message: 'Missing required fields: legalBasisIds'
-    })
-  }
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const { success } = await LegalBasisService.deleteBatch(legalBasisIds)
-    if (success) {
-      return res.sendStatus(204)
-    } else {
-      return res.status(500).json({ message: 'Internal Server Error' })
-    }
+    const amendments = await LegalBasisAmendmentsService.apply(userId, id)
+    return res.status(200).json({ amendments })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -40,11 +40,11 @@ export const createLegalVerb = async (req, res) => {
 }
 
 /**
- * Retrieves all legal verbs.
+ * Retrieves a page of legal verbs.
  * @function getLegalVerbs
- * @param {import('express').Request} req - Request object.
+ * @param {import('express').Request} req - Request object, expects optional { page, pageSize, cursor, sort, name, description, translation } in query parameters.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - Object of all legal verbs.
+ * @returns {Object} - The legal verbs of the page and the pagination details.
  */
 export const getLegalVerbs = async (req, res) => {
   const { userId } = req
@@ -53,8 +53,8 @@ export const getLegalVerbs = async (req, res) => {
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const legalVerbs = await LegalVerbsService.getAll()
-    return res.status(200).json({ legalVerbs })
+    const { items: legalVerbs, pagination } = await LegalVerbsService.getAll(req.query)
+    return res.status(200).json({ legalVerbs, pagination })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -94,90 +94,6 @@ export const getLegalVerbById = async (req, res) => {
   }
 }
 
-/**
- * Retrieves legal verbs by name (partial or full match).
- * @function getLegalVerbsByName
- * @param {import('express').Request} req - Request object, expects `name` in query parameters.
- * @param {import('express').Response} res - Response object.
- * @returns {Object} - Object of matching legal verbs.
- */
-export const getLegalVerbsByName = async (req, res) => {
-  const { userId } = req
-  const { name } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const legalVerbs = await LegalVerbsService.getByName(name)
-    return res.status(200).json({ legalVerbs })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves legal verbs by description (partial or full match).
- * @function getLegalVerbsByDescription
- * @param {import('express').Request} req - Request object, expects `description` in query parameters.
- * @param {import('express').Response} res - Response object.
- * @returns {Object} - Object of matching legal verbs.
- */
-export const getLegalVerbsByDescription = async (req, res) => {
-  const { userId } = req
-  const { description } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const legalVerbs = await LegalVerbsService.getByDescription(description)
-    return res.status(200).json({ legalVerbs })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves legal verbs by translation (partial or full match).
- * @function getLegalVerbsByTranslation
- * @param {import('express').Request} req - Request object, expects `translation` in query parameters.
- * @param {import('express').Response} res - Response object.
- * @returns {Object} - Object of matching legal verbs.
- */
-export const getLegalVerbsByTranslation = async (req, res) => {
-  const { userId } = req
-  const { translation } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const legalVerbs = await LegalVerbsService.getByTranslation(translation)
-    return res.status(200).json({ legalVerbs })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
 /**
  * Updates a legal verb by ID.
  * @function updateLegalVerb
@@ -1,7 +1,8 @@
 import ReqIdentificationService from '../services/reqIdentification/ReqIdentification.service.js'
+import ReqIdentificationExportService from '../services/reqIdentification/reqIdentificationExport/ReqIdentificationExport.service.js'
+import ReqIdentificationReportService from '../services/reqIdentification/reqIdentificationReport/ReqIdentificationReport.service.js'
 import HttpException from '../services/errors/HttpException.js'
 import UserService from '../services/users/User.service.js'
-import parseDate from '../utils/parseDate.js'
 
 /**
  * Controller for requirement identifications operations.
@@ -42,9 +43,9 @@ export const createReqIdentification = async (req, res) => {
 }
 
 /**
- * Retrieves all requirement identifications.
+ * Retrieves a page of requirement identifications.
  * @function getAllReqIdentifications
- * @param {import('express').Request} req
+ * @param {import('express').Request} req - Expects the pagination, sort and filters in query parameters.
  * @param {import('express').Response} res
  */
 export const getAllReqIdentifications = async (req, res) => {
@@ -54,8 +55,9 @@ export const getAllReqIdentifications = async (req, res) => {
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const reqIdentifications = await ReqIdentificationService.getAll()
-    return res.status(200).json({ reqIdentifications })
+    const { items: reqIdentifications, pagination } =
+      await ReqIdentificationService.getAll(req.query)
+    return res.status(200).json({ reqIdentifications, pagination })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -96,22 +98,25 @@ export const getReqIdentificationById = async (req, res) => {
 }
 
 /**
- * Retrieves requirement identifications by matching name (partial match).
- * @function getReqIdentificationsByName
- * @param {import('express').Request} req
- * @param {import('express').Response} res
+ * Retrieves the legal verb translations of a requirement within a requirement identification.
+ * @function getReqIdentificationRequirementLegalVerbs
+ * @param {import('express').Request} req - Request object, expects { id, requirementId } as URL parameters.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The list of legal verb translations.
  */
-export const getReqIdentificationsByName = async (req, res) => {
+export const getReqIdentificationRequirementLegalVerbs = async (req, res) => {
   const { userId } = req
-  const { name } = req.query
-
+  const { id, requirementId } = req.params
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const reqIdentifications = await ReqIdentificationService.getByName(name)
-    return res.status(200).json({ reqIdentifications })
+    const legalVerbs = await ReqIdentificationService.getRequirementLegalVerbs(
+      id,
+      requirementId
+    )
+    return res.status(200).json({ legalVerbs })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -124,22 +129,27 @@ export const getReqIdentificationsByName = async (req, res) => {
 }
 
 /**
- * Retrieves requirement identifications by matching description (full-text search).
- * @function getReqIdentificationsByDescription
- * @param {import('express').Request} req
- * @param {import('express').Response} res
+ * Manually adds a requirement to a requirement identification.
+ * @function addReqIdentificationRequirement
+ * @param {import('express').Request} req - Request object, expects { id } as URL parameter and { requirementId, requirementName } in body.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The added requirement.
  */
-export const getReqIdentificationsByDescription = async (req, res) => {
+export const addReqIdentificationRequirement = async (req, res) => {
   const { userId } = req
-  const { description } = req.query
-
+  const { id } = req.params
+  const { requirementId, requirementName } = req.body
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const reqIdentifications = await ReqIdentificationService.getByDescription(description)
-    return res.status(200).json({ reqIdentifications })
+    const requirement = await ReqIdentificationService.addRequirement(
+      id,
+      { requirementId, requirementName },
+      userId
+    )
+    return res.status(201).json({ requirement })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -152,22 +162,21 @@ export const getReqIdentificationsByDescription = async (req, res) => {
 }
 
 /**
- * Retrieves requirement identifications by user ID.
- * @function getReqIdentificationsByUserId
- * @param {import('express').Request} req
- * @param {import('express').Response} res
+ * Manually removes a requirement from a requirement identification.
+ * @function removeReqIdentificationRequirement
+ * @param {import('express').Request} req - Request object, expects { id, requirementId } as URL parameters.
+ * @param {import('express').Response} res - Response object.
  */
-export const getReqIdentificationsByUserId = async (req, res) => {
+export const removeReqIdentificationRequirement = async (req, res) => {
   const { userId } = req
-  const { id } = req.params
-
+  const { id, requirementId } = req.params
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const reqIdentifications = await ReqIdentificationService.getByUserId(id)
-    return res.status(200).json({ reqIdentifications })
+    await ReqIdentificationService.removeRequirement(id, requirementId, userId)
+    return res.sendStatus(204)
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -180,38 +189,61 @@ export const getReqIdentificationsByUserId = async (req, res) => {
 }
 
 /**
- * Retrieves requirement identifications filtered by a creation date range.
- * @function getReqIdentificationsByCreatedAt
- * @param {import('express').Request} req - Request object, expects { from, to } in query parameters.
+ * Manually cites an article in a requirement of a requirement identification.
+ * @function addReqIdentificationArticle
+ * @param {import('express').Request} req - Request object, expects { id, requirementId } as URL parameters and { legalBasisId, articleId, articleType } in body.
  * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The added article citation.
  */
-export const getReqIdentificationsByCreatedAt = async (req, res) => {
+export const addReqIdentificationArticle = async (req, res) => {
   const { userId } = req
-  const { from, to } = req.query
-
-  const { date: parsedFrom, error: fromError } = from
-    ? parseDate(from, 'from')
-    : { date: null, error: null }
-
-  const { date: parsedTo, error: toError } = to
-    ? parseDate(to, 'to')
-    : { date: null, error: null }
-
-  if (fromError || toError) {
-    return res.status(400).json({
-      message: 'Invalid date format',
-      errors: [fromError, toError].filter(Boolean)
-    })
+  const { id, requirementId } = req.params
+  const { legalBasisId, articleId, articleType } = req.body
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const article = await ReqIdentificationService.addArticle(
+      id,
+      requirementId,
+      { legalBasisId, articleId, articleType },
+      userId
+    )
+    return res.status(201).json({ article })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
   }
+}
 
+/**
+ * Manually removes an article citation from a requirement of a requirement identification.
+ * @function removeReqIdentificationArticle
+ * @param {import('express').Request} req - Request object, expects { id, requirementId, legalBasisId, articleId } as URL parameters.
+ * @param {import('express').Response} res - Response object.
+ */
+export const removeReqIdentificationArticle = async (req, res) => {
+  const { userId } = req
+  const { id, requirementId, legalBasisId, articleId } = req.params
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-
-    const reqIdentifications = await ReqIdentificationService.getByCreatedAt(parsedFrom, parsedTo)
-    return res.status(200).json({ reqIdentifications })
+    await ReqIdentificationService.removeArticle(
+      id,
+      requirementId,
+      legalBasisId,
+      articleId,
+      userId
+    )
+    return res.sendStatus(204)
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -224,22 +256,30 @@ export const getReqIdentificationsByCreatedAt = async (req, res) => {
 }
 
 /**
- * Retrieves requirement identifications by status.
- * @function getReqIdentificationsByStatus
- * @param {import('express').Request} req
- * @param {import('express').Response} res
+ * Manually changes the article type of an article citation.
+ * @function updateReqIdentificationArticleType
+ * @param {import('express').Request} req - Request object, expects { id, requirementId, legalBasisId, articleId } as URL parameters and { articleType } in body.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The updated article citation.
  */
-export const getReqIdentificationsByStatus = async (req, res) => {
+export const updateReqIdentificationArticleType = async (req, res) => {
   const { userId } = req
-  const { status } = req.query
-
+  const { id, requirementId, legalBasisId, articleId } = req.params
+  const { articleType } = req.body
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const reqIdentifications = await ReqIdentificationService.getByStatus(status)
-    return res.status(200).json({ reqIdentifications })
+    const article = await ReqIdentificationService.updateArticleType(
+      id,
+      requirementId,
+      legalBasisId,
+      articleId,
+      { articleType },
+      userId
+    )
+    return res.status(200).json({ article })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -252,21 +292,30 @@ export const getReqIdentificationsByStatus = async (req, res) => {
 }
 
 /**
- * Retrieves requirement identifications by subject ID.
- * @function getReqIdentificationsBySubjectId
- * @param {import('express').Request} req
- * @param {import('express').Response} res
+ * Manually edits the translation of a legal verb of a requirement.
+ * @function updateReqIdentificationLegalVerb
+ * @param {import('express').Request} req - Request object, expects { id, requirementId, legalVerbId } as URL parameters and { translation } in body.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The updated legal verb translation.
  */
-export const getReqIdentificationsBySubjectId = async (req, res) => {
+export const updateReqIdentificationLegalVerb = async (req, res) => {
   const { userId } = req
-  const { subjectId } = req.params
+  const { id, requirementId, legalVerbId } = req.params
+  const { translation } = req.body
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const reqIdentifications = await ReqIdentificationService.getBySubjectId(subjectId)
-    return res.status(200).json({ reqIdentifications })
+    const legalVerb =
+      await ReqIdentificationService.updateLegalVerbTranslation(
+        id,
+        requirementId,
+        legalVerbId,
+        { translation },
+        userId
+      )
+    return res.status(200).json({ legalVerb })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -279,33 +328,26 @@ export const getReqIdentificationsBySubjectId = async (req, res) => {
 }
 
 /**
- * Retrieves requirement identifications by subject ID and aspect IDs.
- * @function getReqIdentificationsBySubjectAndAspects
- * @param {import('express').Request} req
- * @param {import('express').Response} res
+ * Exports a requirement identification as a compliance matrix file.
+ * @function exportReqIdentification
+ * @param {import('express').Request} req - Request object, expects { id } as URL parameter and optional { format } ('xlsx' or 'csv') as query parameter.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The generated file as an attachment.
  */
-export const getReqIdentificationsBySubjectAndAspects = async (req, res) => {
+export const exportReqIdentification = async (req, res) => {
   const { userId } = req
-  const { subjectId } = req.params
-  const { aspectIds } = req.query
-
+  const { id } = req.params
+  const { format = 'xlsx' } = req.query
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const aspects = Array.isArray(aspectIds)
-      ? aspectIds.map(Number).filter(Number.isInteger)
-      : typeof aspectIds === 'string'
-        ? aspectIds.split(',').map(Number).filter(Number.isInteger)
-        : []
-
-    const reqIdentifications = await ReqIdentificationService.getBySubjectAndAspects(
-      subjectId,
-      aspects
-    )
-
-    return res.status(200).json({ reqIdentifications })
+    const { buffer, contentType, fileName } =
+      await ReqIdentificationExportService.export(id, format)
+    res.setHeader('Content-Type', contentType)
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`)
+    return res.status(200).send(buffer)
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -318,21 +360,25 @@ export const getReqIdentificationsBySubjectAndAspects = async (req, res) => {
 }
 
 /**
- * Retrieves requirement identifications by jurisdiction.
- * @function getReqIdentificationsByJurisdiction
- * @param {import('express').Request} req
- * @param {import('express').Response} res
+ * Downloads the PDF report of a requirement identification.
+ * @function getReqIdentificationReport
+ * @param {import('express').Request} req - Request object, expects { id } as URL parameter.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The generated PDF as an attachment.
  */
-export const getReqIdentificationsByJurisdiction = async (req, res) => {
+export const getReqIdentificationReport = async (req, res) => {
   const { userId } = req
-  const { jurisdiction } = req.query
+  const { id } = req.params
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const reqIdentifications = await ReqIdentificationService.getByJurisdiction(jurisdiction)
-    return res.status(200).json({ reqIdentifications })
+    const { buffer, contentType, fileName } =
+      await ReqIdentificationReportService.generateReport(id)
+    res.setHeader('Content-Type', contentType)
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`)
+    return res.status(200).send(buffer)
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -345,22 +391,51 @@ export const getReqIdentificationsByJurisdiction = async (req, res) => {
 }
 
 /**
- * Retrieves requirement identifications by state.
- * @function getReqIdentificationsByState
- * @param {import('express').Request} req
- * @param {import('express').Response} res
+ * Queues the PDF report of a requirement identification to be emailed to the user.
+ * @function requestReqIdentificationReport
+ * @param {import('express').Request} req - Request object, expects { id } as URL parameter and userId in request.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The ID of the report job.
  */
-export const getReqIdentificationsByState = async (req, res) => {
+export const requestReqIdentificationReport = async (req, res) => {
   const { userId } = req
-  const { state } = req.query
+  const { id } = req.params
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const { jobId } = await ReqIdentificationService.requestReport(id, userId)
+    return res.status(201).json({ jobId })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
 
+/**
+ * Retrieves the outdated requirement/legal basis pairs of a requirement identification.
+ * @function getReqIdentificationOutdatedLegalBases
+ * @param {import('express').Request} req - Request object, expects { id } as URL parameter.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The list of outdated pairs.
+ */
+export const getReqIdentificationOutdatedLegalBases = async (req, res) => {
+  const { userId } = req
+  const { id } = req.params
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const reqIdentifications = await ReqIdentificationService.getByState(state)
-    return res.status(200).json({ reqIdentifications })
+    const outdatedLegalBases =
+      await ReqIdentificationService.getOutdatedLegalBases(id)
+    return res.status(200).json({ outdatedLegalBases })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -373,39 +448,54 @@ export const getReqIdentificationsByState = async (req, res) => {
 }
 
 /**
- * Retrieves requirement identifications by state and municipalities.
- * @function getReqIdentificationsByStateAndMunicipalities
- * @param {import('express').Request} req
- * @param {import('express').Response} res
+ * Re-queues the identification of the outdated requirement/legal basis pairs.
+ * @function rerunOutdatedReqIdentification
+ * @param {import('express').Request} req - Request object, expects { id } as URL parameter and { intelligenceLevel } in body.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The ID of the queued job.
  */
-export const getReqIdentificationsByStateAndMunicipalities = async (req, res) => {
+export const rerunOutdatedReqIdentification = async (req, res) => {
   const { userId } = req
-  const { state, municipalities } = req.query
-  if (municipalities && municipalities.length > 0 && !state) {
-    return res.status(400).json({
-      message: 'State is required if municipalities are provided'
+  const { id } = req.params
+  const { intelligenceLevel } = req.body
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const { jobId } = await ReqIdentificationService.rerunOutdated(id, {
+      intelligenceLevel
     })
+    return res.status(201).json({ jobId })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
   }
+}
+
+/**
+ * Compares two requirement identifications.
+ * @function compareReqIdentifications
+ * @param {import('express').Request} req - Request object, expects { left, right } as query parameters.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The added, removed and reclassified requirements, legal bases and articles,
+ * and the articles whose content changed.
+ */
+export const compareReqIdentifications = async (req, res) => {
+  const { userId } = req
+  const { left, right } = req.query
   try {
     const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const municipalitiesList = Array.isArray(municipalities)
-      ? municipalities
-        .map((municipality) => String(municipality).trim())
-        .filter((municipality) => municipality.length > 0)
-      : typeof municipalities === 'string'
-        ? municipalities
-          .split(',')
-          .map((municipality) => String(municipality).trim())
-          .filter((municipality) => municipality.length > 0)
-        : []
-    const reqIdentifications = await ReqIdentificationService.getByStateAndMunicipalities(
-      state,
-      municipalitiesList
-    )
-    return res.status(200).json({ reqIdentifications })
+    const comparison = await ReqIdentificationService.compare({ left, right })
+    return res.status(200).json({ comparison })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -36,3 +36,98 @@ export const getReqIdentificationJobStatus = async (req, res) => {
     return res.status(500).json({ message: 'Internal Server Error' })
   }
 }
+
+/**
+ * Checks if there are pending requirement identification jobs for a given reqIdentificationId.
+ * @function hasPendingReqIdentificationJobs
+ * @param {import('express').Request} req - Request object, expects reqIdentificationId in req.params and userId in req.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - Response with job status and jobId or error details.
+ */
+export const hasPendingReqIdentificationJobs = async (req, res) => {
+  const { userId } = req
+  const { reqIdentificationId } = req.params
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const { hasPendingJobs, jobId } =
+      await ReqIdentifyService.hasPendingReqIdentificationJobs(
+        reqIdentificationId
+      )
+    return res.status(200).json({ hasPendingJobs, jobId })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Cancels a requirement identification job by its ID.
+ * @function cancelReqIdentificationJob
+ * @param {import('express').Request} req - Request object, expects jobId in req.params and userId in req.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - Response indicating success or failure of the job cancellation.
+ */
+export const cancelReqIdentificationJob = async (req, res) => {
+  const { userId } = req
+  const { jobId } = req.params
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const success = await ReqIdentifyService.cancelReqIdentificationJob(jobId)
+    if (success) {
+      return res.sendStatus(204)
+    } else {
+      return res.status(500).json({ message: 'Internal Server Error' })
+    }
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Retries a failed requirement identification job by its ID.
+ * @function retryReqIdentificationJob
+ * @param {import('express').Request} req - Request object, expects jobId in req.params and userId in req.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - Response indicating success or failure of the job retry.
+ */
+export const retryReqIdentificationJob = async (req, res) => {
+  const { userId } = req
+  const { jobId } = req.params
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const success = await ReqIdentifyService.retryReqIdentificationJob(jobId)
+    if (success) {
+      return res.sendStatus(204)
+    } else {
+      return res.status(500).json({ message: 'Internal Server Error' })
+    }
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
@@ -40,11 +40,11 @@ export const createRequirementType = async (req, res) => {
 }
 
 /**
- * Retrieves all requirement types.
+ * Retrieves a page of requirement types.
  * @function getRequirementTypes
- * @param {import('express').Request} req - Request object.
+ * @param {import('express').Request} req - Request object, expects optional { page, pageSize, cursor, sort, name, description, classification } in query parameters.
  * @param {import('express').Response} res - Response object.
- * @returns {Object} - Object of all requirement types.
+ * @returns {Object} - The requirement types of the page and the pagination details.
  */
 export const getRequirementTypes = async (req, res) => {
   const { userId } = req
@@ -53,8 +53,8 @@ export const getRequirementTypes = async (req, res) => {
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const requirementTypes = await RequirementTypesService.getAll()
-    return res.status(200).json({ requirementTypes })
+    const { items: requirementTypes, pagination } = await RequirementTypesService.getAll(req.query)
+    return res.status(200).json({ requirementTypes, pagination })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -94,93 +94,6 @@ export const getRequirementTypeById = async (req, res) => {
   }
 }
 
-/**
- * Retrieves requirement types by name (partial or full match).
- * @function getRequirementTypesByName
- * @param {import('express').Request} req - Request object, expects `name` in query parameters.
- * @param {import('express').Response} res - Response object.
- * @returns {Object} - Object of matching requirement types.
- */
-export const getRequirementTypesByName = async (req, res) => {
-  const { userId } = req
-  const { name } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirementTypes = await RequirementTypesService.getByName(name)
-    return res.status(200).json({ requirementTypes })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-/**
- * Retrieves requirement types by description (partial or full match).
- * @function getRequirementTypesByDescription
- * @param {import('express').Request} req - Request object, expects `description` in query parameters.
- * @param {import('express').Response} res - Response object.
- * @returns {Object} - Object of matching requirement types.
- */
-export const getRequirementTypesByDescription = async (req, res) => {
-  const { userId } = req
-  const { description } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirementTypes = await RequirementTypesService.getByDescription(
-      description
-    )
-    return res.status(200).json({ requirementTypes })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirement types by classification (partial or full match).
- * @function getRequirementTypesByClassification
- * @param {import('express').Request} req - Request object, expects `classification` in query parameters.
- * @param {import('express').Response} res - Response object.
- * @returns {Array} - Array of matching requirement types.
- */
-export const getRequirementTypesByClassification = async (req, res) => {
-  const { userId } = req
-  const { classification } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirementTypes = await RequirementTypesService.getByClassification(
-      classification
-    )
-    return res.status(200).json({ requirementTypes })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
 /**
  * Updates a requirement type by ID.
  * @function updateRequirementType
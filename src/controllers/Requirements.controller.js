@@ -68,11 +68,11 @@ export const createRequirement = async (req, res) => {
 }
 
 /**
- * Retrieves all requirements.
+ * Retrieves a page of requirements.
  * @function getAllRequirements
- * @param {import('express').Request} req - Request object.
+ * @param {import('express').Request} req - Request object, expects the pagination, sort and filters in query parameters.
  * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements.
+ * @returns {Object} - A page of requirements and the pagination details.
  */
 export const getAllRequirements = async (req, res) => {
   const { userId } = req
@@ -81,8 +81,10 @@ export const getAllRequirements = async (req, res) => {
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const requirements = await RequirementService.getAll()
-    return res.status(200).json({ requirements })
+    const { items: requirements, pagination } = await RequirementService.getAll(
+      req.query
+    )
+    return res.status(200).json({ requirements, pagination })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -122,421 +124,6 @@ export const getRequirementById = async (req, res) => {
   }
 }
 
-/**
- * Retrieves requirements by their requirement number.
- * @function getRequirementsByNumber
- * @param {import('express').Request} req - Request object, expects { number } in query.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of matching requirements.
- */
-export const getRequirementsByNumber = async (req, res) => {
-  const { userId } = req
-  const { number } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getByNumber(number)
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements by their name or part of it.
- * @function getRequirementsByName
- * @param {import('express').Request} req - Request object, expects { name } in query.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of matching requirements.
- */
-export const getRequirementsByName = async (req, res) => {
-  const { userId } = req
-  const { name } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getByName(name)
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements by subject.
- * @function getRequirementsBySubject
- * @param {import('express').Request} req - Request object, expects { subjectId } in params.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements filtered by subject.
- */
-export const getRequirementsBySubject = async (req, res) => {
-  const { userId } = req
-  const { subjectId } = req.params
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getBySubject(subjectId)
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements by subject and optionally by aspects.
- * @function getRequirementsBySubjectAndAspects
- * @param {import('express').Request} req - Request object, expects { subjectId } in params and { aspectIds } in query as an array.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements matching the filters.
- */
-export const getRequirementsBySubjectAndAspects = async (req, res) => {
-  const { userId } = req
-  const { subjectId } = req.params
-  const { aspectIds } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const aspects = Array.isArray(aspectIds)
-      ? aspectIds.map(Number).filter(Number.isInteger)
-      : typeof aspectIds === 'string'
-        ? aspectIds.split(',').map(Number).filter(Number.isInteger)
-        : []
-    const requirements = await RequirementService.getBySubjectAndAspects(
-      subjectId,
-      aspects
-    )
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements by a flexible full-text match in their mandatory description.
- * @function getRequirementsByMandatoryDescription
- * @param {import('express').Request} req - Request object, expects { description } in query.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements matching the description.
- */
-export const getRequirementsByMandatoryDescription = async (req, res) => {
-  const { userId } = req
-  const { description } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getByMandatoryDescription(
-      description
-    )
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements by a flexible full-text match in their complementary description.
- * @function getRequirementsByComplementaryDescription
- * @param {import('express').Request} req - Request object, expects { description } in query.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements matching the complementary description.
- */
-export const getRequirementsByComplementaryDescription = async (req, res) => {
-  const { userId } = req
-  const { description } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getByComplementaryDescription(
-      description
-    )
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements by a flexible full-text match in their mandatory sentences.
- * @function getRequirementsByMandatorySentences
- * @param {import('express').Request} req - Request object, expects { sentence } in query.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements matching the mandatory sentence.
- */
-export const getRequirementsByMandatorySentences = async (req, res) => {
-  const { userId } = req
-  const { sentence } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getByMandatorySentences(
-      sentence
-    )
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements by a flexible full-text match in their complementary sentences.
- * @function getRequirementsByComplementarySentences
- * @param {import('express').Request} req - Request object, expects { sentence } in query.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements matching the complementary sentence.
- */
-export const getRequirementsByComplementarySentences = async (req, res) => {
-  const { userId } = req
-  const { sentence } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getByComplementarySentences(
-      sentence
-    )
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements by a flexible full-text match in their mandatory keywords.
- * @function getRequirementsByMandatoryKeywords
- * @param {import('express').Request} req - Request object, expects { keyword } in query.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements matching the mandatory keyword.
- */
-export const getRequirementsByMandatoryKeywords = async (req, res) => {
-  const { userId } = req
-  const { keyword } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getByMandatoryKeywords(
-      keyword
-    )
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements by a flexible full-text match in their complementary keywords.
- * @function getRequirementsByComplementaryKeywords
- * @param {import('express').Request} req - Request object, expects { keyword } in query.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements matching the complementary keyword.
- */
-export const getRequirementsByComplementaryKeywords = async (req, res) => {
-  const { userId } = req
-  const { keyword } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getByComplementaryKeywords(
-      keyword
-    )
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements filtered by a specific condition.
- * @function getRequirementsByCondition
- * @param {import('express').Request} req - Request object, expects { condition } in query.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements matching the condition.
- */
-export const getRequirementsByCondition = async (req, res) => {
-  const { userId } = req
-  const { condition } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getByCondition(condition)
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements filtered by a specific evidence type.
- * @function getRequirementsByEvidence
- * @param {import('express').Request} req - Request object, expects { evidence } in query.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements matching the evidence type.
- */
-export const getRequirementsByEvidence = async (req, res) => {
-  const { userId } = req
-  const { evidence } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getByEvidence(evidence)
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements filtered by a specific periodicity.
- * @function getRequirementsByPeriodicity
- * @param {import('express').Request} req - Request object, expects { periodicity } in query.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements matching the periodicity.
- */
-export const getRequirementsByPeriodicity = async (req, res) => {
-  const { userId } = req
-  const { periodicity } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getByPeriodicity(periodicity)
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
-/**
- * Retrieves requirements filtered by a specific acceptance criteria.
- * @function getRequirementsByAcceptanceCriteria
- * @param {import('express').Request} req - Request object, expects { acceptanceCriteria } in query.
- * @param {import('express').Response} res - Response object.
- * @returns {Array<Object>} - A list of requirements matching the acceptance criteria.
- */
-export const getRequirementsByAcceptanceCriteria = async (req, res) => {
-  const { userId } = req
-  const { acceptanceCriteria } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const requirements = await RequirementService.getByAcceptanceCriteria(
-      acceptanceCriteria
-    )
-    return res.status(200).json({ requirements })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
 /**
  * Updates an existing requirement by its ID.
  * @function updateRequirementById
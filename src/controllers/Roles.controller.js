@@ -0,0 +1,183 @@
+import RolesService from '../services/roles/Roles.service.js'
+import HttpException from '../services/errors/HttpException.js'
+import UserService from '../services/users/User.service.js'
+
+/**
+ * Controller for role and permission operations.
+ * @module RolesController
+ */
+
+/**
+ * Creates a new role with its permissions.
+ * @function createRole
+ * @param {import('express').Request} req - Request object, expects { name, description, permissions } in body.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The created role.
+ */
+export const createRole = async (req, res) => {
+  const { userId } = req
+  const { name, description, permissions } = req.body
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const role = await RolesService.create({ name, description, permissions })
+    return res.status(201).json({ role })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Retrieves a role with its permissions by ID.
+ * @function getRoleById
+ * @param {import('express').Request} req - Request object, expects { id } in params.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The role data.
+ */
+export const getRoleById = async (req, res) => {
+  const { userId } = req
+  const { id } = req.params
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const role = await RolesService.getById(id)
+    return res.status(200).json({ role })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Updates a role and replaces its permissions.
+ * @function updateRole
+ * @param {import('express').Request} req - Request object, expects { id } in params and { name, description, permissions } in body.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The updated role.
+ */
+export const updateRole = async (req, res) => {
+  const { userId } = req
+  const { id } = req.params
+  const { name, description, permissions } = req.body
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const role = await RolesService.update(id, {
+      name,
+      description,
+      permissions
+    })
+    return res.status(200).json({ role })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Deletes a role that is not assigned to any user.
+ * @function deleteRole
+ * @param {import('express').Request} req - Request object, expects { id } in params.
+ * @param {import('express').Response} res - Response object.
+ * @returns {void}
+ */
+export const deleteRole = async (req, res) => {
+  const { userId } = req
+  const { id } = req.params
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const { success } = await RolesService.delete(id)
+    if (success) {
+      return res.sendStatus(204)
+    } else {
+      return res.status(500).json({ message: 'Internal Server Error' })
+    }
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Retrieves the catalog of permissions that can be granted to roles.
+ * @function getPermissions
+ * @param {import('express').Request} req - Request object.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Array} - List of permissions.
+ */
+export const getPermissions = async (req, res) => {
+  const { userId } = req
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const permissions = await RolesService.getAllPermissions()
+    return res.status(200).json({ permissions })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Retrieves the permissions granted to the authenticated user.
+ * @function getMyPermissions
+ * @param {import('express').Request} req - Request object.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Array} - List of permission names.
+ */
+export const getMyPermissions = async (req, res) => {
+  const { userId } = req
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const permissions = await UserService.getPermissions(userId)
+    return res.status(200).json({ permissions })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
@@ -0,0 +1,37 @@
+import SearchService from '../services/search/Search.service.js'
+import UserService from '../services/users/User.service.js'
+import HttpException from '../services/errors/HttpException.js'
+
+/**
+ * Controller for the global search.
+ * @module SearchController
+ */
+
+/**
+ * Searches legal bases, articles, requirements, legal verbs and requirement types.
+ * @function search
+ * @param {import('express').Request} req - Request object, expects { q } and optional { types, subjectId, aspectIds, jurisdiction, state, classification, page, pageSize } in query parameters.
+ * @param {import('express').Response} res - Response object.
+ */
+export const search = async (req, res) => {
+  const { userId, permissions } = req
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const { results, facets, pagination } = await SearchService.search(
+      req.query,
+      permissions
+    )
+    return res.status(200).json({ results, facets, pagination })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
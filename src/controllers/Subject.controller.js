@@ -40,11 +40,11 @@ export const createSubject = async (req, res) => {
 }
 
 /**
- * Retrieves all subjects.
+ * Retrieves a page of subjects.
  * @function getSubjects
- * @param {import('express').Request} req - Request object.
+ * @param {import('express').Request} req - Request object, expects optional { page, pageSize, cursor, sort, name } in query parameters.
  * @param {import('express').Response} res - Response object.
- * @returns {Array} - List of all subjects.
+ * @returns {Object} - The subjects of the page and the pagination details.
  */
 export const getSubjects = async (req, res) => {
   const { userId } = req
@@ -53,8 +53,8 @@ export const getSubjects = async (req, res) => {
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const subjects = await SubjectsService.getAll()
-    return res.status(200).json({ subjects })
+    const { items: subjects, pagination } = await SubjectsService.getAll(req.query)
+    return res.status(200).json({ subjects, pagination })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -94,34 +94,6 @@ export const getSubjectById = async (req, res) => {
   }
 }
 
-/**
- * Retrieves subjects by name.
- * @function getSubjectsByName
- * @param {import('express').Request} req - Request object, expects `name` in the query parameters.
- * @param {import('express').Response} res - Response object.
- * @returns {Object} - The subjects data.
- */
-export const getSubjectsByName = async (req, res) => {
-  const { userId } = req
-  const { subjectName } = req.query
-  try {
-    const isAuthorized = await UserService.userExists(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const subjects = await SubjectsService.getByName(subjectName)
-    return res.status(200).json({ subjects })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
 /**
  * Updates a subject by ID.
  * @function updateSubject
@@ -0,0 +1,246 @@
+import TwoFactorService from '../services/users/twoFactor/TwoFactor.service.js'
+import HttpException from '../services/errors/HttpException.js'
+import UserService from '../services/users/User.service.js'
+
+/**
+ * Controller for two-factor authentication operations.
+ * @module TwoFactorController
+ */
+
+/**
+ * Completes a login that requires a TOTP or recovery code.
+ * @function completeTwoFactorLogin
+ * @param {import('express').Request} req - Request object, expects { twoFactorToken, code } in body.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The access and refresh tokens.
+ */
+export const completeTwoFactorLogin = async (req, res) => {
+  const { twoFactorToken, code } = req.body
+  if (!twoFactorToken || !code) {
+    return res.status(400).json({
+      message: 'Missing required fields: twoFactorToken, code'
+    })
+  }
+  try {
+    const tokens = await TwoFactorService.completeLogin(twoFactorToken, code, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    })
+    return res.status(200).json(tokens)
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Starts the mandatory enrollment of a user during login.
+ * @function setupTwoFactorLogin
+ * @param {import('express').Request} req - Request object, expects { twoFactorToken } in body.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The secret and otpauth URI.
+ */
+export const setupTwoFactorLogin = async (req, res) => {
+  const { twoFactorToken } = req.body
+  if (!twoFactorToken) {
+    return res.status(400).json({
+      message: 'Missing required fields: twoFactorToken'
+    })
+  }
+  try {
+    const setup = await TwoFactorService.setupForLogin(twoFactorToken)
+    return res.status(200).json(setup)
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Completes the mandatory enrollment of a user during login.
+ * @function enableTwoFactorLogin
+ * @param {import('express').Request} req - Request object, expects { twoFactorToken, code } in body.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The recovery codes and the access and refresh tokens.
+ */
+export const enableTwoFactorLogin = async (req, res) => {
+  const { twoFactorToken, code } = req.body
+  if (!twoFactorToken || !code) {
+    return res.status(400).json({
+      message: 'Missing required fields: twoFactorToken, code'
+    })
+  }
+  try {
+    const result = await TwoFactorService.enableForLogin(twoFactorToken, code, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    })
+    return res.status(200).json(result)
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Retrieves the two-factor status of the authenticated user.
+ * @function getTwoFactorStatus
+ * @param {import('express').Request} req - Request object.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The two-factor status.
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  const { userId } = req
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const status = await TwoFactorService.getStatus(userId)
+    return res.status(200).json(status)
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Starts the enrollment of the authenticated user.
+ * @function setupTwoFactor
+ * @param {import('express').Request} req - Request object.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The secret and otpauth URI.
+ */
+export const setupTwoFactor = async (req, res) => {
+  const { userId } = req
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const setup = await TwoFactorService.setup(userId)
+    return res.status(200).json(setup)
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Completes the enrollment of the authenticated user.
+ * @function enableTwoFactor
+ * @param {import('express').Request} req - Request object, expects { code } in body.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The recovery codes.
+ */
+export const enableTwoFactor = async (req, res) => {
+  const { userId } = req
+  const { code } = req.body
+  if (!code) {
+    return res.status(400).json({ message: 'Missing required fields: code' })
+  }
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const { recoveryCodes } = await TwoFactorService.enable(userId, code)
+    return res.status(200).json({ recoveryCodes })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Disables two-factor authentication for the authenticated user.
+ * @function disableTwoFactor
+ * @param {import('express').Request} req - Request object, expects { code } in body.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - No content.
+ */
+export const disableTwoFactor = async (req, res) => {
+  const { userId } = req
+  const { code } = req.body
+  if (!code) {
+    return res.status(400).json({ message: 'Missing required fields: code' })
+  }
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    await TwoFactorService.disable(userId, code)
+    return res.sendStatus(204)
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Replaces the recovery codes of the authenticated user.
+ * @function regenerateRecoveryCodes
+ * @param {import('express').Request} req - Request object, expects { code } in body.
+ * @param {import('express').Response} res - Response object.
+ * @returns {Object} - The new recovery codes.
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  const { userId } = req
+  const { code } = req.body
+  if (!code) {
+    return res.status(400).json({ message: 'Missing required fields: code' })
+  }
+  try {
+    const isAuthorized = await UserService.userExists(userId)
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const { recoveryCodes } =
+      await TwoFactorService.regenerateRecoveryCodes(userId, code)
+    return res.status(200).json({ recoveryCodes })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
@@ -5,6 +5,7 @@
  */
 
 import UserService from '../services/users/User.service.js'
+import UserSessionsService from '../services/users/userSessions/UserSessions.service.js'
 import HttpException from '../services/errors/HttpException.js'
 import jsonwebtoken from 'jsonwebtoken'
 import { JWT_SECRET } from '../config/variables.config.js'
@@ -23,8 +24,11 @@ export const loginUser = async (req, res) => {
     })
   }
   try {
-    const token = await UserService.loginUser(req.body)
-    return res.status(200).json({ token })
+    const result = await UserService.loginUser(req.body, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    })
+    return res.status(200).json(result)
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -50,8 +54,11 @@ export const loginUserMicrosoftAuth = async (req, res) => {
     })
   }
   try {
-    const token = await UserService.microsoftLogin(accessToken)
-    return res.status(200).json({ token })
+    const { token, refreshToken } = await UserService.microsoftLogin(
+      accessToken,
+      { ipAddress: req.ip, userAgent: req.get('user-agent') }
+    )
+    return res.status(200).json({ token, refreshToken })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -79,7 +86,7 @@ export const registerUser = async (req, res) => {
     })
   }
   try {
-    const isAuthorized = await UserService.isAuthorized(userId)
+    const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
@@ -100,20 +107,20 @@ export const registerUser = async (req, res) => {
 }
 
 /**
- * Retrieve all users.
+ * Retrieve a page of users.
  * @function getAllUsers
- * @param {import('express').Request} req - Request object, includes userId.
+ * @param {import('express').Request} req - Request object, includes userId and expects { page, pageSize, cursor, sort, search, roleId } in query parameters.
  * @param {import('express').Response} res - Response object.
  */
 export const getAllUsers = async (req, res) => {
   const { userId } = req
   try {
-    const isAuthorized = await UserService.isAuthorized(userId)
+    const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
-    const users = await UserService.getAllUsers()
-    return res.status(200).json({ users })
+    const { items: users, pagination } = await UserService.getAllUsers(req.query)
+    return res.status(200).json({ users, pagination })
   } catch (error) {
     if (error instanceof HttpException) {
       return res.status(error.status).json({
@@ -134,7 +141,7 @@ export const getAllUsers = async (req, res) => {
 export const getAllRoles = async (req, res) => {
   const { userId } = req
   try {
-    const isAuthorized = await UserService.isAuthorized(userId)
+    const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
@@ -178,59 +185,6 @@ export const getUserById = async (req, res) => {
   }
 }
 
-/**
- * Retrieve users by name or gmail.
- * @function getUsersByNameOrGmail
- * @param {import('express').Request} req - Request object, expects { nameOrEmail } in query parameters.
- * @param {import('express').Response} res - Response object.
- */
-export const getUsersByNameOrGmail = async (req, res) => {
-  const { userId } = req
-  const { nameOrEmail } = req.query
-  try {
-    const isAuthorized = await UserService.isAuthorized(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const users = await UserService.getUsersByNameOrGmail(nameOrEmail)
-    return res.status(200).json({ users })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-/**
- * Retrieve users by role ID.
- * @function getUsersByRole
- * @param {import('express').Request} req - Request object, expects { roleId } in params.
- * @param {import('express').Response} res - Response object.
- */
-export const getUsersByRole = async (req, res) => {
-  const { roleId } = req.params
-  const { userId } = req
-  try {
-    const isAuthorized = await UserService.isAuthorized(userId)
-    if (!isAuthorized) {
-      return res.status(403).json({ message: 'Unauthorized' })
-    }
-    const users = await UserService.getUsersByRole(roleId)
-    return res.status(200).json({ users })
-  } catch (error) {
-    if (error instanceof HttpException) {
-      return res.status(error.status).json({
-        message: error.message,
-        ...(error.errors && { errors: error.errors })
-      })
-    }
-    return res.status(500).json({ message: 'Internal Server Error' })
-  }
-}
-
 /**
  * Update user information by ID.
  * @function updateUser
@@ -241,9 +195,9 @@ export const updateUser = async (req, res) => {
   const { id } = req.params
   const { name, gmail, roleId, removePicture } = req.body
   const profilePicture = req.file
-  const { userId } = req
+  const { userId, sessionId } = req
   try {
-    const isAuthorized = await UserService.isAuthorized(userId)
+    const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
@@ -251,7 +205,8 @@ export const updateUser = async (req, res) => {
       id,
       { name, gmail, roleId, removePicture },
       profilePicture,
-      userId
+      userId,
+      sessionId
     )
     return res.status(200).json({
       user: updatedUser,
@@ -282,7 +237,11 @@ export const updateUserPicture = async (req, res) => {
     return res.status(400).json({ message: 'Profile picture is required' })
   }
   try {
-    const isAuthorized = await UserService.canAccessUser(userId, id)
+    const isAuthorized = await UserService.canAccessUser(
+      userId,
+      id,
+      'users:write'
+    )
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
@@ -313,7 +272,7 @@ export const deleteUser = async (req, res) => {
   const { id } = req.params
   const { userId } = req
   try {
-    const isAuthorized = await UserService.isAuthorized(userId)
+    const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
@@ -350,7 +309,7 @@ export const deleteUsersBatch = async (req, res) => {
     })
   }
   try {
-    const isAuthorized = await UserService.isAuthorized(userId)
+    const isAuthorized = await UserService.userExists(userId)
     if (!isAuthorized) {
       return res.status(403).json({ message: 'Unauthorized' })
     }
@@ -402,9 +361,9 @@ export const resetPassword = async (req, res) => {
 export const verifyCode = async (req, res) => {
   const { gmail, code } = req.body
   try {
-    const isValid = await UserService.verifyPasswordResetCode(gmail, code)
-    if (isValid) {
-      return res.sendStatus(200)
+    const result = await UserService.verifyPasswordResetCode(gmail, code)
+    if (result) {
+      return res.status(200).json(result)
     } else {
       return res.status(400).json({ message: 'Invalid or expired code' })
     }
@@ -419,6 +378,33 @@ export const verifyCode = async (req, res) => {
   }
 }
 
+/**
+ * Handle setting a new password with a reset token.
+ * @function confirmPasswordReset
+ * @param {import('express').Request} req - Request object, expects { resetToken, password } in body.
+ * @param {import('express').Response} res - Response object.
+ */
+export const confirmPasswordReset = async (req, res) => {
+  const { resetToken, password } = req.body
+  if (!resetToken || !password) {
+    return res.status(400).json({
+      message: 'Missing required fields: resetToken, password'
+    })
+  }
+  try {
+    await UserService.confirmPasswordReset(resetToken, password)
+    return res.sendStatus(200)
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
 /**
  * Verify JWT token.
  * @function verifyToken
@@ -432,13 +418,101 @@ export const verifyToken = async (req, res) => {
   }
   try {
     const decodedToken = jsonwebtoken.verify(token, JWT_SECRET)
-    if (!decodedToken?.userForToken?.id) {
+    if (!decodedToken?.userForToken?.id || !decodedToken.sessionId) {
       return res.status(200).send({ valid: false })
     }
     const userId = decodedToken.userForToken.id
     const userExists = await UserService.userExists(userId)
-    return res.status(200).send({ valid: userExists })
+    if (!userExists) {
+      return res.status(200).send({ valid: false })
+    }
+    const isSessionActive = await UserSessionsService.isSessionActive(
+      decodedToken.sessionId,
+      userId
+    )
+    return res.status(200).send({ valid: isSessionActive })
   } catch (error) {
     return res.status(200).send({ valid: false })
   }
 }
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * @function refreshToken
+ * @param {import('express').Request} req - Request object, expects { refreshToken } in body.
+ * @param {import('express').Response} res - Response object.
+ */
+export const refreshToken = async (req, res) => {
+  const { refreshToken } = req.body
+  if (!refreshToken) {
+    return res.status(400).json({
+      message: 'Missing required fields: refreshToken'
+    })
+  }
+  try {
+    const tokens = await UserSessionsService.refresh(refreshToken)
+    return res.status(200).json(tokens)
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Log out the current session.
+ * @function logoutUser
+ * @param {import('express').Request} req - Request object.
+ * @param {import('express').Response} res - Response object.
+ */
+export const logoutUser = async (req, res) => {
+  const { sessionId } = req
+  try {
+    await UserSessionsService.revokeSession(sessionId)
+    return res.sendStatus(204)
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+/**
+ * Revoke every session of a user.
+ * @function revokeUserSessions
+ * @param {import('express').Request} req - Request object, expects { id } in params.
+ * @param {import('express').Response} res - Response object.
+ */
+export const revokeUserSessions = async (req, res) => {
+  const { id } = req.params
+  const { userId } = req
+  try {
+    const canAccess = await UserService.canAccessUser(
+      userId,
+      id,
+      'users:write'
+    )
+    if (!canAccess) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    const { revokedSessions } =
+      await UserSessionsService.revokeUserSessions(id)
+    return res.status(200).json({ revokedSessions })
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return res.status(error.status).json({
+        message: error.message,
+        ...(error.errors && { errors: error.errors })
+      })
+    }
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
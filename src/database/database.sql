@@ -1,10 +1,98 @@
+-- Tables are created only when missing: a column, index or type change to an existing table
+-- must also be added to SCHEMA_UPGRADES in migrate.js so deployed databases receive it.
+
 -- Table: roles
 -- Description: Stores user roles within the system.
 CREATE TABLE IF NOT EXISTS roles (
-    id   BIGINT AUTO_INCREMENT PRIMARY KEY,
-    name ENUM('Admin', 'Analyst') NOT NULL UNIQUE
+    id          BIGINT AUTO_INCREMENT PRIMARY KEY,
+    name        VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255) DEFAULT NULL
+);
+
+-- Table: permissions
+-- Description: Stores the named permissions that can be granted to roles (e.g. 'legalBasis:write').
+CREATE TABLE IF NOT EXISTS permissions (
+    id          BIGINT AUTO_INCREMENT PRIMARY KEY,
+    name        VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255) DEFAULT NULL
 );
 
+-- Table: role_permissions
+-- Description: Maps roles to the permissions they grant.
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id       BIGINT NOT NULL,
+    permission_id BIGINT NOT NULL,
+    PRIMARY KEY (role_id, permission_id),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+);
+
+-- Seed: built-in roles
+INSERT IGNORE INTO roles (id, name, description) VALUES
+    (1, 'Admin', 'Full access, including user and role management'),
+    (2, 'Analyst', 'Manages the legal catalog and requirement identifications'),
+    (3, 'Viewer', 'Read-only access for client staff');
+
+-- Seed: permissions catalog
+INSERT IGNORE INTO permissions (name, description) VALUES
+    ('users:read', 'View users and roles'),
+    ('users:write', 'Register and update users'),
+    ('users:delete', 'Delete users'),
+    ('roles:manage', 'Create, update and delete roles and their permissions'),
+    ('files:read', 'Download files'),
+    ('files:write', 'Upload files'),
+    ('subjects:read', 'View subjects'),
+    ('subjects:write', 'Create and update subjects'),
+    ('subjects:delete', 'Delete subjects'),
+    ('aspects:read', 'View aspects'),
+    ('aspects:write', 'Create and update aspects'),
+    ('aspects:delete', 'Delete aspects'),
+    ('legalBasis:read', 'View legal bases and their revisions'),
+    ('legalBasis:write', 'Create, update and restore legal bases'),
+    ('legalBasis:delete', 'Delete legal bases'),
+    ('articles:read', 'View articles and extraction jobs'),
+    ('articles:write', 'Create, update and restore articles and manage extraction jobs'),
+    ('articles:delete', 'Delete articles'),
+    ('acmSuite:send', 'Send legal bases to ACM Suite'),
+    ('requirements:read', 'View requirements'),
+    ('requirements:write', 'Create and update requirements'),
+    ('requirements:delete', 'Delete requirements'),
+    ('requirementTypes:read', 'View requirement types'),
+    ('requirementTypes:write', 'Create and update requirement types'),
+    ('requirementTypes:delete', 'Delete requirement types'),
+    ('legalVerbs:read', 'View legal verbs'),
+    ('legalVerbs:write', 'Create and update legal verbs'),
+    ('legalVerbs:delete', 'Delete legal verbs'),
+    ('reqIdentification:read', 'View, compare, export and report requirement identifications'),
+    ('reqIdentification:write', 'Create, curate and re-run requirement identifications'),
+    ('reqIdentification:delete', 'Delete requirement identifications'),
+    ('audit:read', 'View the audit log'),
+    ('embeddings:manage', 'Queue the embedding of the articles and requirements that have none');
+
+-- Seed: the Admin role always holds every permission
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'Admin';
+
+-- Seed: default Analyst permissions, only while the role has none assigned
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'Analyst'
+  AND p.name NOT LIKE 'users:%'
+  AND p.name NOT LIKE 'roles:%'
+  AND p.name NOT LIKE 'audit:%'
+  AND p.name NOT LIKE 'embeddings:%'
+  AND NOT EXISTS (SELECT 1 FROM role_permissions rp WHERE rp.role_id = r.id);
+
+-- Seed: default Viewer permissions, only while the role has none assigned
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'Viewer'
+  AND p.name LIKE '%:read'
+  AND p.name NOT LIKE 'users:%'
+  AND p.name NOT LIKE 'audit:%'
+  AND NOT EXISTS (SELECT 1 FROM role_permissions rp WHERE rp.role_id = r.id);
+
 -- Table: users
 -- Description: Stores user information including credentials and profile.
 CREATE TABLE IF NOT EXISTS users (
@@ -17,13 +105,85 @@ CREATE TABLE IF NOT EXISTS users (
     FOREIGN KEY (role_id) REFERENCES roles(id)
 );
 
+-- Table: user_sessions
+-- Description: Stores login sessions. Each session holds the hash of its current refresh token,
+-- and access tokens carry the session ID so revoked sessions are rejected immediately.
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id                 CHAR(36) PRIMARY KEY,
+    user_id            BIGINT NOT NULL,
+    refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+    ip_address         VARCHAR(45) DEFAULT NULL,
+    user_agent         VARCHAR(255) DEFAULT NULL,
+    created_at         DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at       DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at         DATETIME NOT NULL,
+    revoked_at         DATETIME DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_sessions_user (user_id)
+);
+
+-- Table: user_two_factor
+-- Description: Stores the TOTP secret of users enrolled in two-factor authentication.
+-- The secret is pending until enabled_at is set by verifying a first code. Each code is
+-- accepted once: last_used_counter holds the time step of the last accepted code and
+-- codes of that step or earlier are rejected.
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id           BIGINT PRIMARY KEY,
+    secret            VARCHAR(64) NOT NULL,
+    last_used_counter BIGINT DEFAULT NULL,
+    enabled_at        DATETIME DEFAULT NULL,
+    created_at        DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Table: user_recovery_codes
+-- Description: Stores hashed single-use recovery codes that replace a TOTP code when the
+-- authenticator is not available.
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id        INT AUTO_INCREMENT PRIMARY KEY,
+    user_id   BIGINT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at   DATETIME DEFAULT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_recovery_codes_user (user_id)
+);
+
+-- Table: user_two_factor_attempts
+-- Description: Counts the codes submitted with each two-factor login token, so a token is
+-- locked once the limit is reached. The row is removed when the login succeeds.
+CREATE TABLE IF NOT EXISTS user_two_factor_attempts (
+    token_id   CHAR(32) PRIMARY KEY,
+    user_id    BIGINT NOT NULL,
+    attempts   INT NOT NULL DEFAULT 0,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_two_factor_attempts_user (user_id)
+);
+
 -- Table: verification_codes
 -- Description: Stores verification codes for user account recovery and validation.
+-- A verified code is exchanged for a single-use reset token, stored as a hash. Failed
+-- verifications are counted in attempts and lock the code once the limit is reached.
 CREATE TABLE IF NOT EXISTS verification_codes (
-    id         INT AUTO_INCREMENT PRIMARY KEY,
-    gmail      VARCHAR(255) NOT NULL,
-    code       VARCHAR(6) NOT NULL,
-    expires_at TIMESTAMP NOT NULL
+    id                     INT AUTO_INCREMENT PRIMARY KEY,
+    gmail                  VARCHAR(255) NOT NULL,
+    code                   VARCHAR(6) NOT NULL,
+    expires_at             TIMESTAMP NOT NULL,
+    attempts               INT NOT NULL DEFAULT 0,
+    reset_token_hash       CHAR(64) DEFAULT NULL UNIQUE,
+    reset_token_expires_at TIMESTAMP NULL DEFAULT NULL,
+    used_at                TIMESTAMP NULL DEFAULT NULL,
+    INDEX idx_verification_codes_gmail (gmail)
+);
+
+-- Table: password_reset_attempts
+-- Description: Counts the password reset verifications of each Gmail address in a time window,
+-- across every code requested in it. Requesting a new code does not reset the count, and no new
+-- code is sent while the window is locked. The row is removed when a verification succeeds.
+CREATE TABLE IF NOT EXISTS password_reset_attempts (
+    gmail             VARCHAR(255) PRIMARY KEY,
+    attempts          INT NOT NULL DEFAULT 0,
+    window_started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Table: subjects
@@ -49,6 +209,7 @@ CREATE TABLE IF NOT EXISTS aspects (
 
 -- Table: legal_basis
 -- Description: Stores legal documents and their classifications.
+-- The searchable tables use an accent-insensitive collation so FULLTEXT searches match 'evaluacion' with 'evaluación'.
 CREATE TABLE IF NOT EXISTS legal_basis (
     id             INT AUTO_INCREMENT PRIMARY KEY,
     legal_name     VARCHAR(1000) NOT NULL,
@@ -64,21 +225,48 @@ CREATE TABLE IF NOT EXISTS legal_basis (
     url            TEXT,
     last_reform    DATE,
     subject_id     INT NOT NULL,
-    FOREIGN KEY (subject_id) REFERENCES subjects(id) ON DELETE RESTRICT
-);
+    FOREIGN KEY (subject_id) REFERENCES subjects(id) ON DELETE RESTRICT,
+    FULLTEXT(legal_name, abbreviation)
+) DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci;
 
 -- Table: article
 -- Description: Stores articles related to legal documents.
+-- source_page is the page of the document where the article starts, when extracted from a paginated document.
+-- Rows form the document outline: parent_id points to the title, chapter or section containing the row,
+-- and section_kind tells what the row is (NULL for rows created before it was recorded).
 CREATE TABLE IF NOT EXISTS article (
     id                INT AUTO_INCREMENT PRIMARY KEY,
     legal_basis_id    INT NOT NULL,
+    parent_id         INT NULL,
+    section_kind      ENUM('title', 'chapter', 'section', 'article', 'transitory', 'annex', 'preamble') NULL,
     article_name      LONGTEXT,
     description       LONGTEXT,
     plain_description LONGTEXT,
     article_order     INT,
+    source_page       INT NULL,
     FOREIGN KEY (legal_basis_id) REFERENCES legal_basis(id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_id) REFERENCES article(id) ON DELETE SET NULL,
     FULLTEXT(plain_description)
-);
+) DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci;
+
+-- Table: article_subunits
+-- Description: Párrafos, fracciones and incisos of an article, parsed from its text so they can be cited on their own.
+-- citation is the reference within the article ("fracción IV, inciso b)"). Incisos point to their fraction or paragraph.
+-- When the text of the article changes, rows whose kind, label and citation still match keep their ID.
+-- Removing a cited row flags the requirement identifications citing it as outdated.
+CREATE TABLE IF NOT EXISTS article_subunits (
+    id          INT AUTO_INCREMENT PRIMARY KEY,
+    article_id  INT NOT NULL,
+    parent_id   INT NULL,
+    unit_kind   ENUM('paragraph', 'fraction', 'inciso') NOT NULL,
+    label       VARCHAR(50) NOT NULL,
+    citation    VARCHAR(255) NOT NULL,
+    content     LONGTEXT NOT NULL,
+    unit_order  INT NOT NULL,
+    INDEX idx_article_subunits_article (article_id, unit_order),
+    FOREIGN KEY (article_id) REFERENCES article(id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_id) REFERENCES article_subunits(id) ON DELETE CASCADE
+) DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci;
 
 -- Table: legal_basis_subject_aspect
 -- Description: Many-to-many relationship between 'legal_basis', 'subjects', and 'aspects'.
@@ -92,6 +280,80 @@ CREATE TABLE IF NOT EXISTS legal_basis_subject_aspect (
     FOREIGN KEY (aspect_id) REFERENCES aspects(id) ON DELETE RESTRICT
 );
 
+-- Table: legal_basis_revisions
+-- Description: Immutable snapshots of legal basis rows, written on every create, update, delete and restore.
+-- Rows are kept after the legal basis is deleted so it can be restored.
+CREATE TABLE IF NOT EXISTS legal_basis_revisions (
+    id             BIGINT AUTO_INCREMENT PRIMARY KEY,
+    legal_basis_id INT NOT NULL,
+    action         ENUM('Create', 'Update', 'Delete', 'Restore') NOT NULL,
+    legal_name     VARCHAR(1000) NOT NULL,
+    abbreviation   VARCHAR(255),
+    classification VARCHAR(255) NOT NULL,
+    jurisdiction   VARCHAR(255) NOT NULL,
+    state          VARCHAR(255),
+    municipality   VARCHAR(255),
+    url            TEXT,
+    last_reform    DATE,
+    subject_id     INT NOT NULL,
+    aspects_ids    JSON NOT NULL,
+    user_id        BIGINT,
+    created_at     DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_legal_basis_revisions_legal_basis (legal_basis_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Table: article_revisions
+-- Description: Immutable snapshots of article rows, written on every create, update, delete and restore.
+-- legal_basis_revision_id is set when the article was deleted together with its legal basis.
+-- source_page, parent_id and section_kind keep the place of the article in the document outline.
+CREATE TABLE IF NOT EXISTS article_revisions (
+    id                      BIGINT AUTO_INCREMENT PRIMARY KEY,
+    article_id              INT NOT NULL,
+    legal_basis_id          INT NOT NULL,
+    legal_basis_revision_id BIGINT,
+    action                  ENUM('Create', 'Update', 'Delete', 'Restore') NOT NULL,
+    article_name            LONGTEXT,
+    description             LONGTEXT,
+    plain_description       LONGTEXT,
+    article_order           INT,
+    source_page             INT NULL,
+    parent_id               INT NULL,
+    section_kind            ENUM('title', 'chapter', 'section', 'article', 'transitory', 'annex', 'preamble') NULL,
+    user_id                 BIGINT,
+    created_at              DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_article_revisions_article (article_id),
+    INDEX idx_article_revisions_legal_basis (legal_basis_id),
+    FOREIGN KEY (legal_basis_revision_id) REFERENCES legal_basis_revisions(id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Table: legal_basis_amendments
+-- Description: Reforms, additions and repeals of articles made by a decree to other legal bases.
+-- target_name is the amended legal basis as written in the decree. target_id is NULL until it is found in the catalog.
+-- Approved amendments are applied to the articles of their target, setting article_id and status 'applied'.
+CREATE TABLE IF NOT EXISTS legal_basis_amendments (
+    id              INT AUTO_INCREMENT PRIMARY KEY,
+    decree_id       INT NOT NULL,
+    target_id       INT NULL,
+    target_name     VARCHAR(1000),
+    action          ENUM('reform', 'addition', 'repeal') NOT NULL,
+    article_name    VARCHAR(255) NOT NULL,
+    content         LONGTEXT,
+    amendment_order INT NOT NULL,
+    status          ENUM('pending', 'approved', 'rejected', 'applied') NOT NULL DEFAULT 'pending',
+    article_id      INT NULL,
+    reviewed_by     BIGINT NULL,
+    reviewed_at     DATETIME NULL,
+    applied_at      DATETIME NULL,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_legal_basis_amendments_decree (decree_id, amendment_order),
+    FOREIGN KEY (decree_id) REFERENCES legal_basis(id) ON DELETE CASCADE,
+    FOREIGN KEY (target_id) REFERENCES legal_basis(id) ON DELETE SET NULL,
+    FOREIGN KEY (article_id) REFERENCES article(id) ON DELETE SET NULL,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+) DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci;
+
 -- Table: requirements
 -- Description: Stores requirements associated with a subject and an aspect.
 CREATE TABLE IF NOT EXISTS requirements (
@@ -117,7 +379,7 @@ CREATE TABLE IF NOT EXISTS requirements (
     FULLTEXT(complementary_sentences),
     FULLTEXT(mandatory_keywords),
     FULLTEXT(complementary_keywords)
-);
+) DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci;
 
 -- Table: requirement_subject_aspect
 -- Description: Many-to-many relationship between 'requirements', a specific subject, and one or more aspects.
@@ -131,6 +393,36 @@ CREATE TABLE IF NOT EXISTS requirement_subject_aspect (
     FOREIGN KEY (aspect_id) REFERENCES aspects(id) ON DELETE RESTRICT
 );
 
+-- Table: article_embeddings
+-- Description: Embedding of each article's plain description, used by the semantic search.
+-- content_hash is the SHA-256 of the embedded text, so edited articles are detected and re-embedded.
+-- embedding holds the vector as little-endian 32-bit floats, and norm its Euclidean norm,
+-- stored so the semantic search does not recompute it for every article.
+CREATE TABLE IF NOT EXISTS article_embeddings (
+    article_id   INT PRIMARY KEY,
+    model        VARCHAR(100) NOT NULL,
+    content_hash CHAR(64) NOT NULL,
+    embedding    MEDIUMBLOB NOT NULL,
+    norm         DOUBLE NOT NULL,
+    updated_at   DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (article_id) REFERENCES article(id) ON DELETE CASCADE
+);
+
+-- Table: requirement_embeddings
+-- Description: Embeddings of the mandatory and complementary descriptions of each requirement.
+-- content_hash, embedding and norm are stored as in article_embeddings.
+CREATE TABLE IF NOT EXISTS requirement_embeddings (
+    requirement_id INT NOT NULL,
+    field          ENUM('mandatory_description', 'complementary_description') NOT NULL,
+    model          VARCHAR(100) NOT NULL,
+    content_hash   CHAR(64) NOT NULL,
+    embedding      MEDIUMBLOB NOT NULL,
+    norm           DOUBLE NOT NULL,
+    updated_at     DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (requirement_id, field),
+    FOREIGN KEY (requirement_id) REFERENCES requirements(id) ON DELETE CASCADE
+);
+
 -- Table: requirement_types
 -- Description: Stores the types of requirements that can be associated with identificacion requirements.
 CREATE TABLE IF NOT EXISTS requirement_types (
@@ -140,7 +432,7 @@ CREATE TABLE IF NOT EXISTS requirement_types (
     classification LONGTEXT NOT NULL,
     FULLTEXT(description),
     FULLTEXT(classification)
-);
+) DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci;
 
 -- Table: legal_verbs
 -- Description: Stores legal verbs along with their description and translation.
@@ -151,7 +443,7 @@ CREATE TABLE IF NOT EXISTS legal_verbs (
     translation LONGTEXT NOT NULL,
     FULLTEXT(description),
     FULLTEXT(translation)
-);
+) DEFAULT CHARSET = utf8mb4 COLLATE = utf8mb4_0900_ai_ci;
 
 -- Table: req_identifications
 -- Description: Metadata of a legal requirements identification analysis.
@@ -162,6 +454,8 @@ CREATE TABLE IF NOT EXISTS req_identifications (
     user_id     BIGINT,
     created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
     status      ENUM('Activo', 'Fallido', 'Completado') DEFAULT 'Activo',
+    failure_reason TEXT,
+    completed_at   DATETIME,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
     FULLTEXT KEY idx_req_identifications_description (description)
 );
@@ -173,10 +467,14 @@ CREATE TABLE IF NOT EXISTS req_identifications_requirements (
     requirement_id        INT NOT NULL,
     requirement_name      VARCHAR(255) NOT NULL,
     requirement_type_id   INT,
+    source                ENUM('AI', 'Manual') NOT NULL DEFAULT 'AI',
+    updated_by            BIGINT,
+    updated_at            DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     PRIMARY KEY (req_identification_id, requirement_id),
     FOREIGN KEY (req_identification_id) REFERENCES req_identifications(id) ON DELETE CASCADE,
     FOREIGN KEY (requirement_id) REFERENCES requirements(id) ON DELETE RESTRICT,
-    FOREIGN KEY (requirement_type_id) REFERENCES requirement_types(id) ON DELETE RESTRICT
+    FOREIGN KEY (requirement_type_id) REFERENCES requirement_types(id) ON DELETE RESTRICT,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
 -- Table: req_identifications_requirement_legal_verbs
@@ -186,24 +484,34 @@ CREATE TABLE IF NOT EXISTS req_identifications_requirement_legal_verbs (
     requirement_id        INT NOT NULL,
     legal_verb_id         INT NOT NULL,
     translation           LONGTEXT NOT NULL,
+    source                ENUM('AI', 'Manual') NOT NULL DEFAULT 'AI',
+    updated_by            BIGINT,
+    updated_at            DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     PRIMARY KEY (req_identification_id, requirement_id, legal_verb_id),
     FOREIGN KEY (req_identification_id, requirement_id)
         REFERENCES req_identifications_requirements(req_identification_id, requirement_id)
         ON DELETE CASCADE,
-    FOREIGN KEY (legal_verb_id) REFERENCES legal_verbs(id) ON DELETE RESTRICT
+    FOREIGN KEY (legal_verb_id) REFERENCES legal_verbs(id) ON DELETE RESTRICT,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
 -- Table: req_identifications_requirement_legal_basis
--- Description: Legal basis that justifies each requirement.
+-- Description: Legal basis that justifies each requirement. Flagged as outdated when the legal basis is reformed.
 CREATE TABLE IF NOT EXISTS req_identifications_requirement_legal_basis (
     req_identification_id INT NOT NULL,
     requirement_id        INT NOT NULL,
     legal_basis_id        INT NOT NULL,
+    is_outdated           BOOLEAN NOT NULL DEFAULT FALSE,
+    outdated_at           DATETIME,
+    source                ENUM('AI', 'Manual') NOT NULL DEFAULT 'AI',
+    updated_by            BIGINT,
+    updated_at            DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     PRIMARY KEY (req_identification_id, requirement_id, legal_basis_id),
     FOREIGN KEY (req_identification_id, requirement_id)
         REFERENCES req_identifications_requirements(req_identification_id, requirement_id)
         ON DELETE CASCADE,
-    FOREIGN KEY (legal_basis_id) REFERENCES legal_basis(id) ON DELETE RESTRICT
+    FOREIGN KEY (legal_basis_id) REFERENCES legal_basis(id) ON DELETE RESTRICT,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
 -- Table: req_identifications_requirement_legal_basis_articles
@@ -214,6 +522,9 @@ CREATE TABLE IF NOT EXISTS req_identifications_requirement_legal_basis_articles
     legal_basis_id        INT NOT NULL,
     article_id            INT NOT NULL,
     article_type          ENUM('Obligatorio', 'Complementario', 'General') NOT NULL DEFAULT 'General',
+    source                ENUM('AI', 'Manual') NOT NULL DEFAULT 'AI',
+    updated_by            BIGINT,
+    updated_at            DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     PRIMARY KEY (req_identification_id, requirement_id, legal_basis_id, article_id),
     FOREIGN KEY (req_identification_id, requirement_id)
         REFERENCES req_identifications_requirements(req_identification_id, requirement_id)
@@ -222,5 +533,85 @@ CREATE TABLE IF NOT EXISTS req_identifications_requirement_legal_basis_articles
         REFERENCES req_identifications_requirement_legal_basis(req_identification_id, requirement_id, legal_basis_id)
         ON DELETE CASCADE,
     FOREIGN KEY (legal_basis_id) REFERENCES legal_basis(id) ON DELETE RESTRICT,
-    FOREIGN KEY (article_id) REFERENCES article(id) ON DELETE RESTRICT
+    FOREIGN KEY (article_id) REFERENCES article(id) ON DELETE RESTRICT,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Table: req_identifications_requirement_legal_basis_article_subunits
+-- Description: Sub-units of a cited article that hold the requirement. A cited article without rows is cited as a whole.
+CREATE TABLE IF NOT EXISTS req_identifications_requirement_legal_basis_article_subunits (
+    req_identification_id INT NOT NULL,
+    requirement_id        INT NOT NULL,
+    legal_basis_id        INT NOT NULL,
+    article_id            INT NOT NULL,
+    subunit_id            INT NOT NULL,
+    PRIMARY KEY (req_identification_id, requirement_id, legal_basis_id, article_id, subunit_id),
+    FOREIGN KEY (req_identification_id, requirement_id, legal_basis_id, article_id)
+        REFERENCES req_identifications_requirement_legal_basis_articles(req_identification_id, requirement_id, legal_basis_id, article_id)
+        ON DELETE CASCADE,
+    FOREIGN KEY (subunit_id) REFERENCES article_subunits(id) ON DELETE CASCADE
+);
+
+-- Table: req_identifications_article_evaluations
+-- Description: Every article the model evaluated for a requirement under a legal basis, relevant or not, so retries skip it.
+CREATE TABLE IF NOT EXISTS req_identifications_article_evaluations (
+    req_identification_id INT NOT NULL,
+    requirement_id        INT NOT NULL,
+    legal_basis_id        INT NOT NULL,
+    article_id            INT NOT NULL,
+    is_relevant           BOOLEAN NOT NULL,
+    evaluated_at          DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (req_identification_id, requirement_id, legal_basis_id, article_id),
+    FOREIGN KEY (req_identification_id, requirement_id, legal_basis_id)
+        REFERENCES req_identifications_requirement_legal_basis(req_identification_id, requirement_id, legal_basis_id)
+        ON DELETE CASCADE,
+    FOREIGN KEY (article_id) REFERENCES article(id) ON DELETE CASCADE
+);
+
+-- Table: req_identifications_excluded_requirements
+-- Description: Requirements manually removed from an identification, so re-runs do not add them back.
+CREATE TABLE IF NOT EXISTS req_identifications_excluded_requirements (
+    req_identification_id INT NOT NULL,
+    requirement_id        INT NOT NULL,
+    excluded_by           BIGINT,
+    excluded_at           DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (req_identification_id, requirement_id),
+    FOREIGN KEY (req_identification_id) REFERENCES req_identifications(id) ON DELETE CASCADE,
+    FOREIGN KEY (requirement_id) REFERENCES requirements(id) ON DELETE CASCADE,
+    FOREIGN KEY (excluded_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Table: req_identifications_excluded_articles
+-- Description: Article citations manually removed from a requirement, so re-runs do not add them back.
+CREATE TABLE IF NOT EXISTS req_identifications_excluded_articles (
+    req_identification_id INT NOT NULL,
+    requirement_id        INT NOT NULL,
+    legal_basis_id        INT NOT NULL,
+    article_id            INT NOT NULL,
+    excluded_by           BIGINT,
+    excluded_at           DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (req_identification_id, requirement_id, legal_basis_id, article_id),
+    FOREIGN KEY (req_identification_id) REFERENCES req_identifications(id) ON DELETE CASCADE,
+    FOREIGN KEY (article_id) REFERENCES article(id) ON DELETE CASCADE,
+    FOREIGN KEY (excluded_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Table: audit_logs
+-- Description: Append-only record of every mutating API call, with the state of the entity
+-- before and after the change. user_id has no foreign key so entries outlive deleted users.
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id          BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id     BIGINT DEFAULT NULL,
+    action      VARCHAR(50) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id   VARCHAR(64) DEFAULT NULL,
+    before_data JSON DEFAULT NULL,
+    after_data  JSON DEFAULT NULL,
+    method      VARCHAR(10) NOT NULL,
+    path        VARCHAR(255) NOT NULL,
+    ip_address  VARCHAR(45) DEFAULT NULL,
+    created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_audit_logs_user (user_id, created_at),
+    INDEX idx_audit_logs_entity (entity_type, entity_id, created_at),
+    INDEX idx_audit_logs_created (created_at)
 );
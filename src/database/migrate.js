@@ -1,10 +1,144 @@
 import { pool } from '../config/db.config.js'
 import fs from 'fs/promises'
 
+const SEARCH_COLLATION = 'utf8mb4_0900_ai_ci'
+
+/**
+ * @typedef {Object} SchemaUpgrade
+ * @property {string} table - The upgraded table.
+ * @property {string} [column] - The column the upgrade adds, or whose type it changes.
+ * @property {string} [type] - The data type of `column` the upgrade changes.
+ * @property {string} [index] - The index the upgrade adds.
+ * @property {string} [collation] - The collation the upgrade converts the table to.
+ * @property {string|string[]} sql - The statements of the upgrade.
+ */
+
+/**
+ * Changes made to tables after they were first deployed. `CREATE TABLE IF NOT EXISTS` leaves
+ * existing tables untouched, so each change is applied to a table that already exists only
+ * when `information_schema` shows it is missing.
+ * @type {SchemaUpgrade[]}
+ */
+const SCHEMA_UPGRADES = [
+  { table: 'req_identifications', column: 'failure_reason', sql: 'ALTER TABLE req_identifications ADD COLUMN failure_reason TEXT AFTER status' },
+  { table: 'req_identifications', column: 'completed_at', sql: 'ALTER TABLE req_identifications ADD COLUMN completed_at DATETIME AFTER failure_reason' },
+  {
+    table: 'req_identifications_requirement_legal_basis',
+    column: 'is_outdated',
+    sql: `ALTER TABLE req_identifications_requirement_legal_basis
+      ADD COLUMN is_outdated BOOLEAN NOT NULL DEFAULT FALSE AFTER legal_basis_id,
+      ADD COLUMN outdated_at DATETIME AFTER is_outdated`
+  },
+  ...[
+    'req_identifications_requirements',
+    'req_identifications_requirement_legal_verbs',
+    'req_identifications_requirement_legal_basis',
+    'req_identifications_requirement_legal_basis_articles'
+  ].map((table) => ({
+    table,
+    column: 'source',
+    sql: `ALTER TABLE ${table}
+      ADD COLUMN source ENUM('AI', 'Manual') NOT NULL DEFAULT 'AI',
+      ADD COLUMN updated_by BIGINT,
+      ADD COLUMN updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      ADD FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL`
+  })),
+  { table: 'roles', column: 'name', type: 'enum', sql: 'ALTER TABLE roles MODIFY name VARCHAR(100) NOT NULL' },
+  { table: 'roles', column: 'description', sql: 'ALTER TABLE roles ADD COLUMN description VARCHAR(255) DEFAULT NULL' },
+  { table: 'verification_codes', column: 'attempts', sql: 'ALTER TABLE verification_codes ADD COLUMN attempts INT NOT NULL DEFAULT 0' },
+  { table: 'verification_codes', column: 'reset_token_hash', sql: 'ALTER TABLE verification_codes ADD COLUMN reset_token_hash CHAR(64) DEFAULT NULL UNIQUE' },
+  { table: 'verification_codes', column: 'reset_token_expires_at', sql: 'ALTER TABLE verification_codes ADD COLUMN reset_token_expires_at TIMESTAMP NULL DEFAULT NULL' },
+  { table: 'verification_codes', column: 'used_at', sql: 'ALTER TABLE verification_codes ADD COLUMN used_at TIMESTAMP NULL DEFAULT NULL' },
+  { table: 'verification_codes', index: 'idx_verification_codes_gmail', sql: 'ALTER TABLE verification_codes ADD INDEX idx_verification_codes_gmail (gmail)' },
+  { table: 'legal_basis', collation: SEARCH_COLLATION, sql: `ALTER TABLE legal_basis CONVERT TO CHARACTER SET utf8mb4 COLLATE ${SEARCH_COLLATION}` },
+  { table: 'legal_basis', index: 'legal_name', sql: 'ALTER TABLE legal_basis ADD FULLTEXT legal_name (legal_name, abbreviation)' },
+  { table: 'article', collation: SEARCH_COLLATION, sql: `ALTER TABLE article CONVERT TO CHARACTER SET utf8mb4 COLLATE ${SEARCH_COLLATION}` },
+  { table: 'requirements', collation: SEARCH_COLLATION, sql: `ALTER TABLE requirements CONVERT TO CHARACTER SET utf8mb4 COLLATE ${SEARCH_COLLATION}` },
+  { table: 'requirement_types', collation: SEARCH_COLLATION, sql: `ALTER TABLE requirement_types CONVERT TO CHARACTER SET utf8mb4 COLLATE ${SEARCH_COLLATION}` },
+  { table: 'legal_verbs', collation: SEARCH_COLLATION, sql: `ALTER TABLE legal_verbs CONVERT TO CHARACTER SET utf8mb4 COLLATE ${SEARCH_COLLATION}` },
+  { table: 'article', column: 'source_page', sql: 'ALTER TABLE article ADD COLUMN source_page INT NULL AFTER article_order' },
+  {
+    table: 'article',
+    column: 'parent_id',
+    sql: `ALTER TABLE article
+      ADD COLUMN parent_id INT NULL AFTER legal_basis_id,
+      ADD FOREIGN KEY (parent_id) REFERENCES article(id) ON DELETE SET NULL`
+  },
+  {
+    table: 'article',
+    column: 'section_kind',
+    sql: `ALTER TABLE article
+      ADD COLUMN section_kind ENUM('title', 'chapter', 'section', 'article', 'transitory', 'annex', 'preamble') NULL AFTER parent_id`
+  },
+  { table: 'user_two_factor', column: 'last_used_counter', sql: 'ALTER TABLE user_two_factor ADD COLUMN last_used_counter BIGINT DEFAULT NULL AFTER secret' },
+  {
+    table: 'article_embeddings',
+    column: 'norm',
+    sql: [
+      'DELETE FROM article_embeddings',
+      'ALTER TABLE article_embeddings ADD COLUMN norm DOUBLE NOT NULL AFTER embedding'
+    ]
+  },
+  {
+    table: 'article_revisions',
+    column: 'section_kind',
+    sql: `ALTER TABLE article_revisions
+      ADD COLUMN source_page INT NULL AFTER article_order,
+      ADD COLUMN parent_id INT NULL AFTER source_page,
+      ADD COLUMN section_kind ENUM('title', 'chapter', 'section', 'article', 'transitory', 'annex', 'preamble') NULL AFTER parent_id`
+  },
+  {
+    table: 'requirement_embeddings',
+    column: 'norm',
+    sql: [
+      'DELETE FROM requirement_embeddings',
+      'ALTER TABLE requirement_embeddings ADD COLUMN norm DOUBLE NOT NULL AFTER embedding'
+    ]
+  }
+]
+
+/**
+ * Tells whether a schema upgrade still has to be applied to the current database.
+ * Upgrades of tables that do not exist yet are skipped, since `database.sql` creates them
+ * with the change already in place.
+ * @param {import('mysql2/promise').PoolConnection} connection - The migration connection.
+ * @param {SchemaUpgrade} upgrade - The upgrade.
+ * @returns {Promise<boolean>} - True if the upgrade is pending.
+ */
+async function isPending (connection, upgrade) {
+  const [tables] = await connection.query(
+    `SELECT TABLE_COLLATION AS collation
+     FROM information_schema.TABLES
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [upgrade.table]
+  )
+  if (tables.length === 0) return false
+  if (upgrade.collation) return tables[0].collation !== upgrade.collation
+  if (upgrade.index) {
+    const [indexes] = await connection.query(
+      `SELECT 1
+       FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?
+       LIMIT 1`,
+      [upgrade.table, upgrade.index]
+    )
+    return indexes.length === 0
+  }
+  const [columns] = await connection.query(
+    `SELECT DATA_TYPE AS dataType
+     FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [upgrade.table, upgrade.column]
+  )
+  if (upgrade.type) return columns.length > 0 && columns[0].dataType === upgrade.type
+  return columns.length === 0
+}
+
 /**
  * Reads and executes SQL migration statements from the `database.sql` file.
- * This function connects to the database and sequentially runs each SQL statement
- * to create or modify tables as defined in the migration script.
+ * This function connects to the database, applies the pending SCHEMA_UPGRADES to the tables
+ * that already exist, and then sequentially runs each SQL statement to create the missing
+ * tables and seed the built-in rows. Running it again is a no-op.
  *
  * @async
  * @function migrate
@@ -19,6 +153,14 @@ async function migrate () {
       .filter(statement => statement.length > 0)
     const connection = await pool.getConnection()
     try {
+      for (const upgrade of SCHEMA_UPGRADES) {
+        if (await isPending(connection, upgrade)) {
+          for (const statement of [].concat(upgrade.sql)) {
+            await connection.query(statement)
+          }
+          console.info(`⬆️  Upgraded table ${upgrade.table}.`)
+        }
+      }
       for (const statement of statements) {
         await connection.query(statement)
       }
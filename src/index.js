@@ -7,6 +7,7 @@
 import { app } from './app.js'
 import { PORT } from './config/variables.config.js'
 import { initializeAdmin } from './config/init.config.js'
+import ReqIdentifyService from './services/reqIdentification/reqIdentify/ReqIdentify.service.js'
 
 const serverPort = Number(PORT || 3000)
 
@@ -26,6 +27,13 @@ let server
 if (process.env.NODE_ENV !== 'test') {
   initializeAdmin()
 
+  /**
+   * Synchronize requirement identifications left active by a previous worker run.
+   */
+  ReqIdentifyService.syncReqIdentificationsStatus().catch((error) => {
+    console.error('Error synchronizing requirement identifications status:', error.message)
+  })
+
   /**
    * Start the server and listen on the specified port.
    */
@@ -0,0 +1,73 @@
+/**
+ * Middleware factory that records mutating calls in the audit log.
+ * @module Audit
+ */
+
+import AuditService from '../services/audit/Audit.service.js'
+
+/**
+ * @typedef {Object} AuditOptions
+ * @property {string} [idParam] - Route parameter holding the ID of the affected entity.
+ * @property {string} [idsField] - Body field holding the IDs of the affected entities, for batch calls.
+ * @property {string} [responseKey] - Response body field holding the affected entity or its ID,
+ *   used when the ID is not known before the call, e.g. on creation.
+ */
+
+/**
+ * Creates a middleware that records the call in the audit log when the controller responds
+ * with a 2xx status. The state of the affected entities is captured before the controller
+ * runs and again before the response is sent. Must be placed after UserExtractor.
+ * @param {string} entityType - The type of the affected entity, e.g. 'legalBasis'.
+ * @param {string} action - The action performed, e.g. 'create', 'update' or 'delete'.
+ * @param {AuditOptions} [options] - Where to find the IDs of the affected entities.
+ * @returns {import('express').RequestHandler} - The middleware.
+ */
+const Audit = (entityType, action, { idParam, idsField, responseKey } = {}) =>
+  async (req, res, next) => {
+    const requestIds = idsField
+      ? (Array.isArray(req.body?.[idsField]) ? req.body[idsField] : [])
+      : idParam && req.params[idParam] != null
+        ? [req.params[idParam]]
+        : []
+    const before = await Promise.all(
+      requestIds.map((id) => AuditService.snapshot(entityType, id))
+    )
+    const json = res.json.bind(res)
+    const send = res.send.bind(res)
+    let responseBody
+    let recorded = false
+    res.json = (body) => {
+      responseBody = body
+      return json(body)
+    }
+    res.send = (body) => {
+      if (recorded || res.statusCode < 200 || res.statusCode >= 300) {
+        return send(body)
+      }
+      recorded = true
+      let entityIds = requestIds
+      if (entityIds.length === 0 && responseKey) {
+        const value = responseBody?.[responseKey]
+        const createdId = value && typeof value === 'object' ? value.id : value
+        entityIds = createdId != null ? [createdId] : []
+      }
+      AuditService.recordCall({
+        userId: req.userId ?? null,
+        action,
+        entityType,
+        entityIds,
+        before,
+        method: req.method,
+        path: req.originalUrl,
+        ipAddress: req.ip
+      })
+        .catch((error) => {
+          console.error('Error recording audit log:', error.message)
+        })
+        .finally(() => send(body))
+      return res
+    }
+    next()
+  }
+
+export default Audit
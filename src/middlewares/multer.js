@@ -5,7 +5,32 @@
 import multer from 'multer'
 
 /**
- * The Multer upload middleware configured with default settings.
+ * Largest file accepted in an upload, in bytes (50 MB).
+ * Uploads are held in memory until they are stored in S3.
+ */
+export const MAX_UPLOAD_FILE_SIZE = 50 * 1024 * 1024
+
+/**
+ * The Multer upload middleware, keeping files in memory up to MAX_UPLOAD_FILE_SIZE.
  * @type {multer.Multer}
  */
-export const upload = multer()
+export const upload = multer({
+  limits: { fileSize: MAX_UPLOAD_FILE_SIZE }
+})
+
+/**
+ * Error-handling middleware that answers upload errors raised by Multer,
+ * such as a file over MAX_UPLOAD_FILE_SIZE, and passes any other error on.
+ * @type {import('express').ErrorRequestHandler}
+ */
+export const handleUploadError = (err, _req, res, next) => {
+  if (!(err instanceof multer.MulterError)) {
+    return next(err)
+  }
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      message: `File too large. The maximum size is ${MAX_UPLOAD_FILE_SIZE / (1024 * 1024)} MB`
+    })
+  }
+  return res.status(400).json({ message: err.message })
+}
@@ -1,31 +1,44 @@
 /**
  * Optional user extractor middleware.
- * Extracts userId from JWT if present and valid. Does not block the request.
+ * Extracts userId from JWT if present, valid and its session is active. Does not block the request.
  *
  * @module OptionalUserExtractor
  */
 import jwt from 'jsonwebtoken'
 import { JWT_SECRET } from '../config/variables.config.js'
+import UserSessionsService from '../services/users/userSessions/UserSessions.service.js'
 
 /**
- * Extracts userId from JWT if present and valid. Does not block the request.
+ * Extracts userId from JWT if present, valid and its session has not been revoked.
+ * Does not block the request.
  * @param {import('express').Request} req - Express request object.
  * @param {import('express').Response} _res - Express response object.
  * @param {import('express').NextFunction} next - Next middleware function.
  */
-const OptionalUserExtractor = (req, _res, next) => {
+const OptionalUserExtractor = async (req, _res, next) => {
   const authorization = req.get('authorization')
   let token = ''
   if (authorization && authorization.toLowerCase().startsWith('bearer')) {
     token = authorization.substring(7)
   }
   if (!token) return next()
-  jwt.verify(token, JWT_SECRET, (err, decodedToken) => {
-    if (!err && decodedToken?.userForToken?.id) {
-      req.userId = decodedToken.userForToken.id
+  let decodedToken
+  try {
+    decodedToken = jwt.verify(token, JWT_SECRET)
+  } catch (error) {
+    return next()
+  }
+  const userId = decodedToken?.userForToken?.id
+  const sessionId = decodedToken?.sessionId
+  if (!userId || !sessionId) return next()
+  try {
+    if (await UserSessionsService.isSessionActive(sessionId, userId)) {
+      req.userId = userId
     }
-    next()
-  })
+  } catch (error) {
+    console.error('Error checking the session of an optional user:', error.message)
+  }
+  next()
 }
 
 export default OptionalUserExtractor
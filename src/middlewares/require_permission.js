@@ -0,0 +1,31 @@
+/**
+ * Middleware factory for route-level authorization.
+ * Must run after UserExtractor, which sets the user ID in the request object.
+ * @module RequirePermission
+ */
+
+import UserService from '../services/users/User.service.js'
+
+/**
+ * Creates a middleware that only lets the request through if the user's role
+ * grants at least one of the given permissions; otherwise, returns a 403 error.
+ * @param {...string} permissions - Accepted permission names (e.g. 'legalBasis:write').
+ * @returns {import('express').RequestHandler} - The authorization middleware.
+ */
+const RequirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    const userPermissions = await UserService.getPermissions(req.userId)
+    const isAuthorized = permissions.some((permission) =>
+      userPermissions.includes(permission)
+    )
+    if (!isAuthorized) {
+      return res.status(403).json({ message: 'Unauthorized' })
+    }
+    req.permissions = userPermissions
+    next()
+  } catch (error) {
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
+}
+
+export default RequirePermission
@@ -1,20 +1,22 @@
 /**
  * Middleware for extracting and verifying the JWT token from the request.
- * Adds the user ID to the request object if the token is valid.
+ * Adds the user ID and session ID to the request object if the token is valid.
  * @module UserExtractor
  */
 
 import jwt from 'jsonwebtoken'
 import { JWT_SECRET } from '../config/variables.config.js'
+import UserSessionsService from '../services/users/userSessions/UserSessions.service.js'
 
 /**
  * Extracts and verifies the JWT token from the 'Authorization' header.
- * If valid, sets the user ID in the request object; otherwise, returns a 401 error.
+ * If valid and its session has not been revoked, sets the user ID and session ID
+ * in the request object; otherwise, returns a 401 error.
  * @param {import('express').Request} req - Express request object.
  * @param {import('express').Response} res - Express response object.
  * @param {import('express').NextFunction} next - Next middleware function.
  */
-const UserExtractor = (req, res, next) => {
+const UserExtractor = async (req, res, next) => {
   const authorization = req.get('authorization')
   let token = ''
   if (authorization && authorization.toLowerCase().startsWith('bearer')) {
@@ -26,11 +28,24 @@ const UserExtractor = (req, res, next) => {
   } catch (error) {
     return res.status(401).send({ error: 'token missing or invalid' })
   }
-  if (!token || !decodedToken.userForToken.id) {
+  if (!token || !decodedToken.userForToken?.id || !decodedToken.sessionId) {
     return res.status(401).send({ error: 'token missing or invalid' })
   }
   const { id: userId } = decodedToken.userForToken
+  const { sessionId } = decodedToken
+  try {
+    const isSessionActive = await UserSessionsService.isSessionActive(
+      sessionId,
+      userId
+    )
+    if (!isSessionActive) {
+      return res.status(401).send({ error: 'token missing or invalid' })
+    }
+  } catch (error) {
+    return res.status(500).json({ message: 'Internal Server Error' })
+  }
   req.userId = userId
+  req.sessionId = sessionId
   next()
 }
 
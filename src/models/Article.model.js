@@ -1,7 +1,29 @@
 /**
  * Class representing an Article.
+ * Articles form the outline of their legal basis: titles, chapters and sections contain
+ * the rows whose parent they are.
  */
 class Article {
+  /**
+   * Kinds of rows of a legal basis outline.
+   * @type {string[]}
+   */
+  static SECTION_KINDS = [
+    'title',
+    'chapter',
+    'section',
+    'article',
+    'transitory',
+    'annex',
+    'preamble'
+  ]
+
+  /**
+   * Kinds of rows that only group or introduce the norms, so they hold no obligations.
+   * @type {string[]}
+   */
+  static NON_NORMATIVE_SECTION_KINDS = ['title', 'chapter', 'section', 'preamble']
+
   /**
    * Constructs an Article instance.
    * @param {number} id - The ID of the article.
@@ -9,13 +31,28 @@ class Article {
    * @param {string} articleName - The title of the article.
    * @param {string} description - The content of the article.
    * @param {number} articleOrder - The order of the article.
+   * @param {number|null} [sourcePage=null] - The page of the document where the article starts.
+   * @param {number|null} [parentId=null] - The ID of the title, chapter or section containing the article.
+   * @param {string|null} [sectionKind=null] - The kind of row, one of SECTION_KINDS, or null if unknown.
    */
-  constructor (id, legalBasisId, articleName, description, articleOrder) {
+  constructor (
+    id,
+    legalBasisId,
+    articleName,
+    description,
+    articleOrder,
+    sourcePage = null,
+    parentId = null,
+    sectionKind = null
+  ) {
     this.id = id
     this.legal_basis_id = legalBasisId
     this.article_name = articleName
     this.description = description
     this.article_order = articleOrder
+    this.source_page = sourcePage
+    this.parent_id = parentId
+    this.section_kind = sectionKind
   }
 }
 
@@ -0,0 +1,51 @@
+/** @typedef {import('./User.model.js').default} User */
+
+/**
+ * Class representing an immutable revision of an Article.
+ */
+class ArticleRevision {
+  /**
+   * Constructs an ArticleRevision instance.
+   * @param {number} id - The ID of the revision.
+   * @param {number} articleId - The ID of the revised article.
+   * @param {number} legalBasisId - The ID of the legal basis the article belongs to.
+   * @param {'Create'|'Update'|'Delete'|'Restore'} action - The change that produced the revision.
+   * @param {string} articleName - The title of the article at this revision.
+   * @param {string} description - The content of the article at this revision.
+   * @param {number} articleOrder - The order of the article at this revision.
+   * @param {number|null} sourcePage - The page of the document where the article starts.
+   * @param {number|null} parentId - The ID of the title, chapter or section containing the article at this revision.
+   * @param {string|null} sectionKind - The kind of row at this revision, one of Article.SECTION_KINDS.
+   * @param {User|null} user - The user who made the change, if known.
+   * @param {Date} createdAt - When the revision was recorded.
+   */
+  constructor (
+    id,
+    articleId,
+    legalBasisId,
+    action,
+    articleName,
+    description,
+    articleOrder,
+    sourcePage,
+    parentId,
+    sectionKind,
+    user,
+    createdAt
+  ) {
+    this.id = id
+    this.article_id = articleId
+    this.legal_basis_id = legalBasisId
+    this.action = action
+    this.article_name = articleName
+    this.description = description
+    this.article_order = articleOrder
+    this.source_page = sourcePage
+    this.parent_id = parentId
+    this.section_kind = sectionKind
+    this.user = user
+    this.created_at = createdAt
+  }
+}
+
+export default ArticleRevision
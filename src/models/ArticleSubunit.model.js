@@ -0,0 +1,37 @@
+/**
+ * Class representing a párrafo, fracción or inciso of an Article.
+ */
+class ArticleSubunit {
+  /**
+   * Constructs an ArticleSubunit instance.
+   * @param {number} id - The ID of the sub-unit.
+   * @param {number} articleId - The ID of the article the sub-unit belongs to.
+   * @param {number|null} parentId - The ID of the fraction or paragraph containing an inciso.
+   * @param {'paragraph'|'fraction'|'inciso'} unitKind - The kind of sub-unit.
+   * @param {string} label - The number of the sub-unit as cited ("segundo", "IV", "b").
+   * @param {string} citation - The reference to the sub-unit within its article ("fracción IV, inciso b)").
+   * @param {string} content - The text of the sub-unit.
+   * @param {number} unitOrder - The position of the sub-unit in the article.
+   */
+  constructor (
+    id,
+    articleId,
+    parentId,
+    unitKind,
+    label,
+    citation,
+    content,
+    unitOrder
+  ) {
+    this.id = id
+    this.article_id = articleId
+    this.parent_id = parentId
+    this.unit_kind = unitKind
+    this.label = label
+    this.citation = citation
+    this.content = content
+    this.unit_order = unitOrder
+  }
+}
+
+export default ArticleSubunit
@@ -0,0 +1,51 @@
+/** @typedef {import('./User.model.js').default} User */
+
+/**
+ * Class representing an entry of the audit log.
+ */
+class AuditLog {
+  /**
+   * Constructs an AuditLog instance.
+   * @param {number} id - The ID of the entry.
+   * @param {number|null} userId - The ID of the user who made the call.
+   * @param {User|null} user - The user who made the call, if it still exists.
+   * @param {string} action - The action performed, e.g. 'create', 'update' or 'delete'.
+   * @param {string} entityType - The type of the affected entity, e.g. 'legalBasis'.
+   * @param {string|null} entityId - The ID of the affected entity, if known.
+   * @param {Object|null} before - The state of the entity before the call.
+   * @param {Object|null} after - The state of the entity after the call.
+   * @param {string} method - The HTTP method of the call.
+   * @param {string} path - The path of the call.
+   * @param {string|null} ipAddress - The IP address of the client.
+   * @param {Date} createdAt - When the call was made.
+   */
+  constructor (
+    id,
+    userId,
+    user,
+    action,
+    entityType,
+    entityId,
+    before,
+    after,
+    method,
+    path,
+    ipAddress,
+    createdAt
+  ) {
+    this.id = id
+    this.user_id = userId
+    this.user = user
+    this.action = action
+    this.entity_type = entityType
+    this.entity_id = entityId
+    this.before = before
+    this.after = after
+    this.method = method
+    this.path = path
+    this.ip_address = ipAddress
+    this.created_at = createdAt
+  }
+}
+
+export default AuditLog
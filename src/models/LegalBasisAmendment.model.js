@@ -0,0 +1,66 @@
+/**
+ * Class representing an amendment of a reform decree to an article of another legal basis.
+ * Amendments are extracted as 'pending'; an analyst approves or rejects them, and the approved
+ * ones are applied to the articles of their target legal basis.
+ */
+class LegalBasisAmendment {
+  /**
+   * What an amendment does to its article.
+   * @type {string[]}
+   */
+  static ACTIONS = ['reform', 'addition', 'repeal']
+
+  /**
+   * Review states of an amendment.
+   * @type {string[]}
+   */
+  static STATUSES = ['pending', 'approved', 'rejected', 'applied']
+
+  /**
+   * Constructs a LegalBasisAmendment instance.
+   * @param {number} id - The ID of the amendment.
+   * @param {number} decreeId - The ID of the decree legal basis.
+   * @param {number|null} targetId - The ID of the amended legal basis, or null if it is not in the catalog.
+   * @param {string|null} targetName - The name of the amended legal basis, as written in the decree.
+   * @param {'reform'|'addition'|'repeal'} action - What the decree does to the article.
+   * @param {string} articleName - The name of the amended article.
+   * @param {string|null} content - The new text of the article.
+   * @param {number} amendmentOrder - The position of the amendment in the decree.
+   * @param {'pending'|'approved'|'rejected'|'applied'} status - The review state.
+   * @param {number|null} articleId - The ID of the article the amendment was applied to.
+   * @param {number|null} reviewedBy - The ID of the user who last reviewed the amendment.
+   * @param {Date|null} reviewedAt - When the amendment was last reviewed.
+   * @param {Date|null} appliedAt - When the amendment was applied.
+   */
+  constructor (
+    id,
+    decreeId,
+    targetId,
+    targetName,
+    action,
+    articleName,
+    content,
+    amendmentOrder,
+    status,
+    articleId,
+    reviewedBy,
+    reviewedAt,
+    appliedAt
+  ) {
+    this.id = id
+    this.decree_id = decreeId
+    this.target_id = targetId
+    this.target_name = targetName
+    this.action = action
+    this.article_name = articleName
+    this.content = content
+    this.amendment_order = amendmentOrder
+    this.status = status
+    this.article_id = articleId
+    this.reviewed_by = reviewedBy
+    this.reviewed_at = reviewedAt
+    this.applied_at = appliedAt
+  }
+}
+
+export default LegalBasisAmendment
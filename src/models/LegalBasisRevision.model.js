@@ -0,0 +1,60 @@
+/** @typedef {import('./User.model.js').default} User */
+
+/**
+ * Class representing an immutable revision of a Legal Basis.
+ */
+class LegalBasisRevision {
+  /**
+   * Constructs a LegalBasisRevision instance.
+   * @param {number} id - The ID of the revision.
+   * @param {number} legalBasisId - The ID of the revised legal basis.
+   * @param {'Create'|'Update'|'Delete'|'Restore'} action - The change that produced the revision.
+   * @param {string} legalName - The name of the legal document at this revision.
+   * @param {string} abbreviation - The abbreviation of the legal document at this revision.
+   * @param {string} classification - The type of legal document at this revision.
+   * @param {string} jurisdiction - The jurisdiction of the legal document at this revision.
+   * @param {string} state - The state at this revision, if applicable.
+   * @param {string} municipality - The municipality at this revision, if applicable.
+   * @param {string} url - The document key at this revision.
+   * @param {Date} lastReform - The date of the last reform at this revision.
+   * @param {number} subjectId - The ID of the subject at this revision.
+   * @param {number[]} aspectsIds - The IDs of the aspects at this revision.
+   * @param {User|null} user - The user who made the change, if known.
+   * @param {Date} createdAt - When the revision was recorded.
+   */
+  constructor (
+    id,
+    legalBasisId,
+    action,
+    legalName,
+    abbreviation,
+    classification,
+    jurisdiction,
+    state,
+    municipality,
+    url,
+    lastReform,
+    subjectId,
+    aspectsIds,
+    user,
+    createdAt
+  ) {
+    this.id = id
+    this.legal_basis_id = legalBasisId
+    this.action = action
+    this.legal_name = legalName
+    this.abbreviation = abbreviation
+    this.classification = classification
+    this.jurisdiction = jurisdiction
+    this.state = state
+    this.municipality = municipality
+    this.url = url
+    this.last_reform = lastReform
+    this.subject_id = subjectId
+    this.aspects_ids = aspectsIds
+    this.user = user
+    this.created_at = createdAt
+  }
+}
+
+export default LegalBasisRevision
@@ -0,0 +1,18 @@
+/**
+ * Class representing a Permission.
+ */
+class Permission {
+  /**
+   * Constructs a Permission instance.
+   * @param {number} id - The ID of the permission.
+   * @param {string} name - The name of the permission (e.g. 'legalBasis:write').
+   * @param {string|null} description - The description of the permission.
+   */
+  constructor (id, name, description) {
+    this.id = id
+    this.name = name
+    this.description = description
+  }
+}
+
+export default Permission
@@ -20,6 +20,12 @@
 /** @typedef {import('./LegalVerbs.model.js').default} LegalVerb */
 /** @typedef {import('./LegalBasis.model.js').default} LegalBasis */
 /** @typedef {import('./Article.model.js').default} Article */
+/** @typedef {import('./ArticleSubunit.model.js').default} ArticleSubunit */
+
+/**
+ * Origin of an entry in a requirement identification.
+ * @typedef {'AI' | 'Manual'} Source
+ */
 
 /**
  * Class representing an Article associated with a Legal Basis.
@@ -30,10 +36,16 @@ export class ReqIdentificationRequirementLegalBasisArticle {
    *
    * @param {Article} article - The article object.
    * @param {string} articleType - Type of article.
+   * @param {Source} [source='AI'] - Whether the citation was identified by the AI or curated manually.
+   * @param {number|null} [updatedBy=null] - The ID of the user who last curated the citation.
+   * @param {ArticleSubunit[]} [subunits=[]] - The cited párrafos, fracciones and incisos; empty when the whole article is cited.
    */
-  constructor (article, articleType) {
+  constructor (article, articleType, source = 'AI', updatedBy = null, subunits = []) {
     this.article = article
     this.articleType = articleType
+    this.source = source
+    this.updatedBy = updatedBy
+    this.subunits = subunits
   }
 }
 
@@ -46,10 +58,14 @@ export class ReqIdentificationRequirementLegalBasis {
    *
    * @param {LegalBasis} legalBasis - The legal basis object.
    * @param {ReqIdentificationRequirementLegalBasisArticle[]} articles - List of associated articles.
+   * @param {Source} [source='AI'] - Whether the legal basis was identified by the AI or added manually.
+   * @param {number|null} [updatedBy=null] - The ID of the user who added the legal basis manually.
    */
-  constructor (legalBasis, articles) {
+  constructor (legalBasis, articles, source = 'AI', updatedBy = null) {
     this.legalBasis = legalBasis
     this.articles = articles
+    this.source = source
+    this.updatedBy = updatedBy
   }
 }
 
@@ -62,10 +78,14 @@ export class ReqIdentificationRequirementLegalVerb {
    *
    * @param {LegalVerb} legalVerb - The legal verb object.
    * @param {string} translation - The translated verb.
+   * @param {Source} [source='AI'] - Whether the translation was generated by the AI or edited manually.
+   * @param {number|null} [updatedBy=null] - The ID of the user who last edited the translation.
    */
-  constructor (legalVerb, translation) {
+  constructor (legalVerb, translation, source = 'AI', updatedBy = null) {
     this.legalVerb = legalVerb
     this.translation = translation
+    this.source = source
+    this.updatedBy = updatedBy
   }
 }
 /**
@@ -81,6 +101,8 @@ export class ReqIdentificationRequirement {
    * @param {RequirementType} requirementType - The type of the requirement.
    * @param {ReqIdentificationRequirementLegalVerb[]} legalVerbs - Translated legal verbs.
    * @param {ReqIdentificationRequirementLegalBasis[]} legalBases - Associated legal bases.
+   * @param {Source} [source='AI'] - Whether the requirement was identified by the AI or added manually.
+   * @param {number|null} [updatedBy=null] - The ID of the user who added the requirement manually.
    */
   constructor (
     reqIdentificationId,
@@ -88,7 +110,9 @@ export class ReqIdentificationRequirement {
     requirementName,
     requirementType,
     legalVerbs,
-    legalBases
+    legalBases,
+    source = 'AI',
+    updatedBy = null
   ) {
     this.reqIdentificationId = reqIdentificationId
     this.requirement = requirement
@@ -96,6 +120,8 @@ export class ReqIdentificationRequirement {
     this.requirementType = requirementType
     this.legalVerbs = legalVerbs
     this.legalBases = legalBases
+    this.source = source
+    this.updatedBy = updatedBy
   }
 }
 
@@ -117,6 +143,8 @@ export class ReqIdentification {
    * @param {string} jurisdiction - Jurisdiction level.
    * @param {string} state - State name if applicable.
    * @param {string} municipality - Municipality name if applicable.
+   * @param {string|null} failureReason - Reason why the identification failed, if applicable.
+   * @param {Date|null} completedAt - Completion date, if applicable.
    */
   constructor (
     id,
@@ -129,7 +157,9 @@ export class ReqIdentification {
     aspects,
     jurisdiction,
     state,
-    municipality
+    municipality,
+    failureReason,
+    completedAt
   ) {
     this.id = id
     this.name = name
@@ -142,5 +172,7 @@ export class ReqIdentification {
     this.jurisdiction = jurisdiction
     this.state = state
     this.municipality = municipality
+    this.failureReason = failureReason
+    this.completedAt = completedAt
   }
 }
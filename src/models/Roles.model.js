@@ -6,10 +6,16 @@ class Role {
    * Constructs a Role instance.
    * @param {number} id - The ID of the role.
    * @param {string} role - The name of the role.
+   * @param {string|null} [description=null] - The description of the role.
+   * @param {string[]} [permissions] - The names of the permissions granted by the role.
    */
-  constructor (id, role) {
+  constructor (id, role, description = null, permissions) {
     this.id = id
     this.role = role
+    this.description = description
+    if (permissions) {
+      this.permissions = permissions
+    }
   }
 }
 
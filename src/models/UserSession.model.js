@@ -0,0 +1,38 @@
+/**
+ * Class representing a User Session.
+ * A session is created on login and kept alive by rotating its refresh token.
+ */
+class UserSession {
+  /**
+   * Constructs a UserSession instance.
+   * @param {string} id - The ID of the session.
+   * @param {number} userId - The ID of the user that owns the session.
+   * @param {string|null} ipAddress - The IP address the session was created from.
+   * @param {string|null} userAgent - The user agent the session was created from.
+   * @param {Date} createdAt - The creation date of the session.
+   * @param {Date} lastUsedAt - The last time the refresh token was used.
+   * @param {Date} expiresAt - The expiration date of the refresh token.
+   * @param {Date|null} revokedAt - The revocation date, or null if the session is active.
+   */
+  constructor (
+    id,
+    userId,
+    ipAddress,
+    userAgent,
+    createdAt,
+    lastUsedAt,
+    expiresAt,
+    revokedAt
+  ) {
+    this.id = id
+    this.userId = userId
+    this.ipAddress = ipAddress
+    this.userAgent = userAgent
+    this.createdAt = createdAt
+    this.lastUsedAt = lastUsedAt
+    this.expiresAt = expiresAt
+    this.revokedAt = revokedAt
+  }
+}
+
+export default UserSession
@@ -0,0 +1,18 @@
+import Queue from 'bull'
+import { redisConfig } from '../config/redis.config.js'
+
+/**
+ * The queue for embedding created and updated articles and requirements.
+ * @type {import('bull').Queue}
+ */
+const embeddingsQueue = new Queue('embeddingsQueue', {
+  redis: redisConfig,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: 10000,
+    removeOnComplete: 10,
+    removeOnFail: 5
+  }
+})
+
+export default embeddingsQueue
@@ -0,0 +1,17 @@
+import Queue from 'bull'
+import { redisConfig } from '../config/redis.config.js'
+
+/**
+ * The queue for processing requirement identification report jobs.
+ * @type {import('bull').Queue}
+ */
+const reqIdentificationReportQueue = new Queue('reqIdentificationReportQueue', {
+  redis: redisConfig,
+  defaultJobOptions: {
+    attempts: 1,
+    removeOnComplete: 10,
+    removeOnFail: 5
+  }
+})
+
+export default reqIdentificationReportQueue
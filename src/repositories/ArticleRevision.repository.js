@@ -0,0 +1,238 @@
+import { pool } from '../config/db.config.js'
+import HttpException from '../services/errors/HttpException.js'
+import ArticleRevision from '../models/ArticleRevision.model.js'
+import User from '../models/User.model.js'
+
+/**
+ * Repository class for handling database operations related to Article revisions.
+ * Revisions are append-only: they are never updated or deleted.
+ */
+class ArticleRevisionRepository {
+  /**
+   * Records a revision with the current state of each given article.
+   * @param {number[]} articleIds - The IDs of the articles.
+   * @param {'Create'|'Update'|'Delete'|'Restore'} action - The change being recorded.
+   * @param {number|null} userId - The ID of the user making the change.
+   * @param {import('mysql2/promise').Pool|import('mysql2/promise').PoolConnection} [connection=pool] - The
+   * connection of a transaction the insertion is part of.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async createFromArticles (articleIds, action, userId, connection = pool) {
+    if (articleIds.length === 0) return
+    const query = `
+    INSERT INTO article_revisions (
+      article_id, legal_basis_id, action, article_name, description,
+      plain_description, article_order, source_page, parent_id, section_kind, user_id
+    )
+    SELECT id, legal_basis_id, ?, article_name, description, plain_description, article_order,
+      source_page, parent_id, section_kind, ?
+    FROM article
+    WHERE id IN (?)
+  `
+    try {
+      await connection.query(query, [action, userId, articleIds])
+    } catch (error) {
+      console.error('Error creating article revisions:', error.message)
+      throw new HttpException(500, 'Error creating article revisions')
+    }
+  }
+
+  /**
+   * Records a revision for every article of a legal basis.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {'Create'|'Update'|'Delete'|'Restore'} action - The change being recorded.
+   * @param {number|null} userId - The ID of the user making the change.
+   * @param {number|null} [legalBasisRevisionId=null] - The legal basis revision that caused the change, if any.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async createFromLegalBasis (
+    legalBasisId,
+    action,
+    userId,
+    legalBasisRevisionId = null
+  ) {
+    const query = `
+    INSERT INTO article_revisions (
+      article_id, legal_basis_id, legal_basis_revision_id, action, article_name,
+      description, plain_description, article_order, source_page, parent_id, section_kind, user_id
+    )
+    SELECT id, legal_basis_id, ?, ?, article_name, description, plain_description, article_order,
+      source_page, parent_id, section_kind, ?
+    FROM article
+    WHERE legal_basis_id = ?
+  `
+    try {
+      await pool.query(query, [
+        legalBasisRevisionId,
+        action,
+        userId,
+        legalBasisId
+      ])
+    } catch (error) {
+      console.error('Error creating legal basis article revisions:', error.message)
+      throw new HttpException(500, 'Error creating legal basis article revisions')
+    }
+  }
+
+  /**
+   * Records a 'Create' revision for the articles of a legal basis that have no revisions yet.
+   * Used after bulk insertions, where the IDs of the new articles are not returned.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number|null} userId - The ID of the user making the change.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async createForUnrevisedArticles (legalBasisId, userId) {
+    const query = `
+    INSERT INTO article_revisions (
+      article_id, legal_basis_id, action, article_name, description,
+      plain_description, article_order, source_page, parent_id, section_kind, user_id
+    )
+    SELECT a.id, a.legal_basis_id, 'Create', a.article_name, a.description,
+      a.plain_description, a.article_order, a.source_page, a.parent_id, a.section_kind, ?
+    FROM article a
+    WHERE a.legal_basis_id = ?
+      AND NOT EXISTS (
+        SELECT 1 FROM article_revisions ar WHERE ar.article_id = a.id
+      )
+  `
+    try {
+      await pool.query(query, [userId, legalBasisId])
+    } catch (error) {
+      console.error('Error creating article revisions:', error.message)
+      throw new HttpException(500, 'Error creating article revisions')
+    }
+  }
+
+  /**
+   * Retrieves the article revisions of a legal basis, newest first.
+   * Includes revisions of articles that no longer exist.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} [articleId] - Optional article ID to restrict the revisions to.
+   * @returns {Promise<ArticleRevision[]|null>} - The revisions, or null if none found.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findByLegalBasisId (legalBasisId, articleId) {
+    const conditions = ['ar.legal_basis_id = ?']
+    const values = [legalBasisId]
+    if (articleId) {
+      conditions.push('ar.article_id = ?')
+      values.push(articleId)
+    }
+    const query = `
+    ${this._selectQuery}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ar.id DESC
+  `
+    try {
+      const [rows] = await pool.query(query, values)
+      if (rows.length === 0) return null
+      return rows.map((row) => this._toRevision(row))
+    } catch (error) {
+      console.error('Error fetching article revisions:', error.message)
+      throw new HttpException(500, 'Error fetching article revisions')
+    }
+  }
+
+  /**
+   * Retrieves an article revision by its ID.
+   * @param {number} revisionId - The ID of the revision.
+   * @returns {Promise<ArticleRevision|null>} - The revision, or null if not found.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findById (revisionId) {
+    const query = `
+    ${this._selectQuery}
+    WHERE ar.id = ?
+  `
+    try {
+      const [rows] = await pool.query(query, [revisionId])
+      if (rows.length === 0) return null
+      return this._toRevision(rows[0])
+    } catch (error) {
+      console.error('Error fetching article revision:', error.message)
+      throw new HttpException(500, 'Error fetching article revision')
+    }
+  }
+
+  /**
+   * Retrieves the article revisions recorded when their legal basis was deleted.
+   * @param {number} legalBasisRevisionId - The ID of the 'Delete' revision of the legal basis.
+   * @returns {Promise<ArticleRevision[]>} - The revisions of the deleted articles.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findByLegalBasisRevisionId (legalBasisRevisionId) {
+    const query = `
+    ${this._selectQuery}
+    WHERE ar.legal_basis_revision_id = ?
+    ORDER BY ar.article_order, ar.article_id
+  `
+    try {
+      const [rows] = await pool.query(query, [legalBasisRevisionId])
+      return rows.map((row) => this._toRevision(row))
+    } catch (error) {
+      console.error('Error fetching deleted article revisions:', error.message)
+      throw new HttpException(500, 'Error fetching deleted article revisions')
+    }
+  }
+
+  /**
+   * Base query used to retrieve revisions with the user who made them.
+   * @type {string}
+   */
+  static _selectQuery = `
+    SELECT
+      ar.id,
+      ar.article_id,
+      ar.legal_basis_id,
+      ar.action,
+      ar.article_name,
+      ar.description,
+      ar.article_order,
+      ar.source_page,
+      ar.parent_id,
+      ar.section_kind,
+      ar.created_at,
+      u.id AS user_id,
+      u.name AS user_name,
+      u.gmail AS user_gmail,
+      u.role_id AS user_role_id,
+      u.profile_picture AS user_profile_picture
+    FROM article_revisions ar
+    LEFT JOIN users u ON ar.user_id = u.id`
+
+  /**
+   * Maps a database row to an ArticleRevision instance.
+   * @param {Object} row - The database row.
+   * @returns {ArticleRevision} - The revision.
+   */
+  static _toRevision (row) {
+    return new ArticleRevision(
+      row.id,
+      row.article_id,
+      row.legal_basis_id,
+      row.action,
+      row.article_name,
+      row.description,
+      row.article_order,
+      row.source_page,
+      row.parent_id,
+      row.section_kind,
+      row.user_id
+        ? new User(
+          row.user_id,
+          row.user_name,
+          null,
+          row.user_gmail,
+          row.user_role_id,
+          row.user_profile_picture
+        )
+        : null,
+      row.created_at
+    )
+  }
+}
+
+export default ArticleRevisionRepository
@@ -1,6 +1,8 @@
 import { pool } from '../config/db.config.js'
 import HttpException from '../services/errors/HttpException.js'
 import Article from '../models/Article.model.js'
+import ArticleSubunit from '../models/ArticleSubunit.model.js'
+import { buildPageQueries, toPage, orderByIds } from '../utils/pagination.js'
 
 /**
  * Repository class for handling database operations related to Articles.
@@ -18,24 +20,32 @@ class ArticlesRepository {
    * @param {string} article.article - The HTML content of the article.
    * @param {string} article.plainArticle - The plain text equivalent of the article content.
    * @param {number} article.order - The order of the article.
+   * @param {number|null} [article.sourcePage] - The page of the document where the article starts.
+   * @param {number|null} [article.parentId] - The ID of the title, chapter or section containing the article.
+   * @param {string|null} [article.sectionKind] - The kind of row, one of Article.SECTION_KINDS.
+   * @param {import('mysql2/promise').Pool|import('mysql2/promise').PoolConnection} [connection=pool] - The
+   * connection of a transaction the insertion is part of.
    * @returns {Promise<Article>} - Returns the created Article instance.
    * @throws {HttpException} - If an error occurs during insertion.
    */
-  static async create (legalBasisId, article) {
+  static async create (legalBasisId, article, connection = pool) {
     const query = `
-    INSERT INTO article (legal_basis_id, article_name, description, plain_description, article_order)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO article (legal_basis_id, article_name, description, plain_description, article_order, source_page, parent_id, section_kind)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `
     const values = [
       legalBasisId,
       article.title,
       article.article,
       article.plainArticle,
-      article.order
+      article.order,
+      article.sourcePage ?? null,
+      article.parentId ?? null,
+      article.sectionKind ?? null
     ]
     try {
-      const [result] = await pool.query(query, values)
-      const createdArticle = await this.findById(result.insertId)
+      const [result] = await connection.query(query, values)
+      const createdArticle = await this.findById(result.insertId, connection)
       return createdArticle
     } catch (error) {
       console.error('Error creating article:', error.message)
@@ -49,13 +59,22 @@ class ArticlesRepository {
    * This function stores both the HTML content and its plain text equivalent
    * for efficient searches and display purposes.
    *
+   * Articles are inserted one by one inside a transaction so that each `parentIndex`
+   * can be resolved to the ID of an article inserted before it.
+   *
    * @param {number} legalBasisId - The ID of the legal basis.
    * @param {Array<Object>} articles - The list of articles to insert.
    * @param {string} articles[].title - The title of the article.
    * @param {string} articles[].article - The HTML content of the article.
    * @param {string} articles[].plainArticle - The plain text equivalent of the article content.
    * @param {number} articles[].order - The order of the article.
-   * @returns {Promise<boolean>} - Returns true if insertion is successful, false otherwise.
+   * @param {number|null} [articles[].sourcePage] - The page of the document where the article starts.
+   * @param {string|null} [articles[].sectionKind] - The kind of row, one of Article.SECTION_KINDS.
+   * @param {number|null} [articles[].parentIndex] - The index in `articles` of the title, chapter or
+   * section containing the article; ignored unless it points to an earlier article.
+   * @param {import('../services/articles/articleExtraction/ArticleSubunitParser.js').ParsedSubunit[]} [articles[].subunits] - The
+   * párrafos, fracciones and incisos of the article.
+   * @returns {Promise<Array<number>|false>} - The IDs of the inserted articles, in the order given, or false if there are no articles.
    * @throws {HttpException} - If an error occurs during insertion.
    */
   static async createMany (legalBasisId, articles) {
@@ -63,45 +82,241 @@ class ArticlesRepository {
       return false
     }
     const query = `
-    INSERT INTO article (legal_basis_id, article_name, description, plain_description, article_order)
+    INSERT INTO article (legal_basis_id, article_name, description, plain_description, article_order, source_page, parent_id, section_kind)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `
+    const connection = await pool.getConnection()
+    try {
+      await connection.beginTransaction()
+      const insertedIds = []
+      for (const [index, article] of articles.entries()) {
+        const { parentIndex } = article
+        const parentId =
+          Number.isInteger(parentIndex) && parentIndex >= 0 && parentIndex < index
+            ? insertedIds[parentIndex]
+            : null
+        const [result] = await connection.query(query, [
+          legalBasisId,
+          article.title,
+          article.article,
+          article.plainArticle,
+          article.order,
+          article.sourcePage ?? null,
+          parentId,
+          article.sectionKind ?? null
+        ])
+        insertedIds.push(result.insertId)
+        await this._insertSubunits(connection, result.insertId, article.subunits ?? [])
+      }
+      await connection.commit()
+      return insertedIds
+    } catch (error) {
+      await connection.rollback()
+      console.error('Error inserting articles:', error.message)
+      throw new HttpException(
+        500,
+        'Error inserting articles into the database'
+      )
+    } finally {
+      connection.release()
+    }
+  }
+
+  /**
+   * Replaces the párrafos, fracciones and incisos of an article.
+   * Existing sub-units whose kind, label and citation still match keep their ID and are updated
+   * in place, so the requirement identifications citing them keep their citations. The
+   * requirement/legal basis pairs citing a sub-unit that disappeared are flagged as outdated
+   * before the sub-unit is removed.
+   * @param {number} articleId - The ID of the article.
+   * @param {import('../services/articles/articleExtraction/ArticleSubunitParser.js').ParsedSubunit[]} subunits - The new sub-units.
+   * @param {import('mysql2/promise').PoolConnection} [transaction] - The connection of a transaction the
+   * replacement is part of; without it, the replacement runs in a transaction of its own.
+   * @returns {Promise<number>} - The number of requirement/legal basis pairs flagged as outdated.
+   * @throws {HttpException} - If an error occurs during the replacement.
+   */
+  static async replaceSubunits (articleId, subunits, transaction) {
+    if (transaction) {
+      try {
+        return await this._replaceSubunits(transaction, articleId, subunits)
+      } catch (error) {
+        console.error('Error replacing article subunits:', error.message)
+        throw new HttpException(500, 'Error replacing article subunits in the database')
+      }
+    }
+    const connection = await pool.getConnection()
+    try {
+      await connection.beginTransaction()
+      const flaggedPairs = await this._replaceSubunits(connection, articleId, subunits)
+      await connection.commit()
+      return flaggedPairs
+    } catch (error) {
+      await connection.rollback()
+      console.error('Error replacing article subunits:', error.message)
+      throw new HttpException(500, 'Error replacing article subunits in the database')
+    } finally {
+      connection.release()
+    }
+  }
+
+  /**
+   * Replaces the sub-units of an article within a transaction (see replaceSubunits).
+   * @param {import('mysql2/promise').PoolConnection} connection - The transaction connection.
+   * @param {number} articleId - The ID of the article.
+   * @param {import('../services/articles/articleExtraction/ArticleSubunitParser.js').ParsedSubunit[]} subunits - The new sub-units.
+   * @returns {Promise<number>} - The number of requirement/legal basis pairs flagged as outdated.
+   */
+  static async _replaceSubunits (connection, articleId, subunits) {
+    const selectQuery = `
+      SELECT id, unit_kind, label, citation
+      FROM article_subunits
+      WHERE article_id = ?
+      ORDER BY unit_order
+      FOR UPDATE
+    `
+    const updateQuery = `
+      UPDATE article_subunits
+      SET parent_id = ?, content = ?, unit_order = ?
+      WHERE id = ?
+    `
+    const insertQuery = `
+      INSERT INTO article_subunits (article_id, parent_id, unit_kind, label, citation, content, unit_order)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `
+    const flagQuery = `
+      UPDATE req_identifications_requirement_legal_basis rl
+      JOIN (
+        SELECT DISTINCT req_identification_id, requirement_id, legal_basis_id
+        FROM req_identifications_requirement_legal_basis_article_subunits
+        WHERE subunit_id IN (?)
+      ) cited
+        ON cited.req_identification_id = rl.req_identification_id
+        AND cited.requirement_id = rl.requirement_id
+        AND cited.legal_basis_id = rl.legal_basis_id
+      SET rl.is_outdated = TRUE, rl.outdated_at = NOW()
+    `
+    const [rows] = await connection.query(selectQuery, [articleId])
+    const subunitKey = (kind, label, citation) => `${kind}|${label}|${citation}`
+    const existingIds = new Map()
+    for (const row of rows) {
+      const key = subunitKey(row.unit_kind, row.label, row.citation)
+      existingIds.set(key, [...(existingIds.get(key) ?? []), row.id])
+    }
+    const keptIds = []
+    for (const subunit of subunits) {
+      const parentId = keptIds[subunit.parentIndex] ?? null
+      const existingId = existingIds
+        .get(subunitKey(subunit.kind, subunit.label, subunit.citation))
+        ?.shift()
+      if (existingId) {
+        await connection.query(updateQuery, [
+          parentId,
+          subunit.content,
+          subunit.order,
+          existingId
+        ])
+        keptIds.push(existingId)
+      } else {
+        const [result] = await connection.query(insertQuery, [
+          articleId,
+          parentId,
+          subunit.kind,
+          subunit.label,
+          subunit.citation,
+          subunit.content,
+          subunit.order
+        ])
+        keptIds.push(result.insertId)
+      }
+    }
+    const removedIds = [...existingIds.values()].flat()
+    let flaggedPairs = 0
+    if (removedIds.length > 0) {
+      const [flagResult] = await connection.query(flagQuery, [removedIds])
+      flaggedPairs = flagResult.affectedRows
+      await connection.query('DELETE FROM article_subunits WHERE id IN (?)', [removedIds])
+    }
+    return flaggedPairs
+  }
+
+  /**
+   * Re-creates deleted articles of a legal basis keeping their original IDs and their place in
+   * the outline. Each article is nested again in its title, chapter or section when that row
+   * exists in the legal basis once the articles are restored, and left at the top otherwise.
+   *
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {Array<Object>} articles - The articles to restore.
+   * @param {number} articles[].id - The original ID of the article.
+   * @param {string} articles[].title - The title of the article.
+   * @param {string} articles[].article - The HTML content of the article.
+   * @param {string} articles[].plainArticle - The plain text equivalent of the article content.
+   * @param {number} articles[].order - The order of the article.
+   * @param {number|null} [articles[].sourcePage] - The page of the document where the article starts.
+   * @param {number|null} [articles[].parentId] - The ID of the title, chapter or section containing the article.
+   * @param {string|null} [articles[].sectionKind] - The kind of row, one of Article.SECTION_KINDS.
+   * @returns {Promise<boolean>} - Returns true if every article was restored, false otherwise.
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async restoreMany (legalBasisId, articles) {
+    if (articles.length === 0) {
+      return false
+    }
+    const insertQuery = `
+    INSERT INTO article (id, legal_basis_id, article_name, description, plain_description, article_order, source_page, section_kind)
     VALUES ?
+  `
+    const parentQuery = `
+    UPDATE article child
+    JOIN article parent ON parent.id = ? AND parent.legal_basis_id = child.legal_basis_id
+    SET child.parent_id = parent.id
+    WHERE child.id = ?
   `
     const values = articles.map((article) => [
+      article.id,
       legalBasisId,
       article.title,
       article.article,
       article.plainArticle,
-      article.order
+      article.order,
+      article.sourcePage ?? null,
+      article.sectionKind ?? null
     ])
+    const connection = await pool.getConnection()
     try {
-      const [result] = await pool.query(query, [values])
-      if (result.affectedRows !== articles.length) {
-        return false
+      await connection.beginTransaction()
+      const [result] = await connection.query(insertQuery, [values])
+      for (const { id, parentId } of articles) {
+        if (parentId) {
+          await connection.query(parentQuery, [parentId, id])
+        }
       }
-      return true
+      await connection.commit()
+      return result.affectedRows === articles.length
     } catch (error) {
-      console.error('Error inserting articles:', error.message)
-      throw new HttpException(
-        500,
-        'Error inserting articles into the database'
-      )
+      await connection.rollback()
+      console.error('Error restoring articles:', error.message)
+      throw new HttpException(500, 'Error restoring articles in the database')
+    } finally {
+      connection.release()
     }
   }
 
   /**
    * Fetches an article by its ID from the database.
    * @param {number} id - The ID of the article to retrieve.
+   * @param {import('mysql2/promise').Pool|import('mysql2/promise').PoolConnection} [connection=pool] - The
+   * connection of a transaction whose changes must be seen.
    * @returns {Promise<Article|null>} - Returns the Article instance or null if not found.
    * @throws {HttpException} - If an error occurs during retrieval.
    */
-  static async findById (id) {
+  static async findById (id, connection = pool) {
     const query = `
-      SELECT id, legal_basis_id, article_name, description, article_order
+      SELECT id, legal_basis_id, article_name, description, article_order, source_page, parent_id, section_kind
       FROM article
       WHERE id = ?
     `
     try {
-      const [rows] = await pool.query(query, [id])
+      const [rows] = await connection.query(query, [id])
       if (rows.length === 0) return null
       const row = rows[0]
       return new Article(
@@ -109,7 +324,10 @@ class ArticlesRepository {
         row.legal_basis_id,
         row.article_name,
         row.description,
-        row.article_order
+        row.article_order,
+        row.source_page,
+        row.parent_id,
+        row.section_kind
       )
     } catch (error) {
       console.error('Error fetching article by ID:', error.message)
@@ -128,7 +346,7 @@ class ArticlesRepository {
       return []
     }
     const query = `
-    SELECT id, legal_basis_id, article_name, description, article_order
+    SELECT id, legal_basis_id, article_name, description, article_order, source_page, parent_id, section_kind
     FROM article
     WHERE id IN (?)
   `
@@ -141,7 +359,10 @@ class ArticlesRepository {
             row.legal_basis_id,
             row.article_name,
             row.description,
-            row.article_order
+            row.article_order,
+            row.source_page,
+            row.parent_id,
+            row.section_kind
           )
       )
     } catch (error) {
@@ -153,6 +374,43 @@ class ArticlesRepository {
     }
   }
 
+  /**
+   * Fetches the párrafos, fracciones and incisos of some articles.
+   * @param {Array<number>} articleIds - The IDs of the articles.
+   * @returns {Promise<ArticleSubunit[]>} - The sub-units, ordered by article and position.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findSubunitsByArticleIds (articleIds) {
+    if (articleIds.length === 0) {
+      return []
+    }
+    const query = `
+    SELECT id, article_id, parent_id, unit_kind, label, citation, content, unit_order
+    FROM article_subunits
+    WHERE article_id IN (?)
+    ORDER BY article_id, unit_order
+  `
+    try {
+      const [rows] = await pool.query(query, [articleIds])
+      return rows.map(
+        (row) =>
+          new ArticleSubunit(
+            row.id,
+            row.article_id,
+            row.parent_id,
+            row.unit_kind,
+            row.label,
+            row.citation,
+            row.content,
+            row.unit_order
+          )
+      )
+    } catch (error) {
+      console.error('Error fetching article subunits:', error.message)
+      throw new HttpException(500, 'Error fetching article subunits from the database')
+    }
+  }
+
   /**
    * Fetches articles associated with a specific legal basis, ordered by 'article_order'.
    * Returns a list of Article instances.
@@ -164,7 +422,7 @@ class ArticlesRepository {
     try {
       const [rows] = await pool.query(
         `
-        SELECT id, legal_basis_id, article_name, description, article_order
+        SELECT id, legal_basis_id, article_name, description, article_order, source_page, parent_id, section_kind
         FROM article 
         WHERE legal_basis_id = ? 
         ORDER BY article_order
@@ -179,7 +437,10 @@ class ArticlesRepository {
             article.legal_basis_id,
             article.article_name,
             article.description,
-            article.article_order
+            article.article_order,
+            article.source_page,
+            article.parent_id,
+            article.section_kind
           )
       )
     } catch (error) {
@@ -189,71 +450,83 @@ class ArticlesRepository {
   }
 
   /**
-   * Retrieves articles by name or partial name for a specific legal basis from the database.
-   * @param {number} legalBasisId - The ID of the legal basis to filter articles by.
-   * @param {string} articleName - The name or part of the name of the article to retrieve.
-   * @returns {Promise<Article[] | null>} - A list of Article instances matching the name for the given legal basis.
+   * Fetches the articles of a legal basis that can hold obligations, ordered by 'article_order'.
+   * Titles, chapters, sections and preambles are left out; rows of unknown kind are kept.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @returns {Promise<Article[] | null>} - The list of ordered Article instances, or null if there are none.
    * @throws {HttpException} - If an error occurs during retrieval.
    */
-  static async findByName (legalBasisId, articleName) {
-    const query = `
-    SELECT id, legal_basis_id, article_name, description, plain_description, article_order
-    FROM article
-    WHERE legal_basis_id = ? AND article_name LIKE ?
-    ORDER BY article_order
-  `
+  static async findNormativeByLegalBasisId (legalBasisId) {
     try {
-      const [rows] = await pool.query(query, [
-        legalBasisId,
-        `%${articleName}%`
-      ])
+      const [rows] = await pool.query(
+        `
+        SELECT id, legal_basis_id, article_name, description, article_order, source_page, parent_id, section_kind
+        FROM article
+        WHERE legal_basis_id = ?
+        AND (section_kind IS NULL OR section_kind NOT IN (?))
+        ORDER BY article_order
+      `,
+        [legalBasisId, Article.NON_NORMATIVE_SECTION_KINDS]
+      )
       if (rows.length === 0) return null
       return rows.map(
-        (row) =>
+        (article) =>
           new Article(
-            row.id,
-            row.legal_basis_id,
-            row.article_name,
-            row.description,
-            row.article_order
+            article.id,
+            article.legal_basis_id,
+            article.article_name,
+            article.description,
+            article.article_order,
+            article.source_page,
+            article.parent_id,
+            article.section_kind
           )
       )
     } catch (error) {
-      console.error('Error retrieving articles by name:', error.message)
-      throw new HttpException(500, 'Error retrieving articles by name')
+      console.error('Error fetching normative articles:', error.message)
+      throw new HttpException(500, 'Error fetching articles from the database')
     }
   }
 
   /**
-   * Retrieves articles by a partial or flexible match in their description for a specific legal basis from the database.
-   * @param {number} legalBasisId - The ID of the legal basis to filter articles by.
-   * @param {string} description - The description or part of the description to search for.
-   * @returns {Promise<Article[] | null>} - A list of Article instances matching the description for the given legal basis.
+   * Fetches a page of the articles of a legal basis matching the given filters.
+   * @param {Object} filters - The filters to apply.
+   * @param {number} filters.legalBasisId - The ID of the legal basis.
+   * @param {string} [filters.name] - A partial name of the article.
+   * @param {string} [filters.description] - Terms to match in the plain description.
+   * @param {import('../utils/pagination.js').ListOptions} listOptions - The pagination and sort options.
+   * @returns {Promise<import('../utils/pagination.js').Page<Article>>} - The page of articles.
    * @throws {HttpException} - If an error occurs during retrieval.
    */
-  static async findByDescription (legalBasisId, description) {
+  static async findMany (filters, listOptions) {
+    const conditions = ['article.legal_basis_id = ?']
+    const values = [filters.legalBasisId]
+    if (filters.name) {
+      conditions.push('article.article_name LIKE ?')
+      values.push(`%${filters.name}%`)
+    }
+    if (filters.description) {
+      conditions.push('MATCH(article.plain_description) AGAINST(? IN BOOLEAN MODE)')
+      values.push(filters.description)
+    }
+    const { pageQuery, pageValues, countQuery, countValues } =
+      buildPageQueries({
+        idColumn: 'article.id',
+        from: 'article',
+        conditions,
+        values,
+        sortColumns: this._sortColumns,
+        listOptions
+      })
     try {
-      const query = `
-      SELECT id, legal_basis_id, article_name, description, article_order
-      FROM article
-      WHERE legal_basis_id = ?
-        AND MATCH(plain_description) AGAINST(? IN BOOLEAN MODE)
-    `
-      const [result] = await pool.query(query, [legalBasisId, description])
-      if (result.length === 0) return null
-      return result.map(
-        (row) =>
-          new Article(
-            row.id,
-            row.legal_basis_id,
-            row.article_name,
-            row.description,
-            row.article_order
-          )
-      )
+      const [[{ total }]] = await pool.query(countQuery, countValues)
+      const [rows] = await pool.query(pageQuery, pageValues)
+      const { ids, pagination } = toPage(rows, total, listOptions)
+      const articles = await this.findByIds(ids)
+      return { items: orderByIds(articles, ids), pagination }
     } catch (error) {
-      console.error('Error retrieving articles by description:', error.message)
-      throw new HttpException(500, 'Error retrieving articles by description')
+      console.error('Error fetching articles:', error.message)
+      throw new HttpException(500, 'Error fetching articles from the database')
     }
   }
 
@@ -265,17 +538,23 @@ class ArticlesRepository {
    * @param {string|null} article.article - The new content of the article, or null to keep the current content.
    * @param {string|null} article.plainArticle - The plain text equivalent of the article content.
    * @param {number|null} article.order - The new order of the article, or null to keep the current order.
+   * @param {number|null} [article.parentId] - The new parent of the article, or null to keep the current parent.
+   * @param {string|null} [article.sectionKind] - The new kind of the article, or null to keep the current kind.
+   * @param {import('mysql2/promise').Pool|import('mysql2/promise').PoolConnection} [connection=pool] - The
+   * connection of a transaction the update is part of.
    * @returns {Promise<boolean|Article>} - Returns the updated Article instance if successful, false otherwise.
    * @throws {HttpException} - If an error occurs during update.
    */
-  static async updateById (id, article) {
+  static async updateById (id, article, connection = pool) {
     const query = `
     UPDATE article
     SET 
       article_name = IFNULL(?, article_name),
       description = IFNULL(?, description),
       plain_description = IFNULL(?, plain_description),
-      article_order = IFNULL(?, article_order)
+      article_order = IFNULL(?, article_order),
+      parent_id = IFNULL(?, parent_id),
+      section_kind = IFNULL(?, section_kind)
     WHERE id = ?
   `
     const values = [
@@ -283,14 +562,16 @@ class ArticlesRepository {
       article.article,
       article.plainArticle,
       article.order,
+      article.parentId ?? null,
+      article.sectionKind ?? null,
       id
     ]
     try {
-      const [rows] = await pool.query(query, values)
+      const [rows] = await connection.query(query, values)
       if (rows.affectedRows === 0) {
         return false
       }
-      const article = await this.findById(id)
+      const article = await this.findById(id, connection)
       return article
     } catch (error) {
       console.error('Error updating article:', error.message)
@@ -298,6 +579,30 @@ class ArticlesRepository {
     }
   }
 
+  /**
+   * Moves the articles of a legal basis from an order onwards one position down,
+   * making room for an article inserted at that order.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} fromOrder - The order of the first article to move.
+   * @param {import('mysql2/promise').Pool|import('mysql2/promise').PoolConnection} [connection=pool] - The
+   * connection of a transaction the update is part of.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async shiftOrders (legalBasisId, fromOrder, connection = pool) {
+    const query = `
+    UPDATE article
+    SET article_order = article_order + 1
+    WHERE legal_basis_id = ? AND article_order >= ?
+  `
+    try {
+      await connection.query(query, [legalBasisId, fromOrder])
+    } catch (error) {
+      console.error('Error shifting article orders:', error.message)
+      throw new HttpException(500, 'Error updating article orders in the database')
+    }
+  }
+
   /**
    * Deletes an article by its ID.
    * @param {number} id - The ID of the article to delete.
@@ -431,6 +736,43 @@ class ArticlesRepository {
       )
     }
   }
+
+  /**
+   * Inserts the sub-units of an article within a transaction, linking incisos to their parent.
+   * @param {import('mysql2/promise').PoolConnection} connection - The transaction connection.
+   * @param {number} articleId - The ID of the article.
+   * @param {import('../services/articles/articleExtraction/ArticleSubunitParser.js').ParsedSubunit[]} subunits - The sub-units, in order.
+   * @returns {Promise<void>}
+   */
+  static async _insertSubunits (connection, articleId, subunits) {
+    const query = `
+      INSERT INTO article_subunits (article_id, parent_id, unit_kind, label, citation, content, unit_order)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `
+    const insertedIds = []
+    for (const subunit of subunits) {
+      const [result] = await connection.query(query, [
+        articleId,
+        insertedIds[subunit.parentIndex] ?? null,
+        subunit.kind,
+        subunit.label,
+        subunit.citation,
+        subunit.content,
+        subunit.order
+      ])
+      insertedIds.push(result.insertId)
+    }
+  }
+
+  /**
+   * SQL expressions of the fields articles can be sorted by.
+   * @type {Object<string, string>}
+   */
+  static _sortColumns = {
+    id: 'article.id',
+    name: "COALESCE(article.article_name, '')",
+    order: 'COALESCE(article.article_order, 0)'
+  }
 }
 
 export default ArticlesRepository
@@ -1,6 +1,7 @@
 import { pool } from '../config/db.config.js'
 import HttpException from '../services/errors/HttpException.js'
 import Aspect from '../models/Aspect.model.js'
+import { buildPageQueries, toPage, orderByIds } from '../utils/pagination.js'
 
 /**
  * Repository class for handling database operations related to Aspects.
@@ -102,38 +103,38 @@ class AspectsRepository {
   }
 
   /**
-   * Fetches all aspects associated with a specific subject from the database.
-   * @param {number} subjectId - The ID of the subject to retrieve aspects for.
-   * @returns {Promise<Array<Aspect|null>>} - Returns a list of Aspect instances.
+   * Fetches a page of aspects matching the given filters.
+   * @param {Object} filters - The filters to apply.
+   * @param {number} filters.subjectId - The ID of the subject the aspects belong to.
+   * @param {string} [filters.name] - A partial name of the aspect.
+   * @param {import('../utils/pagination.js').ListOptions} listOptions - The pagination and sort options.
+   * @returns {Promise<import('../utils/pagination.js').Page<Aspect>>} - The page of aspects.
    * @throws {HttpException} - If an error occurs during retrieval.
    */
-  static async findBySubjectId (subjectId) {
-    const query = `
-    SELECT aspects.id, aspects.subject_id, aspects.aspect_name,
-           aspects.abbreviation, aspects.order_index,
-           subjects.subject_name
-    FROM aspects
-    JOIN subjects ON aspects.subject_id = subjects.id
-    WHERE aspects.subject_id = ?
-    ORDER BY aspects.order_index ASC
-  `
+  static async findMany (filters, listOptions) {
+    const conditions = ['aspects.subject_id = ?']
+    const values = [filters.subjectId]
+    if (filters.name) {
+      conditions.push('aspects.aspect_name LIKE ?')
+      values.push(`%${filters.name}%`)
+    }
+    const { pageQuery, pageValues, countQuery, countValues } =
+      buildPageQueries({
+        idColumn: 'aspects.id',
+        from: 'aspects',
+        conditions,
+        values,
+        sortColumns: this._sortColumns,
+        listOptions
+      })
     try {
-      const [rows] = await pool.query(query, [subjectId])
-      if (rows.length === 0) return null
-
-      return rows.map(
-        (row) =>
-          new Aspect(
-            row.id,
-            row.aspect_name,
-            row.subject_id,
-            row.subject_name,
-            row.abbreviation,
-            row.order_index
-          )
-      )
+      const [[{ total }]] = await pool.query(countQuery, countValues)
+      const [rows] = await pool.query(pageQuery, pageValues)
+      const { ids, pagination } = toPage(rows, total, listOptions)
+      const aspects = await this.findByIds(ids)
+      return { items: orderByIds(aspects, ids), pagination }
     } catch (error) {
-      console.error('Error fetching aspects by subject ID:', error.message)
+      console.error('Error fetching aspects:', error.message)
       throw new HttpException(500, 'Error fetching aspects from the database')
     }
   }
@@ -161,48 +162,6 @@ class AspectsRepository {
     }
   }
 
-  /**
-   * Fetches aspects by a partial match of its name and subject ID from the database.
-   * @param {string} aspectName - A partial or full name of the aspect to search for.
-   * @param {number} subjectId - The ID of the subject to filter by.
-   * @returns {Promise<Array<Aspect|null>>} - Returns an array of Aspect instances matching the criteria.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByNameAndSubjectId (aspectName, subjectId) {
-    const searchValue = `%${aspectName}%`
-    const query = `
-    SELECT aspects.id, aspects.subject_id, aspects.aspect_name,
-           aspects.abbreviation, aspects.order_index,
-           subjects.subject_name
-    FROM aspects
-    JOIN subjects ON aspects.subject_id = subjects.id
-    WHERE aspects.aspect_name LIKE ? AND aspects.subject_id = ?
-    ORDER BY aspects.order_index ASC
-  `
-    try {
-      const [rows] = await pool.query(query, [searchValue, subjectId])
-      if (rows.length === 0) return null
-
-      return rows.map(
-        (row) =>
-          new Aspect(
-            row.id,
-            row.aspect_name,
-            row.subject_id,
-            row.subject_name,
-            row.abbreviation,
-            row.order_index
-          )
-      )
-    } catch (error) {
-      console.error(
-        'Error fetching aspect by partial name and subject ID:',
-        error.message
-      )
-      throw new HttpException(500, 'Error fetching aspect from the database')
-    }
-  }
-
   /**
    * Checks if an aspect with the given name exists for the specified subject, excluding the given aspect ID.
    * @param {string} aspectName - The aspect name to check for uniqueness.
@@ -445,6 +404,17 @@ class AspectsRepository {
       throw new HttpException(500, 'Error checking batch associations for aspects')
     }
   }
+
+  /**
+   * SQL expressions of the fields aspects can be sorted by.
+   * @type {Object<string, string>}
+   */
+  static _sortColumns = {
+    id: 'aspects.id',
+    name: 'aspects.aspect_name',
+    abbreviation: "COALESCE(aspects.abbreviation, '')",
+    orderIndex: 'COALESCE(aspects.order_index, 0)'
+  }
 }
 
 export default AspectsRepository
@@ -0,0 +1,205 @@
+import { pool } from '../config/db.config.js'
+import HttpException from '../services/errors/HttpException.js'
+import AuditLog from '../models/AuditLog.model.js'
+import User from '../models/User.model.js'
+import { buildPageQueries, toPage, orderByIds } from '../utils/pagination.js'
+
+/**
+ * Repository class for handling database operations related to the audit log.
+ * The audit log is append-only, so entries can only be created and read.
+ */
+class AuditLogRepository {
+  /**
+   * Appends entries to the audit log.
+   * @param {Object[]} entries - The entries to append.
+   * @param {number|null} entries[].userId - The ID of the user who made the call.
+   * @param {string} entries[].action - The action performed.
+   * @param {string} entries[].entityType - The type of the affected entity.
+   * @param {string|number|null} entries[].entityId - The ID of the affected entity.
+   * @param {Object|null} entries[].before - The state of the entity before the call.
+   * @param {Object|null} entries[].after - The state of the entity after the call.
+   * @param {string} entries[].method - The HTTP method of the call.
+   * @param {string} entries[].path - The path of the call.
+   * @param {string|null} entries[].ipAddress - The IP address of the client.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async createMany (entries) {
+    if (entries.length === 0) return
+    const query = `
+      INSERT INTO audit_logs
+        (user_id, action, entity_type, entity_id, before_data, after_data, method, path, ip_address)
+      VALUES ?
+    `
+    const values = entries.map((entry) => [
+      entry.userId ?? null,
+      entry.action,
+      entry.entityType,
+      entry.entityId != null ? String(entry.entityId) : null,
+      entry.before != null ? JSON.stringify(entry.before) : null,
+      entry.after != null ? JSON.stringify(entry.after) : null,
+      entry.method,
+      entry.path.slice(0, 255),
+      entry.ipAddress ?? null
+    ])
+    try {
+      await pool.query(query, [values])
+    } catch (error) {
+      console.error('Error creating audit log entries:', error.message)
+      throw new HttpException(500, 'Error creating audit log entries')
+    }
+  }
+
+  /**
+   * Retrieves a page of audit log entries matching the given filters.
+   * @param {Object} [filters] - The filters to apply.
+   * @param {number} [filters.userId] - Only entries made by this user.
+   * @param {string} [filters.entityType] - Only entries about this type of entity.
+   * @param {string} [filters.entityId] - Only entries about this entity ID.
+   * @param {string} [filters.action] - Only entries with this action.
+   * @param {string} [filters.from] - Only entries made on or after this date (yyyy-MM-dd).
+   * @param {string} [filters.to] - Only entries made on or before this date (yyyy-MM-dd).
+   * @param {import('../utils/pagination.js').ListOptions} listOptions - The pagination and sort options.
+   * @returns {Promise<import('../utils/pagination.js').Page<AuditLog>>} - The page of entries.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findMany (filters = {}, listOptions) {
+    const { userId, entityType, entityId, action, from, to } = filters
+    const conditions = []
+    const values = []
+    if (userId) {
+      conditions.push('audit_logs.user_id = ?')
+      values.push(userId)
+    }
+    if (entityType) {
+      conditions.push('audit_logs.entity_type = ?')
+      values.push(entityType)
+    }
+    if (entityId) {
+      conditions.push('audit_logs.entity_id = ?')
+      values.push(String(entityId))
+    }
+    if (action) {
+      conditions.push('audit_logs.action = ?')
+      values.push(action)
+    }
+    if (from) {
+      conditions.push('audit_logs.created_at >= ?')
+      values.push(from)
+    }
+    if (to) {
+      conditions.push('audit_logs.created_at < DATE_ADD(?, INTERVAL 1 DAY)')
+      values.push(to)
+    }
+    const { pageQuery, pageValues, countQuery, countValues } =
+      buildPageQueries({
+        idColumn: 'audit_logs.id',
+        from: 'audit_logs',
+        conditions,
+        values,
+        sortColumns: this._sortColumns,
+        listOptions
+      })
+    try {
+      const [[{ total }]] = await pool.query(countQuery, countValues)
+      const [rows] = await pool.query(pageQuery, pageValues)
+      const { ids, pagination } = toPage(rows, total, listOptions)
+      const auditLogs = await this.findByIds(ids)
+      return { items: orderByIds(auditLogs, ids), pagination }
+    } catch (error) {
+      console.error('Error retrieving audit log entries:', error.message)
+      throw new HttpException(500, 'Error retrieving audit log entries')
+    }
+  }
+
+  /**
+   * Retrieves audit log entries by their IDs.
+   * @param {Array<number>} ids - The IDs of the entries.
+   * @returns {Promise<AuditLog[]>} - The entries found, in no particular order.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findByIds (ids) {
+    if (ids.length === 0) {
+      return []
+    }
+    const query = `
+      ${this._selectQuery}
+      WHERE al.id IN (?)
+    `
+    try {
+      const [rows] = await pool.query(query, [ids])
+      return rows.map((row) => this._toAuditLog(row))
+    } catch (error) {
+      console.error('Error retrieving audit log entries by IDs:', error.message)
+      throw new HttpException(500, 'Error retrieving audit log entries')
+    }
+  }
+
+  /**
+   * Base query used to retrieve entries with the user who made them.
+   * @type {string}
+   */
+  static _selectQuery = `
+    SELECT
+      al.id,
+      al.user_id,
+      al.action,
+      al.entity_type,
+      al.entity_id,
+      al.before_data,
+      al.after_data,
+      al.method,
+      al.path,
+      al.ip_address,
+      al.created_at,
+      u.name AS user_name,
+      u.gmail AS user_gmail,
+      u.role_id AS user_role_id,
+      u.profile_picture AS user_profile_picture
+    FROM audit_logs al
+    LEFT JOIN users u ON al.user_id = u.id`
+
+  /**
+   * SQL expressions of the fields audit log entries can be sorted by.
+   * @type {Object<string, string>}
+   */
+  static _sortColumns = {
+    id: 'audit_logs.id',
+    createdAt: 'audit_logs.created_at'
+  }
+
+  /**
+   * Maps a database row to an AuditLog instance.
+   * @param {Object} row - The database row.
+   * @returns {AuditLog} - The entry.
+   */
+  static _toAuditLog (row) {
+    const parseJson = (value) =>
+      typeof value === 'string' ? JSON.parse(value) : value
+    return new AuditLog(
+      row.id,
+      row.user_id,
+      row.user_gmail
+        ? new User(
+          row.user_id,
+          row.user_name,
+          null,
+          row.user_gmail,
+          row.user_role_id,
+          row.user_profile_picture
+        )
+        : null,
+      row.action,
+      row.entity_type,
+      row.entity_id,
+      parseJson(row.before_data),
+      parseJson(row.after_data),
+      row.method,
+      row.path,
+      row.ip_address,
+      row.created_at
+    )
+  }
+}
+
+export default AuditLogRepository
@@ -0,0 +1,286 @@
+import { pool } from '../config/db.config.js'
+import HttpException from '../services/errors/HttpException.js'
+
+/**
+ * @typedef {Object} PendingEmbedding
+ * @property {number} id - The ID of the article or requirement.
+ * @property {string} [field] - The embedded requirement column.
+ * @property {string} text - The text to embed.
+ */
+
+/**
+ * @typedef {Object} StoredEmbedding
+ * @property {number} id - The ID of the article or requirement.
+ * @property {string} [field] - The embedded requirement column.
+ * @property {string} contentHash - The SHA-256 of the embedded text.
+ * @property {number[]} embedding - The embedding.
+ * @property {number} norm - The Euclidean norm of the embedding.
+ */
+
+/**
+ * @typedef {Object} ArticleEmbedding
+ * @property {number} articleId - The ID of the article.
+ * @property {number} norm - The Euclidean norm of the embedding.
+ * @property {Float32Array} embedding - The embedding.
+ */
+
+/**
+ * Repository class for the embeddings of articles and requirements.
+ * Embeddings are stored as little-endian 32-bit float blobs, tagged with the model that produced them.
+ */
+class EmbeddingsRepository {
+  /**
+   * Finds the articles whose embedding is missing, was made by another model or is out of date.
+   * @param {Object} scope - The articles to check.
+   * @param {Array<number>} [scope.articleIds] - Only these articles.
+   * @param {number} [scope.afterId] - Only articles with a greater ID.
+   * @param {number} [scope.limit] - The most articles to return.
+   * @param {string} model - The current embedding model.
+   * @returns {Promise<PendingEmbedding[]>} - The articles to embed, in ID order.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findPendingArticles ({ articleIds, afterId, limit }, model) {
+    const conditions = [
+      'article.plain_description IS NOT NULL',
+      "TRIM(article.plain_description) <> ''",
+      `(article_embeddings.article_id IS NULL
+        OR article_embeddings.model <> ?
+        OR article_embeddings.content_hash <> SHA2(article.plain_description, 256))`
+    ]
+    const values = [model]
+    if (articleIds) {
+      if (articleIds.length === 0) return []
+      conditions.push('article.id IN (?)')
+      values.push(articleIds)
+    }
+    if (afterId) {
+      conditions.push('article.id > ?')
+      values.push(afterId)
+    }
+    let query = `
+      SELECT article.id, article.plain_description
+      FROM article
+      LEFT JOIN article_embeddings ON article_embeddings.article_id = article.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY article.id
+    `
+    if (limit) {
+      query += ' LIMIT ?'
+      values.push(limit)
+    }
+    try {
+      const [rows] = await pool.query(query, values)
+      return rows.map((row) => ({ id: row.id, text: row.plain_description }))
+    } catch (error) {
+      console.error('Error finding articles pending embedding:', error.message)
+      throw new HttpException(500, 'Error finding articles pending embedding')
+    }
+  }
+
+  /**
+   * Finds the requirement descriptions whose embedding is missing, was made by another model or is out of date.
+   * @param {Object} scope - The descriptions to check.
+   * @param {Array<number>} [scope.requirementIds] - Only the descriptions of these requirements.
+   * @param {{ id: number, field: string }} [scope.after] - Only descriptions after this one.
+   * @param {number} [scope.limit] - The most descriptions to return.
+   * @param {string} model - The current embedding model.
+   * @returns {Promise<PendingEmbedding[]>} - The descriptions to embed, in requirement ID and field order.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findPendingRequirements ({ requirementIds, after, limit }, model) {
+    const conditions = [
+      "TRIM(pending.text) <> ''",
+      `(requirement_embeddings.requirement_id IS NULL
+        OR requirement_embeddings.model <> ?
+        OR requirement_embeddings.content_hash <> SHA2(pending.text, 256))`
+    ]
+    const values = [model]
+    if (requirementIds) {
+      if (requirementIds.length === 0) return []
+      conditions.push('pending.id IN (?)')
+      values.push(requirementIds)
+    }
+    if (after) {
+      conditions.push('(pending.id, pending.field) > (?, ?)')
+      values.push(after.id, after.field)
+    }
+    let query = `
+      SELECT pending.id, pending.field, pending.text
+      FROM (
+        SELECT id, 'mandatory_description' AS field, mandatory_description AS text
+        FROM requirements
+        UNION ALL
+        SELECT id, 'complementary_description' AS field, complementary_description AS text
+        FROM requirements
+      ) AS pending
+      LEFT JOIN requirement_embeddings
+        ON requirement_embeddings.requirement_id = pending.id
+        AND requirement_embeddings.field = pending.field
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY pending.id, pending.field
+    `
+    if (limit) {
+      query += ' LIMIT ?'
+      values.push(limit)
+    }
+    try {
+      const [rows] = await pool.query(query, values)
+      return rows.map((row) => ({ id: row.id, field: row.field, text: row.text }))
+    } catch (error) {
+      console.error('Error finding requirements pending embedding:', error.message)
+      throw new HttpException(500, 'Error finding requirements pending embedding')
+    }
+  }
+
+  /**
+   * Inserts or replaces article embeddings.
+   * @param {StoredEmbedding[]} embeddings - The embeddings to store.
+   * @param {string} model - The model that produced them.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async upsertArticleEmbeddings (embeddings, model) {
+    if (embeddings.length === 0) return
+    const query = `
+      INSERT INTO article_embeddings (article_id, model, content_hash, embedding, norm)
+      VALUES ?
+      ON DUPLICATE KEY UPDATE
+        model = VALUES(model),
+        content_hash = VALUES(content_hash),
+        embedding = VALUES(embedding),
+        norm = VALUES(norm)
+    `
+    const values = embeddings.map(({ id, contentHash, embedding, norm }) => [
+      id,
+      model,
+      contentHash,
+      this._toBlob(embedding),
+      norm
+    ])
+    try {
+      await pool.query(query, [values])
+    } catch (error) {
+      console.error('Error storing article embeddings:', error.message)
+      throw new HttpException(500, 'Error storing article embeddings')
+    }
+  }
+
+  /**
+   * Inserts or replaces requirement description embeddings.
+   * @param {StoredEmbedding[]} embeddings - The embeddings to store, each with its field.
+   * @param {string} model - The model that produced them.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async upsertRequirementEmbeddings (embeddings, model) {
+    if (embeddings.length === 0) return
+    const query = `
+      INSERT INTO requirement_embeddings (requirement_id, field, model, content_hash, embedding, norm)
+      VALUES ?
+      ON DUPLICATE KEY UPDATE
+        model = VALUES(model),
+        content_hash = VALUES(content_hash),
+        embedding = VALUES(embedding),
+        norm = VALUES(norm)
+    `
+    const values = embeddings.map(({ id, field, contentHash, embedding, norm }) => [
+      id,
+      field,
+      model,
+      contentHash,
+      this._toBlob(embedding),
+      norm
+    ])
+    try {
+      await pool.query(query, [values])
+    } catch (error) {
+      console.error('Error storing requirement embeddings:', error.message)
+      throw new HttpException(500, 'Error storing requirement embeddings')
+    }
+  }
+
+  /**
+   * Retrieves one batch of the non-zero article embeddings of a model, in article ID order,
+   * optionally only those of legal bases with a subject or any of some aspects.
+   * @param {Object} filters - The filters to apply.
+   * @param {number} [filters.subjectId] - Only articles of legal bases of this subject.
+   * @param {Array<number>} [filters.aspectIds] - Only articles of legal bases with any of these aspects.
+   * @param {string} model - The embedding model.
+   * @param {Object} batch - The batch to retrieve.
+   * @param {number} batch.afterArticleId - Only articles with a greater ID; 0 for the first batch.
+   * @param {number} batch.size - The maximum number of embeddings to retrieve.
+   * @returns {Promise<ArticleEmbedding[]>} - The embeddings of the batch.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findArticleEmbeddings (
+    { subjectId, aspectIds },
+    model,
+    { afterArticleId, size }
+  ) {
+    const conditions = [
+      'article_embeddings.model = ?',
+      'article_embeddings.norm > 0',
+      'article_embeddings.article_id > ?'
+    ]
+    const values = [model, afterArticleId]
+    if (subjectId) {
+      conditions.push('legal_basis.subject_id = ?')
+      values.push(subjectId)
+    }
+    if (aspectIds?.length > 0) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM legal_basis_subject_aspect
+        WHERE legal_basis_subject_aspect.legal_basis_id = legal_basis.id
+        AND legal_basis_subject_aspect.aspect_id IN (?)
+      )`)
+      values.push(aspectIds)
+    }
+    const query = `
+      SELECT article_embeddings.article_id, article_embeddings.norm, article_embeddings.embedding
+      FROM article_embeddings
+      JOIN article ON article.id = article_embeddings.article_id
+      JOIN legal_basis ON legal_basis.id = article.legal_basis_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY article_embeddings.article_id
+      LIMIT ?
+    `
+    values.push(size)
+    try {
+      const [rows] = await pool.query(query, values)
+      return rows.map((row) => ({
+        articleId: row.article_id,
+        norm: row.norm,
+        embedding: this._fromBlob(row.embedding)
+      }))
+    } catch (error) {
+      console.error('Error retrieving article embeddings:', error.message)
+      throw new HttpException(500, 'Error retrieving article embeddings')
+    }
+  }
+
+  /**
+   * Serializes an embedding as little-endian 32-bit floats.
+   * @param {number[]} embedding - The embedding.
+   * @returns {Buffer} - The blob.
+   */
+  static _toBlob (embedding) {
+    const buffer = Buffer.alloc(embedding.length * 4)
+    embedding.forEach((value, index) => buffer.writeFloatLE(value, index * 4))
+    return buffer
+  }
+
+  /**
+   * Deserializes an embedding stored with `_toBlob`.
+   * @param {Buffer} blob - The blob.
+   * @returns {Float32Array} - The embedding.
+   */
+  static _fromBlob (blob) {
+    const embedding = new Float32Array(blob.length / 4)
+    for (let index = 0; index < embedding.length; index++) {
+      embedding[index] = blob.readFloatLE(index * 4)
+    }
+    return embedding
+  }
+}
+
+export default EmbeddingsRepository
@@ -0,0 +1,206 @@
+import { pool } from '../config/db.config.js'
+import HttpException from '../services/errors/HttpException.js'
+import LegalBasisAmendment from '../models/LegalBasisAmendment.model.js'
+
+/**
+ * Repository class for handling database operations related to the amendments of decrees.
+ */
+class LegalBasisAmendmentRepository {
+  /**
+   * Replaces the amendments of a decree that have not been applied yet.
+   * Applied amendments are kept, as they record changes already made to their targets.
+   * @param {number} decreeId - The ID of the decree legal basis.
+   * @param {Array<Object>} amendments - The amendments to insert.
+   * @param {number|null} amendments[].targetId - The ID of the amended legal basis, if known.
+   * @param {string|null} amendments[].targetName - The name of the amended legal basis, as written in the decree.
+   * @param {'reform'|'addition'|'repeal'} amendments[].action - What the decree does to the article.
+   * @param {string} amendments[].articleName - The name of the amended article.
+   * @param {string|null} amendments[].content - The new text of the article.
+   * @param {number} amendments[].order - The position of the amendment in the decree.
+   * @returns {Promise<LegalBasisAmendment[]>} - The amendments of the decree.
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async replacePending (decreeId, amendments) {
+    const deleteQuery = `
+      DELETE FROM legal_basis_amendments
+      WHERE decree_id = ? AND status <> 'applied'
+    `
+    const insertQuery = `
+      INSERT INTO legal_basis_amendments (
+        decree_id, target_id, target_name, action, article_name, content, amendment_order
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `
+    const connection = await pool.getConnection()
+    try {
+      await connection.beginTransaction()
+      await connection.query(deleteQuery, [decreeId])
+      for (const amendment of amendments) {
+        await connection.query(insertQuery, [
+          decreeId,
+          amendment.targetId ?? null,
+          amendment.targetName ?? null,
+          amendment.action,
+          amendment.articleName,
+          amendment.content ?? null,
+          amendment.order
+        ])
+      }
+      await connection.commit()
+    } catch (error) {
+      await connection.rollback()
+      console.error('Error replacing decree amendments:', error.message)
+      throw new HttpException(500, 'Error inserting decree amendments into the database')
+    } finally {
+      connection.release()
+    }
+    return await this.findByDecreeId(decreeId)
+  }
+
+  /**
+   * Retrieves the amendments of a decree, in the order they appear in it.
+   * @param {number} decreeId - The ID of the decree legal basis.
+   * @returns {Promise<LegalBasisAmendment[]>} - The amendments.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findByDecreeId (decreeId) {
+    const query = `
+      ${this._selectQuery}
+      WHERE decree_id = ?
+      ORDER BY amendment_order, id
+    `
+    try {
+      const [rows] = await pool.query(query, [decreeId])
+      return rows.map((row) => this._toAmendment(row))
+    } catch (error) {
+      console.error('Error fetching decree amendments:', error.message)
+      throw new HttpException(500, 'Error fetching decree amendments')
+    }
+  }
+
+  /**
+   * Retrieves an amendment by its ID.
+   * @param {number} id - The ID of the amendment.
+   * @returns {Promise<LegalBasisAmendment|null>} - The amendment, or null if not found.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findById (id) {
+    const query = `
+      ${this._selectQuery}
+      WHERE id = ?
+    `
+    try {
+      const [rows] = await pool.query(query, [id])
+      if (rows.length === 0) return null
+      return this._toAmendment(rows[0])
+    } catch (error) {
+      console.error('Error fetching decree amendment:', error.message)
+      throw new HttpException(500, 'Error fetching decree amendment')
+    }
+  }
+
+  /**
+   * Records the review of an amendment.
+   * @param {number} id - The ID of the amendment.
+   * @param {Object} review - The review.
+   * @param {number|null} review.reviewedBy - The ID of the reviewing user.
+   * @param {string} [review.status] - The new review state, or undefined to keep the current state.
+   * @param {number} [review.targetId] - The new target, or undefined to keep the current target.
+   * @param {string} [review.action] - The new action, or undefined to keep the current action.
+   * @param {string} [review.articleName] - The new article name, or undefined to keep the current name.
+   * @param {string|null} [review.content] - The new content, or undefined to keep the current content.
+   * @returns {Promise<LegalBasisAmendment|null>} - The updated amendment, or null if not found.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async updateReview (id, review) {
+    const query = `
+      UPDATE legal_basis_amendments
+      SET
+        status = IFNULL(?, status),
+        target_id = IFNULL(?, target_id),
+        action = IFNULL(?, action),
+        article_name = IFNULL(?, article_name),
+        content = IF(?, ?, content),
+        reviewed_by = ?,
+        reviewed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `
+    try {
+      const [result] = await pool.query(query, [
+        review.status ?? null,
+        review.targetId ?? null,
+        review.action ?? null,
+        review.articleName ?? null,
+        review.content !== undefined,
+        review.content ?? null,
+        review.reviewedBy,
+        id
+      ])
+      if (result.affectedRows === 0) return null
+      return await this.findById(id)
+    } catch (error) {
+      console.error('Error updating decree amendment:', error.message)
+      throw new HttpException(500, 'Error updating decree amendment')
+    }
+  }
+
+  /**
+   * Marks an amendment as applied to an article.
+   * @param {number} id - The ID of the amendment.
+   * @param {number} articleId - The ID of the reformed, added or repealed article.
+   * @param {import('mysql2/promise').Pool|import('mysql2/promise').PoolConnection} [connection=pool] - The
+   * connection of a transaction the update is part of.
+   * @returns {Promise<boolean>} - True if the amendment was updated.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async markApplied (id, articleId, connection = pool) {
+    const query = `
+      UPDATE legal_basis_amendments
+      SET status = 'applied', article_id = ?, applied_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `
+    try {
+      const [result] = await connection.query(query, [articleId, id])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error('Error marking decree amendment as applied:', error.message)
+      throw new HttpException(500, 'Error marking decree amendment as applied')
+    }
+  }
+
+  /**
+   * Base query used to retrieve amendments.
+   * @type {string}
+   */
+  static _selectQuery = `
+    SELECT
+      id, decree_id, target_id, target_name, action, article_name, content,
+      amendment_order, status, article_id, reviewed_by, reviewed_at, applied_at
+    FROM legal_basis_amendments
+  `
+
+  /**
+   * Maps a row to a LegalBasisAmendment instance.
+   * @param {Object} row - The row.
+   * @returns {LegalBasisAmendment} - The amendment.
+   */
+  static _toAmendment (row) {
+    return new LegalBasisAmendment(
+      row.id,
+      row.decree_id,
+      row.target_id,
+      row.target_name,
+      row.action,
+      row.article_name,
+      row.content,
+      row.amendment_order,
+      row.status,
+      row.article_id,
+      row.reviewed_by,
+      row.reviewed_at,
+      row.applied_at
+    )
+  }
+}
+
+export default LegalBasisAmendmentRepository
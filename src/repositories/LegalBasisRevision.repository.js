@@ -0,0 +1,183 @@
+import { pool } from '../config/db.config.js'
+import HttpException from '../services/errors/HttpException.js'
+import LegalBasisRevision from '../models/LegalBasisRevision.model.js'
+import User from '../models/User.model.js'
+
+/**
+ * Repository class for handling database operations related to Legal Basis revisions.
+ * Revisions are append-only: they are never updated or deleted.
+ */
+class LegalBasisRevisionRepository {
+  /**
+   * Records a revision with the current state of a legal basis.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {'Create'|'Update'|'Delete'|'Restore'} action - The change being recorded.
+   * @param {number|null} userId - The ID of the user making the change.
+   * @param {import('mysql2/promise').Pool|import('mysql2/promise').PoolConnection} [connection=pool] - The
+   * connection of a transaction the insertion is part of.
+   * @returns {Promise<number|null>} - The ID of the created revision, or null if the legal basis does not exist.
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async create (legalBasisId, action, userId, connection = pool) {
+    const query = `
+    INSERT INTO legal_basis_revisions (
+      legal_basis_id, action, legal_name, abbreviation, classification, jurisdiction,
+      state, municipality, url, last_reform, subject_id, aspects_ids, user_id
+    )
+    SELECT
+      lb.id, ?, lb.legal_name, lb.abbreviation, lb.classification, lb.jurisdiction,
+      lb.state, lb.municipality, lb.url, lb.last_reform, lb.subject_id,
+      COALESCE(
+        (SELECT JSON_ARRAYAGG(lbsa.aspect_id)
+         FROM legal_basis_subject_aspect lbsa
+         WHERE lbsa.legal_basis_id = lb.id),
+        JSON_ARRAY()
+      ),
+      ?
+    FROM legal_basis lb
+    WHERE lb.id = ?
+  `
+    try {
+      const [result] = await connection.query(query, [action, userId, legalBasisId])
+      if (result.affectedRows === 0) return null
+      return result.insertId
+    } catch (error) {
+      console.error('Error creating legal basis revision:', error.message)
+      throw new HttpException(500, 'Error creating legal basis revision')
+    }
+  }
+
+  /**
+   * Retrieves the revisions of a legal basis, newest first.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @returns {Promise<LegalBasisRevision[]|null>} - The revisions, or null if none found.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findByLegalBasisId (legalBasisId) {
+    const query = `
+    ${this._selectQuery}
+    WHERE lbr.legal_basis_id = ?
+    ORDER BY lbr.id DESC
+  `
+    try {
+      const [rows] = await pool.query(query, [legalBasisId])
+      if (rows.length === 0) return null
+      return rows.map((row) => this._toRevision(row))
+    } catch (error) {
+      console.error('Error fetching legal basis revisions:', error.message)
+      throw new HttpException(500, 'Error fetching legal basis revisions')
+    }
+  }
+
+  /**
+   * Retrieves a legal basis revision by its ID.
+   * @param {number} revisionId - The ID of the revision.
+   * @returns {Promise<LegalBasisRevision|null>} - The revision, or null if not found.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findById (revisionId) {
+    const query = `
+    ${this._selectQuery}
+    WHERE lbr.id = ?
+  `
+    try {
+      const [rows] = await pool.query(query, [revisionId])
+      if (rows.length === 0) return null
+      return this._toRevision(rows[0])
+    } catch (error) {
+      console.error('Error fetching legal basis revision:', error.message)
+      throw new HttpException(500, 'Error fetching legal basis revision')
+    }
+  }
+
+  /**
+   * Retrieves the most recent revision of a legal basis.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @returns {Promise<LegalBasisRevision|null>} - The latest revision, or null if none found.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findLatestByLegalBasisId (legalBasisId) {
+    const query = `
+    ${this._selectQuery}
+    WHERE lbr.legal_basis_id = ?
+    ORDER BY lbr.id DESC
+    LIMIT 1
+  `
+    try {
+      const [rows] = await pool.query(query, [legalBasisId])
+      if (rows.length === 0) return null
+      return this._toRevision(rows[0])
+    } catch (error) {
+      console.error('Error fetching latest legal basis revision:', error.message)
+      throw new HttpException(500, 'Error fetching latest legal basis revision')
+    }
+  }
+
+  /**
+   * Base query used to retrieve revisions with the user who made them.
+   * @type {string}
+   */
+  static _selectQuery = `
+    SELECT
+      lbr.id,
+      lbr.legal_basis_id,
+      lbr.action,
+      lbr.legal_name,
+      lbr.abbreviation,
+      lbr.classification,
+      lbr.jurisdiction,
+      lbr.state,
+      lbr.municipality,
+      lbr.url,
+      lbr.last_reform,
+      lbr.subject_id,
+      lbr.aspects_ids,
+      lbr.created_at,
+      u.id AS user_id,
+      u.name AS user_name,
+      u.gmail AS user_gmail,
+      u.role_id AS user_role_id,
+      u.profile_picture AS user_profile_picture
+    FROM legal_basis_revisions lbr
+    LEFT JOIN users u ON lbr.user_id = u.id`
+
+  /**
+   * Maps a database row to a LegalBasisRevision instance.
+   * @param {Object} row - The database row.
+   * @returns {LegalBasisRevision} - The revision.
+   */
+  static _toRevision (row) {
+    const aspectsIds =
+      typeof row.aspects_ids === 'string'
+        ? JSON.parse(row.aspects_ids)
+        : row.aspects_ids
+    return new LegalBasisRevision(
+      row.id,
+      row.legal_basis_id,
+      row.action,
+      row.legal_name,
+      row.abbreviation,
+      row.classification,
+      row.jurisdiction,
+      row.state,
+      row.municipality,
+      row.url,
+      row.last_reform,
+      row.subject_id,
+      aspectsIds || [],
+      row.user_id
+        ? new User(
+          row.user_id,
+          row.user_name,
+          null,
+          row.user_gmail,
+          row.user_role_id,
+          row.user_profile_picture
+        )
+        : null,
+      row.created_at
+    )
+  }
+}
+
+export default LegalBasisRevisionRepository
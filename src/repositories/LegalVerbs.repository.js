@@ -1,6 +1,7 @@
 import { pool } from '../config/db.config.js'
 import HttpException from '../services/errors/HttpException.js'
 import LegalVerb from '../models/LegalVerbs.model.js'
+import { buildPageQueries, toPage, orderByIds } from '../utils/pagination.js'
 
 /**
  * Repository class for handling database operations related to Legal Verbs.
@@ -54,6 +55,52 @@ class LegalVerbsRepository {
     }
   }
 
+  /**
+   * Fetches a page of legal verbs matching the given filters.
+   * @param {Object} [filters] - The filters to apply.
+   * @param {string} [filters.name] - A partial name of the legal verb.
+   * @param {string} [filters.description] - Terms to match in the description.
+   * @param {string} [filters.translation] - Terms to match in the translation.
+   * @param {import('../utils/pagination.js').ListOptions} listOptions - The pagination and sort options.
+   * @returns {Promise<import('../utils/pagination.js').Page<LegalVerb>>} - The page of legal verbs.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findMany (filters = {}, listOptions) {
+    const conditions = []
+    const values = []
+    if (filters.name) {
+      conditions.push('legal_verbs.name LIKE ?')
+      values.push(`%${filters.name}%`)
+    }
+    if (filters.description) {
+      conditions.push('MATCH(legal_verbs.description) AGAINST(? IN BOOLEAN MODE)')
+      values.push(filters.description)
+    }
+    if (filters.translation) {
+      conditions.push('MATCH(legal_verbs.translation) AGAINST(? IN BOOLEAN MODE)')
+      values.push(filters.translation)
+    }
+    const { pageQuery, pageValues, countQuery, countValues } =
+      buildPageQueries({
+        idColumn: 'legal_verbs.id',
+        from: 'legal_verbs',
+        conditions,
+        values,
+        sortColumns: this._sortColumns,
+        listOptions
+      })
+    try {
+      const [[{ total }]] = await pool.query(countQuery, countValues)
+      const [rows] = await pool.query(pageQuery, pageValues)
+      const { ids, pagination } = toPage(rows, total, listOptions)
+      const legalVerbs = await this.findByIds(ids)
+      return { items: orderByIds(legalVerbs, ids), pagination }
+    } catch (error) {
+      console.error('Error fetching legal verbs:', error.message)
+      throw new HttpException(500, 'Error fetching legal verbs from the database')
+    }
+  }
+
   /**
    * Fetches a legal verb by its ID from the database.
    * @param {number} id - The ID of the legal verb to retrieve.
@@ -208,92 +255,6 @@ class LegalVerbsRepository {
     }
   }
 
-  /**
-   * Fetches legal verbs from the database by partial name match.
-   * @param {string} name - A partial or full name to search for.
-   * @returns {Promise<LegalVerb[] | null>} - Array of LegalVerb instances.
-   */
-  static async findByName (name) {
-    const search = `%${name}%`
-    try {
-      const [rows] = await pool.query(
-        `
-          SELECT id, name, description, translation
-          FROM legal_verbs
-          WHERE name LIKE ?
-          ORDER BY id DESC;
-        `,
-        [search]
-      )
-      if (rows.length === 0) return null
-      return rows.map(
-        (row) =>
-          new LegalVerb(row.id, row.name, row.description, row.translation)
-      )
-    } catch (error) {
-      console.error('Error fetching legal verbs by name:', error.message)
-      throw new HttpException(500, 'Error fetching legal verbs by name')
-    }
-  }
-
-  /**
-   * Fetches legal verbs from the database by partial description match.
-   * @param {string} description - A partial description to search for.
-   * @returns {Promise<LegalVerb[] | null>} - Array of LegalVerb instances.
-   */
-  static async findByDescription (description) {
-    try {
-      const [rows] = await pool.query(
-        `
-          SELECT id, name, description, translation
-          FROM legal_verbs
-          WHERE MATCH(description) AGAINST(? IN BOOLEAN MODE)
-        `,
-        [description]
-      )
-      if (rows.length === 0) return null
-      return rows.map(
-        (row) =>
-          new LegalVerb(row.id, row.name, row.description, row.translation)
-      )
-    } catch (error) {
-      console.error(
-        'Error fetching legal verbs by description:',
-        error.message
-      )
-      throw new HttpException(500, 'Error fetching legal verbs by description')
-    }
-  }
-
-  /**
-   * Fetches legal verbs from the database by partial translation match.
-   * @param {string} translation - A partial translation to search for.
-   * @returns {Promise<LegalVerb[] | null>} - Array of LegalVerb instances.
-   */
-  static async findByTranslation (translation) {
-    try {
-      const [rows] = await pool.query(
-        `
-          SELECT id, name, description, translation
-          FROM legal_verbs
-          WHERE MATCH(translation) AGAINST(? IN BOOLEAN MODE)
-        `,
-        [translation]
-      )
-      if (rows.length === 0) return null
-      return rows.map(
-        (row) =>
-          new LegalVerb(row.id, row.name, row.description, row.translation)
-      )
-    } catch (error) {
-      console.error(
-        'Error fetching legal verbs by translation:',
-        error.message
-      )
-      throw new HttpException(500, 'Error fetching legal verbs by translation')
-    }
-  }
-
   /**
    * Updates a legal verb in the database.
    * @param {number} id - The ID of the legal verb to update.
@@ -451,6 +412,15 @@ class LegalVerbsRepository {
       )
     }
   }
+
+  /**
+   * SQL expressions of the fields legal verbs can be sorted by.
+   * @type {Object<string, string>}
+   */
+  static _sortColumns = {
+    id: 'legal_verbs.id',
+    name: 'legal_verbs.name'
+  }
 }
 
 export default LegalVerbsRepository
@@ -1,7 +1,20 @@
 import { pool } from '../config/db.config.js'
 import HttpException from '../services/errors/HttpException.js'
 import User from '../models/User.model.js'
-import { ReqIdentification } from '../models/ReqIdentification.model.js'
+import Article from '../models/Article.model.js'
+import ArticleSubunit from '../models/ArticleSubunit.model.js'
+import LegalVerb from '../models/LegalVerbs.model.js'
+import LegalBasis from '../models/LegalBasis.model.js'
+import Requirement from '../models/Requirement.model.js'
+import RequirementType from '../models/RequirementTypes.model.js'
+import {
+  ReqIdentification,
+  ReqIdentificationRequirement,
+  ReqIdentificationRequirementLegalBasis,
+  ReqIdentificationRequirementLegalBasisArticle,
+  ReqIdentificationRequirementLegalVerb
+} from '../models/ReqIdentification.model.js'
+import { buildPageQueries, toPage, orderByIds } from '../utils/pagination.js'
 
 /**
  * Repository for requirement identifications and related operations.
@@ -44,20 +57,28 @@ class ReqIdentificationRepository {
 
   /**
    * Updates the status of a requirement identification.
+   * The completion date is recorded when the status is 'Completado' and cleared otherwise.
    *
    * @param {number} reqIdentificationId - The ID of the requirement identification.
    * @param {'Activo' | 'Fallido' | 'Completado'} status - The new status.
+   * @param {string|null} [failureReason=null] - The reason of the failure, if applicable.
    * @returns {Promise<void>}
    * @throws {HttpException}
    */
-  static async updateStatus (reqIdentificationId, status) {
+  static async updateStatus (reqIdentificationId, status, failureReason = null) {
     const query = `
       UPDATE req_identifications
-      SET status = ?
+      SET status = ?, failure_reason = ?, completed_at = ?
       WHERE id = ?
     `
+    const completedAt = status === 'Completado' ? new Date() : null
     try {
-      await pool.query(query, [status, reqIdentificationId])
+      await pool.query(query, [
+        status,
+        failureReason,
+        completedAt,
+        reqIdentificationId
+      ])
     } catch (error) {
       console.error(
         'Error updating requirement identification status:',
@@ -73,10 +94,15 @@ class ReqIdentificationRepository {
   /**
    * Marks a requirement identification as Failed.
    * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {string} [failureReason] - The reason of the failure.
    * @returns {Promise<void>}
    */
-  static async markAsFailed (reqIdentificationId) {
-    return this.updateStatus(reqIdentificationId, 'Fallido')
+  static async markAsFailed (reqIdentificationId, failureReason) {
+    return this.updateStatus(
+      reqIdentificationId,
+      'Fallido',
+      failureReason || 'Unknown error'
+    )
   }
 
   /**
@@ -89,117 +115,114 @@ class ReqIdentificationRepository {
   }
 
   /**
-   * Retrieves all requirement identifications.
+   * Marks a requirement identification as Active.
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @returns {Promise<void>}
+   */
+  static async markAsActive (reqIdentificationId) {
+    return this.updateStatus(reqIdentificationId, 'Activo')
+  }
+
+  /**
+   * Retrieves a page of requirement identifications matching the given filters.
+   * The jurisdiction, state, municipality, subject and aspect filters match the
+   * legal bases linked to the identification, and must all hold for the same legal basis.
    *
-   * @returns {Promise<ReqIdentification[]|null>} - An array of all requirement identifications.
+   * @param {Object} [filters] - The filters to apply.
+   * @param {string} [filters.name] - A partial name.
+   * @param {string} [filters.description] - Full-text terms of the description.
+   * @param {number} [filters.userId] - The ID of the user who created the identification.
+   * @param {string} [filters.status] - The status ('Activo' | 'Fallido' | 'Completado').
+   * @param {string} [filters.createdFrom] - The earliest creation date (YYYY-MM-DD).
+   * @param {string} [filters.createdTo] - The latest creation date (YYYY-MM-DD).
+   * @param {string} [filters.jurisdiction] - The jurisdiction of a linked legal basis.
+   * @param {string} [filters.state] - The state of a linked legal basis.
+   * @param {Array<string>} [filters.municipalities] - The municipalities, any of which may match.
+   * @param {number} [filters.subjectId] - The subject ID of a linked legal basis.
+   * @param {Array<number>} [filters.aspectIds] - The aspect IDs, any of which may match.
+   * @param {import('../utils/pagination.js').ListOptions} listOptions - The pagination and sort options.
+   * @returns {Promise<import('../utils/pagination.js').Page<ReqIdentification>>} - The page of requirement identifications.
    * @throws {HttpException} - If an error occurs during the query.
    */
-  static async findAll () {
-    const query = `
-    SELECT 
-      ri.id AS req_identification_id,
-      ri.name,
-      ri.description,
-      ri.user_id,
-      ri.created_at,
-      ri.status,
-
-      u.id AS user_id,
-      u.name AS user_name,
-      u.gmail AS user_gmail,
-      u.role_id AS user_role_id,
-      u.profile_picture AS user_profile_picture,
-
-      s.id AS subject_id,
-      s.subject_name,
-
-      a.id AS aspect_id,
-      a.aspect_name,
-
-      lb.jurisdiction,
-      lb.state,
-      lb.municipality
+  static async findMany (filters = {}, listOptions) {
+    const conditions = []
+    const values = []
+    if (filters.name) {
+      conditions.push('req_identifications.name LIKE ?')
+      values.push(`%${filters.name}%`)
+    }
+    if (filters.description) {
+      conditions.push(
+        'MATCH(req_identifications.description) AGAINST(? IN BOOLEAN MODE)'
+      )
+      values.push(filters.description)
+    }
+    if (filters.userId) {
+      conditions.push('req_identifications.user_id = ?')
+      values.push(filters.userId)
+    }
+    if (filters.status) {
+      conditions.push('req_identifications.status = ?')
+      values.push(filters.status)
+    }
+    if (filters.createdFrom) {
+      conditions.push('DATE(req_identifications.created_at) >= ?')
+      values.push(filters.createdFrom)
+    }
+    if (filters.createdTo) {
+      conditions.push('DATE(req_identifications.created_at) <= ?')
+      values.push(filters.createdTo)
+    }
 
-    FROM req_identifications ri
-    LEFT JOIN users u ON ri.user_id = u.id
-    LEFT JOIN req_identifications_requirements rir ON ri.id = rir.req_identification_id
-    LEFT JOIN req_identifications_requirement_legal_basis rirlb 
-      ON rir.req_identification_id = rirlb.req_identification_id 
-      AND rir.requirement_id = rirlb.requirement_id
-    LEFT JOIN legal_basis lb ON rirlb.legal_basis_id = lb.id
-    LEFT JOIN subjects s ON lb.subject_id = s.id
-    LEFT JOIN legal_basis_subject_aspect lbsa ON lb.id = lbsa.legal_basis_id
-    LEFT JOIN aspects a ON lbsa.aspect_id = a.id
-    ORDER BY ri.created_at DESC, ri.id DESC
-  `
+    const legalBasisConditions = []
+    if (filters.jurisdiction) {
+      legalBasisConditions.push('lb.jurisdiction = ?')
+      values.push(filters.jurisdiction)
+    }
+    if (filters.state) {
+      legalBasisConditions.push('lb.state = ?')
+      values.push(filters.state)
+    }
+    if (filters.municipalities?.length > 0) {
+      legalBasisConditions.push('lb.municipality IN (?)')
+      values.push(filters.municipalities)
+    }
+    if (filters.subjectId) {
+      legalBasisConditions.push('lb.subject_id = ?')
+      values.push(filters.subjectId)
+    }
+    if (filters.aspectIds?.length > 0) {
+      legalBasisConditions.push(`EXISTS (
+          SELECT 1 FROM legal_basis_subject_aspect lbsa
+          WHERE lbsa.legal_basis_id = lb.id AND lbsa.aspect_id IN (?)
+        )`)
+      values.push(filters.aspectIds)
+    }
+    if (legalBasisConditions.length > 0) {
+      conditions.push(`EXISTS (
+        SELECT 1
+        FROM req_identifications_requirement_legal_basis rirlb
+        JOIN legal_basis lb ON rirlb.legal_basis_id = lb.id
+        WHERE rirlb.req_identification_id = req_identifications.id
+        AND ${legalBasisConditions.join(' AND ')}
+      )`)
+    }
 
+    const { pageQuery, pageValues, countQuery, countValues } =
+      buildPageQueries({
+        idColumn: 'req_identifications.id',
+        from: 'req_identifications',
+        conditions,
+        values,
+        sortColumns: this._sortColumns,
+        listOptions
+      })
     try {
-      const [rows] = await pool.query(query)
-      if (rows.length === 0) return null
-
-      const reqIdentificationMap = new Map()
-
-      for (const row of rows) {
-        if (!reqIdentificationMap.has(row.req_identification_id)) {
-          const user = row.user_id
-            ? new User(
-              row.user_id,
-              row.user_name,
-              null,
-              row.user_gmail,
-              row.user_role_id,
-              row.user_profile_picture
-            )
-            : null
-
-          reqIdentificationMap.set(row.req_identification_id, {
-            id: row.req_identification_id,
-            name: row.name,
-            description: row.description,
-            createdAt: row.created_at,
-            status: row.status,
-            user,
-            subject: row.subject_id
-              ? {
-                  subject_id: row.subject_id,
-                  subject_name: row.subject_name
-                }
-              : null,
-            aspects: new Map(),
-            jurisdiction: row.jurisdiction,
-            state: row.state,
-            municipality: row.municipality
-          })
-        }
-
-        const reqIdentification = reqIdentificationMap.get(
-          row.req_identification_id
-        )
-
-        if (row.aspect_id && !reqIdentification.aspects.has(row.aspect_id)) {
-          reqIdentification.aspects.set(row.aspect_id, {
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(reqIdentificationMap.values()).map(
-        (item) =>
-          new ReqIdentification(
-            item.id,
-            item.name,
-            item.description,
-            item.user,
-            item.createdAt,
-            item.status,
-            item.subject,
-            Array.from(item.aspects.values()),
-            item.jurisdiction,
-            item.state,
-            item.municipality
-          )
-      )
+      const [[{ total }]] = await pool.query(countQuery, countValues)
+      const [rows] = await pool.query(pageQuery, pageValues)
+      const { ids, pagination } = toPage(rows, total, listOptions)
+      const reqIdentifications = (await this.findByIds(ids)) || []
+      return { items: orderByIds(reqIdentifications, ids), pagination }
     } catch (error) {
       console.error(
         'Error fetching requirement identifications:',
@@ -228,6 +251,8 @@ class ReqIdentificationRepository {
       ri.user_id,
       ri.created_at,
       ri.status,
+      ri.failure_reason,
+      ri.completed_at,
 
       u.id AS user_id,
       u.name AS user_name,
@@ -301,7 +326,9 @@ class ReqIdentificationRepository {
         Array.from(aspectsMap.values()),
         row.jurisdiction,
         row.state,
-        row.municipality
+        row.municipality,
+        row.failure_reason,
+        row.completed_at
       )
     } catch (error) {
       console.error(
@@ -335,6 +362,8 @@ class ReqIdentificationRepository {
       ri.user_id,
       ri.created_at,
       ri.status,
+      ri.failure_reason,
+      ri.completed_at,
 
       u.id AS user_id,
       u.name AS user_name,
@@ -391,6 +420,8 @@ class ReqIdentificationRepository {
             description: row.description,
             createdAt: row.created_at,
             status: row.status,
+            failureReason: row.failure_reason,
+            completedAt: row.completed_at,
             user,
             subject: row.subject_id
               ? {
@@ -430,7 +461,9 @@ class ReqIdentificationRepository {
             Array.from(item.aspects.values()),
             item.jurisdiction,
             item.state,
-            item.municipality
+            item.municipality,
+            item.failureReason,
+            item.completedAt
           )
       )
     } catch (error) {
@@ -512,140 +545,13 @@ class ReqIdentificationRepository {
   }
 
   /**
-   * Retrieves requirement identifications filtered by name.
-   *
-   * @param {string} name - The name to filter by.
-   * @returns {Promise<ReqIdentification[]|null>} - An array of requirement identifications, or null if none found.
-   * @throws {HttpException} - If an error occurs during the query.
-   */
-  static async findByName (name) {
-    const query = `
-      SELECT 
-        ri.id AS req_identification_id,
-        ri.name,
-        ri.description,
-        ri.user_id,
-        ri.created_at,
-        ri.status,
-
-        u.id AS user_id,
-        u.name AS user_name,
-        u.gmail AS user_gmail,
-        u.role_id AS user_role_id,
-        u.profile_picture AS user_profile_picture,
-
-        s.id AS subject_id,
-        s.subject_name,
-
-        a.id AS aspect_id,
-        a.aspect_name,
-
-        lb.jurisdiction,
-        lb.state,
-        lb.municipality
-
-      FROM req_identifications ri
-      LEFT JOIN users u ON ri.user_id = u.id
-      LEFT JOIN req_identifications_requirements rir ON ri.id = rir.req_identification_id
-      LEFT JOIN req_identifications_requirement_legal_basis rirlb 
-        ON rir.req_identification_id = rirlb.req_identification_id 
-        AND rir.requirement_id = rirlb.requirement_id
-      LEFT JOIN legal_basis lb ON rirlb.legal_basis_id = lb.id
-      LEFT JOIN subjects s ON lb.subject_id = s.id
-      LEFT JOIN legal_basis_subject_aspect lbsa ON lb.id = lbsa.legal_basis_id
-      LEFT JOIN aspects a ON lbsa.aspect_id = a.id
-      WHERE ri.name LIKE ?
-      ORDER BY ri.created_at DESC, ri.id DESC
-    `
-
-    try {
-      const filterValue = `%${name}%`
-      const [rows] = await pool.query(query, [filterValue])
-      if (rows.length === 0) return null
-
-      const reqIdentificationMap = new Map()
-
-      for (const row of rows) {
-        if (!reqIdentificationMap.has(row.req_identification_id)) {
-          const user = row.user_id
-            ? new User(
-              row.user_id,
-              row.user_name,
-              null,
-              row.user_gmail,
-              row.user_role_id,
-              row.user_profile_picture
-            )
-            : null
-
-          reqIdentificationMap.set(row.req_identification_id, {
-            id: row.req_identification_id,
-            name: row.name,
-            description: row.description,
-            createdAt: row.created_at,
-            status: row.status,
-            user,
-            subject: row.subject_id
-              ? {
-                  subject_id: row.subject_id,
-                  subject_name: row.subject_name
-                }
-              : null,
-            aspects: new Map(),
-            jurisdiction: row.jurisdiction,
-            state: row.state,
-            municipality: row.municipality
-          })
-        }
-
-        const reqIdentification = reqIdentificationMap.get(
-          row.req_identification_id
-        )
-
-        if (row.aspect_id && !reqIdentification.aspects.has(row.aspect_id)) {
-          reqIdentification.aspects.set(row.aspect_id, {
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(reqIdentificationMap.values()).map(
-        (item) =>
-          new ReqIdentification(
-            item.id,
-            item.name,
-            item.description,
-            item.user,
-            item.createdAt,
-            item.status,
-            item.subject,
-            Array.from(item.aspects.values()),
-            item.jurisdiction,
-            item.state,
-            item.municipality
-          )
-      )
-    } catch (error) {
-      console.error(
-        'Error fetching requirement identifications by name:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error fetching requirement identifications by name'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirement identifications whose description matches the given term(s) using full-text search.
+   * Retrieves requirement identifications filtered by status.
    *
-   * @param {string} description - A partial or full-text search term.
+   * @param {string} status - The status to filter by ('Activo' | 'Fallido' | 'Completado').
    * @returns {Promise<ReqIdentification[]|null>} - An array of matching requirement identifications, or null if none found.
    * @throws {HttpException} - If an error occurs during the query.
    */
-  static async findByDescription (description) {
+  static async findByStatus (status) {
     const query = `
         SELECT 
           ri.id AS req_identification_id,
@@ -654,6 +560,8 @@ class ReqIdentificationRepository {
           ri.user_id,
           ri.created_at,
           ri.status,
+          ri.failure_reason,
+          ri.completed_at,
   
           u.id AS user_id,
           u.name AS user_name,
@@ -681,12 +589,12 @@ class ReqIdentificationRepository {
         LEFT JOIN subjects s ON lb.subject_id = s.id
         LEFT JOIN legal_basis_subject_aspect lbsa ON lb.id = lbsa.legal_basis_id
         LEFT JOIN aspects a ON lbsa.aspect_id = a.id
-        WHERE MATCH(ri.description) AGAINST(? IN BOOLEAN MODE)
+        WHERE ri.status = ?
         ORDER BY ri.created_at DESC, ri.id DESC
       `
 
     try {
-      const [rows] = await pool.query(query, [description])
+      const [rows] = await pool.query(query, [status])
       if (rows.length === 0) return null
 
       const reqIdentificationMap = new Map()
@@ -710,6 +618,8 @@ class ReqIdentificationRepository {
             description: row.description,
             createdAt: row.created_at,
             status: row.status,
+            failureReason: row.failure_reason,
+            completedAt: row.completed_at,
             user,
             subject: row.subject_id
               ? {
@@ -749,1379 +659,1459 @@ class ReqIdentificationRepository {
             Array.from(item.aspects.values()),
             item.jurisdiction,
             item.state,
-            item.municipality
+            item.municipality,
+            item.failureReason,
+            item.completedAt
           )
       )
     } catch (error) {
       console.error(
-        'Error fetching requirement identifications by description:',
+        'Error fetching requirement identifications by status:',
         error.message
       )
       throw new HttpException(
         500,
-        'Error fetching requirement identifications by description'
+        'Error fetching requirement identifications by status'
       )
     }
   }
 
   /**
-   * Retrieves requirement identifications filtered by the associated user’s ID.
+   * Updates a requirement identification record in the database.
    *
-   * @param {number} userId - The user ID to filter by.
-   * @returns {Promise<ReqIdentification[]|null>} - An array of matching requirement identifications, or null if none found.
-   * @throws {HttpException} - If an error occurs during the query.
+   * @param {number} id - The ID of the requirement identification to update.
+   * @param {Object} reqIdentification - The requirement identification data.
+   * @param {string|null} [reqIdentification.reqIdentificationName] - The new name of the requirement identification, (or null to keep current).
+   * @param {string|null} [reqIdentification.reqIdentificationDescription] - The new description of the requirement identification, (or null to keep current).
+   * @param {number|null} [reqIdentification.newUserId] -  the new user ID of the requirement identification, (or null to keep current).
+   * @returns {Promise<ReqIdentification|null>} - The updated ReqIdentification, or null if not found.
+   * @throws {HttpException} - If an error occurs during update.
    */
-  static async findByUserId (userId) {
-    const query = `
-    SELECT 
-      ri.id AS req_identification_id,
-      ri.name,
-      ri.description,
-      ri.user_id,
-      ri.created_at,
-      ri.status,
-
-      u.id AS user_id,
-      u.name AS user_name,
-      u.gmail AS user_gmail,
-      u.role_id AS user_role_id,
-      u.profile_picture AS user_profile_picture,
-
-      s.id AS subject_id,
-      s.subject_name,
-
-      a.id AS aspect_id,
-      a.aspect_name,
-
-      lb.jurisdiction,
-      lb.state,
-      lb.municipality
-
-    FROM req_identifications ri
-    LEFT JOIN users u ON ri.user_id = u.id
-    LEFT JOIN req_identifications_requirements rir ON ri.id = rir.req_identification_id
-    LEFT JOIN req_identifications_requirement_legal_basis rirlb 
-      ON rir.req_identification_id = rirlb.req_identification_id 
-      AND rir.requirement_id = rirlb.requirement_id
-    LEFT JOIN legal_basis lb ON rirlb.legal_basis_id = lb.id
-    LEFT JOIN subjects s ON lb.subject_id = s.id
-    LEFT JOIN legal_basis_subject_aspect lbsa ON lb.id = lbsa.legal_basis_id
-    LEFT JOIN aspects a ON lbsa.aspect_id = a.id
-    WHERE u.id = ?
-    ORDER BY ri.created_at DESC, ri.id DESC
-  `
-
+  static async update (id, reqIdentification) {
     try {
-      const [rows] = await pool.query(query, [userId])
-      if (rows.length === 0) return null
-
-      const reqIdentificationMap = new Map()
-
-      for (const row of rows) {
-        if (!reqIdentificationMap.has(row.req_identification_id)) {
-          const user = row.user_id
-            ? new User(
-              row.user_id,
-              row.user_name,
-              null,
-              row.user_gmail,
-              row.user_role_id,
-              row.user_profile_picture
-            )
-            : null
-
-          reqIdentificationMap.set(row.req_identification_id, {
-            id: row.req_identification_id,
-            name: row.name,
-            description: row.description,
-            createdAt: row.created_at,
-            status: row.status,
-            user,
-            subject: row.subject_id
-              ? {
-                  subject_id: row.subject_id,
-                  subject_name: row.subject_name
-                }
-              : null,
-            aspects: new Map(),
-            jurisdiction: row.jurisdiction,
-            state: row.state,
-            municipality: row.municipality
-          })
-        }
-
-        const reqIdentification = reqIdentificationMap.get(
-          row.req_identification_id
-        )
-
-        if (row.aspect_id && !reqIdentification.aspects.has(row.aspect_id)) {
-          reqIdentification.aspects.set(row.aspect_id, {
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
+      const updateQuery = `
+        UPDATE req_identifications
+        SET
+          name        = IFNULL(?, name),
+          description = IFNULL(?, description),
+          user_id     = IFNULL(?, user_id)
+        WHERE id = ?
+      `
+      const values = [
+        reqIdentification.reqIdentificationName,
+        reqIdentification.reqIdentificationDescription,
+        reqIdentification.newUserId,
+        id
+      ]
+      const [result] = await pool.query(updateQuery, values)
+      if (result.affectedRows === 0) return null
+      const updatedReqIdentification = await this.findById(id)
+      return updatedReqIdentification
+    } catch (error) {
+      console.error(
+        'Error updating requirement identification:',
+        error.message
+      )
+      throw new HttpException(500, 'Error updating requirement identification')
+    }
+  }
 
-      return Array.from(reqIdentificationMap.values()).map(
-        (item) =>
-          new ReqIdentification(
-            item.id,
-            item.name,
-            item.description,
-            item.user,
-            item.createdAt,
-            item.status,
-            item.subject,
-            Array.from(item.aspects.values()),
-            item.jurisdiction,
-            item.state,
-            item.municipality
-          )
+  /**
+   * Deletes a requirement identification by its ID.
+   * @param {number} id - The ID of the requirement identification to delete.
+   * @returns {Promise<boolean>} - Returns true if the deletion is successful, false otherwise.
+   */
+  static async deleteById (id) {
+    try {
+      const [result] = await pool.query(
+        'DELETE FROM req_identifications WHERE id = ?',
+        [id]
       )
+      return result.affectedRows > 0
     } catch (error) {
       console.error(
-        'Error fetching requirement identifications by user ID:',
+        'Error deleting requirement identification:',
         error.message
       )
       throw new HttpException(
         500,
-        'Error fetching requirement identifications by user ID'
+        'Error deleting requirement identification from the database'
       )
     }
   }
 
   /**
-   * Retrieves requirement identifications filtered by creation date range.
-   *
-   * @param {string} [from] - Start date, format: 'YYYY-MM-DD'.
-   * @param {string} [to] - End date, format: 'YYYY-MM-DD'.
-   * @returns {Promise<ReqIdentification[]|null>} - An array of matching requirement identifications, or null if none found.
-   * @throws {HttpException}
+   * Deletes multiple requirement identifications from the database using an array of IDs.
+   * @param {number[]} reqIdentificationIds - Array of requirement identification IDs to delete.
+   * @returns {Promise<boolean>} - True if deletion was successful, otherwise false.
    */
-  static async findByCreatedAt (from, to) {
-    let query = `
-    SELECT 
-      ri.id AS req_identification_id,
-      ri.name,
-      ri.description,
-      ri.user_id,
-      ri.created_at,
-      ri.status,
-
-      u.id AS user_id,
-      u.name AS user_name,
-      u.gmail AS user_gmail,
-      u.role_id AS user_role_id,
-      u.profile_picture AS user_profile_picture,
-
-      s.id AS subject_id,
-      s.subject_name,
-
-      a.id AS aspect_id,
-      a.aspect_name,
-
-      lb.jurisdiction,
-      lb.state,
-      lb.municipality
-
-    FROM req_identifications ri
-    LEFT JOIN users u ON ri.user_id = u.id
-    LEFT JOIN req_identifications_requirements rir ON ri.id = rir.req_identification_id
-    LEFT JOIN req_identifications_requirement_legal_basis rirlb 
-      ON rir.req_identification_id = rirlb.req_identification_id 
-      AND rir.requirement_id = rirlb.requirement_id
-    LEFT JOIN legal_basis lb ON rirlb.legal_basis_id = lb.id
-    LEFT JOIN subjects s ON lb.subject_id = s.id
-    LEFT JOIN legal_basis_subject_aspect lbsa ON lb.id = lbsa.legal_basis_id
-    LEFT JOIN aspects a ON lbsa.aspect_id = a.id
-  `
-
-    const conditions = []
-    const values = []
-
-    if (from && to) {
-      conditions.push('DATE(ri.created_at) BETWEEN ? AND ?')
-      values.push(from, to)
-    } else if (from) {
-      conditions.push('DATE(ri.created_at) >= ?')
-      values.push(from)
-    } else if (to) {
-      conditions.push('DATE(ri.created_at) <= ?')
-      values.push(to)
-    }
-
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ')
+  static async deleteBatch (reqIdentificationIds) {
+    const query = `
+        DELETE FROM req_identifications
+        WHERE id IN (?)
+      `
+    try {
+      const [result] = await pool.query(query, [reqIdentificationIds])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error(
+        'Error deleting requirement identifications batch:',
+        error.message
+      )
+      throw new HttpException(
+        500,
+        'Error deleting requirement identifications from the database'
+      )
     }
+  }
 
-    query += ' ORDER BY ri.created_at DESC, ri.id DESC'
-
+  /**
+   * Deletes all requirement identifications from the database.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during deletion.
+   */
+  static async deleteAll () {
     try {
-      const [rows] = await pool.query(query, values)
-      if (rows.length === 0) return null
-
-      const reqIdentificationMap = new Map()
-
-      for (const row of rows) {
-        if (!reqIdentificationMap.has(row.req_identification_id)) {
-          const user = row.user_id
-            ? new User(
-              row.user_id,
-              row.user_name,
-              null,
-              row.user_gmail,
-              row.user_role_id,
-              row.user_profile_picture
-            )
-            : null
-
-          reqIdentificationMap.set(row.req_identification_id, {
-            id: row.req_identification_id,
-            name: row.name,
-            description: row.description,
-            createdAt: row.created_at,
-            status: row.status,
-            user,
-            subject: row.subject_id
-              ? {
-                  subject_id: row.subject_id,
-                  subject_name: row.subject_name
-                }
-              : null,
-            aspects: new Map(),
-            jurisdiction: row.jurisdiction,
-            state: row.state,
-            municipality: row.municipality
-          })
-        }
-
-        const reqIdentification = reqIdentificationMap.get(
-          row.req_identification_id
-        )
-
-        if (row.aspect_id && !reqIdentification.aspects.has(row.aspect_id)) {
-          reqIdentification.aspects.set(row.aspect_id, {
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(reqIdentificationMap.values()).map(
-        (item) =>
-          new ReqIdentification(
-            item.id,
-            item.name,
-            item.description,
-            item.user,
-            item.createdAt,
-            item.status,
-            item.subject,
-            Array.from(item.aspects.values()),
-            item.jurisdiction,
-            item.state,
-            item.municipality
-          )
-      )
+      await pool.query('DELETE FROM req_identifications')
     } catch (error) {
       console.error(
-        'Error fetching requirement identifications by creation date range:',
+        'Error deleting all requirement identifications:',
         error.message
       )
       throw new HttpException(
         500,
-        'Error fetching requirement identifications by creation date range'
+        'Error deleting all requirement identifications from the database'
       )
     }
   }
 
   /**
-   * Retrieves requirement identifications filtered by status.
+   * Links a requirement to a requirement identification.
    *
-   * @param {string} status - The status to filter by ('Activo' | 'Fallido' | 'Completado').
-   * @returns {Promise<ReqIdentification[]|null>} - An array of matching requirement identifications, or null if none found.
-   * @throws {HttpException} - If an error occurs during the query.
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement to be linked.
+   * @param {string} requirementName - The name of the requirement.
+   * @param {'AI' | 'Manual'} [source='AI'] - Whether the requirement was identified by the AI or added manually.
+   * @param {number|null} [userId=null] - The ID of the user who added the requirement manually.
+   * @returns {Promise<void>} - Resolves when the operation completes successfully.
+   * @throws {HttpException} - If a database error occurs.
    */
-  static async findByStatus (status) {
+  static async linkRequirement (
+    reqIdentificationId,
+    requirementId,
+    requirementName,
+    source = 'AI',
+    userId = null
+  ) {
     const query = `
-        SELECT 
-          ri.id AS req_identification_id,
-          ri.name,
-          ri.description,
-          ri.user_id,
-          ri.created_at,
-          ri.status,
-  
-          u.id AS user_id,
-          u.name AS user_name,
-          u.gmail AS user_gmail,
-          u.role_id AS user_role_id,
-          u.profile_picture AS user_profile_picture,
-  
-          s.id AS subject_id,
-          s.subject_name,
-  
-          a.id AS aspect_id,
-          a.aspect_name,
-  
-          lb.jurisdiction,
-          lb.state,
-          lb.municipality
-  
-        FROM req_identifications ri
-        LEFT JOIN users u ON ri.user_id = u.id
-        LEFT JOIN req_identifications_requirements rir ON ri.id = rir.req_identification_id
-        LEFT JOIN req_identifications_requirement_legal_basis rirlb 
-          ON rir.req_identification_id = rirlb.req_identification_id 
-          AND rir.requirement_id = rirlb.requirement_id
-        LEFT JOIN legal_basis lb ON rirlb.legal_basis_id = lb.id
-        LEFT JOIN subjects s ON lb.subject_id = s.id
-        LEFT JOIN legal_basis_subject_aspect lbsa ON lb.id = lbsa.legal_basis_id
-        LEFT JOIN aspects a ON lbsa.aspect_id = a.id
-        WHERE ri.status = ?
-        ORDER BY ri.created_at DESC, ri.id DESC
-      `
+    INSERT INTO req_identifications_requirements
+    (req_identification_id, requirement_id, requirement_name, source, updated_by)
+    VALUES (?, ?, ?, ?, ?)
+  `
+    const values = [
+      reqIdentificationId,
+      requirementId,
+      requirementName,
+      source,
+      userId
+    ]
 
     try {
-      const [rows] = await pool.query(query, [status])
-      if (rows.length === 0) return null
+      await pool.query(query, values)
+    } catch (error) {
+      console.error('Error linking requirement:', error.message)
+      throw new HttpException(500, 'Error linking requirement')
+    }
+  }
 
-      const reqIdentificationMap = new Map()
+  /**
+ * Checks if a requirement is already linked to a requirement identification.
+ *
+ * @param {number} reqIdentificationId
+ * @param {number} requirementId
+ * @returns {Promise<boolean>}
+ * @throws {HttpException}
+ */
+  static async existsRequirementLink (reqIdentificationId, requirementId) {
+    const query = `
+    SELECT 1 FROM req_identifications_requirements
+    WHERE req_identification_id = ? AND requirement_id = ?
+    LIMIT 1
+  `
+    try {
+      const [rows] = await pool.query(query, [reqIdentificationId, requirementId])
+      return rows.length > 0
+    } catch (error) {
+      console.error('Error checking requirement link:', error.message)
+      throw new HttpException(500, 'Error checking requirement link')
+    }
+  }
 
-      for (const row of rows) {
-        if (!reqIdentificationMap.has(row.req_identification_id)) {
-          const user = row.user_id
-            ? new User(
-              row.user_id,
-              row.user_name,
-              null,
-              row.user_gmail,
-              row.user_role_id,
-              row.user_profile_picture
-            )
-            : null
+  /**
+   * Links a legal basis to a requirement within a requirement identification.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement to be linked.
+   * @param {number} legalBasisId - The ID of the legal basis to be linked.
+   * @param {'AI' | 'Manual'} [source='AI'] - Whether the legal basis was identified by the AI or added manually.
+   * @param {number|null} [userId=null] - The ID of the user who added the legal basis manually.
+   * @returns {Promise<void>} - Resolves when the operation completes successfully.
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async linkLegalBaseToRequirement (
+    reqIdentificationId,
+    requirementId,
+    legalBasisId,
+    source = 'AI',
+    userId = null
+  ) {
+    const query = `
+    INSERT INTO req_identifications_requirement_legal_basis
+    (req_identification_id, requirement_id, legal_basis_id, source, updated_by)
+    VALUES (?, ?, ?, ?, ?)
+  `
+    const values = [
+      reqIdentificationId,
+      requirementId,
+      legalBasisId,
+      source,
+      userId
+    ]
 
-          reqIdentificationMap.set(row.req_identification_id, {
-            id: row.req_identification_id,
-            name: row.name,
-            description: row.description,
-            createdAt: row.created_at,
-            status: row.status,
-            user,
-            subject: row.subject_id
-              ? {
-                  subject_id: row.subject_id,
-                  subject_name: row.subject_name
-                }
-              : null,
-            aspects: new Map(),
-            jurisdiction: row.jurisdiction,
-            state: row.state,
-            municipality: row.municipality
-          })
-        }
+    try {
+      await pool.query(query, values)
+    } catch (error) {
+      console.error(
+        'Error linking legal basis to requirement identification:',
+        error.message
+      )
+      throw new HttpException(
+        500,
+        'Error linking legal basis to requirement identification'
+      )
+    }
+  }
 
-        const reqIdentification = reqIdentificationMap.get(
-          row.req_identification_id
-        )
+  /**
+ * Checks if a legal basis is already linked to a requirement in a requirement identification.
+ *
+ * @param {number} reqIdentificationId
+ * @param {number} requirementId
+ * @param {number} legalBasisId
+ * @returns {Promise<boolean>}
+ * @throws {HttpException}
+ */
+  static async existsLegalBaseRequirementLink (reqIdentificationId, requirementId, legalBasisId) {
+    const query = `
+    SELECT 1 FROM req_identifications_requirement_legal_basis
+    WHERE req_identification_id = ? AND requirement_id = ? AND legal_basis_id = ?
+    LIMIT 1
+  `
+    try {
+      const [rows] = await pool.query(query, [reqIdentificationId, requirementId, legalBasisId])
+      return rows.length > 0
+    } catch (error) {
+      console.error('Error checking legal basis link:', error.message)
+      throw new HttpException(500, 'Error checking legal basis link')
+    }
+  }
 
-        if (row.aspect_id && !reqIdentification.aspects.has(row.aspect_id)) {
-          reqIdentification.aspects.set(row.aspect_id, {
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
+  /**
+ * Links an article to a legal basis and requirement within a requirement identification.
+ *
+ * @param {number} reqIdentificationId - The ID of the requirement identification.
+ * @param {number} requirementId - The ID of the requirement.
+ * @param {number} legalBasisId - The ID of the legal basis.
+ * @param {number} articleId - The ID of the article to link.
+ * @param {'Obligatorio' | 'Complementario' | 'General'} [articleType='General'] - Optional article type. Defaults to 'General'.
+ * @param {'AI' | 'Manual'} [source='AI'] - Whether the citation was identified by the AI or added manually.
+ * @param {number|null} [userId=null] - The ID of the user who added the citation manually.
+ * @returns {Promise<void>} - Resolves when the article is successfully linked.
+ * @throws {HttpException} - If a database error occurs.
+ */
+  static async linkArticleToLegalBaseToRequirement (
+    reqIdentificationId,
+    requirementId,
+    legalBasisId,
+    articleId,
+    articleType = 'General',
+    source = 'AI',
+    userId = null
+  ) {
+    const query = `
+    INSERT INTO req_identifications_requirement_legal_basis_articles
+      (req_identification_id, requirement_id, legal_basis_id, article_id, article_type, source, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `
 
-      return Array.from(reqIdentificationMap.values()).map(
-        (item) =>
-          new ReqIdentification(
-            item.id,
-            item.name,
-            item.description,
-            item.user,
-            item.createdAt,
-            item.status,
-            item.subject,
-            Array.from(item.aspects.values()),
-            item.jurisdiction,
-            item.state,
-            item.municipality
-          )
-      )
+    const values = [
+      reqIdentificationId,
+      requirementId,
+      legalBasisId,
+      articleId,
+      articleType,
+      source,
+      userId
+    ]
+
+    try {
+      await pool.query(query, values)
     } catch (error) {
       console.error(
-        'Error fetching requirement identifications by status:',
+        'Error linking article to legal basis and requirement:',
         error.message
       )
       throw new HttpException(
         500,
-        'Error fetching requirement identifications by status'
+        'Error linking article to legal basis and requirement'
+      )
+    }
+  }
+
+  /**
+   * Records the sub-units of a cited article that hold the requirement.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} articleId - The ID of the cited article.
+   * @param {number[]} subunitIds - The IDs of the cited sub-units of the article.
+   * @returns {Promise<void>} - Resolves when the sub-units are linked.
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async linkArticleSubunits (
+    reqIdentificationId,
+    requirementId,
+    legalBasisId,
+    articleId,
+    subunitIds
+  ) {
+    if (subunitIds.length === 0) return
+    const query = `
+    INSERT IGNORE INTO req_identifications_requirement_legal_basis_article_subunits
+      (req_identification_id, requirement_id, legal_basis_id, article_id, subunit_id)
+    VALUES ?
+  `
+    const values = subunitIds.map((subunitId) => [
+      reqIdentificationId,
+      requirementId,
+      legalBasisId,
+      articleId,
+      subunitId
+    ])
+    try {
+      await pool.query(query, [values])
+    } catch (error) {
+      console.error('Error linking article subunits:', error.message)
+      throw new HttpException(500, 'Error linking article subunits')
+    }
+  }
+
+  /**
+   * Records that the model evaluated an article for a requirement under a legal basis,
+   * whether it found the article relevant or not.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} articleId - The ID of the evaluated article.
+   * @param {boolean} isRelevant - Whether the article holds the requirement.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async recordArticleEvaluation (
+    reqIdentificationId,
+    requirementId,
+    legalBasisId,
+    articleId,
+    isRelevant
+  ) {
+    const query = `
+    INSERT INTO req_identifications_article_evaluations
+      (req_identification_id, requirement_id, legal_basis_id, article_id, is_relevant)
+    VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE is_relevant = VALUES(is_relevant), evaluated_at = CURRENT_TIMESTAMP
+  `
+    try {
+      await pool.query(query, [
+        reqIdentificationId,
+        requirementId,
+        legalBasisId,
+        articleId,
+        isRelevant
+      ])
+    } catch (error) {
+      console.error('Error recording article evaluation:', error.message)
+      throw new HttpException(500, 'Error recording article evaluation')
+    }
+  }
+
+  /**
+   * Retrieves the IDs of the articles already evaluated for a requirement under a legal basis,
+   * so a retried job resumes without evaluating them again.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @returns {Promise<Set<number>>} - The IDs of the evaluated articles.
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async findEvaluatedArticleIds (reqIdentificationId, requirementId, legalBasisId) {
+    const query = `
+    SELECT article_id FROM req_identifications_article_evaluations
+    WHERE req_identification_id = ? AND requirement_id = ? AND legal_basis_id = ?
+  `
+    try {
+      const [rows] = await pool.query(query, [reqIdentificationId, requirementId, legalBasisId])
+      return new Set(rows.map(({ article_id: articleId }) => articleId))
+    } catch (error) {
+      console.error('Error fetching article evaluations:', error.message)
+      throw new HttpException(500, 'Error fetching article evaluations')
+    }
+  }
+
+  /**
+   * Removes the article evaluations of a requirement/legal basis pair so its articles are evaluated again.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async deleteArticleEvaluations (reqIdentificationId, requirementId, legalBasisId) {
+    const query = `
+    DELETE FROM req_identifications_article_evaluations
+    WHERE req_identification_id = ? AND requirement_id = ? AND legal_basis_id = ?
+  `
+    try {
+      await pool.query(query, [reqIdentificationId, requirementId, legalBasisId])
+    } catch (error) {
+      console.error('Error deleting article evaluations:', error.message)
+      throw new HttpException(500, 'Error deleting article evaluations')
+    }
+  }
+
+  /**
+   * Counts the articles evaluated in a requirement identification, so an identification
+   * whose articles were all judged irrelevant can be told apart from one that never ran.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @returns {Promise<{ evaluatedArticles: number, relevantArticles: number }>} - The number of
+   * evaluated requirement/article pairs and of those found relevant.
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async countArticleEvaluations (reqIdentificationId) {
+    const query = `
+    SELECT
+      COUNT(*) AS evaluated_articles,
+      COALESCE(SUM(is_relevant), 0) AS relevant_articles
+    FROM req_identifications_article_evaluations
+    WHERE req_identification_id = ?
+  `
+    try {
+      const [[row]] = await pool.query(query, [reqIdentificationId])
+      return {
+        evaluatedArticles: Number(row.evaluated_articles),
+        relevantArticles: Number(row.relevant_articles)
+      }
+    } catch (error) {
+      console.error('Error counting article evaluations:', error.message)
+      throw new HttpException(500, 'Error counting article evaluations')
+    }
+  }
+
+  /**
+   * Counts the legal bases linked in a requirement identification and the normative articles
+   * of those legal bases that still have no recorded result: not evaluated, not linked and
+   * not excluded.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @returns {Promise<{ linkedLegalBases: number, pendingArticles: number }>} - The number of
+   * linked requirement/legal basis pairs and of requirement/article pairs without a result.
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async countPendingArticles (reqIdentificationId) {
+    const query = `
+    SELECT
+      COUNT(DISTINCT rlb.requirement_id, rlb.legal_basis_id) AS linked_legal_bases,
+      COUNT(a.id) AS pending_articles
+    FROM req_identifications_requirement_legal_basis rlb
+    LEFT JOIN article a
+      ON a.legal_basis_id = rlb.legal_basis_id
+      AND (a.section_kind IS NULL OR a.section_kind NOT IN (?))
+      AND NOT EXISTS (
+        SELECT 1 FROM req_identifications_article_evaluations e
+        WHERE e.req_identification_id = rlb.req_identification_id
+          AND e.requirement_id = rlb.requirement_id
+          AND e.legal_basis_id = rlb.legal_basis_id
+          AND e.article_id = a.id
       )
+      AND NOT EXISTS (
+        SELECT 1 FROM req_identifications_requirement_legal_basis_articles la
+        WHERE la.req_identification_id = rlb.req_identification_id
+          AND la.requirement_id = rlb.requirement_id
+          AND la.legal_basis_id = rlb.legal_basis_id
+          AND la.article_id = a.id
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM req_identifications_excluded_articles ea
+        WHERE ea.req_identification_id = rlb.req_identification_id
+          AND ea.requirement_id = rlb.requirement_id
+          AND ea.legal_basis_id = rlb.legal_basis_id
+          AND ea.article_id = a.id
+      )
+    WHERE rlb.req_identification_id = ?
+  `
+    try {
+      const [[row]] = await pool.query(query, [
+        Article.NON_NORMATIVE_SECTION_KINDS,
+        reqIdentificationId
+      ])
+      return {
+        linkedLegalBases: Number(row.linked_legal_bases),
+        pendingArticles: Number(row.pending_articles)
+      }
+    } catch (error) {
+      console.error('Error counting pending articles:', error.message)
+      throw new HttpException(500, 'Error counting pending articles')
+    }
+  }
+
+  /**
+ * Checks if an article is already linked to a legal basis and requirement in a requirement identification.
+ *
+ * @param {number} reqIdentificationId
+ * @param {number} requirementId
+ * @param {number} legalBasisId
+ * @param {number} articleId
+ * @returns {Promise<boolean>}
+ * @throws {HttpException}
+ */
+  static async existsArticleLegalBaseRequirementLink (reqIdentificationId, requirementId, legalBasisId, articleId) {
+    const query = `
+    SELECT 1 FROM req_identifications_requirement_legal_basis_articles
+    WHERE req_identification_id = ? AND requirement_id = ? AND legal_basis_id = ? AND article_id = ?
+    LIMIT 1
+  `
+    try {
+      const [rows] = await pool.query(query, [reqIdentificationId, requirementId, legalBasisId, articleId])
+      return rows.length > 0
+    } catch (error) {
+      console.error('Error checking article link:', error.message)
+      throw new HttpException(500, 'Error checking article link')
     }
   }
 
   /**
-   * Retrieves requirement identifications filtered by subject ID.
+   * Retrieves the articles linked to a requirement within a requirement identification.
    *
-   * @param {number} subjectId - The subject ID to filter by.
-   * @returns {Promise<ReqIdentification[]|null>} - An array of matching requirement identifications, or null if none found.
-   * @throws {HttpException} - If an error occurs during the query.
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @returns {Promise<Article[]|null>} - The linked articles ordered by legal basis and article order, or null if none found.
+   * @throws {HttpException} - If a database error occurs.
    */
-  static async findBySubjectId (subjectId) {
+  static async findArticlesByRequirement (reqIdentificationId, requirementId) {
     const query = `
-      SELECT 
-        ri.id AS req_identification_id,
-        ri.name,
-        ri.description,
-        ri.user_id,
-        ri.created_at,
-        ri.status,
-
-        u.id AS user_id,
-        u.name AS user_name,
-        u.gmail AS user_gmail,
-        u.role_id AS user_role_id,
-        u.profile_picture AS user_profile_picture,
-
-        s.id AS subject_id,
-        s.subject_name,
-
-        a.id AS aspect_id,
-        a.aspect_name,
-
-        lb.jurisdiction,
-        lb.state,
-        lb.municipality
-
-      FROM req_identifications ri
-      LEFT JOIN users u ON ri.user_id = u.id
-      LEFT JOIN req_identifications_requirements rir 
-        ON ri.id = rir.req_identification_id
-      LEFT JOIN req_identifications_requirement_legal_basis rirlb 
-        ON rir.req_identification_id = rirlb.req_identification_id 
-        AND rir.requirement_id = rirlb.requirement_id
-      LEFT JOIN legal_basis lb ON rirlb.legal_basis_id = lb.id
-      LEFT JOIN subjects s ON lb.subject_id = s.id
-      LEFT JOIN legal_basis_subject_aspect lbsa ON lb.id = lbsa.legal_basis_id
-      LEFT JOIN aspects a ON lbsa.aspect_id = a.id
-      WHERE s.id = ?
-      ORDER BY ri.created_at DESC, ri.id DESC
-    `
-
+    SELECT a.id, a.legal_basis_id, a.article_name, a.description, a.article_order
+    FROM req_identifications_requirement_legal_basis_articles rirlba
+    JOIN article a ON rirlba.article_id = a.id
+    WHERE rirlba.req_identification_id = ? AND rirlba.requirement_id = ?
+    ORDER BY a.legal_basis_id, a.article_order
+  `
     try {
-      const [rows] = await pool.query(query, [subjectId])
+      const [rows] = await pool.query(query, [reqIdentificationId, requirementId])
       if (rows.length === 0) return null
-
-      const reqIdentificationMap = new Map()
-
-      for (const row of rows) {
-        if (!reqIdentificationMap.has(row.req_identification_id)) {
-          const user = row.user_id
-            ? new User(
-              row.user_id,
-              row.user_name,
-              null,
-              row.user_gmail,
-              row.user_role_id,
-              row.user_profile_picture
-            )
-            : null
-
-          reqIdentificationMap.set(row.req_identification_id, {
-            id: row.req_identification_id,
-            name: row.name,
-            description: row.description,
-            createdAt: row.created_at,
-            status: row.status,
-            user,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: new Map(),
-            jurisdiction: row.jurisdiction,
-            state: row.state,
-            municipality: row.municipality
-          })
-        }
-
-        const reqIdentification = reqIdentificationMap.get(
-          row.req_identification_id
-        )
-
-        if (row.aspect_id && !reqIdentification.aspects.has(row.aspect_id)) {
-          reqIdentification.aspects.set(row.aspect_id, {
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(reqIdentificationMap.values()).map(
-        (item) =>
-          new ReqIdentification(
-            item.id,
-            item.name,
-            item.description,
-            item.user,
-            item.createdAt,
-            item.status,
-            item.subject,
-            Array.from(item.aspects.values()),
-            item.jurisdiction,
-            item.state,
-            item.municipality
+      return rows.map(
+        (row) =>
+          new Article(
+            row.id,
+            row.legal_basis_id,
+            row.article_name,
+            row.description,
+            row.article_order
           )
       )
     } catch (error) {
-      console.error(
-        'Error fetching requirement identifications by subject ID:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error fetching requirement identifications by subject ID'
-      )
+      console.error('Error fetching linked articles:', error.message)
+      throw new HttpException(500, 'Error fetching linked articles')
     }
   }
 
   /**
-   * Retrieves requirement identifications filtered by subject and aspect IDs.
+   * Links a legal verb translation to a requirement within a requirement identification.
    *
-   * @param {number} subjectId   - The subject ID to filter by.
-   * @param {number[]} [aspectIds] - Array of aspect IDs to filter by.
-   * @returns {Promise<ReqIdentification[]|null>} - An array of matching requirement identifications, or null if none found.
-   * @throws {HttpException} - If an error occurs during the query.
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalVerbId - The ID of the legal verb.
+   * @param {string} translation - The contextual translation of the legal verb.
+   * @param {'AI' | 'Manual'} [source='AI'] - Whether the translation was generated by the AI or written manually.
+   * @param {number|null} [userId=null] - The ID of the user who wrote the translation manually.
+   * @returns {Promise<void>} - Resolves when the legal verb is successfully linked.
+   * @throws {HttpException} - If a database error occurs.
    */
-  static async findBySubjectAndAspects (subjectId, aspectIds = []) {
-    try {
-      const values = [subjectId]
-      let reqIds = []
-
-      if (aspectIds.length > 0) {
-        const placeholders = aspectIds.map(() => '?').join(', ')
-        const filterQuery = `
-        SELECT DISTINCT ri.id AS req_identification_id
-        FROM req_identifications ri
-        JOIN req_identifications_requirements rir
-          ON ri.id = rir.req_identification_id
-        JOIN req_identifications_requirement_legal_basis rirlb
-          ON rir.req_identification_id = rirlb.req_identification_id
-          AND rir.requirement_id = rirlb.requirement_id
-        JOIN legal_basis lb
-          ON rirlb.legal_basis_id = lb.id
-        JOIN legal_basis_subject_aspect lbsa
-          ON lb.id = lbsa.legal_basis_id
-        WHERE lb.subject_id = ?
-          AND lbsa.aspect_id IN (${placeholders})
-      `
-        const [filterRows] = await pool.query(filterQuery, [
-          subjectId,
-          ...aspectIds
-        ])
-        if (filterRows.length === 0) return null
-        reqIds = filterRows.map((row) => row.req_identification_id)
-      }
-
-      let query = `
-      SELECT 
-        ri.id AS req_identification_id,
-        ri.name,
-        ri.description,
-        ri.user_id,
-        ri.created_at,
-        ri.status,
-
-        u.id AS user_id,
-        u.name AS user_name,
-        u.gmail AS user_gmail,
-        u.role_id AS user_role_id,
-        u.profile_picture AS user_profile_picture,
-
-        s.id AS subject_id,
-        s.subject_name,
-
-        a.id AS aspect_id,
-        a.aspect_name,
-
-        lb.jurisdiction,
-        lb.state,
-        lb.municipality
-      FROM req_identifications ri
-      LEFT JOIN users u ON ri.user_id = u.id
-      LEFT JOIN req_identifications_requirements rir ON ri.id = rir.req_identification_id
-      LEFT JOIN req_identifications_requirement_legal_basis rirlb
-        ON rir.req_identification_id = rirlb.req_identification_id
-        AND rir.requirement_id = rirlb.requirement_id
-      LEFT JOIN legal_basis lb ON rirlb.legal_basis_id = lb.id
-      LEFT JOIN subjects s ON lb.subject_id = s.id
-      LEFT JOIN legal_basis_subject_aspect lbsa ON lb.id = lbsa.legal_basis_id
-      LEFT JOIN aspects a ON lbsa.aspect_id = a.id
-      WHERE lb.subject_id = ?
-    `
+  static async linkLegalVerbToRequirement (
+    reqIdentificationId,
+    requirementId,
+    legalVerbId,
+    translation,
+    source = 'AI',
+    userId = null
+  ) {
+    const query = `
+    INSERT INTO req_identifications_requirement_legal_verbs
+      (req_identification_id, requirement_id, legal_verb_id, translation, source, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `
+    const values = [
+      reqIdentificationId,
+      requirementId,
+      legalVerbId,
+      translation,
+      source,
+      userId
+    ]
 
-      if (reqIds.length > 0) {
-        const idPlaceholders = reqIds.map(() => '?').join(', ')
-        query += ` AND ri.id IN (${idPlaceholders})`
-        values.push(...reqIds)
-      }
+    try {
+      await pool.query(query, values)
+    } catch (error) {
+      console.error('Error linking legal verb to requirement:', error.message)
+      throw new HttpException(500, 'Error linking legal verb to requirement')
+    }
+  }
 
-      query += ' ORDER BY ri.created_at DESC, ri.id DESC'
+  /**
+   * Checks if a legal verb is already linked to a requirement in a requirement identification.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalVerbId - The ID of the legal verb.
+   * @returns {Promise<boolean>} - True if the legal verb is already linked.
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async existsLegalVerbRequirementLink (reqIdentificationId, requirementId, legalVerbId) {
+    const query = `
+    SELECT 1 FROM req_identifications_requirement_legal_verbs
+    WHERE req_identification_id = ? AND requirement_id = ? AND legal_verb_id = ?
+    LIMIT 1
+  `
+    try {
+      const [rows] = await pool.query(query, [reqIdentificationId, requirementId, legalVerbId])
+      return rows.length > 0
+    } catch (error) {
+      console.error('Error checking legal verb link:', error.message)
+      throw new HttpException(500, 'Error checking legal verb link')
+    }
+  }
 
-      const [rows] = await pool.query(query, values)
+  /**
+   * Retrieves the legal verb translations of a requirement within a requirement identification.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @returns {Promise<ReqIdentificationRequirementLegalVerb[]|null>} - The legal verb translations, or null if none found.
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async findLegalVerbsByRequirement (reqIdentificationId, requirementId) {
+    const query = `
+    SELECT
+      lv.id,
+      lv.name,
+      lv.description,
+      lv.translation AS legal_verb_translation,
+      rirlv.translation
+    FROM req_identifications_requirement_legal_verbs rirlv
+    JOIN legal_verbs lv ON rirlv.legal_verb_id = lv.id
+    WHERE rirlv.req_identification_id = ? AND rirlv.requirement_id = ?
+    ORDER BY lv.name
+  `
+    try {
+      const [rows] = await pool.query(query, [reqIdentificationId, requirementId])
       if (rows.length === 0) return null
-
-      const reqIdentificationMap = new Map()
-
-      for (const row of rows) {
-        if (!reqIdentificationMap.has(row.req_identification_id)) {
-          const user = row.user_id
-            ? new User(
-              row.user_id,
-              row.user_name,
-              null,
-              row.user_gmail,
-              row.user_role_id,
-              row.user_profile_picture
-            )
-            : null
-
-          reqIdentificationMap.set(row.req_identification_id, {
-            id: row.req_identification_id,
-            name: row.name,
-            description: row.description,
-            createdAt: row.created_at,
-            status: row.status,
-            user,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: new Map(),
-            jurisdiction: row.jurisdiction,
-            state: row.state,
-            municipality: row.municipality
-          })
-        }
-
-        const reqIdentification = reqIdentificationMap.get(
-          row.req_identification_id
-        )
-        if (row.aspect_id && !reqIdentification.aspects.has(row.aspect_id)) {
-          reqIdentification.aspects.set(row.aspect_id, {
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(reqIdentificationMap.values()).map(
-        (item) =>
-          new ReqIdentification(
-            item.id,
-            item.name,
-            item.description,
-            item.user,
-            item.createdAt,
-            item.status,
-            item.subject,
-            Array.from(item.aspects.values()),
-            item.jurisdiction,
-            item.state,
-            item.municipality
+      return rows.map(
+        (row) =>
+          new ReqIdentificationRequirementLegalVerb(
+            new LegalVerb(
+              row.id,
+              row.name,
+              row.description,
+              row.legal_verb_translation
+            ),
+            row.translation
           )
       )
     } catch (error) {
-      console.error(
-        'Error retrieving requirement identifications by subject and aspects:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error retrieving requirement identifications by subject and aspects'
-      )
+      console.error('Error fetching requirement legal verbs:', error.message)
+      throw new HttpException(500, 'Error fetching requirement legal verbs')
     }
   }
 
   /**
-   * Retrieves requirement identifications filtered by jurisdiction.
+   * Retrieves every requirement of a requirement identification with its legal bases,
+   * cited articles and legal verb translations.
    *
-   * @param {string} jurisdiction - The jurisdiction to filter by.
-   * @returns {Promise<ReqIdentification[]|null>} - An array of matching requirement identifications, or null if none found.
-   * @throws {HttpException} - If an error occurs during the query.
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @returns {Promise<ReqIdentificationRequirement[]|null>} - The identified requirements, or null if none found.
+   * @throws {HttpException} - If a database error occurs.
    */
-  static async findByJurisdiction (jurisdiction) {
-    const query = `
-      SELECT 
-        ri.id AS req_identification_id,
-        ri.name,
-        ri.description,
-        ri.user_id,
-        ri.created_at,
-        ri.status,
-
-        u.id AS user_id,
-        u.name AS user_name,
-        u.gmail AS user_gmail,
-        u.role_id AS user_role_id,
-        u.profile_picture AS user_profile_picture,
-
-        s.id AS subject_id,
-        s.subject_name,
-
-        a.id AS aspect_id,
-        a.aspect_name,
-
-        lb.jurisdiction,
-        lb.state,
-        lb.municipality
-
-      FROM req_identifications ri
-      LEFT JOIN users u ON ri.user_id = u.id
-      LEFT JOIN req_identifications_requirements rir ON ri.id = rir.req_identification_id
-      LEFT JOIN req_identifications_requirement_legal_basis rirlb 
-        ON rir.req_identification_id = rirlb.req_identification_id 
-        AND rir.requirement_id = rirlb.requirement_id
-      LEFT JOIN legal_basis lb ON rirlb.legal_basis_id = lb.id
-      LEFT JOIN subjects s ON lb.subject_id = s.id
-      LEFT JOIN legal_basis_subject_aspect lbsa ON lb.id = lbsa.legal_basis_id
-      LEFT JOIN aspects a ON lbsa.aspect_id = a.id
-      WHERE lb.jurisdiction = ?
-      ORDER BY ri.created_at DESC, ri.id DESC
-    `
-
+  static async findRequirements (reqIdentificationId) {
+    const requirementsQuery = `
+    SELECT
+      rir.requirement_name AS identified_requirement_name,
+      rir.source,
+      rir.updated_by,
+      r.id,
+      r.requirement_number,
+      r.requirement_name,
+      r.mandatory_description,
+      r.complementary_description,
+      r.mandatory_sentences,
+      r.complementary_sentences,
+      r.mandatory_keywords,
+      r.complementary_keywords,
+      r.requirement_condition,
+      r.evidence,
+      r.specify_evidence,
+      r.periodicity,
+      r.acceptance_criteria,
+      s.id AS subject_id,
+      s.subject_name,
+      s.abbreviation AS subject_abbreviation,
+      s.order_index AS subject_order_index,
+      a.id AS aspect_id,
+      a.aspect_name,
+      a.abbreviation AS aspect_abbreviation,
+      a.order_index AS aspect_order_index,
+      rt.id AS requirement_type_id,
+      rt.name AS requirement_type_name,
+      rt.description AS requirement_type_description,
+      rt.classification AS requirement_type_classification
+    FROM req_identifications_requirements rir
+    JOIN requirements r ON rir.requirement_id = r.id
+    JOIN subjects s ON r.subject_id = s.id
+    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
+    LEFT JOIN aspects a ON rsa.aspect_id = a.id
+    LEFT JOIN requirement_types rt ON rir.requirement_type_id = rt.id
+    WHERE rir.req_identification_id = ?
+    ORDER BY s.order_index, s.id, r.requirement_number, r.id, a.order_index, a.id
+  `
+    const legalBasesQuery = `
+    SELECT
+      rirlb.requirement_id,
+      rirlb.source,
+      rirlb.updated_by,
+      lb.id,
+      lb.legal_name,
+      lb.abbreviation,
+      lb.classification,
+      lb.jurisdiction,
+      lb.state,
+      lb.municipality,
+      lb.last_reform,
+      lb.url,
+      s.id AS subject_id,
+      s.subject_name,
+      s.abbreviation AS subject_abbreviation,
+      s.order_index AS subject_order_index,
+      art.id AS article_id,
+      art.article_name,
+      art.description AS article_description,
+      art.article_order,
+      rirlba.article_type,
+      rirlba.source AS article_source,
+      rirlba.updated_by AS article_updated_by
+    FROM req_identifications_requirement_legal_basis rirlb
+    JOIN legal_basis lb ON rirlb.legal_basis_id = lb.id
+    JOIN subjects s ON lb.subject_id = s.id
+    LEFT JOIN req_identifications_requirement_legal_basis_articles rirlba
+      ON rirlba.req_identification_id = rirlb.req_identification_id
+      AND rirlba.requirement_id = rirlb.requirement_id
+      AND rirlba.legal_basis_id = rirlb.legal_basis_id
+    LEFT JOIN article art ON rirlba.article_id = art.id
+    WHERE rirlb.req_identification_id = ?
+    ORDER BY rirlb.requirement_id, lb.legal_name, lb.id, art.article_order, art.id
+  `
+    const subunitsQuery = `
+    SELECT
+      rirlbas.requirement_id,
+      rirlbas.legal_basis_id,
+      asu.id,
+      asu.article_id,
+      asu.parent_id,
+      asu.unit_kind,
+      asu.label,
+      asu.citation,
+      asu.content,
+      asu.unit_order
+    FROM req_identifications_requirement_legal_basis_article_subunits rirlbas
+    JOIN article_subunits asu ON rirlbas.subunit_id = asu.id
+    WHERE rirlbas.req_identification_id = ?
+    ORDER BY asu.article_id, asu.unit_order
+  `
+    const legalVerbsQuery = `
+    SELECT
+      rirlv.requirement_id,
+      lv.id,
+      lv.name,
+      lv.description,
+      lv.translation AS legal_verb_translation,
+      rirlv.translation,
+      rirlv.source,
+      rirlv.updated_by
+    FROM req_identifications_requirement_legal_verbs rirlv
+    JOIN legal_verbs lv ON rirlv.legal_verb_id = lv.id
+    WHERE rirlv.req_identification_id = ?
+    ORDER BY rirlv.requirement_id, lv.name
+  `
     try {
-      const [rows] = await pool.query(query, [jurisdiction])
-      if (rows.length === 0) return null
-
-      const reqIdentificationMap = new Map()
-
-      for (const row of rows) {
-        if (!reqIdentificationMap.has(row.req_identification_id)) {
-          const user = row.user_id
-            ? new User(
-              row.user_id,
-              row.user_name,
-              null,
-              row.user_gmail,
-              row.user_role_id,
-              row.user_profile_picture
-            )
-            : null
+      const [requirementRows] = await pool.query(requirementsQuery, [
+        reqIdentificationId
+      ])
+      if (requirementRows.length === 0) return null
+      const [legalBasisRows] = await pool.query(legalBasesQuery, [
+        reqIdentificationId
+      ])
+      const [subunitRows] = await pool.query(subunitsQuery, [
+        reqIdentificationId
+      ])
+      const [legalVerbRows] = await pool.query(legalVerbsQuery, [
+        reqIdentificationId
+      ])
 
-          reqIdentificationMap.set(row.req_identification_id, {
-            id: row.req_identification_id,
-            name: row.name,
-            description: row.description,
-            createdAt: row.created_at,
-            status: row.status,
-            user,
-            subject: row.subject_id
-              ? {
-                  subject_id: row.subject_id,
-                  subject_name: row.subject_name
-                }
-              : null,
-            aspects: new Map(),
-            jurisdiction: row.jurisdiction,
-            state: row.state,
-            municipality: row.municipality
-          })
+      const subunitsMap = new Map()
+      for (const row of subunitRows) {
+        const key = `${row.requirement_id}-${row.legal_basis_id}-${row.article_id}`
+        if (!subunitsMap.has(key)) {
+          subunitsMap.set(key, [])
         }
+        subunitsMap.get(key).push(
+          new ArticleSubunit(
+            row.id,
+            row.article_id,
+            row.parent_id,
+            row.unit_kind,
+            row.label,
+            row.citation,
+            row.content,
+            row.unit_order
+          )
+        )
+      }
 
-        const reqIdentification = reqIdentificationMap.get(
-          row.req_identification_id
+      const legalVerbsMap = new Map()
+      for (const row of legalVerbRows) {
+        if (!legalVerbsMap.has(row.requirement_id)) {
+          legalVerbsMap.set(row.requirement_id, [])
+        }
+        legalVerbsMap.get(row.requirement_id).push(
+          new ReqIdentificationRequirementLegalVerb(
+            new LegalVerb(
+              row.id,
+              row.name,
+              row.description,
+              row.legal_verb_translation
+            ),
+            row.translation,
+            row.source,
+            row.updated_by
+          )
         )
+      }
+
+      const legalBasesMap = new Map()
+      for (const row of legalBasisRows) {
+        if (!legalBasesMap.has(row.requirement_id)) {
+          legalBasesMap.set(row.requirement_id, new Map())
+        }
+        const requirementLegalBases = legalBasesMap.get(row.requirement_id)
+        if (!requirementLegalBases.has(row.id)) {
+          requirementLegalBases.set(
+            row.id,
+            new ReqIdentificationRequirementLegalBasis(
+              new LegalBasis(
+                row.id,
+                row.legal_name,
+                {
+                  subject_id: row.subject_id,
+                  subject_name: row.subject_name,
+                  abbreviation: row.subject_abbreviation,
+                  order_index: row.subject_order_index
+                },
+                [],
+                row.abbreviation,
+                row.classification,
+                row.jurisdiction,
+                row.state,
+                row.municipality,
+                row.last_reform,
+                row.url
+              ),
+              [],
+              row.source,
+              row.updated_by
+            )
+          )
+        }
+        if (row.article_id !== null) {
+          requirementLegalBases
+            .get(row.id)
+            .articles.push(
+              new ReqIdentificationRequirementLegalBasisArticle(
+                new Article(
+                  row.article_id,
+                  row.id,
+                  row.article_name,
+                  row.article_description,
+                  row.article_order
+                ),
+                row.article_type,
+                row.article_source,
+                row.article_updated_by,
+                subunitsMap.get(
+                  `${row.requirement_id}-${row.id}-${row.article_id}`
+                ) || []
+              )
+            )
+        }
+      }
 
-        if (row.aspect_id && !reqIdentification.aspects.has(row.aspect_id)) {
-          reqIdentification.aspects.set(row.aspect_id, {
+      const requirementsMap = new Map()
+      for (const row of requirementRows) {
+        if (!requirementsMap.has(row.id)) {
+          requirementsMap.set(
+            row.id,
+            new ReqIdentificationRequirement(
+              reqIdentificationId,
+              new Requirement(
+                row.id,
+                {
+                  subject_id: row.subject_id,
+                  subject_name: row.subject_name,
+                  abbreviation: row.subject_abbreviation,
+                  order_index: row.subject_order_index
+                },
+                [],
+                row.requirement_number,
+                row.requirement_name,
+                row.mandatory_description,
+                row.complementary_description,
+                row.mandatory_sentences,
+                row.complementary_sentences,
+                row.mandatory_keywords,
+                row.complementary_keywords,
+                row.requirement_condition,
+                row.evidence,
+                row.specify_evidence,
+                row.periodicity,
+                row.acceptance_criteria
+              ),
+              row.identified_requirement_name,
+              row.requirement_type_id !== null
+                ? new RequirementType(
+                  row.requirement_type_id,
+                  row.requirement_type_name,
+                  row.requirement_type_description,
+                  row.requirement_type_classification
+                )
+                : null,
+              legalVerbsMap.get(row.id) || [],
+              Array.from((legalBasesMap.get(row.id) || new Map()).values()),
+              row.source,
+              row.updated_by
+            )
+          )
+        }
+        if (row.aspect_id !== null) {
+          requirementsMap.get(row.id).requirement.aspects.push({
             aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
+            aspect_name: row.aspect_name,
+            abbreviation: row.aspect_abbreviation,
+            order_index: row.aspect_order_index
           })
         }
       }
 
-      return Array.from(reqIdentificationMap.values()).map(
-        (item) =>
-          new ReqIdentification(
-            item.id,
-            item.name,
-            item.description,
-            item.user,
-            item.createdAt,
-            item.status,
-            item.subject,
-            Array.from(item.aspects.values()),
-            item.jurisdiction,
-            item.state,
-            item.municipality
-          )
-      )
+      return Array.from(requirementsMap.values())
     } catch (error) {
-      console.error(
-        'Error fetching requirement identifications by jurisdiction:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error fetching requirement identifications by jurisdiction'
-      )
+      console.error('Error fetching identified requirements:', error.message)
+      throw new HttpException(500, 'Error fetching identified requirements')
     }
   }
 
   /**
-   * Retrieves requirement identifications filtered by state.
+   * @typedef {Object} OutdatedLegalBasis
+   * @property {number} requirementId - The ID of the requirement.
+   * @property {string} requirementName - The generated name of the requirement in the identification.
+   * @property {number} legalBasisId - The ID of the reformed legal basis.
+   * @property {string} legalName - The name of the reformed legal basis.
+   * @property {Date} outdatedAt - When the pair was flagged as outdated.
+   */
+
+  /**
+   * Retrieves the IDs of the requirement identifications that cite a legal basis.
    *
-   * @param {string} state - The state name to filter by.
-   * @returns {Promise<ReqIdentification[]|null>} - An array of matching requirement identifications, or null if none found.
-   * @throws {HttpException} - If an error occurs during the query.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @returns {Promise<number[]>} - The IDs of the requirement identifications.
+   * @throws {HttpException} - If a database error occurs.
    */
-  static async findByState (state) {
+  static async findIdsByLegalBasisId (legalBasisId) {
     const query = `
-      SELECT 
-        ri.id AS req_identification_id,
-        ri.name,
-        ri.description,
-        ri.user_id,
-        ri.created_at,
-        ri.status,
-
-        u.id AS user_id,
-        u.name AS user_name,
-        u.gmail AS user_gmail,
-        u.role_id AS user_role_id,
-        u.profile_picture AS user_profile_picture,
-
-        s.id AS subject_id,
-        s.subject_name,
-
-        a.id AS aspect_id,
-        a.aspect_name,
-
-        lb.jurisdiction,
-        lb.state,
-        lb.municipality
-
-      FROM req_identifications ri
-      LEFT JOIN users u ON ri.user_id = u.id
-      LEFT JOIN req_identifications_requirements rir ON ri.id = rir.req_identification_id
-      LEFT JOIN req_identifications_requirement_legal_basis rirlb 
-        ON rir.req_identification_id = rirlb.req_identification_id 
-        AND rir.requirement_id = rirlb.requirement_id
-      LEFT JOIN legal_basis lb ON rirlb.legal_basis_id = lb.id
-      LEFT JOIN subjects s ON lb.subject_id = s.id
-      LEFT JOIN legal_basis_subject_aspect lbsa ON lb.id = lbsa.legal_basis_id
-      LEFT JOIN aspects a ON lbsa.aspect_id = a.id
-      WHERE lb.state = ?
-      ORDER BY ri.created_at DESC, ri.id DESC
-    `
-
+    SELECT DISTINCT req_identification_id
+    FROM req_identifications_requirement_legal_basis
+    WHERE legal_basis_id = ?
+  `
     try {
-      const [rows] = await pool.query(query, [state])
-      if (rows.length === 0) return null
-
-      const reqIdentificationMap = new Map()
-
-      for (const row of rows) {
-        if (!reqIdentificationMap.has(row.req_identification_id)) {
-          const user = row.user_id
-            ? new User(
-              row.user_id,
-              row.user_name,
-              null,
-              row.user_gmail,
-              row.user_role_id,
-              row.user_profile_picture
-            )
-            : null
-
-          reqIdentificationMap.set(row.req_identification_id, {
-            id: row.req_identification_id,
-            name: row.name,
-            description: row.description,
-            createdAt: row.created_at,
-            status: row.status,
-            user,
-            subject: row.subject_id
-              ? {
-                  subject_id: row.subject_id,
-                  subject_name: row.subject_name
-                }
-              : null,
-            aspects: new Map(),
-            jurisdiction: row.jurisdiction,
-            state: row.state,
-            municipality: row.municipality
-          })
-        }
-
-        const reqIdentification = reqIdentificationMap.get(
-          row.req_identification_id
-        )
-
-        if (row.aspect_id && !reqIdentification.aspects.has(row.aspect_id)) {
-          reqIdentification.aspects.set(row.aspect_id, {
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(reqIdentificationMap.values()).map(
-        (item) =>
-          new ReqIdentification(
-            item.id,
-            item.name,
-            item.description,
-            item.user,
-            item.createdAt,
-            item.status,
-            item.subject,
-            Array.from(item.aspects.values()),
-            item.jurisdiction,
-            item.state,
-            item.municipality
-          )
-      )
+      const [rows] = await pool.query(query, [legalBasisId])
+      return rows.map((row) => row.req_identification_id)
     } catch (error) {
-      console.error(
-        'Error fetching requirement identifications by state:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error fetching requirement identifications by state'
-      )
+      console.error('Error fetching identifications by legal basis:', error.message)
+      throw new HttpException(500, 'Error fetching identifications by legal basis')
     }
   }
 
   /**
-   * Retrieves requirement identifications filtered by state and municipalities.
+   * Flags every requirement/legal basis pair that cites a legal basis as outdated.
    *
-   * @param {string} state - The state to filter by.
-   * @param {string[]} [municipalities] - An array of municipality filter by.
-   * @returns {Promise<ReqIdentification[]|null>} - A list of matching requirement identifications, or null if none found.
-   * @throws {HttpException} - If an error occurs during the query.
+   * @param {number} legalBasisId - The ID of the reformed legal basis.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If a database error occurs.
    */
-  static async findByStateAndMunicipalities (state, municipalities = []) {
-    let query = `
-        SELECT 
-          ri.id AS req_identification_id,
-          ri.name,
-          ri.description,
-          ri.user_id,
-          ri.created_at,
-          ri.status,
-  
-          u.id AS user_id,
-          u.name AS user_name,
-          u.gmail AS user_gmail,
-          u.role_id AS user_role_id,
-          u.profile_picture AS user_profile_picture,
-  
-          s.id AS subject_id,
-          s.subject_name,
-  
-          a.id AS aspect_id,
-          a.aspect_name,
-  
-          lb.jurisdiction,
-          lb.state,
-          lb.municipality
-        FROM req_identifications ri
-        LEFT JOIN users u 
-          ON ri.user_id = u.id
-        LEFT JOIN req_identifications_requirements rir 
-          ON ri.id = rir.req_identification_id
-        LEFT JOIN req_identifications_requirement_legal_basis rirlb 
-          ON rir.req_identification_id = rirlb.req_identification_id
-          AND rir.requirement_id = rirlb.requirement_id
-        LEFT JOIN legal_basis lb 
-          ON rirlb.legal_basis_id = lb.id
-        LEFT JOIN subjects s 
-          ON lb.subject_id = s.id
-        LEFT JOIN legal_basis_subject_aspect lbsa 
-          ON lb.id = lbsa.legal_basis_id
-        LEFT JOIN aspects a 
-          ON lbsa.aspect_id = a.id
-        WHERE lb.state = ?
-      `
-    const values = [state]
-
-    if (municipalities.length > 0) {
-      const placeholders = municipalities.map(() => '?').join(', ')
-      query += ` AND lb.municipality IN (${placeholders})`
-      values.push(...municipalities)
+  static async markLegalBasisAsOutdated (legalBasisId) {
+    const query = `
+    UPDATE req_identifications_requirement_legal_basis
+    SET is_outdated = TRUE, outdated_at = NOW()
+    WHERE legal_basis_id = ?
+  `
+    try {
+      await pool.query(query, [legalBasisId])
+    } catch (error) {
+      console.error('Error flagging legal basis as outdated:', error.message)
+      throw new HttpException(500, 'Error flagging legal basis as outdated')
     }
+  }
 
-    query += ' ORDER BY ri.created_at DESC, ri.id DESC'
+  /**
+   * Clears the outdated flag of a requirement/legal basis pair.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async clearOutdatedLegalBasis (reqIdentificationId, requirementId, legalBasisId) {
+    const query = `
+    UPDATE req_identifications_requirement_legal_basis
+    SET is_outdated = FALSE, outdated_at = NULL
+    WHERE req_identification_id = ? AND requirement_id = ? AND legal_basis_id = ?
+  `
+    try {
+      await pool.query(query, [reqIdentificationId, requirementId, legalBasisId])
+    } catch (error) {
+      console.error('Error clearing outdated legal basis:', error.message)
+      throw new HttpException(500, 'Error clearing outdated legal basis')
+    }
+  }
 
+  /**
+   * Retrieves the outdated requirement/legal basis pairs of a requirement identification.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @returns {Promise<OutdatedLegalBasis[]|null>} - The outdated pairs, or null if none found.
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async findOutdatedLegalBases (reqIdentificationId) {
+    const query = `
+    SELECT
+      rirlb.requirement_id,
+      rir.requirement_name,
+      rirlb.legal_basis_id,
+      lb.legal_name,
+      rirlb.outdated_at
+    FROM req_identifications_requirement_legal_basis rirlb
+    JOIN req_identifications_requirements rir
+      ON rir.req_identification_id = rirlb.req_identification_id
+      AND rir.requirement_id = rirlb.requirement_id
+    JOIN legal_basis lb ON rirlb.legal_basis_id = lb.id
+    WHERE rirlb.req_identification_id = ? AND rirlb.is_outdated = TRUE
+    ORDER BY rirlb.requirement_id, rirlb.legal_basis_id
+  `
     try {
-      const [rows] = await pool.query(query, values)
+      const [rows] = await pool.query(query, [reqIdentificationId])
       if (rows.length === 0) return null
+      return rows.map((row) => ({
+        requirementId: row.requirement_id,
+        requirementName: row.requirement_name,
+        legalBasisId: row.legal_basis_id,
+        legalName: row.legal_name,
+        outdatedAt: row.outdated_at
+      }))
+    } catch (error) {
+      console.error('Error fetching outdated legal bases:', error.message)
+      throw new HttpException(500, 'Error fetching outdated legal bases')
+    }
+  }
 
-      const reqIdentificationMap = new Map()
-
-      for (const row of rows) {
-        if (!reqIdentificationMap.has(row.req_identification_id)) {
-          const user = row.user_id
-            ? new User(
-              row.user_id,
-              row.user_name,
-              null,
-              row.user_gmail,
-              row.user_role_id,
-              row.user_profile_picture
-            )
-            : null
-          reqIdentificationMap.set(row.req_identification_id, {
-            id: row.req_identification_id,
-            name: row.name,
-            description: row.description,
-            createdAt: row.created_at,
-            status: row.status,
-            user,
-            subject: row.subject_id
-              ? {
-                  subject_id: row.subject_id,
-                  subject_name: row.subject_name
-                }
-              : null,
-            aspects: new Map(),
-            jurisdiction: row.jurisdiction,
-            state: row.state,
-            municipality: row.municipality
-          })
-        }
-
-        const reqIdentification = reqIdentificationMap.get(
-          row.req_identification_id
-        )
-        if (row.aspect_id && !reqIdentification.aspects.has(row.aspect_id)) {
-          reqIdentification.aspects.set(row.aspect_id, {
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-      return Array.from(reqIdentificationMap.values()).map(
-        (item) =>
-          new ReqIdentification(
-            item.id,
-            item.name,
-            item.description,
-            item.user,
-            item.createdAt,
-            item.status,
-            item.subject,
-            Array.from(item.aspects.values()),
-            item.jurisdiction,
-            item.state,
-            item.municipality
-          )
-      )
+  /**
+   * Removes the AI-identified article links of a requirement/legal basis pair so they can be identified again.
+   * Manually curated citations are kept.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async unlinkArticlesFromLegalBaseRequirement (reqIdentificationId, requirementId, legalBasisId) {
+    const query = `
+    DELETE FROM req_identifications_requirement_legal_basis_articles
+    WHERE req_identification_id = ? AND requirement_id = ? AND legal_basis_id = ?
+      AND source = 'AI'
+  `
+    try {
+      await pool.query(query, [reqIdentificationId, requirementId, legalBasisId])
     } catch (error) {
-      console.error(
-        'Error retrieving requirement identifications by state and municipalities:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error retrieving requirement identifications by state and municipalities'
-      )
+      console.error('Error unlinking articles from requirement:', error.message)
+      throw new HttpException(500, 'Error unlinking articles from requirement')
     }
   }
 
   /**
-   * Updates a requirement identification record in the database.
+   * Removes the AI-generated legal verb translations of a requirement so they can be identified again.
+   * Manually edited translations are kept.
    *
-   * @param {number} id - The ID of the requirement identification to update.
-   * @param {Object} reqIdentification - The requirement identification data.
-   * @param {string|null} [reqIdentification.reqIdentificationName] - The new name of the requirement identification, (or null to keep current).
-   * @param {string|null} [reqIdentification.reqIdentificationDescription] - The new description of the requirement identification, (or null to keep current).
-   * @param {number|null} [reqIdentification.newUserId] -  the new user ID of the requirement identification, (or null to keep current).
-   * @returns {Promise<ReqIdentification|null>} - The updated ReqIdentification, or null if not found.
-   * @throws {HttpException} - If an error occurs during update.
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If a database error occurs.
    */
-  static async update (id, reqIdentification) {
+  static async unlinkLegalVerbsFromRequirement (reqIdentificationId, requirementId) {
+    const query = `
+    DELETE FROM req_identifications_requirement_legal_verbs
+    WHERE req_identification_id = ? AND requirement_id = ?
+      AND source = 'AI'
+  `
     try {
-      const updateQuery = `
-        UPDATE req_identifications
-        SET
-          name        = IFNULL(?, name),
-          description = IFNULL(?, description),
-          user_id     = IFNULL(?, user_id)
-        WHERE id = ?
-      `
-      const values = [
-        reqIdentification.reqIdentificationName,
-        reqIdentification.reqIdentificationDescription,
-        reqIdentification.newUserId,
-        id
-      ]
-      const [result] = await pool.query(updateQuery, values)
-      if (result.affectedRows === 0) return null
-      const updatedReqIdentification = await this.findById(id)
-      return updatedReqIdentification
+      await pool.query(query, [reqIdentificationId, requirementId])
     } catch (error) {
-      console.error(
-        'Error updating requirement identification:',
-        error.message
-      )
-      throw new HttpException(500, 'Error updating requirement identification')
+      console.error('Error unlinking legal verbs from requirement:', error.message)
+      throw new HttpException(500, 'Error unlinking legal verbs from requirement')
     }
   }
 
   /**
-   * Deletes a requirement identification by its ID.
-   * @param {number} id - The ID of the requirement identification to delete.
-   * @returns {Promise<boolean>} - Returns true if the deletion is successful, false otherwise.
+   * Removes a requirement, with its legal bases, cited articles and legal verbs, from a requirement identification.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @returns {Promise<boolean>} - True if the requirement was removed, false if it was not linked.
+   * @throws {HttpException} - If a database error occurs.
    */
-  static async deleteById (id) {
+  static async unlinkRequirement (reqIdentificationId, requirementId) {
+    const query = `
+    DELETE FROM req_identifications_requirements
+    WHERE req_identification_id = ? AND requirement_id = ?
+  `
     try {
-      const [result] = await pool.query(
-        'DELETE FROM req_identifications WHERE id = ?',
-        [id]
-      )
+      const [result] = await pool.query(query, [reqIdentificationId, requirementId])
       return result.affectedRows > 0
     } catch (error) {
-      console.error(
-        'Error deleting requirement identification:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error deleting requirement identification from the database'
-      )
+      console.error('Error unlinking requirement:', error.message)
+      throw new HttpException(500, 'Error unlinking requirement')
     }
   }
 
   /**
-   * Deletes multiple requirement identifications from the database using an array of IDs.
-   * @param {number[]} reqIdentificationIds - Array of requirement identification IDs to delete.
-   * @returns {Promise<boolean>} - True if deletion was successful, otherwise false.
+   * Removes an article citation from a requirement/legal basis pair.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} articleId - The ID of the article.
+   * @returns {Promise<boolean>} - True if the citation was removed, false if it did not exist.
+   * @throws {HttpException} - If a database error occurs.
    */
-  static async deleteBatch (reqIdentificationIds) {
+  static async unlinkArticle (reqIdentificationId, requirementId, legalBasisId, articleId) {
     const query = `
-        DELETE FROM req_identifications
-        WHERE id IN (?)
-      `
+    DELETE FROM req_identifications_requirement_legal_basis_articles
+    WHERE req_identification_id = ? AND requirement_id = ? AND legal_basis_id = ? AND article_id = ?
+  `
     try {
-      const [result] = await pool.query(query, [reqIdentificationIds])
+      const [result] = await pool.query(query, [
+        reqIdentificationId,
+        requirementId,
+        legalBasisId,
+        articleId
+      ])
       return result.affectedRows > 0
     } catch (error) {
-      console.error(
-        'Error deleting requirement identifications batch:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error deleting requirement identifications from the database'
-      )
+      console.error('Error unlinking article:', error.message)
+      throw new HttpException(500, 'Error unlinking article')
     }
   }
 
   /**
-   * Deletes all requirement identifications from the database.
-   * @returns {Promise<void>}
-   * @throws {HttpException} - If an error occurs during deletion.
+   * Updates the classification of an article citation and marks it as manually curated.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} articleId - The ID of the article.
+   * @param {'Obligatorio' | 'Complementario' | 'General'} articleType - The new article type.
+   * @param {number} userId - The ID of the user making the change.
+   * @returns {Promise<boolean>} - True if the citation was updated, false if it does not exist.
+   * @throws {HttpException} - If a database error occurs.
    */
-  static async deleteAll () {
+  static async updateArticleType (
+    reqIdentificationId,
+    requirementId,
+    legalBasisId,
+    articleId,
+    articleType,
+    userId
+  ) {
+    const query = `
+    UPDATE req_identifications_requirement_legal_basis_articles
+    SET article_type = ?, source = 'Manual', updated_by = ?
+    WHERE req_identification_id = ? AND requirement_id = ? AND legal_basis_id = ? AND article_id = ?
+  `
     try {
-      await pool.query('DELETE FROM req_identifications')
+      const [result] = await pool.query(query, [
+        articleType,
+        userId,
+        reqIdentificationId,
+        requirementId,
+        legalBasisId,
+        articleId
+      ])
+      return result.affectedRows > 0
     } catch (error) {
-      console.error(
-        'Error deleting all requirement identifications:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error deleting all requirement identifications from the database'
-      )
+      console.error('Error updating article type:', error.message)
+      throw new HttpException(500, 'Error updating article type')
     }
   }
 
   /**
-   * Links a requirement to a requirement identification.
+   * Updates the translation of a legal verb of a requirement and marks it as manually curated.
    *
    * @param {number} reqIdentificationId - The ID of the requirement identification.
-   * @param {number} requirementId - The ID of the requirement to be linked.
-   * @param {string} requirementName - The name of the requirement.
-   * @returns {Promise<void>} - Resolves when the operation completes successfully.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalVerbId - The ID of the legal verb.
+   * @param {string} translation - The new translation.
+   * @param {number} userId - The ID of the user making the change.
+   * @returns {Promise<boolean>} - True if the translation was updated, false if it does not exist.
    * @throws {HttpException} - If a database error occurs.
    */
-  static async linkRequirement (
+  static async updateLegalVerbTranslation (
     reqIdentificationId,
     requirementId,
-    requirementName
+    legalVerbId,
+    translation,
+    userId
   ) {
     const query = `
-    INSERT INTO req_identifications_requirements
-    (req_identification_id, requirement_id, requirement_name)
-    VALUES (?, ?, ?)
+    UPDATE req_identifications_requirement_legal_verbs
+    SET translation = ?, source = 'Manual', updated_by = ?
+    WHERE req_identification_id = ? AND requirement_id = ? AND legal_verb_id = ?
   `
-    const values = [reqIdentificationId, requirementId, requirementName]
-
     try {
-      await pool.query(query, values)
+      const [result] = await pool.query(query, [
+        translation,
+        userId,
+        reqIdentificationId,
+        requirementId,
+        legalVerbId
+      ])
+      return result.affectedRows > 0
     } catch (error) {
-      console.error('Error linking requirement:', error.message)
-      throw new HttpException(500, 'Error linking requirement')
+      console.error('Error updating legal verb translation:', error.message)
+      throw new HttpException(500, 'Error updating legal verb translation')
     }
   }
 
   /**
- * Checks if a requirement is already linked to a requirement identification.
- *
- * @param {number} reqIdentificationId
- * @param {number} requirementId
- * @returns {Promise<boolean>}
- * @throws {HttpException}
- */
-  static async existsRequirementLink (reqIdentificationId, requirementId) {
+   * Records that a requirement was manually removed from a requirement identification,
+   * so later identification runs do not add it back.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} userId - The ID of the user who removed the requirement.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async excludeRequirement (reqIdentificationId, requirementId, userId) {
     const query = `
-    SELECT 1 FROM req_identifications_requirements
-    WHERE req_identification_id = ? AND requirement_id = ?
-    LIMIT 1
+    INSERT INTO req_identifications_excluded_requirements
+      (req_identification_id, requirement_id, excluded_by)
+    VALUES (?, ?, ?)
+    ON DUPLICATE KEY UPDATE excluded_by = VALUES(excluded_by), excluded_at = NOW()
   `
     try {
-      const [rows] = await pool.query(query, [reqIdentificationId, requirementId])
-      return rows.length > 0
+      await pool.query(query, [reqIdentificationId, requirementId, userId])
     } catch (error) {
-      console.error('Error checking requirement link:', error.message)
-      throw new HttpException(500, 'Error checking requirement link')
+      console.error('Error excluding requirement:', error.message)
+      throw new HttpException(500, 'Error excluding requirement')
     }
   }
 
   /**
-   * Links a legal basis to a requirement within a requirement identification.
+   * Removes the manual exclusion of a requirement from a requirement identification.
    *
    * @param {number} reqIdentificationId - The ID of the requirement identification.
-   * @param {number} requirementId - The ID of the requirement to be linked.
-   * @param {number} legalBasisId - The ID of the legal basis to be linked.
-   * @returns {Promise<void>} - Resolves when the operation completes successfully.
+   * @param {number} requirementId - The ID of the requirement.
+   * @returns {Promise<void>}
    * @throws {HttpException} - If a database error occurs.
    */
-  static async linkLegalBaseToRequirement (
-    reqIdentificationId,
-    requirementId,
-    legalBasisId
-  ) {
+  static async removeRequirementExclusion (reqIdentificationId, requirementId) {
     const query = `
-    INSERT INTO req_identifications_requirement_legal_basis
-    (req_identification_id, requirement_id, legal_basis_id)
-    VALUES (?, ?, ?)
+    DELETE FROM req_identifications_excluded_requirements
+    WHERE req_identification_id = ? AND requirement_id = ?
   `
-    const values = [reqIdentificationId, requirementId, legalBasisId]
-
     try {
-      await pool.query(query, values)
+      await pool.query(query, [reqIdentificationId, requirementId])
     } catch (error) {
-      console.error(
-        'Error linking legal basis to requirement identification:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error linking legal basis to requirement identification'
-      )
+      console.error('Error removing requirement exclusion:', error.message)
+      throw new HttpException(500, 'Error removing requirement exclusion')
     }
   }
 
   /**
- * Checks if a legal basis is already linked to a requirement in a requirement identification.
- *
- * @param {number} reqIdentificationId
- * @param {number} requirementId
- * @param {number} legalBasisId
- * @returns {Promise<boolean>}
- * @throws {HttpException}
- */
-  static async existsLegalBaseRequirementLink (reqIdentificationId, requirementId, legalBasisId) {
+   * Retrieves the IDs of the requirements manually removed from a requirement identification.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @returns {Promise<number[]>} - The IDs of the excluded requirements.
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async findExcludedRequirementIds (reqIdentificationId) {
     const query = `
-    SELECT 1 FROM req_identifications_requirement_legal_basis
-    WHERE req_identification_id = ? AND requirement_id = ? AND legal_basis_id = ?
-    LIMIT 1
+    SELECT requirement_id
+    FROM req_identifications_excluded_requirements
+    WHERE req_identification_id = ?
   `
     try {
-      const [rows] = await pool.query(query, [reqIdentificationId, requirementId, legalBasisId])
-      return rows.length > 0
+      const [rows] = await pool.query(query, [reqIdentificationId])
+      return rows.map((row) => row.requirement_id)
     } catch (error) {
-      console.error('Error checking legal basis link:', error.message)
-      throw new HttpException(500, 'Error checking legal basis link')
+      console.error('Error fetching excluded requirements:', error.message)
+      throw new HttpException(500, 'Error fetching excluded requirements')
     }
   }
 
   /**
- * Links an article to a legal basis and requirement within a requirement identification.
- *
- * @param {number} reqIdentificationId - The ID of the requirement identification.
- * @param {number} requirementId - The ID of the requirement.
- * @param {number} legalBasisId - The ID of the legal basis.
- * @param {number} articleId - The ID of the article to link.
- * @param {'Obligatorio' | 'Complementario' | 'General'} [articleType='General'] - Optional article type. Defaults to 'General'.
- * @returns {Promise<void>} - Resolves when the article is successfully linked.
- * @throws {HttpException} - If a database error occurs.
- */
-  static async linkArticleToLegalBaseToRequirement (
+   * Records that an article citation was manually removed from a requirement/legal basis pair,
+   * so later identification runs do not cite it again.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} articleId - The ID of the article.
+   * @param {number} userId - The ID of the user who removed the citation.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async excludeArticle (
     reqIdentificationId,
     requirementId,
     legalBasisId,
     articleId,
-    articleType = 'General'
+    userId
   ) {
     const query = `
-    INSERT INTO req_identifications_requirement_legal_basis_articles
-      (req_identification_id, requirement_id, legal_basis_id, article_id, article_type)
+    INSERT INTO req_identifications_excluded_articles
+      (req_identification_id, requirement_id, legal_basis_id, article_id, excluded_by)
     VALUES (?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE excluded_by = VALUES(excluded_by), excluded_at = NOW()
   `
+    try {
+      await pool.query(query, [
+        reqIdentificationId,
+        requirementId,
+        legalBasisId,
+        articleId,
+        userId
+      ])
+    } catch (error) {
+      console.error('Error excluding article:', error.message)
+      throw new HttpException(500, 'Error excluding article')
+    }
+  }
 
-    const values = [
-      reqIdentificationId,
-      requirementId,
-      legalBasisId,
-      articleId,
-      articleType
-    ]
-
+  /**
+   * Removes the manual exclusion of an article citation.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} articleId - The ID of the article.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async removeArticleExclusion (
+    reqIdentificationId,
+    requirementId,
+    legalBasisId,
+    articleId
+  ) {
+    const query = `
+    DELETE FROM req_identifications_excluded_articles
+    WHERE req_identification_id = ? AND requirement_id = ? AND legal_basis_id = ? AND article_id = ?
+  `
     try {
-      await pool.query(query, values)
+      await pool.query(query, [
+        reqIdentificationId,
+        requirementId,
+        legalBasisId,
+        articleId
+      ])
     } catch (error) {
-      console.error(
-        'Error linking article to legal basis and requirement:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error linking article to legal basis and requirement'
-      )
+      console.error('Error removing article exclusion:', error.message)
+      throw new HttpException(500, 'Error removing article exclusion')
     }
   }
 
   /**
- * Checks if an article is already linked to a legal basis and requirement in a requirement identification.
- *
- * @param {number} reqIdentificationId
- * @param {number} requirementId
- * @param {number} legalBasisId
- * @param {number} articleId
- * @returns {Promise<boolean>}
- * @throws {HttpException}
- */
-  static async existsArticleLegalBaseRequirementLink (reqIdentificationId, requirementId, legalBasisId, articleId) {
+   * Checks if an article citation was manually removed from a requirement/legal basis pair.
+   *
+   * @param {number} reqIdentificationId - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} articleId - The ID of the article.
+   * @returns {Promise<boolean>} - True if the citation is excluded.
+   * @throws {HttpException} - If a database error occurs.
+   */
+  static async isArticleExcluded (
+    reqIdentificationId,
+    requirementId,
+    legalBasisId,
+    articleId
+  ) {
     const query = `
-    SELECT 1 FROM req_identifications_requirement_legal_basis_articles
+    SELECT 1 FROM req_identifications_excluded_articles
     WHERE req_identification_id = ? AND requirement_id = ? AND legal_basis_id = ? AND article_id = ?
     LIMIT 1
   `
     try {
-      const [rows] = await pool.query(query, [reqIdentificationId, requirementId, legalBasisId, articleId])
+      const [rows] = await pool.query(query, [
+        reqIdentificationId,
+        requirementId,
+        legalBasisId,
+        articleId
+      ])
       return rows.length > 0
     } catch (error) {
-      console.error('Error checking article link:', error.message)
-      throw new HttpException(500, 'Error checking article link')
+      console.error('Error checking article exclusion:', error.message)
+      throw new HttpException(500, 'Error checking article exclusion')
     }
   }
+
+  /**
+   * SQL expressions of the fields requirement identifications can be sorted by.
+   * @type {Object<string, string>}
+   */
+  static _sortColumns = {
+    id: 'req_identifications.id',
+    name: 'req_identifications.name',
+    createdAt: "COALESCE(req_identifications.created_at, TIMESTAMP('1000-01-01'))"
+  }
 }
 export default ReqIdentificationRepository
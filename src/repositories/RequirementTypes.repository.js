@@ -1,6 +1,7 @@
 import { pool } from '../config/db.config.js'
 import HttpException from '../services/errors/HttpException.js'
 import RequirementType from '../models/RequirementTypes.model.js'
+import { buildPageQueries, toPage, orderByIds } from '../utils/pagination.js'
 
 /**
  * Repository class for handling database operations related to Requirement Types.
@@ -37,33 +38,48 @@ class RequirementTypesRepository {
   }
 
   /**
-   * Fetches all requirement types from the database.
-   * @returns {Promise<RequirementType[] | null>} - Returns a list of RequirementType instances.
+   * Fetches a page of requirement types matching the given filters.
+   * @param {Object} [filters] - The filters to apply.
+   * @param {string} [filters.name] - A partial name of the requirement type.
+   * @param {string} [filters.description] - Terms to match in the description.
+   * @param {string} [filters.classification] - Terms to match in the classification.
+   * @param {import('../utils/pagination.js').ListOptions} listOptions - The pagination and sort options.
+   * @returns {Promise<import('../utils/pagination.js').Page<RequirementType>>} - The page of requirement types.
    * @throws {HttpException} - If an error occurs during retrieval.
    */
-  static async findAll () {
+  static async findMany (filters = {}, listOptions) {
+    const conditions = []
+    const values = []
+    if (filters.name) {
+      conditions.push('requirement_types.name LIKE ?')
+      values.push(`%${filters.name}%`)
+    }
+    if (filters.description) {
+      conditions.push('MATCH(requirement_types.description) AGAINST(? IN BOOLEAN MODE)')
+      values.push(filters.description)
+    }
+    if (filters.classification) {
+      conditions.push('MATCH(requirement_types.classification) AGAINST(? IN BOOLEAN MODE)')
+      values.push(filters.classification)
+    }
+    const { pageQuery, pageValues, countQuery, countValues } =
+      buildPageQueries({
+        idColumn: 'requirement_types.id',
+        from: 'requirement_types',
+        conditions,
+        values,
+        sortColumns: this._sortColumns,
+        listOptions
+      })
     try {
-      const [rows] = await pool.query(`
-            SELECT id, name, description, classification
-            FROM requirement_types
-            ORDER BY id DESC;
-          `)
-      if (rows.length === 0) return null
-      return rows.map(
-        (requirementType) =>
-          new RequirementType(
-            requirementType.id,
-            requirementType.name,
-            requirementType.description,
-            requirementType.classification
-          )
-      )
+      const [[{ total }]] = await pool.query(countQuery, countValues)
+      const [rows] = await pool.query(pageQuery, pageValues)
+      const { ids, pagination } = toPage(rows, total, listOptions)
+      const requirementTypes = await this.findByIds(ids)
+      return { items: orderByIds(requirementTypes, ids), pagination }
     } catch (error) {
       console.error('Error fetching requirement types:', error.message)
-      throw new HttpException(
-        500,
-        'Error fetching requirement types from the database'
-      )
+      throw new HttpException(500, 'Error fetching requirement types from the database')
     }
   }
 
@@ -191,113 +207,6 @@ class RequirementTypesRepository {
     }
   }
 
-  /**
-   * Fetches requirement types from the database by partial name match.
-   * @param {string} name - A partial or full name to search for.
-   * @returns {Promise<Array<RequirementType[]|null>>} - Array of RequirementType instances.
-   */
-  static async findByName (name) {
-    const search = `%${name}%`
-    try {
-      const [rows] = await pool.query(
-        `
-            SELECT id, name, description, classification
-            FROM requirement_types
-            WHERE name LIKE ?
-            ORDER BY id DESC;
-            `,
-        [search]
-      )
-      if (rows.length === 0) return null
-      return rows.map(
-        (row) =>
-          new RequirementType(
-            row.id,
-            row.name,
-            row.description,
-            row.classification
-          )
-      )
-    } catch (error) {
-      console.error('Error fetching requirement types by name:', error.message)
-      throw new HttpException(500, 'Error fetching requirement types by name')
-    }
-  }
-
-  /**
-   * Fetches requirement types from the database by partial description match.
-   * @param {string} description - A partial description to search for.
-   * @returns {Promise<Array<RequirementType[]|null>>} - Array of RequirementType instances.
-   */
-  static async findByDescription (description) {
-    try {
-      const [rows] = await pool.query(
-        `
-       SELECT id, name, description, classification
-       FROM requirement_types
-       WHERE MATCH(description) AGAINST(? IN BOOLEAN MODE)
-        `,
-        [description]
-      )
-      if (rows.length === 0) return null
-      return rows.map(
-        (row) =>
-          new RequirementType(
-            row.id,
-            row.name,
-            row.description,
-            row.classification
-          )
-      )
-    } catch (error) {
-      console.error(
-        'Error fetching requirement types by description:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error fetching requirement types by description'
-      )
-    }
-  }
-
-  /**
-   * Fetches requirement types from the database by partial classification match.
-   * @param {string} classification - A partial classification to search for.
-   * @returns {Promise<Array<RequirementType[]|null>>} - Array of RequirementType instances.
-   */
-  static async findByClassification (classification) {
-    try {
-      const [rows] = await pool.query(
-        `
-      SELECT id, name, description, classification
-      FROM requirement_types
-      WHERE MATCH(classification) AGAINST(? IN BOOLEAN MODE)
-        `,
-        [classification]
-      )
-      if (rows.length === 0) return null
-      return rows.map(
-        (row) =>
-          new RequirementType(
-            row.id,
-            row.name,
-            row.description,
-            row.classification
-          )
-      )
-    } catch (error) {
-      console.error(
-        'Error fetching requirement types by classification:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error fetching requirement types by classification'
-      )
-    }
-  }
-
   /**
    * Updates a requirement type in the database.
    * @param {number} id - The ID of the requirement type to update.
@@ -462,6 +371,15 @@ class RequirementTypesRepository {
       )
     }
   }
+
+  /**
+   * SQL expressions of the fields requirement types can be sorted by.
+   * @type {Object<string, string>}
+   */
+  static _sortColumns = {
+    id: 'requirement_types.id',
+    name: 'requirement_types.name'
+  }
 }
 
 export default RequirementTypesRepository
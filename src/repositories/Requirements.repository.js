@@ -1,6 +1,7 @@
 import { pool } from '../config/db.config.js'
 import HttpException from '../services/errors/HttpException.js'
 import Requirement from '../models/Requirement.model.js'
+import { buildPageQueries, toPage, orderByIds } from '../utils/pagination.js'
 
 /**
  * Repository class for handling database operations related to Requirements.
@@ -108,1471 +109,124 @@ VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   }
 
   /**
-   * Retrieves all requirements from the database along with their subjects and associated aspects.
-   * @returns {Promise<Array<Requirement|null>>} - A list of all requirements.
+   * Retrieves a page of requirements matching the given filters.
+   * @param {Object} [filters] - The filters to apply.
+   * @param {number} [filters.number] - The requirement number.
+   * @param {string} [filters.name] - A partial requirement name.
+   * @param {number} [filters.subjectId] - The subject ID.
+   * @param {Array<number>} [filters.aspectIds] - The aspect IDs, any of which may match.
+   * @param {string} [filters.mandatoryDescription] - Full-text terms of the mandatory description.
+   * @param {string} [filters.complementaryDescription] - Full-text terms of the complementary description.
+   * @param {string} [filters.mandatorySentences] - Full-text terms of the mandatory sentences.
+   * @param {string} [filters.complementarySentences] - Full-text terms of the complementary sentences.
+   * @param {string} [filters.mandatoryKeywords] - Full-text terms of the mandatory keywords.
+   * @param {string} [filters.complementaryKeywords] - Full-text terms of the complementary keywords.
+   * @param {string} [filters.condition] - The requirement condition.
+   * @param {string} [filters.evidence] - The evidence.
+   * @param {string} [filters.periodicity] - The periodicity.
+   * @param {string} [filters.acceptanceCriteria] - A partial acceptance criteria.
+   * @param {import('../utils/pagination.js').ListOptions} listOptions - The pagination and sort options.
+   * @returns {Promise<import('../utils/pagination.js').Page<Requirement>>} - The page of requirements.
    * @throws {HttpException} - If an error occurs during retrieval.
    */
-  static async findAll () {
-    const query = `
-    SELECT
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id AS subject_id,
-      s.subject_name AS subject_name,
-      a.id AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    ORDER BY r.requirement_number
-  `
-
-    try {
-      const [rows] = await pool.query(query)
-      if (rows.length === 0) return null
-
-      const requirementsMap = new Map()
-
-      rows.forEach((row) => {
-        if (!requirementsMap.has(row.id)) {
-          requirementsMap.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-
-        if (row.aspect_id !== null) {
-          requirementsMap.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      })
-
-      return Array.from(requirementsMap.values()).map((req) => {
-        return new Requirement(
-          req.id,
-          req.subject,
-          req.aspects,
-          req.requirement_number,
-          req.requirement_name,
-          req.mandatory_description,
-          req.complementary_description,
-          req.mandatory_sentences,
-          req.complementary_sentences,
-          req.mandatory_keywords,
-          req.complementary_keywords,
-          req.requirement_condition,
-          req.evidence,
-          req.specify_evidence,
-          req.periodicity,
-          req.acceptance_criteria
-        )
-      })
-    } catch (error) {
-      console.error('Error retrieving all requirements:', error.message)
-      throw new HttpException(
-        500,
-        'Error retrieving all requirements from the database'
-      )
-    }
-  }
-
-  /**
-   * Checks if a requirement exists with the given name.
-   * @param {string} requirementName - The requirement name to check for existence.
-   * @returns {Promise<boolean>} - True if a requirement with the same name exists, false otherwise.
-   * @throws {HttpException} - If an error occurs during the check.
-   */
-  static async existsByRequirementName (requirementName) {
-    const query = `
-          SELECT 1 
-          FROM requirements 
-          WHERE requirement_name = ?
-          LIMIT 1
-        `
-    try {
-      const [rows] = await pool.query(query, [requirementName])
-      return rows.length > 0
-    } catch (error) {
-      console.error('Error checking if requirement exists:', error.message)
-      throw new HttpException(500, 'Error checking if requirement exists')
-    }
-  }
-
-  /**
-   * Retrieves a requirement record by its ID, including its subject and all associated aspects.
-   * @param {number} requirementId - The ID of the requirement to retrieve.
-   * @returns {Promise<Requirement|null>} - The requirement record or null if not found.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findById (requirementId) {
-    const query = `
-    SELECT
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id    AS subject_id,
-      s.subject_name AS subject_name,
-      a.id    AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE r.id = ?
-  `
-
-    try {
-      const [rows] = await pool.query(query, [requirementId])
-      if (rows.length === 0) return null
-
-      const row = rows[0]
-      const subject = {
-        subject_id: row.subject_id,
-        subject_name: row.subject_name
-      }
-      const aspects = rows
-        .map((r) => ({ aspect_id: r.aspect_id, aspect_name: r.aspect_name }))
-        .filter((a) => a.aspect_id !== null)
-
-      return new Requirement(
-        row.id,
-        subject,
-        aspects,
-        row.requirement_number,
-        row.requirement_name,
-        row.mandatory_description,
-        row.complementary_description,
-        row.mandatory_sentences,
-        row.complementary_sentences,
-        row.mandatory_keywords,
-        row.complementary_keywords,
-        row.requirement_condition,
-        row.evidence,
-        row.specify_evidence,
-        row.periodicity,
-        row.acceptance_criteria
-      )
-    } catch (error) {
-      console.error('Error retrieving requirement by ID:', error.message)
-      throw new HttpException(500, 'Error retrieving requirement by ID')
-    }
-  }
-
-  /**
-   * Finds multiple requirements by their IDs.
-   * @param {Array<number>} requirementIds - Array of requirement IDs to find.
-   * @returns {Promise<Requirement[]>} - Array of found requirement objects.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByIds (requirementIds) {
-    if (requirementIds.length === 0) return []
-
-    const query = `
-    SELECT 
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id   AS subject_id,
-      s.subject_name AS subject_name,
-      a.id   AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE r.id IN (?)
-    ORDER BY r.requirement_number
-  `
-
-    try {
-      const [rows] = await pool.query(query, [requirementIds])
-      if (rows.length === 0) return []
-
-      const requirementsMap = new Map()
-
-      rows.forEach((row) => {
-        if (!requirementsMap.has(row.id)) {
-          requirementsMap.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          requirementsMap.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      })
-
-      return Array.from(requirementsMap.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
-      )
-    } catch (error) {
-      console.error('Error finding requirements by IDs:', error.message)
-      throw new HttpException(
-        500,
-        'Error retrieving requirements by IDs from the database'
-      )
-    }
-  }
-
-  /**
-   * Retrieves all requirements that match the given requirement number,
-   * including their subjects and associated aspects.
-   * @param {number} requirementNumber - The number of the requirement to retrieve.
-   * @returns {Promise<Array<Requirement>|null>} - A list of matching requirements or null if none.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByNumber (requirementNumber) {
-    const query = `
-    SELECT 
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id AS subject_id,
-      s.subject_name AS subject_name,
-      a.id AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE r.requirement_number = ?
-    ORDER BY r.requirement_number
-  `
-
-    try {
-      const [rows] = await pool.query(query, [requirementNumber])
-      if (rows.length === 0) return null
-
-      const map = new Map()
-      rows.forEach((row) => {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      })
-
-      return Array.from(map.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
-      )
-    } catch (error) {
-      console.error('Error retrieving requirements by number:', error.message)
-      throw new HttpException(500, 'Error retrieving requirements by number')
-    }
-  }
-
-  /**
-   * Retrieves all requirements that match the given name, including their subjects and associated aspects.
-   * @param {string} requirementName - The name or part of the name of the requirement to retrieve.
-   * @returns {Promise<Array<Requirement>|null>} - A list of requirements matching the name, or null if none.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByName (requirementName) {
-    const query = `
-    SELECT 
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id   AS subject_id,
-      s.subject_name AS subject_name,
-      a.id   AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE r.requirement_name LIKE ?
-    ORDER BY r.requirement_number
-  `
-
-    try {
-      const [rows] = await pool.query(query, [`%${requirementName}%`])
-      if (rows.length === 0) return null
-
-      const map = new Map()
-      for (const row of rows) {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(map.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
-      )
-    } catch (error) {
-      console.error('Error retrieving requirements by name:', error.message)
-      throw new HttpException(500, 'Error retrieving requirements by name')
-    }
-  }
-
-  /**
-   * Retrieves all requirements filtered by a specific subject, including their aspects.
-   * @param {number} subjectId - The subject ID to filter by.
-   * @returns {Promise<Array<Requirement>|null>} - A list of requirements filtered by the subject, or null if no records are found.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findBySubject (subjectId) {
-    const query = `
-    SELECT 
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id   AS subject_id,
-      s.subject_name AS subject_name,
-      a.id   AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE r.subject_id = ?
-    ORDER BY r.requirement_number
-  `
-
-    try {
-      const [rows] = await pool.query(query, [subjectId])
-      if (rows.length === 0) return null
-
-      const map = new Map()
-      for (const row of rows) {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(map.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
-      )
-    } catch (error) {
-      console.error('Error retrieving requirements by subject:', error.message)
-      throw new HttpException(500, 'Error retrieving requirements by subject')
-    }
-  }
-
-  /**
-   * Retrieves all requirements filtered by subject and optionally by aspects.
-   * Includes associated subject and all aspects.
-   * @param {number} subjectId - The subject ID to filter by.
-   * @param {Array<number>} [aspectIds] - Optional array of aspect IDs to further filter by.
-   * @returns {Promise<Array<Requirement>|null>} - A list of requirements matching the filters, or null if none found.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findBySubjectAndAspects (subjectId, aspectIds = []) {
-    try {
-      const values = [subjectId]
-      let requirementIds = []
-
-      if (aspectIds.length > 0) {
-        const placeholders = aspectIds.map(() => '?').join(', ')
-        const filterQuery = `
-        SELECT DISTINCT r.id
-        FROM requirements r
-        JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-        WHERE r.subject_id = ?
-          AND rsa.aspect_id IN (${placeholders})
-      `
-        const [filterRows] = await pool.query(filterQuery, [
-          subjectId,
-          ...aspectIds
-        ])
-        if (filterRows.length === 0) return null
-        requirementIds = filterRows.map((row) => row.id)
-      }
-
-      let query = `
-      SELECT 
-        r.id,
-        r.requirement_number,
-        r.requirement_name,
-        r.mandatory_description,
-        r.complementary_description,
-        r.mandatory_sentences,
-        r.complementary_sentences,
-        r.mandatory_keywords,
-        r.complementary_keywords,
-        r.requirement_condition,
-        r.evidence,
-        r.specify_evidence,
-        r.periodicity,
-        r.acceptance_criteria,
-        s.id   AS subject_id,
-        s.subject_name AS subject_name,
-        a.id   AS aspect_id,
-        a.aspect_name AS aspect_name
-      FROM requirements r
-      JOIN subjects s ON r.subject_id = s.id
-      LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-      LEFT JOIN aspects a ON rsa.aspect_id = a.id
-      WHERE r.subject_id = ?
-    `
-
-      if (requirementIds.length > 0) {
-        const placeholders = requirementIds.map(() => '?').join(', ')
-        query += ` AND r.id IN (${placeholders})`
-        values.push(...requirementIds)
-      }
-      query += 'ORDER BY r.requirement_number'
-
-      const [rows] = await pool.query(query, values)
-      if (rows.length === 0) return null
-
-      const map = new Map()
-      for (const row of rows) {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(map.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
-      )
-    } catch (error) {
-      console.error(
-        'Error retrieving requirements by subject and aspects:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error retrieving requirements by subject and aspects'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements by a flexible full-text match in their mandatory description.
-   * @param {string} description - The description or part of the description to search for.
-   * @returns {Promise<Array<Requirement>|null>} - A list of Requirement instances matching the description.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByMandatoryDescription (description) {
-    const query = `
-    SELECT 
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id   AS subject_id,
-      s.subject_name AS subject_name,
-      a.id   AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE MATCH(r.mandatory_description) AGAINST(? IN BOOLEAN MODE)
-  `
-
-    try {
-      const [rows] = await pool.query(query, [description])
-      if (rows.length === 0) return null
-
-      const map = new Map()
-      for (const row of rows) {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(map.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
-      )
-    } catch (error) {
-      console.error(
-        'Error retrieving requirements by mandatory description:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error retrieving requirements by mandatory description'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements by a flexible full-text match in their complementary description.
-   * @param {string} description - The description or part of the description to search for.
-   * @returns {Promise<Array<Requirement>|null>} - A list of Requirement instances matching the description.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByComplementaryDescription (description) {
-    const query = `
-    SELECT
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id   AS subject_id,
-      s.subject_name AS subject_name,
-      a.id   AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE MATCH(r.complementary_description) AGAINST(? IN BOOLEAN MODE)
-  `
-
-    try {
-      const [rows] = await pool.query(query, [description])
-      if (rows.length === 0) return null
-
-      const map = new Map()
-      for (const row of rows) {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(map.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
-      )
-    } catch (error) {
-      console.error(
-        'Error retrieving requirements by complementary description:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error retrieving requirements by complementary description'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements by a flexible full-text match in their mandatory sentences.
-   * @param {string} sentence - The sentence or part of the sentence to search for.
-   * @returns {Promise<Array<Requirement>|null>} - A list of Requirement instances matching the sentence.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByMandatorySentences (sentence) {
-    const query = `
-    SELECT
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id   AS subject_id,
-      s.subject_name AS subject_name,
-      a.id   AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE MATCH(r.mandatory_sentences) AGAINST(? IN BOOLEAN MODE)
-  `
-
-    try {
-      const [rows] = await pool.query(query, [sentence])
-      if (rows.length === 0) return null
-
-      const map = new Map()
-      for (const row of rows) {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(map.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
-      )
-    } catch (error) {
-      console.error(
-        'Error retrieving requirements by mandatory sentences:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error retrieving requirements by mandatory sentences'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements by a flexible full-text match in their complementary sentences.
-   * @param {string} sentence - The sentence or part of the sentence to search for.
-   * @returns {Promise<Array<Requirement>|null>} - A list of Requirement instances matching the sentence.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByComplementarySentences (sentence) {
-    const query = `
-    SELECT
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id   AS subject_id,
-      s.subject_name AS subject_name,
-      a.id   AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE MATCH(r.complementary_sentences) AGAINST(? IN BOOLEAN MODE)
-  `
-
-    try {
-      const [rows] = await pool.query(query, [sentence])
-      if (rows.length === 0) return null
-
-      const map = new Map()
-      for (const row of rows) {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(map.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
-      )
-    } catch (error) {
-      console.error(
-        'Error retrieving requirements by complementary sentences:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error retrieving requirements by complementary sentences'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements by a flexible full-text match in their mandatory keywords.
-   * @param {string} keyword - The keyword or part of it to search for.
-   * @returns {Promise<Array<Requirement>|null>} - A list of Requirement instances matching the keyword.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByMandatoryKeywords (keyword) {
-    const query = `
-    SELECT
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id   AS subject_id,
-      s.subject_name AS subject_name,
-      a.id   AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE MATCH(r.mandatory_keywords) AGAINST(? IN BOOLEAN MODE)
-  `
-
-    try {
-      const [rows] = await pool.query(query, [keyword])
-      if (rows.length === 0) return null
-
-      const map = new Map()
-      for (const row of rows) {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(map.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
-      )
-    } catch (error) {
-      console.error(
-        'Error retrieving requirements by mandatory keywords:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error retrieving requirements by mandatory keywords'
-      )
+  static async findMany (filters = {}, listOptions) {
+    const conditions = []
+    const values = []
+    if (filters.number) {
+      conditions.push('requirements.requirement_number = ?')
+      values.push(filters.number)
     }
-  }
-
-  /**
-   * Retrieves requirements by a flexible full-text match in their complementary keywords.
-   * @param {string} keyword - The keyword or part of it to search for.
-   * @returns {Promise<Array<Requirement>|null>} - A list of Requirement instances matching the keyword.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByComplementaryKeywords (keyword) {
-    const query = `
-    SELECT
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id   AS subject_id,
-      s.subject_name AS subject_name,
-      a.id   AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE MATCH(r.complementary_keywords) AGAINST(? IN BOOLEAN MODE)
-  `
-
-    try {
-      const [rows] = await pool.query(query, [keyword])
-      if (rows.length === 0) return null
-
-      const map = new Map()
-      for (const row of rows) {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(map.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
-      )
-    } catch (error) {
-      console.error(
-        'Error retrieving requirements by complementary keywords:',
-        error.message
-      )
-      throw new HttpException(
-        500,
-        'Error retrieving requirements by complementary keywords'
-      )
+    if (filters.name) {
+      conditions.push('requirements.requirement_name LIKE ?')
+      values.push(`%${filters.name}%`)
     }
-  }
-
-  /**
-   * Retrieves requirements filtered by a specific condition.
-   * @param {string} condition - The condition type to filter by.
-   * @returns {Promise<Array<Requirement>|null>} - A list of Requirement instances matching the condition.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByCondition (condition) {
-    const query = `
-    SELECT
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id   AS subject_id,
-      s.subject_name AS subject_name,
-      a.id   AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE r.requirement_condition = ?
-    ORDER BY r.requirement_number
-  `
-
-    try {
-      const [rows] = await pool.query(query, [condition])
-      if (rows.length === 0) return null
-
-      const map = new Map()
-      for (const row of rows) {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
-      }
-
-      return Array.from(map.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
-      )
+    if (filters.subjectId) {
+      conditions.push('requirements.subject_id = ?')
+      values.push(filters.subjectId)
+    }
+    if (filters.aspectIds?.length > 0) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM requirement_subject_aspect
+        WHERE requirement_subject_aspect.requirement_id = requirements.id
+        AND requirement_subject_aspect.aspect_id IN (?)
+      )`)
+      values.push(filters.aspectIds)
+    }
+    for (const [filter, column] of Object.entries(this._fullTextFilters)) {
+      if (filters[filter]) {
+        conditions.push(`MATCH(requirements.${column}) AGAINST(? IN BOOLEAN MODE)`)
+        values.push(filters[filter])
+      }
+    }
+    if (filters.condition) {
+      conditions.push('requirements.requirement_condition = ?')
+      values.push(filters.condition)
+    }
+    if (filters.evidence) {
+      conditions.push('requirements.evidence = ?')
+      values.push(filters.evidence)
+    }
+    if (filters.periodicity) {
+      conditions.push('requirements.periodicity = ?')
+      values.push(filters.periodicity)
+    }
+    if (filters.acceptanceCriteria) {
+      conditions.push('requirements.acceptance_criteria LIKE ?')
+      values.push(`%${filters.acceptanceCriteria}%`)
+    }
+    const { pageQuery, pageValues, countQuery, countValues } =
+      buildPageQueries({
+        idColumn: 'requirements.id',
+        from: 'requirements',
+        conditions,
+        values,
+        sortColumns: this._sortColumns,
+        listOptions
+      })
+    try {
+      const [[{ total }]] = await pool.query(countQuery, countValues)
+      const [rows] = await pool.query(pageQuery, pageValues)
+      const { ids, pagination } = toPage(rows, total, listOptions)
+      const requirements = await this.findByIds(ids)
+      return { items: orderByIds(requirements, ids), pagination }
     } catch (error) {
-      console.error(
-        'Error retrieving requirements by condition:',
-        error.message
-      )
+      console.error('Error retrieving requirements:', error.message)
       throw new HttpException(
         500,
-        'Error retrieving requirements by condition'
+        'Error retrieving requirements from the database'
       )
     }
   }
 
   /**
-   * Retrieves requirements filtered by a specific evidence type.
-   * @param {string} evidence - The evidence type to filter by.
-   * @returns {Promise<Array<Requirement>|null>} - A list of Requirement instances matching the evidence type.
+   * Checks if a requirement exists with the given name.
+   * @param {string} requirementName - The requirement name to check for existence.
+   * @returns {Promise<boolean>} - True if a requirement with the same name exists, false otherwise.
+   * @throws {HttpException} - If an error occurs during the check.
+   */
+  static async existsByRequirementName (requirementName) {
+    const query = `
+          SELECT 1 
+          FROM requirements 
+          WHERE requirement_name = ?
+          LIMIT 1
+        `
+    try {
+      const [rows] = await pool.query(query, [requirementName])
+      return rows.length > 0
+    } catch (error) {
+      console.error('Error checking if requirement exists:', error.message)
+      throw new HttpException(500, 'Error checking if requirement exists')
+    }
+  }
+
+  /**
+   * Retrieves a requirement record by its ID, including its subject and all associated aspects.
+   * @param {number} requirementId - The ID of the requirement to retrieve.
+   * @returns {Promise<Requirement|null>} - The requirement record or null if not found.
    * @throws {HttpException} - If an error occurs during retrieval.
    */
-  static async findByEvidence (evidence) {
+  static async findById (requirementId) {
     const query = `
     SELECT
       r.id,
@@ -1589,94 +243,65 @@ VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       r.specify_evidence,
       r.periodicity,
       r.acceptance_criteria,
-      s.id   AS subject_id,
+      s.id    AS subject_id,
       s.subject_name AS subject_name,
-      a.id   AS aspect_id,
+      a.id    AS aspect_id,
       a.aspect_name AS aspect_name
     FROM requirements r
     JOIN subjects s ON r.subject_id = s.id
     LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
     LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE r.evidence = ?
-    ORDER BY r.requirement_number
+    WHERE r.id = ?
   `
 
     try {
-      const [rows] = await pool.query(query, [evidence])
+      const [rows] = await pool.query(query, [requirementId])
       if (rows.length === 0) return null
 
-      const map = new Map()
-      for (const row of rows) {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
-            id: row.id,
-            requirement_number: row.requirement_number,
-            requirement_name: row.requirement_name,
-            mandatory_description: row.mandatory_description,
-            complementary_description: row.complementary_description,
-            mandatory_sentences: row.mandatory_sentences,
-            complementary_sentences: row.complementary_sentences,
-            mandatory_keywords: row.mandatory_keywords,
-            complementary_keywords: row.complementary_keywords,
-            requirement_condition: row.requirement_condition,
-            evidence: row.evidence,
-            specify_evidence: row.specify_evidence,
-            periodicity: row.periodicity,
-            acceptance_criteria: row.acceptance_criteria,
-            subject: {
-              subject_id: row.subject_id,
-              subject_name: row.subject_name
-            },
-            aspects: []
-          })
-        }
-        if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
-            aspect_id: row.aspect_id,
-            aspect_name: row.aspect_name
-          })
-        }
+      const row = rows[0]
+      const subject = {
+        subject_id: row.subject_id,
+        subject_name: row.subject_name
       }
+      const aspects = rows
+        .map((r) => ({ aspect_id: r.aspect_id, aspect_name: r.aspect_name }))
+        .filter((a) => a.aspect_id !== null)
 
-      return Array.from(map.values()).map(
-        (req) =>
-          new Requirement(
-            req.id,
-            req.subject,
-            req.aspects,
-            req.requirement_number,
-            req.requirement_name,
-            req.mandatory_description,
-            req.complementary_description,
-            req.mandatory_sentences,
-            req.complementary_sentences,
-            req.mandatory_keywords,
-            req.complementary_keywords,
-            req.requirement_condition,
-            req.evidence,
-            req.specify_evidence,
-            req.periodicity,
-            req.acceptance_criteria
-          )
+      return new Requirement(
+        row.id,
+        subject,
+        aspects,
+        row.requirement_number,
+        row.requirement_name,
+        row.mandatory_description,
+        row.complementary_description,
+        row.mandatory_sentences,
+        row.complementary_sentences,
+        row.mandatory_keywords,
+        row.complementary_keywords,
+        row.requirement_condition,
+        row.evidence,
+        row.specify_evidence,
+        row.periodicity,
+        row.acceptance_criteria
       )
     } catch (error) {
-      console.error(
-        'Error retrieving requirements by evidence:',
-        error.message
-      )
-      throw new HttpException(500, 'Error retrieving requirements by evidence')
+      console.error('Error retrieving requirement by ID:', error.message)
+      throw new HttpException(500, 'Error retrieving requirement by ID')
     }
   }
 
   /**
-   * Retrieves requirements filtered by a specific periodicity.
-   * @param {string} periodicity - The periodicity to filter by.
-   * @returns {Promise<Array<Requirement>|null>} - A list of Requirement instances matching the periodicity.
+   * Finds multiple requirements by their IDs.
+   * @param {Array<number>} requirementIds - Array of requirement IDs to find.
+   * @returns {Promise<Requirement[]>} - Array of found requirement objects.
    * @throws {HttpException} - If an error occurs during retrieval.
    */
-  static async findByPeriodicity (periodicity) {
+  static async findByIds (requirementIds) {
+    if (requirementIds.length === 0) return []
+
     const query = `
-    SELECT
+    SELECT 
       r.id,
       r.requirement_number,
       r.requirement_name,
@@ -1699,18 +324,19 @@ VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     JOIN subjects s ON r.subject_id = s.id
     LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
     LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE r.periodicity = ?
+    WHERE r.id IN (?)
     ORDER BY r.requirement_number
   `
 
     try {
-      const [rows] = await pool.query(query, [periodicity])
-      if (rows.length === 0) return null
+      const [rows] = await pool.query(query, [requirementIds])
+      if (rows.length === 0) return []
 
-      const map = new Map()
-      for (const row of rows) {
-        if (!map.has(row.id)) {
-          map.set(row.id, {
+      const requirementsMap = new Map()
+
+      rows.forEach((row) => {
+        if (!requirementsMap.has(row.id)) {
+          requirementsMap.set(row.id, {
             id: row.id,
             requirement_number: row.requirement_number,
             requirement_name: row.requirement_name,
@@ -1733,14 +359,14 @@ VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
           })
         }
         if (row.aspect_id !== null) {
-          map.get(row.id).aspects.push({
+          requirementsMap.get(row.id).aspects.push({
             aspect_id: row.aspect_id,
             aspect_name: row.aspect_name
           })
         }
-      }
+      })
 
-      return Array.from(map.values()).map(
+      return Array.from(requirementsMap.values()).map(
         (req) =>
           new Requirement(
             req.id,
@@ -1762,54 +388,79 @@ VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
           )
       )
     } catch (error) {
-      console.error(
-        'Error retrieving requirements by periodicity:',
-        error.message
-      )
+      console.error('Error finding requirements by IDs:', error.message)
       throw new HttpException(
         500,
-        'Error retrieving requirements by periodicity'
+        'Error retrieving requirements by IDs from the database'
       )
     }
   }
 
   /**
-   * Retrieves requirements filtered by acceptance criteria.
-   * @param {string} acceptanceCriteria - The acceptance criteria text to filter by.
-   * @returns {Promise<Array<Requirement>|null>} - A list of Requirement instances matching the acceptance criteria.
+   * Retrieves all requirements filtered by subject and optionally by aspects.
+   * Includes associated subject and all aspects.
+   * @param {number} subjectId - The subject ID to filter by.
+   * @param {Array<number>} [aspectIds] - Optional array of aspect IDs to further filter by.
+   * @returns {Promise<Array<Requirement>|null>} - A list of requirements matching the filters, or null if none found.
    * @throws {HttpException} - If an error occurs during retrieval.
    */
-  static async findByAcceptanceCriteria (acceptanceCriteria) {
-    const query = `
-    SELECT
-      r.id,
-      r.requirement_number,
-      r.requirement_name,
-      r.mandatory_description,
-      r.complementary_description,
-      r.mandatory_sentences,
-      r.complementary_sentences,
-      r.mandatory_keywords,
-      r.complementary_keywords,
-      r.requirement_condition,
-      r.evidence,
-      r.specify_evidence,
-      r.periodicity,
-      r.acceptance_criteria,
-      s.id   AS subject_id,
-      s.subject_name AS subject_name,
-      a.id   AS aspect_id,
-      a.aspect_name AS aspect_name
-    FROM requirements r
-    JOIN subjects s ON r.subject_id = s.id
-    LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
-    LEFT JOIN aspects a ON rsa.aspect_id = a.id
-    WHERE r.acceptance_criteria LIKE ?
-    ORDER BY r.requirement_number
-  `
-
+  static async findBySubjectAndAspects (subjectId, aspectIds = []) {
     try {
-      const [rows] = await pool.query(query, [`%${acceptanceCriteria}%`])
+      const values = [subjectId]
+      let requirementIds = []
+
+      if (aspectIds.length > 0) {
+        const placeholders = aspectIds.map(() => '?').join(', ')
+        const filterQuery = `
+        SELECT DISTINCT r.id
+        FROM requirements r
+        JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
+        WHERE r.subject_id = ?
+          AND rsa.aspect_id IN (${placeholders})
+      `
+        const [filterRows] = await pool.query(filterQuery, [
+          subjectId,
+          ...aspectIds
+        ])
+        if (filterRows.length === 0) return null
+        requirementIds = filterRows.map((row) => row.id)
+      }
+
+      let query = `
+      SELECT 
+        r.id,
+        r.requirement_number,
+        r.requirement_name,
+        r.mandatory_description,
+        r.complementary_description,
+        r.mandatory_sentences,
+        r.complementary_sentences,
+        r.mandatory_keywords,
+        r.complementary_keywords,
+        r.requirement_condition,
+        r.evidence,
+        r.specify_evidence,
+        r.periodicity,
+        r.acceptance_criteria,
+        s.id   AS subject_id,
+        s.subject_name AS subject_name,
+        a.id   AS aspect_id,
+        a.aspect_name AS aspect_name
+      FROM requirements r
+      JOIN subjects s ON r.subject_id = s.id
+      LEFT JOIN requirement_subject_aspect rsa ON r.id = rsa.requirement_id
+      LEFT JOIN aspects a ON rsa.aspect_id = a.id
+      WHERE r.subject_id = ?
+    `
+
+      if (requirementIds.length > 0) {
+        const placeholders = requirementIds.map(() => '?').join(', ')
+        query += ` AND r.id IN (${placeholders})`
+        values.push(...requirementIds)
+      }
+      query += 'ORDER BY r.requirement_number'
+
+      const [rows] = await pool.query(query, values)
       if (rows.length === 0) return null
 
       const map = new Map()
@@ -1868,12 +519,12 @@ VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       )
     } catch (error) {
       console.error(
-        'Error retrieving requirements by acceptance criteria:',
+        'Error retrieving requirements by subject and aspects:',
         error.message
       )
       throw new HttpException(
         500,
-        'Error retrieving requirements by acceptance criteria'
+        'Error retrieving requirements by subject and aspects'
       )
     }
   }
@@ -2275,6 +926,29 @@ VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       )
     }
   }
+
+  /**
+   * Maps the full-text filters to their indexed columns.
+   * @type {Object<string, string>}
+   */
+  static _fullTextFilters = {
+    mandatoryDescription: 'mandatory_description',
+    complementaryDescription: 'complementary_description',
+    mandatorySentences: 'mandatory_sentences',
+    complementarySentences: 'complementary_sentences',
+    mandatoryKeywords: 'mandatory_keywords',
+    complementaryKeywords: 'complementary_keywords'
+  }
+
+  /**
+   * SQL expressions of the fields requirements can be sorted by.
+   * @type {Object<string, string>}
+   */
+  static _sortColumns = {
+    id: 'requirements.id',
+    number: 'requirements.requirement_number',
+    name: 'requirements.requirement_name'
+  }
 }
 
 export default RequirementRepository
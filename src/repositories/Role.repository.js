@@ -0,0 +1,280 @@
+import { pool } from '../config/db.config.js'
+import HttpException from '../services/errors/HttpException.js'
+import Role from '../models/Roles.model.js'
+import Permission from '../models/Permission.model.js'
+
+/**
+ * Repository class for handling database operations related to Roles and Permissions.
+ */
+class RoleRepository {
+  /**
+   * Creates a new role with its permissions.
+   * @param {Object} role - The role data.
+   * @param {string} role.name - The name of the role.
+   * @param {string|null} [role.description] - The description of the role.
+   * @param {string[]} role.permissions - The names of the permissions to grant.
+   * @returns {Promise<Role>} - The created role.
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async create ({ name, description, permissions }) {
+    const insertRoleQuery = `
+      INSERT INTO roles (name, description) VALUES (?, ?)
+    `
+    const connection = await pool.getConnection()
+    try {
+      await connection.beginTransaction()
+      const [result] = await connection.query(insertRoleQuery, [
+        name,
+        description ?? null
+      ])
+      await this._insertPermissions(connection, result.insertId, permissions)
+      await connection.commit()
+      return await this.findById(result.insertId)
+    } catch (error) {
+      await connection.rollback()
+      console.error('Error creating role:', error.message)
+      throw new HttpException(500, 'Error creating role in the database')
+    } finally {
+      connection.release()
+    }
+  }
+
+  /**
+   * Retrieves all roles with their permissions.
+   * @returns {Promise<Role[]|null>} - The roles, or null if none found.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findAll () {
+    const query = `
+      ${this._selectQuery}
+      GROUP BY r.id
+      ORDER BY r.id
+    `
+    try {
+      const [rows] = await pool.query(query)
+      if (rows.length === 0) return null
+      return rows.map((row) => this._toRole(row))
+    } catch (error) {
+      console.error('Error retrieving roles:', error.message)
+      throw new HttpException(500, 'Error retrieving roles')
+    }
+  }
+
+  /**
+   * Retrieves a role with its permissions by ID.
+   * @param {number} id - The ID of the role.
+   * @returns {Promise<Role|null>} - The role, or null if not found.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findById (id) {
+    const query = `
+      ${this._selectQuery}
+      WHERE r.id = ?
+      GROUP BY r.id
+    `
+    try {
+      const [rows] = await pool.query(query, [id])
+      if (rows.length === 0) return null
+      return this._toRole(rows[0])
+    } catch (error) {
+      console.error('Error retrieving role by ID:', error.message)
+      throw new HttpException(500, 'Error retrieving role by ID')
+    }
+  }
+
+  /**
+   * Checks if a role with the given name exists, excluding a given role ID.
+   * @param {string} name - The name of the role.
+   * @param {number} [excludeId] - The ID of a role to exclude from the check.
+   * @returns {Promise<boolean>} - True if the name is taken.
+   * @throws {HttpException} - If an error occurs during the check.
+   */
+  static async existsByName (name, excludeId) {
+    const query = `
+      SELECT 1 FROM roles WHERE name = ? AND id <> ? LIMIT 1
+    `
+    try {
+      const [rows] = await pool.query(query, [name, excludeId ?? 0])
+      return rows.length > 0
+    } catch (error) {
+      console.error('Error checking role name:', error.message)
+      throw new HttpException(500, 'Error checking role name')
+    }
+  }
+
+  /**
+   * Updates a role and replaces its permissions.
+   * @param {number} id - The ID of the role.
+   * @param {Object} role - The role data.
+   * @param {string} role.name - The name of the role.
+   * @param {string|null} [role.description] - The description of the role.
+   * @param {string[]} role.permissions - The names of the permissions to grant.
+   * @returns {Promise<Role|null>} - The updated role, or null if not found.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async update (id, { name, description, permissions }) {
+    const updateRoleQuery = `
+      UPDATE roles SET name = ?, description = ? WHERE id = ?
+    `
+    const deletePermissionsQuery = `
+      DELETE FROM role_permissions WHERE role_id = ?
+    `
+    const connection = await pool.getConnection()
+    try {
+      await connection.beginTransaction()
+      const [result] = await connection.query(updateRoleQuery, [
+        name,
+        description ?? null,
+        id
+      ])
+      if (result.affectedRows === 0) {
+        await connection.rollback()
+        return null
+      }
+      await connection.query(deletePermissionsQuery, [id])
+      await this._insertPermissions(connection, id, permissions)
+      await connection.commit()
+      return await this.findById(id)
+    } catch (error) {
+      await connection.rollback()
+      console.error('Error updating role:', error.message)
+      throw new HttpException(500, 'Error updating role in the database')
+    } finally {
+      connection.release()
+    }
+  }
+
+  /**
+   * Deletes a role by ID.
+   * @param {number} id - The ID of the role.
+   * @returns {Promise<boolean>} - True if the role was deleted.
+   * @throws {HttpException} - If an error occurs during deletion.
+   */
+  static async delete (id) {
+    const query = `
+      DELETE FROM roles WHERE id = ?
+    `
+    try {
+      const [result] = await pool.query(query, [id])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error('Error deleting role:', error.message)
+      throw new HttpException(500, 'Error deleting role from the database')
+    }
+  }
+
+  /**
+   * Counts the users assigned to a role.
+   * @param {number} id - The ID of the role.
+   * @returns {Promise<number>} - The number of users with the role.
+   * @throws {HttpException} - If an error occurs during the count.
+   */
+  static async countUsers (id) {
+    const query = `
+      SELECT COUNT(*) AS total FROM users WHERE role_id = ?
+    `
+    try {
+      const [rows] = await pool.query(query, [id])
+      return rows[0].total
+    } catch (error) {
+      console.error('Error counting role users:', error.message)
+      throw new HttpException(500, 'Error counting role users')
+    }
+  }
+
+  /**
+   * Retrieves the permissions catalog.
+   * @returns {Promise<Permission[]>} - All the permissions that can be granted.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findAllPermissions () {
+    const query = `
+      SELECT id, name, description FROM permissions ORDER BY id
+    `
+    try {
+      const [rows] = await pool.query(query)
+      return rows.map(
+        (row) => new Permission(row.id, row.name, row.description)
+      )
+    } catch (error) {
+      console.error('Error retrieving permissions:', error.message)
+      throw new HttpException(500, 'Error retrieving permissions')
+    }
+  }
+
+  /**
+   * Retrieves the names of the permissions granted to a user through their role.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<string[]>} - The permission names.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findPermissionsByUserId (userId) {
+    const query = `
+      SELECT p.name
+      FROM users u
+      JOIN role_permissions rp ON rp.role_id = u.role_id
+      JOIN permissions p ON p.id = rp.permission_id
+      WHERE u.id = ?
+    `
+    try {
+      const [rows] = await pool.query(query, [userId])
+      return rows.map((row) => row.name)
+    } catch (error) {
+      console.error('Error retrieving user permissions:', error.message)
+      throw new HttpException(500, 'Error retrieving user permissions')
+    }
+  }
+
+  /**
+   * Grants the given permissions to a role within a transaction.
+   * @param {import('mysql2/promise').PoolConnection} connection - The transaction connection.
+   * @param {number} roleId - The ID of the role.
+   * @param {string[]} permissions - The names of the permissions to grant.
+   * @returns {Promise<void>}
+   */
+  static async _insertPermissions (connection, roleId, permissions) {
+    if (permissions.length === 0) return
+    const query = `
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT ?, id FROM permissions WHERE name IN (?)
+    `
+    await connection.query(query, [roleId, permissions])
+  }
+
+  /**
+   * Base query used to retrieve roles with their permission names.
+   * @type {string}
+   */
+  static _selectQuery = `
+      SELECT
+        r.id,
+        r.name,
+        r.description,
+        COALESCE(
+          JSON_ARRAYAGG(p.name),
+          JSON_ARRAY()
+        ) AS permissions
+      FROM roles r
+      LEFT JOIN role_permissions rp ON rp.role_id = r.id
+      LEFT JOIN permissions p ON p.id = rp.permission_id`
+
+  /**
+   * Maps a database row to a Role instance.
+   * @param {Object} row - The database row.
+   * @returns {Role} - The role.
+   */
+  static _toRole (row) {
+    const permissions =
+      typeof row.permissions === 'string'
+        ? JSON.parse(row.permissions)
+        : row.permissions
+    return new Role(
+      row.id,
+      row.name,
+      row.description,
+      (permissions || []).filter(Boolean)
+    )
+  }
+}
+
+export default RoleRepository
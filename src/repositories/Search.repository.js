@@ -0,0 +1,266 @@
+import { pool } from '../config/db.config.js'
+import HttpException from '../services/errors/HttpException.js'
+
+/**
+ * @typedef {'legalBasis'|'article'|'requirement'|'legalVerb'|'requirementType'} SearchType
+ */
+
+/**
+ * @typedef {Object} SearchHit
+ * @property {SearchType} type - The type of the matched record.
+ * @property {number} id - The ID of the matched record.
+ * @property {number} score - The MySQL relevance of the match, only comparable within the same type.
+ * @property {number|null} subjectId - The subject of the record, if the type has one.
+ * @property {number[]} aspectIds - The aspects of the record.
+ * @property {string|null} jurisdiction - The jurisdiction of the record's legal basis.
+ * @property {string|null} state - The state of the record's legal basis.
+ * @property {string|null} classification - The classification of the record's legal basis.
+ */
+
+/**
+ * @typedef {Object} SearchDocument
+ * @property {number} id - The ID of the record.
+ * @property {string} title - The title of the record.
+ * @property {Array<string|null>} texts - The searchable texts, in the order they are preferred for snippets.
+ * @property {{ id: number, name: string }|null} legalBasis - The legal basis of an article.
+ */
+
+/**
+ * @typedef {Object} SearchFilters
+ * @property {number} [subjectId] - Only records of this subject.
+ * @property {number[]} [aspectIds] - Only records with any of these aspects.
+ * @property {string} [jurisdiction] - Only records whose legal basis has this jurisdiction.
+ * @property {string} [state] - Only records whose legal basis belongs to this state.
+ * @property {string} [classification] - Only records whose legal basis has this classification.
+ */
+
+/**
+ * Repository class for the global full-text search across the legal corpus.
+ * Every searchable type is described in `_entities`, so the queries are built the same way for all of them.
+ */
+class SearchRepository {
+  /**
+   * Finds the records of a type matching a boolean mode full-text query, best matches first.
+   * Types without the dimension of a filter (e.g. legal verbs have no subject) have no hits when it is used.
+   * @param {SearchType} type - The type of records to search.
+   * @param {string} booleanQuery - The MySQL boolean mode query.
+   * @param {SearchFilters} [filters={}] - The facet filters.
+   * @param {number} limit - The maximum number of hits.
+   * @returns {Promise<SearchHit[]>} - The hits.
+   * @throws {HttpException} - If an error occurs during the search.
+   */
+  static async findHits (type, booleanQuery, filters = {}, limit) {
+    const entity = this._entities[type]
+    const hasLegalBasisFilter = Boolean(
+      filters.jurisdiction || filters.state || filters.classification
+    )
+    const hasSubjectFilter = Boolean(filters.subjectId || filters.aspectIds?.length > 0)
+    if (
+      (hasLegalBasisFilter && !entity.withLegalBasis) ||
+      (hasSubjectFilter && !entity.subjectColumn)
+    ) {
+      return []
+    }
+
+    const matches = entity.matchColumns.map(
+      (columns) => `MATCH(${columns}) AGAINST(? IN BOOLEAN MODE)`
+    )
+    const conditions = [`(${matches.join(' OR ')})`]
+    const values = matches.map(() => booleanQuery)
+    if (filters.subjectId) {
+      conditions.push(`${entity.subjectColumn} = ?`)
+      values.push(filters.subjectId)
+    }
+    if (filters.aspectIds?.length > 0) {
+      const { table, foreignKey, ownerColumn } = entity.aspects
+      conditions.push(`EXISTS (
+        SELECT 1 FROM ${table}
+        WHERE ${table}.${foreignKey} = ${ownerColumn}
+        AND ${table}.aspect_id IN (?)
+      )`)
+      values.push(filters.aspectIds)
+    }
+    for (const column of ['jurisdiction', 'state', 'classification']) {
+      if (filters[column]) {
+        conditions.push(`legal_basis.${column} = ?`)
+        values.push(filters[column])
+      }
+    }
+
+    const aspectIds = entity.aspects
+      ? `(SELECT JSON_ARRAYAGG(${entity.aspects.table}.aspect_id)
+          FROM ${entity.aspects.table}
+          WHERE ${entity.aspects.table}.${entity.aspects.foreignKey} = ${entity.aspects.ownerColumn})`
+      : 'NULL'
+    const legalBasisColumn = (column) =>
+      entity.withLegalBasis ? `legal_basis.${column}` : 'NULL'
+    const query = `
+      SELECT
+        ${entity.idColumn} AS id,
+        ${matches.join(' + ')} AS score,
+        ${entity.subjectColumn || 'NULL'} AS subject_id,
+        ${aspectIds} AS aspect_ids,
+        ${legalBasisColumn('jurisdiction')} AS jurisdiction,
+        ${legalBasisColumn('state')} AS state,
+        ${legalBasisColumn('classification')} AS classification
+      FROM ${entity.from}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY score DESC, id ASC
+      LIMIT ?
+    `
+    try {
+      const [rows] = await pool.query(query, [
+        ...matches.map(() => booleanQuery),
+        ...values,
+        limit
+      ])
+      return rows.map((row) => ({
+        type,
+        id: row.id,
+        score: Number(row.score),
+        subjectId: row.subject_id,
+        aspectIds:
+          (typeof row.aspect_ids === 'string'
+            ? JSON.parse(row.aspect_ids)
+            : row.aspect_ids) || [],
+        jurisdiction: row.jurisdiction,
+        state: row.state,
+        classification: row.classification
+      }))
+    } catch (error) {
+      console.error(`Error searching ${type} records:`, error.message)
+      throw new HttpException(500, 'Error searching records')
+    }
+  }
+
+  /**
+   * Retrieves the titles and searchable texts of records, used to build result snippets.
+   * @param {SearchType} type - The type of the records.
+   * @param {Array<number>} ids - The IDs of the records.
+   * @returns {Promise<SearchDocument[]>} - The documents, in no particular order.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findDocuments (type, ids) {
+    if (ids.length === 0) {
+      return []
+    }
+    const entity = this._entities[type]
+    const query = `
+      SELECT
+        ${entity.idColumn} AS id,
+        ${entity.titleColumn} AS title,
+        ${entity.textColumns.map((column, index) => `${column} AS text_${index}`).join(',\n        ')}
+        ${type === 'article' ? ', legal_basis.id AS legal_basis_id, legal_basis.legal_name' : ''}
+      FROM ${entity.from}
+      WHERE ${entity.idColumn} IN (?)
+    `
+    try {
+      const [rows] = await pool.query(query, [ids])
+      return rows.map((row) => ({
+        id: row.id,
+        title: row.title,
+        texts: entity.textColumns.map((_column, index) => row[`text_${index}`]),
+        legalBasis:
+          type === 'article'
+            ? { id: row.legal_basis_id, name: row.legal_name }
+            : null
+      }))
+    } catch (error) {
+      console.error(`Error retrieving ${type} search documents:`, error.message)
+      throw new HttpException(500, 'Error retrieving search results')
+    }
+  }
+
+  /**
+   * Describes how each type is searched. `matchColumns` lists the column groups of the
+   * FULLTEXT indexes; a record matches if any group matches, and its score is the sum of all groups.
+   * `withLegalBasis` marks the types whose FROM clause exposes the `legal_basis` table.
+   * @type {Object<SearchType, Object>}
+   */
+  static _entities = {
+    legalBasis: {
+      from: 'legal_basis',
+      idColumn: 'legal_basis.id',
+      titleColumn: 'legal_basis.legal_name',
+      textColumns: ['legal_basis.legal_name', 'legal_basis.abbreviation'],
+      matchColumns: ['legal_basis.legal_name, legal_basis.abbreviation'],
+      subjectColumn: 'legal_basis.subject_id',
+      aspects: {
+        table: 'legal_basis_subject_aspect',
+        foreignKey: 'legal_basis_id',
+        ownerColumn: 'legal_basis.id'
+      },
+      withLegalBasis: true
+    },
+    article: {
+      from: 'article JOIN legal_basis ON legal_basis.id = article.legal_basis_id',
+      idColumn: 'article.id',
+      titleColumn: 'article.article_name',
+      textColumns: ['article.plain_description'],
+      matchColumns: ['article.plain_description'],
+      subjectColumn: 'legal_basis.subject_id',
+      aspects: {
+        table: 'legal_basis_subject_aspect',
+        foreignKey: 'legal_basis_id',
+        ownerColumn: 'legal_basis.id'
+      },
+      withLegalBasis: true
+    },
+    requirement: {
+      from: 'requirements',
+      idColumn: 'requirements.id',
+      titleColumn: 'requirements.requirement_name',
+      textColumns: [
+        'requirements.mandatory_description',
+        'requirements.complementary_description',
+        'requirements.mandatory_sentences',
+        'requirements.complementary_sentences',
+        'requirements.mandatory_keywords',
+        'requirements.complementary_keywords'
+      ],
+      matchColumns: [
+        'requirements.mandatory_description',
+        'requirements.complementary_description',
+        'requirements.mandatory_sentences',
+        'requirements.complementary_sentences',
+        'requirements.mandatory_keywords',
+        'requirements.complementary_keywords'
+      ],
+      subjectColumn: 'requirements.subject_id',
+      aspects: {
+        table: 'requirement_subject_aspect',
+        foreignKey: 'requirement_id',
+        ownerColumn: 'requirements.id'
+      },
+      withLegalBasis: false
+    },
+    legalVerb: {
+      from: 'legal_verbs',
+      idColumn: 'legal_verbs.id',
+      titleColumn: 'legal_verbs.name',
+      textColumns: ['legal_verbs.description', 'legal_verbs.translation'],
+      matchColumns: ['legal_verbs.description', 'legal_verbs.translation'],
+      subjectColumn: null,
+      aspects: null,
+      withLegalBasis: false
+    },
+    requirementType: {
+      from: 'requirement_types',
+      idColumn: 'requirement_types.id',
+      titleColumn: 'requirement_types.name',
+      textColumns: [
+        'requirement_types.description',
+        'requirement_types.classification'
+      ],
+      matchColumns: [
+        'requirement_types.description',
+        'requirement_types.classification'
+      ],
+      subjectColumn: null,
+      aspects: null,
+      withLegalBasis: false
+    }
+  }
+}
+
+export default SearchRepository
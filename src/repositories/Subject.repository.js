@@ -1,6 +1,7 @@
 import { pool } from '../config/db.config.js'
 import HttpException from '../services/errors/HttpException.js'
 import Subject from '../models/Subject.model.js'
+import { buildPageQueries, toPage, orderByIds } from '../utils/pagination.js'
 
 /**
  * Repository class for handling database operations related to Subjects.
@@ -30,26 +31,35 @@ class SubjectsRepository {
   }
 
   /**
-   * Fetches all subjects from the database.
-   * @returns {Promise<Array<Subject|null>>} - Returns a list of Subject instances.
+   * Fetches a page of subjects matching the given filters.
+   * @param {Object} [filters] - The filters to apply.
+   * @param {string} [filters.name] - A partial name of the subject.
+   * @param {import('../utils/pagination.js').ListOptions} listOptions - The pagination and sort options.
+   * @returns {Promise<import('../utils/pagination.js').Page<Subject>>} - The page of subjects.
    * @throws {HttpException} - If an error occurs during retrieval.
    */
-  static async findAll () {
+  static async findMany (filters = {}, listOptions) {
+    const conditions = []
+    const values = []
+    if (filters.name) {
+      conditions.push('subjects.subject_name LIKE ?')
+      values.push(`%${filters.name}%`)
+    }
+    const { pageQuery, pageValues, countQuery, countValues } =
+      buildPageQueries({
+        idColumn: 'subjects.id',
+        from: 'subjects',
+        conditions,
+        values,
+        sortColumns: this._sortColumns,
+        listOptions
+      })
     try {
-      const [rows] = await pool.query(`
-        SELECT id, subject_name, abbreviation, order_index
-        FROM subjects
-        ORDER BY order_index ASC
-      `)
-      if (rows.length === 0) return null
-      return rows.map(
-        (subject) => new Subject(
-          subject.id,
-          subject.subject_name,
-          subject.abbreviation,
-          subject.order_index
-        )
-      )
+      const [[{ total }]] = await pool.query(countQuery, countValues)
+      const [rows] = await pool.query(pageQuery, pageValues)
+      const { ids, pagination } = toPage(rows, total, listOptions)
+      const subjects = await this.findByIds(ids)
+      return { items: orderByIds(subjects, ids), pagination }
     } catch (error) {
       console.error('Error fetching subjects:', error.message)
       throw new HttpException(500, 'Error fetching subjects from the database')
@@ -164,38 +174,6 @@ class SubjectsRepository {
     }
   }
 
-  /**
-   * Fetches subjects from the database by a partial match of their name.
-   * @param {string} subjectName - A partial or full name of the subject to search for.
-   * @returns {Promise<Array<Subject|null>>} - Returns an array of Subject instances matching the criteria.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByName (subjectName) {
-    const searchValue = `%${subjectName}%`
-    try {
-      const [rows] = await pool.query(
-        `
-        SELECT id, subject_name, abbreviation, order_index
-        FROM subjects
-        WHERE subject_name LIKE ?
-        `,
-        [searchValue]
-      )
-      if (rows.length === 0) return null
-      return rows.map(
-        (subject) => new Subject(
-          subject.id,
-          subject.subject_name,
-          subject.abbreviation,
-          subject.order_index
-        )
-      )
-    } catch (error) {
-      console.error('Error fetching subjects by partial name:', error.message)
-      throw new HttpException(500, 'Error fetching subjects from the database')
-    }
-  }
-
   /**
  * Updates a subject in the database.
  * @param {number} id - The ID of the subject to update.
@@ -412,6 +390,17 @@ class SubjectsRepository {
       throw new HttpException(500, 'Error checking batch subject requirement associations')
     }
   }
+
+  /**
+   * SQL expressions of the fields subjects can be sorted by.
+   * @type {Object<string, string>}
+   */
+  static _sortColumns = {
+    id: 'subjects.id',
+    name: 'subjects.subject_name',
+    abbreviation: "COALESCE(subjects.abbreviation, '')",
+    orderIndex: 'COALESCE(subjects.order_index, 0)'
+  }
 }
 
 export default SubjectsRepository
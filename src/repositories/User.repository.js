@@ -1,11 +1,11 @@
 import { pool } from '../config/db.config.js'
-import Role from '../models/Roles.model.js'
 import User from '../models/User.model.js'
 import HttpException from '../services/errors/HttpException.js'
+import { buildPageQueries, toPage, orderByIds } from '../utils/pagination.js'
 
 /**
  * Repository class for handling database operations related to Users.
- * Provides CRUD functionality for the 'users' and 'roles' tables.
+ * Provides CRUD functionality for the 'users' table.
  */
 
 class UserRepository {
@@ -247,39 +247,6 @@ class UserRepository {
     }
   }
 
-  /**
-   * Retrieves users from the database by their role ID.
-   * @param {number} roleId - The role ID to filter users by.
-   * @returns {Promise<Array<User|null>>} - Array of users with the specified role ID.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByRole (roleId) {
-    const query = `
-      SELECT id, name, password, gmail, role_id, profile_picture 
-      FROM users 
-      WHERE role_id = ?
-      ORDER BY id DESC;
-    `
-    try {
-      const [rows] = await pool.query(query, [roleId])
-      if (rows.length === 0) return null
-      return rows.map(
-        (user) =>
-          new User(
-            user.id,
-            user.name,
-            user.password,
-            user.gmail,
-            user.role_id,
-            user.profile_picture
-          )
-      )
-    } catch (error) {
-      console.error('Error retrieving users by role:', error)
-      throw new HttpException(500, 'Error retrieving users by role')
-    }
-  }
-
   /**
    * Checks if a user exists in the database by their ID.
    * @param {number} id - User's ID to check.
@@ -330,40 +297,6 @@ class UserRepository {
     }
   }
 
-  /**
-   * Retrieves users from the database by their name or email (gmail).
-   * @param {string} [nameOrEmail] - The name or email of the user to search for.
-   * @returns {Promise<Array<User|null>>} - Array of users matching the search criteria.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async findByNameOrGmail (nameOrEmail) {
-    const query = `
-      SELECT id, name, password, gmail, role_id, profile_picture 
-      FROM users 
-      WHERE name LIKE ? OR gmail LIKE ?
-      ORDER BY id DESC;
-    `
-    const searchValue = `%${nameOrEmail}%`
-    try {
-      const [rows] = await pool.query(query, [searchValue, searchValue])
-      if (rows.length === 0) return null
-      return rows.map(
-        (user) =>
-          new User(
-            user.id,
-            user.name,
-            user.password,
-            user.gmail,
-            user.role_id,
-            user.profile_picture
-          )
-      )
-    } catch (error) {
-      console.error('Error retrieving users by value:', error)
-      throw new HttpException(500, 'Error retrieving users by value')
-    }
-  }
-
   /**
    * Checks if a user exists with the given Gmail, excluding a specific user ID.
    * @param {string} gmail - The Gmail to check for existence.
@@ -403,53 +336,43 @@ class UserRepository {
   }
 
   /**
-   * Retrieves all users from the database.
-   * @returns {Promise<Array<User|null>>} - Array of all users.
+   * Retrieves a page of users matching the given filters.
+   * @param {Object} [filters] - The filters to apply.
+   * @param {string} [filters.search] - A partial name or gmail of the user.
+   * @param {number} [filters.roleId] - The role ID of the user.
+   * @param {import('../utils/pagination.js').ListOptions} listOptions - The pagination and sort options.
+   * @returns {Promise<import('../utils/pagination.js').Page<User>>} - The page of users.
    * @throws {HttpException} - If an error occurs during retrieval.
    */
-  static async findAll () {
-    const query = `
-      SELECT id, name, password, gmail, role_id, profile_picture 
-      FROM users
-      ORDER BY id DESC;
-    `
-    try {
-      const [rows] = await pool.query(query)
-      if (rows.length === 0) return null
-      return rows.map(
-        (user) =>
-          new User(
-            user.id,
-            user.name,
-            user.password,
-            user.gmail,
-            user.role_id,
-            user.profile_picture
-          )
-      )
-    } catch (error) {
-      console.error('Error retrieving all users:', error)
-      throw new HttpException(500, 'Error retrieving all users')
+  static async findMany (filters = {}, listOptions) {
+    const conditions = []
+    const values = []
+    if (filters.search) {
+      conditions.push('(users.name LIKE ? OR users.gmail LIKE ?)')
+      values.push(`%${filters.search}%`, `%${filters.search}%`)
     }
-  }
-
-  /**
-   * Retrieves all roles from the database.
-   * @returns {Promise<Array<Role|null>>} - Array of all roles.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-
-  static async findAllRoles () {
-    const query = `
-        SELECT id, name FROM roles
-      `
+    if (filters.roleId) {
+      conditions.push('users.role_id = ?')
+      values.push(filters.roleId)
+    }
+    const { pageQuery, pageValues, countQuery, countValues } =
+      buildPageQueries({
+        idColumn: 'users.id',
+        from: 'users',
+        conditions,
+        values,
+        sortColumns: this._sortColumns,
+        listOptions
+      })
     try {
-      const [rows] = await pool.query(query)
-      if (rows.length === 0) return null
-      return rows.map((role) => new Role(role.id, role.name))
+      const [[{ total }]] = await pool.query(countQuery, countValues)
+      const [rows] = await pool.query(pageQuery, pageValues)
+      const { ids, pagination } = toPage(rows, total, listOptions)
+      const users = await this.findByIds(ids)
+      return { items: orderByIds(users, ids), pagination }
     } catch (error) {
-      console.error('Error retrieving all roles:', error)
-      throw new HttpException(500, 'Error retrieving all roles')
+      console.error('Error retrieving users:', error)
+      throw new HttpException(500, 'Error retrieving users')
     }
   }
 
@@ -496,22 +419,42 @@ class UserRepository {
   }
 
   /**
-   * Retrieves the expiration date of a verification code.
+   * Invalidates every pending verification code of a Gmail address.
+   * @param {string} gmail - Gmail associated with the codes.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async invalidateVerificationCodes (gmail) {
+    const query = `
+      UPDATE verification_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE gmail = ? AND used_at IS NULL
+    `
+    try {
+      await pool.query(query, [gmail])
+    } catch (error) {
+      console.error('Error invalidating verification codes:', error)
+      throw new HttpException(500, 'Error invalidating verification codes')
+    }
+  }
+
+  /**
+   * Retrieves the latest verification code of a Gmail address that has not been
+   * used nor exchanged for a reset token.
    * @param {string} gmail - Gmail associated with the code.
-   * @param {string} code - The verification code.
-   * @returns {Promise<{ expiresAt: Date } | null>} - The expiration info or null if not found.
+   * @returns {Promise<{ id: number, code: string, expiresAt: Date, attempts: number } | null>} - The verification code or null if not found.
    * @throws {HttpException} - If an error occurs during retrieval.
    */
-  static async getVerificationCode (gmail, code) {
+  static async findPendingVerificationCode (gmail) {
     const query = `
-    SELECT expires_at AS expiresAt
-    FROM verification_codes
-    WHERE gmail = ? AND code = ?
-  `
-    const values = [gmail, code]
-
+      SELECT id, code, expires_at AS expiresAt, attempts
+      FROM verification_codes
+      WHERE gmail = ? AND used_at IS NULL AND reset_token_hash IS NULL
+      ORDER BY id DESC
+      LIMIT 1
+    `
     try {
-      const [result] = await pool.query(query, values)
+      const [result] = await pool.query(query, [gmail])
       return result[0] || null
     } catch (error) {
       console.error('Error retrieving verification code from database:', error)
@@ -521,6 +464,177 @@ class UserRepository {
       )
     }
   }
+
+  /**
+   * Counts a verification attempt against a code, atomically, as long as the code
+   * is still pending and has attempts left. Parallel requests cannot pass the
+   * attempt limit, as each one must count its own attempt before comparing the code.
+   * @param {number} id - The ID of the verification code.
+   * @param {number} maxAttempts - The maximum number of attempts of the code.
+   * @returns {Promise<boolean>} - True if the attempt was counted, false if the code is locked or no longer pending.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async claimVerificationAttempt (id, maxAttempts) {
+    const query = `
+      UPDATE verification_codes
+      SET attempts = attempts + 1
+      WHERE id = ? AND attempts < ? AND used_at IS NULL AND reset_token_hash IS NULL
+    `
+    try {
+      const [result] = await pool.query(query, [id, maxAttempts])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error('Error updating verification attempts:', error)
+      throw new HttpException(500, 'Error updating verification attempts')
+    }
+  }
+
+  /**
+   * Counts a password reset verification against a Gmail address, atomically.
+   * Starts a new window when there is none or the current one is older than `windowMinutes`.
+   * @param {string} gmail - Gmail associated with the codes.
+   * @param {number} windowMinutes - The length of the window, in minutes.
+   * @returns {Promise<number>} - The number of verifications in the window, this one included.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async claimPasswordResetAttempt (gmail, windowMinutes) {
+    const upsertQuery = `
+      INSERT INTO password_reset_attempts (gmail, attempts, window_started_at)
+      VALUES (?, 1, CURRENT_TIMESTAMP)
+      ON DUPLICATE KEY UPDATE
+        attempts = IF(window_started_at < CURRENT_TIMESTAMP - INTERVAL ? MINUTE, 1, attempts + 1),
+        window_started_at = IF(window_started_at < CURRENT_TIMESTAMP - INTERVAL ? MINUTE, CURRENT_TIMESTAMP, window_started_at)
+    `
+    try {
+      await pool.query(upsertQuery, [gmail, windowMinutes, windowMinutes])
+      return await this.countPasswordResetAttempts(gmail, windowMinutes)
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      console.error('Error counting password reset attempt:', error)
+      throw new HttpException(500, 'Error counting password reset attempt')
+    }
+  }
+
+  /**
+   * Counts the password reset verifications of a Gmail address in its current window.
+   * @param {string} gmail - Gmail associated with the codes.
+   * @param {number} windowMinutes - The length of the window, in minutes.
+   * @returns {Promise<number>} - The number of verifications, 0 if the window is over.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async countPasswordResetAttempts (gmail, windowMinutes) {
+    const query = `
+      SELECT attempts
+      FROM password_reset_attempts
+      WHERE gmail = ? AND window_started_at >= CURRENT_TIMESTAMP - INTERVAL ? MINUTE
+    `
+    try {
+      const [result] = await pool.query(query, [gmail, windowMinutes])
+      return result[0]?.attempts ?? 0
+    } catch (error) {
+      console.error('Error retrieving password reset attempts:', error)
+      throw new HttpException(500, 'Error retrieving password reset attempts')
+    }
+  }
+
+  /**
+   * Clears the password reset verifications counted against a Gmail address.
+   * @param {string} gmail - Gmail associated with the codes.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during deletion.
+   */
+  static async deletePasswordResetAttempts (gmail) {
+    const query = `
+      DELETE FROM password_reset_attempts WHERE gmail = ?
+    `
+    try {
+      await pool.query(query, [gmail])
+    } catch (error) {
+      console.error('Error deleting password reset attempts:', error)
+      throw new HttpException(500, 'Error deleting password reset attempts')
+    }
+  }
+
+  /**
+   * Attaches a reset token to a verification code that has not been exchanged yet.
+   * @param {number} id - The ID of the verification code.
+   * @param {string} resetTokenHash - The SHA-256 hash of the reset token.
+   * @param {Date} resetTokenExpiresAt - Expiration date of the reset token.
+   * @returns {Promise<boolean>} - True if the reset token was saved.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async saveResetToken (id, resetTokenHash, resetTokenExpiresAt) {
+    const query = `
+      UPDATE verification_codes
+      SET reset_token_hash = ?, reset_token_expires_at = ?
+      WHERE id = ? AND reset_token_hash IS NULL AND used_at IS NULL
+    `
+    try {
+      const [result] = await pool.query(query, [
+        resetTokenHash,
+        resetTokenExpiresAt,
+        id
+      ])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error('Error saving reset token to database:', error)
+      throw new HttpException(500, 'Error saving reset token to database')
+    }
+  }
+
+  /**
+   * Retrieves a verification code by the hash of its reset token.
+   * @param {string} resetTokenHash - The SHA-256 hash of the reset token.
+   * @returns {Promise<{ id: number, gmail: string, resetTokenExpiresAt: Date, usedAt: Date|null } | null>} - The verification code or null if not found.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findByResetTokenHash (resetTokenHash) {
+    const query = `
+      SELECT id, gmail, reset_token_expires_at AS resetTokenExpiresAt, used_at AS usedAt
+      FROM verification_codes
+      WHERE reset_token_hash = ?
+    `
+    try {
+      const [result] = await pool.query(query, [resetTokenHash])
+      return result[0] || null
+    } catch (error) {
+      console.error('Error retrieving reset token from database:', error)
+      throw new HttpException(500, 'Error retrieving reset token from database')
+    }
+  }
+
+  /**
+   * Marks a verification code and its reset token as used.
+   * @param {number} id - The ID of the verification code.
+   * @returns {Promise<boolean>} - True if the code was still unused.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async markVerificationCodeAsUsed (id) {
+    const query = `
+      UPDATE verification_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND used_at IS NULL
+    `
+    try {
+      const [result] = await pool.query(query, [id])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error('Error marking verification code as used:', error)
+      throw new HttpException(500, 'Error marking verification code as used')
+    }
+  }
+
+  /**
+   * SQL expressions of the fields users can be sorted by.
+   * @type {Object<string, string>}
+   */
+  static _sortColumns = {
+    id: 'users.id',
+    name: 'users.name',
+    gmail: 'users.gmail'
+  }
 }
 
 export default UserRepository
@@ -0,0 +1,212 @@
+import { pool } from '../config/db.config.js'
+import HttpException from '../services/errors/HttpException.js'
+import UserSession from '../models/UserSession.model.js'
+
+/**
+ * Repository class for handling database operations related to User Sessions.
+ */
+class UserSessionRepository {
+  /**
+   * Creates a new session.
+   * @param {Object} session - The session data.
+   * @param {string} session.id - The ID of the session.
+   * @param {number} session.userId - The ID of the user that owns the session.
+   * @param {string} session.refreshTokenHash - The SHA-256 hash of the refresh token.
+   * @param {Date} session.expiresAt - The expiration date of the refresh token.
+   * @param {string|null} [session.ipAddress] - The IP address of the client.
+   * @param {string|null} [session.userAgent] - The user agent of the client.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async create ({
+    id,
+    userId,
+    refreshTokenHash,
+    expiresAt,
+    ipAddress,
+    userAgent
+  }) {
+    const query = `
+      INSERT INTO user_sessions (id, user_id, refresh_token_hash, expires_at, ip_address, user_agent)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `
+    try {
+      await pool.query(query, [
+        id,
+        userId,
+        refreshTokenHash,
+        expiresAt,
+        ipAddress ?? null,
+        userAgent ? userAgent.slice(0, 255) : null
+      ])
+    } catch (error) {
+      console.error('Error creating user session:', error.message)
+      throw new HttpException(500, 'Error creating user session')
+    }
+  }
+
+  /**
+   * Retrieves a session by its ID.
+   * @param {string} id - The ID of the session.
+   * @returns {Promise<UserSession|null>} - The session, or null if not found.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findById (id) {
+    const query = `
+      ${this._selectQuery}
+      WHERE id = ?
+    `
+    try {
+      const [rows] = await pool.query(query, [id])
+      if (rows.length === 0) return null
+      return this._toSession(rows[0])
+    } catch (error) {
+      console.error('Error retrieving user session:', error.message)
+      throw new HttpException(500, 'Error retrieving user session')
+    }
+  }
+
+  /**
+   * Retrieves a session by the hash of its current refresh token.
+   * @param {string} refreshTokenHash - The SHA-256 hash of the refresh token.
+   * @returns {Promise<UserSession|null>} - The session, or null if not found.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findByRefreshTokenHash (refreshTokenHash) {
+    const query = `
+      ${this._selectQuery}
+      WHERE refresh_token_hash = ?
+    `
+    try {
+      const [rows] = await pool.query(query, [refreshTokenHash])
+      if (rows.length === 0) return null
+      return this._toSession(rows[0])
+    } catch (error) {
+      console.error('Error retrieving user session:', error.message)
+      throw new HttpException(500, 'Error retrieving user session')
+    }
+  }
+
+  /**
+   * Replaces the refresh token of an active session.
+   * The update only applies if the session still holds the previous token, so
+   * concurrent refreshes with the same token cannot both succeed.
+   * @param {string} id - The ID of the session.
+   * @param {string} previousHash - The hash of the refresh token being exchanged.
+   * @param {string} refreshTokenHash - The hash of the new refresh token.
+   * @param {Date} expiresAt - The new expiration date.
+   * @returns {Promise<boolean>} - True if the token was rotated.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async rotateRefreshToken (id, previousHash, refreshTokenHash, expiresAt) {
+    const query = `
+      UPDATE user_sessions
+      SET refresh_token_hash = ?, expires_at = ?, last_used_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+    `
+    try {
+      const [result] = await pool.query(query, [
+        refreshTokenHash,
+        expiresAt,
+        id,
+        previousHash
+      ])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error('Error rotating refresh token:', error.message)
+      throw new HttpException(500, 'Error rotating refresh token')
+    }
+  }
+
+  /**
+   * Revokes a session.
+   * @param {string} id - The ID of the session.
+   * @returns {Promise<boolean>} - True if an active session was revoked.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async revoke (id) {
+    const query = `
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND revoked_at IS NULL
+    `
+    try {
+      const [result] = await pool.query(query, [id])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error('Error revoking user session:', error.message)
+      throw new HttpException(500, 'Error revoking user session')
+    }
+  }
+
+  /**
+   * Revokes every active session of a user.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<number>} - The number of revoked sessions.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async revokeByUserId (userId) {
+    const query = `
+      UPDATE user_sessions
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND revoked_at IS NULL
+    `
+    try {
+      const [result] = await pool.query(query, [userId])
+      return result.affectedRows
+    } catch (error) {
+      console.error('Error revoking user sessions:', error.message)
+      throw new HttpException(500, 'Error revoking user sessions')
+    }
+  }
+
+  /**
+   * Revokes every active session of the users holding a role.
+   * @param {number} roleId - The ID of the role.
+   * @returns {Promise<number>} - The number of revoked sessions.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async revokeByRoleId (roleId) {
+    const query = `
+      UPDATE user_sessions s
+      JOIN users u ON u.id = s.user_id
+      SET s.revoked_at = CURRENT_TIMESTAMP
+      WHERE u.role_id = ? AND s.revoked_at IS NULL
+    `
+    try {
+      const [result] = await pool.query(query, [roleId])
+      return result.affectedRows
+    } catch (error) {
+      console.error('Error revoking role sessions:', error.message)
+      throw new HttpException(500, 'Error revoking role sessions')
+    }
+  }
+
+  /**
+   * Base query used to retrieve sessions.
+   * @type {string}
+   */
+  static _selectQuery = `
+      SELECT id, user_id, ip_address, user_agent, created_at, last_used_at, expires_at, revoked_at
+      FROM user_sessions`
+
+  /**
+   * Maps a database row to a UserSession instance.
+   * @param {Object} row - The database row.
+   * @returns {UserSession} - The session.
+   */
+  static _toSession (row) {
+    return new UserSession(
+      row.id,
+      row.user_id,
+      row.ip_address,
+      row.user_agent,
+      row.created_at,
+      row.last_used_at,
+      row.expires_at,
+      row.revoked_at
+    )
+  }
+}
+
+export default UserSessionRepository
@@ -0,0 +1,294 @@
+import { pool } from '../config/db.config.js'
+import HttpException from '../services/errors/HttpException.js'
+
+/**
+ * Repository class for handling database operations related to two-factor authentication.
+ */
+class UserTwoFactorRepository {
+  /**
+   * Retrieves the two-factor settings of a user.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<{ userId: number, secret: string, lastUsedCounter: number|null, enabledAt: Date|null }|null>} - The settings, or null if the user never started the setup.
+   * @throws {HttpException} - If an error occurs during retrieval.
+   */
+  static async findByUserId (userId) {
+    const query = `
+      SELECT user_id AS userId, secret, last_used_counter AS lastUsedCounter,
+        enabled_at AS enabledAt
+      FROM user_two_factor
+      WHERE user_id = ?
+    `
+    try {
+      const [rows] = await pool.query(query, [userId])
+      if (rows.length === 0) return null
+      return rows[0]
+    } catch (error) {
+      console.error('Error retrieving two-factor settings:', error.message)
+      throw new HttpException(500, 'Error retrieving two-factor settings')
+    }
+  }
+
+  /**
+   * Saves a pending secret for a user, replacing any previous pending secret.
+   * Enabled secrets are left untouched.
+   * @param {number} userId - The ID of the user.
+   * @param {string} secret - The base32 encoded TOTP secret.
+   * @returns {Promise<boolean>} - True if the secret was saved.
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async savePendingSecret (userId, secret) {
+    const query = `
+      INSERT INTO user_two_factor (user_id, secret)
+      VALUES (?, ?)
+      ON DUPLICATE KEY UPDATE
+        secret = IF(enabled_at IS NULL, VALUES(secret), secret),
+        created_at = IF(enabled_at IS NULL, CURRENT_TIMESTAMP, created_at)
+    `
+    try {
+      const [result] = await pool.query(query, [userId, secret])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error('Error saving two-factor secret:', error.message)
+      throw new HttpException(500, 'Error saving two-factor secret')
+    }
+  }
+
+  /**
+   * Enables the pending secret of a user and stores their recovery codes.
+   * @param {number} userId - The ID of the user.
+   * @param {number} usedCounter - The time step of the code that enabled the secret.
+   * @param {string[]} recoveryCodeHashes - The SHA-256 hashes of the recovery codes.
+   * @returns {Promise<boolean>} - True if two-factor authentication was enabled.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async enable (userId, usedCounter, recoveryCodeHashes) {
+    const enableQuery = `
+      UPDATE user_two_factor
+      SET enabled_at = CURRENT_TIMESTAMP, last_used_counter = ?
+      WHERE user_id = ? AND enabled_at IS NULL
+    `
+    const connection = await pool.getConnection()
+    try {
+      await connection.beginTransaction()
+      const [result] = await connection.query(enableQuery, [usedCounter, userId])
+      if (result.affectedRows === 0) {
+        await connection.rollback()
+        return false
+      }
+      await this._replaceRecoveryCodes(connection, userId, recoveryCodeHashes)
+      await connection.commit()
+      return true
+    } catch (error) {
+      await connection.rollback()
+      console.error('Error enabling two-factor authentication:', error.message)
+      throw new HttpException(500, 'Error enabling two-factor authentication')
+    } finally {
+      connection.release()
+    }
+  }
+
+  /**
+   * Removes the two-factor settings and recovery codes of a user.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<boolean>} - True if the settings were removed.
+   * @throws {HttpException} - If an error occurs during deletion.
+   */
+  static async disable (userId) {
+    const deleteSettingsQuery = `
+      DELETE FROM user_two_factor WHERE user_id = ?
+    `
+    const deleteRecoveryCodesQuery = `
+      DELETE FROM user_recovery_codes WHERE user_id = ?
+    `
+    const connection = await pool.getConnection()
+    try {
+      await connection.beginTransaction()
+      await connection.query(deleteRecoveryCodesQuery, [userId])
+      const [result] = await connection.query(deleteSettingsQuery, [userId])
+      await connection.commit()
+      return result.affectedRows > 0
+    } catch (error) {
+      await connection.rollback()
+      console.error('Error disabling two-factor authentication:', error.message)
+      throw new HttpException(500, 'Error disabling two-factor authentication')
+    } finally {
+      connection.release()
+    }
+  }
+
+  /**
+   * Replaces the recovery codes of a user.
+   * @param {number} userId - The ID of the user.
+   * @param {string[]} recoveryCodeHashes - The SHA-256 hashes of the new recovery codes.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async replaceRecoveryCodes (userId, recoveryCodeHashes) {
+    const connection = await pool.getConnection()
+    try {
+      await connection.beginTransaction()
+      await this._replaceRecoveryCodes(connection, userId, recoveryCodeHashes)
+      await connection.commit()
+    } catch (error) {
+      await connection.rollback()
+      console.error('Error replacing recovery codes:', error.message)
+      throw new HttpException(500, 'Error replacing recovery codes')
+    } finally {
+      connection.release()
+    }
+  }
+
+  /**
+   * Consumes an unused recovery code of a user.
+   * @param {number} userId - The ID of the user.
+   * @param {string} codeHash - The SHA-256 hash of the recovery code.
+   * @returns {Promise<boolean>} - True if the code was valid and is now used.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async useRecoveryCode (userId, codeHash) {
+    const query = `
+      UPDATE user_recovery_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+      LIMIT 1
+    `
+    try {
+      const [result] = await pool.query(query, [userId, codeHash])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error('Error using recovery code:', error.message)
+      throw new HttpException(500, 'Error using recovery code')
+    }
+  }
+
+  /**
+   * Records the time step of an accepted TOTP code, unless a code of that step or a later
+   * one was already accepted.
+   * @param {number} userId - The ID of the user.
+   * @param {number} counter - The time step of the code.
+   * @returns {Promise<boolean>} - True if the time step was not used before and is now recorded.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async useCounter (userId, counter) {
+    const query = `
+      UPDATE user_two_factor
+      SET last_used_counter = ?
+      WHERE user_id = ? AND (last_used_counter IS NULL OR last_used_counter < ?)
+    `
+    try {
+      const [result] = await pool.query(query, [counter, userId, counter])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error('Error recording two-factor code:', error.message)
+      throw new HttpException(500, 'Error recording two-factor code')
+    }
+  }
+
+  /**
+   * Registers a two-factor login token, removing the expired tokens of the user.
+   * @param {string} tokenId - The ID of the token.
+   * @param {number} userId - The ID of the user.
+   * @param {number} expiresInSeconds - The lifetime of the token in seconds.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async createLoginAttempts (tokenId, userId, expiresInSeconds) {
+    const deleteExpiredQuery = `
+      DELETE FROM user_two_factor_attempts
+      WHERE user_id = ? AND expires_at < CURRENT_TIMESTAMP
+    `
+    const insertQuery = `
+      INSERT INTO user_two_factor_attempts (token_id, user_id, expires_at)
+      VALUES (?, ?, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? SECOND))
+    `
+    try {
+      await pool.query(deleteExpiredQuery, [userId])
+      await pool.query(insertQuery, [tokenId, userId, expiresInSeconds])
+    } catch (error) {
+      console.error('Error registering two-factor token:', error.message)
+      throw new HttpException(500, 'Error registering two-factor token')
+    }
+  }
+
+  /**
+   * Counts an attempt of a two-factor login token, unless it reached the limit or expired.
+   * @param {string} tokenId - The ID of the token.
+   * @param {number} maxAttempts - The maximum number of attempts of the token.
+   * @returns {Promise<boolean>} - True if the attempt was counted.
+   * @throws {HttpException} - If an error occurs during update.
+   */
+  static async claimLoginAttempt (tokenId, maxAttempts) {
+    const query = `
+      UPDATE user_two_factor_attempts
+      SET attempts = attempts + 1
+      WHERE token_id = ? AND attempts < ? AND expires_at >= CURRENT_TIMESTAMP
+    `
+    try {
+      const [result] = await pool.query(query, [tokenId, maxAttempts])
+      return result.affectedRows > 0
+    } catch (error) {
+      console.error('Error counting two-factor attempt:', error.message)
+      throw new HttpException(500, 'Error counting two-factor attempt')
+    }
+  }
+
+  /**
+   * Removes a two-factor login token, so it cannot be used again.
+   * @param {string} tokenId - The ID of the token.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If an error occurs during deletion.
+   */
+  static async deleteLoginAttempts (tokenId) {
+    const query = `
+      DELETE FROM user_two_factor_attempts WHERE token_id = ?
+    `
+    try {
+      await pool.query(query, [tokenId])
+    } catch (error) {
+      console.error('Error removing two-factor token:', error.message)
+      throw new HttpException(500, 'Error removing two-factor token')
+    }
+  }
+
+  /**
+   * Counts the unused recovery codes of a user.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<number>} - The number of unused recovery codes.
+   * @throws {HttpException} - If an error occurs during the count.
+   */
+  static async countUnusedRecoveryCodes (userId) {
+    const query = `
+      SELECT COUNT(*) AS total
+      FROM user_recovery_codes
+      WHERE user_id = ? AND used_at IS NULL
+    `
+    try {
+      const [rows] = await pool.query(query, [userId])
+      return rows[0].total
+    } catch (error) {
+      console.error('Error counting recovery codes:', error.message)
+      throw new HttpException(500, 'Error counting recovery codes')
+    }
+  }
+
+  /**
+   * Replaces the recovery codes of a user within a transaction.
+   * @param {import('mysql2/promise').PoolConnection} connection - The transaction connection.
+   * @param {number} userId - The ID of the user.
+   * @param {string[]} recoveryCodeHashes - The SHA-256 hashes of the recovery codes.
+   * @returns {Promise<void>}
+   */
+  static async _replaceRecoveryCodes (connection, userId, recoveryCodeHashes) {
+    await connection.query(
+      'DELETE FROM user_recovery_codes WHERE user_id = ?',
+      [userId]
+    )
+    if (recoveryCodeHashes.length === 0) return
+    await connection.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ?',
+      [recoveryCodeHashes.map((codeHash) => [userId, codeHash])]
+    )
+  }
+}
+
+export default UserTwoFactorRepository
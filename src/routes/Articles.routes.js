@@ -5,12 +5,16 @@
 
 import { Router } from 'express'
 import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
 import {
   createArticle,
   getArticlesByLegalBasisId,
-  getArticlesByName,
-  getArticlesByDescription,
+  getTableOfContents,
+  semanticSearchArticles,
+  backfillEmbeddings,
   getArticleById,
+  getArticleSubunits,
   updateArticle,
   deleteArticle,
   deleteArticlesBatch
@@ -27,45 +31,67 @@ const router = Router()
  * @body {string} title - The title of the article.
  * @body {string} article - The content of the article.
  * @body {number} order - The order of the article within the legal basis.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
+ * @body {string} [sectionKind] - The kind of row: title, chapter, section, article, transitory, annex or preamble.
+ * @body {number} [parentId] - The ID of the title, chapter or section of the same legal basis containing the article.
+ * @middlewares UserExtractor, RequirePermission('articles:write') - Middleware to ensure that the user is authorized and extracted from the request., Audit
  * @returns {Object} - A JSON response containing the created article or an error message.
  */
-router.post('/articles/legalBasis/:legalBasisId', UserExtractor, createArticle)
+router.post('/articles/legalBasis/:legalBasisId', UserExtractor, RequirePermission('articles:write'), Audit('article', 'create', { responseKey: 'article' }), createArticle)
 
 /**
  * Route to retrieve articles associated with a specific legal basis.
  * @method GET
- * @path /articles/legalBasis/:id
- * @description Retrieves a list of articles associated with the specified legal basis ID.
+ * @path /articles/legalBasis/:legalBasisId
+ * @description Retrieves a page of the articles of the specified legal basis, optionally filtered by name and description.
  * @param {string} legalBasisId - The ID of the legal basis whose articles are to be retrieved.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Object} - A JSON response containing the list of articles or an error message.
+ * @query {number} [page=1] - The page number.
+ * @query {number} [pageSize=20] - The number of articles per page (max 100).
+ * @query {string} [cursor] - The nextCursor of the previous page, instead of page.
+ * @query {string} [sort=order] - Sort fields (id, name, order); prefix with '-' for descending.
+ * @query {string} [name] - A partial name of the article.
+ * @query {string} [description] - Terms to match in the plain description.
+ * @middlewares UserExtractor, RequirePermission('articles:read') - Middleware to ensure that the user is authorized and extracted from the request.
+ * @returns {Object} - A JSON response containing the page of articles and the pagination details, or an error message.
  */
-router.get('/articles/legalBasis/:legalBasisId', UserExtractor, getArticlesByLegalBasisId)
+router.get('/articles/legalBasis/:legalBasisId', UserExtractor, RequirePermission('articles:read'), getArticlesByLegalBasisId)
 
 /**
- * Route to filter articles by name for a specific legal basis.
+ * Route to retrieve the table of contents of a legal basis.
  * @method GET
- * @path /articles/:legalBasisId/name
- * @description Retrieves a list of articles matching the specified name for the given legal basis.
- * @param {string} legalBasisId - The ID of the legal basis.
- * @query {string} name - The name or part of the name of the articles to be retrieved.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Object} - A JSON response containing the list of articles or an error message.
+ * @path /articles/legalBasis/:legalBasisId/table-of-contents
+ * @description Retrieves the outline of the specified legal basis: its titles, chapters, sections, articles, transitory provisions and annexes, each with its children.
+ * @param {string} legalBasisId - The ID of the legal basis whose outline is to be retrieved.
+ * @middlewares UserExtractor, RequirePermission('articles:read') - Middleware to ensure that the user is authorized and extracted from the request.
+ * @returns {Object} - A JSON response containing the table of contents or an error message.
  */
-router.get('/articles/:legalBasisId/name', UserExtractor, getArticlesByName)
+router.get('/articles/legalBasis/:legalBasisId/table-of-contents', UserExtractor, RequirePermission('articles:read'), getTableOfContents)
 
 /**
- * Route to filter articles by description for a specific legal basis.
+ * Route to find the articles whose meaning is closest to a text.
  * @method GET
- * @path /articles/:legalBasisId/description
- * @description Retrieves a list of articles matching the specified description for the given legal basis.
- * @param {string} legalBasisId - The ID of the legal basis.
- * @query {string} description - The description or part of the description of the articles to be retrieved.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Object} - A JSON response containing the list of articles or an error message.
+ * @path /articles/semantic-search
+ * @description Ranks the articles by the cosine similarity of their embeddings to the embedding of the query.
+ * Only the 1000 most similar articles are ranked; the total and the pages stop there.
+ * @query {string} q - The text to search.
+ * @query {number} [subjectId] - Only articles of legal bases of this subject.
+ * @query {string} [aspectIds] - Only articles of legal bases with any of these comma-separated aspect IDs.
+ * @query {number} [page=1] - The page number.
+ * @query {number} [pageSize=20] - The number of articles per page (max 100).
+ * @middlewares UserExtractor, RequirePermission('articles:read') - Middleware to ensure that the user is authorized and extracted from the request.
+ * @returns {Object} - A JSON response containing the page of articles, each with its similarity, and the pagination details, or an error message.
+ */
+router.get('/articles/semantic-search', UserExtractor, RequirePermission('articles:read'), semanticSearchArticles)
+
+/**
+ * Route to queue the embedding of the articles and requirements that have none, such as those
+ * written before embeddings were stored.
+ * @method POST
+ * @path /jobs/embeddings/backfill
+ * @description Queues a job embedding every article and requirement without an up to date embedding.
+ * @middlewares UserExtractor, RequirePermission('embeddings:manage'), Audit
+ * @returns {Object} - A JSON response containing the ID of the queued job.
  */
-router.get('/articles/:legalBasisId/description', UserExtractor, getArticlesByDescription)
+router.post('/jobs/embeddings/backfill', UserExtractor, RequirePermission('embeddings:manage'), Audit('embeddingsJob', 'backfill', { responseKey: 'jobId' }), backfillEmbeddings)
 
 /**
  * Route to fetch an article by its ID.
@@ -73,10 +99,21 @@ router.get('/articles/:legalBasisId/description', UserExtractor, getArticlesByDe
  * @path /articles/:id
  * @description Retrieves an article by its ID.
  * @param {string} id - The ID of the article to retrieve.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
+ * @middlewares UserExtractor, RequirePermission('articles:read') - Middleware to ensure that the user is authorized and extracted from the request.
  * @returns {Object} - A JSON response containing the article or an error message.
  */
-router.get('/article/:id', UserExtractor, getArticleById)
+router.get('/article/:id', UserExtractor, RequirePermission('articles:read'), getArticleById)
+
+/**
+ * Route to retrieve the sub-units of an article.
+ * @method GET
+ * @path /article/:id/subunits
+ * @description Retrieves the párrafos, fracciones and incisos of an article, each with its citation within the article.
+ * @param {string} id - The ID of the article.
+ * @middlewares UserExtractor, RequirePermission('articles:read') - Middleware to ensure that the user is authorized and extracted from the request.
+ * @returns {Object} - A JSON response containing the sub-units or an error message.
+ */
+router.get('/article/:id/subunits', UserExtractor, RequirePermission('articles:read'), getArticleSubunits)
 
 /**
  * Route to update an article by its ID.
@@ -87,10 +124,12 @@ router.get('/article/:id', UserExtractor, getArticleById)
  * @body {string} title - The new title of the article (optional).
  * @body {string} article - The new content of the article (optional).
  * @body {number} order - The new order of the article (optional).
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
+ * @body {string} sectionKind - The new kind of row (optional).
+ * @body {number} parentId - The ID of the new title, chapter or section containing the article (optional).
+ * @middlewares UserExtractor, RequirePermission('articles:write') - Middleware to ensure that the user is authorized and extracted from the request., Audit
  * @returns {Object} - A JSON response containing the updated article or an error message.
  */
-router.patch('/article/:id', UserExtractor, updateArticle)
+router.patch('/article/:id', UserExtractor, RequirePermission('articles:write'), Audit('article', 'update', { idParam: 'id' }), updateArticle)
 
 /**
  * Route to delete an article by its ID.
@@ -98,10 +137,10 @@ router.patch('/article/:id', UserExtractor, updateArticle)
  * @path /articles/:id
  * @description Deletes an article by its ID.
  * @param {string} id - The ID of the article to delete.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
+ * @middlewares UserExtractor, RequirePermission('articles:delete') - Middleware to ensure that the user is authorized and extracted from the request., Audit
  * @returns {Object} - A 204 No Content response or an error message.
  */
-router.delete('/article/:id', UserExtractor, deleteArticle)
+router.delete('/article/:id', UserExtractor, RequirePermission('articles:delete'), Audit('article', 'delete', { idParam: 'id' }), deleteArticle)
 
 /**
  * Route to delete multiple articles by their IDs.
@@ -109,9 +148,9 @@ router.delete('/article/:id', UserExtractor, deleteArticle)
  * @path /articles/batch
  * @description Deletes multiple articles using an array of IDs.
  * @body {Array<number>} articleIds - Array of IDs of the articles to delete.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
+ * @middlewares UserExtractor, RequirePermission('articles:delete') - Middleware to ensure that the user is authorized and extracted from the request., Audit
  * @returns {Object} - A 204 No Content response or an error message.
  */
-router.delete('/articles/batch', UserExtractor, deleteArticlesBatch)
+router.delete('/articles/batch', UserExtractor, RequirePermission('articles:delete'), Audit('article', 'delete', { idsField: 'articleIds' }), deleteArticlesBatch)
 
 export default router
@@ -8,12 +8,13 @@ import {
   createAspect,
   getAspectsBySubject,
   getAspectById,
-  getAspectsByName,
   updateAspect,
   deleteAspect,
   deleteAspectsBatch
 } from '../controllers/Aspects.controller.js'
 import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
 
 /**
  * AspectRouter
@@ -26,54 +27,50 @@ const router = Router()
  * @method POST
  * @path /subjects/:subjectId/aspects
  * @description Creates a new aspect associated with a specific subject.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('aspects:write'), Audit
  */
-router.post('/subjects/:subjectId/aspects', UserExtractor, createAspect)
+router.post('/subjects/:subjectId/aspects', UserExtractor, RequirePermission('aspects:write'), Audit('aspect', 'create', { responseKey: 'aspect' }), createAspect)
 
 /**
- * Route to retrieve all aspects for a specific subject.
+ * Route to retrieve the aspects of a specific subject.
  * @method GET
  * @path /subjects/:subjectId/aspects
- * @description Retrieves a list of all aspects associated with a specific subject.
- * @middleware UserExtractor
+ * @description Retrieves a page of the aspects associated with a specific subject, optionally filtered by name.
+ * @middlewares UserExtractor, RequirePermission('aspects:read')
+ * @query {number} [page=1] - The page number.
+ * @query {number} [pageSize=20] - The number of aspects per page (max 100).
+ * @query {string} [cursor] - The nextCursor of the previous page, instead of page.
+ * @query {string} [sort=orderIndex] - Sort fields (id, name, abbreviation, orderIndex); prefix with '-' for descending.
+ * @query {string} [name] - A partial name of the aspect.
  */
-router.get('/subjects/:subjectId/aspects', UserExtractor, getAspectsBySubject)
+router.get('/subjects/:subjectId/aspects', UserExtractor, RequirePermission('aspects:read'), getAspectsBySubject)
 
 /**
  * Route to retrieve an aspect by its ID.
  * @method GET
  * @path /aspects/:id
  * @description Retrieves a specific aspect by its ID.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('aspects:read')
  */
-router.get('/aspect/:id', UserExtractor, getAspectById)
-
-/**
- * Route to retrieve aspects by name for a specific subject.
- * @method GET
- * @path /subjects/:subjectId/aspects/name
- * @description Retrieves a list of aspects by name associated with a specific subject.
- * @middleware UserExtractor
- */
-router.get('/subjects/:subjectId/aspects/name', UserExtractor, getAspectsByName)
+router.get('/aspect/:id', UserExtractor, RequirePermission('aspects:read'), getAspectById)
 
 /**
  * Route to update an aspect by its ID for a specific subject.
  * @method PATCH
  * @path /aspects/:id
  * @description Updates an aspect's information by its ID.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('aspects:write'), Audit
  */
-router.patch('/aspect/:id', UserExtractor, updateAspect)
+router.patch('/aspect/:id', UserExtractor, RequirePermission('aspects:write'), Audit('aspect', 'update', { idParam: 'id' }), updateAspect)
 
 /**
  * Route to delete an aspect by its ID.
  * @method DELETE
  * @path /aspects/:id
  * @description Deletes an aspect by its ID.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('aspects:delete'), Audit
  */
-router.delete('/aspect/:id', UserExtractor, deleteAspect)
+router.delete('/aspect/:id', UserExtractor, RequirePermission('aspects:delete'), Audit('aspect', 'delete', { idParam: 'id' }), deleteAspect)
 
 /**
  * Route to delete multiple aspects using an array of IDs.
@@ -81,8 +78,8 @@ router.delete('/aspect/:id', UserExtractor, deleteAspect)
  * @body {Array<number>} aspectIds - Array of IDs of the aspects to delete.
  * @path /aspects/batch
  * @description Deletes multiple aspects from the system.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('aspects:delete'), Audit
  */
-router.delete('/aspects/batch', UserExtractor, deleteAspectsBatch)
+router.delete('/aspects/batch', UserExtractor, RequirePermission('aspects:delete'), Audit('aspect', 'delete', { idsField: 'aspectIds' }), deleteAspectsBatch)
 
 export default router
@@ -0,0 +1,36 @@
+/**
+ * Routes module for the audit log.
+ * Defines the API endpoints for browsing the record of mutating calls.
+ */
+
+import { Router } from 'express'
+import { getAuditLogs } from '../controllers/Audit.controller.js'
+import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+
+/**
+ * AuditRouter
+ * @type {Router}
+ */
+const router = Router()
+
+/**
+ * Route to retrieve audit log entries.
+ * @method GET
+ * @path /audit
+ * @description Retrieves a page of audit log entries, newest first by default, filtered by user, entity type, entity ID, action and date range.
+ * @middlewares UserExtractor, RequirePermission('audit:read')
+ * @query {number} [page=1] - The page number.
+ * @query {number} [pageSize=20] - The number of entries per page (max 100).
+ * @query {string} [cursor] - The nextCursor of the previous page, instead of page.
+ * @query {string} [sort=-createdAt] - Sort fields (id, createdAt); prefix with '-' for descending.
+ * @query {number} [userId] - The ID of the user who made the calls.
+ * @query {string} [entityType] - The type of the affected entity, e.g. 'legalBasis'.
+ * @query {string} [entityId] - The ID of the affected entity.
+ * @query {string} [action] - The action performed, e.g. 'create', 'update' or 'delete'.
+ * @query {string} [from] - Start date (yyyy-MM-dd or dd-MM-yyyy), inclusive.
+ * @query {string} [to] - End date (yyyy-MM-dd or dd-MM-yyyy), inclusive.
+ */
+router.get('/audit', UserExtractor, RequirePermission('audit:read'), getAuditLogs)
+
+export default router
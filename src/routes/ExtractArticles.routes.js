@@ -5,6 +5,8 @@
 
 import { Router } from 'express'
 import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
 import { getExtractionJobStatus, hasPendingExtractionJobs, cancelExtractionJob } from '../controllers/ExtractArticles.controller.js'
 
 const router = Router()
@@ -15,10 +17,10 @@ const router = Router()
  * @path /jobs/articles/:id
  * @description Retrieves the current status of a specific job by its ID. This route is intended for users to check the progress, completion, or failure of a job related to the articles extraction process.
  * @param {string} id - The ID of the job to be retrieved.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
+ * @middlewares UserExtractor, RequirePermission('articles:read') - Middleware to ensure that the user is authorized and extracted from the request.
  * @returns {Object} - A JSON response containing the job status and relevant details (progress, result, or error).
  */
-router.get('/jobs/articles/:jobId', UserExtractor, getExtractionJobStatus)
+router.get('/jobs/articles/:jobId', UserExtractor, RequirePermission('articles:read'), getExtractionJobStatus)
 
 /**
  * Route to check for jobs for a legal basis.
@@ -29,13 +31,13 @@ router.get('/jobs/articles/:jobId', UserExtractor, getExtractionJobStatus)
  *
  * @param {string} legalBasisId - The ID of the legal basis to check for pending jobs.
  *
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
+ * @middlewares UserExtractor, RequirePermission('articles:read') - Middleware to ensure that the user is authorized and extracted from the request.
  *
  * @returns {Object} - A JSON response containing:
  * - `hasPendingJobs`: Boolean indicating if there are pending jobs.
  * - `jobId`: String representing the job's ID if a job exists, or null if no jobs exist.
  */
-router.get('/jobs/articles/legalBasis/:legalBasisId', UserExtractor, hasPendingExtractionJobs)
+router.get('/jobs/articles/legalBasis/:legalBasisId', UserExtractor, RequirePermission('articles:read'), hasPendingExtractionJobs)
 
 /**
  * Cancels a job by its ID.
@@ -43,8 +45,8 @@ router.get('/jobs/articles/legalBasis/:legalBasisId', UserExtractor, hasPendingE
  * @path /jobs/articles/:jobId
  * @description Cancels a job by its ID. Jobs in 'completed' or 'failed' states cannot be canceled.
  * @param {string} jobId - The ID of the job to be canceled.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized.
+ * @middlewares UserExtractor, RequirePermission('articles:write') - Middleware to ensure that the user is authorized., Audit
  */
-router.delete('/jobs/articles/:jobId', UserExtractor, cancelExtractionJob)
+router.delete('/jobs/articles/:jobId', UserExtractor, RequirePermission('articles:write'), Audit('articleExtractionJob', 'cancel', { idParam: 'jobId' }), cancelExtractionJob)
 
 export default router
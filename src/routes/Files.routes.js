@@ -7,6 +7,7 @@ import { Router } from 'express'
 import { upload } from '../middlewares/multer.js'
 import { uploadFile, getFile } from '../controllers/Files.controller.js'
 import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
 
 /**
  * FileRouter
@@ -19,18 +20,18 @@ const router = Router()
  * @method POST
  * @path /files/upload
  * @description Uploads a file and returns its permanent URL.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('files:write')
  * @middleware multer (for handling file upload)
  */
-router.post('/files/', UserExtractor, upload.single('file'), uploadFile)
+router.post('/files/', UserExtractor, RequirePermission('files:write'), upload.single('file'), uploadFile)
 
 /**
  * Route to fetch a file from a given URL.
  * @method POST
  * @path /files/get
  * @description Fetches a file from a given URL and returns it as a base64 buffer.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('files:read')
  */
-router.get('/files/', UserExtractor, getFile)
+router.get('/files/', UserExtractor, RequirePermission('files:read'), getFile)
 
 export default router
@@ -5,23 +5,22 @@
 
 import { Router } from 'express'
 import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
 import {
   createLegalBasis,
   getAllLegalBasis,
   getLegalBasisById,
-  getLegalBasisByName,
-  getLegalBasisByAbbreviation,
-  getLegalBasisByClassification,
-  getLegalBasisByJurisdiction,
-  getLegalBasisByState,
-  getLegalBasisByStateAndMunicipalities,
-  getLegalBasisBySubject,
-  getLegalBasisBySubjectAndAspects,
-  getLegalBasisByLastReform,
-  getLegalBasisByCriteria,
   updateLegalBasis,
   deleteLegalBasis,
-  deleteLegalBasisBatch
+  deleteLegalBasisBatch,
+  getLegalBasisRevisions,
+  restoreLegalBasisRevision,
+  getArticleRevisions,
+  restoreArticleRevision,
+  getDecreeAmendments,
+  reviewDecreeAmendment,
+  applyDecreeAmendments
 } from '../controllers/LegalBasis.controller.js'
 import { upload } from '../middlewares/multer.js'
 
@@ -36,18 +35,32 @@ const router = Router()
  * @method POST
  * @path /legalBases
  * @description Allows an authorized user to create a new legal basis record.
- * @middlewares upload.single('document'), UserExtractor
+ * @middlewares upload.single('document'), UserExtractor, RequirePermission('legalBasis:write'), Audit
  */
-router.post('/legalBasis', upload.single('document'), UserExtractor, createLegalBasis)
+router.post('/legalBasis', upload.single('document'), UserExtractor, RequirePermission('legalBasis:write'), Audit('legalBasis', 'create', { responseKey: 'legalBasis' }), createLegalBasis)
 
 /**
- * Route to retrieve all legal basis records.
+ * Route to retrieve legal basis records.
  * @method GET
  * @path /legalBases
- * @description Retrieves all legal basis records.
- * @middleware UserExtractor
- */
-router.get('/legalBasis', UserExtractor, getAllLegalBasis)
+ * @description Retrieves a paginated list of legal basis records. Filters can be combined.
+ * @middlewares UserExtractor, RequirePermission('legalBasis:read')
+ * @query {number} [page=1] - The page number.
+ * @query {number} [pageSize=20] - The number of legal basis records per page (max 100).
+ * @query {string} [cursor] - The nextCursor of the previous page, instead of page.
+ * @query {string} [sort=-id] - Sort fields (id, name, abbreviation, lastReform); prefix with '-' for descending.
+ * @query {string} [name] - A partial legal name.
+ * @query {string} [abbreviation] - A partial abbreviation.
+ * @query {string} [classification] - The classification.
+ * @query {string} [jurisdiction] - The jurisdiction.
+ * @query {string} [state] - The state.
+ * @query {string} [municipalities] - Comma-separated municipalities; requires state.
+ * @query {number} [subjectId] - The subject ID.
+ * @query {string} [aspectIds] - Comma-separated aspect IDs, any of which may match.
+ * @query {string} [lastReformFrom] - The earliest last reform date (YYYY-MM-DD or DD-MM-YYYY).
+ * @query {string} [lastReformTo] - The latest last reform date (YYYY-MM-DD or DD-MM-YYYY).
+ */
+router.get('/legalBasis', UserExtractor, RequirePermission('legalBasis:read'), getAllLegalBasis)
 
 /**
  * Route to retrieve a legal basis by its ID.
@@ -55,148 +68,117 @@ router.get('/legalBasis', UserExtractor, getAllLegalBasis)
  * @path /legalBasis/:id
  * @param {string} id - The ID of the legal basis to retrieve.
  * @description Retrieves a specific legal basis by its ID.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('legalBasis:read')
  */
-router.get('/legalBasis/:id', UserExtractor, getLegalBasisById)
+router.get('/legalBasis/:id', UserExtractor, RequirePermission('legalBasis:read'), getLegalBasisById)
 
 /**
- * Route to retrieve a legal basis by its name.
- * @method GET
- * @path /legalBasis/name/name
- * @query {string} name - The name of the legal basis to retrieve.
- * @description Retrieves a specific legal basis by its name.
- * @middleware UserExtractor
- */
-router.get('/legalBasis/name/name', UserExtractor, getLegalBasisByName)
-
-/**
- * Route to retrieve a legal basis by its abbreviation.
- * @method GET
- * @path /legalBasis/abbreviation/abbreviation
- * @query {string} abbreviation - The abbreviation of the legal basis to retrieve.
- * @description Retrieves a specific legal basis by its abbreviation.
- * @middleware UserExtractor
- */
-router.get('/legalBasis/abbreviation/abbreviation', UserExtractor, getLegalBasisByAbbreviation)
-
-/**
- * Route to retrieve a legal basis by its classification.
- * @method GET
- * @path /legalBasis/classification/classification
- * @query {string} classification - The classification of the legal basis to retrieve.
- * @description Retrieves a list of legal basis records by their classification.
- * @middleware UserExtractor
+ * Route to update a legal basis.
+ * @method PATCH
+ * @path /legalBases/:id
+ * @description Allows an authorized user to update a legal basis record.
+ * @middlewares upload.single('document'), UserExtractor, RequirePermission('legalBasis:write'), Audit
+ * @param {number} id - The ID of the legal basis to update.
  */
-router.get('/legalBasis/classification/classification', UserExtractor, getLegalBasisByClassification)
+router.patch('/legalBasis/:id', upload.single('document'), UserExtractor, RequirePermission('legalBasis:write'), Audit('legalBasis', 'update', { idParam: 'id' }), updateLegalBasis)
 
 /**
- * Route to retrieve legal basis entries filtered by jurisdiction.
- * @method GET
- * @path /legalBasis/jurisdiction/jurisdiction
- * @description Retrieves legal basis entries by jurisdiction.
- * @query {string} jurisdiction - The jurisdiction to filter by.
- * @middleware UserExtractor
+ * Route to delete a legal basis.
+ * @method DELETE
+ * @path /legalBases/:id
+ * @description Allows an authorized user to delete a legal basis record.
+ * @middlewares UserExtractor, RequirePermission('legalBasis:delete'), Audit
+ * @param {number} id - The ID of the legal basis to delete.
  */
-router.get('/legalBasis/jurisdiction/jurisdiction', UserExtractor, getLegalBasisByJurisdiction)
+router.delete('/legalBasis/:id', UserExtractor, RequirePermission('legalBasis:delete'), Audit('legalBasis', 'delete', { idParam: 'id' }), deleteLegalBasis)
 
 /**
- * Route to retrieve legal basis entries filtered by state.
- * @method GET
- * @path /legalBasis/state/state
- * @description Retrieves legal basis entries by state.
- * @query {string} state - The state to filter by.
- * @middleware UserExtractor
+ * Route to delete multiple Legal basis using an array of IDs.
+ * @method DELETE
+ * @body {Array<number>} legalBasisIds - Array of IDs of the legal basis to delete.
+ * @path /legalBases/batch
+ * @description Allows an authorized user to delete multiple legal basis record.
+ * @middlewares UserExtractor, RequirePermission('legalBasis:delete'), Audit
  */
-router.get('/legalBasis/state/state', UserExtractor, getLegalBasisByState)
+router.delete('/legalBasis/delete/batch', UserExtractor, RequirePermission('legalBasis:delete'), Audit('legalBasis', 'delete', { idsField: 'legalBasisIds' }), deleteLegalBasisBatch)
 
 /**
- * Route to retrieve legal basis entries filtered by state and municipalities.
+ * Route to retrieve the revision history of a legal basis.
  * @method GET
- * @path /legalBasis/state/municipalities/query
- * @description Retrieves legal basis entries by state and optionally by municipalities.
- * @query {string} state - The state to filter by.
- * @query {Array<string>} [municipalities] - An array of municipalities to filter by (optional).
- * @middleware UserExtractor
+ * @path /legalBasis/:id/revisions
+ * @description Retrieves the revisions of a legal basis, newest first, including after deletion.
+ * @middlewares UserExtractor, RequirePermission('legalBasis:read')
+ * @param {number} id - The ID of the legal basis.
  */
-router.get('/legalBasis/state/municipalities/query', UserExtractor, getLegalBasisByStateAndMunicipalities)
+router.get('/legalBasis/:id/revisions', UserExtractor, RequirePermission('legalBasis:read'), getLegalBasisRevisions)
 
 /**
- * Route to retrieve legal basis entries filtered by subject.
- * @method GET
- * @path /legalBasis/subject/:subjectId
- * @description Retrieves legal basis entries by subject.
- * @param {string} subjectId - The subject ID to filter by.
- * @middleware UserExtractor
+ * Route to restore a legal basis to a previous revision.
+ * @method POST
+ * @path /legalBasis/:id/revisions/:revisionId/restore
+ * @description Restores a legal basis, re-creating it with its articles if it was deleted.
+ * @middlewares UserExtractor, RequirePermission('legalBasis:write'), Audit
+ * @param {number} id - The ID of the legal basis.
+ * @param {number} revisionId - The ID of the revision to restore.
  */
-router.get('/legalBasis/subject/:subjectId', UserExtractor, getLegalBasisBySubject)
+router.post('/legalBasis/:id/revisions/:revisionId/restore', UserExtractor, RequirePermission('legalBasis:write'), Audit('legalBasis', 'restore', { idParam: 'id' }), restoreLegalBasisRevision)
 
 /**
- * Route to retrieve legal basis entries filtered by subject and optionally by aspects.
+ * Route to retrieve the revision history of the articles of a legal basis.
  * @method GET
- * @path /legalBasis/subject/:subjectId/aspects
- * @description Retrieves legal basis entries by subject and optionally by aspects.
- * @param {string} subjectId - The ID of the subject to filter by.
- * @param {Array<string>} [aspectIds] - Optional query parameter: aspect IDs.
- * @middleware UserExtractor
+ * @path /legalBasis/:id/articles/revisions
+ * @description Retrieves the article revisions of a legal basis, optionally filtered by articleId.
+ * @middlewares UserExtractor, RequirePermission('articles:read')
+ * @param {number} id - The ID of the legal basis.
+ * @query {number} [articleId] - The ID of the article to filter by.
  */
-router.get('/legalBasis/subject/:subjectId/aspects', UserExtractor, getLegalBasisBySubjectAndAspects)
+router.get('/legalBasis/:id/articles/revisions', UserExtractor, RequirePermission('articles:read'), getArticleRevisions)
 
 /**
- * Route to retrieve legal basis entries by dynamic filters.
- *
- * @method GET
- * @path /legalBasis/criteria/query
- * @description Retrieves legal basis entries filtered dynamically by jurisdiction, state, municipalities, subject, and aspects.
- *
- * @query {string} [jurisdiction] - Optional jurisdiction level (e.g., "Federal", "Estatal", "Local").
- * @query {string} [state] - Optional state to filter by.
- * @query {Array<string>} [municipalities] - Optional array of municipalities to filter by.
- * @query {number} [subjectId] - Optional subject ID to filter by.
- * @query {Array<number>} [aspectIds] - Optional array of aspect IDs to further filter by.
- *
- * @middleware UserExtractor - Middleware to extract and validate user identity.
+ * Route to restore an article to a previous revision.
+ * @method POST
+ * @path /legalBasis/:id/articles/revisions/:revisionId/restore
+ * @description Restores an article, re-creating it if it was deleted.
+ * @middlewares UserExtractor, RequirePermission('articles:write'), Audit
+ * @param {number} id - The ID of the legal basis.
+ * @param {number} revisionId - The ID of the article revision to restore.
  */
-router.get('/legalBasis/criteria/query', UserExtractor, getLegalBasisByCriteria)
+router.post('/legalBasis/:id/articles/revisions/:revisionId/restore', UserExtractor, RequirePermission('articles:write'), Audit('article', 'restore', { responseKey: 'article' }), restoreArticleRevision)
 
 /**
- * Route to retrieve legal basis entries filtered by a date range for the last_reform field.
+ * Route to retrieve the amendments a decree makes to other legal bases.
  * @method GET
- * @path /legalBasis/lastReform/lastReform
- * @description Retrieves legal basis entries filtered by a date range on last_reform.
- * @query {string} [from] - The start date.
- * @query {string} [to] - The end date.
- * @middleware UserExtractor
+ * @path /legalBasis/:id/amendments
+ * @description Retrieves the reforms, additions and repeals extracted from a decree, in order.
+ * @middlewares UserExtractor, RequirePermission('articles:read')
+ * @param {number} id - The ID of the decree.
  */
-router.get('/legalBasis/lastReform/lastReform', UserExtractor, getLegalBasisByLastReform)
+router.get('/legalBasis/:id/amendments', UserExtractor, RequirePermission('articles:read'), getDecreeAmendments)
 
 /**
- * Route to update a legal basis.
+ * Route to review an amendment of a decree.
  * @method PATCH
- * @path /legalBases/:id
- * @description Allows an authorized user to update a legal basis record.
- * @middlewares upload.single('document'), UserExtractor
- * @param {number} id - The ID of the legal basis to update.
- */
-router.patch('/legalBasis/:id', upload.single('document'), UserExtractor, updateLegalBasis)
-
-/**
- * Route to delete a legal basis.
- * @method DELETE
- * @path /legalBases/:id
- * @description Allows an authorized user to delete a legal basis record.
- * @middlewares UserExtractor
- * @param {number} id - The ID of the legal basis to delete.
+ * @path /legalBasis/:id/amendments/:amendmentId
+ * @description Approves or rejects an amendment, or corrects its target, action, article or content.
+ * @middlewares UserExtractor, RequirePermission('articles:write'), Audit
+ * @param {number} id - The ID of the decree.
+ * @param {number} amendmentId - The ID of the amendment.
+ * @body {string} [status] - 'pending', 'approved' or 'rejected'.
+ * @body {number} [targetId] - The ID of the amended legal basis.
+ * @body {string} [action] - 'reform', 'addition' or 'repeal'.
+ * @body {string} [articleName] - The name of the amended article.
+ * @body {string|null} [content] - The new text of the article, in HTML.
  */
-router.delete('/legalBasis/:id', UserExtractor, deleteLegalBasis)
+router.patch('/legalBasis/:id/amendments/:amendmentId', UserExtractor, RequirePermission('articles:write'), Audit('legalBasisAmendment', 'review', { idParam: 'amendmentId' }), reviewDecreeAmendment)
 
 /**
- * Route to delete multiple Legal basis using an array of IDs.
- * @method DELETE
- * @body {Array<number>} legalBasisIds - Array of IDs of the legal basis to delete.
- * @path /legalBases/batch
- * @description Allows an authorized user to delete multiple legal basis record.
- * @middlewares UserExtractor
+ * Route to apply the approved amendments of a decree.
+ * @method POST
+ * @path /legalBasis/:id/amendments/apply
+ * @description Applies the approved amendments to the articles of their targets and updates their last reform.
+ * @middlewares UserExtractor, RequirePermission('articles:write'), Audit
+ * @param {number} id - The ID of the decree.
  */
-router.delete('/legalBasis/delete/batch', UserExtractor, deleteLegalBasisBatch)
+router.post('/legalBasis/:id/amendments/apply', UserExtractor, RequirePermission('articles:write'), Audit('legalBasis', 'applyAmendments', { idParam: 'id' }), applyDecreeAmendments)
 
 export default router
@@ -8,14 +8,13 @@ import {
   createLegalVerb,
   getLegalVerbs,
   getLegalVerbById,
-  getLegalVerbsByName,
-  getLegalVerbsByDescription,
-  getLegalVerbsByTranslation,
   updateLegalVerb,
   deleteLegalVerb,
   deleteLegalVerbsBatch
 } from '../controllers/LegalVerbs.controller.js'
 import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
 
 /**
  * LegalVerbsRouter
@@ -27,73 +26,57 @@ const router = Router()
  * Route to create a new legal verb.
  * @method POST
  * @path /legal-verbs
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('legalVerbs:write'), Audit
  */
-router.post('/legal-verbs', UserExtractor, createLegalVerb)
+router.post('/legal-verbs', UserExtractor, RequirePermission('legalVerbs:write'), Audit('legalVerb', 'create', { responseKey: 'legalVerb' }), createLegalVerb)
 
 /**
- * Route to retrieve all legal verbs.
+ * Route to retrieve legal verbs.
  * @method GET
  * @path /legal-verbs
- * @middleware UserExtractor
+ * @description Retrieves a page of legal verbs, optionally filtered by name, description and translation.
+ * @middlewares UserExtractor, RequirePermission('legalVerbs:read')
+ * @query {number} [page=1] - The page number.
+ * @query {number} [pageSize=20] - The number of legal verbs per page (max 100).
+ * @query {string} [cursor] - The nextCursor of the previous page, instead of page.
+ * @query {string} [sort=-id] - Sort fields (id, name); prefix with '-' for descending.
+ * @query {string} [name] - A partial name of the legal verb.
+ * @query {string} [description] - Terms to match in the description.
+ * @query {string} [translation] - Terms to match in the translation.
  */
-router.get('/legal-verbs', UserExtractor, getLegalVerbs)
+router.get('/legal-verbs', UserExtractor, RequirePermission('legalVerbs:read'), getLegalVerbs)
 
 /**
  * Route to retrieve a legal verb by ID.
  * @method GET
  * @path /legal-verbs/:id
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('legalVerbs:read')
  */
-router.get('/legal-verbs/:id', UserExtractor, getLegalVerbById)
-
-/**
- * Route to retrieve legal verbs by name.
- * @method GET
- * @path /legal-verbs/search/name
- * @middleware UserExtractor
- */
-router.get('/legal-verbs/search/name', UserExtractor, getLegalVerbsByName)
-
-/**
- * Route to retrieve legal verbs by description.
- * @method GET
- * @path /legal-verbs/search/description
- * @middleware UserExtractor
- */
-router.get('/legal-verbs/search/description', UserExtractor, getLegalVerbsByDescription)
-
-/**
- * Route to retrieve legal verbs by translation.
- * @method GET
- * @path /legal-verbs/search/translation
- * @middleware UserExtractor
- */
-router.get('/legal-verbs/search/translation', UserExtractor, getLegalVerbsByTranslation)
+router.get('/legal-verbs/:id', UserExtractor, RequirePermission('legalVerbs:read'), getLegalVerbById)
 
 /**
  * Route to update a legal verb by ID.
  * @method PATCH
  * @path /legal-verbs/:id
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('legalVerbs:write'), Audit
  */
-router.patch('/legal-verbs/:id', UserExtractor, updateLegalVerb)
+router.patch('/legal-verbs/:id', UserExtractor, RequirePermission('legalVerbs:write'), Audit('legalVerb', 'update', { idParam: 'id' }), updateLegalVerb)
 
 /**
  * Route to delete a legal verb by ID.
  * @method DELETE
  * @path /legal-verbs/:id
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('legalVerbs:delete'), Audit
  */
-router.delete('/legal-verbs/:id', UserExtractor, deleteLegalVerb)
+router.delete('/legal-verbs/:id', UserExtractor, RequirePermission('legalVerbs:delete'), Audit('legalVerb', 'delete', { idParam: 'id' }), deleteLegalVerb)
 
 /**
  * Route to delete multiple legal verbs by array of IDs.
  * @method DELETE
  * @path /legal-verbs/delete/batch
  * @body {Array<number>} legalVerbsIds - Array of IDs of the legal verbs to delete.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('legalVerbs:delete'), Audit
  */
-router.delete('/legal-verbs/delete/batch', UserExtractor, deleteLegalVerbsBatch)
+router.delete('/legal-verbs/delete/batch', UserExtractor, RequirePermission('legalVerbs:delete'), Audit('legalVerb', 'delete', { idsField: 'legalVerbsIds' }), deleteLegalVerbsBatch)
 
 export default router
@@ -5,20 +5,25 @@
 
 import { Router } from 'express'
 import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
 import {
   createReqIdentification,
   getAllReqIdentifications,
+  compareReqIdentifications,
   getReqIdentificationById,
-  getReqIdentificationsByName,
-  getReqIdentificationsByDescription,
-  getReqIdentificationsByUserId,
-  getReqIdentificationsByCreatedAt,
-  getReqIdentificationsByStatus,
-  getReqIdentificationsByJurisdiction,
-  getReqIdentificationsByState,
-  getReqIdentificationsByStateAndMunicipalities,
-  getReqIdentificationsBySubjectId,
-  getReqIdentificationsBySubjectAndAspects,
+  getReqIdentificationRequirementLegalVerbs,
+  addReqIdentificationRequirement,
+  removeReqIdentificationRequirement,
+  addReqIdentificationArticle,
+  removeReqIdentificationArticle,
+  updateReqIdentificationArticleType,
+  updateReqIdentificationLegalVerb,
+  exportReqIdentification,
+  getReqIdentificationReport,
+  requestReqIdentificationReport,
+  getReqIdentificationOutdatedLegalBases,
+  rerunOutdatedReqIdentification,
   updateReqIdentification,
   deleteReqIdentification,
   deleteReqIdentificationsBatch
@@ -34,122 +39,168 @@ const router = Router()
  * Route to create a new requirement identification.
  * @method POST
  * @path /req-identification
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:write'), Audit
  */
-router.post('/req-identification', UserExtractor, createReqIdentification)
+router.post('/req-identification', UserExtractor, RequirePermission('reqIdentification:write'), Audit('reqIdentification', 'create', { responseKey: 'reqIdentificationId' }), createReqIdentification)
 
 /**
- * Retrieves all requirement identifications.
+ * Retrieves a page of requirement identifications.
  * @method GET
  * @path /req-identification
- * @middleware UserExtractor
+ * @query {number} [page=1] - The page number.
+ * @query {number} [pageSize=20] - The number of requirement identifications per page (max 100).
+ * @query {string} [cursor] - The nextCursor of the previous page, instead of page.
+ * @query {string} [sort=-createdAt] - Sort fields (id, name, createdAt); prefix with '-' for descending.
+ * @query {string} [name] - Partial match on the name.
+ * @query {string} [description] - Full-text search on the description.
+ * @query {number} [userId] - The user who created the requirement identification.
+ * @query {string} [status] - Activo, Fallido or Completado.
+ * @query {string} [createdFrom] - Created on or after this date (YYYY-MM-DD or DD-MM-YYYY).
+ * @query {string} [createdTo] - Created on or before this date (YYYY-MM-DD or DD-MM-YYYY).
+ * @query {string} [jurisdiction] - Jurisdiction of the identified legal bases.
+ * @query {string} [state] - State of the identified legal bases.
+ * @query {string} [municipalities] - Comma-separated municipalities of the identified legal bases; requires state.
+ * @query {number} [subjectId] - Subject of the identified legal bases.
+ * @query {string} [aspectIds] - Comma-separated aspect IDs of the identified legal bases.
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:read')
+ */
+router.get('/req-identification', UserExtractor, RequirePermission('reqIdentification:read'), getAllReqIdentifications)
+
+/**
+ * Compares two requirement identifications.
+ * Declared before /req-identification/:id so 'compare' is not taken as an ID.
+ * @method GET
+ * @path /req-identification/compare
+ * @query {number} left - ID of the baseline requirement identification.
+ * @query {number} right - ID of the requirement identification compared against the baseline.
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:read')
  */
-router.get('/req-identification', UserExtractor, getAllReqIdentifications)
+router.get('/req-identification/compare', UserExtractor, RequirePermission('reqIdentification:read'), compareReqIdentifications)
 
 /**
  * Retrieves a single requirement identification by its ID.
  * @method GET
  * @path /req-identification/:id
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:read')
  */
-router.get('/req-identification/:id', UserExtractor, getReqIdentificationById)
+router.get('/req-identification/:id', UserExtractor, RequirePermission('reqIdentification:read'), getReqIdentificationById)
 
 /**
- * Retrieves requirement identifications by name.
+ * Retrieves the legal verb translations of a requirement within a requirement identification.
  * @method GET
- * @path /req-identification/search/name
- * @middleware UserExtractor
+ * @path /req-identification/:id/requirements/:requirementId/legal-verbs
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:read')
  */
-router.get('/req-identification/search/name', UserExtractor, getReqIdentificationsByName)
+router.get('/req-identification/:id/requirements/:requirementId/legal-verbs', UserExtractor, RequirePermission('reqIdentification:read'), getReqIdentificationRequirementLegalVerbs)
 
 /**
- * Retrieves requirement identifications by description.
- * @method GET
- * @path /req-identification/search/description
- * @middleware UserExtractor
+ * Manually adds a requirement to a requirement identification.
+ * @method POST
+ * @path /req-identification/:id/requirements
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:write'), Audit
  */
-router.get('/req-identification/search/description', UserExtractor, getReqIdentificationsByDescription)
+router.post('/req-identification/:id/requirements', UserExtractor, RequirePermission('reqIdentification:write'), Audit('reqIdentification', 'addRequirement', { idParam: 'id' }), addReqIdentificationRequirement)
 
 /**
- * Retrieves requirement identifications by user ID.
- * @method GET
- * @path /req-identification/search/user/:id
- * @middleware UserExtractor
+ * Manually removes a requirement from a requirement identification.
+ * Removed requirements are not added back by later re-runs.
+ * @method DELETE
+ * @path /req-identification/:id/requirements/:requirementId
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:write'), Audit
  */
-router.get('/req-identification/search/user/:id', UserExtractor, getReqIdentificationsByUserId)
+router.delete('/req-identification/:id/requirements/:requirementId', UserExtractor, RequirePermission('reqIdentification:write'), Audit('reqIdentification', 'removeRequirement', { idParam: 'id' }), removeReqIdentificationRequirement)
 
 /**
- * Retrieves requirement identifications by creation date.
- * @method GET
- * @path /req-identification/search/created-at
- * @middleware UserExtractor
+ * Manually cites an article in a requirement of a requirement identification.
+ * @method POST
+ * @path /req-identification/:id/requirements/:requirementId/articles
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:write'), Audit
  */
-router.get('/req-identification/search/created-at', UserExtractor, getReqIdentificationsByCreatedAt)
+router.post('/req-identification/:id/requirements/:requirementId/articles', UserExtractor, RequirePermission('reqIdentification:write'), Audit('reqIdentification', 'addArticle', { idParam: 'id' }), addReqIdentificationArticle)
 
 /**
- * Retrieves requirement identifications by status.
- * @method GET
- * @path /req-identification/search/status
- * @middleware UserExtractor
+ * Manually removes an article citation from a requirement.
+ * Removed citations are not added back by later re-runs.
+ * @method DELETE
+ * @path /req-identification/:id/requirements/:requirementId/legal-basis/:legalBasisId/articles/:articleId
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:write'), Audit
  */
-router.get('/req-identification/search/status', UserExtractor, getReqIdentificationsByStatus)
+router.delete('/req-identification/:id/requirements/:requirementId/legal-basis/:legalBasisId/articles/:articleId', UserExtractor, RequirePermission('reqIdentification:write'), Audit('reqIdentification', 'removeArticle', { idParam: 'id' }), removeReqIdentificationArticle)
 
 /**
- * Retrieves requirement identifications by jurisdiction.
- * @method GET
- * @path /req-identification/search/jurisdiction
- * @middleware UserExtractor
+ * Manually changes the article type of an article citation.
+ * @method PATCH
+ * @path /req-identification/:id/requirements/:requirementId/legal-basis/:legalBasisId/articles/:articleId
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:write'), Audit
  */
-router.get('/req-identification/search/jurisdiction', UserExtractor, getReqIdentificationsByJurisdiction)
+router.patch('/req-identification/:id/requirements/:requirementId/legal-basis/:legalBasisId/articles/:articleId', UserExtractor, RequirePermission('reqIdentification:write'), Audit('reqIdentification', 'updateArticleType', { idParam: 'id' }), updateReqIdentificationArticleType)
 
 /**
- * Retrieves requirement identifications by state.
- * @method GET
- * @path /req-identification/search/state
- * @middleware UserExtractor
+ * Manually edits the translation of a legal verb of a requirement.
+ * @method PATCH
+ * @path /req-identification/:id/requirements/:requirementId/legal-verbs/:legalVerbId
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:write'), Audit
  */
-router.get('/req-identification/search/state', UserExtractor, getReqIdentificationsByState)
+router.patch('/req-identification/:id/requirements/:requirementId/legal-verbs/:legalVerbId', UserExtractor, RequirePermission('reqIdentification:write'), Audit('reqIdentification', 'updateLegalVerb', { idParam: 'id' }), updateReqIdentificationLegalVerb)
 
 /**
- * Retrieves requirement identifications by state and municipalities.
+ * Exports a requirement identification as a compliance matrix with one row per requirement.
  * @method GET
- * @path /req-identification/search/state-municipalities
- * @middleware UserExtractor
+ * @path /req-identification/:id/export
+ * @query {string} [format=xlsx] - Output format, either 'xlsx' or 'csv'.
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:read')
  */
-router.get('/req-identification/search/state-municipalities', UserExtractor, getReqIdentificationsByStateAndMunicipalities)
+router.get('/req-identification/:id/export', UserExtractor, RequirePermission('reqIdentification:read'), exportReqIdentification)
 
 /**
- * Retrieves requirement identifications by subject ID.
+ * Downloads the PDF report of a requirement identification.
  * @method GET
- * @path /req-identification/search/subject/:subjectId
- * @middleware UserExtractor
+ * @path /req-identification/:id/report
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:read')
+ */
+router.get('/req-identification/:id/report', UserExtractor, RequirePermission('reqIdentification:read'), getReqIdentificationReport)
+
+/**
+ * Generates the PDF report of a requirement identification in the background
+ * and emails a download link to the requesting user.
+ * @method POST
+ * @path /req-identification/:id/report
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:read')
  */
-router.get('/req-identification/search/subject/:subjectId', UserExtractor, getReqIdentificationsBySubjectId)
+router.post('/req-identification/:id/report', UserExtractor, RequirePermission('reqIdentification:read'), requestReqIdentificationReport)
 
 /**
- * Retrieves requirement identifications by subject ID and aspect IDs.
+ * Retrieves the requirement/legal basis pairs that became outdated because the legal basis was reformed.
  * @method GET
- * @path /req-identification/search/subject/:subjectId/aspects
- * @middleware UserExtractor
+ * @path /req-identification/:id/outdated
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:read')
+ */
+router.get('/req-identification/:id/outdated', UserExtractor, RequirePermission('reqIdentification:read'), getReqIdentificationOutdatedLegalBases)
+
+/**
+ * Re-queues the identification of only the outdated requirement/legal basis pairs.
+ * @method POST
+ * @path /req-identification/:id/outdated/rerun
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:write'), Audit
  */
-router.get('/req-identification/search/subject/:subjectId/aspects', UserExtractor, getReqIdentificationsBySubjectAndAspects)
+router.post('/req-identification/:id/outdated/rerun', UserExtractor, RequirePermission('reqIdentification:write'), Audit('reqIdentification', 'rerun', { idParam: 'id' }), rerunOutdatedReqIdentification)
 
 /**
  * Updates a requirement identification by its ID.
  * @method PATCH
  * @path /req-identification/:id
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:write'), Audit
  */
-router.patch('/req-identification/:id', UserExtractor, updateReqIdentification)
+router.patch('/req-identification/:id', UserExtractor, RequirePermission('reqIdentification:write'), Audit('reqIdentification', 'update', { idParam: 'id' }), updateReqIdentification)
 
 /**
  * Route to delete a requirement identification by ID.
  * @method DELETE
  * @path /req-identification/:id
  * @description Deletes a requirement identification by its ID.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:delete'), Audit
  */
-router.delete('/req-identification/:id', UserExtractor, deleteReqIdentification)
+router.delete('/req-identification/:id', UserExtractor, RequirePermission('reqIdentification:delete'), Audit('reqIdentification', 'delete', { idParam: 'id' }), deleteReqIdentification)
 
 /**
  * Route to delete multiple requirement identifications using an array of IDs.
@@ -157,8 +208,8 @@ router.delete('/req-identification/:id', UserExtractor, deleteReqIdentification)
  * @path /req-identification/delete/batch
  * @body {Array<number>} reqIdentificationIds - Array of IDs of the requirement identifications to delete.
  * @description Deletes multiple requirement identifications from the system.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:delete'), Audit
  */
-router.delete('/req-identification/delete/batch', UserExtractor, deleteReqIdentificationsBatch)
+router.delete('/req-identification/delete/batch', UserExtractor, RequirePermission('reqIdentification:delete'), Audit('reqIdentification', 'delete', { idsField: 'reqIdentificationIds' }), deleteReqIdentificationsBatch)
 
 export default router
@@ -5,7 +5,14 @@
 
 import { Router } from 'express'
 import UserExtractor from '../middlewares/user_extractor.js'
-import { getReqIdentificationJobStatus } from '../controllers/ReqIdentify.controller.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
+import {
+  getReqIdentificationJobStatus,
+  hasPendingReqIdentificationJobs,
+  cancelReqIdentificationJob,
+  retryReqIdentificationJob
+} from '../controllers/ReqIdentify.controller.js'
 
 /**
  * ReqIdentifyRouter
@@ -19,8 +26,48 @@ const router = Router()
  * @path /jobs/req-identification/:jobId
  * @description Retrieves the current status of a specific requirement identification sending job by its ID.
  * @param {string} jobId - The ID of the job to be retrieved.
- * @middlewares UserExtractor
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:read')
  */
-router.get('/jobs/req-identification/:jobId', UserExtractor, getReqIdentificationJobStatus)
+router.get('/jobs/req-identification/:jobId', UserExtractor, RequirePermission('reqIdentification:read'), getReqIdentificationJobStatus)
+
+/**
+ * Route to check for jobs for a requirement identification.
+ * @method GET
+ * @path /jobs/req-identification/reqIdentification/:reqIdentificationId
+ * @description Checks if there are pending jobs for the specified reqIdentificationId.
+ * Returns whether a job exists and its jobId if applicable.
+ *
+ * @param {string} reqIdentificationId - The ID of the requirement identification to check for pending jobs.
+ *
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:read') - Middleware to ensure that the user is authorized and extracted from the request.
+ *
+ * @returns {Object} - A JSON response containing:
+ * - `hasPendingJobs`: Boolean indicating if there are pending jobs.
+ * - `jobId`: String representing the job's ID if a job exists, or null if no jobs exist.
+ */
+router.get('/jobs/req-identification/reqIdentification/:reqIdentificationId', UserExtractor, RequirePermission('reqIdentification:read'), hasPendingReqIdentificationJobs)
+
+/**
+ * Cancels a job by its ID.
+ * @method DELETE
+ * @path /jobs/req-identification/:jobId
+ * @description Cancels a requirement identification job by its ID and marks the identification as failed.
+ * Jobs in 'completed' or 'failed' states cannot be canceled.
+ * @param {string} jobId - The ID of the job to be canceled.
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:write') - Middleware to ensure that the user is authorized., Audit
+ */
+router.delete('/jobs/req-identification/:jobId', UserExtractor, RequirePermission('reqIdentification:write'), Audit('reqIdentificationJob', 'cancel', { idParam: 'jobId' }), cancelReqIdentificationJob)
+
+/**
+ * Retries a failed job by its ID.
+ * @method POST
+ * @path /jobs/req-identification/:jobId/retry
+ * @description Moves a failed requirement identification job back to the queue and marks the identification as active.
+ * The worker skips the requirements, legal bases and articles already linked, so processing resumes where it stopped.
+ * Only jobs in 'failed' state can be retried.
+ * @param {string} jobId - The ID of the job to be retried.
+ * @middlewares UserExtractor, RequirePermission('reqIdentification:write') - Middleware to ensure that the user is authorized., Audit
+ */
+router.post('/jobs/req-identification/:jobId/retry', UserExtractor, RequirePermission('reqIdentification:write'), Audit('reqIdentificationJob', 'retry', { idParam: 'jobId' }), retryReqIdentificationJob)
 
 export default router
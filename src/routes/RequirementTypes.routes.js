@@ -8,14 +8,13 @@ import {
   createRequirementType,
   getRequirementTypes,
   getRequirementTypeById,
-  getRequirementTypesByName,
-  getRequirementTypesByDescription,
-  getRequirementTypesByClassification,
   updateRequirementType,
   deleteRequirementType,
   deleteRequirementTypesBatch
 } from '../controllers/RequirementTypes.controller.js'
 import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
 
 /**
  * RequirementTypesRouter
@@ -28,72 +27,52 @@ const router = Router()
  * @method POST
  * @path /requirement-types
  * @description Creates a new requirement type.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('requirementTypes:write'), Audit
  */
-router.post('/requirement-types', UserExtractor, createRequirementType)
+router.post('/requirement-types', UserExtractor, RequirePermission('requirementTypes:write'), Audit('requirementType', 'create', { responseKey: 'requirementType' }), createRequirementType)
 
 /**
- * Route to retrieve all requirement types.
+ * Route to retrieve requirement types.
  * @method GET
  * @path /requirement-types
- * @description Retrieves a list of all requirement types.
- * @middleware UserExtractor
+ * @description Retrieves a page of requirement types, optionally filtered by name, description and classification.
+ * @middlewares UserExtractor, RequirePermission('requirementTypes:read')
+ * @query {number} [page=1] - The page number.
+ * @query {number} [pageSize=20] - The number of requirement types per page (max 100).
+ * @query {string} [cursor] - The nextCursor of the previous page, instead of page.
+ * @query {string} [sort=-id] - Sort fields (id, name); prefix with '-' for descending.
+ * @query {string} [name] - A partial name of the requirement type.
+ * @query {string} [description] - Terms to match in the description.
+ * @query {string} [classification] - Terms to match in the classification.
  */
-router.get('/requirement-types', UserExtractor, getRequirementTypes)
+router.get('/requirement-types', UserExtractor, RequirePermission('requirementTypes:read'), getRequirementTypes)
 
 /**
  * Route to retrieve a requirement type by ID.
  * @method GET
  * @path /requirement-types/:id
  * @description Retrieves details of a requirement type by its ID.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('requirementTypes:read')
  */
-router.get('/requirement-types/:id', UserExtractor, getRequirementTypeById)
-
-/**
- * Route to retrieve requirement types by name.
- * @method GET
- * @path /requirement-types/search/name
- * @description Retrieves requirement types that match a name.
- * @middleware UserExtractor
- */
-router.get('/requirement-types/search/name', UserExtractor, getRequirementTypesByName)
-
-/**
- * Route to retrieve requirement types by description.
- * @method GET
- * @path /requirement-types/search/description
- * @description Retrieves requirement types that match a description.
- * @middleware UserExtractor
- */
-router.get('/requirement-types/search/description', UserExtractor, getRequirementTypesByDescription)
-
-/**
- * Route to retrieve requirement types by classification.
- * @method GET
- * @path /requirement-types/search/classification
- * @description Retrieves requirement types that match a classification.
- * @middleware UserExtractor
- */
-router.get('/requirement-types/search/classification', UserExtractor, getRequirementTypesByClassification)
+router.get('/requirement-types/:id', UserExtractor, RequirePermission('requirementTypes:read'), getRequirementTypeById)
 
 /**
  * Route to update a requirement type by ID.
  * @method PATCH
  * @path /requirement-types/:id
  * @description Updates a requirement type's information by its ID.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('requirementTypes:write'), Audit
  */
-router.patch('/requirement-types/:id', UserExtractor, updateRequirementType)
+router.patch('/requirement-types/:id', UserExtractor, RequirePermission('requirementTypes:write'), Audit('requirementType', 'update', { idParam: 'id' }), updateRequirementType)
 
 /**
  * Route to delete a requirement type by ID.
  * @method DELETE
  * @path /requirement-types/:id
  * @description Deletes a requirement type by its ID.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('requirementTypes:delete'), Audit
  */
-router.delete('/requirement-types/:id', UserExtractor, deleteRequirementType)
+router.delete('/requirement-types/:id', UserExtractor, RequirePermission('requirementTypes:delete'), Audit('requirementType', 'delete', { idParam: 'id' }), deleteRequirementType)
 
 /**
  * Route to delete multiple requirement types using an array of IDs.
@@ -101,8 +80,8 @@ router.delete('/requirement-types/:id', UserExtractor, deleteRequirementType)
  * @path /requirement-types/batch
  * @body {Array<number>} requirementTypesIds - Array of IDs of the requirement types to delete.
  * @description Deletes multiple requirement types from the system.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('requirementTypes:delete'), Audit
  */
-router.delete('/requirement-types/delete/batch', UserExtractor, deleteRequirementTypesBatch)
+router.delete('/requirement-types/delete/batch', UserExtractor, RequirePermission('requirementTypes:delete'), Audit('requirementType', 'delete', { idsField: 'requirementTypesIds' }), deleteRequirementTypesBatch)
 
 export default router
@@ -5,24 +5,12 @@
 
 import { Router } from 'express'
 import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
 import {
   createRequirement,
   getAllRequirements,
   getRequirementById,
-  getRequirementsByNumber,
-  getRequirementsByName,
-  getRequirementsBySubject,
-  getRequirementsBySubjectAndAspects,
-  getRequirementsByMandatoryDescription,
-  getRequirementsByComplementaryDescription,
-  getRequirementsByMandatorySentences,
-  getRequirementsByComplementarySentences,
-  getRequirementsByMandatoryKeywords,
-  getRequirementsByComplementaryKeywords,
-  getRequirementsByCondition,
-  getRequirementsByEvidence,
-  getRequirementsByPeriodicity,
-  getRequirementsByAcceptanceCriteria,
   updateRequirement,
   deleteRequirement,
   deleteRequirementBatch
@@ -36,21 +24,39 @@ const router = Router()
  * @path /requirements
  * @description Creates a new requirement with the provided details.
  *
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
+ * @middlewares UserExtractor, RequirePermission('requirements:write') - Middleware to ensure that the user is authorized and extracted from the request., Audit
  * @returns {Object} - The created requirement data.
  */
-router.post('/requirements', UserExtractor, createRequirement)
+router.post('/requirements', UserExtractor, RequirePermission('requirements:write'), Audit('requirement', 'create', { responseKey: 'requirement' }), createRequirement)
 
 /**
  * Route to retrieve all requirements.
  * @method GET
  * @path /requirements
- * @description Fetches all existing requirements in the system.
- *
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of requirements.
- */
-router.get('/requirements', UserExtractor, getAllRequirements)
+ * @description Fetches a paginated list of requirements. Filters can be combined.
+ *
+ * @middlewares UserExtractor, RequirePermission('requirements:read') - Middleware to ensure that the user is authorized and extracted from the request.
+ * @query {number} [page=1] - The page number.
+ * @query {number} [pageSize=20] - The number of requirements per page (max 100).
+ * @query {string} [cursor] - The nextCursor of the previous page, instead of page.
+ * @query {string} [sort=number] - Sort fields (id, number, name); prefix with '-' for descending.
+ * @query {number} [number] - The requirement number.
+ * @query {string} [name] - A partial requirement name.
+ * @query {number} [subjectId] - The subject ID.
+ * @query {string} [aspectIds] - Comma-separated aspect IDs, any of which may match.
+ * @query {string} [mandatoryDescription] - Full-text terms of the mandatory description.
+ * @query {string} [complementaryDescription] - Full-text terms of the complementary description.
+ * @query {string} [mandatorySentences] - Full-text terms of the mandatory sentences.
+ * @query {string} [complementarySentences] - Full-text terms of the complementary sentences.
+ * @query {string} [mandatoryKeywords] - Full-text terms of the mandatory keywords.
+ * @query {string} [complementaryKeywords] - Full-text terms of the complementary keywords.
+ * @query {string} [condition] - The requirement condition.
+ * @query {string} [evidence] - The evidence.
+ * @query {string} [periodicity] - The periodicity.
+ * @query {string} [acceptanceCriteria] - A partial acceptance criteria.
+ * @returns {Object} - A page of requirements and the pagination details.
+ */
+router.get('/requirements', UserExtractor, RequirePermission('requirements:read'), getAllRequirements)
 
 /**
  * Route to retrieve a requirement by its ID.
@@ -58,181 +64,10 @@ router.get('/requirements', UserExtractor, getAllRequirements)
  * @path /requirement/:id
  * @description Fetches a specific requirement using its ID.
  *
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
+ * @middlewares UserExtractor, RequirePermission('requirements:read') - Middleware to ensure that the user is authorized and extracted from the request.
  * @returns {Object} - The retrieved requirement data.
  */
-router.get('/requirement/:id', UserExtractor, getRequirementById)
-
-/**
- * Route to retrieve requirements by their requirement number.
- * @method GET
- * @path /requirements/search/number
- * @description Fetches requirements matching the given number or partial match.
- *
- * @param {string} number - The number to filter by.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of matching requirements.
- */
-router.get('/requirements/search/number', UserExtractor, getRequirementsByNumber)
-
-/**
- * Route to retrieve requirements by their name.
- * @method GET
- * @path /requirements/search/name
- * @description Fetches requirements matching the given name or partial match.
- *
- * @param {string} name - The name to filter by.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of matching requirements.
- */
-router.get('/requirements/search/name', UserExtractor, getRequirementsByName)
-
-/**
- * Route to retrieve requirements by subject.
- * @method GET
- * @path /requirements/subject/:subjectId
- * @description Fetches requirements filtered by subject.
- *
- * @param {string} subjectId - The ID of the subject to filter by.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of requirements filtered by subject.
- */
-router.get('/requirements/subject/:subjectId', UserExtractor, getRequirementsBySubject)
-
-/**
- * Route to retrieve requirements by subject and optionally by aspects.
- * @method GET
- * @path /requirements/subject/:subjectId/aspects
- * @description Fetches requirements filtered by subject and optionally by aspects.
- *
- * @param {string} subjectId - The ID of the subject to filter by.
- * @param {Array<string>} [aspectIds] - Optional query parameter: aspect IDs to further filter by.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of requirements matching the filters.
- */
-router.get('/requirements/subject/:subjectId/aspects', UserExtractor, getRequirementsBySubjectAndAspects)
-
-/**
- * Route to retrieve requirements by their mandatory description.
- * @method GET
- * @path /requirements/search/mandatory-description
- * @description Fetches requirements matching the given mandatory description.
- *
- * @param {string} description - The description or partial match.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of matching requirements.
- */
-router.get('/requirements/search/mandatory-description', UserExtractor, getRequirementsByMandatoryDescription)
-
-/**
- * Route to retrieve requirements by their complementary description.
- * @method GET
- * @path /requirements/search/complementary-description
- * @description Fetches requirements matching the given complementary description.
- *
- * @param {string} description - The description or partial match.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of matching requirements.
- */
-router.get('/requirements/search/complementary-description', UserExtractor, getRequirementsByComplementaryDescription)
-
-/**
- * Route to retrieve requirements by their mandatory sentences.
- * @method GET
- * @path /requirements/search/mandatory-sentences
- * @description Fetches requirements matching the given mandatory sentences.
- *
- * @param {string} sentence - The sentence or partial match.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of matching requirements.
- */
-router.get('/requirements/search/mandatory-sentences', UserExtractor, getRequirementsByMandatorySentences)
-
-/**
- * Route to retrieve requirements by their complementary sentences.
- * @method GET
- * @path /requirements/search/complementary-sentences
- * @description Fetches requirements matching the given complementary sentences.
- *
- * @param {string} sentence - The sentence or partial match.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of matching requirements.
- */
-router.get('/requirements/search/complementary-sentences', UserExtractor, getRequirementsByComplementarySentences)
-
-/**
- * Route to retrieve requirements by their mandatory keywords.
- * @method GET
- * @path /requirements/search/mandatory-keywords
- * @description Fetches requirements matching the given mandatory keywords.
- *
- * @param {string} keyword - The keyword or partial match.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of matching requirements.
- */
-router.get('/requirements/search/mandatory-keywords', UserExtractor, getRequirementsByMandatoryKeywords)
-
-/**
- * Route to retrieve requirements by their complementary keywords.
- * @method GET
- * @path /requirements/search/complementary-keywords
- * @description Fetches requirements matching the given complementary keywords.
- *
- * @param {string} keyword - The keyword or partial match.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of matching requirements.
- */
-router.get('/requirements/search/complementary-keywords', UserExtractor, getRequirementsByComplementaryKeywords)
-
-/**
- * Route to retrieve requirements filtered by a specific condition.
- * @method GET
- * @path /requirements/search/condition
- * @description Fetches requirements matching the specified condition type.
- *
- * @param {string} condition - The condition type ('Crítica', 'Operativa', 'Recomendación', 'Pendiente').
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of requirements matching the condition.
- */
-router.get('/requirements/search/condition', UserExtractor, getRequirementsByCondition)
-
-/**
- * Route to retrieve requirements filtered by a specific evidence type.
- * @method GET
- * @path /requirements/search/evidence
- * @description Fetches requirements matching the specified evidence type.
- *
- * @param {string} evidence - The evidence type ('Trámite', 'Registro', 'Específico', 'Documento').
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of requirements matching the evidence type.
- */
-router.get('/requirements/search/evidence', UserExtractor, getRequirementsByEvidence)
-
-/**
- * Route to retrieve requirements filtered by a specific periodicity.
- * @method GET
- * @path /requirements/search/periodicity
- * @description Fetches requirements matching the specified periodicity.
- *
- * @param {string} periodicity - The periodicity ('Anual', '2 años', 'Por evento', 'Única vez').
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of requirements matching the periodicity.
- */
-router.get('/requirements/search/periodicity', UserExtractor, getRequirementsByPeriodicity)
-
-// Add this just after the periodicity search route:
-
-/**
- * Route to retrieve requirements filtered by a specific acceptance criteria.
- * @method GET
- * @path /requirements/search/acceptance-criteria
- * @description Fetches requirements matching the specified acceptance criteria text.
- *
- * @param {string} acceptanceCriteria - The acceptance criteria to filter by.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
- * @returns {Array<Object>} - A list of requirements matching the acceptance criteria.
- */
-router.get('/requirements/search/acceptance-criteria', UserExtractor, getRequirementsByAcceptanceCriteria)
+router.get('/requirement/:id', UserExtractor, RequirePermission('requirements:read'), getRequirementById)
 
 /**
  * Route to update an existing requirement by its ID.
@@ -241,10 +76,10 @@ router.get('/requirements/search/acceptance-criteria', UserExtractor, getRequire
  * @description Updates an existing requirement with the provided details.
  *
  * @param {string} id - The ID of the requirement to update.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
+ * @middlewares UserExtractor, RequirePermission('requirements:write') - Middleware to ensure that the user is authorized and extracted from the request., Audit
  * @returns {Object} - The updated requirement data.
  */
-router.patch('/requirement/:id', UserExtractor, updateRequirement)
+router.patch('/requirement/:id', UserExtractor, RequirePermission('requirements:write'), Audit('requirement', 'update', { idParam: 'id' }), updateRequirement)
 
 /**
  * Route to delete a requirement by its ID.
@@ -253,10 +88,10 @@ router.patch('/requirement/:id', UserExtractor, updateRequirement)
  * @description Deletes a requirement by its ID.
  *
  * @param {string} id - The ID of the requirement to delete.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
+ * @middlewares UserExtractor, RequirePermission('requirements:delete') - Middleware to ensure that the user is authorized and extracted from the request., Audit
  * @returns {void} - No content if successful.
  */
-router.delete('/requirement/:id', UserExtractor, deleteRequirement)
+router.delete('/requirement/:id', UserExtractor, RequirePermission('requirements:delete'), Audit('requirement', 'delete', { idParam: 'id' }), deleteRequirement)
 
 /**
  * Route to delete multiple requirements by their IDs.
@@ -265,9 +100,9 @@ router.delete('/requirement/:id', UserExtractor, deleteRequirement)
  * @description Deletes multiple requirements by their IDs.
  *
  * @param {number[]} requirementIds - An array of requirement IDs to delete.
- * @middlewares UserExtractor - Middleware to ensure that the user is authorized and extracted from the request.
+ * @middlewares UserExtractor, RequirePermission('requirements:delete') - Middleware to ensure that the user is authorized and extracted from the request., Audit
  * @returns {void} - No content if successful.
  */
-router.delete('/requirements/batch', UserExtractor, deleteRequirementBatch)
+router.delete('/requirements/batch', UserExtractor, RequirePermission('requirements:delete'), Audit('requirement', 'delete', { idsField: 'requirementIds' }), deleteRequirementBatch)
 
 export default router
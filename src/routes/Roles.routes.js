@@ -0,0 +1,82 @@
+/**
+ * Routes module for role and permission operations.
+ * Defines the API endpoints for managing roles and the permissions they grant.
+ */
+
+import { Router } from 'express'
+import {
+  createRole,
+  getRoleById,
+  updateRole,
+  deleteRole,
+  getPermissions,
+  getMyPermissions
+} from '../controllers/Roles.controller.js'
+import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
+
+/**
+ * RolesRouter
+ * @type {Router}
+ */
+const router = Router()
+
+/**
+ * Route to create a new role.
+ * @method POST
+ * @path /roles
+ * @description Creates a role with the given permissions.
+ * @middlewares UserExtractor, RequirePermission('roles:manage'), Audit
+ */
+router.post('/roles', UserExtractor, RequirePermission('roles:manage'), Audit('role', 'create', { responseKey: 'role' }), createRole)
+
+/**
+ * Route to retrieve a role by ID.
+ * @method GET
+ * @path /role/:id
+ * @description Retrieves a role together with the names of its permissions.
+ * @middlewares UserExtractor, RequirePermission('roles:manage')
+ * @param {number} id - The ID of the role.
+ */
+router.get('/role/:id', UserExtractor, RequirePermission('roles:manage'), getRoleById)
+
+/**
+ * Route to update a role.
+ * @method PATCH
+ * @path /role/:id
+ * @description Updates a role and replaces its permissions. The Admin role cannot be modified.
+ * @middlewares UserExtractor, RequirePermission('roles:manage'), Audit
+ * @param {number} id - The ID of the role.
+ */
+router.patch('/role/:id', UserExtractor, RequirePermission('roles:manage'), Audit('role', 'update', { idParam: 'id' }), updateRole)
+
+/**
+ * Route to delete a role.
+ * @method DELETE
+ * @path /role/:id
+ * @description Deletes a role that is not assigned to any user. The Admin role cannot be deleted.
+ * @middlewares UserExtractor, RequirePermission('roles:manage'), Audit
+ * @param {number} id - The ID of the role.
+ */
+router.delete('/role/:id', UserExtractor, RequirePermission('roles:manage'), Audit('role', 'delete', { idParam: 'id' }), deleteRole)
+
+/**
+ * Route to retrieve the permissions catalog.
+ * @method GET
+ * @path /permissions
+ * @description Retrieves every permission that can be granted to a role.
+ * @middlewares UserExtractor, RequirePermission('roles:manage')
+ */
+router.get('/permissions', UserExtractor, RequirePermission('roles:manage'), getPermissions)
+
+/**
+ * Route to retrieve the permissions of the authenticated user.
+ * @method GET
+ * @path /user/me/permissions
+ * @description Retrieves the names of the permissions granted by the user's role.
+ * @middleware UserExtractor
+ */
+router.get('/user/me/permissions', UserExtractor, getMyPermissions)
+
+export default router
@@ -0,0 +1,36 @@
+/**
+ * Routes module for the global search.
+ * Defines the API endpoint for searching across the legal corpus.
+ */
+
+import { Router } from 'express'
+import { search } from '../controllers/Search.controller.js'
+import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+
+/**
+ * SearchRouter
+ * @type {Router}
+ */
+const router = Router()
+
+/**
+ * Route to search legal bases, articles, requirements, legal verbs and requirement types.
+ * @method GET
+ * @path /search
+ * @description Returns ranked results with highlighted snippets and facets. Matching ignores accents and case,
+ * and only the types the user can read are searched.
+ * @middlewares UserExtractor, RequirePermission('legalBasis:read', 'articles:read', 'requirements:read', 'legalVerbs:read', 'requirementTypes:read')
+ * @query {string} q - The text to search.
+ * @query {string} [types] - Comma-separated types to search (legalBasis, article, requirement, legalVerb, requirementType).
+ * @query {number} [subjectId] - Only results of this subject.
+ * @query {string} [aspectIds] - Only results with any of these comma-separated aspect IDs.
+ * @query {string} [jurisdiction] - Only results whose legal basis has this jurisdiction.
+ * @query {string} [state] - Only results whose legal basis belongs to this state.
+ * @query {string} [classification] - Only results whose legal basis has this classification.
+ * @query {number} [page=1] - The page number.
+ * @query {number} [pageSize=20] - The number of results per page (max 100).
+ */
+router.get('/search', UserExtractor, RequirePermission('legalBasis:read', 'articles:read', 'requirements:read', 'legalVerbs:read', 'requirementTypes:read'), search)
+
+export default router
@@ -5,6 +5,8 @@
 
 import { Router } from 'express'
 import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
 import { sendLegalBasis, getSendLegalBasisJobStatus } from '../controllers/SendLegalBasis.controller.js'
 
 /**
@@ -18,9 +20,9 @@ const router = Router()
  * @method POST
  * @path /jobs/legalBasis/
  * @description Sends one or multiple legal basis to ACM Suite for registration.
- * @middlewares UserExtractor
+ * @middlewares UserExtractor, RequirePermission('acmSuite:send'), Audit
  */
-router.post('/jobs/legalBasis/', UserExtractor, sendLegalBasis)
+router.post('/jobs/legalBasis/', UserExtractor, RequirePermission('acmSuite:send'), Audit('legalBasis', 'send', { idsField: 'legalBasisIds' }), sendLegalBasis)
 
 /**
  * Route to get the status of a legal basis sending job.
@@ -28,8 +30,8 @@ router.post('/jobs/legalBasis/', UserExtractor, sendLegalBasis)
  * @path /jobs/legalBasis/:jobId
  * @description Retrieves the current status of a specific legal basis sending job by its ID.
  * @param {string} jobId - The ID of the job to be retrieved.
- * @middlewares UserExtractor
+ * @middlewares UserExtractor, RequirePermission('legalBasis:read')
  */
-router.get('/jobs/legalBasis/:jobId', UserExtractor, getSendLegalBasisJobStatus)
+router.get('/jobs/legalBasis/:jobId', UserExtractor, RequirePermission('legalBasis:read'), getSendLegalBasisJobStatus)
 
 export default router
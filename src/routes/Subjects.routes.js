@@ -8,12 +8,13 @@ import {
   createSubject,
   getSubjects,
   getSubjectById,
-  getSubjectsByName,
   updateSubject,
   deleteSubject,
   deleteSubjectsBatch
 } from '../controllers/Subject.controller.js'
 import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
 
 /**
  * SubjectRouter
@@ -26,54 +27,50 @@ const router = Router()
  * @method POST
  * @path /subjects
  * @description Creates a new subject in the system.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('subjects:write'), Audit
  */
-router.post('/subjects', UserExtractor, createSubject)
+router.post('/subjects', UserExtractor, RequirePermission('subjects:write'), Audit('subject', 'create', { responseKey: 'subject' }), createSubject)
 
 /**
- * Route to retrieve all subjects.
+ * Route to retrieve subjects.
  * @method GET
  * @path /subjects
- * @description Retrieves a list of all subjects.
- * @middleware UserExtractor
+ * @description Retrieves a page of subjects, optionally filtered by name.
+ * @middlewares UserExtractor, RequirePermission('subjects:read')
+ * @query {number} [page=1] - The page number.
+ * @query {number} [pageSize=20] - The number of subjects per page (max 100).
+ * @query {string} [cursor] - The nextCursor of the previous page, instead of page.
+ * @query {string} [sort=orderIndex] - Sort fields (id, name, abbreviation, orderIndex); prefix with '-' for descending.
+ * @query {string} [name] - A partial name of the subject.
  */
-router.get('/subjects', UserExtractor, getSubjects)
+router.get('/subjects', UserExtractor, RequirePermission('subjects:read'), getSubjects)
 
 /**
  * Route to retrieve a specific subject by ID.
  * @method GET
  * @path /subject/:id
  * @description Retrieves details of a specific subject by its ID.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('subjects:read')
  */
-router.get('/subject/:id', UserExtractor, getSubjectById)
-
-/**
- * Route to retrieve a specific subject by name.
- * @method GET
- * @path /subjects/name
- * @description Retrieves details of a specific subject by its name.
- * @middleware UserExtractor
- */
-router.get('/subjects/name', UserExtractor, getSubjectsByName)
+router.get('/subject/:id', UserExtractor, RequirePermission('subjects:read'), getSubjectById)
 
 /**
  * Route to update a subject by ID.
  * @method PATCH
  * @path /subject/:id
  * @description Updates a subject's information by its ID.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('subjects:write'), Audit
  */
-router.patch('/subject/:id', UserExtractor, updateSubject)
+router.patch('/subject/:id', UserExtractor, RequirePermission('subjects:write'), Audit('subject', 'update', { idParam: 'id' }), updateSubject)
 
 /**
  * Route to delete a subject by ID.
  * @method DELETE
  * @path /subject/:id
  * @description Deletes a subject by its ID.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('subjects:delete'), Audit
  */
-router.delete('/subject/:id', UserExtractor, deleteSubject)
+router.delete('/subject/:id', UserExtractor, RequirePermission('subjects:delete'), Audit('subject', 'delete', { idParam: 'id' }), deleteSubject)
 
 /**
  * Route to delete multiple subjects using an array of IDs.
@@ -81,8 +78,8 @@ router.delete('/subject/:id', UserExtractor, deleteSubject)
  * @path /subjects/batch
  * @body {Array<number>} subjectIds - Array of IDs of the subjects to delete.
  * @description Deletes multiple subjects from the system.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('subjects:delete'), Audit
  */
-router.delete('/subjects/batch', UserExtractor, deleteSubjectsBatch)
+router.delete('/subjects/batch', UserExtractor, RequirePermission('subjects:delete'), Audit('subject', 'delete', { idsField: 'subjectIds' }), deleteSubjectsBatch)
 
 export default router
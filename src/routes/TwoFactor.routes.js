@@ -0,0 +1,103 @@
+/**
+ * Routes module for two-factor authentication operations.
+ * Defines the API endpoints for the second login step and for managing TOTP enrollment.
+ */
+
+import { Router } from 'express'
+import {
+  completeTwoFactorLogin,
+  setupTwoFactorLogin,
+  enableTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/TwoFactor.controller.js'
+import UserExtractor from '../middlewares/user_extractor.js'
+
+/**
+ * TwoFactorRouter
+ * @type {Router}
+ */
+const router = Router()
+
+/**
+ * Route to complete a login with a TOTP or recovery code.
+ * @method POST
+ * @path /user/login/2fa
+ * @body {string} twoFactorToken - The token returned by /user/login.
+ * @body {string} code - A TOTP code or an unused recovery code.
+ * @description Verifies the second factor and opens a session. Each token accepts a limited
+ * number of codes and cannot be used again after the login succeeds.
+ */
+router.post('/user/login/2fa', completeTwoFactorLogin)
+
+/**
+ * Route to start the mandatory enrollment during login.
+ * @method POST
+ * @path /user/login/2fa/setup
+ * @body {string} twoFactorToken - The token returned by /user/login.
+ * @description Generates the TOTP secret of a user that must enroll before logging in.
+ */
+router.post('/user/login/2fa/setup', setupTwoFactorLogin)
+
+/**
+ * Route to complete the mandatory enrollment during login.
+ * @method POST
+ * @path /user/login/2fa/enable
+ * @body {string} twoFactorToken - The token returned by /user/login.
+ * @body {string} code - A TOTP code generated with the new secret.
+ * @description Enables two-factor authentication, returns the recovery codes and opens a session.
+ */
+router.post('/user/login/2fa/enable', enableTwoFactorLogin)
+
+/**
+ * Route to retrieve the two-factor status of the authenticated user.
+ * @method GET
+ * @path /user/2fa/status
+ * @description Returns whether two-factor authentication is enabled or required, and the unused recovery codes left.
+ * @middlewares UserExtractor
+ */
+router.get('/user/2fa/status', UserExtractor, getTwoFactorStatus)
+
+/**
+ * Route to start the enrollment of the authenticated user.
+ * @method POST
+ * @path /user/2fa/setup
+ * @description Generates a new TOTP secret pending verification.
+ * @middlewares UserExtractor
+ */
+router.post('/user/2fa/setup', UserExtractor, setupTwoFactor)
+
+/**
+ * Route to complete the enrollment of the authenticated user.
+ * @method POST
+ * @path /user/2fa/enable
+ * @body {string} code - A TOTP code generated with the new secret.
+ * @description Enables two-factor authentication and returns the recovery codes.
+ * @middlewares UserExtractor
+ */
+router.post('/user/2fa/enable', UserExtractor, enableTwoFactor)
+
+/**
+ * Route to disable two-factor authentication for the authenticated user.
+ * @method POST
+ * @path /user/2fa/disable
+ * @body {string} code - A TOTP code or an unused recovery code.
+ * @description Disables two-factor authentication. Not allowed for roles that require it.
+ * @middlewares UserExtractor
+ */
+router.post('/user/2fa/disable', UserExtractor, disableTwoFactor)
+
+/**
+ * Route to replace the recovery codes of the authenticated user.
+ * @method POST
+ * @path /user/2fa/recovery-codes
+ * @body {string} code - A TOTP code.
+ * @description Invalidates the previous recovery codes and returns new ones.
+ * @middlewares UserExtractor
+ */
+router.post('/user/2fa/recovery-codes', UserExtractor, regenerateRecoveryCodes)
+
+export default router
@@ -11,17 +11,21 @@ import {
   getAllUsers,
   getAllRoles,
   getUserById,
-  getUsersByNameOrGmail,
-  getUsersByRole,
   updateUser,
   updateUserPicture,
   deleteUser,
   deleteUsersBatch,
   verifyToken,
   resetPassword,
-  verifyCode
+  verifyCode,
+  confirmPasswordReset,
+  refreshToken,
+  logoutUser,
+  revokeUserSessions
 } from '../controllers/User.controller.js'
 import UserExtractor from '../middlewares/user_extractor.js'
+import RequirePermission from '../middlewares/require_permission.js'
+import Audit from '../middlewares/audit.js'
 import { upload } from '../middlewares/multer.js'
 
 /**
@@ -46,92 +50,105 @@ router.post('/user/login', loginUser)
  */
 router.post('/user/login/auth/microsoft', loginUserMicrosoftAuth)
 
+/**
+ * Route to refresh the access token of a session.
+ * @method POST
+ * @path /user/token/refresh
+ * @body {string} refreshToken - The refresh token issued at login or on the previous refresh.
+ * @description Issues a new access token and rotates the refresh token.
+ */
+router.post('/user/token/refresh', refreshToken)
+
+/**
+ * Route to log out the current session.
+ * @method POST
+ * @path /user/logout
+ * @description Revokes the session of the access token used in the request.
+ * @middlewares UserExtractor
+ */
+router.post('/user/logout', UserExtractor, logoutUser)
+
+/**
+ * Route to revoke every session of a user.
+ * @method POST
+ * @path /user/:id/sessions/revoke
+ * @description Revokes all the sessions of a user. Allowed for the user themselves or users with 'users:write'.
+ * @middlewares UserExtractor, Audit
+ */
+router.post('/user/:id/sessions/revoke', UserExtractor, Audit('user', 'revokeSessions', { idParam: 'id' }), revokeUserSessions)
+
 /**
  * Route to register a new user.
  * @method POST
  * @path /user/register
  * @description Registers a new user in the system.
- * @middlewares upload.single('profilePicture'), UserExtractor
+ * @middlewares upload.single('profilePicture'), UserExtractor, RequirePermission('users:write'), Audit
  */
-router.post('/user/register', upload.single('profilePicture'), UserExtractor, registerUser)
+router.post('/user/register', upload.single('profilePicture'), UserExtractor, RequirePermission('users:write'), Audit('user', 'create', { responseKey: 'user' }), registerUser)
 
 /**
  * Route to get all users.
  * @method GET
  * @path /users/
- * @description Retrieves a list of all users.
- * @middleware UserExtractor
+ * @description Retrieves a paginated list of users. Filters can be combined.
+ * @middlewares UserExtractor, RequirePermission('users:read')
+ * @query {number} [page=1] - The page number.
+ * @query {number} [pageSize=20] - The number of users per page (max 100).
+ * @query {string} [cursor] - The nextCursor of the previous page, instead of page.
+ * @query {string} [sort=-id] - Sort fields (id, name, gmail); prefix with '-' for descending.
+ * @query {string} [search] - A partial name or gmail of the user.
+ * @query {number} [roleId] - The role ID of the user.
  */
-router.get('/users/', UserExtractor, getAllUsers)
+router.get('/users/', UserExtractor, RequirePermission('users:read'), getAllUsers)
 
 /**
  * Route to get all roles.
  * @method GET
  * @path /roles/
  * @description Retrieves a list of all user roles.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('users:read')
  */
-router.get('/roles/', UserExtractor, getAllRoles)
+router.get('/roles/', UserExtractor, RequirePermission('users:read'), getAllRoles)
 
 /**
  * Route to get a specific user by ID.
  * @method GET
  * @path /user/:id
- * @description Retrieves details of a specific user by their ID.
+ * @description Retrieves details of a specific user by their ID. Users without 'users:read' can only retrieve themselves.
  * @middleware UserExtractor
  * @param {number} id - The ID of the user to retrieve.
  */
 router.get('/user/:id', UserExtractor, getUserById)
 
-/**
- * Route to get users by role ID.
- * @method GET
- * @path /users/role/:roleId
- * @description Retrieves a list of users filtered by role ID.
- * @middleware UserExtractor
- * @param {number} roleId - The ID of the role to filter users by.
- */
-router.get('/users/role/:roleId', UserExtractor, getUsersByRole)
-
-/**
- * Route to get users by name or gmail.
- * @method GET
- * @path /users/search
- * @description Retrieves a list of users filtered by name or gmail.
- * @middleware UserExtractor
- * @query {string} [nameOrEmail] - The name or email of the user to search for.
- */
-router.get('/users/search/filter', UserExtractor, getUsersByNameOrGmail)
-
 /**
  * Route to update a specific user by ID.
  * @method PATCH
  * @path /user/:id
  * @description Updates user information for a specific user.
- * @middlewares upload.single('profilePicture'), UserExtractor
+ * @middlewares upload.single('profilePicture'), UserExtractor, RequirePermission('users:write'), Audit
  * @param {number} id - The ID of the user to update.
  */
-router.patch('/user/:id', upload.single('profilePicture'), UserExtractor, updateUser)
+router.patch('/user/:id', upload.single('profilePicture'), UserExtractor, RequirePermission('users:write'), Audit('user', 'update', { idParam: 'id' }), updateUser)
 
 /**
  * Route to update a user's profile picture.
  * @method PATCH
  * @path /user/picture/:id
- * @description Updates the profile picture of a specific user.
- * @middlewares upload.single('profilePicture'), UserExtractor
+ * @description Updates the profile picture of a specific user. Users without 'users:write' can only update themselves.
+ * @middlewares upload.single('profilePicture'), UserExtractor, Audit
  * @param {number} id - The ID of the user to update.
  */
-router.patch('/user/picture/:id', upload.single('profilePicture'), UserExtractor, updateUserPicture)
+router.patch('/user/picture/:id', upload.single('profilePicture'), UserExtractor, Audit('user', 'updatePicture', { idParam: 'id' }), updateUserPicture)
 
 /**
  * Route to delete a specific user by ID.
  * @method DELETE
  * @path /user/:id
  * @description Deletes a user from the system.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('users:delete'), Audit
  * @param {number} id - The ID of the user to delete.
  */
-router.delete('/user/:id', UserExtractor, deleteUser)
+router.delete('/user/:id', UserExtractor, RequirePermission('users:delete'), Audit('user', 'delete', { idParam: 'id' }), deleteUser)
 
 /**
  * Route to delete multiple users using an array of IDs.
@@ -139,9 +156,9 @@ router.delete('/user/:id', UserExtractor, deleteUser)
  * @path /users/batch
  * @body {Array<number>} userIds - Array of IDs of the users to delete.
  * @description Deletes multiple users from the system.
- * @middleware UserExtractor
+ * @middlewares UserExtractor, RequirePermission('users:delete'), Audit
  */
-router.delete('/users/batch', UserExtractor, deleteUsersBatch)
+router.delete('/users/batch', UserExtractor, RequirePermission('users:delete'), Audit('user', 'delete', { idsField: 'userIds' }), deleteUsersBatch)
 
 /**
  * Route to verify the JWT token.
@@ -164,8 +181,18 @@ router.post('/user/reset-password', resetPassword)
  * Route for password recovery verification.
  * @method POST
  * @path /user/verify-code
- * @description Verifies the password reset code provided by the user.
+ * @description Verifies the password reset code provided by the user and returns a single-use reset token.
  */
 router.post('/user/verify-code', verifyCode)
 
+/**
+ * Route to set a new password.
+ * @method POST
+ * @path /user/reset-password/confirm
+ * @body {string} resetToken - The reset token returned by the code verification.
+ * @body {string} password - The new password.
+ * @description Sets the user's new password and closes their open sessions.
+ */
+router.post('/user/reset-password/confirm', confirmPasswordReset)
+
 export default router
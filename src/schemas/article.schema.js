@@ -1,4 +1,13 @@
 import { z } from 'zod'
+import {
+  createListQuerySchema,
+  textFilterSchema,
+  idListSchema,
+  pageSchema,
+  pageSizeSchema,
+  DEFAULT_PAGE_SIZE
+} from './listQuery.schema.js'
+import Article from '../models/Article.model.js'
 
 /**
  * Zod validation schema for a single article.
@@ -29,15 +38,58 @@ const singleArticleSchema = z.object({
   order: z.coerce
     .number({ invalid_type_error: 'The order must be a number' })
     .int('The order must be an integer')
-    .positive('The order must be greater than 0')
+    .positive('The order must be greater than 0'),
+
+  /**
+   * The page of the document where the article starts.
+   * Optional; set by article extraction.
+   */
+  sourcePage: z.coerce
+    .number({ invalid_type_error: 'The source page must be a number' })
+    .int('The source page must be an integer')
+    .positive('The source page must be greater than 0')
+    .nullable()
+    .optional(),
+
+  /**
+   * The kind of row in the outline of the legal basis.
+   * Optional; titles, chapters, sections and preambles are skipped by requirement identification.
+   */
+  sectionKind: z
+    .enum(Article.SECTION_KINDS, {
+      message: `The section kind must be one of the following: ${Article.SECTION_KINDS.join(', ')}`
+    })
+    .nullable()
+    .optional(),
+
+  /**
+   * The ID of the title, chapter or section containing the article.
+   * Optional; must belong to the same legal basis.
+   */
+  parentId: z.coerce
+    .number({ invalid_type_error: 'The parent ID must be a number' })
+    .int('The parent ID must be an integer')
+    .positive('The parent ID must be greater than 0')
+    .nullable()
+    .optional()
 })
 
 /**
  * Zod validation schema for an array of articles.
  * Ensures that the array contains at least one article and that each article follows the singleArticleSchema.
+ * Articles of the same batch are nested by `parentIndex`, the position of their parent in the array.
  */
 const articlesSchema = z
-  .array(singleArticleSchema)
+  .array(
+    singleArticleSchema.omit({ parentId: true }).extend({
+      parentIndex: z
+        .number({ invalid_type_error: 'The parent index must be a number' })
+        .int('The parent index must be an integer')
+        .nonnegative('The parent index cannot be negative')
+        .nullable()
+        .optional()
+    })
+  )
   .nonempty('At least one article is required')
 
 /**
@@ -83,9 +135,54 @@ const sectionsResponseSchema = z.object({
   isValid: z.boolean()
 })
 
+/**
+ * Zod validation schema for the articles of a legal basis list query.
+ * Supports pagination, sorting and filtering by name and description.
+ */
+const articleListQuerySchema = createListQuerySchema({
+  sortFields: ['id', 'name', 'order'],
+  defaultSort: 'order',
+  filters: z.object({
+    name: textFilterSchema,
+    description: textFilterSchema
+  })
+})
+
+/**
+ * Zod validation schema for the article semantic search query.
+ * Outputs the query text, the subject and aspect filters and the page.
+ */
+const articleSemanticSearchQuerySchema = z
+  .object({
+    q: z
+      .string({
+        required_error: 'The search query is required',
+        invalid_type_error: 'The search query must be a string'
+      })
+      .trim()
+      .min(1, 'The search query cannot be empty')
+      .max(1000, 'The search query cannot exceed 1000 characters'),
+    subjectId: z.coerce
+      .number({ invalid_type_error: 'The subject ID must be a number' })
+      .int('The subject ID must be an integer')
+      .positive('The subject ID must be greater than 0')
+      .optional(),
+    aspectIds: idListSchema.optional(),
+    page: pageSchema,
+    pageSize: pageSizeSchema
+  })
+  .transform(({ q, page, pageSize, ...filters }) => ({
+    q,
+    filters,
+    page: page ?? 1,
+    pageSize: pageSize ?? DEFAULT_PAGE_SIZE
+  }))
+
 export {
   singleArticleSchema,
   articlesSchema,
   singleArticleModelSchema,
-  sectionsResponseSchema
+  sectionsResponseSchema,
+  articleListQuerySchema,
+  articleSemanticSearchQuerySchema
 }
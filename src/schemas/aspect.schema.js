@@ -1,4 +1,5 @@
 import { z } from 'zod'
+import { createListQuerySchema, textFilterSchema } from './listQuery.schema.js'
 
 /**
  * Zod validation schema for Aspect creation.
@@ -34,3 +35,15 @@ const aspectSchema = z.object({
 })
 
 export default aspectSchema
+
+/**
+ * Zod validation schema for the aspects list query of a subject.
+ * Supports pagination, sorting and filtering by a partial name.
+ */
+export const aspectListQuerySchema = createListQuerySchema({
+  sortFields: ['id', 'name', 'abbreviation', 'orderIndex'],
+  defaultSort: 'orderIndex',
+  filters: z.object({
+    name: textFilterSchema
+  })
+})
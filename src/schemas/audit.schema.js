@@ -0,0 +1,37 @@
+import { z } from 'zod'
+import {
+  createListQuerySchema,
+  dateFilterSchema,
+  textFilterSchema
+} from './listQuery.schema.js'
+
+/**
+ * Zod validation schema for the audit log list query.
+ * Supports pagination, sorting and filtering by user, entity, action and date range.
+ */
+export const auditLogListQuerySchema = createListQuerySchema({
+  sortFields: ['id', 'createdAt'],
+  defaultSort: '-createdAt',
+  filters: z
+    .object({
+      userId: z.coerce
+        .number({ invalid_type_error: 'userId must be a positive integer' })
+        .int('userId must be a positive integer')
+        .positive('userId must be a positive integer')
+        .optional(),
+      entityType: textFilterSchema,
+      entityId: textFilterSchema,
+      action: textFilterSchema,
+      from: dateFilterSchema,
+      to: dateFilterSchema
+    })
+    .superRefine((filters, ctx) => {
+      if (filters.from && filters.to && filters.from > filters.to) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['to'],
+          message: 'to must be on or after from'
+        })
+      }
+    })
+})
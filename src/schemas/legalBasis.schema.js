@@ -1,5 +1,16 @@
 import { z } from 'zod'
 import { isValid, parse, parseISO, format } from 'date-fns'
+import {
+  createListQuerySchema,
+  dateFilterSchema,
+  idListSchema,
+  textFilterSchema,
+  textListSchema
+} from './listQuery.schema.js'
+import {
+  DOCUMENT_MIME_TYPES,
+  detectMimeType
+} from '../utils/documentMimeType.js'
 
 /**
  * Zod validation schema for a legal basis record.
@@ -146,20 +157,17 @@ const legalBasisSchema = z
 
     /**
      * Document associated with the legal basis.
-     * Optional; must have a valid mimetype (pdf, png, jpeg).
+     * Optional; its type, detected from the mimetype or else the file name,
+     * must be pdf, png, jpeg, docx, html or txt.
      */
     document: z
       .object({
-        mimetype: z
-          .string()
-          .refine(
-            (mime) =>
-              ['application/pdf', 'image/png', 'image/jpeg'].includes(mime),
-            {
-              message:
-                'Invalid document type. Allowed types are: pdf, png, jpeg'
-            }
-          )
+        mimetype: z.string().optional(),
+        originalname: z.string().optional()
+      })
+      .refine((file) => DOCUMENT_MIME_TYPES.includes(detectMimeType(file)), {
+        message:
+          'Invalid document type. Allowed types are: pdf, png, jpeg, docx, html, txt'
       })
       .optional(),
 
@@ -249,3 +257,49 @@ const legalBasisSchema = z
   })
 
 export default legalBasisSchema
+
+/**
+ * Zod validation schema for the legal basis list query.
+ * Supports pagination, sorting and any combination of filters.
+ */
+export const legalBasisListQuerySchema = createListQuerySchema({
+  sortFields: ['id', 'name', 'abbreviation', 'lastReform'],
+  defaultSort: '-id',
+  filters: z
+    .object({
+      name: textFilterSchema,
+      abbreviation: textFilterSchema,
+      classification: textFilterSchema,
+      jurisdiction: textFilterSchema,
+      state: textFilterSchema,
+      municipalities: textListSchema.optional(),
+      subjectId: z.coerce
+        .number({ invalid_type_error: 'The subject ID must be a number' })
+        .int('The subject ID must be an integer')
+        .positive('The subject ID must be greater than 0')
+        .optional(),
+      aspectIds: idListSchema.optional(),
+      lastReformFrom: dateFilterSchema,
+      lastReformTo: dateFilterSchema
+    })
+    .superRefine((filters, ctx) => {
+      if (filters.municipalities?.length > 0 && !filters.state) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['state'],
+          message: 'State is required if municipalities are provided'
+        })
+      }
+      if (
+        filters.lastReformFrom &&
+        filters.lastReformTo &&
+        filters.lastReformFrom > filters.lastReformTo
+      ) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['lastReformTo'],
+          message: 'lastReformTo must be on or after lastReformFrom'
+        })
+      }
+    })
+})
@@ -0,0 +1,74 @@
+import { z } from 'zod'
+import LegalBasisAmendment from '../models/LegalBasisAmendment.model.js'
+
+/**
+ * Review states an analyst can set; amendments become 'applied' only by applying them.
+ */
+const REVIEW_STATUSES = LegalBasisAmendment.STATUSES.filter(
+  (status) => status !== 'applied'
+)
+
+/**
+ * Zod validation schema for the review of a decree amendment.
+ * Analysts may correct what was extracted before approving or rejecting it.
+ */
+export const amendmentReviewSchema = z
+  .object({
+    /**
+     * The review state of the amendment.
+     */
+    status: z
+      .enum(REVIEW_STATUSES, {
+        message: `The status must be one of the following: ${REVIEW_STATUSES.join(', ')}`
+      })
+      .optional(),
+
+    /**
+     * The ID of the amended legal basis.
+     */
+    targetId: z.coerce
+      .number({ invalid_type_error: 'The target ID must be a number' })
+      .int('The target ID must be an integer')
+      .positive('The target ID must be greater than 0')
+      .optional(),
+
+    /**
+     * What the decree does to the article.
+     */
+    action: z
+      .enum(LegalBasisAmendment.ACTIONS, {
+        message: `The action must be one of the following: ${LegalBasisAmendment.ACTIONS.join(', ')}`
+      })
+      .optional(),
+
+    /**
+     * The name of the amended article.
+     */
+    articleName: z
+      .string()
+      .min(1, 'The article name cannot be empty')
+      .max(255, 'The article name cannot exceed 255 characters')
+      .optional(),
+
+    /**
+     * The new text of the article, in HTML.
+     */
+    content: z.string().nullable().optional()
+  })
+  .refine((review) => Object.values(review).some((value) => value !== undefined), {
+    message: 'At least one field must be provided'
+  })
+
+/**
+ * Zod validation schema for the amendments extracted from a decree by the model.
+ */
+export const amendmentsResponseSchema = z.object({
+  amendments: z.array(
+    z.object({
+      targetName: z.string(),
+      action: z.enum(LegalBasisAmendment.ACTIONS),
+      articleName: z.string(),
+      content: z.string()
+    })
+  )
+})
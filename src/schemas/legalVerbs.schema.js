@@ -1,4 +1,5 @@
 import { z } from 'zod'
+import { createListQuerySchema, textFilterSchema } from './listQuery.schema.js'
 
 /**
  * Zod validation schema for LegalVerb.
@@ -19,3 +20,17 @@ const legalVerbsSchema = z.object({
 })
 
 export default legalVerbsSchema
+
+/**
+ * Zod validation schema for the legal verbs list query.
+ * Supports pagination, sorting and filtering by name, description and translation.
+ */
+export const legalVerbListQuerySchema = createListQuerySchema({
+  sortFields: ['id', 'name'],
+  defaultSort: '-id',
+  filters: z.object({
+    name: textFilterSchema,
+    description: textFilterSchema,
+    translation: textFilterSchema
+  })
+})
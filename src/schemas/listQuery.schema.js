@@ -0,0 +1,180 @@
+import { z } from 'zod'
+import { decodeCursor, normalizeSort } from '../utils/pagination.js'
+import parseDate from '../utils/parseDate.js'
+
+/**
+ * Page size used when the request does not specify one.
+ */
+export const DEFAULT_PAGE_SIZE = 20
+
+/**
+ * Largest page size a request can ask for.
+ */
+export const MAX_PAGE_SIZE = 100
+
+/**
+ * Schema of the optional 1-based page number.
+ */
+export const pageSchema = z.coerce
+  .number({ invalid_type_error: 'The page must be a number' })
+  .int('The page must be an integer')
+  .positive('The page must be greater than 0')
+  .optional()
+
+/**
+ * Schema of the optional page size.
+ */
+export const pageSizeSchema = z.coerce
+  .number({ invalid_type_error: 'The page size must be a number' })
+  .int('The page size must be an integer')
+  .min(1, 'The page size must be greater than 0')
+  .max(MAX_PAGE_SIZE, `The page size cannot exceed ${MAX_PAGE_SIZE}`)
+  .optional()
+
+/**
+ * Creates the Zod schema of a list endpoint query.
+ * Parses `page`/`pageSize` or `cursor` pagination, a `sort` such as `-lastReform,name`
+ * (a leading `-` sorts descending) and the endpoint filters, and outputs
+ * `{ filters, listOptions }` ready for the repository.
+ * @param {Object} config - The list endpoint configuration.
+ * @param {string[]} config.sortFields - The fields the list can be sorted by.
+ * @param {string} config.defaultSort - The sort used when the request does not specify one.
+ * @param {z.ZodObject} [config.filters] - The schema of the endpoint filters.
+ * @returns {z.ZodEffects} - The list query schema.
+ */
+export const createListQuerySchema = ({
+  sortFields,
+  defaultSort,
+  filters = z.object({})
+}) =>
+  z
+    .object({
+      page: pageSchema,
+      pageSize: pageSizeSchema,
+      cursor: z.string().min(1, 'The cursor cannot be empty').optional(),
+      sort: z
+        .string()
+        .optional()
+        .transform((value, ctx) => {
+          const sort = (value || defaultSort)
+            .split(',')
+            .map((term) => term.trim())
+            .filter(Boolean)
+            .map((term) => ({
+              field: term.replace(/^-/, ''),
+              direction: term.startsWith('-') ? 'desc' : 'asc'
+            }))
+          const invalidFields = sort
+            .map(({ field }) => field)
+            .filter((field) => !sortFields.includes(field))
+          if (invalidFields.length > 0) {
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              message: `Invalid sort field(s): ${invalidFields.join(', ')}. Allowed: ${sortFields.join(', ')}`
+            })
+            return z.NEVER
+          }
+          if (new Set(sort.map(({ field }) => field)).size !== sort.length) {
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              message: 'Each sort field can only be used once'
+            })
+            return z.NEVER
+          }
+          return sort
+        })
+    })
+    .and(filters)
+    .superRefine(({ page, cursor, sort }, ctx) => {
+      if (page !== undefined && cursor !== undefined) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['cursor'],
+          message: 'Use either page or cursor, not both'
+        })
+        return
+      }
+      if (cursor === undefined || !Array.isArray(sort)) return
+      const decodedCursor = decodeCursor(cursor)
+      const sortKeys = sort.length + (sort.some(({ field }) => field === 'id') ? 0 : 1)
+      if (
+        !decodedCursor ||
+        decodedCursor.sort !== normalizeSort(sort) ||
+        decodedCursor.values.length !== sortKeys
+      ) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['cursor'],
+          message: 'The cursor is invalid or does not match the requested sort'
+        })
+      }
+    })
+    .transform(({ page, pageSize, cursor, sort, ...parsedFilters }) => ({
+      filters: parsedFilters,
+      listOptions: {
+        page: cursor ? null : page ?? 1,
+        pageSize: pageSize ?? DEFAULT_PAGE_SIZE,
+        cursor: cursor ? decodeCursor(cursor) : null,
+        sort
+      }
+    }))
+
+/**
+ * Schema of a comma-separated list of IDs, such as `aspectIds=1,2,3`.
+ * Also accepts repeated query parameters.
+ */
+export const idListSchema = z
+  .union([z.string(), z.array(z.string())])
+  .transform((value, ctx) => {
+    const ids = (Array.isArray(value) ? value : value.split(','))
+      .map((id) => id.trim())
+      .filter(Boolean)
+      .map(Number)
+    if (ids.some((id) => !Number.isInteger(id) || id <= 0)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Each ID must be a positive integer'
+      })
+      return z.NEVER
+    }
+    return ids
+  })
+
+/**
+ * Schema of an optional text filter. Blank values are ignored.
+ */
+export const textFilterSchema = z
+  .string()
+  .trim()
+  .optional()
+  .transform((value) => value || undefined)
+
+/**
+ * Schema of a comma-separated list of values, such as `municipalities=León,Celaya`.
+ * Also accepts repeated query parameters. Blank values are ignored.
+ */
+export const textListSchema = z
+  .union([z.string(), z.array(z.string())])
+  .transform((value) =>
+    (Array.isArray(value) ? value : value.split(','))
+      .map((item) => item.trim())
+      .filter(Boolean)
+  )
+
+/**
+ * Schema of an optional date filter in 'YYYY-MM-DD' or 'DD-MM-YYYY' format.
+ * Outputs the date as 'YYYY-MM-DD'.
+ */
+export const dateFilterSchema = z
+  .string()
+  .trim()
+  .optional()
+  .transform((value, ctx) => {
+    if (!value) return undefined
+    const { date, error } = parseDate(value, 'date')
+    if (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message })
+      return z.NEVER
+    }
+    return date
+  })
@@ -1,4 +1,11 @@
 import { z } from 'zod'
+import {
+  createListQuerySchema,
+  dateFilterSchema,
+  idListSchema,
+  textFilterSchema,
+  textListSchema
+} from './listQuery.schema.js'
 
 /**
  * Zod validation schema for creating a ReqIdentification record.
@@ -99,3 +106,218 @@ export const reqIdentificationUpdateSchema = z.object({
     .optional()
     .transform((val) => val ?? null)
 })
+
+/**
+ * Zod validation schema for re-running the outdated pairs of a ReqIdentification record.
+ */
+export const reqIdentificationRerunSchema = z.object({
+  /**
+   * Intelligence level.
+   * Allowed values: 'High' or 'Low'.
+   */
+  intelligenceLevel: z.enum(['High', 'Low'], {
+    required_error: 'The intelligenceLevel field is required',
+    message: 'The intelligenceLevel field must be either "High" or "Low"'
+  })
+})
+
+/**
+ * Zod validation schema for comparing two ReqIdentification records.
+ */
+export const reqIdentificationCompareSchema = z.object({
+  /**
+   * ID of the baseline requirement identification.
+   */
+  left: z.coerce
+    .number({
+      invalid_type_error: 'The left requirement identification ID must be a number'
+    })
+    .int('The left requirement identification ID must be an integer')
+    .positive('The left requirement identification ID must be a positive integer'),
+
+  /**
+   * ID of the requirement identification compared against the baseline.
+   */
+  right: z.coerce
+    .number({
+      invalid_type_error: 'The right requirement identification ID must be a number'
+    })
+    .int('The right requirement identification ID must be an integer')
+    .positive('The right requirement identification ID must be a positive integer')
+})
+
+/**
+ * Zod validation schema for manually adding a requirement to a ReqIdentification record.
+ */
+export const reqIdentificationRequirementSchema = z.object({
+  /**
+   * ID of the requirement to add.
+   */
+  requirementId: z.coerce
+    .number({
+      invalid_type_error: 'The requirement ID must be a number'
+    })
+    .int('The requirement ID must be an integer')
+    .positive('The requirement ID must be a positive integer'),
+
+  /**
+   * Optional name of the requirement within the identification.
+   * Defaults to the catalog name of the requirement.
+   */
+  requirementName: z
+    .string()
+    .min(1, { message: 'The requirement name cannot be empty' })
+    .max(255, { message: 'The requirement name cannot exceed 255 characters' })
+    .optional()
+})
+
+/**
+ * Zod validation schema for manually citing an article in a requirement of a ReqIdentification record.
+ */
+export const reqIdentificationArticleSchema = z.object({
+  /**
+   * ID of the legal basis the article belongs to.
+   */
+  legalBasisId: z.coerce
+    .number({
+      invalid_type_error: 'The legal basis ID must be a number'
+    })
+    .int('The legal basis ID must be an integer')
+    .positive('The legal basis ID must be a positive integer'),
+
+  /**
+   * ID of the article to cite.
+   */
+  articleId: z.coerce
+    .number({
+      invalid_type_error: 'The article ID must be a number'
+    })
+    .int('The article ID must be an integer')
+    .positive('The article ID must be a positive integer'),
+
+  /**
+   * Classification of the article for the requirement.
+   * Allowed values: 'Obligatorio', 'Complementario' or 'General'.
+   */
+  articleType: z.enum(['Obligatorio', 'Complementario', 'General'], {
+    required_error: 'The articleType field is required',
+    message:
+      'The articleType field must be "Obligatorio", "Complementario" or "General"'
+  })
+})
+
+/**
+ * Zod validation schema for changing the classification of a cited article.
+ */
+export const reqIdentificationArticleTypeSchema = reqIdentificationArticleSchema.pick({
+  articleType: true
+})
+
+/**
+ * Zod validation schema for editing the translation of a legal verb of a requirement.
+ */
+export const reqIdentificationLegalVerbSchema = z.object({
+  /**
+   * Translation of the legal verb in the context of the requirement.
+   */
+  translation: z
+    .string({
+      required_error: 'The translation is required'
+    })
+    .trim()
+    .min(1, { message: 'The translation cannot be empty' })
+})
+
+/**
+ * Zod schema for the AI response when matching an article to a requirement.
+ * This schema is designed for OpenAI models compatibility.
+ */
+export const reqIdentifierResponseSchema = z.object({
+  /**
+   * Whether the article applies to the requirement.
+   */
+  isRelevant: z.boolean(),
+
+  /**
+   * Classification of the article with respect to the requirement.
+   */
+  articleType: z.enum(['Obligatorio', 'Complementario', 'General']),
+
+  /**
+   * IDs of the párrafos, fracciones and incisos of the article that hold the requirement.
+   * Empty when the article applies as a whole or has no sub-units.
+   */
+  subunitIds: z.array(z.number())
+})
+
+/**
+ * Zod schema for the AI response when identifying the legal verbs of a requirement.
+ * This schema is designed for OpenAI models compatibility.
+ */
+export const legalVerbsIdentifierResponseSchema = z.object({
+  /**
+   * Legal verbs from the catalog that apply to the requirement, with their contextual translation.
+   */
+  legalVerbs: z.array(
+    z.object({
+      legalVerbId: z.number(),
+      translation: z.string()
+    })
+  )
+})
+
+/**
+ * Zod validation schema for the requirement identifications list query.
+ * Supports pagination, sorting and any combination of filters.
+ */
+export const reqIdentificationListQuerySchema = createListQuerySchema({
+  sortFields: ['id', 'name', 'createdAt'],
+  defaultSort: '-createdAt',
+  filters: z
+    .object({
+      name: textFilterSchema,
+      description: textFilterSchema,
+      userId: z.coerce
+        .number({ invalid_type_error: 'The user ID must be a number' })
+        .int('The user ID must be an integer')
+        .positive('The user ID must be greater than 0')
+        .optional(),
+      status: z
+        .enum(['Activo', 'Fallido', 'Completado'], {
+          message:
+            'The status must be one of the following: Activo, Fallido, Completado'
+        })
+        .optional(),
+      createdFrom: dateFilterSchema,
+      createdTo: dateFilterSchema,
+      jurisdiction: textFilterSchema,
+      state: textFilterSchema,
+      municipalities: textListSchema.optional(),
+      subjectId: z.coerce
+        .number({ invalid_type_error: 'The subject ID must be a number' })
+        .int('The subject ID must be an integer')
+        .positive('The subject ID must be greater than 0')
+        .optional(),
+      aspectIds: idListSchema.optional()
+    })
+    .superRefine((filters, ctx) => {
+      if (filters.municipalities?.length > 0 && !filters.state) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['state'],
+          message: 'State is required if municipalities are provided'
+        })
+      }
+      if (
+        filters.createdFrom &&
+        filters.createdTo &&
+        filters.createdFrom > filters.createdTo
+      ) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['createdTo'],
+          message: 'createdTo must be on or after createdFrom'
+        })
+      }
+    })
+})
@@ -1,4 +1,9 @@
 import { z } from 'zod'
+import {
+  createListQuerySchema,
+  idListSchema,
+  textFilterSchema
+} from './listQuery.schema.js'
 
 /**
  * Zod validation schema for a requirement record.
@@ -177,3 +182,36 @@ const requirementSchema = z
   })
 
 export default requirementSchema
+
+/**
+ * Zod validation schema for the requirements list query.
+ * Supports pagination, sorting and any combination of filters.
+ */
+export const requirementListQuerySchema = createListQuerySchema({
+  sortFields: ['id', 'number', 'name'],
+  defaultSort: 'number',
+  filters: z.object({
+    number: z.coerce
+      .number({ invalid_type_error: 'The requirement number must be a number' })
+      .int('The requirement number must be an integer')
+      .positive('The requirement number must be greater than 0')
+      .optional(),
+    name: textFilterSchema,
+    subjectId: z.coerce
+      .number({ invalid_type_error: 'The subject ID must be a number' })
+      .int('The subject ID must be an integer')
+      .positive('The subject ID must be greater than 0')
+      .optional(),
+    aspectIds: idListSchema.optional(),
+    mandatoryDescription: textFilterSchema,
+    complementaryDescription: textFilterSchema,
+    mandatorySentences: textFilterSchema,
+    complementarySentences: textFilterSchema,
+    mandatoryKeywords: textFilterSchema,
+    complementaryKeywords: textFilterSchema,
+    condition: textFilterSchema,
+    evidence: textFilterSchema,
+    periodicity: textFilterSchema,
+    acceptanceCriteria: textFilterSchema
+  })
+})
@@ -1,4 +1,5 @@
 import { z } from 'zod'
+import { createListQuerySchema, textFilterSchema } from './listQuery.schema.js'
 
 /**
  * Zod validation schema for RequirementType.
@@ -19,3 +20,17 @@ const requirementTypesSchema = z.object({
 })
 
 export default requirementTypesSchema
+
+/**
+ * Zod validation schema for the requirement types list query.
+ * Supports pagination, sorting and filtering by name, description and classification.
+ */
+export const requirementTypeListQuerySchema = createListQuerySchema({
+  sortFields: ['id', 'name'],
+  defaultSort: '-id',
+  filters: z.object({
+    name: textFilterSchema,
+    description: textFilterSchema,
+    classification: textFilterSchema
+  })
+})
@@ -0,0 +1,38 @@
+import { z } from 'zod'
+
+/**
+ * Zod validation schema for Role.
+ * Ensures the role name and permissions meet format and length requirements.
+ */
+const roleSchema = z.object({
+  /**
+   * Name of the role.
+   * Must be a non-empty string with max length of 100 characters.
+   */
+  name: z
+    .string()
+    .max(100, { message: 'The role name cannot exceed 100 characters' })
+    .min(1, { message: 'The role name cannot be empty' }),
+
+  /**
+   * Optional description of the role.
+   * Must not exceed 255 characters if provided.
+   */
+  description: z
+    .string()
+    .max(255, { message: 'The description cannot exceed 255 characters' })
+    .optional()
+    .nullable(),
+
+  /**
+   * Names of the permissions granted by the role.
+   */
+  permissions: z
+    .array(
+      z.string({ invalid_type_error: 'Each permission must be a string' }),
+      { invalid_type_error: 'permissions must be an array of strings' }
+    )
+    .transform((permissions) => [...new Set(permissions)])
+})
+
+export default roleSchema
@@ -0,0 +1,64 @@
+import { z } from 'zod'
+import {
+  DEFAULT_PAGE_SIZE,
+  pageSchema,
+  pageSizeSchema,
+  idListSchema,
+  textFilterSchema,
+  textListSchema
+} from './listQuery.schema.js'
+import { extractSearchTerms } from '../utils/searchText.js'
+
+/**
+ * Types of records the global search can return.
+ */
+export const SEARCH_TYPES = [
+  'legalBasis',
+  'article',
+  'requirement',
+  'legalVerb',
+  'requirementType'
+]
+
+/**
+ * Zod validation schema for the global search query.
+ * Outputs the query, the requested types (all of them if none), the facet filters and the page.
+ */
+const searchQuerySchema = z
+  .object({
+    q: z
+      .string({
+        required_error: 'The search query is required',
+        invalid_type_error: 'The search query must be a string'
+      })
+      .trim()
+      .max(200, 'The search query cannot exceed 200 characters')
+      .refine((value) => extractSearchTerms(value).length > 0, {
+        message: 'The search query must contain at least one word of 3 or more characters'
+      }),
+    types: textListSchema
+      .refine((types) => types.every((type) => SEARCH_TYPES.includes(type)), {
+        message: `Each type must be one of the following: ${SEARCH_TYPES.join(', ')}`
+      })
+      .optional(),
+    subjectId: z.coerce
+      .number({ invalid_type_error: 'The subject ID must be a number' })
+      .int('The subject ID must be an integer')
+      .positive('The subject ID must be greater than 0')
+      .optional(),
+    aspectIds: idListSchema.optional(),
+    jurisdiction: textFilterSchema,
+    state: textFilterSchema,
+    classification: textFilterSchema,
+    page: pageSchema,
+    pageSize: pageSizeSchema
+  })
+  .transform(({ q, types, page, pageSize, ...filters }) => ({
+    q,
+    types: types?.length > 0 ? types : SEARCH_TYPES,
+    filters,
+    page: page ?? 1,
+    pageSize: pageSize ?? DEFAULT_PAGE_SIZE
+  }))
+
+export default searchQuerySchema
@@ -1,4 +1,5 @@
 import { z } from 'zod'
+import { createListQuerySchema, textFilterSchema } from './listQuery.schema.js'
 
 /**
  * Zod validation schema for Subject.
@@ -34,3 +35,15 @@ const subjectSchema = z.object({
 })
 
 export default subjectSchema
+
+/**
+ * Zod validation schema for the subjects list query.
+ * Supports pagination, sorting and filtering by a partial name.
+ */
+export const subjectListQuerySchema = createListQuerySchema({
+  sortFields: ['id', 'name', 'abbreviation', 'orderIndex'],
+  defaultSort: 'orderIndex',
+  filters: z.object({
+    name: textFilterSchema
+  })
+})
@@ -1,4 +1,19 @@
 import { z } from 'zod'
+import { createListQuerySchema, textFilterSchema } from './listQuery.schema.js'
+
+/**
+ * Zod validation schema for a user's password.
+ * Requires at least 8 characters with lowercase and uppercase letters, a number and a symbol.
+ * The 72 character limit matches the input bcrypt takes into account.
+ */
+export const passwordSchema = z
+  .string()
+  .min(8, 'The password must be at least 8 characters long')
+  .max(72, 'The password cannot exceed 72 characters')
+  .regex(/[a-z]/, 'The password must contain a lowercase letter')
+  .regex(/[A-Z]/, 'The password must contain an uppercase letter')
+  .regex(/[0-9]/, 'The password must contain a number')
+  .regex(/[^A-Za-z0-9]/, 'The password must contain a symbol')
 
 /**
  * Zod validation schema for a user's data.
@@ -28,7 +43,8 @@ const userSchema = z.object({
 
   /**
    * User's role ID.
-   * Accepts a string, validates numeric and allowed values, then transforms to number.
+   * Accepts a string, validates it is a positive integer, then transforms to number.
+   * Whether the role exists is checked against the roles table.
    */
   roleId: z
     .string()
@@ -37,9 +53,9 @@ const userSchema = z.object({
     })
     .refine((val) => {
       const num = Number(val)
-      return num === 1 || num === 2
+      return Number.isInteger(num) && num > 0
     }, {
-      message: 'The roleId must be either 1 (Admin) or 2 (Analyst)'
+      message: 'The roleId must be a positive integer'
     })
     .transform((val) => Number(val)),
 
@@ -86,3 +102,20 @@ const userSchema = z.object({
 })
 
 export default userSchema
+
+/**
+ * Zod validation schema for the users list query.
+ * Supports pagination, sorting and filtering by a partial name or gmail and by role.
+ */
+export const userListQuerySchema = createListQuerySchema({
+  sortFields: ['id', 'name', 'gmail'],
+  defaultSort: '-id',
+  filters: z.object({
+    search: textFilterSchema,
+    roleId: z.coerce
+      .number({ invalid_type_error: 'The role ID must be a number' })
+      .int('The role ID must be an integer')
+      .positive('The role ID must be greater than 0')
+      .optional()
+  })
+})
@@ -1,14 +1,23 @@
 import ArticlesRepository from '../../repositories/Articles.repository.js'
 import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
+import ArticleRevisionRepository from '../../repositories/ArticleRevision.repository.js'
+import SubjectsRepository from '../../repositories/Subject.repository.js'
+import AspectsRepository from '../../repositories/Aspects.repository.js'
 import {
   singleArticleSchema,
-  articlesSchema
+  articlesSchema,
+  articleListQuerySchema,
+  articleSemanticSearchQuerySchema
 } from '../../schemas/article.schema.js'
+import EmbeddingsService from '../embeddings/Embeddings.service.js'
+import embeddingsQueue from '../../workers/embeddingsWorker.js'
+import ArticleSubunitParser from './articleExtraction/ArticleSubunitParser.js'
 import SendLegalBasisService from '../legalBasis/sendLegalBasis/SendLegalBasis.service.js'
 import ReqIdentifyService from '../reqIdentification/reqIdentify/ReqIdentify.service.js'
 import HttpException from '../errors/HttpException.js'
 import { z } from 'zod'
 import { convert } from 'html-to-text'
+import { orderByIds } from '../../utils/pagination.js'
 
 /**
  * Service class for handling Article operations.
@@ -16,22 +25,29 @@ import { convert } from 'html-to-text'
 class ArticlesService {
   /**
    * Inserts a single article associated with a legal basis into the database.
-   * Validates the article using the defined schema before inserting.
+   * Validates the article using the defined schema before inserting, splits it into párrafos, fracciones
+   * and incisos, and queues its embedding for the semantic search.
+   * @param {number} userId - The ID of the user creating the article.
    * @param {number} legalBasisId - The ID of the legal basis to associate the article with.
    * @param {Object} article - The article to insert.
    * @param {string} article.title - The title of the article.
    * @param {string} article.article - The content of the article.
    * @param {number} article.order - The order of the article.
+   * @param {string|null} [article.sectionKind] - The kind of row, one of Article.SECTION_KINDS.
+   * @param {number|null} [article.parentId] - The ID of the title, chapter or section containing the article.
    * @returns {Promise<Article>} - The created article instance.
    * @throws {HttpException} - If an error occurs during validation or insertion.
    */
-  static async create (legalBasisId, article) {
+  static async create (userId, legalBasisId, article) {
     try {
       const parsedArticle = singleArticleSchema.parse(article)
       const legalBase = await LegalBasisRepository.findById(legalBasisId)
       if (!legalBase) {
         throw new HttpException(404, 'LegalBasis not found')
       }
+      if (parsedArticle.parentId) {
+        await this._validateParent(legalBase.id, parsedArticle.parentId)
+      }
       const plainArticle = parsedArticle.article
         ? convert(parsedArticle.article)
         : null
@@ -39,6 +55,16 @@ class ArticlesService {
         ...parsedArticle,
         plainArticle
       })
+      await ArticlesRepository.replaceSubunits(
+        createdArticle.id,
+        ArticleSubunitParser.parse(plainArticle)
+      )
+      await ArticleRevisionRepository.createFromArticles(
+        [createdArticle.id],
+        'Create',
+        userId
+      )
+      this.queueEmbeddings([createdArticle.id])
       return createdArticle
     } catch (error) {
       if (error instanceof z.ZodError) {
@@ -57,30 +83,43 @@ class ArticlesService {
 
   /**
    * Inserts articles associated with a legal basis into the database.
-   * Validates the articles array using the defined schema before inserting.
+   * Validates the articles array using the defined schema before inserting, splits each article into
+   * párrafos, fracciones and incisos, and queues the embedding of the inserted articles for the
+   * semantic search.
+   * @param {number|null} userId - The ID of the user creating the articles.
    * @param {number} legalBasisId - The ID of the legal basis to associate the articles with.
    * @param {Array<Object>} articles - The list of articles to insert.
    * @param {string} articles[].title - The title of the article.
    * @param {string} articles[].article - The content of the article.
    * @param {string} articles[].plainArticle - The plain text equivalent of the article content.
    * @param {number} articles[].order - The order of the article.
+   * @param {string|null} [articles[].sectionKind] - The kind of row, one of Article.SECTION_KINDS.
+   * @param {number|null} [articles[].parentIndex] - The index in `articles` of the title, chapter or section containing the article.
    * @returns {Promise<boolean>} - Returns true if insertion is successful, false otherwise.
    * @throws {HttpException} - If an error occurs during validation or insertion.
    */
-  static async createMany (legalBasisId, articles) {
+  static async createMany (userId, legalBasisId, articles) {
     try {
       const parsedArticles = articlesSchema.parse(articles)
       const legalBase = await LegalBasisRepository.findById(legalBasisId)
       if (!legalBase) {
         throw new HttpException(404, 'LegalBasis not found')
       }
-      const insertionSuccess = await ArticlesRepository.createMany(
+      const insertedIds = await ArticlesRepository.createMany(
         legalBasisId,
-        parsedArticles
+        parsedArticles.map((article) => ({
+          ...article,
+          subunits: ArticleSubunitParser.parse(article.plainArticle)
+        }))
       )
-      if (!insertionSuccess) {
+      if (!insertedIds) {
         return false
       }
+      await ArticleRevisionRepository.createForUnrevisedArticles(
+        legalBasisId,
+        userId
+      )
+      this.queueEmbeddings(insertedIds)
       return true
     } catch (error) {
       if (error instanceof z.ZodError) {
@@ -98,25 +137,37 @@ class ArticlesService {
   }
 
   /**
-   * Fetches articles associated with a specific legal basis.
+   * Fetches a page of articles of a legal basis.
    * @param {number} legalBasisId - The ID of the legal basis.
-   * @returns {Promise<Array<Article>>} - A list of articles associated with the legal basis.
-   * @throws {HttpException} - If an error occurs during retrieval.
+   * @param {Object} [query] - The list query.
+   * @param {number} [query.page] - The page number.
+   * @param {number} [query.pageSize] - The page size.
+   * @param {string} [query.cursor] - The cursor of the page, instead of a page number.
+   * @param {string} [query.sort] - The sort fields, prefixed with '-' for descending order.
+   * @param {string} [query.name] - A partial name of the article.
+   * @param {string} [query.description] - Terms to match in the plain description.
+   * @returns {Promise<import('../../utils/pagination.js').Page<Article>>} - The page of articles of a legal basis.
+   * @throws {HttpException} - If the legal basis is not found, the query is invalid or an error occurs during retrieval.
    */
-  static async getByLegalBasisId (legalBasisId) {
+  static async getByLegalBasisId (legalBasisId, query = {}) {
     try {
+      const { filters, listOptions } = articleListQuerySchema.parse(query)
       const legalBase = await LegalBasisRepository.findById(legalBasisId)
       if (!legalBase) {
         throw new HttpException(404, 'LegalBasis not found')
       }
-      const articles = await ArticlesRepository.findByLegalBasisId(
-        legalBasisId
+      return await ArticlesRepository.findMany(
+        { ...filters, legalBasisId },
+        listOptions
       )
-      if (!articles) {
-        return []
-      }
-      return articles
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
@@ -125,57 +176,125 @@ class ArticlesService {
   }
 
   /**
-   * Filters articles by their name for a specific legal basis.
-   * @param {number} legalBasisId - The ID of the legal basis to filter articles by.
-   * @param {string} name - The name or part of the name to filter by.
-   * @returns {Promise<Array<Article>>} - A list of articles matching the name for the given legal basis.
-   * @throws {HttpException} - If an error occurs during retrieval.
+   * @typedef {Object} TableOfContentsEntry
+   * @property {number} id - The ID of the article.
+   * @property {string} name - The title of the article.
+   * @property {string|null} kind - The kind of row, one of Article.SECTION_KINDS, or null if unknown.
+   * @property {number} order - The order of the article.
+   * @property {number|null} sourcePage - The page of the document where the article starts.
+   * @property {TableOfContentsEntry[]} children - The rows contained in the article, in order.
+   */
+
+  /**
+   * Builds the outline of a legal basis from the parent of each of its articles.
+   * Articles without a parent, or whose parent is gone, are listed at the top level.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @returns {Promise<TableOfContentsEntry[]>} - The top-level rows of the outline, in order.
+   * @throws {HttpException} - If the legal basis is not found or an error occurs during retrieval.
    */
-  static async getByName (legalBasisId, name) {
+  static async getTableOfContents (legalBasisId) {
     try {
       const legalBase = await LegalBasisRepository.findById(legalBasisId)
       if (!legalBase) {
         throw new HttpException(404, 'LegalBasis not found')
       }
-      const articles = await ArticlesRepository.findByName(legalBasisId, name)
-      if (!articles) {
-        return []
+      const articles =
+        (await ArticlesRepository.findByLegalBasisId(legalBasisId)) ?? []
+      const entriesById = new Map(
+        articles.map((article) => [
+          article.id,
+          {
+            id: article.id,
+            name: article.article_name,
+            kind: article.section_kind,
+            order: article.article_order,
+            sourcePage: article.source_page,
+            children: []
+          }
+        ])
+      )
+      const tableOfContents = []
+      for (const article of articles) {
+        const parent = entriesById.get(article.parent_id)
+        const siblings = parent ? parent.children : tableOfContents
+        siblings.push(entriesById.get(article.id))
       }
-      return articles
+      return tableOfContents
     } catch (error) {
       if (error instanceof HttpException) {
         throw error
       }
-      throw new HttpException(500, 'Error fetching articles by name')
+      throw new HttpException(500, 'Error fetching the table of contents')
     }
   }
 
   /**
-   * Filters articles by their description for a specific legal basis.
-   * @param {number} legalBasisId - The ID of the legal basis to filter articles by.
-   * @param {string} description - The description or part of the description to filter by.
-   * @returns {Promise<Array<Article>>} - A list of articles matching the description for the given legal basis.
-   * @throws {HttpException} - If an error occurs during retrieval.
+   * Finds the articles whose meaning is closest to a text, using the stored embeddings.
+   * Only the best 1000 matches are ranked; pages past them come back empty.
+   * @param {Object} query - The search query.
+   * @param {string} query.q - The text to search.
+   * @param {number} [query.subjectId] - Only articles of legal bases of this subject.
+   * @param {string} [query.aspectIds] - Only articles of legal bases with any of these comma-separated aspects.
+   * @param {number} [query.page] - The page number.
+   * @param {number} [query.pageSize] - The page size.
+   * @returns {Promise<{ items: Array<Article & { similarity: number }>, pagination: Object }>} - The page of articles, most similar first.
+   * @throws {HttpException} - If the query is invalid, a filter is not found or an error occurs during the search.
    */
-  static async getByDescription (legalBasisId, description) {
+  static async semanticSearch (query = {}) {
     try {
-      const legalBase = await LegalBasisRepository.findById(legalBasisId)
-      if (!legalBase) {
-        throw new HttpException(404, 'LegalBasis not found')
-      }
-      const articles = await ArticlesRepository.findByDescription(
-        legalBasisId,
-        description
+      const { q, filters, page, pageSize } =
+        articleSemanticSearchQuerySchema.parse(query)
+      if (filters.subjectId) {
+        const subject = await SubjectsRepository.findById(filters.subjectId)
+        if (!subject) {
+          throw new HttpException(404, 'Subject not found')
+        }
+      }
+      if (filters.aspectIds?.length > 0) {
+        const existingAspects = await AspectsRepository.findByIds(
+          filters.aspectIds
+        )
+        if (existingAspects.length !== filters.aspectIds.length) {
+          const notFoundIds = filters.aspectIds.filter(
+            (id) => !existingAspects.some((aspect) => aspect.id === id)
+          )
+          throw new HttpException(404, 'Aspects not found for IDs', {
+            notFoundIds
+          })
+        }
+      }
+      const { articles: rankedArticles, total } =
+        await EmbeddingsService.rankArticles(q, filters, page * pageSize)
+      const pageArticles = rankedArticles.slice((page - 1) * pageSize)
+      const ids = pageArticles.map(({ articleId }) => articleId)
+      const articles = await ArticlesRepository.findByIds(ids)
+      const similarities = new Map(
+        pageArticles.map(({ articleId, similarity }) => [articleId, similarity])
       )
-      if (!articles) {
-        return []
+      return {
+        items: orderByIds(articles, ids).map((article) => ({
+          ...article,
+          similarity: Number(similarities.get(article.id).toFixed(4))
+        })),
+        pagination: {
+          page,
+          pageSize,
+          total,
+          totalPages: Math.ceil(total / pageSize)
+        }
       }
-      return articles
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
-      throw new HttpException(500, 'Error fetching articles by description')
+      throw new HttpException(500, 'Failed to search articles')
     }
   }
 
@@ -200,23 +319,54 @@ class ArticlesService {
     }
   }
 
+  /**
+   * Fetches the párrafos, fracciones and incisos of an article.
+   * @param {number} id - The ID of the article.
+   * @returns {Promise<import('../../models/ArticleSubunit.model.js').default[]>} - The sub-units, in order.
+   * @throws {HttpException} - If the article is not found or an error occurs during retrieval.
+   */
+  static async getSubunits (id) {
+    try {
+      const article = await ArticlesRepository.findById(id)
+      if (!article) {
+        throw new HttpException(404, 'Article not found')
+      }
+      return await ArticlesRepository.findSubunitsByArticleIds([article.id])
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Error fetching article subunits')
+    }
+  }
+
   /**
    * Updates an article by its ID.
+   * @param {number} userId - The ID of the user updating the article.
    * @param {number} id - The ID of the article to update.
    * @param {Object} article - The updated article data.
    * @param {string|null} article.title - The new title of the article, or null to keep the current title.
    * @param {string|null} article.article - The new content of the article, or null to keep the current content.
    * @param {number|null} article.order - The new order of the article, or null to keep the current order.
+   * @param {string|null} [article.sectionKind] - The new kind of row, or null to keep the current kind.
+   * @param {number|null} [article.parentId] - The new parent of the article, or null to keep the current parent.
    * @returns {Promise<Article>} - Returns the updated Article instance if successful.
    * @throws {HttpException} - If an error occurs during validation or update.
    */
-  static async updateById (id, article) {
+  static async updateById (userId, id, article) {
     try {
       const parsedArticle = singleArticleSchema.parse(article)
       const existingArticle = await ArticlesRepository.findById(id)
       if (!existingArticle) {
         throw new HttpException(404, 'Article not found')
       }
+      if (parsedArticle.parentId) {
+        await this._validateParent(
+          existingArticle.legal_basis_id,
+          parsedArticle.parentId,
+          existingArticle.id
+        )
+      }
       const plainArticle = parsedArticle.article
         ? convert(parsedArticle.article)
         : null
@@ -227,6 +377,14 @@ class ArticlesService {
       if (!updatedArticle) {
         throw new HttpException(500, 'Article not found')
       }
+      if (plainArticle !== null) {
+        await ArticlesRepository.replaceSubunits(
+          id,
+          ArticleSubunitParser.parse(plainArticle)
+        )
+      }
+      await ArticleRevisionRepository.createFromArticles([id], 'Update', userId)
+      this.queueEmbeddings([id])
       return updatedArticle
     } catch (error) {
       if (error instanceof z.ZodError) {
@@ -245,11 +403,13 @@ class ArticlesService {
 
   /**
    * Deletes an article by its ID.
+   * A revision with the last state of the article is recorded before deletion.
+   * @param {number} userId - The ID of the user deleting the article.
    * @param {number} id - The ID of the article to delete.
    * @returns {Promise<{ success: boolean }>} - An object indicating the deletion was successful.
    * @throws {HttpException} - If an error occurs during deletion.
    */
-  static async deleteById (id) {
+  static async deleteById (userId, id) {
     try {
       const existingArticle = await ArticlesRepository.findById(id)
       if (!existingArticle) {
@@ -282,6 +442,7 @@ class ArticlesService {
           'Cannot delete Article with pending Requirement Identification jobs'
         )
       }
+      await ArticleRevisionRepository.createFromArticles([id], 'Delete', userId)
       const articleDeleted = await ArticlesRepository.deleteById(id)
       if (!articleDeleted) {
         throw new HttpException(500, 'Article not found')
@@ -297,11 +458,13 @@ class ArticlesService {
 
   /**
    * Deletes multiple articles by their IDs.
+   * A revision with the last state of each article is recorded before deletion.
+   * @param {number} userId - The ID of the user deleting the articles.
    * @param {Array<number>} articleIds - Array of article IDs to delete.
    * @returns {Promise<{ success: boolean }>} - An object indicating the deletion was successful.
    * @throws {HttpException} - If articles not found or deletion fails.
    */
-  static async deleteArticlesBatch (articleIds) {
+  static async deleteArticlesBatch (userId, articleIds) {
     try {
       const existingArticles = await ArticlesRepository.findByIds(articleIds)
       if (existingArticles.length !== articleIds.length) {
@@ -378,6 +541,11 @@ class ArticlesService {
         )
       }
 
+      await ArticleRevisionRepository.createFromArticles(
+        articleIds,
+        'Delete',
+        userId
+      )
       const articlesDeleted = await ArticlesRepository.deleteBatch(articleIds)
       if (!articlesDeleted) {
         throw new HttpException(404, 'Articles not found')
@@ -390,6 +558,74 @@ class ArticlesService {
       throw new HttpException(500, 'Failed to delete articles')
     }
   }
+
+  /**
+   * Queues the embedding of created or updated articles without waiting for it, so article
+   * writes never wait on the embedding provider. A failure to queue is logged and the articles
+   * are embedded by their next update.
+   * @param {Array<number>} articleIds - The IDs of the articles.
+   * @returns {void}
+   */
+  static queueEmbeddings (articleIds) {
+    embeddingsQueue.add({ articleIds }).catch((error) => {
+      console.error('Error queuing article embeddings:', error.message)
+    })
+  }
+
+  /**
+   * Queues the embedding of every article and requirement that has no embedding or an out of
+   * date one, such as those written before embeddings were stored.
+   * @returns {Promise<{ jobId: string|number }>} - The ID of the backfill job.
+   * @throws {HttpException} - If the job cannot be queued.
+   */
+  static async backfillEmbeddings () {
+    try {
+      const job = await embeddingsQueue.add({ backfill: true })
+      return { jobId: job.id }
+    } catch (error) {
+      console.error('Error queuing the embeddings backfill:', error.message)
+      throw new HttpException(500, 'Failed to queue the embeddings backfill')
+    }
+  }
+
+  /**
+   * Checks that an article can be nested inside another one: the parent must belong to the
+   * same legal basis and cannot be the article itself or one of its descendants.
+   * @param {number} legalBasisId - The ID of the legal basis of the article.
+   * @param {number} parentId - The ID of the parent.
+   * @param {number|null} [articleId=null] - The ID of the article, when it already exists.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If the parent is not valid.
+   */
+  static async _validateParent (legalBasisId, parentId, articleId = null) {
+    const articles =
+      (await ArticlesRepository.findByLegalBasisId(legalBasisId)) ?? []
+    const parentIds = new Map(
+      articles.map((article) => [article.id, article.parent_id])
+    )
+    if (!parentIds.has(parentId)) {
+      throw new HttpException(400, 'Validation failed', [
+        {
+          field: 'parentId',
+          message: 'The parent article must belong to the same legal basis'
+        }
+      ])
+    }
+    const visitedIds = new Set()
+    let ancestorId = parentId
+    while (ancestorId != null && !visitedIds.has(ancestorId)) {
+      if (ancestorId === articleId) {
+        throw new HttpException(400, 'Validation failed', [
+          {
+            field: 'parentId',
+            message: 'An article cannot be nested inside itself or its descendants'
+          }
+        ])
+      }
+      visitedIds.add(ancestorId)
+      ancestorId = parentIds.get(ancestorId)
+    }
+  }
 }
 
 export default ArticlesService
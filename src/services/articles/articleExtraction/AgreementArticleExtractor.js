@@ -0,0 +1,281 @@
+import ArticleExtractor from './ArticleExtractor.js'
+import openai from '../../../config/openapi.config.js'
+import { singleArticleModelSchema, sectionsResponseSchema } from '../../../schemas/article.schema.js'
+import { zodResponseFormat } from 'openai/helpers/zod'
+import HttpException from '../../errors/HttpException.js'
+import { AGREEMENT_HEADING_KINDS } from './LegalHeadingDetector.js'
+
+/**
+ * Class extending ArticleExtractor to extract articles from (Acuerdos).
+ */
+class AgreementArticleExtractor extends ArticleExtractor {
+  /**
+   * @returns {import('./LegalHeadingDetector.js').HeadingKind[]} - The heading kinds of acuerdos.
+   */
+  _headingKinds () {
+    return AGREEMENT_HEADING_KINDS
+  }
+
+  /**
+   * @param {string} text - The cleaned full text of the document.
+   * @returns {Promise<Sections>} - Extracted section titles and validity flag.
+   */
+  async _extractSections (text) {
+    const prompt = this._buildSectionsPrompt(text)
+    const request = {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: [
+            'You are an expert in parsing legal documents (Acuerdos).',
+            'Given a Spanish agreement, extract every standalone heading — such as numbered points, articles, chapters, annexes and transitory provisions — in their original order.',
+            'Ignore headers, footers, page numbers, and non-structural content.'
+          ].join(' ')
+        },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0,
+      response_format: zodResponseFormat(sectionsResponseSchema, 'sections')
+    }
+    const attemptRequest = async (retryCount = 0) => {
+      try {
+        const response = await openai.chat.completions.create(request)
+        const content = sectionsResponseSchema.parse(
+          JSON.parse(response.choices[0].message.content)
+        )
+        return content
+      } catch (error) {
+        if (error.status === 429 && retryCount < 3) {
+          const backoffTime = Math.pow(2, retryCount) * 1000
+          await new Promise((resolve) => setTimeout(resolve, backoffTime))
+          return attemptRequest(retryCount + 1)
+        }
+        throw new HttpException(500, 'Article Processing Error', error)
+      }
+    }
+
+    return attemptRequest()
+  }
+
+  /**
+   * @param {string} text - The full text of the document.
+   * @returns {string} The formatted prompt.
+   */
+  _buildSectionsPrompt (text) {
+    const lines = text.split('\n')
+    const numberedText = lines.map((line, index) => `${index + 1}: ${line}`).join('\n')
+    return `
+Extract all section headings from an agreement (Acuerdo) published by a Mexican authority, based strictly on the body content (not from any index or table of contents).
+
+Agreements rarely use "Artículo N". Their dispositions are usually **numbered points** that follow the preamble ("CONSIDERANDO") and the formula "he tenido a bien expedir el siguiente ACUERDO":
+
+ **Numbered points** (extract each one, in any casing, preserving punctuation):
+- Ordinal points: "PRIMERO.", "SEGUNDO.-", "Tercero.", "DÉCIMO PRIMERO.-", "VIGÉSIMO.", "ÚNICO."
+- Digit points: "1.", "2.-", "10." — only when they number the dispositions of the agreement, NOT when they number the items of a list inside a point.
+
+ **Articles**, when the agreement uses them:
+- "ARTÍCULO ÚNICO.-", "Artículo Primero.", "Artículo 1.", "Artículo 2 Bis."
+
+ **Grouping headings**:
+- "TÍTULO PRIMERO", "CAPÍTULO I", "Capítulo Segundo", "SECCIÓN I"
+
+ **Generic blocks**:
+- "CONSIDERANDO", "CONSIDERANDOS", "ÍNDICE", "CONTENIDO"
+
+ **Transitory provisions**:
+- "TRANSITORIOS", "TRANSITORIO", "Disposiciones Transitorias" (extract each block individually, even if repeated)
+
+ **Annexes**, which often hold the tables, forms and criteria of the agreement:
+- "ANEXO", "ANEXO ÚNICO", "ANEXO 1", "ANEXO I", "Anexo A", "ANEXO TÉCNICO"
+- "APÉNDICE", "APÉNDICE A"
+
+---
+
+  VERY IMPORTANT — DETECT HEADINGS IN BODY TEXT
+
+• Points and articles usually appear on the same line as their content ("PRIMERO.- El presente Acuerdo tiene por objeto..."). Extract only the heading ("PRIMERO.-") and ignore the rest of the line.
+
+• The points inside a "TRANSITORIOS" block ("PRIMERO.- El presente Acuerdo entrará en vigor...") are content of that block. Do NOT extract them.
+
+• Do NOT extract the items of lists inside a point (I., II., a), b), 1., 2.) nor the rows or titles of the tables of an annex.
+
+• Do not extract subtitles, thematic descriptions, or content headers, even if they are in uppercase or appear on a separate line.
+
+• If multiple headers are stacked without content lines in between, only extract the topmost one.
+
+ **Strict Exclusion Rules**:
+- Do NOT include any heading that appears **only inside the "ÍNDICE"** block if it does not reappear in the body text.
+- Do NOT include the title of the agreement ("ACUERDO por el que se...") nor the signatures, places and dates at its end.
+- Do NOT include formatting artifacts like centered titles, footers, headers, watermarks, or editorial credits.
+
+• Preserve original **accents**, **punctuation**, and **order** of appearance.
+• Consider the document valid (isValid: true) if it contains at least one extractable heading as defined above.
+
+Important: You must extract and return each heading **exactly as it appears in the original document**, without paraphrasing or summarizing. This is a legal document — accuracy is critical.
+
+ IMPORTANT – ABOUT THE COMPLETE OUTPUT
+- The size of the JSON IS NOT AN OBJECTION. If the agreement contains hundreds of points, you must list absolutely all of them, one by one, exactly as they appear in the text.
+- DO NOT group, omit, summarize or trim headings.
+- Only return the valid heading found on each line, with its line number.
+
+ **Return the output as valid JSON in this format**:
+
+\`\`\`json
+{
+  "sections": [
+    {
+      "title": "string", // Exact heading text as found in the document
+      "line": number     // Line number (starting from 1)
+    }
+  ],
+  "isValid": true // true if at least one valid heading was found
+}
+\`\`\`
+
+---
+
+Document text:
+"""
+${numberedText}
+"""
+`
+  }
+
+  /**
+   * @param {Article} article - The article object to correct.
+   * @returns {Promise<Article>} - Corrected article object.
+   */
+  async _correctArticle (article) {
+    const prompt = this._buildCorrectPrompt(this.name, article)
+    const request = {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content:
+            'You are a virtual assistant specialized in reviewing, correcting, and documenting the points and articles extracted from various Agreements (Acuerdos). Note: All Agreements are in Spanish, and all output must also be in Spanish.'
+        },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0,
+      response_format: zodResponseFormat(
+        singleArticleModelSchema,
+        'articles_response'
+      )
+    }
+    const attemptRequest = async (retryCount = 0) => {
+      try {
+        const response = await openai.chat.completions.create(request)
+        const content = singleArticleModelSchema.parse(
+          JSON.parse(response.choices[0].message.content)
+        )
+        return content
+      } catch (error) {
+        if (error.status === 429) {
+          if (retryCount < 3) {
+            const backoffTime = Math.pow(2, retryCount) * 1000
+            await new Promise((resolve) => setTimeout(resolve, backoffTime))
+            return attemptRequest(retryCount + 1)
+          } else {
+            throw new HttpException(500, 'Article Processing Error', error)
+          }
+        }
+        throw new HttpException(500, 'Article Processing Error', error)
+      }
+    }
+    return attemptRequest()
+  }
+
+  /**
+   * @param {string} legalName - The name of the legal Base.
+   * @param {Article} article - The article object for which the prompt is built.
+   * @returns {string} - The constructed prompt.
+   */
+  _buildCorrectPrompt (legalName, article) {
+    return `
+Analyze the content of "${article.title}" within the agreement titled "${legalName}". Then, help format and correct the following point using professional HTML structure and styles:
+
+{
+  "title": "${article.title}",
+  "article": \`\`\`${article.article}\`\`\`,
+  "plainArticle": "${article.plainArticle}",
+  "order": ${article.order}
+}
+
+VERY IMPORTANT:
+- Do not paraphrase, summarize, restructure or reinterpret the original text.
+- Every point, list item, and table must be reproduced **verbatim**, including punctuation, spacing, and line breaks.
+- This is a legal document and must preserve its original wording with full fidelity.
+- Apply the CSS ('style="text-align: justify;">') style to all paragraph (<p>) elements and relevant text content to ensure that the text is aligned to both margins (Except in tables).
+
+### Instructions:
+
+1. **plainArticle**:
+   - The "plainArticle" field must always remain as an empty string ("").
+   - Do not modify or populate this field with any content.
+
+2. **Title**:
+   - The title field should only state the point, article, chapter or annex, without its trailing punctuation.
+   - If the extracted content repeats the title from the start, remove that duplicate so that it only appears once.
+   - For **TRANSITORIOS**, always leave the title as "TRANSITORIOS" and keep its points ("PRIMERO.", "SEGUNDO.") in the content.
+   - Do not use HTML tags in titles.
+
+  #### Examples (in Spanish):
+   - **PRIMERO.-** → PRIMERO
+   - **Décimo Segundo.** → Décimo Segundo
+   - **ARTÍCULO ÚNICO.-** → ARTÍCULO ÚNICO
+   - **2.-** → 2
+   - **ANEXO ÚNICO** → ANEXO ÚNICO
+
+3. **Points and Articles**:
+   - Divide long content into paragraphs, each explaining a specific provision, using <p>, <ul> and <li> tags.
+   - **Never delete, omit, or ignore numbered or lettered items** (e.g., I., II., a), b), 1., 2.) found in the point.
+   - Use <b> for list markers and emphasis, and <i> for additional context.
+   - Complete truncated words or sentences without altering their meaning.
+
+  #### Example (in Spanish):
+   **title:** PRIMERO
+   **article:** El presente Acuerdo tiene por objeto dar a conocer los criterios para la clasificación de residuos. Los criterios serán de observancia obligatoria para los generadores.
+   **order:** 2
+
+  **Output (Formatted in HTML):**
+   **title:** PRIMERO   // Titles should not have HTML tags.
+   **article:** <p style="text-align: justify;">El presente <i>Acuerdo</i> tiene por objeto dar a conocer los criterios para la clasificación de residuos.</p>
+   <p style="text-align: justify;">Los criterios serán de observancia obligatoria para los generadores.</p>
+   **order:** 2
+
+4. **Considerando**:
+   - Keep each recital of the preamble in its own paragraph, in its original order.
+
+5. **Annexes**:
+   - Annexes usually hold tables, forms, and criteria. Keep every table using <table>, <thead>, <tbody>, and <tr> tags, and always include its title immediately **before** the <table> tag.
+   - Do not create or write random definitions within the annexes.
+
+6. **Transitory Provisions**:
+   #### Example (in Spanish):
+    **title:** TRANSITORIOS
+    **article:**
+      PRIMERO. El presente Acuerdo entrará en vigor al día siguiente de su publicación en el Diario Oficial de la Federación.
+      SEGUNDO. Se abroga el Acuerdo publicado el 3 de mayo de 2010.
+    **order:** 20
+
+  **Output (Formatted in HTML):**
+    **title:** TRANSITORIOS
+    **article:**
+     <p><b>PRIMERO.</b> El presente Acuerdo entrará en vigor al día siguiente de su publicación en el Diario Oficial de la Federación.</p>
+     <p><b>SEGUNDO.</b> Se abroga el Acuerdo publicado el 3 de mayo de 2010.</p>
+    **order:** 20
+
+### Additional Formatting Guidelines:
+
+- Please do not create or write random definitions within the point. Just make sure you are working with the information that is being shared with you.
+- Respect spaces, punctuation (e.g., periods, hyphens), and line breaks for clarity.
+- The text contains footnotes or headers that are not relevant to the context. Remove them.
+- Use semantic HTML wherever possible to improve readability and structure.
+- Return the corrected object in **Spanish**, preserving the original meaning of the text.
+  `
+  }
+}
+
+export default AgreementArticleExtractor
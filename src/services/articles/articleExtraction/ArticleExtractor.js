@@ -1,6 +1,45 @@
 import { convert } from 'html-to-text'
 import HttpException from '../../errors/HttpException.js'
 import { sleep } from '../../../utils/sleep.js'
+import LegalHeadingDetector, { LAW_HEADING_KINDS } from './LegalHeadingDetector.js'
+
+/**
+ * Lowest confidence of the rule-based heading detection for its headings to be used;
+ * below it, the model extracts the headings.
+ */
+const MIN_HEADING_CONFIDENCE = 0.9
+
+/**
+ * Section kind stored for each kind of heading; headings of unknown kind are stored without one.
+ * @type {Object<import('./LegalHeadingDetector.js').HeadingKind, string>}
+ */
+const SECTION_KINDS_BY_HEADING = {
+  article: 'article',
+  numbered: 'article',
+  point: 'article',
+  guideline: 'article',
+  objective: 'article',
+  book: 'title',
+  title: 'title',
+  chapter: 'chapter',
+  section: 'section',
+  transitory: 'transitory',
+  annex: 'annex',
+  appendix: 'annex',
+  block: 'preamble'
+}
+
+/**
+ * Nesting depth of the headings that contain the ones after them, outermost first.
+ * @type {Object<import('./LegalHeadingDetector.js').HeadingKind, number>}
+ */
+const CONTAINER_HEADING_RANKS = {
+  book: 0,
+  title: 1,
+  chapter: 2,
+  section: 3
+}
+
 /**
  * Base class for article extractors.
  * Defines the interface and common methods for extracting and formatting articles from text.
@@ -12,12 +51,16 @@ class ArticleExtractor {
    * @property {string} article - The content of the article.
    * @property {string} plainArticle - Plain text of the article.
    * @property {number} order - Order of the article.
+   * @property {number|null} [sourcePage] - The page of the document where the article starts.
+   * @property {string|null} [sectionKind] - The kind of row, one of Article.SECTION_KINDS, or null if unknown.
+   * @property {number|null} [parentIndex] - The index of the title, chapter or section containing the article.
    */
 
   /**
  * @typedef {Object} Section
  * @property {string} title - The exact heading text as it appears in the document (e.g., "ARTÍCULO 1", "TÍTULO PRIMERO").
  * @property {number} line - The line number (starting from 1) where the heading is located in the document.
+ * @property {import('./LegalHeadingDetector.js').HeadingKind} [kind] - The kind of heading, when known.
  */
 
   /**
@@ -32,8 +75,9 @@ class ArticleExtractor {
    * @param {string} text - The text from which to extract articles.
    * @param {string} model - AI model to be used in article extraction
    * @param {import("bull").Job} job - The Bull job object used for progress tracking.
+   * @param {Array<number|null>} [pages=[]] - The source page of each line of the text.
    */
-  constructor (name, text, model, job) {
+  constructor (name, text, model, job, pages = []) {
     if (this.constructor === ArticleExtractor) {
       throw new Error('Cannot instantiate abstract class ArticleExtractor')
     }
@@ -41,6 +85,7 @@ class ArticleExtractor {
     this.text = text
     this.job = job
     this.model = model
+    this.pages = pages
   }
 
   /**
@@ -61,6 +106,9 @@ class ArticleExtractor {
       try {
         const correctedArticle = await this._correctArticle(article)
         correctedArticle.plainArticle = convert(correctedArticle.article)
+        correctedArticle.sourcePage = article.sourcePage
+        correctedArticle.sectionKind = article.sectionKind
+        correctedArticle.parentIndex = article.parentIndex
         correctedArticles.push(correctedArticle)
       } catch (error) {
         correctedArticles.push({
@@ -75,8 +123,18 @@ class ArticleExtractor {
     return correctedArticles
   }
 
+  /**
+   * Method to extract the amendments the document makes to other legal bases.
+   * Only reform decrees amend other legal bases; other documents have none.
+   * @returns {Promise<import('./DecreeAmendmentParser.js').ParsedAmendment[]>} - The amendments, in order.
+   */
+  async extractAmendments () {
+    return []
+  }
+
   /**
    * Method to clean the input text.
+   * Lines are cleaned one by one so they stay aligned with their source pages.
    * @param {string} text - The text to clean.
    * @returns {string} - The cleaned text.
    */
@@ -84,7 +142,12 @@ class ArticleExtractor {
     const ellipsisTextRegex = /[^.]+\s*\.{3,}\s*/g
     const singleEllipsisRegex = /\s*\.{3,}\s*/g
 
-    return text.replace(ellipsisTextRegex, '').replace(singleEllipsisRegex, '')
+    return text
+      .split('\n')
+      .map((line) =>
+        line.replace(ellipsisTextRegex, '').replace(singleEllipsisRegex, '')
+      )
+      .join('\n')
   }
 
   /**
@@ -95,12 +158,16 @@ class ArticleExtractor {
  */
   async _extractArticles (text) {
     try {
-      const { sections, isValid } = await this._extractSections(text)
+      const { sections, isValid } = await this._findSections(text)
       if (!isValid || !Array.isArray(sections) || sections.length === 0) {
         throw new HttpException(500, 'Article Processing Error')
       }
       const lines = text.split('\n')
       const sortedSections = sections.sort((a, b) => a.line - b.line)
+      const headingKinds = sortedSections.map(({ title, kind }) =>
+        kind ?? LegalHeadingDetector.matchHeading(title, this._headingKinds())?.kind
+      )
+      const parentIndexes = this._findParentIndexes(headingKinds)
       const articles = []
       let order = 1
       for (let i = 0; i < sortedSections.length; i++) {
@@ -114,7 +181,10 @@ class ArticleExtractor {
           title,
           article: articleText,
           plainArticle: '',
-          order: order++
+          order: order++,
+          sourcePage: this.pages[currentLineIndex] ?? null,
+          sectionKind: SECTION_KINDS_BY_HEADING[headingKinds[i]] ?? null,
+          parentIndex: parentIndexes[i]
         })
       }
       return articles
@@ -123,6 +193,58 @@ class ArticleExtractor {
     }
   }
 
+  /**
+   * Method to find the section headings of the text.
+   * Headings are detected locally first; the model is only consulted through
+   * `_extractSections` when the detection has low confidence.
+   * @param {string} text - The cleaned full text of the document.
+   * @returns {Promise<Sections>} - Section titles and validity flag.
+   */
+  async _findSections (text) {
+    const detection = LegalHeadingDetector.detect(text, this._headingKinds())
+    if (detection.isValid && detection.confidence >= MIN_HEADING_CONFIDENCE) {
+      return detection
+    }
+    return this._extractSections(text)
+  }
+
+  /**
+   * Method to nest the headings of a document into its outline.
+   * Books, titles, chapters and sections contain the headings after them until a heading of the
+   * same or an outer level; transitory provisions, annexes and preamble blocks close every open
+   * container and stand at the top level.
+   * @param {Array<import('./LegalHeadingDetector.js').HeadingKind|undefined>} headingKinds - The kind
+   * of each heading, in document order.
+   * @returns {Array<number|null>} - The index of the parent of each heading, or null for top-level headings.
+   */
+  _findParentIndexes (headingKinds) {
+    const openContainers = []
+    return headingKinds.map((kind, index) => {
+      const rank = CONTAINER_HEADING_RANKS[kind]
+      if (rank !== undefined) {
+        while (openContainers.length > 0 && openContainers.at(-1).rank >= rank) {
+          openContainers.pop()
+        }
+      } else if (kind && SECTION_KINDS_BY_HEADING[kind] !== 'article') {
+        openContainers.length = 0
+      }
+      const parentIndex = openContainers.at(-1)?.index ?? null
+      if (rank !== undefined) {
+        openContainers.push({ rank, index })
+      }
+      return parentIndex
+    })
+  }
+
+  /**
+   * Method to list the kinds of headings detected locally in the documents of the extractor.
+   * Subclasses may override it; laws, codes and regulations share the default kinds.
+   * @returns {import('./LegalHeadingDetector.js').HeadingKind[]} - The heading kinds.
+   */
+  _headingKinds () {
+    return LAW_HEADING_KINDS
+  }
+
   /**
  * Method to updates the progress of a job.
  * @param {number} current - Steps completed in the current phase.
@@ -1,11 +1,51 @@
+import ArticleExtractor from './ArticleExtractor.js'
 import LawArticleExtractor from './LawArticleExtractor.js'
 import RegulationArticleExtractor from './RegulationArticleExtractor.js'
 import NormArticleExtractor from './NormArticleExtractor.js'
+import DecreeArticleExtractor from './DecreeArticleExtractor.js'
+import AgreementArticleExtractor from './AgreementArticleExtractor.js'
+import GuidelineArticleExtractor from './GuidelineArticleExtractor.js'
+import ProgramArticleExtractor from './ProgramArticleExtractor.js'
 
 /**
  * Factory class to obtain the appropriate article extractor based on classification type.
  */
 class ArticleExtractorFactory {
+  /**
+   * Extractor class of each classification; classifications without a dedicated
+   * structure are extracted as laws.
+   * @type {Map<string, typeof ArticleExtractor>}
+   */
+  static extractors = new Map([
+    ['Ley', LawArticleExtractor],
+    ['Reglamento', RegulationArticleExtractor],
+    ['Norma', NormArticleExtractor],
+    ['Acuerdos', AgreementArticleExtractor],
+    ['Código', LawArticleExtractor],
+    ['Decreto', DecreeArticleExtractor],
+    ['Lineamiento', GuidelineArticleExtractor],
+    ['Orden Jurídico', LawArticleExtractor],
+    ['Aviso', LawArticleExtractor],
+    ['Convocatoria', LawArticleExtractor],
+    ['Plan', ProgramArticleExtractor],
+    ['Programa', ProgramArticleExtractor],
+    ['Recomendaciones', LawArticleExtractor]
+  ])
+
+  /**
+   * Registers the extractor of a classification, replacing the current one if any.
+   *
+   * @param {string} classification - The type of document classification.
+   * @param {typeof ArticleExtractor} Extractor - The ArticleExtractor subclass for the classification.
+   * @throws {Error} - If the extractor is not an ArticleExtractor subclass.
+   */
+  static register (classification, Extractor) {
+    if (!(Extractor?.prototype instanceof ArticleExtractor)) {
+      throw new Error(`The extractor of "${classification}" must extend ArticleExtractor`)
+    }
+    this.extractors.set(classification, Extractor)
+  }
+
   /**
    * Returns an instance of the appropriate ArticleExtractor subclass based on classification.
    *
@@ -14,52 +54,15 @@ class ArticleExtractorFactory {
    * @param {string} text - The text from which to extract articles.
    * @param {string} model - AI model to be used in article extraction.
    * @param {import('bull').Job} job - The Bull job object used for progress tracking.
+   * @param {Array<number|null>} [pages=[]] - The source page of each line of the text.
    * @returns {import('./ArticleExtractor.js').default|null} - Extractor instance or null if invalid classification.
    */
-  static getExtractor (classification, name, text, model, job) {
-    switch (classification) {
-      case 'Ley':
-        return new LawArticleExtractor(name, text, model, job)
-
-      case 'Reglamento':
-        return new RegulationArticleExtractor(name, text, model, job)
-
-      case 'Norma':
-        return new NormArticleExtractor(name, text, model, job)
-
-      case 'Acuerdos':
-        return new LawArticleExtractor(name, text, model, job)
-
-      case 'Código':
-        return new LawArticleExtractor(name, text, model, job)
-
-      case 'Decreto':
-        return new LawArticleExtractor(name, text, model, job)
-
-      case 'Lineamiento':
-        return new LawArticleExtractor(name, text, model, job)
-
-      case 'Orden Jurídico':
-        return new LawArticleExtractor(name, text, model, job)
-
-      case 'Aviso':
-        return new LawArticleExtractor(name, text, model, job)
-
-      case 'Convocatoria':
-        return new LawArticleExtractor(name, text, model, job)
-
-      case 'Plan':
-        return new LawArticleExtractor(name, text, model, job)
-
-      case 'Programa':
-        return new LawArticleExtractor(name, text, model, job)
-
-      case 'Recomendaciones':
-        return new LawArticleExtractor(name, text, model, job)
-
-      default:
-        return null
+  static getExtractor (classification, name, text, model, job, pages = []) {
+    const Extractor = this.extractors.get(classification)
+    if (!Extractor) {
+      return null
     }
+    return new Extractor(name, text, model, job, pages)
   }
 }
 
@@ -0,0 +1,180 @@
+import LegalHeadingDetector from './LegalHeadingDetector.js'
+
+/**
+ * @typedef {'paragraph'|'fraction'|'inciso'} SubunitKind
+ */
+
+/**
+ * @typedef {Object} ParsedSubunit
+ * @property {SubunitKind} kind - The kind of sub-unit.
+ * @property {string} label - The number of the sub-unit as cited ("segundo", "IV", "b").
+ * @property {string} citation - The reference to the sub-unit within its article ("fracción IV, inciso b)").
+ * @property {string} content - The text of the sub-unit, with its marker.
+ * @property {number} order - The position of the sub-unit in the article, starting from 1.
+ * @property {number|null} parentIndex - The index of the fraction or paragraph containing an inciso.
+ */
+
+const PARAGRAPH_ORDINALS = [
+  'primero',
+  'segundo',
+  'tercero',
+  'cuarto',
+  'quinto',
+  'sexto',
+  'séptimo',
+  'octavo',
+  'noveno'
+]
+
+/**
+ * Fraction markers: an uppercase Roman numeral, optionally with a Latin suffix ("IV Bis"),
+ * followed by ".", ".-", ")" or a dash.
+ */
+const FRACTION_REGEX = /^([IVXLCDM]+(?:\s+(?:[Bb]is|BIS|[Tt]er|TER|[Qq]u[aá]ter|QU[AÁ]TER))?)\s*(?:\.\s*[-–—]|\.|\)|[-–—])\s*(?=\S)/u
+
+/**
+ * Inciso markers: a lowercase letter followed by ")" or ".".
+ */
+const INCISO_REGEX = /^([a-z])\s*(?:\)|\.)\s+(?=\S)/u
+
+/**
+ * Splits the text of an article into párrafos, fracciones and incisos, the sub-units Mexican
+ * laws cite ("Artículo 28, fracción IV, inciso b)").
+ * Fractions must follow each other from I (a suffixed fraction such as "IV Bis" may repeat the
+ * previous number), and incisos from a); markers out of sequence are read as text. Paragraphs after a list of fractions belong to the article, as in the
+ * citation practice of the Diario Oficial.
+ */
+class ArticleSubunitParser {
+  /**
+   * Parses the sub-units of an article.
+   * @param {string|null} text - The plain text of the article, starting with its heading.
+   * @returns {ParsedSubunit[]} - The sub-units in order, or none if the article is a single paragraph.
+   */
+  static parse (text) {
+    const subunits = []
+    let paragraphIndex = null
+    let paragraphCount = 0
+    let fractionIndex = null
+    let lastFraction = 0
+    let lastInciso = 0
+    for (const block of this._splitBlocks(this._stripHeading(text ?? ''))) {
+      const fraction = block.match(FRACTION_REGEX)
+      const fractionNumber = fraction && this._fractionNumber(fraction[1])
+      const isNextFraction =
+        fractionNumber === lastFraction + 1 ||
+        (fractionNumber === lastFraction && /\s/.test(fraction[1]))
+      if (fraction && isNextFraction) {
+        const label = fraction[1].replace(/\s+/g, ' ')
+        fractionIndex = subunits.length
+        lastFraction = fractionNumber
+        lastInciso = 0
+        subunits.push(this._subunit('fraction', label, `fracción ${label}`, block, subunits.length, null))
+        continue
+      }
+      const inciso = block.match(INCISO_REGEX)
+      const parentIndex = fractionIndex ?? paragraphIndex
+      if (inciso && parentIndex !== null && inciso[1].charCodeAt(0) - 96 === lastInciso + 1) {
+        lastInciso += 1
+        const citation = `${subunits[parentIndex].citation}, inciso ${inciso[1]})`
+        subunits.push(this._subunit('inciso', inciso[1], citation, block, subunits.length, parentIndex))
+        continue
+      }
+      paragraphCount += 1
+      const label = this._paragraphOrdinal(paragraphCount)
+      paragraphIndex = subunits.length
+      fractionIndex = null
+      lastFraction = 0
+      lastInciso = 0
+      subunits.push(this._subunit('paragraph', label, `párrafo ${label}`, block, subunits.length, null))
+    }
+    return subunits.length > 1 ? subunits : []
+  }
+
+  /**
+   * Removes the heading of the article ("Artículo 28.-") from its first line.
+   * @param {string} text - The text of the article.
+   * @returns {string[]} - The lines of the text without the heading.
+   */
+  static _stripHeading (text) {
+    const lines = text.split('\n')
+    const firstIndex = lines.findIndex((line) => line.trim() !== '')
+    if (firstIndex === -1) return []
+    const heading = LegalHeadingDetector.matchHeading(lines[firstIndex])
+    if (heading) {
+      lines[firstIndex] = lines[firstIndex].trim().slice(heading.title.length)
+    }
+    return lines.slice(firstIndex)
+  }
+
+  /**
+   * Joins the lines of the text into blocks, one per paragraph or list item.
+   * A block starts at a fraction or inciso marker and at a blank line; text without blank lines
+   * (as extracted from PDFs) also starts a block after a line ending a sentence, unless the
+   * next line continues it in lowercase.
+   * @param {string[]} lines - The lines of the text.
+   * @returns {string[]} - The blocks, with their lines joined by spaces.
+   */
+  static _splitBlocks (lines) {
+    const hasBlankLines = lines.some((line) => line.trim() === '')
+    const blocks = []
+    let current = null
+    for (const rawLine of lines) {
+      const line = rawLine.trim().replace(/\s+/g, ' ')
+      if (line === '') {
+        if (current !== null) blocks.push(current)
+        current = null
+        continue
+      }
+      const startsBlock =
+        current === null ||
+        FRACTION_REGEX.test(line) ||
+        INCISO_REGEX.test(line) ||
+        (!hasBlankLines && /[.:;]$/.test(current) && !/^\p{Ll}/u.test(line))
+      if (startsBlock) {
+        if (current !== null) blocks.push(current)
+        current = line
+      } else {
+        current = `${current} ${line}`
+      }
+    }
+    if (current !== null) blocks.push(current)
+    return blocks
+  }
+
+  /**
+   * Reads the value of a fraction numeral, ignoring its Latin suffix.
+   * @param {string} label - The numeral as written ("IV", "IV Bis").
+   * @returns {number|null} - The value of the numeral.
+   */
+  static _fractionNumber (label) {
+    return LegalHeadingDetector.parseNumber(label.split(/\s+/)[0].toLowerCase())
+  }
+
+  /**
+   * Names the position of a paragraph as cited ("primero", "décimo segundo").
+   * @param {number} position - The position of the paragraph, starting from 1.
+   * @returns {string} - The ordinal.
+   */
+  static _paragraphOrdinal (position) {
+    if (position < 10) return PARAGRAPH_ORDINALS[position - 1]
+    if (position === 10) return 'décimo'
+    if (position < 20) return `décimo ${PARAGRAPH_ORDINALS[position - 11]}`
+    return String(position)
+  }
+
+  /**
+   * Builds a parsed sub-unit.
+   * @param {SubunitKind} kind - The kind of sub-unit.
+   * @param {string} label - The number of the sub-unit as cited.
+   * @param {string} citation - The reference to the sub-unit within its article.
+   * @param {string} content - The text of the sub-unit.
+   * @param {number} index - The index of the sub-unit in the article.
+   * @param {number|null} parentIndex - The index of its parent.
+   * @returns {ParsedSubunit} - The sub-unit.
+   */
+  static _subunit (kind, label, citation, content, index, parentIndex) {
+    return { kind, label, citation, content, order: index + 1, parentIndex }
+  }
+}
+
+export default ArticleSubunitParser
@@ -0,0 +1,246 @@
+import LegalHeadingDetector, { LATIN_SUFFIXES } from './LegalHeadingDetector.js'
+import { foldAccents } from '../../../utils/searchText.js'
+
+/**
+ * @typedef {'reform'|'addition'|'repeal'} AmendmentAction
+ */
+
+/**
+ * @typedef {Object} ParsedAmendment
+ * @property {string|null} targetName - The name of the amended legal basis, as written in the decree.
+ * @property {AmendmentAction} action - What the decree does to the article.
+ * @property {string} articleName - The name of the amended article ("Artículo 12 Bis").
+ * @property {string|null} content - The text of the article as published in the decree, starting with its heading.
+ * @property {number} order - The position of the amendment in the decree, starting from 1.
+ */
+
+/**
+ * End of the operative statement of a decree ("…de la Ley General…, para quedar como sigue:"),
+ * followed by the new text of the amended articles.
+ */
+const INSTRUCTION_END_REGEX = /para\s+quedar\s+(?:como\s+siguen?|en\s+los\s+(?:siguientes\s+)?terminos(?:\s+siguientes)?)\s*:?/gu
+
+const VERB_REGEX = /\bse\s+(reforma|adiciona|deroga)n?\b/gu
+
+const ACTIONS_BY_VERB = {
+  reforma: 'reform',
+  adiciona: 'addition',
+  deroga: 'repeal'
+}
+
+/**
+ * The amended legal basis, named after the last verb of the statement ("de la Ley…", "del Reglamento…").
+ */
+const TARGET_REGEX = /\b(?:de\s+la|del|de\s+las|de\s+los|a\s+la|al)\s+((?:ley|reglamento|codigo|constitucion|norma|acuerdo|lineamientos?|estatuto)\b.*)$/su
+
+/**
+ * Article numbers cited in a statement ("5", "12 Bis", "4o", "3-A").
+ */
+const ARTICLE_REF_REGEX = new RegExp(
+  `(?<![\\p{L}\\d.])(\\d+(?:\\.\\d+)*(?:o|º|°)?(?:-[a-z])?(?:\\s*-?\\s*(?:${LATIN_SUFFIXES.join('|')}))?)(?![\\p{L}\\d])`,
+  'gu'
+)
+
+/**
+ * Words naming a part of an article; a reference such as "la fracción III del artículo 7"
+ * or "el artículo 5, párrafo tercero" amends that part, and so reforms the article.
+ */
+const SUBUNIT_WORDS = '(?:fracci|parrafo|inciso|numeral|apartado|ultimo)'
+
+/**
+ * Ellipsis a decree prints in place of the parts of an article it leaves unchanged ("I. a III. ...", "…").
+ */
+const ELLIPSIS_REGEX = /\.\s?\.\s?\.|…/u
+
+/**
+ * Reads the amendments of a reform decree published in the Diario Oficial: each operative statement
+ * ("Se reforman los artículos 5 y 12 y se adiciona el 12 Bis de la Ley…, para quedar como sigue:")
+ * names the target legal basis and the amended articles, and is followed by their new text.
+ * Amendments to fractions, paragraphs or incisos reform the whole article, since articles are the
+ * unit stored; partial texts keep the ellipses the decree prints for the unchanged parts, and must
+ * be completed with the current text of the article before they are applied.
+ */
+class DecreeAmendmentParser {
+  /**
+   * Parses the amendments of a decree.
+   * @param {string} text - The full text of the decree.
+   * @returns {ParsedAmendment[]} - The amendments in order, or none if no statement is found.
+   */
+  static parse (text) {
+    const folded = foldAccents(text)
+    const instructions = []
+    let searchFrom = 0
+    for (const end of folded.matchAll(INSTRUCTION_END_REGEX)) {
+      instructions.push({
+        start: this._statementStart(folded, searchFrom, end.index),
+        end: end.index,
+        contentStart: end.index + end[0].length
+      })
+      searchFrom = end.index + end[0].length
+    }
+    const amendments = []
+    instructions.forEach(({ start, end, contentStart }, index) => {
+      const next = instructions[index + 1]
+      const contentEnd = next ? text.lastIndexOf('\n', next.start) + 1 : text.length
+      const statement = this._parseStatement(text, folded, start, end)
+      if (!statement) return
+      const blocks = this._articleBlocks(text.slice(contentStart, Math.max(contentStart, contentEnd)))
+      const references = statement.references.length > 0
+        ? statement.references
+        : [...blocks.entries()].map(([key, block]) => ({
+            key,
+            name: block.name,
+            action: /^\(?\s*se\s+deroga/u.test(foldAccents(block.body)) ? 'repeal' : 'reform'
+          }))
+      for (const { key, name, action } of references) {
+        const block = blocks.get(key)
+        amendments.push({
+          targetName: statement.targetName,
+          action,
+          articleName: block?.name ?? name,
+          content: block?.content ?? null,
+          order: amendments.length + 1
+        })
+      }
+    })
+    return amendments
+  }
+
+  /**
+   * Checks whether the text of an amended article is only the excerpt printed by the decree,
+   * with ellipses standing for the unchanged parts, instead of the full text of the article.
+   * @param {string|null} content - The text of the article, in plain text or HTML.
+   * @returns {boolean} - True if the text keeps ellipses for unchanged parts.
+   */
+  static isPartial (content) {
+    return ELLIPSIS_REGEX.test(String(content ?? '').replace(/<[^>]*>/gu, ' '))
+  }
+
+  /**
+   * Normalizes the name of an article so the same article matches however it is written
+   * ("ARTÍCULO 12 BIS.-", "Artículo 12 Bis", "12 bis"; "Artículo 4o." and "4").
+   * @param {string} name - The name or number of the article.
+   * @returns {string} - The key of the article ("12 bis").
+   */
+  static articleKey (name) {
+    const tokens = foldAccents(name)
+      .replace(/^\s*(?:articulos?|art\.)\s*/u, '')
+      .replace(/[º°]/gu, '')
+      .split(/[^\p{L}\d.]+/u)
+      .map((token) => token.replace(/^\.+|\.+$/gu, ''))
+      .filter(Boolean)
+    const suffix =
+      tokens.length > 1 && LATIN_SUFFIXES.includes(tokens.at(-1)) ? tokens.pop() : null
+    const digits = tokens[0]?.match(/^(\d+(?:\.\d+)*)([a-z])?$/u)
+    const number = digits
+      ? [digits[1], digits[2] !== 'o' && digits[2], ...tokens.slice(1)].filter(Boolean).join(' ')
+      : String(LegalHeadingDetector.parseNumber(tokens.join(' ')) ?? tokens.join(' '))
+    return [number, suffix].filter(Boolean).join(' ')
+  }
+
+  /**
+   * Finds where the statement ending at a position starts: after the last sentence before it,
+   * which is the heading of the operative article ("Artículo Único.-") or the previous content.
+   * @param {string} folded - The accent-folded text.
+   * @param {number} from - Where to start looking.
+   * @param {number} to - Where the statement ends.
+   * @returns {number} - The position of the statement.
+   */
+  static _statementStart (folded, from, to) {
+    let start = from
+    for (const match of folded.slice(from, to).matchAll(/[.:](?:\s*[-–—])?\s+/gu)) {
+      start = from + match.index + match[0].length
+    }
+    return start
+  }
+
+  /**
+   * Reads the target and the amended articles of a statement.
+   * @param {string} text - The text of the decree.
+   * @param {string} folded - The accent-folded text, aligned with the text.
+   * @param {number} start - The position of the statement.
+   * @param {number} end - The position of its closing formula.
+   * @returns {{ targetName: string|null, references: Array<{ key: string, name: string, action: AmendmentAction }> }|null} - The
+   * statement, or null if it amends nothing.
+   */
+  static _parseStatement (text, folded, start, end) {
+    const statement = folded.slice(start, end)
+    const verbs = [...statement.matchAll(VERB_REGEX)]
+    if (verbs.length === 0) return null
+    const target = statement.slice(verbs.at(-1).index).match(TARGET_REGEX)
+    const targetStart = target ? verbs.at(-1).index + target.index : statement.length
+    const targetName = target
+      ? text
+        .slice(start + targetStart + target[0].length - target[1].length, end)
+        .replace(/[\s,;]+$/u, '')
+        .replace(/\s+/gu, ' ')
+      : null
+    const references = []
+    const keys = new Set()
+    verbs.forEach((verb, index) => {
+      const segmentStart = verb.index + verb[0].length
+      const segmentEnd = Math.min(verbs[index + 1]?.index ?? targetStart, targetStart)
+      const segment = statement.slice(segmentStart, segmentEnd)
+      const refs = [...segment.matchAll(ARTICLE_REF_REGEX)]
+      refs.forEach((ref, refIndex) => {
+        const before = segment.slice(
+          refIndex > 0 ? refs[refIndex - 1].index + refs[refIndex - 1][0].length : 0,
+          ref.index
+        )
+        const after = segment.slice(ref.index + ref[0].length, refs[refIndex + 1]?.index)
+        const amendsPart =
+          new RegExp(`^\\s*,?\\s*(?:(?:la|las|el|los|un|una)\\s+)?${SUBUNIT_WORDS}`, 'u').test(after) ||
+          (new RegExp(SUBUNIT_WORDS, 'u').test(before) &&
+            /\b(?:al|del|a\s+los|de\s+los)\s+(?:articulos?\s+)?$/u.test(before))
+        const key = this.articleKey(ref[1])
+        if (keys.has(key)) return
+        keys.add(key)
+        const name = text.slice(start + segmentStart + ref.index, start + segmentStart + ref.index + ref[0].length)
+        references.push({
+          key,
+          name: `Artículo ${name}`,
+          action: amendsPart ? 'reform' : ACTIONS_BY_VERB[verb[1]]
+        })
+      })
+    })
+    return { targetName, references }
+  }
+
+  /**
+   * Splits the new text following a statement into its articles, up to the transitory provisions.
+   * Other headings (chapters, sections) end the article before them.
+   * @param {string} content - The text after the statement.
+   * @returns {Map<string, { name: string, content: string, body: string }>} - The articles by key,
+   * with their name, their text and their text without the heading.
+   */
+  static _articleBlocks (content) {
+    const blocks = new Map()
+    let current = null
+    const close = () => {
+      if (!current) return
+      const body = current.lines.join('\n').trim().slice(current.title.length).trim()
+      const key = this.articleKey(current.title)
+      if (body !== '' && !blocks.has(key)) {
+        blocks.set(key, {
+          name: current.title.replace(/[\s.:;,\-–—]+$/u, ''),
+          content: current.lines.join('\n').trim(),
+          body
+        })
+      }
+      current = null
+    }
+    for (const line of content.split('\n')) {
+      const heading = LegalHeadingDetector.matchHeading(line)
+      if (heading?.kind === 'transitory') break
+      if (heading) {
+        close()
+        if (heading.kind === 'article') current = { title: heading.title, lines: [] }
+      }
+      current?.lines.push(line)
+    }
+    close()
+    return blocks
+  }
+}
+
+export default DecreeAmendmentParser
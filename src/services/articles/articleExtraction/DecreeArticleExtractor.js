@@ -0,0 +1,126 @@
+import LawArticleExtractor from './LawArticleExtractor.js'
+import DecreeAmendmentParser from './DecreeAmendmentParser.js'
+import openai from '../../../config/openapi.config.js'
+import { amendmentsResponseSchema } from '../../../schemas/legalBasisAmendment.schema.js'
+import { zodResponseFormat } from 'openai/helpers/zod'
+import HttpException from '../../errors/HttpException.js'
+import { sleep } from '../../../utils/sleep.js'
+
+/**
+ * Class extending LawArticleExtractor to extract articles from reform decrees (Decretos).
+ * The articles of the decree itself are extracted as those of a law; its amendments to other
+ * legal bases are extracted separately so they can be reviewed and applied to their targets.
+ */
+class DecreeArticleExtractor extends LawArticleExtractor {
+  /**
+   * Method to extract the amendments of the decree.
+   * Amendments are read locally first; the model is only consulted through `_extractAmendments`
+   * when no operative statement is recognized. The text is not cleaned, as the ellipses the decree
+   * prints for unchanged parts of an article tell the analyst the amended text is partial.
+   * @returns {Promise<import('./DecreeAmendmentParser.js').ParsedAmendment[]>} - The amendments,
+   * with their content corrected and formatted in HTML.
+   */
+  async extractAmendments () {
+    const parsedAmendments = DecreeAmendmentParser.parse(this.text)
+    const amendments =
+      parsedAmendments.length > 0
+        ? parsedAmendments
+        : await this._extractAmendments(this.text)
+    const correctedAmendments = []
+    for (const amendment of amendments) {
+      if (await this.job.isFailed()) {
+        throw new HttpException(500, 'Job was canceled')
+      }
+      if (!amendment.content) {
+        correctedAmendments.push(amendment)
+        continue
+      }
+      try {
+        const correctedArticle = await this._correctArticle({
+          title: amendment.articleName,
+          article: amendment.content,
+          plainArticle: '',
+          order: amendment.order
+        })
+        correctedAmendments.push({ ...amendment, content: correctedArticle.article })
+      } catch (error) {
+        correctedAmendments.push(amendment)
+      }
+      await sleep(3000)
+    }
+    return correctedAmendments
+  }
+
+  /**
+   * @param {string} text - The full text of the decree.
+   * @returns {Promise<import('./DecreeAmendmentParser.js').ParsedAmendment[]>} - The amendments extracted by the model.
+   */
+  async _extractAmendments (text) {
+    const request = {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: [
+            'You are an expert in Mexican reform decrees published in the Diario Oficial de la Federación.',
+            'Given the text of a decree, list every article it reforms, adds or repeals in the legal bases it amends.'
+          ].join(' ')
+        },
+        { role: 'user', content: this._buildAmendmentsPrompt(text) }
+      ],
+      temperature: 0,
+      response_format: zodResponseFormat(amendmentsResponseSchema, 'amendments')
+    }
+    const attemptRequest = async (retryCount = 0) => {
+      try {
+        const response = await openai.chat.completions.create(request)
+        const { amendments } = amendmentsResponseSchema.parse(
+          JSON.parse(response.choices[0].message.content)
+        )
+        return amendments.map((amendment, index) => ({
+          ...amendment,
+          targetName: amendment.targetName || null,
+          content: amendment.content || null,
+          order: index + 1
+        }))
+      } catch (error) {
+        if (error.status === 429 && retryCount < 3) {
+          const backoffTime = Math.pow(2, retryCount) * 1000
+          await new Promise((resolve) => setTimeout(resolve, backoffTime))
+          return attemptRequest(retryCount + 1)
+        }
+        throw new HttpException(500, 'Article Processing Error', error)
+      }
+    }
+
+    return attemptRequest()
+  }
+
+  /**
+   * @param {string} text - The full text of the decree.
+   * @returns {string} The formatted prompt.
+   */
+  _buildAmendmentsPrompt (text) {
+    return `
+    Read the operative articles of the following decree ("Artículo Único.- Se reforman los artículos 5 y 12 y se adiciona el 12 Bis de la Ley…, para quedar como sigue:") and list one amendment per amended article, in the order they appear:
+
+    • targetName: the full name of the legal basis the article belongs to, exactly as written in the decree (e.g. "Ley General del Equilibrio Ecológico y la Protección al Ambiente"), without the preceding "de la" or "del".
+    • action:
+       - "reform" when the article is reformed, or when only some of its fractions, paragraphs or incisos are reformed, added or repealed.
+       - "addition" when the whole article is new (e.g. "se adiciona el artículo 12 Bis").
+       - "repeal" when the whole article is repealed ("se deroga el artículo 7").
+    • articleName: the article as named in the decree, e.g. "Artículo 12 Bis".
+    • content: the new text of the article printed after "para quedar como sigue", verbatim, starting with its heading and keeping any ellipses ("...") that stand for unchanged text. Use an empty string if the decree prints no text for it.
+
+    Do NOT list the articles of the decree itself (Artículo Único, Artículo Primero, etc.) nor its transitory provisions.
+    Preserve accents, punctuation and capitalization. Do NOT paraphrase or summarize.
+
+    Decree text:
+    """
+    ${text}
+    """
+    `
+  }
+}
+
+export default DecreeArticleExtractor
@@ -0,0 +1,269 @@
+import ArticleExtractor from './ArticleExtractor.js'
+import openai from '../../../config/openapi.config.js'
+import { singleArticleModelSchema, sectionsResponseSchema } from '../../../schemas/article.schema.js'
+import { zodResponseFormat } from 'openai/helpers/zod'
+import HttpException from '../../errors/HttpException.js'
+import { GUIDELINE_HEADING_KINDS } from './LegalHeadingDetector.js'
+
+/**
+ * Class extending ArticleExtractor to extract articles from (Lineamientos).
+ */
+class GuidelineArticleExtractor extends ArticleExtractor {
+  /**
+   * @returns {import('./LegalHeadingDetector.js').HeadingKind[]} - The heading kinds of lineamientos.
+   */
+  _headingKinds () {
+    return GUIDELINE_HEADING_KINDS
+  }
+
+  /**
+   * @param {string} text - The cleaned full text of the document.
+   * @returns {Promise<Sections>} - Extracted section titles and validity flag.
+   */
+  async _extractSections (text) {
+    const prompt = this._buildSectionsPrompt(text)
+    const request = {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: [
+            'You are an expert in parsing legal documents (Lineamientos).',
+            'Given a Spanish set of guidelines, extract every standalone heading — such as guidelines, numbered points, articles, chapters, annexes and transitory provisions — in their original order.',
+            'Ignore headers, footers, page numbers, and non-structural content.'
+          ].join(' ')
+        },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0,
+      response_format: zodResponseFormat(sectionsResponseSchema, 'sections')
+    }
+    const attemptRequest = async (retryCount = 0) => {
+      try {
+        const response = await openai.chat.completions.create(request)
+        const content = sectionsResponseSchema.parse(
+          JSON.parse(response.choices[0].message.content)
+        )
+        return content
+      } catch (error) {
+        if (error.status === 429 && retryCount < 3) {
+          const backoffTime = Math.pow(2, retryCount) * 1000
+          await new Promise((resolve) => setTimeout(resolve, backoffTime))
+          return attemptRequest(retryCount + 1)
+        }
+        throw new HttpException(500, 'Article Processing Error', error)
+      }
+    }
+
+    return attemptRequest()
+  }
+
+  /**
+   * @param {string} text - The full text of the document.
+   * @returns {string} The formatted prompt.
+   */
+  _buildSectionsPrompt (text) {
+    const lines = text.split('\n')
+    const numberedText = lines.map((line, index) => `${index + 1}: ${line}`).join('\n')
+    return `
+Extract all section headings from a set of guidelines (Lineamientos) issued by a Mexican authority, based strictly on the body content (not from any index or table of contents).
+
+Guidelines are usually issued through an agreement ("ACUERDO por el que se emiten los Lineamientos...") and number their dispositions in one of three ways. Extract the headings of whichever the document uses:
+
+ **Guidelines** (in any casing, preserving punctuation):
+- "Lineamiento 1.", "LINEAMIENTO 2.-", "Lineamiento Tercero.", "Lineamiento 4 Bis."
+
+ **Ordinal or digit points**:
+- "PRIMERO.", "Segundo.-", "DÉCIMO TERCERO.", "Primera.", "1.", "2.-" — only when they number the dispositions, NOT the items of a list inside one.
+
+ **Articles**:
+- "ARTÍCULO ÚNICO.-", "Artículo 1.", "Artículo Segundo."
+
+ **Grouping headings**:
+- "TÍTULO PRIMERO", "CAPÍTULO I", "Capítulo Segundo", "SECCIÓN I"
+
+ **Generic blocks**:
+- "CONSIDERANDO", "ÍNDICE", "CONTENIDO"
+
+ **Transitory provisions**:
+- "TRANSITORIOS", "TRANSITORIO", "Disposiciones Transitorias" (extract each block individually, even if repeated)
+
+ **Annexes**:
+- "ANEXO", "ANEXO ÚNICO", "ANEXO 1", "ANEXO I", "APÉNDICE A"
+
+---
+
+  VERY IMPORTANT — DETECT HEADINGS IN BODY TEXT
+
+• When an agreement issues the guidelines, both its "ARTÍCULO ÚNICO.-" and every guideline it issues must be extracted, in their order.
+
+• Guidelines and points usually appear on the same line as their content ("Lineamiento 1. Los presentes Lineamientos tienen por objeto..."). Extract only the heading and ignore the rest of the line.
+
+• References to guidelines inside a sentence ("conforme al lineamiento 5 de los presentes") are NOT headings.
+
+• The points inside a "TRANSITORIOS" block are content of that block. Do NOT extract them.
+
+• Do NOT extract the items of lists inside a guideline (I., II., a), b), 1., 2.).
+
+• If multiple headers are stacked without content lines in between, only extract the topmost one.
+
+ **Strict Exclusion Rules**:
+- Do NOT include any heading that appears **only inside the "ÍNDICE"** block if it does not reappear in the body text.
+- Do NOT include the title of the document nor the signatures, places and dates at its end.
+- Do NOT include formatting artifacts like centered titles, footers, headers, watermarks, or editorial credits.
+
+• Preserve original **accents**, **punctuation**, and **order** of appearance.
+• Consider the document valid (isValid: true) if it contains at least one extractable heading as defined above.
+
+Important: You must extract and return each heading **exactly as it appears in the original document**, without paraphrasing or summarizing. This is a legal document — accuracy is critical.
+
+ IMPORTANT – ABOUT THE COMPLETE OUTPUT
+- The size of the JSON IS NOT AN OBJECTION. If the document contains hundreds of guidelines, you must list absolutely all of them, one by one, exactly as they appear in the text.
+- DO NOT group, omit, summarize or trim headings.
+- Only return the valid heading found on each line, with its line number.
+
+ **Return the output as valid JSON in this format**:
+
+\`\`\`json
+{
+  "sections": [
+    {
+      "title": "string", // Exact heading text as found in the document
+      "line": number     // Line number (starting from 1)
+    }
+  ],
+  "isValid": true // true if at least one valid heading was found
+}
+\`\`\`
+
+---
+
+Document text:
+"""
+${numberedText}
+"""
+`
+  }
+
+  /**
+   * @param {Article} article - The article object to correct.
+   * @returns {Promise<Article>} - Corrected article object.
+   */
+  async _correctArticle (article) {
+    const prompt = this._buildCorrectPrompt(this.name, article)
+    const request = {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content:
+            'You are a virtual assistant specialized in reviewing, correcting, and documenting the guidelines extracted from various Lineamientos. Note: All Lineamientos are in Spanish, and all output must also be in Spanish.'
+        },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0,
+      response_format: zodResponseFormat(
+        singleArticleModelSchema,
+        'articles_response'
+      )
+    }
+    const attemptRequest = async (retryCount = 0) => {
+      try {
+        const response = await openai.chat.completions.create(request)
+        const content = singleArticleModelSchema.parse(
+          JSON.parse(response.choices[0].message.content)
+        )
+        return content
+      } catch (error) {
+        if (error.status === 429) {
+          if (retryCount < 3) {
+            const backoffTime = Math.pow(2, retryCount) * 1000
+            await new Promise((resolve) => setTimeout(resolve, backoffTime))
+            return attemptRequest(retryCount + 1)
+          } else {
+            throw new HttpException(500, 'Article Processing Error', error)
+          }
+        }
+        throw new HttpException(500, 'Article Processing Error', error)
+      }
+    }
+    return attemptRequest()
+  }
+
+  /**
+   * @param {string} legalName - The name of the legal Base.
+   * @param {Article} article - The article object for which the prompt is built.
+   * @returns {string} - The constructed prompt.
+   */
+  _buildCorrectPrompt (legalName, article) {
+    return `
+Analyze the content of "${article.title}" within the guidelines titled "${legalName}". Then, help format and correct the following guideline using professional HTML structure and styles:
+
+{
+  "title": "${article.title}",
+  "article": \`\`\`${article.article}\`\`\`,
+  "plainArticle": "${article.plainArticle}",
+  "order": ${article.order}
+}
+
+VERY IMPORTANT:
+- Do not paraphrase, summarize, restructure or reinterpret the original text.
+- Every guideline, list item, and table must be reproduced **verbatim**, including punctuation, spacing, and line breaks.
+- This is a legal document and must preserve its original wording with full fidelity.
+- Apply the CSS ('style="text-align: justify;">') style to all paragraph (<p>) elements and relevant text content to ensure that the text is aligned to both margins (Except in tables).
+
+### Instructions:
+
+1. **plainArticle**:
+   - The "plainArticle" field must always remain as an empty string ("").
+   - Do not modify or populate this field with any content.
+
+2. **Title**:
+   - The title field should only state the guideline, point, article, chapter or annex, without its trailing punctuation.
+   - If the guideline has a thematic name on its line ("Lineamiento 3. Definiciones."), keep the name in the title: "Lineamiento 3. Definiciones".
+   - If the extracted content repeats the title from the start, remove that duplicate so that it only appears once.
+   - For **TRANSITORIOS**, always leave the title as "TRANSITORIOS" and keep its points ("PRIMERO.", "SEGUNDO.") in the content.
+   - Do not use HTML tags in titles.
+
+  #### Examples (in Spanish):
+   - **Lineamiento 1.** → Lineamiento 1
+   - **LINEAMIENTO DÉCIMO.-** → LINEAMIENTO DÉCIMO
+   - **Primero.** → Primero
+   - **CAPÍTULO II** → CAPÍTULO II
+
+3. **Guidelines**:
+   - Divide long content into paragraphs, each explaining a specific provision, using <p>, <ul> and <li> tags.
+   - Definitions ("Para efectos de los presentes Lineamientos se entenderá por:") must keep every term as its own list item, with the term in <b>.
+   - **Never delete, omit, or ignore numbered or lettered items** (e.g., I., II., a), b), 1., 2.) found in the guideline.
+   - Complete truncated words or sentences without altering their meaning.
+
+  #### Example (in Spanish):
+   **title:** Lineamiento 2
+   **article:** Para efectos de los presentes Lineamientos se entenderá por: I. Comisión: la Comisión Nacional del Agua; II. Usuario: la persona física o moral que explota aguas nacionales.
+   **order:** 3
+
+  **Output (Formatted in HTML):**
+   **title:** Lineamiento 2   // Titles should not have HTML tags.
+   **article:** <p style="text-align: justify;">Para efectos de los presentes <i>Lineamientos</i> se entenderá por:</p>
+   <ul><li><b>I. Comisión:</b> la Comisión Nacional del Agua;</li><li><b>II. Usuario:</b> la persona física o moral que explota aguas nacionales.</li></ul>
+   **order:** 3
+
+4. **Chapters, Sections, and Annexes**:
+   - Titles should be short and precise, containing only the grouping heading and its name.
+   - Keep every table of an annex using <table>, <thead>, <tbody>, and <tr> tags, and always include its title immediately **before** the <table> tag.
+
+5. **Transitory Provisions**:
+   - Format each transitory point in its own paragraph, with its ordinal in <b>.
+
+### Additional Formatting Guidelines:
+
+- Please do not create or write random definitions within the guideline. Just make sure you are working with the information that is being shared with you.
+- Respect spaces, punctuation (e.g., periods, hyphens), and line breaks for clarity.
+- The text contains footnotes or headers that are not relevant to the context. Remove them.
+- Use semantic HTML wherever possible to improve readability and structure.
+- Return the corrected object in **Spanish**, preserving the original meaning of the text.
+  `
+  }
+}
+
+export default GuidelineArticleExtractor
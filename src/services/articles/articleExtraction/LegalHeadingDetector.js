@@ -0,0 +1,421 @@
+import { foldAccents } from '../../../utils/searchText.js'
+
+/**
+ * @typedef {'article'|'book'|'title'|'chapter'|'section'|'transitory'|'annex'|'appendix'|'block'|'numbered'|'point'|'guideline'|'objective'} HeadingKind
+ */
+
+/**
+ * @typedef {Object} DetectedSection
+ * @property {string} title - The heading, verbatim, without the text that follows it on its line.
+ * @property {number} line - The line number (starting from 1) of the heading.
+ * @property {HeadingKind} kind - The kind of heading.
+ */
+
+/**
+ * @typedef {Object} SectionDetection
+ * @property {DetectedSection[]} sections - The headings, in document order.
+ * @property {boolean} isValid - Whether at least one heading was found.
+ * @property {number} confidence - From 0 to 1, how likely the headings are complete and correct.
+ */
+
+/**
+ * Heading kinds of laws, codes and regulations.
+ */
+export const LAW_HEADING_KINDS = [
+  'article',
+  'book',
+  'title',
+  'chapter',
+  'section',
+  'transitory',
+  'annex',
+  'appendix',
+  'block'
+]
+
+/**
+ * Heading kinds of Normas Oficiales Mexicanas, whose top-level sections are numbered ("1. OBJETIVO").
+ */
+export const NORM_HEADING_KINDS = [
+  'numbered',
+  'section',
+  'transitory',
+  'annex',
+  'appendix',
+  'block'
+]
+
+/**
+ * Heading kinds of acuerdos, whose dispositions are ordinal points ("PRIMERO.-", "SEGUNDO.")
+ * or articles.
+ */
+export const AGREEMENT_HEADING_KINDS = [
+  'article',
+  'point',
+  'title',
+  'chapter',
+  'section',
+  'transitory',
+  'annex',
+  'appendix',
+  'block'
+]
+
+/**
+ * Heading kinds of lineamientos, numbered as guidelines ("Lineamiento 3"), ordinal points
+ * ("Primero.") or articles.
+ */
+export const GUIDELINE_HEADING_KINDS = [
+  'guideline',
+  'article',
+  'point',
+  'title',
+  'chapter',
+  'section',
+  'transitory',
+  'annex',
+  'appendix',
+  'block'
+]
+
+/**
+ * Heading kinds of programas and planes, made of numbered chapters ("1.- Introducción") and
+ * their objectives ("Objetivo prioritario 1.-").
+ */
+export const PROGRAM_HEADING_KINDS = [
+  'numbered',
+  'objective',
+  'transitory',
+  'annex',
+  'appendix',
+  'block'
+]
+
+/**
+ * Heading kinds whose numbers follow each other; the detection is checked against them.
+ */
+const SEQUENCED_HEADING_KINDS = ['article', 'numbered', 'point', 'guideline', 'objective']
+
+/**
+ * Confidence of a document whose headings have no numbering to check.
+ */
+const UNNUMBERED_CONFIDENCE = 0.5
+
+const UNIT_ORDINALS = {
+  primer: 1,
+  primero: 1,
+  primera: 1,
+  segundo: 2,
+  segunda: 2,
+  tercer: 3,
+  tercero: 3,
+  tercera: 3,
+  cuarto: 4,
+  cuarta: 4,
+  quinto: 5,
+  quinta: 5,
+  sexto: 6,
+  sexta: 6,
+  septimo: 7,
+  septima: 7,
+  setimo: 7,
+  setima: 7,
+  octavo: 8,
+  octava: 8,
+  noveno: 9,
+  novena: 9,
+  nono: 9,
+  nona: 9
+}
+
+const TENS_ORDINALS = {
+  decimo: 10,
+  decima: 10,
+  undecimo: 11,
+  undecima: 11,
+  duodecimo: 12,
+  duodecima: 12,
+  vigesimo: 20,
+  vigesima: 20,
+  trigesimo: 30,
+  trigesima: 30,
+  cuadragesimo: 40,
+  cuadragesima: 40,
+  quincuagesimo: 50,
+  quincuagesima: 50,
+  sexagesimo: 60,
+  sexagesima: 60,
+  septuagesimo: 70,
+  septuagesima: 70,
+  octogesimo: 80,
+  octogesima: 80,
+  nonagesimo: 90,
+  nonagesima: 90,
+  centesimo: 100,
+  centesima: 100
+}
+
+/**
+ * Latin suffixes of articles added between two others ("12 Bis", "12 Ter"), in order.
+ */
+export const LATIN_SUFFIXES = [
+  'bis',
+  'ter',
+  'quater',
+  'quinquies',
+  'sexies',
+  'septies',
+  'octies',
+  'nonies',
+  'novies',
+  'decies',
+  'undecies',
+  'duodecies',
+  'terdecies',
+  'quaterdecies',
+  'quindecies'
+]
+
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 }
+
+const words = (map) =>
+  Object.keys(map)
+    .sort((a, b) => b.length - a.length)
+    .join('|')
+const UNIT = `(?:${words(UNIT_ORDINALS)})`
+const TENS = `(?:${words(TENS_ORDINALS)})`
+const ORDINAL = `(?:${TENS}(?:\\s*${UNIT})?|${UNIT}|unic[oa])`
+const ORDINAL_REGEX = new RegExp(`^(?:(${TENS})\\s*)?(${UNIT})?$`)
+const ROMAN = '(?:(?=[ivxlcdm])m{0,4}(?:cm|cd|d?c{0,3})(?:xc|xl|l?x{0,3})(?:ix|iv|v?i{0,3}))'
+const DIGITS = '(?:\\d+(?:[.-]\\d+)*(?:[º°]|-?[a-z])?)'
+const NUMBER = `(?:${DIGITS}|${ORDINAL}|${ROMAN})(?![\\p{L}\\d])`
+const SUFFIX = `(?:\\s+(?:${LATIN_SUFFIXES.join('|')})(?![\\p{L}]))?`
+const TRAILING = '\\s*[.:;,]?(?:\\s*[-–—])?'
+const POINT_TRAILING = '\\s*[.:]?(?:\\s*[-–—])?'
+const QUALIFIER = `(?:\\s+(?:normativo|tecnico|informativo|unico))?(?:\\s+(?:(${NUMBER})|[a-z](?![\\p{L}\\d])))?`
+
+/**
+ * Line patterns of each heading kind, matched against the accent-folded, lowercase line.
+ * Group 1 is the heading and group 2 its number, when it has one.
+ * `whole` kinds must fill their line; the others may be followed by text.
+ */
+const HEADING_PATTERNS = {
+  article: {
+    regex: new RegExp(`^((?:articulo|art\\.)\\s*(${NUMBER})${SUFFIX}${TRAILING})`, 'u'),
+    requiresTerminator: true
+  },
+  book: { regex: new RegExp(`^(libro\\s+(${NUMBER})${SUFFIX}${TRAILING})`, 'u') },
+  title: { regex: new RegExp(`^(titulo\\s+(${NUMBER})${SUFFIX}${TRAILING})`, 'u') },
+  chapter: { regex: new RegExp(`^(capitulo\\s+(${NUMBER})${SUFFIX}${TRAILING})`, 'u') },
+  section: { regex: new RegExp(`^(seccion\\s+(${NUMBER})${SUFFIX}${TRAILING})`, 'u') },
+  transitory: {
+    regex: /^((?:articulos?\s+|disposiciones\s+)?transitori[oa]s?[.:;]?)$/u,
+    whole: true
+  },
+  annex: { regex: new RegExp(`^(anexo${QUALIFIER}${TRAILING})`, 'u') },
+  appendix: { regex: new RegExp(`^(apendice${QUALIFIER}${TRAILING})`, 'u') },
+  block: {
+    regex: /^((?:considerandos?|resultandos?|preambulo|prefacio|introduccion|indice|contenido)[.:;]?)$/u,
+    whole: true
+  },
+  numbered: {
+    regex: /^((\d{1,2})\.?(?:\s*[-–—])?\s+\p{L}[^.;:,]{1,80}[.:]?)$/u,
+    whole: true
+  },
+  point: {
+    regex: new RegExp(`^((${ORDINAL})(?![\\p{L}\\d])${POINT_TRAILING})`, 'u'),
+    requiresTerminator: true
+  },
+  guideline: {
+    regex: new RegExp(`^(lineamiento\\s+(${NUMBER})${SUFFIX}${TRAILING})`, 'u'),
+    requiresTerminator: true
+  },
+  objective: {
+    regex: new RegExp(
+      `^(objetivo(?:\\s+(?:prioritario|general|especifico))?\\s+(${DIGITS})(?![\\p{L}\\d])${TRAILING})`,
+      'u'
+    ),
+    requiresTerminator: true
+  }
+}
+
+/**
+ * Detects the section headings of Spanish legal documents (articles, points, guidelines,
+ * objectives, titles, chapters, sections, transitory provisions, annexes and generic blocks) with
+ * a grammar of their numbering: digits, Roman numerals, ordinals ("Décimo Segundo", "Único") and
+ * Latin suffixes ("bis", "ter", "quáter").
+ */
+class LegalHeadingDetector {
+  /**
+   * Detects the headings of a text, following the rules given to the model for the same task:
+   * headings stacked without content keep only the first one (articles, points, guidelines and
+   * objectives are always kept, as they carry the norms), articles and points inside a transitory
+   * block are part of it, and the entries of an index are dropped when they appear again in the
+   * body. Numbered headings must start at 0 or 1
+   * and continue the previous number.
+   * The confidence is the share of consecutive article, point, guideline, objective or numbered
+   * headings whose numbers follow each other; gaps and jumps hint at missed or misread headings.
+   * @param {string} text - The full text of the document.
+   * @param {HeadingKind[]} [kinds=LAW_HEADING_KINDS] - The kinds of headings to detect.
+   * @returns {SectionDetection} - The detected headings and the confidence of the detection.
+   */
+  static detect (text, kinds = LAW_HEADING_KINDS) {
+    const candidates = []
+    text.split('\n').forEach((line, index) => {
+      const heading = this.matchHeading(line, kinds)
+      if (heading) candidates.push({ ...heading, line: index + 1 })
+    })
+    const sections = []
+    let inTransitory = false
+    let previous = null
+    let lastNumbered = null
+    for (const candidate of this._dropIndexEntries(candidates)) {
+      const isNumbered = SEQUENCED_HEADING_KINDS.includes(candidate.kind)
+      if (candidate.kind === 'transitory') {
+        inTransitory = true
+      } else if (!isNumbered) {
+        inTransitory = false
+      } else if (inTransitory) {
+        continue
+      }
+      if (candidate.kind === 'numbered') {
+        const expected = lastNumbered === null ? candidate.number <= 1 : candidate.number === lastNumbered + 1
+        if (!expected) continue
+        lastNumbered = candidate.number
+      }
+      const stacked = previous?.line === candidate.line - 1 && previous.fillsLine
+      previous = candidate
+      if (stacked && !isNumbered) continue
+      sections.push(candidate)
+    }
+    return {
+      sections: sections.map(({ title, line, kind }) => ({ title, line, kind })),
+      isValid: sections.length > 0,
+      confidence: sections.length > 0 ? this._confidence(sections) : 0
+    }
+  }
+
+  /**
+   * Matches a line against the heading patterns.
+   * @param {string} line - The line.
+   * @param {HeadingKind[]} [kinds=LAW_HEADING_KINDS] - The kinds of headings to detect.
+   * @returns {{ title: string, kind: HeadingKind, number: number|null, fillsLine: boolean }|null} - The
+   * heading, with the value of its number, or null if the line does not start with one.
+   */
+  static matchHeading (line, kinds = LAW_HEADING_KINDS) {
+    const original = line.trim()
+    const folded = foldAccents(original)
+    for (const kind of kinds) {
+      const { regex, whole } = HEADING_PATTERNS[kind]
+      const match = folded.match(regex)
+      if (!match) continue
+      const rest = original.slice(match[1].length).trim()
+      if (!whole && !this._isHeadingRest(kind, original, rest)) continue
+      return {
+        title: original.slice(0, match[1].length).trim(),
+        kind,
+        number: match[2] ? this.parseNumber(match[2]) : null,
+        fillsLine: rest === ''
+      }
+    }
+    return null
+  }
+
+  /**
+   * Converts the number of a heading (digits, ordinal or Roman numeral) to its value.
+   * @param {string} number - The accent-folded, lowercase number.
+   * @returns {number|null} - The value, or null if it cannot be read.
+   */
+  static parseNumber (number) {
+    const digits = number.match(/^\d+/)
+    if (digits) return Number(digits[0])
+    if (/^unic[oa]$/.test(number)) return 1
+    const ordinal = number.match(ORDINAL_REGEX)
+    if (ordinal && (ordinal[1] || ordinal[2])) {
+      return (TENS_ORDINALS[ordinal[1]] ?? 0) + (UNIT_ORDINALS[ordinal[2]] ?? 0)
+    }
+    if (/^[ivxlcdm]+$/.test(number)) {
+      let value = 0
+      for (let index = 0; index < number.length; index++) {
+        const current = ROMAN_VALUES[number[index]]
+        const next = ROMAN_VALUES[number[index + 1]] ?? 0
+        value += current < next ? -current : current
+      }
+      return value
+    }
+    return null
+  }
+
+  /**
+   * Checks whether the text after a heading keeps it a heading rather than a reference inside
+   * a wrapped sentence ("artículo 5 de esta Ley"): articles must end in punctuation or the line;
+   * other headings may also be followed by an uppercase name or start with an uppercase keyword.
+   * @param {HeadingKind} kind - The kind of heading.
+   * @param {string} line - The trimmed line.
+   * @param {string} rest - The text after the heading.
+   * @returns {boolean} - True if the line is a heading.
+   */
+  static _isHeadingRest (kind, line, rest) {
+    if (rest === '') return true
+    const heading = line.slice(0, line.length - rest.length).trim()
+    const endsInPunctuation = /[.:;,\-–—]$/.test(heading)
+    if (HEADING_PATTERNS[kind].requiresTerminator) return endsInPunctuation
+    const isUppercase = (text) => text === text.toUpperCase()
+    return endsInPunctuation || isUppercase(rest) || isUppercase(heading)
+  }
+
+  /**
+   * Drops the headings listed in an index ("ÍNDICE", "CONTENIDO"): those between the index
+   * heading and the body heading repeating its first entry.
+   * @param {Array<Object>} candidates - The matched headings, in order.
+   * @returns {Array<Object>} - The headings without the index entries.
+   */
+  static _dropIndexEntries (candidates) {
+    const key = ({ title }) => foldAccents(title).replace(/[^\p{L}\d]+/gu, ' ').trim()
+    const result = []
+    for (let index = 0; index < candidates.length; index++) {
+      const candidate = candidates[index]
+      result.push(candidate)
+      if (!/^(indice|contenido)$/.test(key(candidate)) || !candidates[index + 1]) continue
+      const firstEntry = key(candidates[index + 1])
+      const bodyStart = candidates.findIndex(
+        (other, otherIndex) => otherIndex > index + 1 && key(other) === firstEntry
+      )
+      if (bodyStart !== -1) index = bodyStart - 1
+    }
+    return result
+  }
+
+  /**
+   * Computes the share of consecutive numbered headings of the same kind whose numbers follow
+   * each other (the same number for "bis" headings, or the next one); each kind is numbered on
+   * its own, as the points of an acuerdo restart after its "ARTÍCULO ÚNICO". A single article
+   * or point ("ARTÍCULO ÚNICO", "ÚNICO.-") is trusted; a lone numbered section is not, as normas
+   * have several.
+   * @param {Array<{ kind: HeadingKind, number: number|null }>} sections - The detected headings.
+   * @returns {number} - The confidence, from 0 to 1.
+   */
+  static _confidence (sections) {
+    const numberedSections = sections.filter(({ kind }) => SEQUENCED_HEADING_KINDS.includes(kind))
+    if (numberedSections.length === 0) return UNNUMBERED_CONFIDENCE
+    const previousNumbers = {}
+    const steps = []
+    for (const { kind, number } of numberedSections) {
+      if (kind in previousNumbers) {
+        const previous = previousNumbers[kind]
+        const step = number - previous
+        steps.push(number !== null && previous !== null && (step === 0 || step === 1))
+      }
+      previousNumbers[kind] = number
+    }
+    if (steps.length === 0) {
+      const isTrusted = numberedSections.every(
+        ({ kind, number }) => kind !== 'numbered' && number !== null
+      )
+      return isTrusted ? 1 : UNNUMBERED_CONFIDENCE
+    }
+    return steps.filter(Boolean).length / steps.length
+  }
+}
+
+export default LegalHeadingDetector
@@ -3,11 +3,19 @@ import openai from '../../../config/openapi.config.js'
 import { singleArticleModelSchema, sectionsResponseSchema } from '../../../schemas/article.schema.js'
 import { zodResponseFormat } from 'openai/helpers/zod'
 import HttpException from '../../errors/HttpException.js'
+import { NORM_HEADING_KINDS } from './LegalHeadingDetector.js'
 
 /**
  * Class extending ArticleExtractor to extract articles from (NOMs).
  */
 class NormArticleExtractor extends ArticleExtractor {
+  /**
+   * @returns {import('./LegalHeadingDetector.js').HeadingKind[]} - The heading kinds of normas.
+   */
+  _headingKinds () {
+    return NORM_HEADING_KINDS
+  }
+
   /**
    * @param {string} text - The cleaned full text of the document.
    * @returns {Promise<Sections>} - Extracted section titles and validity flag.
@@ -0,0 +1,264 @@
+import ArticleExtractor from './ArticleExtractor.js'
+import openai from '../../../config/openapi.config.js'
+import { singleArticleModelSchema, sectionsResponseSchema } from '../../../schemas/article.schema.js'
+import { zodResponseFormat } from 'openai/helpers/zod'
+import HttpException from '../../errors/HttpException.js'
+import { PROGRAM_HEADING_KINDS } from './LegalHeadingDetector.js'
+
+/**
+ * Class extending ArticleExtractor to extract articles from (Programas and Planes).
+ */
+class ProgramArticleExtractor extends ArticleExtractor {
+  /**
+   * @returns {import('./LegalHeadingDetector.js').HeadingKind[]} - The heading kinds of programas and planes.
+   */
+  _headingKinds () {
+    return PROGRAM_HEADING_KINDS
+  }
+
+  /**
+   * @param {string} text - The cleaned full text of the document.
+   * @returns {Promise<Sections>} - Extracted section titles and validity flag.
+   */
+  async _extractSections (text) {
+    const prompt = this._buildSectionsPrompt(text)
+    const request = {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: [
+            'You are an expert in parsing planning documents (Programas and Planes).',
+            'Given a Spanish program or plan, extract every standalone heading — such as numbered chapters, objectives, annexes and transitory provisions — in their original order.',
+            'Ignore headers, footers, page numbers, and non-structural content.'
+          ].join(' ')
+        },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0,
+      response_format: zodResponseFormat(sectionsResponseSchema, 'sections')
+    }
+    const attemptRequest = async (retryCount = 0) => {
+      try {
+        const response = await openai.chat.completions.create(request)
+        const content = sectionsResponseSchema.parse(
+          JSON.parse(response.choices[0].message.content)
+        )
+        return content
+      } catch (error) {
+        if (error.status === 429 && retryCount < 3) {
+          const backoffTime = Math.pow(2, retryCount) * 1000
+          await new Promise((resolve) => setTimeout(resolve, backoffTime))
+          return attemptRequest(retryCount + 1)
+        }
+        throw new HttpException(500, 'Article Processing Error', error)
+      }
+    }
+
+    return attemptRequest()
+  }
+
+  /**
+   * @param {string} text - The full text of the document.
+   * @returns {string} The formatted prompt.
+   */
+  _buildSectionsPrompt (text) {
+    const lines = text.split('\n')
+    const numberedText = lines.map((line, index) => `${index + 1}: ${line}`).join('\n')
+    return `
+Extract all section headings from a government program or plan (Programa Sectorial, Programa Nacional, Plan Nacional de Desarrollo, Programa de Manejo, etc.), based strictly on the body content (not from any index or table of contents).
+
+Programs and plans are not organized in articles. They are organized in **numbered chapters** and **objectives**:
+
+ **Numbered chapters** (in any casing, preserving punctuation):
+- "1.- Índice", "2.- Fundamento normativo de elaboración del Programa", "3.- Siglas y acrónimos"
+- "5.- Análisis del estado actual", "6.- Objetivos prioritarios", "7.- Estrategias prioritarias y Acciones puntuales"
+- "8.- Metas para el bienestar y Parámetros", "9.- Epílogo: Visión hacia el futuro"
+- Also accept "1. Introducción", "2. Diagnóstico", "3. Objetivos".
+
+ **Objectives**:
+- "Objetivo prioritario 1.-", "Objetivo 2.", "Objetivo general 1:", "Objetivo específico 3."
+
+ **Generic blocks**:
+- "PRESENTACIÓN", "INTRODUCCIÓN", "CONSIDERANDO", "ÍNDICE", "CONTENIDO"
+
+ **Transitory provisions**:
+- "TRANSITORIOS", "TRANSITORIO" (extract each block individually, even if repeated)
+
+ **Annexes**, which often hold the tables of indicators and goals:
+- "ANEXO", "ANEXO 1", "ANEXO I", "APÉNDICE A"
+
+---
+
+  VERY IMPORTANT — DETECT HEADINGS IN BODY TEXT
+
+• Do NOT extract the strategies ("Estrategia prioritaria 1.1") nor the specific actions ("Acción puntual 1.1.1"): they belong to the content of their objective or chapter.
+
+• Do NOT extract the rows, columns, or titles of the tables of indicators, goals, and parameters ("Meta 1.1", "Parámetro 1.2", "Línea base").
+
+• Do NOT extract the sub-numbered headings of a chapter ("6.1", "6.1.2").
+
+• Do not extract subtitles, thematic descriptions, or content headers, even if they are in uppercase or appear on a separate line.
+
+• If multiple headers are stacked without content lines in between, only extract the topmost one.
+
+ **Strict Exclusion Rules**:
+- Do NOT include any heading that appears **only inside the "ÍNDICE"** block if it does not reappear in the body text.
+- Do NOT include the decree that approves the program ("DECRETO por el que se aprueba el Programa...") as a heading, only its transitory provisions.
+- Do NOT include formatting artifacts like centered titles, footers, headers, watermarks, or editorial credits.
+
+• Preserve original **accents**, **punctuation**, and **order** of appearance.
+• Consider the document valid (isValid: true) if it contains at least one extractable heading as defined above.
+
+Important: You must extract and return each heading **exactly as it appears in the original document**, without paraphrasing or summarizing. This is a legal document — accuracy is critical.
+
+ IMPORTANT – ABOUT THE COMPLETE OUTPUT
+- The size of the JSON IS NOT AN OBJECTION. You must list absolutely all the headings, one by one, exactly as they appear in the text.
+- DO NOT group, omit, summarize or trim headings.
+- Only return the valid heading found on each line, with its line number.
+
+ **Return the output as valid JSON in this format**:
+
+\`\`\`json
+{
+  "sections": [
+    {
+      "title": "string", // Exact heading text as found in the document
+      "line": number     // Line number (starting from 1)
+    }
+  ],
+  "isValid": true // true if at least one valid heading was found
+}
+\`\`\`
+
+---
+
+Document text:
+"""
+${numberedText}
+"""
+`
+  }
+
+  /**
+   * @param {Article} article - The article object to correct.
+   * @returns {Promise<Article>} - Corrected article object.
+   */
+  async _correctArticle (article) {
+    const prompt = this._buildCorrectPrompt(this.name, article)
+    const request = {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content:
+            'You are a virtual assistant specialized in reviewing, correcting, and documenting the chapters and objectives extracted from various government Programs and Plans. Note: All Programs and Plans are in Spanish, and all output must also be in Spanish.'
+        },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0,
+      response_format: zodResponseFormat(
+        singleArticleModelSchema,
+        'articles_response'
+      )
+    }
+    const attemptRequest = async (retryCount = 0) => {
+      try {
+        const response = await openai.chat.completions.create(request)
+        const content = singleArticleModelSchema.parse(
+          JSON.parse(response.choices[0].message.content)
+        )
+        return content
+      } catch (error) {
+        if (error.status === 429) {
+          if (retryCount < 3) {
+            const backoffTime = Math.pow(2, retryCount) * 1000
+            await new Promise((resolve) => setTimeout(resolve, backoffTime))
+            return attemptRequest(retryCount + 1)
+          } else {
+            throw new HttpException(500, 'Article Processing Error', error)
+          }
+        }
+        throw new HttpException(500, 'Article Processing Error', error)
+      }
+    }
+    return attemptRequest()
+  }
+
+  /**
+   * @param {string} legalName - The name of the legal Base.
+   * @param {Article} article - The article object for which the prompt is built.
+   * @returns {string} - The constructed prompt.
+   */
+  _buildCorrectPrompt (legalName, article) {
+    return `
+Analyze the content of "${article.title}" within the program or plan titled "${legalName}". Then, help format and correct the following section using professional HTML structure and styles:
+
+{
+  "title": "${article.title}",
+  "article": \`\`\`${article.article}\`\`\`,
+  "plainArticle": "${article.plainArticle}",
+  "order": ${article.order}
+}
+
+VERY IMPORTANT:
+- Do not paraphrase, summarize, restructure or reinterpret the original text.
+- Every objective, strategy, action, and table must be reproduced **verbatim**, including punctuation, spacing, and line breaks.
+- This is an official document and must preserve its original wording with full fidelity.
+- Apply the CSS ('style="text-align: justify;">') style to all paragraph (<p>) elements and relevant text content to ensure that the text is aligned to both margins (Except in tables).
+
+### Instructions:
+
+1. **plainArticle**:
+   - The "plainArticle" field must always remain as an empty string ("").
+   - Do not modify or populate this field with any content.
+
+2. **Title**:
+   - The title field should state the chapter or objective with its number and name, without trailing punctuation.
+   - If the extracted content repeats the title from the start, remove that duplicate so that it only appears once.
+   - Do not use HTML tags in titles.
+
+  #### Examples (in Spanish):
+   - **6.- Objetivos prioritarios** → 6.- Objetivos prioritarios
+   - **Objetivo prioritario 1.- Promover la conservación de los ecosistemas.** → Objetivo prioritario 1
+   - **ANEXO 1** → ANEXO 1
+
+3. **Objectives, Strategies and Actions**:
+   - Keep the text of the objective in its first paragraph.
+   - Keep every strategy ("Estrategia prioritaria 1.1") as a subheading (<h3>) and its specific actions ("Acción puntual 1.1.1") as list items, each with its full number in <b>.
+   - **Never delete, omit, or ignore numbered items** (e.g., 1.1, 1.1.1, 1.1.2) found in the section.
+
+  #### Example (in Spanish):
+   **title:** Objetivo prioritario 1
+   **article:** Promover la conservación de los ecosistemas. Estrategia prioritaria 1.1 Fortalecer la protección de las áreas naturales. 1.1.1 Actualizar los programas de manejo. 1.1.2 Incrementar la vigilancia comunitaria.
+   **order:** 4
+
+  **Output (Formatted in HTML):**
+   **title:** Objetivo prioritario 1   // Titles should not have HTML tags.
+   **article:** <p style="text-align: justify;">Promover la conservación de los ecosistemas.</p>
+   <h3>Estrategia prioritaria 1.1 Fortalecer la protección de las áreas naturales.</h3>
+   <ul><li><b>1.1.1</b> Actualizar los programas de manejo.</li><li><b>1.1.2</b> Incrementar la vigilancia comunitaria.</li></ul>
+   **order:** 4
+
+4. **Chapters**:
+   - Divide long diagnostic text into paragraphs, and keep its sub-numbered headings ("5.1", "5.2") as subheadings (<h3>).
+
+5. **Tables of Indicators and Annexes**:
+   - Keep every table of goals, indicators, and parameters using <table>, <thead>, <tbody>, and <tr> tags, and always include its title immediately **before** the <table> tag.
+   - Never drop rows, columns, units, base lines, or target values.
+
+6. **Transitory Provisions**:
+   - Format each transitory point in its own paragraph, with its ordinal in <b>.
+
+### Additional Formatting Guidelines:
+
+- Please do not create or write random definitions, goals, or figures. Just make sure you are working with the information that is being shared with you.
+- Respect spaces, punctuation (e.g., periods, hyphens), and line breaks for clarity.
+- The text contains footnotes or headers that are not relevant to the context. Remove them.
+- Use semantic HTML wherever possible to improve readability and structure.
+- Return the corrected object in **Spanish**, preserving the original meaning of the text.
+  `
+  }
+}
+
+export default ProgramArticleExtractor
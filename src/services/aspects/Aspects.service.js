@@ -1,7 +1,7 @@
 import AspectsRepository from '../../repositories/Aspects.repository.js'
 import SubjectsRepository from '../../repositories/Subject.repository.js'
 import HttpException from '../errors/HttpException.js'
-import aspectSchema from '../../schemas/aspect.schema.js'
+import aspectSchema, { aspectListQuerySchema } from '../../schemas/aspect.schema.js'
 import { z } from 'zod'
 
 /**
@@ -55,23 +55,36 @@ class AspectsService {
   }
 
   /**
-   * Fetches all aspects associated with a specific subject.
+   * Fetches a page of the aspects associated with a specific subject.
    * @param {number} subjectId - The ID of the subject to retrieve aspects for.
-   * @returns {Promise<Array<Aspect>>} - List of aspects associated with the subject.
-   * @throws {HttpException} - If an error occurs during retrieval.
+   * @param {Object} [query] - The list query.
+   * @param {number} [query.page] - The page number.
+   * @param {number} [query.pageSize] - The page size.
+   * @param {string} [query.cursor] - The cursor of the page, instead of a page number.
+   * @param {string} [query.sort] - The sort fields, e.g. '-orderIndex,name'.
+   * @param {string} [query.name] - A partial name of the aspect.
+   * @returns {Promise<import('../../utils/pagination.js').Page<Aspect>>} - The page of aspects.
+   * @throws {HttpException} - If the subject is not found, the query is invalid or an error occurs during retrieval.
    */
-  static async getBySubjectId (subjectId) {
+  static async getBySubjectId (subjectId, query = {}) {
     try {
+      const { filters, listOptions } = aspectListQuerySchema.parse(query)
       const subjectExists = await SubjectsRepository.findById(subjectId)
       if (!subjectExists) {
         throw new HttpException(404, 'Subject not found')
       }
-      const aspects = await AspectsRepository.findBySubjectId(subjectId)
-      if (!aspects) {
-        return []
-      }
-      return aspects
+      return await AspectsRepository.findMany(
+        { ...filters, subjectId },
+        listOptions
+      )
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
@@ -100,35 +113,6 @@ class AspectsService {
     }
   }
 
-  /**
-   * Fetches aspects by name.
-   * @param {number} aspectName - The name of the aspect to retrieve.
-   * @param {number} subjectId - The ID of the subject to retrieve aspects for.
-   * @returns {Promise<Array<Aspect>>} - The aspects data.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByName (aspectName, subjectId) {
-    try {
-      const subjectExists = await SubjectsRepository.findById(subjectId)
-      if (!subjectExists) {
-        throw new HttpException(404, 'Subject not found')
-      }
-      const aspects = await AspectsRepository.findByNameAndSubjectId(
-        aspectName,
-        subjectId
-      )
-      if (!aspects) {
-        return []
-      }
-      return aspects
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(500, 'Failed to fetch aspect')
-    }
-  }
-
   /**
  * Updates an aspect by ID.
  * @param {number} id - The ID of the aspect to update.
@@ -0,0 +1,158 @@
+import AuditLogRepository from '../../repositories/AuditLog.repository.js'
+import SubjectsRepository from '../../repositories/Subject.repository.js'
+import AspectsRepository from '../../repositories/Aspects.repository.js'
+import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
+import ArticlesRepository from '../../repositories/Articles.repository.js'
+import LegalBasisAmendmentRepository from '../../repositories/LegalBasisAmendment.repository.js'
+import RequirementRepository from '../../repositories/Requirements.repository.js'
+import RequirementTypesRepository from '../../repositories/RequirementTypes.repository.js'
+import LegalVerbsRepository from '../../repositories/LegalVerbs.repository.js'
+import ReqIdentificationRepository from '../../repositories/ReqIdentification.repository.js'
+import UserRepository from '../../repositories/User.repository.js'
+import RoleRepository from '../../repositories/Role.repository.js'
+import HttpException from '../errors/HttpException.js'
+import { auditLogListQuerySchema } from '../../schemas/audit.schema.js'
+import { z } from 'zod'
+
+/** @typedef {import('../../models/AuditLog.model.js').default} AuditLog */
+
+/**
+ * @typedef {Object} AuditedCall
+ * @property {number|null} userId - The ID of the user who made the call.
+ * @property {string} action - The action performed.
+ * @property {string} entityType - The type of the affected entities.
+ * @property {Array<string|number>} entityIds - The IDs of the affected entities.
+ * @property {Array<Object|null>} before - The state of each entity before the call.
+ * @property {string} method - The HTTP method of the call.
+ * @property {string} path - The path of the call.
+ * @property {string|null} ipAddress - The IP address of the client.
+ */
+
+/**
+ * Loaders used to take snapshots of each audited entity type.
+ * Entity types without a loader are recorded without snapshots.
+ * @type {Object<string, function(number): Promise<Object|null>>}
+ */
+const SNAPSHOT_LOADERS = {
+  subject: (id) => SubjectsRepository.findById(id),
+  aspect: (id) => AspectsRepository.findById(id),
+  legalBasis: (id) => LegalBasisRepository.findById(id),
+  article: (id) => ArticlesRepository.findById(id),
+  legalBasisAmendment: (id) => LegalBasisAmendmentRepository.findById(id),
+  requirement: (id) => RequirementRepository.findById(id),
+  requirementType: (id) => RequirementTypesRepository.findById(id),
+  legalVerb: (id) => LegalVerbsRepository.findById(id),
+  reqIdentification: (id) => ReqIdentificationRepository.findById(id),
+  role: (id) => RoleRepository.findById(id),
+  user: async (id) => {
+    const user = await UserRepository.findById(id)
+    if (!user) return null
+    const { password, ...snapshot } = user
+    return snapshot
+  }
+}
+
+/**
+ * Service class for recording and browsing the audit log.
+ */
+class AuditService {
+  /**
+   * Takes a snapshot of an entity for the audit log.
+   * Snapshots are best effort: unknown entity types, missing entities and lookup errors yield null.
+   * @param {string} entityType - The type of the entity.
+   * @param {string|number} entityId - The ID of the entity.
+   * @returns {Promise<Object|null>} - The snapshot.
+   */
+  static async snapshot (entityType, entityId) {
+    const loader = SNAPSHOT_LOADERS[entityType]
+    if (!loader || entityId == null) return null
+    try {
+      const entity = await loader(entityId)
+      return entity ? JSON.parse(JSON.stringify(entity)) : null
+    } catch (error) {
+      console.error(`Error taking audit snapshot of ${entityType} ${entityId}:`, error.message)
+      return null
+    }
+  }
+
+  /**
+   * Records a successful mutating call, with one entry per affected entity.
+   * The state after the call is taken here, except for deletions.
+   * @param {AuditedCall} call - The call to record.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If the entries cannot be stored.
+   */
+  static async recordCall ({
+    userId,
+    action,
+    entityType,
+    entityIds,
+    before,
+    method,
+    path,
+    ipAddress
+  }) {
+    try {
+      const ids = entityIds.length > 0 ? entityIds : [null]
+      const entries = await Promise.all(
+        ids.map(async (entityId, index) => ({
+          userId,
+          action,
+          entityType,
+          entityId,
+          before: before[index] ?? null,
+          after:
+            action === 'delete'
+              ? null
+              : await this.snapshot(entityType, entityId),
+          method,
+          path,
+          ipAddress
+        }))
+      )
+      await AuditLogRepository.createMany(entries)
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to record audit log')
+    }
+  }
+
+  /**
+   * Retrieves a page of audit log entries, newest first by default.
+   * @param {Object} [query] - The list query.
+   * @param {number} [query.page] - The page number.
+   * @param {number} [query.pageSize] - The page size.
+   * @param {string} [query.cursor] - The cursor of the page, instead of a page number.
+   * @param {string} [query.sort] - The sort fields, prefixed with '-' for descending order.
+   * @param {number} [query.userId] - Only entries made by this user.
+   * @param {string} [query.entityType] - Only entries about this type of entity.
+   * @param {string} [query.entityId] - Only entries about this entity ID.
+   * @param {string} [query.action] - Only entries with this action.
+   * @param {string} [query.from] - Only entries made on or after this date.
+   * @param {string} [query.to] - Only entries made on or before this date.
+   * @returns {Promise<import('../../utils/pagination.js').Page<AuditLog>>} - The page of entries.
+   * @throws {HttpException} - If the query is invalid or retrieval fails.
+   */
+  static async getAll (query = {}) {
+    try {
+      const { filters, listOptions } = auditLogListQuerySchema.parse(query)
+      return await AuditLogRepository.findMany(filters, listOptions)
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to retrieve audit log')
+    }
+  }
+}
+
+export default AuditService
@@ -69,32 +69,35 @@ class EmailService {
    * Generates a password reset email with a verification code.
    * @param {string} gmail - The Gmail address of the user.
    * @param {string} verificationCode - The verification code for password reset.
+   * @param {number} expirationMinutes - The minutes the code remains valid.
    * @returns {EmailData} - Returns an object containing email data.
    */
-  static generatePasswordResetEmail (gmail, verificationCode) {
+  static generatePasswordResetEmail (gmail, verificationCode, expirationMinutes) {
+    const validity = `${expirationMinutes} ${expirationMinutes === 1 ? 'minuto' : 'minutos'}`
     return {
       to: gmail,
       subject: 'Código de verificación',
       text: `Tu código de verificación es: ${verificationCode}. 
-             Este código es válido por 1 minuto.`,
+             Este código es válido por ${validity}.`,
       html: `<p>Tu código de verificación es: <strong>${verificationCode}</strong></p>
-             <p>Este código es válido por <strong>1 minuto</strong>.</p>`
+             <p>Este código es válido por <strong>${validity}</strong>.</p>`
     }
   }
 
   /**
-   * Generates an email with a new password for the user.
+   * Generates an email notifying the user that their password was changed.
    * @param {string} gmail - The Gmail address of the user.
-   * @param {string} newPassword - The new password for the user.
    * @returns {EmailData} - Returns an object containing email data.
    */
-  static generatePasswordResetEmailSend (gmail, newPassword) {
+  static generatePasswordChangedEmail (gmail) {
     return {
       to: gmail,
-      subject: 'Tu nueva contraseña',
-      text: `Tu nueva contraseña es: ${newPassword}. 
+      subject: 'Tu contraseña fue actualizada',
+      text: `La contraseña de tu cuenta fue actualizada y tus sesiones abiertas fueron cerradas. 
+             Si no realizaste este cambio, contacta al administrador. 
              Para iniciar sesión, visita: ${APP_URL}`,
-      html: `<p>Tu nueva contraseña es: <strong>${newPassword}</strong></p>
+      html: `<p>La contraseña de tu cuenta fue actualizada y tus sesiones abiertas fueron cerradas.</p>
+             <p>Si no realizaste este cambio, contacta al administrador.</p>
              <p>Para iniciar sesión, <a href="${APP_URL}" target="_blank">haz clic aquí</a>.</p>`
     }
   }
@@ -226,6 +229,72 @@ Fallos: ${failedLegalBasesNames.length}`,
       html: '<p><strong>Ocurrió un error</strong> y <strong>ninguno</strong> de los fundamentos legales seleccionados pudo ser enviado a ACM Suite.</p>'
     }
   }
+
+  /**
+ * Generates an email with the download link of a requirement identification report.
+ * @param {string} gmail - The Gmail address of the user.
+ * @param {string} reqIdentificationName - The name of the requirement identification.
+ * @param {string} downloadUrl - The temporary download URL of the report.
+ * @returns {EmailData}
+ */
+  static generateReqIdentificationReportEmail (gmail, reqIdentificationName, downloadUrl) {
+    return {
+      to: gmail,
+      subject: 'Reporte de identificación de requerimientos disponible',
+      text: `El reporte de la identificación de requerimientos "${reqIdentificationName}" está listo.
+Puedes descargarlo en: ${downloadUrl}
+El enlace estará disponible durante 5 días.`,
+      html: `<p>El reporte de la identificación de requerimientos 
+             <strong>${reqIdentificationName}</strong> está <strong>listo</strong>.</p>
+           <p style="margin-top: 20px;">
+             <a href="${downloadUrl}" target="_blank"
+               style="display: inline-block; padding: 10px 20px; background-color: #113c53; color: white;
+               text-decoration: none; border-radius: 5px;">
+               Descargar reporte
+             </a>
+           </p>
+           <p>El enlace estará disponible durante 5 días.</p>`
+    }
+  }
+
+  /**
+ * Generates an email notifying the user that the requirement identification report failed.
+ * @param {string} gmail - The Gmail address of the user.
+ * @param {string} reqIdentificationName - The name of the requirement identification.
+ * @param {string} reason - Reason why the report failed.
+ * @returns {EmailData}
+ */
+  static generateReqIdentificationReportFailureEmail (gmail, reqIdentificationName, reason) {
+    return {
+      to: gmail,
+      subject: 'Error al generar el reporte de identificación de requerimientos',
+      text: `No fue posible generar el reporte de la identificación de requerimientos "${reqIdentificationName}".
+Razón: ${reason}`,
+      html: `<p>No fue posible generar el reporte de la identificación de requerimientos 
+             <strong>${reqIdentificationName}</strong>.</p>
+           <p>Razón: <em>${reason}</em></p>`
+    }
+  }
+
+  /**
+ * Generates an email notifying the owner that a requirement identification is outdated
+ * because one of its legal bases was reformed.
+ * @param {string} gmail - The Gmail address of the user.
+ * @param {string} reqIdentificationName - The name of the requirement identification.
+ * @param {string} legalBasisName - The name of the reformed legal basis.
+ * @returns {EmailData}
+ */
+  static generateReqIdentificationOutdatedEmail (gmail, reqIdentificationName, legalBasisName) {
+    return {
+      to: gmail,
+      subject: 'Identificación de requerimientos desactualizada',
+      text: `El fundamento legal "${legalBasisName}" fue reformado y la identificación de requerimientos "${reqIdentificationName}" quedó desactualizada.
+Puedes volver a ejecutar la identificación únicamente para los requerimientos afectados.`,
+      html: `<p>El fundamento legal <strong>${legalBasisName}</strong> fue <strong>reformado</strong> y la identificación de requerimientos 
+             <strong>${reqIdentificationName}</strong> quedó <strong>desactualizada</strong>.</p>
+           <p>Puedes volver a ejecutar la identificación únicamente para los requerimientos afectados.</p>`
+    }
+  }
 }
 
 export default EmailService
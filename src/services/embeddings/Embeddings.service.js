@@ -0,0 +1,240 @@
+import crypto from 'crypto'
+import EmbeddingsRepository from '../../repositories/Embeddings.repository.js'
+import { getEmbeddingProvider } from '../../config/openapi.config.js'
+import HttpException from '../errors/HttpException.js'
+
+/**
+ * Number of texts sent to the embedding provider per request.
+ */
+const EMBEDDING_BATCH_SIZE = 100
+
+/**
+ * Number of pending articles or requirement descriptions read and embedded at a time by a backfill.
+ */
+const BACKFILL_BATCH_SIZE = 500
+
+/**
+ * Longest text sent to the embedding provider, in characters; longer texts are cut,
+ * keeping the model input under its token limit.
+ */
+const MAX_EMBEDDING_TEXT_LENGTH = 8000
+
+/**
+ * Number of article embeddings read from the database and scored at a time while ranking,
+ * so a search never holds more than one batch of decoded vectors in memory.
+ */
+const RANKING_BATCH_SIZE = 500
+
+/**
+ * Most articles a ranking keeps; matches ranked below this are dropped, so a semantic
+ * search can page through at most this many results.
+ */
+const MAX_RANKED_ARTICLES = 1000
+
+/**
+ * Service class for computing, storing and comparing embeddings of articles and requirements.
+ */
+class EmbeddingsService {
+  /**
+   * Embeds the given articles and the mandatory and complementary descriptions of the given
+   * requirements whose embedding is missing or out of date.
+   * Runs in the embeddings worker, outside the requests that create or update them.
+   * @param {Object} scope - The articles and requirements to refresh.
+   * @param {Array<number>} [scope.articleIds=[]] - The IDs of the articles.
+   * @param {Array<number>} [scope.requirementIds=[]] - The IDs of the requirements.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If the texts cannot be embedded or the embeddings cannot be stored.
+   */
+  static async refresh ({ articleIds = [], requirementIds = [] }) {
+    const provider = getEmbeddingProvider()
+    const articles = await EmbeddingsRepository.findPendingArticles(
+      { articleIds },
+      provider.model
+    )
+    await EmbeddingsRepository.upsertArticleEmbeddings(
+      await this._embedOrThrow(provider, articles, 'articles'),
+      provider.model
+    )
+    const requirements = await EmbeddingsRepository.findPendingRequirements(
+      { requirementIds },
+      provider.model
+    )
+    await EmbeddingsRepository.upsertRequirementEmbeddings(
+      await this._embedOrThrow(provider, requirements, 'requirements'),
+      provider.model
+    )
+  }
+
+  /**
+   * Embeds every article and requirement description whose embedding is missing or out of
+   * date, such as those written before embeddings were stored. Works through them in
+   * batches, storing each batch before reading the next.
+   * @returns {Promise<{ articles: number, requirements: number }>} - The number of embedded
+   * articles and requirement descriptions.
+   * @throws {HttpException} - If the texts cannot be embedded or the embeddings cannot be stored.
+   */
+  static async backfill () {
+    const provider = getEmbeddingProvider()
+    const embedded = { articles: 0, requirements: 0 }
+    let articles
+    let afterId = 0
+    do {
+      articles = await EmbeddingsRepository.findPendingArticles(
+        { afterId, limit: BACKFILL_BATCH_SIZE },
+        provider.model
+      )
+      if (articles.length === 0) break
+      await EmbeddingsRepository.upsertArticleEmbeddings(
+        await this._embedOrThrow(provider, articles, 'articles'),
+        provider.model
+      )
+      embedded.articles += articles.length
+      afterId = articles[articles.length - 1].id
+    } while (articles.length === BACKFILL_BATCH_SIZE)
+    let requirements
+    let after
+    do {
+      requirements = await EmbeddingsRepository.findPendingRequirements(
+        { after, limit: BACKFILL_BATCH_SIZE },
+        provider.model
+      )
+      if (requirements.length === 0) break
+      await EmbeddingsRepository.upsertRequirementEmbeddings(
+        await this._embedOrThrow(provider, requirements, 'requirements'),
+        provider.model
+      )
+      embedded.requirements += requirements.length
+      const { id, field } = requirements[requirements.length - 1]
+      after = { id, field }
+    } while (requirements.length === BACKFILL_BATCH_SIZE)
+    return embedded
+  }
+
+  /**
+   * Ranks the embedded articles by cosine similarity to a text, most similar first.
+   * Articles with no similarity (zero or negative) are left out. The embeddings are scored
+   * in batches and only the best `limit` articles are kept, never more than MAX_RANKED_ARTICLES.
+   * @param {string} text - The text to compare against.
+   * @param {Object} [filters={}] - The filters to apply.
+   * @param {number} [filters.subjectId] - Only articles of legal bases of this subject.
+   * @param {Array<number>} [filters.aspectIds] - Only articles of legal bases with any of these aspects.
+   * @param {number} [limit=MAX_RANKED_ARTICLES] - The number of top articles to return.
+   * @returns {Promise<{ articles: Array<{ articleId: number, similarity: number }>, total: number }>} - The top
+   * articles, and the number of matching articles up to MAX_RANKED_ARTICLES.
+   * @throws {HttpException} - If the text cannot be embedded or the embeddings cannot be retrieved.
+   */
+  static async rankArticles (text, filters = {}, limit = MAX_RANKED_ARTICLES) {
+    const provider = getEmbeddingProvider()
+    let queryEmbedding
+    try {
+      [queryEmbedding] = await provider.embed([
+        text.slice(0, MAX_EMBEDDING_TEXT_LENGTH)
+      ])
+    } catch (error) {
+      console.error('Error embedding the search query:', error.message)
+      throw new HttpException(500, 'Failed to embed the search query')
+    }
+    const queryNorm = this._norm(queryEmbedding)
+    if (!queryNorm) return { articles: [], total: 0 }
+    const keep = Math.min(limit, MAX_RANKED_ARTICLES)
+    const bySimilarity = (a, b) =>
+      b.similarity - a.similarity || a.articleId - b.articleId
+    let ranked = []
+    let total = 0
+    let afterArticleId = 0
+    let batch
+    do {
+      batch = await EmbeddingsRepository.findArticleEmbeddings(
+        filters,
+        provider.model,
+        { afterArticleId, size: RANKING_BATCH_SIZE }
+      )
+      for (const { articleId, norm, embedding } of batch) {
+        if (embedding.length !== queryEmbedding.length) continue
+        const similarity = this._dot(queryEmbedding, embedding) / (queryNorm * norm)
+        if (similarity > 0) {
+          total++
+          ranked.push({ articleId, similarity })
+        }
+      }
+      if (ranked.length > keep) {
+        ranked = ranked.sort(bySimilarity).slice(0, keep)
+      }
+      if (batch.length > 0) {
+        afterArticleId = batch[batch.length - 1].articleId
+      }
+    } while (batch.length === RANKING_BATCH_SIZE)
+    return {
+      articles: ranked.sort(bySimilarity),
+      total: Math.min(total, MAX_RANKED_ARTICLES)
+    }
+  }
+
+  /**
+   * Embeds pending texts in batches.
+   * @param {import('../../config/openapi.config.js').EmbeddingProvider} provider - The embedding provider.
+   * @param {import('../../repositories/Embeddings.repository.js').PendingEmbedding[]} pending - The texts to embed.
+   * @returns {Promise<import('../../repositories/Embeddings.repository.js').StoredEmbedding[]>} - The embeddings,
+   * with the hash of the full text so they match the hashes computed by MySQL.
+   */
+  static async _embed (provider, pending) {
+    const embedded = []
+    for (let start = 0; start < pending.length; start += EMBEDDING_BATCH_SIZE) {
+      const batch = pending.slice(start, start + EMBEDDING_BATCH_SIZE)
+      const embeddings = await provider.embed(
+        batch.map(({ text }) => text.slice(0, MAX_EMBEDDING_TEXT_LENGTH))
+      )
+      batch.forEach(({ text, ...item }, index) => {
+        embedded.push({
+          ...item,
+          contentHash: crypto.createHash('sha256').update(text, 'utf8').digest('hex'),
+          embedding: embeddings[index],
+          norm: this._norm(embeddings[index])
+        })
+      })
+    }
+    return embedded
+  }
+
+  /**
+   * Embeds pending texts, reporting a provider failure as an HttpException.
+   * @param {import('../../config/openapi.config.js').EmbeddingProvider} provider - The embedding provider.
+   * @param {import('../../repositories/Embeddings.repository.js').PendingEmbedding[]} pending - The texts to embed.
+   * @param {string} kind - What the texts are, for the error message.
+   * @returns {Promise<import('../../repositories/Embeddings.repository.js').StoredEmbedding[]>} - The embeddings.
+   * @throws {HttpException} - If the provider fails.
+   */
+  static async _embedOrThrow (provider, pending, kind) {
+    try {
+      return await this._embed(provider, pending)
+    } catch (error) {
+      console.error(`Error embedding ${kind}:`, error.message)
+      throw new HttpException(500, `Failed to embed ${kind}`)
+    }
+  }
+
+  /**
+   * Computes the dot product of two vectors of the same length.
+   * @param {ArrayLike<number>} a - The first vector.
+   * @param {ArrayLike<number>} b - The second vector.
+   * @returns {number} - The dot product.
+   */
+  static _dot (a, b) {
+    let dot = 0
+    for (let index = 0; index < a.length; index++) {
+      dot += a[index] * b[index]
+    }
+    return dot
+  }
+
+  /**
+   * Computes the Euclidean norm of a vector.
+   * @param {ArrayLike<number>} vector - The vector.
+   * @returns {number} - The norm, or 0 for a zero vector.
+   */
+  static _norm (vector) {
+    return Math.sqrt(this._dot(vector, vector))
+  }
+}
+
+export default EmbeddingsService
@@ -1,115 +1,191 @@
-import { S3_BUCKET_NAME } from '../../config/variables.config.js'
-import { textractClient } from '../../config/aws.config.js'
 import HttpException from '../errors/HttpException.js'
+import FileService from './File.service.js'
+import TextExtractionProviderFactory from './textExtraction/TextExtractionProviderFactory.js'
 import {
-  StartDocumentAnalysisCommand,
-  GetDocumentAnalysisCommand,
-  JobStatus,
-  BlockType,
-  FeatureType
-} from '@aws-sdk/client-textract'
+  DOCX_MIME_TYPE,
+  LOCAL_DOCUMENT_MIME_TYPES,
+  detectMimeType
+} from '../../utils/documentMimeType.js'
+import JSZip from 'jszip'
+import { convert } from 'html-to-text'
+
+/** @typedef {import('./textExtraction/TextExtractionProvider.js').ExtractedLine} ExtractedLine */
 
 /**
  * Service class for processing documents.
- * Handles PDF and image files, extracting text content.
+ * DOCX, HTML and plain-text files are parsed locally; PDF and image files are read
+ * by the text extraction providers of their type (see TextExtractionProviderFactory).
  */
 class DocumentService {
   /**
-   * Processes the provided file, extracting text content.
+   * Processes the provided file, extracting text content, one paragraph or line per line.
    * @param {string} fileKey - The key of the file in the S3 bucket.
-   * @returns {Promise<{success: boolean, text?: string, error?: string}>} - The processing result.
+   * @param {Object} [options={}] - The extraction options.
+   * @param {string} [options.mimeType] - The MIME type of the file; detected from the key if not given.
+   * @param {Buffer} [options.buffer] - The file content. Lets the document be read without
+   * downloading it from S3, unless it is sent to Textract.
+   * @returns {Promise<{success: boolean, text?: string, lines?: ExtractedLine[], error?: string}>} - The processing
+   * result. Each line of the text has its page in `lines`, null for formats without pages.
    */
-  static async extractText (fileKey) {
+  static async extractText (fileKey, { mimeType, buffer } = {}) {
     try {
-      const jobId = await this.startExtractText(fileKey)
-      const isComplete = await this.waitForJobCompletion(jobId)
-      if (!isComplete) {
-        return { success: false, error: 'Unexpected Error' }
+      const type = detectMimeType({ mimetype: mimeType, originalname: fileKey })
+      let extractedLines
+      if (LOCAL_DOCUMENT_MIME_TYPES.includes(type)) {
+        const content = buffer || (await FileService.getFileBuffer(fileKey))
+        const text = await this.parseLocalDocument(content, type)
+        extractedLines = text.split('\n').map((line) => ({ text: line, page: null }))
+      } else {
+        const providers = TextExtractionProviderFactory.getProviders(type)
+        if (providers.length === 0) {
+          return { success: false, error: `Cannot read ${type} documents` }
+        }
+        extractedLines = []
+        for (const provider of providers) {
+          extractedLines = await provider.extractLines(fileKey, { mimeType: type, buffer })
+          if (extractedLines.some(({ text }) => text.trim())) break
+        }
+      }
+      const lines = extractedLines
+        .map(({ text, page }) => ({ text: this.normalizeLine(text), page }))
+        .filter(({ text }) => text)
+      if (lines.length === 0) {
+        return { success: false, error: 'The document has no text' }
       }
-      const text = await this.getExtractedText(jobId)
-      return { success: true, text }
+      return { success: true, text: lines.map(({ text }) => text).join('\n'), lines }
     } catch (error) {
       return { success: false, error: error.message }
     }
   }
 
   /**
-   * Starts the text extraction process from a file stored in S3.
-   * @param {string} fileKey - The key of the file in the S3 bucket.
-   * @returns {Promise<string>} - The JobId of the extraction process.
+   * Collapses the whitespace of a line and trims it.
+   * @param {string} line - The line.
+   * @returns {string} - The normalized line.
+   */
+  static normalizeLine (line) {
+    return line.replace(/[ \t\u00a0]+/g, ' ').trim()
+  }
+
+  /**
+   * Extracts the text of a DOCX, HTML or plain-text document.
+   * @param {Buffer} buffer - The document content.
+   * @param {string} mimeType - The MIME type of the document.
+   * @returns {Promise<string>} - The text.
+   * @throws {HttpException} - If the document cannot be parsed.
    */
-  static async startExtractText (fileKey) {
+  static async parseLocalDocument (buffer, mimeType) {
+    let text
     try {
-      const startCommand = new StartDocumentAnalysisCommand({
-        DocumentLocation: {
-          S3Object: { Bucket: S3_BUCKET_NAME, Name: fileKey }
-        },
-        FeatureTypes: [FeatureType.LAYOUT]
-      })
-      const { JobId } = await textractClient.send(startCommand)
-      return JobId
+      if (mimeType === DOCX_MIME_TYPE) {
+        text = await this.parseDocx(buffer)
+      } else if (mimeType === 'text/html') {
+        text = this.parseHtml(buffer)
+      } else {
+        text = this.decodeText(buffer)
+      }
     } catch (error) {
-      throw new HttpException(`Failed to start text extraction for ${fileKey}`)
+      throw new HttpException(400, 'Failed to parse the document', error.message)
     }
+    return text.replace(/\r\n|\r/g, '\n')
   }
 
   /**
- * Waits for the Textract job to complete.
- * @param {string} jobId - The Job ID of the document analysis.
- * @returns {Promise<boolean>} - Returns `true` if the job completes successfully, otherwise throws an error.
- */
-  static async waitForJobCompletion (jobId) {
-    let jobStatus = JobStatus.IN_PROGRESS
-    const maxRetries = 60
-    const secondsWait = 5000
-    let retries = 0
-    while (jobStatus === JobStatus.IN_PROGRESS) {
-      if (retries >= maxRetries) {
-        throw new HttpException('Textract job timed out')
-      }
-      await new Promise(resolve => setTimeout(resolve, secondsWait))
-      try {
-        const command = new GetDocumentAnalysisCommand({ JobId: jobId })
-        const response = await textractClient.send(command)
-        jobStatus = response.JobStatus
-        if (jobStatus === JobStatus.FAILED) {
-          throw new HttpException('Textract job failed')
+   * Extracts the text of a DOCX document, one paragraph per line.
+   * Tabs become spaces and line breaks inside a paragraph are kept.
+   * @param {Buffer} buffer - The document content.
+   * @returns {Promise<string>} - The text.
+   */
+  static async parseDocx (buffer) {
+    const zip = await JSZip.loadAsync(buffer)
+    const documentXml = zip.file('word/document.xml')
+    if (!documentXml) {
+      throw new Error('The DOCX file has no word/document.xml part')
+    }
+    const xml = await documentXml.async('string')
+    const paragraphs = xml.match(/<w:p[ >][\s\S]*?<\/w:p>/g) || []
+    return paragraphs
+      .map((paragraph) =>
+        (paragraph.match(/<w:t(?: [^>]*)?>[^<]*<\/w:t>|<w:(?:tab|br|cr)\b[^>]*\/>/g) || [])
+          .map((run) => {
+            if (run.startsWith('<w:tab')) return ' '
+            if (!run.startsWith('<w:t')) return '\n'
+            return this.decodeXmlEntities(run.replace(/<[^>]+>/g, ''))
+          })
+          .join('')
+      )
+      .join('\n')
+  }
+
+  /**
+   * Extracts the text of an HTML document, such as a page of the official gazette (DOF).
+   * Images are skipped and link targets are left out.
+   * @param {Buffer} buffer - The document content.
+   * @returns {string} - The text.
+   */
+  static parseHtml (buffer) {
+    return convert(this.decodeText(buffer, { html: true }), {
+      wordwrap: false,
+      selectors: [
+        { selector: 'img', format: 'skip' },
+        { selector: 'a', options: { ignoreHref: true } }
+      ]
+    })
+  }
+
+  /**
+   * Decodes a text document.
+   * The encoding is taken from the byte order mark, then from the charset declared by an
+   * HTML document, then UTF-8 if the bytes are valid UTF-8 and Windows-1252 otherwise,
+   * as older Spanish documents often use it.
+   * @param {Buffer} buffer - The document content.
+   * @param {Object} [options={}] - The decoding options.
+   * @param {boolean} [options.html=false] - Whether to look for an HTML charset declaration.
+   * @returns {string} - The decoded text.
+   */
+  static decodeText (buffer, { html = false } = {}) {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+      return new TextDecoder('utf-8').decode(buffer)
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+      return new TextDecoder('utf-16le').decode(buffer)
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+      return new TextDecoder('utf-16be').decode(buffer)
+    }
+    if (html) {
+      const head = buffer.subarray(0, 2048).toString('latin1')
+      const charset = head.match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1]
+      if (charset) {
+        try {
+          return new TextDecoder(charset).decode(buffer)
+        } catch {
+          // Unknown charset: fall back to detection.
         }
-      } catch (error) {
-        throw new HttpException('Failed to check job status')
       }
-      retries++
     }
-    if (jobStatus === JobStatus.SUCCEEDED) {
-      return true
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(buffer)
+    } catch {
+      return new TextDecoder('windows-1252').decode(buffer)
     }
-    throw new HttpException('Unexpected job status')
   }
 
   /**
-   * Retrieves the extracted text from Textract.
-   * @param {string} jobId - The Job ID of the document analysis.
-   * @returns {Promise<string>} - The full extracted text.
+   * Replaces the XML character and entity references of a text.
+   * @param {string} text - The XML text.
+   * @returns {string} - The decoded text.
    */
-  static async getExtractedText (jobId) {
-    const extractedText = []
-    let nextToken = null
-    do {
-      try {
-        const commandParams = { JobId: jobId }
-        if (nextToken) commandParams.NextToken = nextToken
-        const command = new GetDocumentAnalysisCommand(commandParams)
-        const response = await textractClient.send(command)
-        const textBlocks = response.Blocks.filter(
-          (block) => block.BlockType === BlockType.LINE && block.Text
-        ).map((block) => block.Text.trim())
-        extractedText.push(...textBlocks)
-        nextToken = response.NextToken
-      } catch (error) {
-        throw new HttpException('Failed to retrieve extracted text')
-      }
-    } while (nextToken)
-    return extractedText.join('\n')
+  static decodeXmlEntities (text) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (reference, name) => {
+      if (name[0] !== '#') return entities[name] ?? reference
+      const codePoint =
+        name[1].toLowerCase() === 'x'
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10)
+      return String.fromCodePoint(codePoint)
+    })
   }
 }
 
@@ -88,6 +88,25 @@ class FileService {
     }
   }
 
+  /**
+   * Downloads the content of a file in the S3 bucket.
+   * @param {string} fileKey - The key of the file in the S3 bucket.
+   * @returns {Promise<Buffer>} - The file content.
+   * @throws {HttpException} - If an error occurs while downloading the file.
+   */
+  static async getFileBuffer (fileKey) {
+    try {
+      const command = new GetObjectCommand({
+        Bucket: S3_BUCKET_NAME,
+        Key: fileKey
+      })
+      const response = await s3Client.send(command)
+      return Buffer.from(await response.Body.transformToByteArray())
+    } catch (error) {
+      throw new HttpException(500, 'Error downloading file', error.message)
+    }
+  }
+
   /**
    * Returns a permanent public URL for a file in the S3 bucket.
    * This URL does not expire and requires public access permissions on S3.
@@ -0,0 +1,97 @@
+import TextExtractionProvider from './TextExtractionProvider.js'
+import FileService from '../File.service.js'
+import { PDF_MIME_TYPE } from '../../../utils/documentMimeType.js'
+
+/**
+ * Fewest non-blank characters per page for the text layer of a PDF to be read;
+ * scanned PDFs have none, or only a few characters such as page numbers.
+ */
+const MIN_CHARACTERS_PER_PAGE = 50
+
+/**
+ * Local text extraction provider that reads the text layer of PDF files.
+ * Needs no external service, but cannot read scanned PDFs, which have no text layer.
+ */
+class PdfTextLayerProvider extends TextExtractionProvider {
+  constructor () {
+    super('local', [PDF_MIME_TYPE])
+  }
+
+  /**
+   * @param {string} fileKey - The key of the file in the S3 bucket.
+   * @param {Object} options - The extraction options.
+   * @param {Buffer} [options.buffer] - The file content; downloaded from S3 if not given.
+   * @returns {Promise<ExtractedLine[]>} - The lines of the document with their page, or no
+   * lines if the text layer is empty or near-empty, so the next provider reads the document.
+   */
+  async extractLines (fileKey, { buffer } = {}) {
+    const content = buffer || (await FileService.getFileBuffer(fileKey))
+    // Loaded on first use: pdf.js is only needed when this provider is selected.
+    const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs')
+    const pdf = await getDocument({
+      data: new Uint8Array(content),
+      useSystemFonts: true,
+      isEvalSupported: false
+    }).promise
+    try {
+      const lines = []
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber)
+        const { items } = await page.getTextContent()
+        lines.push(
+          ...this._groupLines(items).map((text) => ({ text, page: pageNumber }))
+        )
+      }
+      return this._hasTextLayer(lines, pdf.numPages) ? lines : []
+    } finally {
+      await pdf.destroy()
+    }
+  }
+
+  /**
+   * Checks whether the lines read from a PDF carry its text, rather than being the
+   * near-empty text layer of a scanned document.
+   * @param {ExtractedLine[]} lines - The lines of the document.
+   * @param {number} pageCount - The number of pages of the document.
+   * @returns {boolean} - True if the pages have on average enough characters.
+   */
+  _hasTextLayer (lines, pageCount) {
+    const characters = lines.reduce(
+      (total, { text }) => total + text.replace(/\s+/g, '').length,
+      0
+    )
+    return characters >= MIN_CHARACTERS_PER_PAGE * Math.max(pageCount, 1)
+  }
+
+  /**
+   * Joins the text items of a page into lines.
+   * A line ends where pdf.js marks an end of line or where the next item starts on another baseline.
+   * @param {Array<{ str: string, hasEOL: boolean, height: number, transform: number[] }>} items - The text items of the page.
+   * @returns {string[]} - The lines of the page.
+   */
+  _groupLines (items) {
+    const lines = []
+    let current = ''
+    let baseline = null
+    for (const item of items) {
+      if (item.str === undefined) continue
+      const y = item.transform[5]
+      const tolerance = Math.max(item.height, 1) / 2
+      if (current && baseline !== null && Math.abs(y - baseline) > tolerance) {
+        lines.push(current)
+        current = ''
+      }
+      current += item.str
+      baseline = y
+      if (item.hasEOL) {
+        lines.push(current)
+        current = ''
+        baseline = null
+      }
+    }
+    if (current) lines.push(current)
+    return lines
+  }
+}
+
+export default PdfTextLayerProvider
@@ -0,0 +1,49 @@
+/**
+ * Base class for text extraction providers.
+ * Defines the interface used by DocumentService to read PDF and image documents.
+ */
+class TextExtractionProvider {
+  /**
+   * @typedef {Object} ExtractedLine
+   * @property {string} text - The text of the line.
+   * @property {number|null} page - The page of the line, starting from 1, or null if the document has no pages.
+   */
+
+  /**
+   * Constructs an instance of TextExtractionProvider.
+   * @param {string} name - The name of the provider.
+   * @param {string[]} mimeTypes - The MIME types the provider can read.
+   */
+  constructor (name, mimeTypes) {
+    if (this.constructor === TextExtractionProvider) {
+      throw new Error('Cannot instantiate abstract class TextExtractionProvider')
+    }
+    this.name = name
+    this.mimeTypes = mimeTypes
+  }
+
+  /**
+   * Checks whether the provider can read documents of a MIME type.
+   * @param {string} mimeType - The MIME type of the document.
+   * @returns {boolean} - True if the provider supports the type.
+   */
+  supports (mimeType) {
+    return this.mimeTypes.includes(mimeType)
+  }
+
+  /**
+   * Abstract method to extract the lines of a document, in reading order.
+   * Subclasses must override this method to provide specific extraction logic.
+   * @param {string} _fileKey - The key of the file in the S3 bucket.
+   * @param {Object} _options - The extraction options.
+   * @param {string} _options.mimeType - The MIME type of the document.
+   * @param {Buffer} [_options.buffer] - The file content, if already available.
+   * @returns {Promise<ExtractedLine[]>} - The lines of the document with their page.
+   * @throws {Error} If not implemented in a subclass.
+   */
+  async extractLines (_fileKey, _options) {
+    throw new Error('Method "extractLines" must be implemented')
+  }
+}
+
+export default TextExtractionProvider
@@ -0,0 +1,57 @@
+import TextractProvider from './TextractProvider.js'
+import PdfTextLayerProvider from './PdfTextLayerProvider.js'
+import {
+  PDF_MIME_TYPE,
+  TEXTRACT_DOCUMENT_MIME_TYPES
+} from '../../../utils/documentMimeType.js'
+import {
+  TEXT_EXTRACTION_PROVIDER,
+  NODE_ENV
+} from '../../../config/variables.config.js'
+
+/**
+ * Factory class to obtain the text extraction providers of a document type.
+ */
+class TextExtractionProviderFactory {
+  /**
+   * Returns the providers that read documents of a MIME type, in the order they are tried,
+   * according to the backend selected by TEXT_EXTRACTION_PROVIDER:
+   * - 'local': PDFs are read from their text layer only; images cannot be read. No AWS access.
+   * - 'textract': PDFs and images are sent to Textract.
+   * - 'auto': PDFs are read from their text layer first and sent to Textract only when it is
+   *   empty (scanned PDFs); images are sent to Textract.
+   * Defaults to 'auto' in production and to 'local' elsewhere, as development and test
+   * environments cannot reach Textract.
+   *
+   * @param {string} mimeType - The MIME type of the document.
+   * @param {string} [provider] - The backend, defaults to the configured one.
+   * @returns {import('./TextExtractionProvider.js').default[]} - The provider instances, or an
+   * empty array if no provider reads the type.
+   * @throws {Error} If the backend has an unknown value.
+   */
+  static getProviders (
+    mimeType,
+    provider = TEXT_EXTRACTION_PROVIDER || (NODE_ENV === 'production' ? 'auto' : 'local')
+  ) {
+    const isPdf = mimeType === PDF_MIME_TYPE
+    const isTextractDocument = isPdf || TEXTRACT_DOCUMENT_MIME_TYPES.includes(mimeType)
+    switch (provider) {
+      case 'local':
+        return isPdf ? [new PdfTextLayerProvider()] : []
+
+      case 'textract':
+        return isTextractDocument ? [new TextractProvider()] : []
+
+      case 'auto':
+        if (isPdf) {
+          return [new PdfTextLayerProvider(), new TextractProvider()]
+        }
+        return isTextractDocument ? [new TextractProvider()] : []
+
+      default:
+        throw new Error(`Unknown text extraction provider: ${provider}`)
+    }
+  }
+}
+
+export default TextExtractionProviderFactory
@@ -0,0 +1,116 @@
+import TextExtractionProvider from './TextExtractionProvider.js'
+import { S3_BUCKET_NAME } from '../../../config/variables.config.js'
+import { textractClient } from '../../../config/aws.config.js'
+import { PDF_MIME_TYPE, TEXTRACT_DOCUMENT_MIME_TYPES } from '../../../utils/documentMimeType.js'
+import HttpException from '../../errors/HttpException.js'
+import {
+  StartDocumentAnalysisCommand,
+  GetDocumentAnalysisCommand,
+  JobStatus,
+  BlockType,
+  FeatureType
+} from '@aws-sdk/client-textract'
+
+/**
+ * Text extraction provider backed by AWS Textract.
+ * Reads PDF and image files stored in S3, including scanned documents.
+ */
+class TextractProvider extends TextExtractionProvider {
+  constructor () {
+    super('textract', [PDF_MIME_TYPE, ...TEXTRACT_DOCUMENT_MIME_TYPES])
+  }
+
+  /**
+   * @param {string} fileKey - The key of the file in the S3 bucket.
+   * @returns {Promise<ExtractedLine[]>} - The lines of the document with their page.
+   */
+  async extractLines (fileKey) {
+    const jobId = await this.startExtractText(fileKey)
+    const isComplete = await this.waitForJobCompletion(jobId)
+    if (!isComplete) {
+      throw new HttpException(500, 'Unexpected Error')
+    }
+    return this.getExtractedLines(jobId)
+  }
+
+  /**
+   * Starts the text extraction process from a file stored in S3.
+   * @param {string} fileKey - The key of the file in the S3 bucket.
+   * @returns {Promise<string>} - The JobId of the extraction process.
+   */
+  async startExtractText (fileKey) {
+    try {
+      const startCommand = new StartDocumentAnalysisCommand({
+        DocumentLocation: {
+          S3Object: { Bucket: S3_BUCKET_NAME, Name: fileKey }
+        },
+        FeatureTypes: [FeatureType.LAYOUT]
+      })
+      const { JobId } = await textractClient.send(startCommand)
+      return JobId
+    } catch (error) {
+      throw new HttpException(`Failed to start text extraction for ${fileKey}`)
+    }
+  }
+
+  /**
+   * Waits for the Textract job to complete.
+   * @param {string} jobId - The Job ID of the document analysis.
+   * @returns {Promise<boolean>} - Returns `true` if the job completes successfully, otherwise throws an error.
+   */
+  async waitForJobCompletion (jobId) {
+    let jobStatus = JobStatus.IN_PROGRESS
+    const maxRetries = 60
+    const secondsWait = 5000
+    let retries = 0
+    while (jobStatus === JobStatus.IN_PROGRESS) {
+      if (retries >= maxRetries) {
+        throw new HttpException('Textract job timed out')
+      }
+      await new Promise(resolve => setTimeout(resolve, secondsWait))
+      try {
+        const command = new GetDocumentAnalysisCommand({ JobId: jobId })
+        const response = await textractClient.send(command)
+        jobStatus = response.JobStatus
+        if (jobStatus === JobStatus.FAILED) {
+          throw new HttpException('Textract job failed')
+        }
+      } catch (error) {
+        throw new HttpException('Failed to check job status')
+      }
+      retries++
+    }
+    if (jobStatus === JobStatus.SUCCEEDED) {
+      return true
+    }
+    throw new HttpException('Unexpected job status')
+  }
+
+  /**
+   * Retrieves the extracted lines from Textract.
+   * @param {string} jobId - The Job ID of the document analysis.
+   * @returns {Promise<ExtractedLine[]>} - The lines of the document with their page.
+   */
+  async getExtractedLines (jobId) {
+    const extractedLines = []
+    let nextToken = null
+    do {
+      try {
+        const commandParams = { JobId: jobId }
+        if (nextToken) commandParams.NextToken = nextToken
+        const command = new GetDocumentAnalysisCommand(commandParams)
+        const response = await textractClient.send(command)
+        const lines = response.Blocks.filter(
+          (block) => block.BlockType === BlockType.LINE && block.Text
+        ).map((block) => ({ text: block.Text.trim(), page: block.Page ?? null }))
+        extractedLines.push(...lines)
+        nextToken = response.NextToken
+      } catch (error) {
+        throw new HttpException('Failed to retrieve extracted text')
+      }
+    } while (nextToken)
+    return extractedLines
+  }
+}
+
+export default TextractProvider
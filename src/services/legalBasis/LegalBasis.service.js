@@ -1,15 +1,21 @@
 import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
+import LegalBasisRevisionRepository from '../../repositories/LegalBasisRevision.repository.js'
+import ArticleRevisionRepository from '../../repositories/ArticleRevision.repository.js'
 import extractArticlesQueue from '../../workers/extractArticlesWorker.js'
-import legalBasisSchema from '../../schemas/legalBasis.schema.js'
+import legalBasisSchema, {
+  legalBasisListQuerySchema
+} from '../../schemas/legalBasis.schema.js'
 import sendLegalBasisQueue from '../../workers/sendLegalBasisWorker.js'
 import SubjectsRepository from '../../repositories/Subject.repository.js'
 import AspectsRepository from '../../repositories/Aspects.repository.js'
 import ExtractArticlesService from '../articles/extractArticles/ExtractArticles.service.js'
 import SendLegalBasisService from './sendLegalBasis/SendLegalBasis.service.js'
 import ReqIdentifyService from '../reqIdentification/reqIdentify/ReqIdentify.service.js'
+import ReqIdentificationService from '../reqIdentification/ReqIdentification.service.js'
 import { z } from 'zod'
 import HttpException from '../errors/HttpException.js'
 import FileService from '../files/File.service.js'
+import { detectMimeType } from '../../utils/documentMimeType.js'
 import { format } from 'date-fns'
 import { es } from 'date-fns/locale'
 /**
@@ -137,6 +143,11 @@ class LegalBasisService {
       const createdLegalBasis = await LegalBasisRepository.create(
         legalBasisData
       )
+      await LegalBasisRevisionRepository.create(
+        createdLegalBasis.id,
+        'Create',
+        userId
+      )
       let documentUrl = null
       let jobId = null
       if (documentKey) {
@@ -145,7 +156,8 @@ class LegalBasisService {
           const job = await extractArticlesQueue.add({
             userId,
             legalBasisId: createdLegalBasis.id,
-            intelligenceLevel: parsedlegalBasis.intelligenceLevel
+            intelligenceLevel: parsedlegalBasis.intelligenceLevel,
+            ...(document && { document: this._toJobDocument(document) })
           })
           jobId = job.id
         }
@@ -187,16 +199,49 @@ class LegalBasisService {
   }
 
   /**
-   * Retrieves all legal basis entries from the database.
-   * @returns {Promise<Array<LegalBasis>>} - A list of all legal basis entries.
-   * @throws {HttpException} - If an error occurs during retrieval.
+   * Retrieves a page of legal basis entries.
+   * @param {Object} [query] - The list query.
+   * @param {number} [query.page] - The page number.
+   * @param {number} [query.pageSize] - The page size.
+   * @param {string} [query.cursor] - The cursor of the page, instead of a page number.
+   * @param {string} [query.sort] - The sort fields, e.g. '-lastReform,name'.
+   * @param {string} [query.name] - A partial legal name.
+   * @param {string} [query.abbreviation] - A partial abbreviation.
+   * @param {string} [query.classification] - The classification.
+   * @param {string} [query.jurisdiction] - The jurisdiction.
+   * @param {string} [query.state] - The state.
+   * @param {string|Array<string>} [query.municipalities] - The municipalities, comma-separated.
+   * @param {number} [query.subjectId] - The subject ID.
+   * @param {string|Array<number>} [query.aspectIds] - The aspect IDs, comma-separated.
+   * @param {string} [query.lastReformFrom] - The earliest last reform date.
+   * @param {string} [query.lastReformTo] - The latest last reform date.
+   * @returns {Promise<import('../../utils/pagination.js').Page<LegalBasis>>} - The page of legal basis entries.
+   * @throws {HttpException} - If the query is invalid, the subject or aspects are not found, or an error occurs during retrieval.
    */
-  static async getAll () {
+  static async getAll (query = {}) {
     try {
-      const legalBasis = await LegalBasisRepository.findAll()
-      if (!legalBasis) {
-        return []
+      const { filters, listOptions } = legalBasisListQuerySchema.parse(query)
+      if (filters.subjectId) {
+        const subject = await SubjectsRepository.findById(filters.subjectId)
+        if (!subject) {
+          throw new HttpException(404, 'Subject not found')
+        }
+      }
+      if (filters.aspectIds?.length > 0) {
+        const existingAspects = await AspectsRepository.findByIds(
+          filters.aspectIds
+        )
+        if (existingAspects.length !== filters.aspectIds.length) {
+          const notFoundIds = filters.aspectIds.filter(
+            (id) => !existingAspects.some((aspect) => aspect.id === id)
+          )
+          throw new HttpException(404, 'Aspects not found for IDs', {
+            notFoundIds
+          })
+        }
       }
+      const { items: legalBasis, pagination } =
+        await LegalBasisRepository.findMany(filters, listOptions)
       const legalBases = await Promise.all(
         legalBasis.map(async (legalBasis) => {
           let documentUrl = null
@@ -227,9 +272,15 @@ class LegalBasisService {
           }
         })
       )
-
-      return legalBases
+      return { items: legalBases, pagination }
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
@@ -286,606 +337,6 @@ class LegalBasisService {
     }
   }
 
-  /**
-   * Retrieves all legal basis entries by name.
-   * @param {string} legalName - The name or part of the name of the legal basis to retrieve.
-   * @returns {Promise<Array<LegalBasis>>} - A list of legal basis entries matching the name.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByName (legalName) {
-    try {
-      const legalBasis = await LegalBasisRepository.findByName(legalName)
-      if (!legalBasis) {
-        return []
-      }
-      const legalBases = await Promise.all(
-        legalBasis.map(async (legalBase) => {
-          let documentUrl = null
-          if (legalBase.url) {
-            documentUrl = await FileService.getFile(legalBase.url)
-          }
-
-          let formattedLastReform = null
-          if (legalBase.lastReform) {
-            formattedLastReform = format(
-              new Date(legalBase.lastReform),
-              'dd-MM-yyyy',
-              { locale: es }
-            )
-          }
-
-          return {
-            id: legalBase.id,
-            legal_name: legalBase.legal_name,
-            subject: legalBase.subject,
-            aspects: legalBase.aspects,
-            classification: legalBase.classification,
-            jurisdiction: legalBase.jurisdiction,
-            state: legalBase.state,
-            municipality: legalBase.municipality,
-            last_reform: formattedLastReform,
-            abbreviation: legalBase.abbreviation,
-            url: documentUrl,
-            fileKey: legalBase.url
-          }
-        })
-      )
-      return legalBases
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve legal basis records by name'
-      )
-    }
-  }
-
-  /**
-   * Retrieves all legal basis entry by abbreviation.
-   * @param {string} abbreviation - The abbreviation or part of the abbreviation of the legal basis to retrieve.
-   * @returns {Promise<Array<LegalBasis>>} - A list of legal basis entries matching the abbreviation.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByAbbreviation (abbreviation) {
-    try {
-      const legalBasis = await LegalBasisRepository.findByAbbreviation(
-        abbreviation
-      )
-      if (!legalBasis) {
-        return []
-      }
-      const legalBases = await Promise.all(
-        legalBasis.map(async (legalBasis) => {
-          let documentUrl = null
-          if (legalBasis.url) {
-            documentUrl = await FileService.getFile(legalBasis.url)
-          }
-          let formattedLastReform = null
-          if (legalBasis.lastReform) {
-            formattedLastReform = format(
-              new Date(legalBasis.lastReform),
-              'dd-MM-yyyy',
-              { locale: es }
-            )
-          }
-          return {
-            id: legalBasis.id,
-            legal_name: legalBasis.legal_name,
-            subject: legalBasis.subject,
-            aspects: legalBasis.aspects,
-            classification: legalBasis.classification,
-            jurisdiction: legalBasis.jurisdiction,
-            state: legalBasis.state,
-            municipality: legalBasis.municipality,
-            last_reform: formattedLastReform,
-            abbreviation: legalBasis.abbreviation,
-            url: documentUrl,
-            fileKey: legalBasis.url
-          }
-        })
-      )
-      return legalBases
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve legal basis record by abbreviation'
-      )
-    }
-  }
-
-  /**
-   * Retrieves all legal basis entries by their classification.
-   * @param {string} classification - The classification of the legal basis to retrieve.
-   * @returns {Promise<Array<LegalBasis>>} - A list of legal basis entries.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByClassification (classification) {
-    try {
-      const legalBasis = await LegalBasisRepository.findByClassification(
-        classification
-      )
-      if (!legalBasis) {
-        return []
-      }
-      const legalBases = await Promise.all(
-        legalBasis.map(async (legalBasis) => {
-          let documentUrl = null
-          if (legalBasis.url) {
-            documentUrl = await FileService.getFile(legalBasis.url)
-          }
-          let formattedLastReform = null
-          if (legalBasis.lastReform) {
-            formattedLastReform = format(
-              new Date(legalBasis.lastReform),
-              'dd-MM-yyyy',
-              { locale: es }
-            )
-          }
-          return {
-            id: legalBasis.id,
-            legal_name: legalBasis.legal_name,
-            subject: legalBasis.subject,
-            aspects: legalBasis.aspects,
-            classification: legalBasis.classification,
-            jurisdiction: legalBasis.jurisdiction,
-            state: legalBasis.state,
-            municipality: legalBasis.municipality,
-            last_reform: formattedLastReform,
-            abbreviation: legalBasis.abbreviation,
-            url: documentUrl,
-            fileKey: legalBasis.url
-          }
-        })
-      )
-
-      return legalBases
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve legal basis records by classification'
-      )
-    }
-  }
-
-  /**
-   * Retrieves legal basis entries filtered by jurisdiction.
-   * @param {string} jurisdiction - The jurisdiction to filter by.
-   * @returns {Promise<Array<LegalBasis>>} - A list of legal basis entries.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByJurisdiction (jurisdiction) {
-    try {
-      const legalBasis = await LegalBasisRepository.findByJurisdiction(
-        jurisdiction
-      )
-      if (!legalBasis) {
-        return []
-      }
-      const legalBases = await Promise.all(
-        legalBasis.map(async (legalBasis) => {
-          let documentUrl = null
-          if (legalBasis.url) {
-            documentUrl = await FileService.getFile(legalBasis.url)
-          }
-          let formattedLastReform = null
-          if (legalBasis.lastReform) {
-            formattedLastReform = format(
-              new Date(legalBasis.lastReform),
-              'dd-MM-yyyy',
-              { locale: es }
-            )
-          }
-          return {
-            id: legalBasis.id,
-            legal_name: legalBasis.legal_name,
-            subject: legalBasis.subject,
-            aspects: legalBasis.aspects,
-            classification: legalBasis.classification,
-            jurisdiction: legalBasis.jurisdiction,
-            state: legalBasis.state,
-            municipality: legalBasis.municipality,
-            last_reform: formattedLastReform,
-            abbreviation: legalBasis.abbreviation,
-            url: documentUrl,
-            fileKey: legalBasis.url
-          }
-        })
-      )
-      return legalBases
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve legal basis records by jurisdiction'
-      )
-    }
-  }
-
-  /**
-   * Retrieves legal basis entries filtered by state.
-   * @param {string} state - The state to filter by.
-   * @returns {Promise<Array<LegalBasis>>} - A list of legal basis entries.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByState (state) {
-    try {
-      const legalBasis = await LegalBasisRepository.findByState(state)
-      if (!legalBasis) {
-        return []
-      }
-      const legalBases = await Promise.all(
-        legalBasis.map(async (legalBasis) => {
-          let documentUrl = null
-          if (legalBasis.url) {
-            documentUrl = await FileService.getFile(legalBasis.url)
-          }
-          let formattedLastReform = null
-          if (legalBasis.lastReform) {
-            formattedLastReform = format(
-              new Date(legalBasis.lastReform),
-              'dd-MM-yyyy',
-              { locale: es }
-            )
-          }
-          return {
-            id: legalBasis.id,
-            legal_name: legalBasis.legal_name,
-            subject: legalBasis.subject,
-            aspects: legalBasis.aspects,
-            classification: legalBasis.classification,
-            jurisdiction: legalBasis.jurisdiction,
-            state: legalBasis.state,
-            municipality: legalBasis.municipality,
-            last_reform: formattedLastReform,
-            abbreviation: legalBasis.abbreviation,
-            url: documentUrl,
-            fileKey: legalBasis.url
-          }
-        })
-      )
-
-      return legalBases
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve legal basis records by state'
-      )
-    }
-  }
-
-  /**
-   * Retrieves legal basis entries filtered by state and optionally by municipalities.
-   * @param {string} state - The state to filter by.
-   * @param {Array<string>} [municipalities] - An array of municipalities to filter by (optional).
-   * @returns {Promise<Array<LegalBasis>>} - A list of legal basis entries.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByStateAndMunicipalities (state, municipalities = []) {
-    try {
-      const legalBasis =
-        await LegalBasisRepository.findByStateAndMunicipalities(
-          state,
-          municipalities
-        )
-      if (!legalBasis) {
-        return []
-      }
-      const legalBases = await Promise.all(
-        legalBasis.map(async (legalBasis) => {
-          let documentUrl = null
-          if (legalBasis.url) {
-            documentUrl = await FileService.getFile(legalBasis.url)
-          }
-          let formattedLastReform = null
-          if (legalBasis.lastReform) {
-            formattedLastReform = format(
-              new Date(legalBasis.lastReform),
-              'dd-MM-yyyy',
-              { locale: es }
-            )
-          }
-          return {
-            id: legalBasis.id,
-            legal_name: legalBasis.legal_name,
-            subject: legalBasis.subject,
-            aspects: legalBasis.aspects,
-            classification: legalBasis.classification,
-            jurisdiction: legalBasis.jurisdiction,
-            state: legalBasis.state,
-            municipality: legalBasis.municipality,
-            last_reform: formattedLastReform,
-            abbreviation: legalBasis.abbreviation,
-            url: documentUrl,
-            fileKey: legalBasis.url
-          }
-        })
-      )
-
-      return legalBases
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve legal basis records by state and municipalities'
-      )
-    }
-  }
-
-  /**
-   * Retrieves legal basis entries filtered by a specific subject.
-   * @param {number} subjectId - The subject ID to filter by.
-   * @returns {Promise<Array<LegalBasis>>} - A list of legal basis entries.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getBySubject (subjectId) {
-    try {
-      const subject = await SubjectsRepository.findById(subjectId)
-      if (!subject) {
-        throw new HttpException(404, 'Subject not found')
-      }
-      const legalBasis = await LegalBasisRepository.findBySubject(subjectId)
-      if (!legalBasis) {
-        return []
-      }
-      const legalBases = await Promise.all(
-        legalBasis.map(async (legalBasis) => {
-          let documentUrl = null
-          if (legalBasis.url) {
-            documentUrl = await FileService.getFile(legalBasis.url)
-          }
-          let formattedLastReform = null
-          if (legalBasis.lastReform) {
-            formattedLastReform = format(
-              new Date(legalBasis.lastReform),
-              'dd-MM-yyyy',
-              { locale: es }
-            )
-          }
-          return {
-            id: legalBasis.id,
-            legal_name: legalBasis.legal_name,
-            subject: legalBasis.subject,
-            aspects: legalBasis.aspects,
-            classification: legalBasis.classification,
-            jurisdiction: legalBasis.jurisdiction,
-            state: legalBasis.state,
-            municipality: legalBasis.municipality,
-            last_reform: formattedLastReform,
-            abbreviation: legalBasis.abbreviation,
-            url: documentUrl,
-            fileKey: legalBasis.url
-          }
-        })
-      )
-      return legalBases
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve legal basis records by subject'
-      )
-    }
-  }
-
-  /**
-   * Retrieves legal basis entries filtered by a specific subject and optionally by aspects.
-   * @param {number} subjectId - The subject ID to filter by.
-   * @param {Array<number>} [aspectIds] - Optional array of aspect IDs to further filter by.
-   * @returns {Promise<Array<LegalBasis>>} - A list of legal basis entries.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getBySubjectAndAspects (subjectId, aspectIds = []) {
-    try {
-      const subject = await SubjectsRepository.findById(subjectId)
-      if (!subject) {
-        throw new HttpException(404, 'Subject not found')
-      }
-      const existingAspects = await AspectsRepository.findByIds(aspectIds)
-      if (existingAspects.length !== aspectIds.length) {
-        const notFoundIds = aspectIds.filter(
-          (id) => !existingAspects.some((aspect) => aspect.id === id)
-        )
-        throw new HttpException(404, 'Aspects not found for IDs', {
-          notFoundIds
-        })
-      }
-      const legalBasis = await LegalBasisRepository.findBySubjectAndAspects(
-        subjectId,
-        aspectIds
-      )
-      if (!legalBasis) {
-        return []
-      }
-      const legalBases = await Promise.all(
-        legalBasis.map(async (legalBasis) => {
-          let documentUrl = null
-          if (legalBasis.url) {
-            documentUrl = await FileService.getFile(legalBasis.url)
-          }
-          let formattedLastReform = null
-          if (legalBasis.lastReform) {
-            formattedLastReform = format(
-              new Date(legalBasis.lastReform),
-              'dd-MM-yyyy',
-              { locale: es }
-            )
-          }
-          return {
-            id: legalBasis.id,
-            legal_name: legalBasis.legal_name,
-            subject: legalBasis.subject,
-            aspects: legalBasis.aspects,
-            classification: legalBasis.classification,
-            jurisdiction: legalBasis.jurisdiction,
-            state: legalBasis.state,
-            municipality: legalBasis.municipality,
-            last_reform: formattedLastReform,
-            abbreviation: legalBasis.abbreviation,
-            url: documentUrl,
-            fileKey: legalBasis.url
-          }
-        })
-      )
-
-      return legalBases
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve legal basis records by subject and aspects'
-      )
-    }
-  }
-
-  /**
-   * Retrieves legal basis entries by dynamic filters.
-   *
-   * @param {Object} filters - The filtering criteria.
-   * @param {string} [filters.jurisdiction] - Optional jurisdiction value.
-   * @param {string} [filters.state] - Optional state name.
-   * @param {string} [filters.municipality] - Optional municipality.
-   * @param {number} [filters.subjectId] - Optional subject ID.
-   * @param {Array<number>} [filters.aspectIds] - Optional array of aspect IDs.
-   * @returns {Promise<Array<LegalBasis>>} - A list of filtered and formatted legal basis records.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getLegalBasisByCriteria (filters = {}) {
-    try {
-      const { jurisdiction, state, municipality, subjectId, aspectIds } =
-        filters
-
-      const legalBasis = await LegalBasisRepository.findLegalBasisByCriteria({
-        jurisdiction,
-        state,
-        municipality,
-        subjectId,
-        aspectIds
-      })
-
-      if (!legalBasis) return []
-
-      const legalBases = await Promise.all(
-        legalBasis.map(async (legalBasis) => {
-          let documentUrl = null
-          if (legalBasis.url) {
-            documentUrl = await FileService.getFile(legalBasis.url)
-          }
-
-          let formattedLastReform = null
-          if (legalBasis.lastReform) {
-            formattedLastReform = format(
-              new Date(legalBasis.lastReform),
-              'dd-MM-yyyy',
-              { locale: es }
-            )
-          }
-
-          return {
-            id: legalBasis.id,
-            legal_name: legalBasis.legal_name,
-            subject: legalBasis.subject,
-            aspects: legalBasis.aspects,
-            classification: legalBasis.classification,
-            jurisdiction: legalBasis.jurisdiction,
-            state: legalBasis.state,
-            municipality: legalBasis.municipality,
-            last_reform: formattedLastReform,
-            abbreviation: legalBasis.abbreviation,
-            url: documentUrl,
-            fileKey: legalBasis.url
-          }
-        })
-      )
-
-      return legalBases
-    } catch (error) {
-      if (error instanceof HttpException) throw error
-
-      throw new HttpException(
-        500,
-        'Failed to retrieve legal basis records with filters'
-      )
-    }
-  }
-
-  /**
-   * Retrieves legal basis entries filtered by a date range for the last_reform.
-   * Both 'from' and 'to' are optional. If provided, they can be in 'YYYY-MM-DD' or 'DD-MM-YYYY'.
-   *
-   * @function getByLastReform
-   * @param {string} [from] - Start date.
-   * @param {string} [to] - End date.
-   * @returns {Promise<Array<LegalBasis>>} - A list of legal basis entries filtered by the date range.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByLastReform (from, to) {
-    try {
-      const legalBasis = await LegalBasisRepository.findByLastReform(from, to)
-      if (!legalBasis) {
-        return []
-      }
-      const legalBases = await Promise.all(
-        legalBasis.map(async (legalBasis) => {
-          let documentUrl = null
-          if (legalBasis.url) {
-            documentUrl = await FileService.getFile(legalBasis.url)
-          }
-          let formattedLastReform = null
-          if (legalBasis.lastReform) {
-            formattedLastReform = format(
-              new Date(legalBasis.lastReform),
-              'dd-MM-yyyy',
-              { locale: es }
-            )
-          }
-          return {
-            id: legalBasis.id,
-            legal_name: legalBasis.legal_name,
-            subject: legalBasis.subject,
-            aspects: legalBasis.aspects,
-            classification: legalBasis.classification,
-            jurisdiction: legalBasis.jurisdiction,
-            state: legalBasis.state,
-            municipality: legalBasis.municipality,
-            last_reform: formattedLastReform,
-            abbreviation: legalBasis.abbreviation,
-            url: documentUrl,
-            fileKey: legalBasis.url
-          }
-        })
-      )
-
-      return legalBases
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve legal basis records by last reform range'
-      )
-    }
-  }
-
   /**
    * Sends selected Legal Basis entries to ACM Suite after validating them.
    *
@@ -1054,6 +505,26 @@ class LegalBasisService {
       if (!updatedLegalBasis) {
         throw new HttpException(404, 'LegalBasis not found')
       }
+      await LegalBasisRevisionRepository.create(legalBasisId, 'Update', userId)
+      const previousLastReform = existingLegalBasis.lastReform
+        ? format(new Date(existingLegalBasis.lastReform), 'yyyy-MM-dd')
+        : null
+      const isReformed =
+        previousLastReform !== parsedlegalBasis.lastReform ||
+        documentKey !== existingLegalBasis.url ||
+        parsedlegalBasis.extractArticles
+      if (isReformed) {
+        try {
+          await ReqIdentificationService.markLegalBasisAsOutdated(
+            updatedLegalBasis
+          )
+        } catch (outdatedError) {
+          console.error(
+            'Error flagging requirement identifications as outdated:',
+            outdatedError
+          )
+        }
+      }
       let documentUrl = null
       let jobId = null
       if (documentKey) {
@@ -1062,7 +533,8 @@ class LegalBasisService {
           const job = await extractArticlesQueue.add({
             userId,
             legalBasisId: updatedLegalBasis.id,
-            intelligenceLevel: parsedlegalBasis.intelligenceLevel
+            intelligenceLevel: parsedlegalBasis.intelligenceLevel,
+            ...(document && { document: this._toJobDocument(document) })
           })
           jobId = job.id
         }
@@ -1102,11 +574,13 @@ class LegalBasisService {
 
   /**
    * Deletes a Legal base by ID.
+   * A revision of the legal basis and of each of its articles is recorded before deletion.
+   * @param {number} userId - The ID of the user deleting the legal basis.
    * @param {number} legalBasisId - The ID of the Legal base to delete.
    * @returns {Promise<{ success: boolean }>} - An object indicating the deletion was successful.
    * @throws {HttpException} - If an error occurs during deletion.
    */
-  static async deleteById (legalBasisId) {
+  static async deleteById (userId, legalBasisId) {
     try {
       const legalBasis = await LegalBasisRepository.findById(legalBasisId)
       if (!legalBasis) {
@@ -1149,6 +623,7 @@ class LegalBasisService {
           'Cannot delete LegalBasis with pending Requirement Identification jobs'
         )
       }
+      await this._recordDeletion(userId, legalBasisId)
       if (legalBasis.url) {
         await FileService.deleteFile(legalBasis.url)
       }
@@ -1170,11 +645,13 @@ class LegalBasisService {
 
   /**
    * Deletes multiple Legal Basis records by their IDs.
+   * A revision of each legal basis and of its articles is recorded before deletion.
+   * @param {number} userId - The ID of the user deleting the legal bases.
    * @param {Array<number>} legalBasisIds - An array of IDs of the Legal Basis records to delete.
    * @returns {Promise<{ success: boolean }>} - An object indicating the deletion was successful.
    * @throws {HttpException} - If any error occurs during the deletion process.
    */
-  static async deleteBatch (legalBasisIds) {
+  static async deleteBatch (userId, legalBasisIds) {
     try {
       const legalBasis = await LegalBasisRepository.findByIds(legalBasisIds)
       if (legalBasis.length !== legalBasisIds.length) {
@@ -1276,6 +753,9 @@ class LegalBasisService {
           { legalBases: pendingReqIdentificationJobs }
         )
       }
+      for (const legalBasisId of legalBasisIds) {
+        await this._recordDeletion(userId, legalBasisId)
+      }
       await Promise.all(urlsToDelete.map((url) => FileService.deleteFile(url)))
       const legalBasisDeleted = await LegalBasisRepository.deleteBatch(
         legalBasisIds
@@ -1295,6 +775,38 @@ class LegalBasisService {
       )
     }
   }
+
+  /**
+   * Records the 'Delete' revisions of a legal basis and its articles.
+   * Articles are linked to the legal basis revision so they can be restored together.
+   * @param {number} userId - The ID of the user deleting the legal basis.
+   * @param {number} legalBasisId - The ID of the legal basis about to be deleted.
+   * @returns {Promise<void>}
+   */
+  static async _recordDeletion (userId, legalBasisId) {
+    const revisionId = await LegalBasisRevisionRepository.create(
+      legalBasisId,
+      'Delete',
+      userId
+    )
+    await ArticleRevisionRepository.createFromLegalBasis(
+      legalBasisId,
+      'Delete',
+      userId,
+      revisionId
+    )
+  }
+
+  /**
+   * Describes an uploaded document for an article extraction job.
+   * The job carries only its type: the worker reads the document from S3 through the key stored
+   * in the legal basis, so file contents are never kept in the queue.
+   * @param {Express.Multer.File} document - The uploaded document.
+   * @returns {{ mimeType: string }} - The job document.
+   */
+  static _toJobDocument (document) {
+    return { mimeType: detectMimeType(document) }
+  }
 }
 
 export default LegalBasisService
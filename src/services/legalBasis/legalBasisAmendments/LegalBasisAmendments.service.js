@@ -0,0 +1,435 @@
+import { pool } from '../../../config/db.config.js'
+import LegalBasisRepository from '../../../repositories/LegalBasis.repository.js'
+import LegalBasisAmendmentRepository from '../../../repositories/LegalBasisAmendment.repository.js'
+import LegalBasisRevisionRepository from '../../../repositories/LegalBasisRevision.repository.js'
+import ArticlesRepository from '../../../repositories/Articles.repository.js'
+import ArticleRevisionRepository from '../../../repositories/ArticleRevision.repository.js'
+import ArticlesService from '../../articles/Articles.service.js'
+import ExtractArticlesService from '../../articles/extractArticles/ExtractArticles.service.js'
+import ReqIdentificationService from '../../reqIdentification/ReqIdentification.service.js'
+import DecreeAmendmentParser from '../../articles/articleExtraction/DecreeAmendmentParser.js'
+import ArticleSubunitParser from '../../articles/articleExtraction/ArticleSubunitParser.js'
+import { LATIN_SUFFIXES } from '../../articles/articleExtraction/LegalHeadingDetector.js'
+import { amendmentReviewSchema } from '../../../schemas/legalBasisAmendment.schema.js'
+import { foldAccents } from '../../../utils/searchText.js'
+import HttpException from '../../errors/HttpException.js'
+import { z } from 'zod'
+import { convert } from 'html-to-text'
+import { format } from 'date-fns'
+
+/** @typedef {import('../../../models/LegalBasisAmendment.model.js').default} LegalBasisAmendment */
+/** @typedef {import('../../../models/Article.model.js').default} Article */
+
+/**
+ * Text of an article repealed by a decree that prints none; repealed articles keep their place
+ * and number, as in the official text of Mexican laws.
+ */
+const REPEALED_ARTICLE_CONTENT = '<p>Se deroga.</p>'
+
+/**
+ * Service class for reviewing the amendments of reform decrees and applying them to the
+ * articles of the legal bases they amend.
+ */
+class LegalBasisAmendmentsService {
+  /**
+   * Stores the amendments extracted from a decree, replacing those not applied yet.
+   * Each target is looked up in the catalog by its name; amendments already applied are not
+   * stored again.
+   * @param {number} decreeId - The ID of the decree legal basis.
+   * @param {import('../../articles/articleExtraction/DecreeAmendmentParser.js').ParsedAmendment[]} amendments - The extracted amendments.
+   * @returns {Promise<LegalBasisAmendment[]>} - The amendments of the decree.
+   * @throws {HttpException} - If an error occurs during insertion.
+   */
+  static async replacePending (decreeId, amendments) {
+    try {
+      const existingAmendments =
+        await LegalBasisAmendmentRepository.findByDecreeId(decreeId)
+      const appliedKeys = new Set(
+        existingAmendments
+          .filter(({ status }) => status === 'applied')
+          .map((amendment) =>
+            this._amendmentKey(
+              amendment.target_name,
+              amendment.action,
+              amendment.article_name
+            )
+          )
+      )
+      const targetIds = new Map()
+      const pendingAmendments = []
+      for (const amendment of amendments) {
+        const key = this._amendmentKey(
+          amendment.targetName,
+          amendment.action,
+          amendment.articleName
+        )
+        if (appliedKeys.has(key)) continue
+        if (amendment.targetName && !targetIds.has(amendment.targetName)) {
+          const target = await LegalBasisRepository.findByName(
+            amendment.targetName
+          )
+          targetIds.set(
+            amendment.targetName,
+            target && target.id !== decreeId ? target.id : null
+          )
+        }
+        pendingAmendments.push({
+          ...amendment,
+          targetId: targetIds.get(amendment.targetName) ?? null
+        })
+      }
+      return await LegalBasisAmendmentRepository.replacePending(
+        decreeId,
+        pendingAmendments
+      )
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Unexpected error during amendment insertion')
+    }
+  }
+
+  /**
+   * Retrieves the amendments of a decree, in the order they appear in it.
+   * @param {number} decreeId - The ID of the decree legal basis.
+   * @returns {Promise<LegalBasisAmendment[]>} - The amendments.
+   * @throws {HttpException} - If the legal basis is not found or retrieval fails.
+   */
+  static async getByDecreeId (decreeId) {
+    try {
+      const decree = await LegalBasisRepository.findById(decreeId)
+      if (!decree) {
+        throw new HttpException(404, 'LegalBasis not found')
+      }
+      return await LegalBasisAmendmentRepository.findByDecreeId(decree.id)
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to retrieve amendments')
+    }
+  }
+
+  /**
+   * Reviews an amendment of a decree: approves or rejects it, or corrects what was extracted.
+   * @param {number} userId - The ID of the reviewing user.
+   * @param {number} decreeId - The ID of the decree legal basis.
+   * @param {number} amendmentId - The ID of the amendment.
+   * @param {Object} review - The review.
+   * @param {'pending'|'approved'|'rejected'} [review.status] - The new review state.
+   * @param {number} [review.targetId] - The ID of the amended legal basis.
+   * @param {'reform'|'addition'|'repeal'} [review.action] - What the decree does to the article.
+   * @param {string} [review.articleName] - The name of the amended article.
+   * @param {string|null} [review.content] - The new text of the article, in HTML.
+   * @returns {Promise<LegalBasisAmendment>} - The reviewed amendment.
+   * @throws {HttpException} - If the review is invalid, the amendment or target is not found,
+   * or the amendment was already applied.
+   */
+  static async review (userId, decreeId, amendmentId, review) {
+    try {
+      const parsedReview = amendmentReviewSchema.parse(review)
+      const amendment = await LegalBasisAmendmentRepository.findById(amendmentId)
+      if (!amendment || amendment.decree_id !== Number(decreeId)) {
+        throw new HttpException(404, 'Amendment not found')
+      }
+      if (amendment.status === 'applied') {
+        throw new HttpException(409, 'Applied amendments cannot be changed')
+      }
+      if (parsedReview.targetId) {
+        const target = await LegalBasisRepository.findById(parsedReview.targetId)
+        if (!target || target.id === amendment.decree_id) {
+          throw new HttpException(404, 'Target LegalBasis not found')
+        }
+      }
+      const reviewedAmendment = await LegalBasisAmendmentRepository.updateReview(
+        amendment.id,
+        { ...parsedReview, reviewedBy: userId }
+      )
+      if (!reviewedAmendment) {
+        throw new HttpException(404, 'Amendment not found')
+      }
+      return reviewedAmendment
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Unexpected error during amendment review')
+    }
+  }
+
+  /**
+   * Applies the approved amendments of a decree to the articles of their targets.
+   * Reforms replace the text of the article, repeals leave it as "Se deroga." and additions
+   * insert a new article after the one it follows ("12 Bis" after "12"). Every amendment is
+   * checked against the articles of its target before any is applied; reforms that still hold
+   * the ellipses of a partial excerpt are rejected, since they would wipe the unchanged parts.
+   * The last reform of each target becomes the date of the decree, unless it is already later.
+   * All the writes run in one transaction, so a failure leaves every target as it was and the
+   * amendments approved; the requirement identifications citing the targets are flagged as
+   * outdated once it is committed.
+   * @param {number} userId - The ID of the user applying the amendments.
+   * @param {number} decreeId - The ID of the decree legal basis.
+   * @returns {Promise<LegalBasisAmendment[]>} - The amendments of the decree.
+   * @throws {HttpException} - If the decree is not found, has nothing to apply, or its amendments
+   * do not match the articles of their targets.
+   */
+  static async apply (userId, decreeId) {
+    try {
+      const decree = await LegalBasisRepository.findById(decreeId)
+      if (!decree) {
+        throw new HttpException(404, 'LegalBasis not found')
+      }
+      const amendments = (
+        await LegalBasisAmendmentRepository.findByDecreeId(decree.id)
+      ).filter(({ status }) => status === 'approved')
+      if (amendments.length === 0) {
+        throw new HttpException(409, 'The decree has no approved amendments')
+      }
+      if (!decree.lastReform) {
+        throw new HttpException(409, 'The decree has no last reform date')
+      }
+      const untargetedIds = amendments
+        .filter(({ target_id: targetId }) => targetId === null)
+        .map(({ id }) => id)
+      if (untargetedIds.length > 0) {
+        throw new HttpException(
+          409,
+          'Approved amendments have no target legal basis',
+          { amendmentIds: untargetedIds }
+        )
+      }
+      const targets = []
+      const conflicts = []
+      const targetIds = [...new Set(amendments.map(({ target_id: targetId }) => targetId))]
+      for (const targetId of targetIds) {
+        const target = await LegalBasisRepository.findById(targetId)
+        if (!target) {
+          throw new HttpException(404, 'Target LegalBasis not found')
+        }
+        const extractArticlesJobs =
+          await ExtractArticlesService.hasPendingExtractionJobs(target.id)
+        if (extractArticlesJobs.hasPendingJobs) {
+          throw new HttpException(
+            409,
+            'Cannot apply amendments with pending Article Extraction jobs'
+          )
+        }
+        const articles =
+          (await ArticlesRepository.findByLegalBasisId(target.id)) ?? []
+        const articlesByKey = new Map()
+        for (const article of articles) {
+          const key = DecreeAmendmentParser.articleKey(article.article_name ?? '')
+          if (!articlesByKey.has(key)) articlesByKey.set(key, article)
+        }
+        const targetAmendments = amendments.filter(
+          ({ target_id: amendmentTargetId }) => amendmentTargetId === target.id
+        )
+        const addedKeys = new Set()
+        for (const amendment of targetAmendments) {
+          const key = DecreeAmendmentParser.articleKey(amendment.article_name)
+          const conflict = (message) =>
+            conflicts.push({ id: amendment.id, articleName: amendment.article_name, message })
+          if (amendment.action === 'addition') {
+            if (articlesByKey.has(key) || addedKeys.has(key)) {
+              conflict('The article already exists in the target legal basis')
+            }
+            addedKeys.add(key)
+          } else if (!articlesByKey.has(key)) {
+            conflict('The article does not exist in the target legal basis')
+          }
+          if (amendment.action !== 'repeal' && !amendment.content) {
+            conflict('The amendment has no content')
+          }
+          if (
+            amendment.action === 'reform' &&
+            DecreeAmendmentParser.isPartial(amendment.content)
+          ) {
+            conflict(
+              'The reform only holds the amended parts of the article; replace the ellipses with the unchanged text'
+            )
+          }
+        }
+        targets.push({ target, articles, articlesByKey, amendments: targetAmendments })
+      }
+      if (conflicts.length > 0) {
+        throw new HttpException(
+          409,
+          'Approved amendments do not match the articles of their target legal bases',
+          conflicts
+        )
+      }
+      const decreeLastReform = format(new Date(decree.lastReform), 'yyyy-MM-dd')
+      const writtenArticleIds = []
+      const connection = await pool.getConnection()
+      try {
+        await connection.beginTransaction()
+        for (const { target, articles, articlesByKey, amendments: targetAmendments } of targets) {
+          for (const amendment of targetAmendments) {
+            const key = DecreeAmendmentParser.articleKey(amendment.article_name)
+            const article = amendment.action === 'addition'
+              ? await this._addArticle(connection, userId, target.id, amendment, key, articles, articlesByKey)
+              : await this._amendArticle(connection, userId, articlesByKey.get(key), amendment)
+            await LegalBasisAmendmentRepository.markApplied(amendment.id, article.id, connection)
+            writtenArticleIds.push(article.id)
+          }
+          const targetLastReform = target.lastReform
+            ? format(new Date(target.lastReform), 'yyyy-MM-dd')
+            : null
+          if (!targetLastReform || targetLastReform < decreeLastReform) {
+            await LegalBasisRepository.updateLastReform(target.id, decreeLastReform, connection)
+            await LegalBasisRevisionRepository.create(target.id, 'Update', userId, connection)
+          }
+        }
+        await connection.commit()
+      } catch (error) {
+        await connection.rollback()
+        throw error
+      } finally {
+        connection.release()
+      }
+      ArticlesService.queueEmbeddings(writtenArticleIds)
+      for (const { target } of targets) {
+        try {
+          const updatedTarget = await LegalBasisRepository.findById(target.id)
+          await ReqIdentificationService.markLegalBasisAsOutdated(updatedTarget)
+        } catch (outdatedError) {
+          console.error(
+            'Error flagging requirement identifications as outdated:',
+            outdatedError
+          )
+        }
+      }
+      return await LegalBasisAmendmentRepository.findByDecreeId(decree.id)
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Unexpected error while applying amendments')
+    }
+  }
+
+  /**
+   * Replaces the text of an article reformed or repealed by an amendment, with its párrafos,
+   * fracciones and incisos, and records the revision.
+   * @param {import('mysql2/promise').PoolConnection} connection - The transaction connection.
+   * @param {number} userId - The ID of the user applying the amendment.
+   * @param {Article} article - The amended article.
+   * @param {LegalBasisAmendment} amendment - The reform or repeal.
+   * @returns {Promise<Article>} - The amended article.
+   */
+  static async _amendArticle (connection, userId, article, amendment) {
+    const content =
+      amendment.action === 'repeal'
+        ? amendment.content || REPEALED_ARTICLE_CONTENT
+        : amendment.content
+    const plainArticle = convert(content)
+    const amendedArticle = await ArticlesRepository.updateById(
+      article.id,
+      { title: null, article: content, plainArticle, order: null },
+      connection
+    )
+    await ArticlesRepository.replaceSubunits(
+      article.id,
+      ArticleSubunitParser.parse(plainArticle),
+      connection
+    )
+    await ArticleRevisionRepository.createFromArticles([article.id], 'Update', userId, connection)
+    return amendedArticle
+  }
+
+  /**
+   * Inserts the article added by an amendment after the article it follows, within the same
+   * title, chapter or section; articles that follow none are appended.
+   * @param {import('mysql2/promise').PoolConnection} connection - The transaction connection.
+   * @param {number} userId - The ID of the user applying the amendment.
+   * @param {number} legalBasisId - The ID of the target legal basis.
+   * @param {LegalBasisAmendment} amendment - The addition.
+   * @param {string} key - The key of the added article.
+   * @param {Article[]} articles - The articles of the target, kept in step with the insertion.
+   * @param {Map<string, Article>} articlesByKey - The articles of the target by key, kept in step with the insertion.
+   * @returns {Promise<Article>} - The added article.
+   */
+  static async _addArticle (connection, userId, legalBasisId, amendment, key, articles, articlesByKey) {
+    const precedingArticle = this._precedingArticle(key, articlesByKey)
+    const order = precedingArticle
+      ? precedingArticle.article_order + 1
+      : Math.max(0, ...articles.map(({ article_order: articleOrder }) => articleOrder ?? 0)) + 1
+    if (precedingArticle) {
+      await ArticlesRepository.shiftOrders(legalBasisId, order, connection)
+      for (const article of articles) {
+        if (article.article_order >= order) article.article_order += 1
+      }
+    }
+    const plainArticle = convert(amendment.content)
+    const article = await ArticlesRepository.create(
+      legalBasisId,
+      {
+        title: amendment.article_name,
+        article: amendment.content,
+        plainArticle,
+        order,
+        sectionKind: 'article',
+        parentId: precedingArticle?.parent_id ?? null
+      },
+      connection
+    )
+    await ArticlesRepository.replaceSubunits(
+      article.id,
+      ArticleSubunitParser.parse(plainArticle),
+      connection
+    )
+    await ArticleRevisionRepository.createFromArticles([article.id], 'Create', userId, connection)
+    articles.push(article)
+    articlesByKey.set(key, article)
+    return article
+  }
+
+  /**
+   * Finds the article an added article follows: the previous suffix of the same number
+   * ("12 Bis" for "12 Ter"), the number itself ("12" for "12 Bis"), or the previous number.
+   * @param {string} key - The key of the added article.
+   * @param {Map<string, Article>} articlesByKey - The articles of the target by key.
+   * @returns {Article|null} - The preceding article, or null if there is none.
+   */
+  static _precedingArticle (key, articlesByKey) {
+    const suffixIndex = LATIN_SUFFIXES.findIndex((suffix) => key.endsWith(` ${suffix}`))
+    const withSuffixes = (number, lastIndex) => [
+      ...LATIN_SUFFIXES.slice(0, lastIndex).reverse().map((suffix) => `${number} ${suffix}`),
+      number
+    ]
+    const candidates = []
+    if (suffixIndex !== -1) {
+      candidates.push(
+        ...withSuffixes(key.slice(0, -(LATIN_SUFFIXES[suffixIndex].length + 1)), suffixIndex)
+      )
+    } else if (/^\d+$/.test(key) && Number(key) > 1) {
+      candidates.push(...withSuffixes(String(Number(key) - 1), LATIN_SUFFIXES.length))
+    }
+    return candidates.map((candidate) => articlesByKey.get(candidate)).find(Boolean) ?? null
+  }
+
+  /**
+   * Identifies an amendment by its target, action and article, however they are written.
+   * @param {string|null} targetName - The name of the amended legal basis.
+   * @param {string} action - What the decree does to the article.
+   * @param {string} articleName - The name of the amended article.
+   * @returns {string} - The key of the amendment.
+   */
+  static _amendmentKey (targetName, action, articleName) {
+    return [
+      foldAccents(targetName ?? '').replace(/\s+/g, ' ').trim(),
+      action,
+      DecreeAmendmentParser.articleKey(articleName)
+    ].join('|')
+  }
+}
+
+export default LegalBasisAmendmentsService
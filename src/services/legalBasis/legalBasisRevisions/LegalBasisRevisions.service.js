@@ -0,0 +1,334 @@
+import LegalBasisRepository from '../../../repositories/LegalBasis.repository.js'
+import LegalBasisRevisionRepository from '../../../repositories/LegalBasisRevision.repository.js'
+import ArticlesRepository from '../../../repositories/Articles.repository.js'
+import ArticleRevisionRepository from '../../../repositories/ArticleRevision.repository.js'
+import SubjectsRepository from '../../../repositories/Subject.repository.js'
+import AspectsRepository from '../../../repositories/Aspects.repository.js'
+import ExtractArticlesService from '../../articles/extractArticles/ExtractArticles.service.js'
+import ArticleSubunitParser from '../../articles/articleExtraction/ArticleSubunitParser.js'
+import ArticlesService from '../../articles/Articles.service.js'
+import ReqIdentificationService from '../../reqIdentification/ReqIdentification.service.js'
+import LegalBasisService from '../LegalBasis.service.js'
+import HttpException from '../../errors/HttpException.js'
+import { convert } from 'html-to-text'
+import { format } from 'date-fns'
+import { es } from 'date-fns/locale'
+
+/** @typedef {import('../../../models/LegalBasisRevision.model.js').default} LegalBasisRevision */
+/** @typedef {import('../../../models/ArticleRevision.model.js').default} ArticleRevision */
+
+/**
+ * Service class for browsing and restoring the revision history of legal bases and their articles.
+ */
+class LegalBasisRevisionsService {
+  /**
+   * Retrieves the revisions of a legal basis, newest first.
+   * Revisions remain available after the legal basis is deleted.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @returns {Promise<LegalBasisRevision[]>} - The revisions of the legal basis.
+   * @throws {HttpException} - If the legal basis has never existed or retrieval fails.
+   */
+  static async getRevisions (legalBasisId) {
+    try {
+      const revisions =
+        await LegalBasisRevisionRepository.findByLegalBasisId(legalBasisId)
+      if (!revisions) {
+        const legalBasis = await LegalBasisRepository.findById(legalBasisId)
+        if (!legalBasis) {
+          throw new HttpException(404, 'LegalBasis not found')
+        }
+        return []
+      }
+      return revisions.map((revision) => ({
+        ...revision,
+        last_reform: revision.last_reform
+          ? format(new Date(revision.last_reform), 'dd-MM-yyyy', {
+            locale: es
+          })
+          : null
+      }))
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to retrieve legal basis revisions')
+    }
+  }
+
+  /**
+   * Retrieves the article revisions of a legal basis, newest first.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} [articleId] - Optional article ID to restrict the revisions to.
+   * @returns {Promise<ArticleRevision[]>} - The article revisions.
+   * @throws {HttpException} - If the legal basis has never existed or retrieval fails.
+   */
+  static async getArticleRevisions (legalBasisId, articleId) {
+    try {
+      const revisions = await ArticleRevisionRepository.findByLegalBasisId(
+        legalBasisId,
+        articleId
+      )
+      if (!revisions) {
+        await this.getRevisions(legalBasisId)
+        return []
+      }
+      return revisions
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to retrieve article revisions')
+    }
+  }
+
+  /**
+   * Restores a legal basis to the state captured by one of its revisions.
+   * If the legal basis was deleted it is re-created with its original ID, together with
+   * the articles it had when it was deleted, whose embeddings are queued again. The current
+   * document is kept, since previous documents are removed from storage when replaced.
+   * @param {number} userId - The ID of the user restoring the legal basis.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} revisionId - The ID of the revision to restore.
+   * @returns {Promise<Object>} - The restored legal basis.
+   * @throws {HttpException} - If the revision is not found, conflicts with other records or the restore fails.
+   */
+  static async restore (userId, legalBasisId, revisionId) {
+    try {
+      const revision = await LegalBasisRevisionRepository.findById(revisionId)
+      if (!revision || revision.legal_basis_id !== Number(legalBasisId)) {
+        throw new HttpException(404, 'Revision not found')
+      }
+      const subject = await SubjectsRepository.findById(revision.subject_id)
+      if (!subject) {
+        throw new HttpException(404, 'Subject not found')
+      }
+      const validAspectIds = await AspectsRepository.findByIds(
+        revision.aspects_ids
+      )
+      if (validAspectIds.length !== revision.aspects_ids.length) {
+        const notFoundIds = revision.aspects_ids.filter(
+          (id) => !validAspectIds.includes(id)
+        )
+        throw new HttpException(404, 'Aspects not found for IDs', {
+          notFoundIds
+        })
+      }
+      const nameExists = await LegalBasisRepository.existsByNameExcludingId(
+        revision.legal_name,
+        revision.legal_basis_id
+      )
+      if (nameExists) {
+        throw new HttpException(409, 'LegalBasis already exists')
+      }
+      const abbreviationExists =
+        await LegalBasisRepository.existsByAbbreviationExcludingId(
+          revision.abbreviation,
+          revision.legal_basis_id
+        )
+      if (abbreviationExists) {
+        throw new HttpException(409, 'LegalBasis abbreviation already exists')
+      }
+      const lastReform = revision.last_reform
+        ? format(new Date(revision.last_reform), 'yyyy-MM-dd')
+        : null
+      const legalBasisData = {
+        legalName: revision.legal_name,
+        abbreviation: revision.abbreviation,
+        subjectId: revision.subject_id,
+        aspectsIds: revision.aspects_ids,
+        classification: revision.classification,
+        jurisdiction: revision.jurisdiction,
+        state: revision.state,
+        municipality: revision.municipality,
+        lastReform
+      }
+      const existingLegalBasis = await LegalBasisRepository.findById(
+        revision.legal_basis_id
+      )
+      if (existingLegalBasis) {
+        const extractArticlesJobs =
+          await ExtractArticlesService.hasPendingExtractionJobs(
+            revision.legal_basis_id
+          )
+        if (extractArticlesJobs.hasPendingJobs) {
+          throw new HttpException(
+            409,
+            'Cannot restore LegalBasis with pending Article Extraction jobs'
+          )
+        }
+        const updatedLegalBasis = await LegalBasisRepository.update(
+          revision.legal_basis_id,
+          { ...legalBasisData, url: existingLegalBasis.url }
+        )
+        if (!updatedLegalBasis) {
+          throw new HttpException(404, 'LegalBasis not found')
+        }
+        const previousLastReform = existingLegalBasis.lastReform
+          ? format(new Date(existingLegalBasis.lastReform), 'yyyy-MM-dd')
+          : null
+        if (previousLastReform !== lastReform) {
+          try {
+            await ReqIdentificationService.markLegalBasisAsOutdated(
+              updatedLegalBasis
+            )
+          } catch (outdatedError) {
+            console.error(
+              'Error flagging requirement identifications as outdated:',
+              outdatedError
+            )
+          }
+        }
+        await LegalBasisRevisionRepository.create(
+          revision.legal_basis_id,
+          'Restore',
+          userId
+        )
+      } else {
+        const latestRevision =
+          await LegalBasisRevisionRepository.findLatestByLegalBasisId(
+            revision.legal_basis_id
+          )
+        await LegalBasisRepository.restore(revision.legal_basis_id, {
+          ...legalBasisData,
+          url: null
+        })
+        await LegalBasisRevisionRepository.create(
+          revision.legal_basis_id,
+          'Restore',
+          userId
+        )
+        if (latestRevision && latestRevision.action === 'Delete') {
+          const deletedArticles =
+            await ArticleRevisionRepository.findByLegalBasisRevisionId(
+              latestRevision.id
+            )
+          if (deletedArticles.length > 0) {
+            const restoredArticles = deletedArticles.map((articleRevision) => ({
+              id: articleRevision.article_id,
+              title: articleRevision.article_name,
+              article: articleRevision.description,
+              plainArticle: articleRevision.description
+                ? convert(articleRevision.description)
+                : null,
+              order: articleRevision.article_order,
+              sourcePage: articleRevision.source_page,
+              parentId: articleRevision.parent_id,
+              sectionKind: articleRevision.section_kind
+            }))
+            await ArticlesRepository.restoreMany(
+              revision.legal_basis_id,
+              restoredArticles
+            )
+            for (const { id, plainArticle } of restoredArticles) {
+              await ArticlesRepository.replaceSubunits(
+                id,
+                ArticleSubunitParser.parse(plainArticle)
+              )
+            }
+            await ArticleRevisionRepository.createFromArticles(
+              deletedArticles.map(({ article_id: articleId }) => articleId),
+              'Restore',
+              userId
+            )
+            ArticlesService.queueEmbeddings(restoredArticles.map(({ id }) => id))
+          }
+        }
+      }
+      return await LegalBasisService.getById(revision.legal_basis_id)
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to restore legal basis revision')
+    }
+  }
+
+  /**
+   * Restores an article to the state captured by one of its revisions.
+   * Deleted articles are re-created with their original ID as long as their legal basis exists.
+   * The article goes back to its title, chapter or section if that row still exists.
+   * The embedding of the restored article is queued, like on create and update.
+   * @param {number} userId - The ID of the user restoring the article.
+   * @param {number} legalBasisId - The ID of the legal basis the article belongs to.
+   * @param {number} revisionId - The ID of the article revision to restore.
+   * @returns {Promise<Article>} - The restored article.
+   * @throws {HttpException} - If the revision or legal basis is not found or the restore fails.
+   */
+  static async restoreArticle (userId, legalBasisId, revisionId) {
+    try {
+      const revision = await ArticleRevisionRepository.findById(revisionId)
+      if (!revision || revision.legal_basis_id !== Number(legalBasisId)) {
+        throw new HttpException(404, 'Revision not found')
+      }
+      const legalBasis = await LegalBasisRepository.findById(
+        revision.legal_basis_id
+      )
+      if (!legalBasis) {
+        throw new HttpException(404, 'LegalBasis not found')
+      }
+      const extractArticlesJobs =
+        await ExtractArticlesService.hasPendingExtractionJobs(
+          revision.legal_basis_id
+        )
+      if (extractArticlesJobs.hasPendingJobs) {
+        throw new HttpException(
+          409,
+          'Cannot restore Article with pending Article Extraction jobs'
+        )
+      }
+      const articleData = {
+        title: revision.article_name,
+        article: revision.description,
+        plainArticle: revision.description
+          ? convert(revision.description)
+          : null,
+        order: revision.article_order,
+        sourcePage: revision.source_page,
+        parentId: await this._existingParentId(revision),
+        sectionKind: revision.section_kind
+      }
+      const existingArticle = await ArticlesRepository.findById(
+        revision.article_id
+      )
+      if (existingArticle) {
+        await ArticlesRepository.updateById(revision.article_id, articleData)
+      } else {
+        await ArticlesRepository.restoreMany(revision.legal_basis_id, [
+          { id: revision.article_id, ...articleData }
+        ])
+      }
+      await ArticlesRepository.replaceSubunits(
+        revision.article_id,
+        ArticleSubunitParser.parse(articleData.plainArticle)
+      )
+      await ArticleRevisionRepository.createFromArticles(
+        [revision.article_id],
+        'Restore',
+        userId
+      )
+      ArticlesService.queueEmbeddings([revision.article_id])
+      return await ArticlesRepository.findById(revision.article_id)
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to restore article revision')
+    }
+  }
+
+  /**
+   * Finds whether the title, chapter or section containing an article at a revision still
+   * exists in its legal basis.
+   * @param {ArticleRevision} revision - The article revision.
+   * @returns {Promise<number|null>} - The ID of the parent, or null if the article had none or it was deleted.
+   */
+  static async _existingParentId (revision) {
+    if (!revision.parent_id) return null
+    const parent = await ArticlesRepository.findById(revision.parent_id)
+    return parent && parent.legal_basis_id === revision.legal_basis_id
+      ? parent.id
+      : null
+  }
+}
+
+export default LegalBasisRevisionsService
@@ -1,6 +1,6 @@
 import LegalVerbsRepository from '../../repositories/LegalVerbs.repository.js'
 import HttpException from '../errors/HttpException.js'
-import legalVerbsSchema from '../../schemas/legalVerbs.schema.js'
+import legalVerbsSchema, { legalVerbListQuerySchema } from '../../schemas/legalVerbs.schema.js'
 import { z } from 'zod'
 
 /**
@@ -51,19 +51,33 @@ class LegalVerbsService {
   }
 
   /**
-   * Fetches all legal verbs.
-   * @returns {Promise<Array<LegalVerb>>} - List of all legal verbs.
-   * @throws {HttpException} - If an error occurs during retrieval.
+   * Fetches a page of legal verbs.
+   * @param {Object} [query] - The list query.
+   * @param {number} [query.page] - The page number.
+   * @param {number} [query.pageSize] - The page size.
+   * @param {string} [query.cursor] - The cursor of the page, instead of a page number.
+   * @param {string} [query.sort] - The sort fields, prefixed with '-' for descending order.
+   * @param {string} [query.name] - A partial name of the legal verb.
+   * @param {string} [query.description] - Terms to match in the description.
+   * @param {string} [query.translation] - Terms to match in the translation.
+   * @returns {Promise<import('../../utils/pagination.js').Page<LegalVerb>>} - The page of legal verbs.
+   * @throws {HttpException} - If the query is invalid or an error occurs during retrieval.
    */
-  static async getAll () {
+  static async getAll (query = {}) {
     try {
-      const legalVerbs = await LegalVerbsRepository.findAll()
-      if (!legalVerbs) {
-        return []
-      }
-      return legalVerbs
+      const { filters, listOptions } = legalVerbListQuerySchema.parse(query)
+      return await LegalVerbsRepository.findMany(filters, listOptions)
     } catch (error) {
-      if (error instanceof HttpException) throw error
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
+      if (error instanceof HttpException) {
+        throw error
+      }
       throw new HttpException(500, 'Failed to fetch legal verbs')
     }
   }
@@ -87,73 +101,6 @@ class LegalVerbsService {
     }
   }
 
-  /**
-   * Fetches legal verbs by partial or full name match.
-   * @param {string} name - The name or partial name to search.
-   * @returns {Promise<Array<LegalVerb>>} - List of matching legal verbs.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByName (name) {
-    try {
-      const legalVerbs = await LegalVerbsRepository.findByName(name)
-      if (!legalVerbs) {
-        return []
-      }
-      return legalVerbs
-    } catch (error) {
-      if (error instanceof HttpException) throw error
-      throw new HttpException(500, 'Failed to fetch legal verbs by name')
-    }
-  }
-
-  /**
-   * Fetches legal verbs by partial or full description match.
-   * @param {string} description - The description or partial description to search.
-   * @returns {Promise<Array<LegalVerb>>} - List of matching legal verbs.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByDescription (description) {
-    try {
-      const legalVerbs = await LegalVerbsRepository.findByDescription(
-        description
-      )
-      if (!legalVerbs) {
-        return []
-      }
-      return legalVerbs
-    } catch (error) {
-      if (error instanceof HttpException) throw error
-      throw new HttpException(
-        500,
-        'Failed to fetch legal verbs by description'
-      )
-    }
-  }
-
-  /**
-   * Fetches legal verbs by partial or full translation match.
-   * @param {string} translation - The translation or partial translation to search.
-   * @returns {Promise<Array<LegalVerb>>} - List of matching legal verbs.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByTranslation (translation) {
-    try {
-      const legalVerbs = await LegalVerbsRepository.findByTranslation(
-        translation
-      )
-      if (!legalVerbs) {
-        return []
-      }
-      return legalVerbs
-    } catch (error) {
-      if (error instanceof HttpException) throw error
-      throw new HttpException(
-        500,
-        'Failed to fetch legal verbs by translation'
-      )
-    }
-  }
-
   /**
    * Updates a legal verb by ID.
    * @param {number} id - The ID of the legal verb to update.
@@ -120,6 +120,32 @@ class QueueService {
       throw new HttpException(500, 'Failed to cancel job')
     }
   }
+
+  /**
+   * Retries a failed job by moving it back to the waiting state.
+   * Only jobs in the 'failed' state can be retried.
+   * @param {import('bull').Job} job - The Bull job instance.
+   * @returns {Promise<boolean>} - True if the job was successfully queued again.
+   * @throws {HttpException} - If the job cannot be retried.
+   */
+  static async retryJob (job) {
+    try {
+      const isFailed = await job.isFailed()
+      if (!isFailed) {
+        throw new HttpException(
+          400,
+          "Job cannot be retried. Only jobs in 'failed' state can be retried."
+        )
+      }
+      await job.retry()
+      return true
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to retry job')
+    }
+  }
 }
 
 export default QueueService
@@ -5,16 +5,28 @@ import AspectsRepository from '../../repositories/Aspects.repository.js'
 import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
 import RequirementRepository from '../../repositories/Requirements.repository.js'
 import ReqIdentificationRepository from '../../repositories/ReqIdentification.repository.js'
+import ArticlesRepository from '../../repositories/Articles.repository.js'
 import {
   reqIdentificationSchema,
-  reqIdentificationUpdateSchema
+  reqIdentificationUpdateSchema,
+  reqIdentificationRerunSchema,
+  reqIdentificationCompareSchema,
+  reqIdentificationRequirementSchema,
+  reqIdentificationArticleSchema,
+  reqIdentificationArticleTypeSchema,
+  reqIdentificationLegalVerbSchema,
+  reqIdentificationListQuerySchema
 } from '../../schemas/reqIdentification.schema.js'
 import reqIdentificationQueue from '../../workers/reqIdentificationWorker.js'
+import reqIdentificationReportQueue from '../../workers/reqIdentificationReportWorker.js'
+import emailQueue from '../../workers/emailWorker.js'
+import EmailService from '../email/Email.service.js'
 import ReqIdentifyService from '../reqIdentification/reqIdentify/ReqIdentify.service.js'
 import HttpException from '../../services/errors/HttpException.js'
 import FileService from '../files/File.service.js'
 import { format } from 'date-fns'
 import { es } from 'date-fns/locale'
+import { foldAccents } from '../../utils/searchText.js'
 
 /**
  * Service class for handling requirement identifications operations.
@@ -45,6 +57,8 @@ class ReqIdentificationService {
    * @property {string|null} description - A description of the identification.
    * @property {string} createdAt - Formatted creation date (dd-MM-yyyy).
    * @property {'Activo'|'Fallido'|'Completado'} status - The current status of the identification.
+   * @property {string|null} failureReason - The reason why the identification failed, if applicable.
+   * @property {string|null} completedAt - Formatted completion date (dd-MM-yyyy), if applicable.
    * @property {User} user - The user who created the identification.
    * @property {Subject} subject - The subject associated with the identification.
    * @property {Aspect[]} aspects - List of associated aspects.
@@ -170,17 +184,58 @@ class ReqIdentificationService {
   }
 
   /**
-   * Retrieves all requirement identifications.
+   * Retrieves a page of requirement identifications.
    *
-   * @returns {Promise<ReqIdentification[]>} - List of all requirement identifications.
+   * @param {Object} [query] - The list query.
+   * @param {number} [query.page] - The page number.
+   * @param {number} [query.pageSize] - The page size.
+   * @param {string} [query.cursor] - The cursor of the page, instead of a page number.
+   * @param {string} [query.sort] - The sort fields, e.g. 'name,-createdAt'.
+   * @param {string} [query.name] - A partial name.
+   * @param {string} [query.description] - Full-text terms of the description.
+   * @param {number} [query.userId] - The ID of the user who created the identification.
+   * @param {string} [query.status] - The status ('Activo' | 'Fallido' | 'Completado').
+   * @param {string} [query.createdFrom] - The earliest creation date.
+   * @param {string} [query.createdTo] - The latest creation date.
+   * @param {string} [query.jurisdiction] - The jurisdiction of a linked legal basis.
+   * @param {string} [query.state] - The state of a linked legal basis.
+   * @param {string|Array<string>} [query.municipalities] - The municipalities, comma-separated.
+   * @param {number} [query.subjectId] - The subject ID of a linked legal basis.
+   * @param {string|Array<number>} [query.aspectIds] - The aspect IDs, comma-separated.
+   * @returns {Promise<import('../../utils/pagination.js').Page<ReqIdentification>>} - The page of requirement identifications.
    * @throws {HttpException}
    */
-  static async getAll () {
+  static async getAll (query = {}) {
     try {
-      const reqIdentifications = await ReqIdentificationRepository.findAll()
-      if (!reqIdentifications) {
-        return []
+      const { filters, listOptions } =
+        reqIdentificationListQuerySchema.parse(query)
+      if (filters.userId) {
+        const user = await UserRepository.findById(filters.userId)
+        if (!user) {
+          throw new HttpException(404, 'User not found')
+        }
+      }
+      if (filters.subjectId) {
+        const subject = await SubjectsRepository.findById(filters.subjectId)
+        if (!subject) {
+          throw new HttpException(404, 'Subject not found')
+        }
+      }
+      if (filters.aspectIds?.length > 0) {
+        const existingAspects = await AspectsRepository.findByIds(
+          filters.aspectIds
+        )
+        if (existingAspects.length !== filters.aspectIds.length) {
+          const notFoundIds = filters.aspectIds.filter(
+            (id) => !existingAspects.some((aspect) => aspect.id === id)
+          )
+          throw new HttpException(404, 'Aspects not found for IDs', {
+            notFoundIds
+          })
+        }
       }
+      const { items: reqIdentifications, pagination } =
+        await ReqIdentificationRepository.findMany(filters, listOptions)
       const reqIdentificationsList = await Promise.all(
         reqIdentifications.map(async (reqIdentification) => {
           let user = null
@@ -198,25 +253,24 @@ class ReqIdentificationService {
             }
           }
 
-          let formattedCreatedAt = null
-          if (reqIdentification.createdAt) {
-            formattedCreatedAt = format(
-              new Date(reqIdentification.createdAt),
-              'dd-MM-yyyy hh:mm a',
-              { locale: es }
-            )
-          }
-
           return {
             ...reqIdentification,
             user,
-            createdAt: formattedCreatedAt
+            createdAt: this._formatDate(reqIdentification.createdAt),
+            completedAt: this._formatDate(reqIdentification.completedAt)
           }
         })
       )
 
-      return reqIdentificationsList
+      return { items: reqIdentificationsList, pagination }
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
@@ -251,18 +305,11 @@ class ReqIdentificationService {
           profile_picture: profilePictureUrl
         }
       }
-      let formattedCreatedAt = null
-      if (reqIdentification.createdAt) {
-        formattedCreatedAt = format(
-          new Date(reqIdentification.createdAt),
-          'dd-MM-yyyy hh:mm a',
-          { locale: es }
-        )
-      }
       return {
         ...reqIdentification,
         user,
-        createdAt: formattedCreatedAt
+        createdAt: this._formatDate(reqIdentification.createdAt),
+        completedAt: this._formatDate(reqIdentification.completedAt)
       }
     } catch (error) {
       if (error instanceof HttpException) {
@@ -276,631 +323,964 @@ class ReqIdentificationService {
   }
 
   /**
-   * Retrieves requirement identifications by name.
+   * Retrieves the legal verb translations of a requirement within a requirement identification.
    *
-   * @param {string} name - The name to search for.
-   * @returns {Promise<ReqIdentification[]>} - List of requirement identifications.
+   * @param {number} id - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @returns {Promise<import('../../models/ReqIdentification.model.js').ReqIdentificationRequirementLegalVerb[]>} - List of legal verb translations.
    * @throws {HttpException}
    */
-  static async getByName (name) {
+  static async getRequirementLegalVerbs (id, requirementId) {
     try {
-      const reqIdentifications = await ReqIdentificationRepository.findByName(
-        name
-      )
-      if (!reqIdentifications) {
+      const reqIdentification = await ReqIdentificationRepository.findById(id)
+      if (!reqIdentification) {
+        throw new HttpException(404, 'Requirement identification not found')
+      }
+      const existsRequirement =
+        await ReqIdentificationRepository.existsRequirementLink(
+          id,
+          requirementId
+        )
+      if (!existsRequirement) {
+        throw new HttpException(
+          404,
+          'Requirement not found in requirement identification'
+        )
+      }
+      const legalVerbs =
+        await ReqIdentificationRepository.findLegalVerbsByRequirement(
+          id,
+          requirementId
+        )
+      if (!legalVerbs) {
         return []
       }
-
-      const reqIdentificationsList = await Promise.all(
-        reqIdentifications.map(async (reqIdentification) => {
-          let user = null
-          if (reqIdentification.user) {
-            const profilePictureUrl = reqIdentification.user.profile_picture
-              ? await FileService.getFile(
-                reqIdentification.user.profile_picture
-              )
-              : null
-            user = {
-              ...reqIdentification.user,
-              profile_picture: profilePictureUrl
-            }
-          }
-
-          let formattedCreatedAt = null
-          if (reqIdentification.createdAt) {
-            formattedCreatedAt = format(
-              new Date(reqIdentification.createdAt),
-              'dd-MM-yyyy hh:mm a',
-              { locale: es }
-            )
-          }
-
-          return {
-            ...reqIdentification,
-            user,
-            createdAt: formattedCreatedAt
-          }
-        })
-      )
-
-      return reqIdentificationsList
+      return legalVerbs
     } catch (error) {
       if (error instanceof HttpException) {
         throw error
       }
       throw new HttpException(
         500,
-        'Failed to retrieve requirement identifications by name'
+        'Failed to retrieve requirement legal verbs'
       )
     }
   }
 
   /**
-   * Retrieves requirement identifications by description.
-   *
-   * @param {string} description - The description to search for.
-   * @returns {Promise<ReqIdentification[]>} - List of requirement identifications.
-   * @throws {HttpException}
+   * @typedef {Object} CuratedRequirement
+   * @property {number} requirementId - The ID of the requirement.
+   * @property {string} requirementName - The name of the requirement within the identification.
+   * @property {'Manual'} source - Origin of the entry.
+   * @property {number} updatedBy - The ID of the user who made the change.
    */
-  static async getByDescription (description) {
-    try {
-      const reqIdentifications =
-        await ReqIdentificationRepository.findByDescription(description)
-      if (!reqIdentifications) {
-        return []
-      }
 
-      const reqIdentificationsList = await Promise.all(
-        reqIdentifications.map(async (reqIdentification) => {
-          let user = null
-          if (reqIdentification.user) {
-            const profilePictureUrl = reqIdentification.user.profile_picture
-              ? await FileService.getFile(
-                reqIdentification.user.profile_picture
-              )
-              : null
-            user = {
-              ...reqIdentification.user,
-              profile_picture: profilePictureUrl
-            }
-          }
+  /**
+   * @typedef {Object} CuratedArticle
+   * @property {number} requirementId - The ID of the requirement.
+   * @property {number} legalBasisId - The ID of the legal basis.
+   * @property {number} articleId - The ID of the cited article.
+   * @property {'Obligatorio' | 'Complementario' | 'General'} articleType - Classification of the article.
+   * @property {'Manual'} source - Origin of the entry.
+   * @property {number} updatedBy - The ID of the user who made the change.
+   */
 
-          let formattedCreatedAt = null
-          if (reqIdentification.createdAt) {
-            formattedCreatedAt = format(
-              new Date(reqIdentification.createdAt),
-              'dd-MM-yyyy hh:mm a',
-              { locale: es }
-            )
-          }
+  /**
+   * @typedef {Object} CuratedLegalVerb
+   * @property {number} requirementId - The ID of the requirement.
+   * @property {number} legalVerbId - The ID of the legal verb.
+   * @property {string} translation - The translation of the legal verb.
+   * @property {'Manual'} source - Origin of the entry.
+   * @property {number} updatedBy - The ID of the user who made the change.
+   */
 
-          return {
-            ...reqIdentification,
-            user,
-            createdAt: formattedCreatedAt
-          }
-        })
+  /**
+   * Ensures a requirement identification exists and is not being processed,
+   * so manual changes do not race with the identification job.
+   *
+   * @param {number} id - The ID of the requirement identification.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If the identification is not found or has a pending job.
+   */
+  static async _assertCanCurate (id) {
+    const reqIdentification = await ReqIdentificationRepository.findById(id)
+    if (!reqIdentification) {
+      throw new HttpException(404, 'Requirement identification not found')
+    }
+    const { hasPendingJobs } =
+      await ReqIdentifyService.hasPendingReqIdentificationJobs(id)
+    if (hasPendingJobs) {
+      throw new HttpException(
+        409,
+        'The requirement identification already has a pending job'
       )
+    }
+  }
 
-      return reqIdentificationsList
+  /**
+   * Manually adds a requirement to a requirement identification.
+   * If the requirement had been manually removed before, it is no longer excluded from re-runs.
+   *
+   * @param {number} id - The ID of the requirement identification.
+   * @param {Object} requirement - The requirement to add.
+   * @param {number} requirement.requirementId - The ID of the requirement.
+   * @param {string} [requirement.requirementName] - The name within the identification. Defaults to the catalog name.
+   * @param {number} userId - The ID of the user making the change.
+   * @returns {Promise<CuratedRequirement>} - The added requirement.
+   * @throws {HttpException}
+   */
+  static async addRequirement (id, requirement, userId) {
+    try {
+      const { requirementId, requirementName } =
+        reqIdentificationRequirementSchema.parse(requirement)
+      await this._assertCanCurate(id)
+      const existingRequirement =
+        await RequirementRepository.findById(requirementId)
+      if (!existingRequirement) {
+        throw new HttpException(404, 'Requirement not found')
+      }
+      const existsRequirement =
+        await ReqIdentificationRepository.existsRequirementLink(
+          id,
+          requirementId
+        )
+      if (existsRequirement) {
+        throw new HttpException(
+          409,
+          'Requirement already exists in requirement identification'
+        )
+      }
+      const name = requirementName || existingRequirement.requirement_name
+      await ReqIdentificationRepository.linkRequirement(
+        id,
+        requirementId,
+        name,
+        'Manual',
+        userId
+      )
+      await ReqIdentificationRepository.removeRequirementExclusion(
+        id,
+        requirementId
+      )
+      return {
+        requirementId,
+        requirementName: name,
+        source: 'Manual',
+        updatedBy: userId
+      }
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirement identifications by description'
-      )
+      throw new HttpException(500, 'Failed to add requirement')
     }
   }
 
   /**
-   * Retrieves requirement identifications by user ID.
+   * Manually removes a requirement, with its legal bases, articles and legal verbs,
+   * from a requirement identification. The requirement is excluded from later re-runs.
    *
-   * @param {number} userId - The ID of the user to search for.
-   * @returns {Promise<ReqIdentification[]>} - List of requirement identifications.
+   * @param {number} id - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} userId - The ID of the user making the change.
+   * @returns {Promise<void>}
    * @throws {HttpException}
    */
-  static async getByUserId (userId) {
+  static async removeRequirement (id, requirementId, userId) {
     try {
-      const user = await UserRepository.findById(userId)
-      if (!user) {
-        throw new HttpException(404, 'User not found')
-      }
-      const reqIdentifications = await ReqIdentificationRepository.findByUserId(
-        userId
+      await this._assertCanCurate(id)
+      const removed = await ReqIdentificationRepository.unlinkRequirement(
+        id,
+        requirementId
       )
-      if (!reqIdentifications) {
-        return []
+      if (!removed) {
+        throw new HttpException(
+          404,
+          'Requirement not found in requirement identification'
+        )
       }
-
-      const reqIdentificationsList = await Promise.all(
-        reqIdentifications.map(async (reqIdentification) => {
-          let user = null
-          if (reqIdentification.user) {
-            const profilePictureUrl = reqIdentification.user.profile_picture
-              ? await FileService.getFile(
-                reqIdentification.user.profile_picture
-              )
-              : null
-            user = {
-              ...reqIdentification.user,
-              profile_picture: profilePictureUrl
-            }
-          }
-
-          let formattedCreatedAt = null
-          if (reqIdentification.createdAt) {
-            formattedCreatedAt = format(
-              new Date(reqIdentification.createdAt),
-              'dd-MM-yyyy hh:mm a',
-              { locale: es }
-            )
-          }
-
-          return {
-            ...reqIdentification,
-            user,
-            createdAt: formattedCreatedAt
-          }
-        })
+      await ReqIdentificationRepository.excludeRequirement(
+        id,
+        requirementId,
+        userId
       )
-
-      return reqIdentificationsList
     } catch (error) {
       if (error instanceof HttpException) {
         throw error
       }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirement identifications by user name'
-      )
+      throw new HttpException(500, 'Failed to remove requirement')
     }
   }
 
   /**
-   * Retrieves requirement identifications filtered by a creation date range.
-   * Both 'from' and 'to' are optional. If provided, they should be in 'YYYY-MM-DD' or valid date format.
+   * Manually cites an article in a requirement of a requirement identification.
+   * The legal basis of the article is linked to the requirement if it was not already,
+   * and the article is no longer excluded from re-runs.
    *
-   * @function getByCreatedAt
-   * @param {string} [from] - Start date.
-   * @param {string} [to] - End date.
-   * @returns {Promise<ReqIdentification[]>} - List of requirement identifications.
+   * @param {number} id - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {Object} citation - The article to cite.
+   * @param {number} citation.legalBasisId - The ID of the legal basis the article belongs to.
+   * @param {number} citation.articleId - The ID of the article.
+   * @param {'Obligatorio' | 'Complementario' | 'General'} citation.articleType - Classification of the article.
+   * @param {number} userId - The ID of the user making the change.
+   * @returns {Promise<CuratedArticle>} - The added citation.
    * @throws {HttpException}
    */
-  static async getByCreatedAt (from, to) {
+  static async addArticle (id, requirementId, citation, userId) {
     try {
-      const reqIdentifications =
-        await ReqIdentificationRepository.findByCreatedAt(from, to)
-      if (!reqIdentifications) {
-        return []
+      const { legalBasisId, articleId, articleType } =
+        reqIdentificationArticleSchema.parse(citation)
+      await this._assertCanCurate(id)
+      const existsRequirement =
+        await ReqIdentificationRepository.existsRequirementLink(
+          id,
+          requirementId
+        )
+      if (!existsRequirement) {
+        throw new HttpException(
+          404,
+          'Requirement not found in requirement identification'
+        )
       }
-
-      const reqIdentificationsList = await Promise.all(
-        reqIdentifications.map(async (reqIdentification) => {
-          let user = null
-          if (reqIdentification.user) {
-            const profilePictureUrl = reqIdentification.user.profile_picture
-              ? await FileService.getFile(
-                reqIdentification.user.profile_picture
-              )
-              : null
-            user = {
-              ...reqIdentification.user,
-              profile_picture: profilePictureUrl
-            }
-          }
-
-          let formattedCreatedAt = null
-          if (reqIdentification.createdAt) {
-            formattedCreatedAt = format(
-              new Date(reqIdentification.createdAt),
-              'dd-MM-yyyy hh:mm a',
-              { locale: es }
-            )
-          }
-
-          return {
-            ...reqIdentification,
-            user,
-            createdAt: formattedCreatedAt
-          }
-        })
+      const article = await ArticlesRepository.findById(articleId)
+      if (!article) {
+        throw new HttpException(404, 'Article not found')
+      }
+      if (article.legal_basis_id !== legalBasisId) {
+        throw new HttpException(
+          400,
+          'The article does not belong to the legal basis'
+        )
+      }
+      const existsArticle =
+        await ReqIdentificationRepository.existsArticleLegalBaseRequirementLink(
+          id,
+          requirementId,
+          legalBasisId,
+          articleId
+        )
+      if (existsArticle) {
+        throw new HttpException(
+          409,
+          'Article already cited for the requirement'
+        )
+      }
+      const existsLegalBasis =
+        await ReqIdentificationRepository.existsLegalBaseRequirementLink(
+          id,
+          requirementId,
+          legalBasisId
+        )
+      if (!existsLegalBasis) {
+        await ReqIdentificationRepository.linkLegalBaseToRequirement(
+          id,
+          requirementId,
+          legalBasisId,
+          'Manual',
+          userId
+        )
+      }
+      await ReqIdentificationRepository.linkArticleToLegalBaseToRequirement(
+        id,
+        requirementId,
+        legalBasisId,
+        articleId,
+        articleType,
+        'Manual',
+        userId
       )
-
-      return reqIdentificationsList
+      await ReqIdentificationRepository.removeArticleExclusion(
+        id,
+        requirementId,
+        legalBasisId,
+        articleId
+      )
+      return {
+        requirementId: Number(requirementId),
+        legalBasisId,
+        articleId,
+        articleType,
+        source: 'Manual',
+        updatedBy: userId
+      }
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirement identifications by creation date range'
-      )
+      throw new HttpException(500, 'Failed to add article')
     }
   }
 
   /**
-   * Retrieves requirement identifications by status.
+   * Manually removes an article citation from a requirement of a requirement identification.
+   * The article is excluded from later re-runs for that requirement and legal basis.
    *
-   * @param {string} status - The status to filter by ('Activo' | 'Fallido' | 'Completado').
-   * @returns {Promise<ReqIdentification[]>} - List of requirement identifications.
+   * @param {number} id - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} articleId - The ID of the article.
+   * @param {number} userId - The ID of the user making the change.
+   * @returns {Promise<void>}
    * @throws {HttpException}
    */
-  static async getByStatus (status) {
+  static async removeArticle (id, requirementId, legalBasisId, articleId, userId) {
     try {
-      const reqIdentifications = await ReqIdentificationRepository.findByStatus(
-        status
+      await this._assertCanCurate(id)
+      const removed = await ReqIdentificationRepository.unlinkArticle(
+        id,
+        requirementId,
+        legalBasisId,
+        articleId
       )
-      if (!reqIdentifications) {
-        return []
+      if (!removed) {
+        throw new HttpException(404, 'Article citation not found')
       }
-
-      const reqIdentificationsList = await Promise.all(
-        reqIdentifications.map(async (reqIdentification) => {
-          let user = null
-          if (reqIdentification.user) {
-            const profilePictureUrl = reqIdentification.user.profile_picture
-              ? await FileService.getFile(
-                reqIdentification.user.profile_picture
-              )
-              : null
-            user = {
-              ...reqIdentification.user,
-              profile_picture: profilePictureUrl
-            }
-          }
-
-          let formattedCreatedAt = null
-          if (reqIdentification.createdAt) {
-            formattedCreatedAt = format(
-              new Date(reqIdentification.createdAt),
-              'dd-MM-yyyy hh:mm a',
-              { locale: es }
-            )
-          }
-
-          return {
-            ...reqIdentification,
-            user,
-            createdAt: formattedCreatedAt
-          }
-        })
+      await ReqIdentificationRepository.excludeArticle(
+        id,
+        requirementId,
+        legalBasisId,
+        articleId,
+        userId
       )
-
-      return reqIdentificationsList
     } catch (error) {
       if (error instanceof HttpException) {
         throw error
       }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirement identifications by status'
-      )
+      throw new HttpException(500, 'Failed to remove article')
     }
   }
 
   /**
-   * Retrieves requirement identifications by subject ID.
+   * Manually changes the classification of an article citation.
    *
-   * @param {number} subjectId - The subject ID to filter by.
-   * @returns {Promise<ReqIdentification[]>} - List of requirement identifications.
+   * @param {number} id - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalBasisId - The ID of the legal basis.
+   * @param {number} articleId - The ID of the article.
+   * @param {Object} citation - The new classification.
+   * @param {'Obligatorio' | 'Complementario' | 'General'} citation.articleType - Classification of the article.
+   * @param {number} userId - The ID of the user making the change.
+   * @returns {Promise<CuratedArticle>} - The updated citation.
    * @throws {HttpException}
    */
-  static async getBySubjectId (subjectId) {
+  static async updateArticleType (
+    id,
+    requirementId,
+    legalBasisId,
+    articleId,
+    citation,
+    userId
+  ) {
     try {
-      const subject = await SubjectsRepository.findById(subjectId)
-      if (!subject) {
-        throw new HttpException(404, 'Subject not found')
-      }
-      const reqIdentifications =
-        await ReqIdentificationRepository.findBySubjectId(subjectId)
-      if (!reqIdentifications) {
-        return []
-      }
-
-      const reqIdentificationsList = await Promise.all(
-        reqIdentifications.map(async (reqIdentification) => {
-          let user = null
-          if (reqIdentification.user) {
-            const profilePictureUrl = reqIdentification.user.profile_picture
-              ? await FileService.getFile(
-                reqIdentification.user.profile_picture
-              )
-              : null
-            user = {
-              ...reqIdentification.user,
-              profile_picture: profilePictureUrl
-            }
-          }
-
-          let formattedCreatedAt = null
-          if (reqIdentification.createdAt) {
-            formattedCreatedAt = format(
-              new Date(reqIdentification.createdAt),
-              'dd-MM-yyyy hh:mm a',
-              { locale: es }
-            )
-          }
-
-          return {
-            ...reqIdentification,
-            user,
-            createdAt: formattedCreatedAt
-          }
-        })
+      const { articleType } = reqIdentificationArticleTypeSchema.parse(citation)
+      await this._assertCanCurate(id)
+      const updated = await ReqIdentificationRepository.updateArticleType(
+        id,
+        requirementId,
+        legalBasisId,
+        articleId,
+        articleType,
+        userId
       )
-
-      return reqIdentificationsList
+      if (!updated) {
+        throw new HttpException(404, 'Article citation not found')
+      }
+      return {
+        requirementId: Number(requirementId),
+        legalBasisId: Number(legalBasisId),
+        articleId: Number(articleId),
+        articleType,
+        source: 'Manual',
+        updatedBy: userId
+      }
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirement identifications by subject ID'
-      )
+      throw new HttpException(500, 'Failed to update article type')
     }
   }
 
   /**
-   * Retrieves requirement identifications by subject ID and aspect IDs.
+   * Manually edits the translation of a legal verb of a requirement.
+   * Edited translations are kept when the requirement is identified again.
    *
-   * @param {number} subjectId - The subject ID to filter by.
-   * @param {number[]} aspectIds - Array of aspect IDs to filter by.
-   * @returns {Promise<ReqIdentification[]>} - List of requirement identifications.
+   * @param {number} id - The ID of the requirement identification.
+   * @param {number} requirementId - The ID of the requirement.
+   * @param {number} legalVerbId - The ID of the legal verb.
+   * @param {Object} legalVerb - The new translation.
+   * @param {string} legalVerb.translation - Translation of the legal verb.
+   * @param {number} userId - The ID of the user making the change.
+   * @returns {Promise<CuratedLegalVerb>} - The updated translation.
    * @throws {HttpException}
    */
-  static async getBySubjectAndAspects (subjectId, aspectIds) {
+  static async updateLegalVerbTranslation (
+    id,
+    requirementId,
+    legalVerbId,
+    legalVerb,
+    userId
+  ) {
     try {
-      const subject = await SubjectsRepository.findById(subjectId)
-      if (!subject) {
-        throw new HttpException(404, 'Subject not found')
-      }
-      const existingAspects = await AspectsRepository.findByIds(aspectIds)
-      if (existingAspects.length !== aspectIds.length) {
-        const notFoundIds = aspectIds.filter(
-          (id) => !existingAspects.some((aspect) => aspect.id === id)
+      const { translation } = reqIdentificationLegalVerbSchema.parse(legalVerb)
+      await this._assertCanCurate(id)
+      const updated =
+        await ReqIdentificationRepository.updateLegalVerbTranslation(
+          id,
+          requirementId,
+          legalVerbId,
+          translation,
+          userId
         )
-        throw new HttpException(404, 'Aspects not found for IDs', {
-          notFoundIds
-        })
-      }
-      const reqIdentifications =
-        await ReqIdentificationRepository.findBySubjectAndAspects(
-          subjectId,
-          aspectIds
+      if (!updated) {
+        throw new HttpException(
+          404,
+          'Legal verb not found for the requirement'
         )
-      if (!reqIdentifications) {
-        return []
       }
-
-      const reqIdentificationsList = await Promise.all(
-        reqIdentifications.map(async (reqIdentification) => {
-          let user = null
-          if (reqIdentification.user) {
-            const profilePictureUrl = reqIdentification.user.profile_picture
-              ? await FileService.getFile(
-                reqIdentification.user.profile_picture
-              )
-              : null
-            user = {
-              ...reqIdentification.user,
-              profile_picture: profilePictureUrl
-            }
-          }
-
-          let formattedCreatedAt = null
-          if (reqIdentification.createdAt) {
-            formattedCreatedAt = format(
-              new Date(reqIdentification.createdAt),
-              'dd-MM-yyyy hh:mm a',
-              { locale: es }
-            )
-          }
-
-          return {
-            ...reqIdentification,
-            user,
-            createdAt: formattedCreatedAt
-          }
-        })
+      return {
+        requirementId: Number(requirementId),
+        legalVerbId: Number(legalVerbId),
+        translation,
+        source: 'Manual',
+        updatedBy: userId
+      }
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(
+        500,
+        'Failed to update legal verb translation'
       )
+    }
+  }
 
-      return reqIdentificationsList
+  /**
+   * Queues the generation of the PDF report of a requirement identification.
+   * The user receives an email with a download link once the report is ready.
+   *
+   * @param {number} id - The ID of the requirement identification.
+   * @param {number} userId - The ID of the user requesting the report.
+   * @returns {Promise<{ jobId: string|number }>} - The ID of the report job.
+   * @throws {HttpException}
+   */
+  static async requestReport (id, userId) {
+    try {
+      const reqIdentification = await ReqIdentificationRepository.findById(id)
+      if (!reqIdentification) {
+        throw new HttpException(404, 'Requirement identification not found')
+      }
+      const job = await reqIdentificationReportQueue.add({
+        userId,
+        reqIdentificationId: reqIdentification.id
+      })
+      return { jobId: job.id }
     } catch (error) {
       if (error instanceof HttpException) {
         throw error
       }
       throw new HttpException(
         500,
-        'Failed to retrieve requirement identifications by subject and aspects'
+        'Failed to request requirement identification report'
       )
     }
   }
 
   /**
-   * Retrieves requirement identifications by jurisdiction.
+   * Flags the requirement identifications that cite a reformed legal basis as outdated
+   * and notifies their owners.
    *
-   * @param {string} jurisdiction - The jurisdiction to filter by.
-   * @returns {Promise<ReqIdentification[]>} - List of requirement identifications.
+   * @param {import('../../models/LegalBasis.model.js').default} legalBasis - The reformed legal basis.
+   * @returns {Promise<number[]>} - The IDs of the flagged requirement identifications.
    * @throws {HttpException}
    */
-  static async getByJurisdiction (jurisdiction) {
+  static async markLegalBasisAsOutdated (legalBasis) {
     try {
-      const reqIdentifications =
-        await ReqIdentificationRepository.findByJurisdiction(jurisdiction)
-      if (!reqIdentifications) {
+      const reqIdentificationIds =
+        await ReqIdentificationRepository.findIdsByLegalBasisId(legalBasis.id)
+      if (reqIdentificationIds.length === 0) {
         return []
       }
-
-      const reqIdentificationsList = await Promise.all(
-        reqIdentifications.map(async (reqIdentification) => {
-          let user = null
-          if (reqIdentification.user) {
-            const profilePictureUrl = reqIdentification.user.profile_picture
-              ? await FileService.getFile(
-                reqIdentification.user.profile_picture
-              )
-              : null
-            user = {
-              ...reqIdentification.user,
-              profile_picture: profilePictureUrl
-            }
-          }
-
-          let formattedCreatedAt = null
-          if (reqIdentification.createdAt) {
-            formattedCreatedAt = format(
-              new Date(reqIdentification.createdAt),
-              'dd-MM-yyyy hh:mm a',
-              { locale: es }
-            )
-          }
-
-          return {
-            ...reqIdentification,
-            user,
-            createdAt: formattedCreatedAt
-          }
-        })
-      )
-
-      return reqIdentificationsList
+      await ReqIdentificationRepository.markLegalBasisAsOutdated(legalBasis.id)
+      try {
+        const reqIdentifications =
+          (await ReqIdentificationRepository.findByIds(reqIdentificationIds)) ||
+          []
+        for (const reqIdentification of reqIdentifications) {
+          if (!reqIdentification.user?.gmail) continue
+          const emailData = EmailService.generateReqIdentificationOutdatedEmail(
+            reqIdentification.user.gmail,
+            reqIdentification.name,
+            legalBasis.legal_name
+          )
+          await emailQueue.add(emailData)
+        }
+      } catch (notifyError) {
+        console.error('Error sending outdated identification emails:', notifyError)
+      }
+      return reqIdentificationIds
     } catch (error) {
       if (error instanceof HttpException) {
         throw error
       }
       throw new HttpException(
         500,
-        'Failed to retrieve requirement identifications by jurisdiction'
+        'Failed to flag requirement identifications as outdated'
       )
     }
   }
 
   /**
-   * Retrieves requirement identifications by state.
+   * Retrieves the requirement/legal basis pairs of a requirement identification
+   * that are outdated because the legal basis was reformed.
    *
-   * @param {string} state - The state to filter by.
-   * @returns {Promise<ReqIdentification[]>} - List of requirement identifications.
+   * @param {number} id - The ID of the requirement identification.
+   * @returns {Promise<Array<{ requirementId: number, requirementName: string, legalBasisId: number, legalName: string, outdatedAt: string|null }>>} - The outdated pairs.
    * @throws {HttpException}
    */
-  static async getByState (state) {
+  static async getOutdatedLegalBases (id) {
     try {
-      const reqIdentifications = await ReqIdentificationRepository.findByState(
-        state
-      )
-      if (!reqIdentifications) {
+      const reqIdentification = await ReqIdentificationRepository.findById(id)
+      if (!reqIdentification) {
+        throw new HttpException(404, 'Requirement identification not found')
+      }
+      const outdatedLegalBases =
+        await ReqIdentificationRepository.findOutdatedLegalBases(id)
+      if (!outdatedLegalBases) {
         return []
       }
+      return outdatedLegalBases.map((outdatedLegalBasis) => ({
+        ...outdatedLegalBasis,
+        outdatedAt: this._formatDate(outdatedLegalBasis.outdatedAt)
+      }))
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to retrieve outdated legal bases')
+    }
+  }
 
-      const reqIdentificationsList = await Promise.all(
-        reqIdentifications.map(async (reqIdentification) => {
-          let user = null
-          if (reqIdentification.user) {
-            const profilePictureUrl = reqIdentification.user.profile_picture
-              ? await FileService.getFile(
-                reqIdentification.user.profile_picture
-              )
-              : null
-            user = {
-              ...reqIdentification.user,
-              profile_picture: profilePictureUrl
-            }
-          }
-
-          let formattedCreatedAt = null
-          if (reqIdentification.createdAt) {
-            formattedCreatedAt = format(
-              new Date(reqIdentification.createdAt),
-              'dd-MM-yyyy hh:mm a',
-              { locale: es }
-            )
-          }
-
-          return {
-            ...reqIdentification,
-            user,
-            createdAt: formattedCreatedAt
-          }
-        })
-      )
-
-      return reqIdentificationsList
+  /**
+   * Re-queues the identification of only the outdated requirement/legal basis pairs.
+   * The articles and legal verbs previously identified for those pairs are discarded
+   * so they are identified again against the reformed legal basis.
+   *
+   * @param {number} id - The ID of the requirement identification.
+   * @param {Object} rerun - Parameters for the re-run.
+   * @param {string} rerun.intelligenceLevel - Level of intelligence to identify requirements.
+   * @returns {Promise<{ jobId: number|string }>} - The ID of the queued job.
+   * @throws {HttpException}
+   */
+  static async rerunOutdated (id, rerun) {
+    try {
+      const { intelligenceLevel } = reqIdentificationRerunSchema.parse(rerun)
+      const reqIdentification = await ReqIdentificationRepository.findById(id)
+      if (!reqIdentification) {
+        throw new HttpException(404, 'Requirement identification not found')
+      }
+      const outdatedLegalBases =
+        await ReqIdentificationRepository.findOutdatedLegalBases(id)
+      if (!outdatedLegalBases) {
+        throw new HttpException(
+          400,
+          'The requirement identification has no outdated legal bases'
+        )
+      }
+      const { hasPendingJobs } =
+        await ReqIdentifyService.hasPendingReqIdentificationJobs(id)
+      if (hasPendingJobs) {
+        throw new HttpException(
+          409,
+          'The requirement identification already has a pending job'
+        )
+      }
+      const requirementIds = [
+        ...new Set(outdatedLegalBases.map((pair) => pair.requirementId))
+      ]
+      const legalBasisIds = [
+        ...new Set(outdatedLegalBases.map((pair) => pair.legalBasisId))
+      ]
+      const requirements = await RequirementRepository.findByIds(requirementIds)
+      const legalBases = await LegalBasisRepository.findByIds(legalBasisIds)
+      for (const { requirementId, legalBasisId } of outdatedLegalBases) {
+        await ReqIdentificationRepository.unlinkArticlesFromLegalBaseRequirement(
+          id,
+          requirementId,
+          legalBasisId
+        )
+        await ReqIdentificationRepository.deleteArticleEvaluations(
+          id,
+          requirementId,
+          legalBasisId
+        )
+      }
+      for (const requirementId of requirementIds) {
+        await ReqIdentificationRepository.unlinkLegalVerbsFromRequirement(
+          id,
+          requirementId
+        )
+      }
+      await ReqIdentificationRepository.markAsActive(id)
+      const job = await reqIdentificationQueue.add({
+        reqIdentificationId: reqIdentification.id,
+        legalBases,
+        requirements,
+        intelligenceLevel,
+        pairs: outdatedLegalBases.map(({ requirementId, legalBasisId }) => ({
+          requirementId,
+          legalBasisId
+        }))
+      })
+      return { jobId: job.id }
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
       throw new HttpException(
         500,
-        'Failed to retrieve requirement identifications by state'
+        'Failed to re-run outdated requirement identification'
       )
     }
   }
 
   /**
-   * Retrieves requirement identifications by state and municipalities.
+   * @typedef {Object} RequirementDiff
+   * @property {number} requirementId - The ID of the requirement.
+   * @property {string} requirementName - The generated name of the requirement.
+   */
+
+  /**
+   * @typedef {Object} LegalBasisDiff
+   * @property {number} requirementId - The ID of the requirement.
+   * @property {string} requirementName - The generated name of the requirement.
+   * @property {number} legalBasisId - The ID of the legal basis.
+   * @property {string} legalName - The name of the legal basis.
+   */
+
+  /**
+   * @typedef {Object} ArticleDiff
+   * @property {number} requirementId - The ID of the requirement.
+   * @property {string} requirementName - The generated name of the requirement.
+   * @property {number} legalBasisId - The ID of the legal basis.
+   * @property {string} legalName - The name of the legal basis.
+   * @property {number} articleId - The ID of the article.
+   * @property {string} articleName - The name of the article.
+   * @property {string} articleType - The article type in the identification where it appears.
+   */
+
+  /**
+   * @typedef {ArticleDiff & { previousArticleType: string }} ReclassifiedArticleDiff
+   */
+
+  /**
+   * @typedef {ArticleDiff & { previousArticleId: number }} ChangedArticleDiff
+   */
+
+  /**
+   * @typedef {Object} ReqIdentificationComparison
+   * @property {{ id: number, name: string }} left - The baseline requirement identification.
+   * @property {{ id: number, name: string }} right - The requirement identification compared against the baseline.
+   * @property {{ added: RequirementDiff[], removed: RequirementDiff[] }} requirements - Requirements only present in one side.
+   * @property {{ added: LegalBasisDiff[], removed: LegalBasisDiff[] }} legalBases - Legal bases added or removed for requirements present in both sides.
+   * @property {{ added: ArticleDiff[], removed: ArticleDiff[], reclassified: ReclassifiedArticleDiff[], contentChanged: ChangedArticleDiff[] }} articles - Articles added,
+   * removed, with a different article type or with a different content for legal bases present in both sides.
+   */
+
+  /**
+   * Compares two requirement identifications.
+   * Legal bases are only compared for requirements present in both identifications,
+   * and articles only for requirement/legal basis pairs present in both, so each change
+   * is reported once at the highest level where it happens. Articles are matched by their ID,
+   * then by their order within the legal basis and finally by their name, as re-extracting a
+   * legal basis recreates its articles.
    *
-   * @param {string} state - The state to filter by.
-   * @param {string[]} [municipalities] - An array of municipality to filter by.
-   * @returns {Promise<ReqIdentification[]>} - List of requirement identifications.
+   * @param {Object} query - The identifications to compare.
+   * @param {number|string} query.left - The ID of the baseline requirement identification.
+   * @param {number|string} query.right - The ID of the requirement identification compared against the baseline.
+   * @returns {Promise<ReqIdentificationComparison>} - The differences between both identifications.
    * @throws {HttpException}
    */
-  static async getByStateAndMunicipalities (state, municipalities = []) {
+  static async compare (query) {
     try {
+      const { left, right } = reqIdentificationCompareSchema.parse(query)
       const reqIdentifications =
-        await ReqIdentificationRepository.findByStateAndMunicipalities(
-          state,
-          municipalities
+        (await ReqIdentificationRepository.findByIds([left, right])) || []
+      const leftReqIdentification = reqIdentifications.find((r) => r.id === left)
+      const rightReqIdentification = reqIdentifications.find(
+        (r) => r.id === right
+      )
+      if (!leftReqIdentification || !rightReqIdentification) {
+        const notFoundIds = [left, right].filter(
+          (id) => !reqIdentifications.some((r) => r.id === id)
         )
-      if (!reqIdentifications) {
-        return []
+        throw new HttpException(404, 'Requirement identification not found', {
+          notFoundIds
+        })
       }
+      const leftRequirements = new Map(
+        ((await ReqIdentificationRepository.findRequirements(left)) || []).map(
+          (requirement) => [requirement.requirement.id, requirement]
+        )
+      )
+      const rightRequirements = new Map(
+        ((await ReqIdentificationRepository.findRequirements(right)) || []).map(
+          (requirement) => [requirement.requirement.id, requirement]
+        )
+      )
 
-      const reqIdentificationsList = await Promise.all(
-        reqIdentifications.map(async (reqIdentification) => {
-          let user = null
-          if (reqIdentification.user) {
-            const profilePictureUrl = reqIdentification.user.profile_picture
-              ? await FileService.getFile(
-                reqIdentification.user.profile_picture
-              )
-              : null
-            user = {
-              ...reqIdentification.user,
-              profile_picture: profilePictureUrl
-            }
-          }
+      const toRequirementDiff = ({ requirement, requirementName }) => ({
+        requirementId: requirement.id,
+        requirementName
+      })
+      const toLegalBasisDiff = (reqIdentificationRequirement, { legalBasis }) => ({
+        ...toRequirementDiff(reqIdentificationRequirement),
+        legalBasisId: legalBasis.id,
+        legalName: legalBasis.legal_name
+      })
+      const toArticleDiff = (
+        reqIdentificationRequirement,
+        requirementLegalBasis,
+        { article, articleType }
+      ) => ({
+        ...toLegalBasisDiff(reqIdentificationRequirement, requirementLegalBasis),
+        articleId: article.id,
+        articleName: article.article_name,
+        articleType
+      })
 
-          let formattedCreatedAt = null
-          if (reqIdentification.createdAt) {
-            formattedCreatedAt = format(
-              new Date(reqIdentification.createdAt),
-              'dd-MM-yyyy hh:mm a',
-              { locale: es }
+      const comparison = {
+        left: { id: leftReqIdentification.id, name: leftReqIdentification.name },
+        right: {
+          id: rightReqIdentification.id,
+          name: rightReqIdentification.name
+        },
+        requirements: { added: [], removed: [] },
+        legalBases: { added: [], removed: [] },
+        articles: { added: [], removed: [], reclassified: [], contentChanged: [] }
+      }
+
+      for (const [requirementId, leftRequirement] of leftRequirements) {
+        if (!rightRequirements.has(requirementId)) {
+          comparison.requirements.removed.push(toRequirementDiff(leftRequirement))
+        }
+      }
+      for (const [requirementId, rightRequirement] of rightRequirements) {
+        const leftRequirement = leftRequirements.get(requirementId)
+        if (!leftRequirement) {
+          comparison.requirements.added.push(toRequirementDiff(rightRequirement))
+          continue
+        }
+        const leftLegalBases = new Map(
+          leftRequirement.legalBases.map((lb) => [lb.legalBasis.id, lb])
+        )
+        const rightLegalBases = new Map(
+          rightRequirement.legalBases.map((lb) => [lb.legalBasis.id, lb])
+        )
+        for (const [legalBasisId, leftLegalBasis] of leftLegalBases) {
+          if (!rightLegalBases.has(legalBasisId)) {
+            comparison.legalBases.removed.push(
+              toLegalBasisDiff(leftRequirement, leftLegalBasis)
             )
           }
-
-          return {
-            ...reqIdentification,
-            user,
-            createdAt: formattedCreatedAt
+        }
+        for (const [legalBasisId, rightLegalBasis] of rightLegalBases) {
+          const leftLegalBasis = leftLegalBases.get(legalBasisId)
+          if (!leftLegalBasis) {
+            comparison.legalBases.added.push(
+              toLegalBasisDiff(rightRequirement, rightLegalBasis)
+            )
+            continue
           }
-        })
-      )
+          const { matched, removed, added } = this._matchArticles(
+            leftLegalBasis.articles,
+            rightLegalBasis.articles
+          )
+          for (const leftArticle of removed) {
+            comparison.articles.removed.push(
+              toArticleDiff(leftRequirement, leftLegalBasis, leftArticle)
+            )
+          }
+          for (const rightArticle of added) {
+            comparison.articles.added.push(
+              toArticleDiff(rightRequirement, rightLegalBasis, rightArticle)
+            )
+          }
+          for (const [leftArticle, rightArticle] of matched) {
+            if (leftArticle.articleType !== rightArticle.articleType) {
+              comparison.articles.reclassified.push({
+                ...toArticleDiff(rightRequirement, rightLegalBasis, rightArticle),
+                previousArticleType: leftArticle.articleType
+              })
+            }
+            if (
+              this._normalizeArticleContent(leftArticle.article.description) !==
+              this._normalizeArticleContent(rightArticle.article.description)
+            ) {
+              comparison.articles.contentChanged.push({
+                ...toArticleDiff(rightRequirement, rightLegalBasis, rightArticle),
+                previousArticleId: leftArticle.article.id
+              })
+            }
+          }
+        }
+      }
 
-      return reqIdentificationsList
+      return comparison
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
       throw new HttpException(
         500,
-        'Failed to retrieve requirement identifications by state and municipalities'
+        'Failed to compare requirement identifications'
       )
     }
   }
 
+  /**
+   * Pairs the cited articles of a legal basis in two identifications. Articles are matched by
+   * their ID, then the remaining ones by their order within the legal basis and finally by their
+   * normalized name, where articles sharing a name (such as several "TRANSITORIOS" blocks) are
+   * told apart by their occurrence.
+   * @param {Array<{ article: import('../../models/Article.model.js').default, articleType: string }>} leftArticles - The
+   * baseline articles, in order.
+   * @param {Array<{ article: import('../../models/Article.model.js').default, articleType: string }>} rightArticles - The
+   * compared articles, in order.
+   * @returns {{ matched: Array<Array<{ article: import('../../models/Article.model.js').default, articleType: string }>>,
+   * removed: Array<{ article: import('../../models/Article.model.js').default, articleType: string }>,
+   * added: Array<{ article: import('../../models/Article.model.js').default, articleType: string }> }} - The
+   * matched [left, right] pairs, and the articles only found in the baseline or in the compared side.
+   */
+  static _matchArticles (leftArticles, rightArticles) {
+    const keys = [
+      (entries) => new Map(entries.map((entry) => [entry.article.id, entry])),
+      (entries) => {
+        const articlesByOrder = new Map()
+        for (const entry of entries) {
+          const order = entry.article.article_order
+          if (order == null) continue
+          articlesByOrder.set(order, articlesByOrder.has(order) ? null : entry)
+        }
+        return articlesByOrder
+      },
+      (entries) => this._articlesByName(entries)
+    ]
+    const matched = []
+    let removed = leftArticles
+    let added = rightArticles
+    for (const indexArticles of keys) {
+      const leftByKey = indexArticles(removed)
+      const rightByKey = indexArticles(added)
+      const matchedLeft = new Set()
+      const matchedRight = new Set()
+      for (const [key, leftArticle] of leftByKey) {
+        const rightArticle = rightByKey.get(key)
+        if (!leftArticle || !rightArticle) continue
+        matched.push([leftArticle, rightArticle])
+        matchedLeft.add(leftArticle)
+        matchedRight.add(rightArticle)
+      }
+      removed = removed.filter((entry) => !matchedLeft.has(entry))
+      added = added.filter((entry) => !matchedRight.has(entry))
+    }
+    matched.sort(
+      ([, a], [, b]) => rightArticles.indexOf(a) - rightArticles.indexOf(b)
+    )
+    return { matched, removed, added }
+  }
+
+  /**
+   * Indexes the articles of a legal basis by their normalized name. Articles sharing a name
+   * (such as several "TRANSITORIOS" blocks) are told apart by their occurrence.
+   * @param {Array<{ article: import('../../models/Article.model.js').default, articleType: string }>} articles - The
+   * articles, in order.
+   * @returns {Map<string, { article: import('../../models/Article.model.js').default, articleType: string }>} - The
+   * articles by key.
+   */
+  static _articlesByName (articles) {
+    const occurrences = new Map()
+    const articlesByName = new Map()
+    for (const entry of articles) {
+      const name = this._normalizeArticleName(entry.article.article_name)
+      const occurrence = (occurrences.get(name) ?? 0) + 1
+      occurrences.set(name, occurrence)
+      articlesByName.set(`${name}#${occurrence}`, entry)
+    }
+    return articlesByName
+  }
+
+  /**
+   * Normalizes an article name so "ARTÍCULO 5.-" and "Artículo 5" match.
+   * @param {string} articleName - The article name.
+   * @returns {string} - The accent-folded, lowercase name without punctuation.
+   */
+  static _normalizeArticleName (articleName) {
+    return foldAccents(articleName).replace(/[^\p{L}\d]+/gu, ' ').trim()
+  }
+
+  /**
+   * Normalizes the content of an article so whitespace changes are not reported.
+   * @param {string|null} content - The article content.
+   * @returns {string} - The content with its whitespace collapsed.
+   */
+  static _normalizeArticleContent (content) {
+    return String(content ?? '').replace(/\s+/g, ' ').trim()
+  }
+
+  /**
+   * Formats a date of a requirement identification for display.
+   * @param {Date|string|null} date - The date to format.
+   * @returns {string|null} - The date as dd-MM-yyyy hh:mm a, or null if there is no date.
+   */
+  static _formatDate (date) {
+    return date ? format(new Date(date), 'dd-MM-yyyy hh:mm a', { locale: es }) : null
+  }
+
   /**
    * Updates a requirement identification.
    *
@@ -0,0 +1,195 @@
+import { convert } from 'html-to-text'
+import { zodResponseFormat } from 'openai/helpers/zod'
+import openai from '../../../config/openapi.config.js'
+import { legalVerbsIdentifierResponseSchema } from '../../../schemas/reqIdentification.schema.js'
+import HttpException from '../../errors/HttpException.js'
+
+/**
+ * Maximum length in characters of the article text sent in each request, so the articles
+ * of large legal bases fit in the context window of the model.
+ */
+const MAX_ARTICLES_TEXT_LENGTH = 60000
+
+/**
+ * Service class to identify the legal verbs that apply to a requirement.
+ */
+class LegalVerbsIdentifierService {
+  /** @typedef {import('../../../models/Article.model.js').default} Article */
+  /** @typedef {import('../../../models/Requirement.model.js').default} Requirement */
+  /** @typedef {import('../../../models/LegalVerbs.model.js').default} LegalVerb */
+
+  /**
+   * @typedef {Object} IdentifiedLegalVerb
+   * @property {number} legalVerbId - The ID of the catalogued legal verb.
+   * @property {string} translation - The translation of the legal verb in the context of the requirement.
+   */
+
+  /**
+   * Constructs an instance of LegalVerbsIdentifierService.
+   * @param {Article[]} articles - The articles linked to the requirement.
+   * @param {Requirement} requirement - The requirement to identify legal verbs for.
+   * @param {LegalVerb[]} legalVerbs - The catalog of legal verbs.
+   * @param {string} model - AI model to be used in the legal verbs identification.
+   * @param {import("bull").Job} job - The Bull job object used for progress tracking.
+   */
+  constructor (articles, requirement, legalVerbs, model, job) {
+    this.articles = articles
+    this.requirement = requirement
+    this.legalVerbs = legalVerbs
+    this.job = job
+    this.model = model
+  }
+
+  /**
+   * Method to identify which catalogued legal verbs apply to the requirement.
+   * The articles are sent in batches that fit in the context window of the model, and the
+   * legal verbs identified in each batch are merged.
+   * @returns {Promise<IdentifiedLegalVerb[]>} - The applicable legal verbs with their contextual translations.
+   * @throws {HttpException} If the AI request fails.
+   */
+  async identifyLegalVerbs () {
+    if (this.articles.length === 0 || this.legalVerbs.length === 0) {
+      return []
+    }
+    const catalogIds = new Set(this.legalVerbs.map((legalVerb) => legalVerb.id))
+    const identifiedLegalVerbs = new Map()
+    for (const articlesText of this._splitArticlesText(this.articles)) {
+      const { legalVerbs } = await this._requestLegalVerbs(articlesText)
+      for (const legalVerb of legalVerbs) {
+        const translation = legalVerb.translation.trim()
+        if (
+          catalogIds.has(legalVerb.legalVerbId) &&
+          translation !== '' &&
+          !identifiedLegalVerbs.has(legalVerb.legalVerbId)
+        ) {
+          identifiedLegalVerbs.set(legalVerb.legalVerbId, {
+            legalVerbId: legalVerb.legalVerbId,
+            translation
+          })
+        }
+      }
+    }
+    return Array.from(identifiedLegalVerbs.values())
+  }
+
+  /**
+   * Requests the legal verbs that apply to the requirement according to a batch of articles.
+   * @param {string} articlesText - The text of the articles of the batch.
+   * @returns {Promise<{ legalVerbs: { legalVerbId: number, translation: string }[] }>} - The model response.
+   * @throws {HttpException} If the AI request fails.
+   */
+  async _requestLegalVerbs (articlesText) {
+    const prompt = this._buildLegalVerbsPrompt(
+      articlesText,
+      this.requirement,
+      this.legalVerbs
+    )
+    const request = {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: [
+            'You are an expert in Mexican environmental and occupational safety legislation.',
+            'Given a legal requirement, the articles that support it and a catalog of legal verbs, select the legal verbs that apply and translate each one into the context of the requirement.',
+            'All documents are in Spanish, and all output must also be in Spanish.'
+          ].join(' ')
+        },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0,
+      response_format: zodResponseFormat(
+        legalVerbsIdentifierResponseSchema,
+        'legal_verbs_response'
+      )
+    }
+    const attemptRequest = async (retryCount = 0) => {
+      try {
+        const response = await openai.chat.completions.create(request)
+        const content = legalVerbsIdentifierResponseSchema.parse(
+          JSON.parse(response.choices[0].message.content)
+        )
+        return content
+      } catch (error) {
+        if (error.status === 429 && retryCount < 3) {
+          const backoffTime = Math.pow(2, retryCount) * 1000
+          await new Promise((resolve) => setTimeout(resolve, backoffTime))
+          return attemptRequest(retryCount + 1)
+        }
+        throw new HttpException(500, 'Legal Verbs Identification Error', error)
+      }
+    }
+    return attemptRequest()
+  }
+
+  /**
+   * Splits the text of the articles in batches of at most MAX_ARTICLES_TEXT_LENGTH characters.
+   * An article longer than the limit is truncated and sent in its own batch.
+   * @param {Article[]} articles - The articles linked to the requirement.
+   * @returns {string[]} - The text of each batch.
+   */
+  _splitArticlesText (articles) {
+    const batches = []
+    let batch = ''
+    for (const article of articles) {
+      const articleText = `${article.article_name}\n${convert(article.description || '')}`
+        .slice(0, MAX_ARTICLES_TEXT_LENGTH)
+      if (batch && batch.length + articleText.length + 2 > MAX_ARTICLES_TEXT_LENGTH) {
+        batches.push(batch)
+        batch = ''
+      }
+      batch = batch ? `${batch}\n\n${articleText}` : articleText
+    }
+    if (batch) {
+      batches.push(batch)
+    }
+    return batches
+  }
+
+  /**
+   * Builds the prompt used to identify the legal verbs of a requirement.
+   * @param {string} articlesText - The text of the articles that support the requirement.
+   * @param {Requirement} requirement - The requirement.
+   * @param {LegalVerb[]} legalVerbs - The catalog of legal verbs.
+   * @returns {string} - The constructed prompt.
+   */
+  _buildLegalVerbsPrompt (articlesText, requirement, legalVerbs) {
+    const catalog = legalVerbs
+      .map((legalVerb) => JSON.stringify({
+        id: legalVerb.id,
+        name: legalVerb.name,
+        description: legalVerb.description,
+        translation: legalVerb.translation
+      }))
+      .join('\n')
+    return `
+  Identify the legal verbs from the catalog that express the obligations of the following requirement, according to the articles that support it.
+
+  Requirement:
+  {
+    "name": "${requirement.requirement_name}",
+    "mandatoryDescription": \`\`\`${requirement.mandatory_description}\`\`\`,
+    "complementaryDescription": \`\`\`${requirement.complementary_description}\`\`\`
+  }
+
+  Articles:
+  """
+  ${articlesText}
+  """
+
+  Legal verbs catalog (one JSON object per line):
+  """
+  ${catalog}
+  """
+
+  ### Instructions:
+
+  1. Only select legal verbs whose "id" appears in the catalog. Never invent new legal verbs.
+  2. Select a legal verb only if the articles impose or describe that action for the requirement.
+  3. **translation**: rewrite the catalog translation of the legal verb in the specific context of the requirement and its articles, as a short sentence in Spanish.
+  4. If no legal verb applies, return an empty list.
+    `
+  }
+}
+
+export default LegalVerbsIdentifierService
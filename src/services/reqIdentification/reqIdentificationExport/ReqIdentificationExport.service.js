@@ -0,0 +1,204 @@
+import ExcelJS from 'exceljs'
+import ReqIdentificationRepository from '../../../repositories/ReqIdentification.repository.js'
+import HttpException from '../../errors/HttpException.js'
+import sanitizeFileName from '../../../utils/sanitizeFileName.js'
+import formatArticleCitation from '../../../utils/formatArticleCitation.js'
+
+/**
+ * @typedef {Object} ExportFile
+ * @property {Buffer} buffer - The generated file content.
+ * @property {string} contentType - The MIME type of the file.
+ * @property {string} fileName - The suggested download file name.
+ */
+
+/**
+ * @typedef {Object} ComplianceMatrixRow
+ * @property {string} requirementName - The generated requirement name.
+ * @property {string} subject - The subject of the requirement.
+ * @property {string} aspects - The aspects of the requirement.
+ * @property {string} requirementType - The requirement type, if any.
+ * @property {string} condition - The requirement condition.
+ * @property {string} evidence - The evidence type and its specification.
+ * @property {string} periodicity - The periodicity of the requirement.
+ * @property {string} acceptanceCriteria - The acceptance criteria of the requirement.
+ * @property {string} legalBases - The legal bases that support the requirement.
+ * @property {string} articles - The cited articles, down to their sub-units, with their classification.
+ * @property {string} legalVerbs - The legal verb translations of the requirement.
+ */
+
+/**
+ * Columns of the compliance matrix, in output order.
+ * @type {{ key: keyof ComplianceMatrixRow, header: string, width: number }[]}
+ */
+const COLUMNS = [
+  { key: 'requirementName', header: 'Requerimiento', width: 30 },
+  { key: 'subject', header: 'Materia', width: 20 },
+  { key: 'aspects', header: 'Aspectos', width: 25 },
+  { key: 'requirementType', header: 'Tipo de requerimiento', width: 25 },
+  { key: 'condition', header: 'Condición', width: 15 },
+  { key: 'evidence', header: 'Evidencia', width: 30 },
+  { key: 'periodicity', header: 'Periodicidad', width: 15 },
+  { key: 'acceptanceCriteria', header: 'Criterios de aceptación', width: 50 },
+  { key: 'legalBases', header: 'Fundamento legal', width: 40 },
+  { key: 'articles', header: 'Artículos citados', width: 60 },
+  { key: 'legalVerbs', header: 'Verbos legales', width: 60 }
+]
+
+/**
+ * Supported export formats.
+ */
+const FORMATS = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8'
+}
+
+/**
+ * Service class for exporting requirement identifications as compliance matrices.
+ * Files are generated locally without relying on external services.
+ */
+class ReqIdentificationExportService {
+  /**
+   * Exports a requirement identification as a compliance matrix with one row per requirement.
+   * @param {number} id - The ID of the requirement identification.
+   * @param {string} [format='xlsx'] - The output format ('xlsx' or 'csv').
+   * @returns {Promise<ExportFile>} - The generated file.
+   * @throws {HttpException} - If the format is invalid, the identification is not found or the export fails.
+   */
+  static async export (id, format = 'xlsx') {
+    try {
+      if (!FORMATS[format]) {
+        throw new HttpException(400, 'Invalid export format', {
+          allowedFormats: Object.keys(FORMATS)
+        })
+      }
+      const reqIdentification = await ReqIdentificationRepository.findById(id)
+      if (!reqIdentification) {
+        throw new HttpException(404, 'Requirement identification not found')
+      }
+      const requirements =
+        (await ReqIdentificationRepository.findRequirements(id)) || []
+      const rows = requirements.map((requirement) =>
+        this._buildRow(requirement)
+      )
+      const buffer =
+        format === 'xlsx'
+          ? await this._buildXlsx(reqIdentification.name, rows)
+          : this._buildCsv(rows)
+      return {
+        buffer,
+        contentType: FORMATS[format],
+        fileName: `${sanitizeFileName(reqIdentification.name, 'identificacion')}.${format}`
+      }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(
+        500,
+        'Failed to export requirement identification'
+      )
+    }
+  }
+
+  /**
+   * Flattens an identified requirement into a compliance matrix row.
+   * @param {import('../../../models/ReqIdentification.model.js').ReqIdentificationRequirement} reqIdentificationRequirement - The identified requirement.
+   * @returns {ComplianceMatrixRow} - The flattened row.
+   */
+  static _buildRow (reqIdentificationRequirement) {
+    const { requirement, requirementName, requirementType, legalBases, legalVerbs } =
+      reqIdentificationRequirement
+    const legalBasisLabel = ({ legalBasis }) =>
+      legalBasis.abbreviation || legalBasis.legal_name
+    const articles = legalBases.flatMap((legalBasis) =>
+      legalBasis.articles.map(
+        ({ article, articleType, subunits }) =>
+          `${legalBasisLabel(legalBasis)} - ${formatArticleCitation(article.article_name, subunits)} (${articleType})`
+      )
+    )
+    return {
+      requirementName,
+      subject: requirement.subject.subject_name,
+      aspects: requirement.aspects
+        .map((aspect) => aspect.aspect_name)
+        .join(', '),
+      requirementType: requirementType ? requirementType.name : '',
+      condition: requirement.condition || '',
+      evidence: [requirement.evidence, requirement.specify_evidence]
+        .filter(Boolean)
+        .join(': '),
+      periodicity: requirement.periodicity || '',
+      acceptanceCriteria: requirement.acceptance_criteria || '',
+      legalBases: legalBases
+        .map(({ legalBasis }) => legalBasis.legal_name)
+        .join('\n'),
+      articles: articles.join('\n'),
+      legalVerbs: legalVerbs
+        .map(({ legalVerb, translation }) => `${legalVerb.name}: ${translation}`)
+        .join('\n')
+    }
+  }
+
+  /**
+   * Builds an XLSX workbook with the compliance matrix.
+   * @param {string} sheetTitle - The title used for the worksheet.
+   * @param {ComplianceMatrixRow[]} rows - The rows to write.
+   * @returns {Promise<Buffer>} - The workbook content.
+   */
+  static async _buildXlsx (sheetTitle, rows) {
+    const workbook = new ExcelJS.Workbook()
+    const worksheet = workbook.addWorksheet(
+      this._sanitizeSheetName(sheetTitle)
+    )
+    worksheet.columns = COLUMNS
+    worksheet.getRow(1).font = { bold: true }
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }]
+    for (const row of rows) {
+      worksheet.addRow(row)
+    }
+    worksheet.eachRow((row) => {
+      row.alignment = { vertical: 'top', wrapText: true }
+    })
+    return Buffer.from(await workbook.xlsx.writeBuffer())
+  }
+
+  /**
+   * Builds a CSV document with the compliance matrix.
+   * A UTF-8 BOM is prepended so spreadsheet applications keep Spanish characters intact.
+   * @param {ComplianceMatrixRow[]} rows - The rows to write.
+   * @returns {Buffer} - The CSV content.
+   */
+  static _buildCsv (rows) {
+    const lines = [
+      COLUMNS.map(({ header }) => this._escapeCsvCell(header)).join(','),
+      ...rows.map((row) =>
+        COLUMNS.map(({ key }) => this._escapeCsvCell(row[key])).join(',')
+      )
+    ]
+    return Buffer.from('\uFEFF' + lines.join('\r\n'), 'utf-8')
+  }
+
+  /**
+   * Quotes a CSV cell. Cells that spreadsheet applications would read as a formula
+   * (starting with =, +, -, @, a tab or a carriage return) are prefixed with an apostrophe.
+   * @param {*} value - The cell value.
+   * @returns {string} - The escaped cell.
+   */
+  static _escapeCsvCell (value) {
+    const text = String(value ?? '')
+    const safeText = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text
+    return `"${safeText.replace(/"/g, '""')}"`
+  }
+
+  /**
+   * Builds a valid worksheet name (max 31 characters, no reserved characters).
+   * @param {string} name - The requirement identification name.
+   * @returns {string} - The sanitized worksheet name.
+   */
+  static _sanitizeSheetName (name) {
+    const sanitized = name.replace(/[\\/?*[\]:]/g, ' ').trim().slice(0, 31)
+    return sanitized || 'Identificación'
+  }
+}
+
+export default ReqIdentificationExportService
@@ -0,0 +1,274 @@
+import PDFDocument from 'pdfkit'
+import { convert } from 'html-to-text'
+import { format } from 'date-fns'
+import { es } from 'date-fns/locale'
+import ReqIdentificationRepository from '../../../repositories/ReqIdentification.repository.js'
+import HttpException from '../../errors/HttpException.js'
+import sanitizeFileName from '../../../utils/sanitizeFileName.js'
+import formatArticleCitation from '../../../utils/formatArticleCitation.js'
+
+/** @typedef {import('../../../models/ReqIdentification.model.js').ReqIdentification} ReqIdentification */
+/** @typedef {import('../../../models/ReqIdentification.model.js').ReqIdentificationRequirement} ReqIdentificationRequirement */
+
+/**
+ * @typedef {Object} ReportFile
+ * @property {Buffer} buffer - The generated PDF content.
+ * @property {string} contentType - The MIME type of the file.
+ * @property {string} fileName - The suggested download file name.
+ */
+
+/**
+ * @typedef {Object} AspectGroup
+ * @property {string} aspects - The aspect names of the group.
+ * @property {ReqIdentificationRequirement[]} requirements - The requirements of the group.
+ */
+
+/**
+ * @typedef {Object} SubjectGroup
+ * @property {string} subject - The subject name of the group.
+ * @property {AspectGroup[]} aspectGroups - The requirements of the subject grouped by aspects.
+ */
+
+/**
+ * Color used for headings, matching the one used in email templates.
+ */
+const PRIMARY_COLOR = '#113c53'
+
+/**
+ * Service class for generating printable PDF reports of requirement identifications.
+ */
+class ReqIdentificationReportService {
+  /**
+   * Generates the PDF report of a requirement identification.
+   * The report contains a cover page, the requirements grouped by subject and aspects,
+   * and the full text of every cited article.
+   * @param {number} id - The ID of the requirement identification.
+   * @returns {Promise<ReportFile>} - The generated report.
+   * @throws {HttpException} - If the identification is not found or the report fails.
+   */
+  static async generateReport (id) {
+    try {
+      const reqIdentification = await ReqIdentificationRepository.findById(id)
+      if (!reqIdentification) {
+        throw new HttpException(404, 'Requirement identification not found')
+      }
+      const requirements =
+        (await ReqIdentificationRepository.findRequirements(id)) || []
+      const buffer = await this._buildPdf(
+        reqIdentification,
+        this._groupRequirements(requirements)
+      )
+      return {
+        buffer,
+        contentType: 'application/pdf',
+        fileName: `${sanitizeFileName(reqIdentification.name, 'identificacion')}.pdf`
+      }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(
+        500,
+        'Failed to generate requirement identification report'
+      )
+    }
+  }
+
+  /**
+   * Groups the requirements by subject and then by aspects, keeping catalog order.
+   * @param {ReqIdentificationRequirement[]} requirements - The identified requirements.
+   * @returns {SubjectGroup[]} - The grouped requirements.
+   */
+  static _groupRequirements (requirements) {
+    const subjects = new Map()
+    for (const reqIdentificationRequirement of requirements) {
+      const { subject, aspects } = reqIdentificationRequirement.requirement
+      if (!subjects.has(subject.subject_id)) {
+        subjects.set(subject.subject_id, {
+          subject: subject.subject_name,
+          aspectGroups: new Map()
+        })
+      }
+      const aspectNames =
+        aspects.map((aspect) => aspect.aspect_name).join(', ') || 'Sin aspectos'
+      const { aspectGroups } = subjects.get(subject.subject_id)
+      if (!aspectGroups.has(aspectNames)) {
+        aspectGroups.set(aspectNames, { aspects: aspectNames, requirements: [] })
+      }
+      aspectGroups.get(aspectNames).requirements.push(reqIdentificationRequirement)
+    }
+    return Array.from(subjects.values()).map(({ subject, aspectGroups }) => ({
+      subject,
+      aspectGroups: Array.from(aspectGroups.values())
+    }))
+  }
+
+  /**
+   * Renders the PDF document.
+   * @param {ReqIdentification} reqIdentification - The requirement identification.
+   * @param {SubjectGroup[]} subjectGroups - The grouped requirements.
+   * @returns {Promise<Buffer>} - The PDF content.
+   */
+  static _buildPdf (reqIdentification, subjectGroups) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'LETTER', margin: 60 })
+      const chunks = []
+      doc.on('data', (chunk) => chunks.push(chunk))
+      doc.on('end', () => resolve(Buffer.concat(chunks)))
+      doc.on('error', reject)
+
+      this._writeCover(doc, reqIdentification)
+
+      if (subjectGroups.length === 0) {
+        doc.addPage()
+        doc
+          .font('Helvetica')
+          .fontSize(12)
+          .text('La identificación no contiene requerimientos.')
+      }
+
+      for (const { subject, aspectGroups } of subjectGroups) {
+        doc.addPage()
+        doc
+          .font('Helvetica-Bold')
+          .fontSize(18)
+          .fillColor(PRIMARY_COLOR)
+          .text(`Materia: ${subject}`)
+        for (const { aspects, requirements } of aspectGroups) {
+          doc
+            .moveDown()
+            .font('Helvetica-Bold')
+            .fontSize(14)
+            .fillColor(PRIMARY_COLOR)
+            .text(`Aspectos: ${aspects}`)
+          for (const requirement of requirements) {
+            this._writeRequirement(doc, requirement)
+          }
+        }
+      }
+
+      doc.end()
+    })
+  }
+
+  /**
+   * Writes the cover page of the report.
+   * @param {PDFKit.PDFDocument} doc - The PDF document.
+   * @param {ReqIdentification} reqIdentification - The requirement identification.
+   */
+  static _writeCover (doc, reqIdentification) {
+    const formatDate = (date) =>
+      date
+        ? format(new Date(date), 'dd-MM-yyyy hh:mm a', { locale: es })
+        : 'No disponible'
+    doc
+      .moveDown(8)
+      .font('Helvetica-Bold')
+      .fontSize(24)
+      .fillColor(PRIMARY_COLOR)
+      .text('Identificación de Requerimientos Legales', { align: 'center' })
+      .moveDown()
+      .fontSize(18)
+      .fillColor('black')
+      .text(reqIdentification.name, { align: 'center' })
+      .moveDown(2)
+    if (reqIdentification.description) {
+      doc
+        .font('Helvetica')
+        .fontSize(12)
+        .text(reqIdentification.description, { align: 'justify' })
+        .moveDown(2)
+    }
+    const details = [
+      ['Creado por', reqIdentification.user?.name || 'No disponible'],
+      ['Fecha de creación', formatDate(reqIdentification.createdAt)],
+      ['Estado', reqIdentification.status]
+    ]
+    for (const [label, value] of details) {
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(12)
+        .text(`${label}: `, { continued: true })
+        .font('Helvetica')
+        .text(String(value))
+    }
+  }
+
+  /**
+   * Writes a requirement with its details, legal verbs, legal bases and full article text.
+   * Article headings cite the párrafos, fracciones and incisos that hold the requirement.
+   * @param {PDFKit.PDFDocument} doc - The PDF document.
+   * @param {ReqIdentificationRequirement} reqIdentificationRequirement - The identified requirement.
+   */
+  static _writeRequirement (doc, reqIdentificationRequirement) {
+    const { requirement, requirementName, requirementType, legalVerbs, legalBases } =
+      reqIdentificationRequirement
+    doc
+      .moveDown()
+      .font('Helvetica-Bold')
+      .fontSize(13)
+      .fillColor('black')
+      .text(requirementName)
+      .moveDown(0.5)
+    const details = [
+      ['Tipo de requerimiento', requirementType?.name],
+      ['Descripción obligatoria', requirement.mandatory_description],
+      ['Descripción complementaria', requirement.complementary_description],
+      ['Condición', requirement.condition],
+      [
+        'Evidencia',
+        [requirement.evidence, requirement.specify_evidence]
+          .filter(Boolean)
+          .join(': ')
+      ],
+      ['Periodicidad', requirement.periodicity],
+      ['Criterios de aceptación', requirement.acceptance_criteria]
+    ]
+    for (const [label, value] of details) {
+      if (!value) continue
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(10)
+        .text(`${label}: `, { continued: true })
+        .font('Helvetica')
+        .text(String(value), { align: 'justify' })
+    }
+    if (legalVerbs.length > 0) {
+      doc.moveDown(0.5).font('Helvetica-Bold').fontSize(10).text('Verbos legales:')
+      for (const { legalVerb, translation } of legalVerbs) {
+        doc
+          .font('Helvetica-Bold')
+          .text(`• ${legalVerb.name}: `, { continued: true, indent: 10 })
+          .font('Helvetica')
+          .text(translation, { align: 'justify' })
+      }
+    }
+    for (const { legalBasis, articles } of legalBases) {
+      doc
+        .moveDown(0.5)
+        .font('Helvetica-Bold')
+        .fontSize(11)
+        .fillColor(PRIMARY_COLOR)
+        .text(legalBasis.legal_name)
+        .fillColor('black')
+      if (articles.length === 0) {
+        doc
+          .font('Helvetica-Oblique')
+          .fontSize(10)
+          .text('Sin artículos citados.')
+        continue
+      }
+      for (const { article, articleType, subunits } of articles) {
+        doc
+          .moveDown(0.3)
+          .font('Helvetica-Bold')
+          .fontSize(10)
+          .text(`${formatArticleCitation(article.article_name, subunits)} (${articleType})`)
+          .font('Helvetica')
+          .text(convert(article.description || ''), { align: 'justify' })
+      }
+    }
+  }
+}
+
+export default ReqIdentificationReportService
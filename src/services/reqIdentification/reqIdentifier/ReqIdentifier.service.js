@@ -1,9 +1,23 @@
+import { convert } from 'html-to-text'
+import { zodResponseFormat } from 'openai/helpers/zod'
+import openai from '../../../config/openapi.config.js'
+import { reqIdentifierResponseSchema } from '../../../schemas/reqIdentification.schema.js'
+import HttpException from '../../errors/HttpException.js'
+
 /**
  * Service class to identify requirements
  */
 class ReqIdentifierService {
   /** @typedef {import('../../../models/Article.model.js').default} Article */
   /** @typedef {import('../../../models/Requirement.model.js').default} Requirement */
+  /** @typedef {import('../../../models/ArticleSubunit.model.js').default} ArticleSubunit */
+
+  /**
+   * @typedef {Object} ReqIdentifierResult
+   * @property {boolean} isRelevant - Whether the article applies to the requirement.
+   * @property {'Obligatorio' | 'Complementario' | 'General'} articleType - Classification of the article for the requirement.
+   * @property {number[]} subunitIds - IDs of the sub-units of the article that hold the requirement; empty to cite the whole article.
+   */
 
   /**
    * Constructs an instance of ReqIdentifierService.
@@ -11,19 +25,123 @@ class ReqIdentifierService {
    * @param {Requirement} requirement - The requirement to be used in requirements identification.
    * @param {string} model - AI model to be used in the requirements identification.
    * @param {import("bull").Job} job - The Bull job object used for progress tracking.
+   * @param {ArticleSubunit[]} [subunits=[]] - The párrafos, fracciones and incisos of the article.
    */
-  constructor (article, requirement, model, job) {
+  constructor (article, requirement, model, job, subunits = []) {
     this.article = article
     this.requirement = requirement
     this.job = job
     this.model = model
+    this.subunits = subunits
   }
 
   /**
   * Method to identify requirements based on the provided article.
+  * @returns {Promise<ReqIdentifierResult>} - Whether the article applies and its classification.
+  * @throws {HttpException} If the AI request fails.
   */
   async identifyRequirements () {
+    const prompt = this._buildIdentifyPrompt(
+      this.article,
+      this.requirement,
+      this.subunits
+    )
+    const request = {
+      model: this.model,
+      messages: [
+        {
+          role: 'system',
+          content: [
+            'You are an expert in Mexican environmental and occupational safety legislation.',
+            'Given a legal requirement and a single article of a legal basis, decide whether the article applies to the requirement and classify it.',
+            'All documents are in Spanish.'
+          ].join(' ')
+        },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0,
+      response_format: zodResponseFormat(
+        reqIdentifierResponseSchema,
+        'req_identifier_response'
+      )
+    }
+    const attemptRequest = async (retryCount = 0) => {
+      try {
+        const response = await openai.chat.completions.create(request)
+        const content = reqIdentifierResponseSchema.parse(
+          JSON.parse(response.choices[0].message.content)
+        )
+        const subunitIds = new Set(this.subunits.map(({ id }) => id))
+        return {
+          ...content,
+          subunitIds: content.isRelevant
+            ? content.subunitIds.filter((id) => subunitIds.has(id))
+            : []
+        }
+      } catch (error) {
+        if (error.status === 429 && retryCount < 3) {
+          const backoffTime = Math.pow(2, retryCount) * 1000
+          await new Promise((resolve) => setTimeout(resolve, backoffTime))
+          return attemptRequest(retryCount + 1)
+        }
+        throw new HttpException(500, 'Requirement Identification Error', error)
+      }
+    }
+    return attemptRequest()
+  }
+
+  /**
+   * Builds the prompt used to match an article against a requirement.
+   * @param {Article} article - The article to evaluate.
+   * @param {Requirement} requirement - The requirement to evaluate against.
+   * @param {ArticleSubunit[]} subunits - The sub-units of the article, if it was split into any.
+   * @returns {string} - The constructed prompt.
+   */
+  _buildIdentifyPrompt (article, requirement, subunits) {
+    const articleText = convert(article.description || '')
+    const subunitsText = JSON.stringify(
+      subunits.map(({ id, citation }) => ({ id, citation }))
+    )
+    return `
+  Determine whether the following article establishes, complements or merely relates to the legal requirement described below.
+
+  Requirement:
+  {
+    "name": "${requirement.requirement_name}",
+    "mandatoryDescription": \`\`\`${requirement.mandatory_description}\`\`\`,
+    "complementaryDescription": \`\`\`${requirement.complementary_description}\`\`\`,
+    "mandatorySentences": \`\`\`${requirement.mandatory_sentences}\`\`\`,
+    "complementarySentences": \`\`\`${requirement.complementary_sentences}\`\`\`,
+    "mandatoryKeywords": \`\`\`${requirement.mandatory_keywords}\`\`\`,
+    "complementaryKeywords": \`\`\`${requirement.complementary_keywords}\`\`\`
+  }
+
+  Article:
+  {
+    "title": "${article.article_name}",
+    "article": \`\`\`${articleText}\`\`\`
+  }
+
+  Sub-units of the article (párrafos, fracciones and incisos), located in the article text by their citation:
+  ${subunitsText}
+
+  ### Instructions:
+
+  1. **isRelevant**:
+     - true if the article imposes, supports or gives context to the requirement.
+     - false if the article has no relation to the requirement (e.g. it regulates a different obligation, is a purely structural heading or is unrelated).
+
+  2. **articleType** (only meaningful when isRelevant is true; otherwise return "General"):
+     - "Obligatorio": the article directly establishes the obligation described in the mandatory description, sentences or keywords.
+     - "Complementario": the article adds conditions, procedures, deadlines or details described in the complementary description, sentences or keywords.
+     - "General": the article is related to the requirement (definitions, scope, authorities, general provisions) but neither establishes nor complements the obligation.
+
+  3. **subunitIds** (only meaningful when isRelevant is true; otherwise return []):
+     - The "id" of each sub-unit that holds the requirement, so the citation can point to e.g. "fracción IV, inciso b)".
+     - Return [] if the article has no sub-units or the requirement rests on the article as a whole.
 
+  Base your decision strictly on the text provided. Do not assume content that is not present in the article.
+    `
   }
 }
 
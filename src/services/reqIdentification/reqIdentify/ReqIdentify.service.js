@@ -10,7 +10,8 @@ import RequirementRepository from '../../../repositories/Requirements.repository
  */
 class ReqIdentifyService {
   /**
-   * Retrieves the status of a requirement iddentification job from the queue.
+   * Retrieves the status of a requirement iddentification job from the queue, with the
+   * number of articles evaluated so far and how many of them were found relevant.
    * @param {number|string} jobId - The job ID.
    * @returns {Promise<import('../../queue/Queue.service.js').JobStateResponse>} - The job state and relevant data.
    */
@@ -24,7 +25,11 @@ class ReqIdentifyService {
         }
       }
       const result = await QueueService.getJobState(job)
-      return result
+      const evaluations =
+        await ReqIdentificationRepository.countArticleEvaluations(
+          job.data.reqIdentificationId
+        )
+      return { ...result, data: { ...result.data, ...evaluations } }
     } catch (error) {
       if (error instanceof HttpException) throw error
       throw new HttpException(
@@ -35,6 +40,68 @@ class ReqIdentifyService {
     }
   }
 
+  /**
+   * Cancels a requirement identification job by its ID and marks its identification as failed.
+   * @param {number|string} jobId - The ID of the job to cancel.
+   * @returns {Promise<boolean>} - True if the job was successfully canceled.
+   * @throws {HttpException} - If the job cannot be canceled.
+   */
+  static async cancelReqIdentificationJob (jobId) {
+    try {
+      const job = await reqIdentificationQueue.getJob(jobId)
+      if (!job) {
+        throw new HttpException(404, 'Job not found')
+      }
+      const canceled = await QueueService.cancelJob(job)
+      if (canceled) {
+        await ReqIdentificationRepository.markAsFailed(
+          job.data.reqIdentificationId,
+          'Job was canceled'
+        )
+      }
+      return canceled
+    } catch (error) {
+      if (error instanceof HttpException) throw error
+      throw new HttpException(
+        500,
+        'Failed to cancel requirement identification job'
+      )
+    }
+  }
+
+  /**
+   * Retries a failed requirement identification job by its ID.
+   * The worker resumes from the requirements, legal bases and articles already linked.
+   * @param {number|string} jobId - The ID of the job to retry.
+   * @returns {Promise<boolean>} - True if the job was successfully queued again.
+   * @throws {HttpException} - If the job cannot be retried.
+   */
+  static async retryReqIdentificationJob (jobId) {
+    try {
+      const job = await reqIdentificationQueue.getJob(jobId)
+      if (!job) {
+        throw new HttpException(404, 'Job not found')
+      }
+      const reqIdentification = await ReqIdentificationRepository.findById(
+        job.data.reqIdentificationId
+      )
+      if (!reqIdentification) {
+        throw new HttpException(404, 'Requirement identification not found')
+      }
+      const retried = await QueueService.retryJob(job)
+      if (retried) {
+        await ReqIdentificationRepository.markAsActive(reqIdentification.id)
+      }
+      return retried
+    } catch (error) {
+      if (error instanceof HttpException) throw error
+      throw new HttpException(
+        500,
+        'Failed to retry requirement identification job'
+      )
+    }
+  }
+
   /**
    * Checks if there are pending jobs for a specific requirement identification.
    * @param {number} reqIdentificationId - The ID of the requirement identification to check.
@@ -152,6 +219,74 @@ class ReqIdentifyService {
       )
     }
   }
+
+  /**
+   * Synchronizes the status of active requirement identifications with the state of their jobs.
+   * Intended to run on startup, so identifications whose jobs finished while the worker
+   * was down do not stay 'Activo' forever. Identifications whose job no longer exists
+   * (for example, removed from the queue) are marked as completed when every article of their
+   * linked legal bases has a recorded result, and as failed otherwise.
+   * @returns {Promise<void>}
+   */
+  static async syncReqIdentificationsStatus () {
+    try {
+      const reqIdentifications = await ReqIdentificationRepository.findByStatus(
+        'Activo'
+      )
+      if (!reqIdentifications) return
+      const statesToCheck = [
+        'waiting',
+        'paused',
+        'active',
+        'delayed',
+        'completed',
+        'failed'
+      ]
+      const jobs = await QueueService.getJobsByStates(
+        reqIdentificationQueue,
+        statesToCheck
+      )
+      for (const reqIdentification of reqIdentifications) {
+        const job = jobs
+          .filter(
+            (job) =>
+              Number(job.data.reqIdentificationId) ===
+              Number(reqIdentification.id)
+          )
+          .sort((a, b) => b.timestamp - a.timestamp)[0]
+        if (!job) {
+          const { linkedLegalBases, pendingArticles } =
+            await ReqIdentificationRepository.countPendingArticles(
+              reqIdentification.id
+            )
+          if (linkedLegalBases > 0 && pendingArticles === 0) {
+            await ReqIdentificationRepository.markAsCompleted(reqIdentification.id)
+          } else {
+            await ReqIdentificationRepository.markAsFailed(
+              reqIdentification.id,
+              'Job no longer in queue'
+            )
+          }
+          continue
+        }
+        const state = await job.getState()
+        if (state === 'completed') {
+          await ReqIdentificationRepository.markAsCompleted(reqIdentification.id)
+        } else if (state === 'failed') {
+          await ReqIdentificationRepository.markAsFailed(
+            reqIdentification.id,
+            job.failedReason
+          )
+        }
+      }
+    } catch (error) {
+      if (error instanceof HttpException) throw error
+      throw new HttpException(
+        500,
+        'Failed to synchronize requirement identifications status'
+      )
+    }
+  }
 }
 
 export default ReqIdentifyService
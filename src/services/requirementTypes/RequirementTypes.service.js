@@ -1,6 +1,6 @@
 import RequirementTypesRepository from '../../repositories/RequirementTypes.repository.js'
 import HttpException from '../errors/HttpException.js'
-import requirementTypesSchema from '../../schemas/requirementTypes.schema.js'
+import requirementTypesSchema, { requirementTypeListQuerySchema } from '../../schemas/requirementTypes.schema.js'
 import { z } from 'zod'
 
 /**
@@ -52,18 +52,30 @@ class RequirementTypesService {
   }
 
   /**
-   * Fetches all requirement types.
-   * @returns {Promise<Array<RequirementType>>} - List of all requirement types.
-   * @throws {HttpException} - If an error occurs during retrieval.
+   * Fetches a page of requirement types.
+   * @param {Object} [query] - The list query.
+   * @param {number} [query.page] - The page number.
+   * @param {number} [query.pageSize] - The page size.
+   * @param {string} [query.cursor] - The cursor of the page, instead of a page number.
+   * @param {string} [query.sort] - The sort fields, prefixed with '-' for descending order.
+   * @param {string} [query.name] - A partial name of the requirement type.
+   * @param {string} [query.description] - Terms to match in the description.
+   * @param {string} [query.classification] - Terms to match in the classification.
+   * @returns {Promise<import('../../utils/pagination.js').Page<RequirementType>>} - The page of requirement types.
+   * @throws {HttpException} - If the query is invalid or an error occurs during retrieval.
    */
-  static async getAll () {
+  static async getAll (query = {}) {
     try {
-      const requirementTypes = await RequirementTypesRepository.findAll()
-      if (!requirementTypes) {
-        return []
-      }
-      return requirementTypes
+      const { filters, listOptions } = requirementTypeListQuerySchema.parse(query)
+      return await RequirementTypesRepository.findMany(filters, listOptions)
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
@@ -92,79 +104,6 @@ class RequirementTypesService {
     }
   }
 
-  /**
-   * Fetches requirement types by partial or full name match.
-   * @param {string} name - The name or partial name to search.
-   * @returns {Promise<Array<RequirementType>>} - List of matching requirement types.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByName (name) {
-    try {
-      const requirementTypes = await RequirementTypesRepository.findByName(
-        name
-      )
-      if (!requirementTypes) {
-        return []
-      }
-      return requirementTypes
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(500, 'Failed to fetch requirement types by name')
-    }
-  }
-
-  /**
-   * Fetches requirement types by partial or full description match.
-   * @param {string} description - The description or partial description to search.
-   * @returns {Promise<Array<RequirementType>>} - List of matching requirement types.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByDescription (description) {
-    try {
-      const requirementTypes =
-        await RequirementTypesRepository.findByDescription(description)
-      if (!requirementTypes) {
-        return []
-      }
-      return requirementTypes
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to fetch requirement types by description'
-      )
-    }
-  }
-
-  /**
-   * Fetches requirement types by partial or full classification match.
-   * @param {string} classification - The classification or partial classification to search.
-   * @returns {Promise<Array<RequirementType>>} - List of matching requirement types.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByClassification (classification) {
-    try {
-      const requirementTypes =
-        await RequirementTypesRepository.findByClassification(classification)
-      if (!requirementTypes) {
-        return []
-      }
-      return requirementTypes
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to fetch requirement types by classification'
-      )
-    }
-  }
-
   /**
    * Updates a requirement type by ID.
    * @param {number} id - The ID of the requirement type to update.
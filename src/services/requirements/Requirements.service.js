@@ -1,8 +1,11 @@
 import RequirementRepository from '../../repositories/Requirements.repository.js'
-import requirementSchema from '../../schemas/requirement.schema.js'
+import requirementSchema, {
+  requirementListQuerySchema
+} from '../../schemas/requirement.schema.js'
 import SubjectsRepository from '../../repositories/Subject.repository.js'
 import AspectsRepository from '../../repositories/Aspects.repository.js'
 import ReqIdentifyService from '../reqIdentification/reqIdentify/ReqIdentify.service.js'
+import embeddingsQueue from '../../workers/embeddingsWorker.js'
 import HttpException from '../errors/HttpException.js'
 import { z } from 'zod'
 
@@ -80,7 +83,7 @@ class RequirementService {
   }
 
   /**
-   * Creates a new requirement.
+   * Creates a new requirement and queues the embedding of its descriptions.
    *
    * @param {Object} requirement - Parameters for creating a requirement.
    * @param {number} requirement.subjectId - The subject ID.
@@ -131,6 +134,7 @@ class RequirementService {
       const createdRequirement = await RequirementRepository.create(
         parsedRequirement
       )
+      this._queueEmbeddings([createdRequirement.id])
       return RequirementService._formatRequirementWithSpecificValues(
         createdRequirement
       )
@@ -153,18 +157,65 @@ class RequirementService {
   }
 
   /**
-   * Retrieves all requirements from the database.
-   * @returns {Promise<Array<Requirement>>} - A list of all requirements.
-   * @throws {HttpException} - If an error occurs during retrieval.
+   * Retrieves a page of requirements.
+   * @param {Object} [query] - The list query.
+   * @param {number} [query.page] - The page number.
+   * @param {number} [query.pageSize] - The page size.
+   * @param {string} [query.cursor] - The cursor of the page, instead of a page number.
+   * @param {string} [query.sort] - The sort fields, e.g. 'name,-number'.
+   * @param {number} [query.number] - The requirement number.
+   * @param {string} [query.name] - A partial requirement name.
+   * @param {number} [query.subjectId] - The subject ID.
+   * @param {string|Array<number>} [query.aspectIds] - The aspect IDs, comma-separated.
+   * @param {string} [query.mandatoryDescription] - Full-text terms of the mandatory description.
+   * @param {string} [query.complementaryDescription] - Full-text terms of the complementary description.
+   * @param {string} [query.mandatorySentences] - Full-text terms of the mandatory sentences.
+   * @param {string} [query.complementarySentences] - Full-text terms of the complementary sentences.
+   * @param {string} [query.mandatoryKeywords] - Full-text terms of the mandatory keywords.
+   * @param {string} [query.complementaryKeywords] - Full-text terms of the complementary keywords.
+   * @param {string} [query.condition] - The requirement condition.
+   * @param {string} [query.evidence] - The evidence.
+   * @param {string} [query.periodicity] - The periodicity.
+   * @param {string} [query.acceptanceCriteria] - A partial acceptance criteria.
+   * @returns {Promise<import('../../utils/pagination.js').Page<Requirement>>} - The page of requirements.
+   * @throws {HttpException} - If the query is invalid, the subject or aspects are not found, or an error occurs during retrieval.
    */
-  static async getAll () {
+  static async getAll (query = {}) {
     try {
-      const requirements = await RequirementRepository.findAll()
-      if (!requirements) {
-        return []
+      const { filters, listOptions } = requirementListQuerySchema.parse(query)
+      if (filters.subjectId) {
+        const subject = await SubjectsRepository.findById(filters.subjectId)
+        if (!subject) {
+          throw new HttpException(404, 'Subject not found')
+        }
+      }
+      if (filters.aspectIds?.length > 0) {
+        const existingAspects = await AspectsRepository.findByIds(
+          filters.aspectIds
+        )
+        if (existingAspects.length !== filters.aspectIds.length) {
+          const notFoundIds = filters.aspectIds.filter(
+            (id) => !existingAspects.some((aspect) => aspect.id === id)
+          )
+          throw new HttpException(404, 'Aspects not found for IDs', {
+            notFoundIds
+          })
+        }
+      }
+      const { items: requirements, pagination } =
+        await RequirementRepository.findMany(filters, listOptions)
+      return {
+        items: this._formatRequirementsListWithSpecificValues(requirements),
+        pagination
       }
-      return this._formatRequirementsListWithSpecificValues(requirements)
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
@@ -197,376 +248,7 @@ class RequirementService {
   }
 
   /**
-   * Retrieves requirements by their requirement number.
-   * @param {number} requirementNumber - The requirement number.
-   * @returns {Promise<Array<Requirement>>} - A list of matching requirements.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByNumber (requirementNumber) {
-    try {
-      const requirements = await RequirementRepository.findByNumber(
-        requirementNumber
-      )
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(500, 'Failed to retrieve requirements by number')
-    }
-  }
-
-  /**
-   * Retrieves requirements by their name or part of it.
-   * @param {string} requirementName - The requirement name or partial match.
-   * @returns {Promise<Array<Requirement>>} - A list of matching requirements.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByName (requirementName) {
-    try {
-      const requirements = await RequirementRepository.findByName(
-        requirementName
-      )
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(500, 'Failed to retrieve requirements by name')
-    }
-  }
-
-  /**
-   * Retrieves requirements by a specific subject.
-   * @param {number} subjectId - The subject ID to filter by.
-   * @returns {Promise<Array<Requirement>>} - A list of requirements filtered by the subject.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getBySubject (subjectId) {
-    try {
-      const subject = await SubjectsRepository.findById(subjectId)
-      if (!subject) {
-        throw new HttpException(404, 'Subject not found')
-      }
-      const requirements = await RequirementRepository.findBySubject(subjectId)
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirements by subject'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements filtered by a specific subject and optionally by aspects.
-   * @param {number} subjectId - The subject ID to filter by.
-   * @param {Array<number>} [aspectIds] - Optional array of aspect IDs to further filter by.
-   * @returns {Promise<Array<Requirement>>} - A list of requirements matching the filters.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getBySubjectAndAspects (subjectId, aspectIds = []) {
-    try {
-      const subject = await SubjectsRepository.findById(subjectId)
-      if (!subject) {
-        throw new HttpException(404, 'Subject not found')
-      }
-      const existingAspects = await AspectsRepository.findByIds(aspectIds)
-      if (existingAspects.length !== aspectIds.length) {
-        const notFoundIds = aspectIds.filter(
-          (id) => !existingAspects.some((aspect) => aspect.id === id)
-        )
-        throw new HttpException(404, 'Aspects not found for IDs', {
-          notFoundIds
-        })
-      }
-      const requirements = await RequirementRepository.findBySubjectAndAspects(
-        subjectId,
-        aspectIds
-      )
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirements by subject and aspects'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements by a flexible full-text match in their mandatory description.
-   * @param {string} description - The description or part of the description to search for.
-   * @returns {Promise<Array<Requirement>>} - A list of requirements matching the description.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByMandatoryDescription (description) {
-    try {
-      const requirements =
-        await RequirementRepository.findByMandatoryDescription(description)
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirements by mandatory description'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements by a flexible full-text match in their complementary description.
-   * @param {string} description - The description or part of the description to search for.
-   * @returns {Promise<Array<Requirement>>} - A list of requirements matching the complementary description.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByComplementaryDescription (description) {
-    try {
-      const requirements =
-        await RequirementRepository.findByComplementaryDescription(description)
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirements by complementary description'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements by a flexible full-text match in their mandatory sentences.
-   * @param {string} sentence - The sentence or part of the sentence to search for.
-   * @returns {Promise<Array<Requirement>>} - A list of requirements matching the mandatory sentence.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByMandatorySentences (sentence) {
-    try {
-      const requirements = await RequirementRepository.findByMandatorySentences(
-        sentence
-      )
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirements by mandatory sentences'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements by a flexible full-text match in their complementary sentences.
-   * @param {string} sentence - The sentence or part of the sentence to search for.
-   * @returns {Promise<Array<Requirement>>} - A list of requirements matching the complementary sentence.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByComplementarySentences (sentence) {
-    try {
-      const requirements =
-        await RequirementRepository.findByComplementarySentences(sentence)
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirements by complementary sentences'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements by a flexible full-text match in their mandatory keywords.
-   * @param {string} keyword - The keyword or part of the keyword to search for.
-   * @returns {Promise<Array<Requirement>>} - A list of requirements matching the mandatory keyword.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByMandatoryKeywords (keyword) {
-    try {
-      const requirements = await RequirementRepository.findByMandatoryKeywords(
-        keyword
-      )
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirements by mandatory keywords'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements by a flexible full-text match in their complementary keywords.
-   * @param {string} keyword - The keyword or part of the keyword to search for.
-   * @returns {Promise<Array<Requirement>>} - A list of requirements matching the complementary keyword.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByComplementaryKeywords (keyword) {
-    try {
-      const requirements =
-        await RequirementRepository.findByComplementaryKeywords(keyword)
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirements by complementary keywords'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements filtered by a specific condition.
-   * @param {string} condition - The condition type ('Crítica', 'Operativa', 'Recomendación', 'Pendiente') to filter by.
-   * @returns {Promise<Array<Requirement>>} - A list of Requirement instances matching the condition.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByCondition (condition) {
-    try {
-      const requirements = await RequirementRepository.findByCondition(
-        condition
-      )
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirements by condition'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements filtered by a specific evidence type.
-   * @param {string} evidence - The evidence type ('Trámite', 'Registro', 'Específico', 'Documento') to filter by.
-   * @returns {Promise<Array<Requirement>>} - A list of Requirement instances matching the evidence type.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByEvidence (evidence) {
-    try {
-      const requirements = await RequirementRepository.findByEvidence(evidence)
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirements by evidence type'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements filtered by a specific periodicity.
-   * @param {string} periodicity - The periodicity ('Anual', '2 años', 'Por evento', 'Única vez') to filter by.
-   * @returns {Promise<Array<Requirement>>} - A list of Requirement instances matching the periodicity.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByPeriodicity (periodicity) {
-    try {
-      const requirements = await RequirementRepository.findByPeriodicity(
-        periodicity
-      )
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirements by periodicity'
-      )
-    }
-  }
-
-  /**
-   * Retrieves requirements filtered by a specific acceptance criteria.
-   * @param {string} acceptanceCriteria - The acceptance criteria text to filter by.
-   * @returns {Promise<Array<Requirement>>} - A list of Requirement instances matching the acceptance criteria.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByAcceptanceCriteria (acceptanceCriteria) {
-    try {
-      const requirements = await RequirementRepository.findByAcceptanceCriteria(
-        acceptanceCriteria
-      )
-      if (!requirements) {
-        return []
-      }
-      return this._formatRequirementsListWithSpecificValues(requirements)
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(
-        500,
-        'Failed to retrieve requirements by acceptance criteria'
-      )
-    }
-  }
-
-  /**
-   * Updates an existing requirement by its ID.
+   * Updates an existing requirement by its ID and queues the embedding of its descriptions.
    *
    * @param {number} requirementId - The ID of the requirement to update.
    * @param {Object} requirement - Parameters for updating a requirement.
@@ -631,6 +313,7 @@ class RequirementService {
         requirementId,
         parsedRequirement
       )
+      this._queueEmbeddings([requirementId])
       return RequirementService._formatRequirementWithSpecificValues(
         updatedRequirement
       )
@@ -783,6 +466,19 @@ class RequirementService {
       )
     }
   }
+
+  /**
+   * Queues the embedding of the descriptions of created or updated requirements without
+   * waiting for it. A failure to queue is logged and the requirements are embedded by their
+   * next update or the next embeddings backfill.
+   * @param {Array<number>} requirementIds - The IDs of the requirements.
+   * @returns {void}
+   */
+  static _queueEmbeddings (requirementIds) {
+    embeddingsQueue.add({ requirementIds }).catch((error) => {
+      console.error('Error queuing requirement embeddings:', error.message)
+    })
+  }
 }
 
 export default RequirementService
@@ -0,0 +1,207 @@
+import RoleRepository from '../../repositories/Role.repository.js'
+import UserSessionRepository from '../../repositories/UserSession.repository.js'
+import roleSchema from '../../schemas/role.schema.js'
+import HttpException from '../errors/HttpException.js'
+import { ADMIN_ROLE } from '../../config/variables.config.js'
+import { z } from 'zod'
+
+/** @typedef {import('../../models/Roles.model.js').default} Role */
+/** @typedef {import('../../models/Permission.model.js').default} Permission */
+
+/**
+ * Service class for managing roles and the permissions they grant.
+ * The Admin role always holds every permission and cannot be modified or deleted.
+ */
+class RolesService {
+  /**
+   * Retrieves a role with its permissions by ID.
+   * @param {number} id - The ID of the role.
+   * @returns {Promise<Role>} - The role.
+   * @throws {HttpException} - If the role is not found or retrieval fails.
+   */
+  static async getById (id) {
+    try {
+      const role = await RoleRepository.findById(id)
+      if (!role) {
+        throw new HttpException(404, 'Role not found')
+      }
+      return role
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to retrieve role')
+    }
+  }
+
+  /**
+   * Retrieves the catalog of permissions that can be granted to roles.
+   * @returns {Promise<Permission[]>} - The permissions.
+   * @throws {HttpException} - If retrieval fails.
+   */
+  static async getAllPermissions () {
+    try {
+      return await RoleRepository.findAllPermissions()
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to retrieve permissions')
+    }
+  }
+
+  /**
+   * Creates a new role.
+   * @param {Object} role - The role data.
+   * @param {string} role.name - The name of the role.
+   * @param {string} [role.description] - The description of the role.
+   * @param {string[]} role.permissions - The names of the permissions to grant.
+   * @returns {Promise<Role>} - The created role.
+   * @throws {HttpException} - If validation fails, the name is taken or creation fails.
+   */
+  static async create (role) {
+    try {
+      const parsedRole = roleSchema.parse(role)
+      const roleExists = await RoleRepository.existsByName(parsedRole.name)
+      if (roleExists) {
+        throw new HttpException(409, 'Role already exists')
+      }
+      await this._assertValidPermissions(parsedRole.permissions)
+      return await RoleRepository.create(parsedRole)
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to create role')
+    }
+  }
+
+  /**
+   * Updates a role and replaces its permissions.
+   * When the permissions change, the sessions of the users holding the role are revoked,
+   * so they sign in again with the new permissions.
+   * @param {number} id - The ID of the role.
+   * @param {Object} role - The role data.
+   * @param {string} role.name - The name of the role.
+   * @param {string} [role.description] - The description of the role.
+   * @param {string[]} role.permissions - The names of the permissions to grant.
+   * @returns {Promise<Role>} - The updated role.
+   * @throws {HttpException} - If validation fails, the role is protected or not found, or the update fails.
+   */
+  static async update (id, role) {
+    try {
+      const parsedRole = roleSchema.parse(role)
+      const existingRole = await RoleRepository.findById(id)
+      if (!existingRole) {
+        throw new HttpException(404, 'Role not found')
+      }
+      this._assertNotAdminRole(existingRole)
+      const roleExists = await RoleRepository.existsByName(
+        parsedRole.name,
+        existingRole.id
+      )
+      if (roleExists) {
+        throw new HttpException(409, 'Role already exists')
+      }
+      await this._assertValidPermissions(parsedRole.permissions)
+      const updatedRole = await RoleRepository.update(id, parsedRole)
+      if (!updatedRole) {
+        throw new HttpException(404, 'Role not found')
+      }
+      const previousPermissions = new Set(existingRole.permissions ?? [])
+      const permissionsChanged =
+        previousPermissions.size !== new Set(parsedRole.permissions).size ||
+        parsedRole.permissions.some(
+          (permission) => !previousPermissions.has(permission)
+        )
+      if (permissionsChanged) {
+        await UserSessionRepository.revokeByRoleId(updatedRole.id)
+      }
+      return updatedRole
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to update role')
+    }
+  }
+
+  /**
+   * Deletes a role that is not assigned to any user.
+   * @param {number} id - The ID of the role.
+   * @returns {Promise<{ success: boolean }>} - An object indicating the deletion was successful.
+   * @throws {HttpException} - If the role is protected, not found, in use, or the deletion fails.
+   */
+  static async delete (id) {
+    try {
+      const existingRole = await RoleRepository.findById(id)
+      if (!existingRole) {
+        throw new HttpException(404, 'Role not found')
+      }
+      this._assertNotAdminRole(existingRole)
+      const usersCount = await RoleRepository.countUsers(id)
+      if (usersCount > 0) {
+        throw new HttpException(
+          409,
+          'The Role is assigned to one or more users'
+        )
+      }
+      const roleDeleted = await RoleRepository.delete(id)
+      if (!roleDeleted) {
+        throw new HttpException(404, 'Role not found')
+      }
+      return { success: true }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to delete role')
+    }
+  }
+
+  /**
+   * Throws if the role is the built-in Admin role.
+   * @param {Role} role - The role to check.
+   * @throws {HttpException} - If the role is the Admin role.
+   */
+  static _assertNotAdminRole (role) {
+    if (Number(role.id) === Number(ADMIN_ROLE)) {
+      throw new HttpException(409, 'The Admin role cannot be modified')
+    }
+  }
+
+  /**
+   * Throws if any of the permission names is not part of the catalog.
+   * @param {string[]} permissions - The permission names to check.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If any permission is unknown.
+   */
+  static async _assertValidPermissions (permissions) {
+    const catalog = await RoleRepository.findAllPermissions()
+    const catalogNames = catalog.map(({ name }) => name)
+    const invalidPermissions = permissions.filter(
+      (permission) => !catalogNames.includes(permission)
+    )
+    if (invalidPermissions.length > 0) {
+      throw new HttpException(400, 'Invalid permissions', {
+        invalidPermissions
+      })
+    }
+  }
+}
+
+export default RolesService
@@ -0,0 +1,221 @@
+import SearchRepository from '../../repositories/Search.repository.js'
+import SubjectsRepository from '../../repositories/Subject.repository.js'
+import AspectsRepository from '../../repositories/Aspects.repository.js'
+import HttpException from '../errors/HttpException.js'
+import searchQuerySchema, { SEARCH_TYPES } from '../../schemas/search.schema.js'
+import {
+  extractSearchTerms,
+  toBooleanQuery,
+  buildSnippet,
+  hasMatch
+} from '../../utils/searchText.js'
+import { z } from 'zod'
+
+/** @typedef {import('../../repositories/Search.repository.js').SearchType} SearchType */
+/** @typedef {import('../../repositories/Search.repository.js').SearchHit} SearchHit */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {SearchType} type - The type of the record.
+ * @property {number} id - The ID of the record.
+ * @property {string} title - The title of the record.
+ * @property {string} highlightedTitle - The HTML-escaped title with the matched words wrapped in <mark>.
+ * @property {string} snippet - An HTML-escaped excerpt of the best matching text, with the matched words wrapped in <mark>.
+ * @property {number} score - The relevance, from 0 to 1, relative to the best match of the same type.
+ * @property {{ id: number, name: string }} [legalBasis] - The legal basis of an article.
+ */
+
+/**
+ * @typedef {Object} FacetValue
+ * @property {string} value - The facet value.
+ * @property {number} count - The number of results with the value.
+ */
+
+/**
+ * @typedef {Object} SearchFacets
+ * @property {Array<{ id: number, name: string, count: number }>} subjects - Results per subject.
+ * @property {Array<{ id: number, name: string, subjectId: number, count: number }>} aspects - Results per aspect.
+ * @property {FacetValue[]} jurisdictions - Results per legal basis jurisdiction.
+ * @property {FacetValue[]} states - Results per legal basis state.
+ * @property {FacetValue[]} classifications - Results per legal basis classification.
+ */
+
+/**
+ * Permission required to see the results of each type.
+ * @type {Object<SearchType, string>}
+ */
+const SEARCH_TYPE_PERMISSIONS = {
+  legalBasis: 'legalBasis:read',
+  article: 'articles:read',
+  requirement: 'requirements:read',
+  legalVerb: 'legalVerbs:read',
+  requirementType: 'requirementTypes:read'
+}
+
+/**
+ * Largest number of hits taken from each type. Facets and totals are computed over these hits.
+ */
+const MAX_HITS_PER_TYPE = 500
+
+/**
+ * Service class for the global search across the legal corpus.
+ */
+class SearchService {
+  /**
+   * Searches legal bases, articles, requirements, legal verbs and requirement types at once.
+   * MySQL relevance is not comparable between tables, so each type's scores are divided by its
+   * best score before merging; ties keep the order of SEARCH_TYPES.
+   * Matching ignores accents and case, and results are limited to the types the user can read.
+   * @param {Object} query - The search query.
+   * @param {string} query.q - The text to search.
+   * @param {string} [query.types] - Comma-separated types to search; all by default.
+   * @param {number} [query.subjectId] - Only results of this subject.
+   * @param {string} [query.aspectIds] - Only results with any of these comma-separated aspects.
+   * @param {string} [query.jurisdiction] - Only results whose legal basis has this jurisdiction.
+   * @param {string} [query.state] - Only results whose legal basis belongs to this state.
+   * @param {string} [query.classification] - Only results whose legal basis has this classification.
+   * @param {number} [query.page] - The page number.
+   * @param {number} [query.pageSize] - The page size.
+   * @param {string[]} permissions - The permissions of the user.
+   * @returns {Promise<{ results: SearchResult[], facets: SearchFacets, pagination: Object }>} - The page of results, the facets of all results and the pagination details.
+   * @throws {HttpException} - If the query is invalid or an error occurs during the search.
+   */
+  static async search (query, permissions) {
+    try {
+      const { q, types, filters, page, pageSize } = searchQuerySchema.parse(query)
+      const terms = extractSearchTerms(q)
+      const booleanQuery = toBooleanQuery(terms)
+      const readableTypes = types.filter((type) =>
+        permissions.includes(SEARCH_TYPE_PERMISSIONS[type])
+      )
+      const hitsByType = await Promise.all(
+        readableTypes.map((type) =>
+          SearchRepository.findHits(type, booleanQuery, filters, MAX_HITS_PER_TYPE)
+        )
+      )
+      const hits = hitsByType
+        .flatMap((typeHits) => {
+          const bestScore = typeHits[0]?.score || 1
+          return typeHits.map((hit) => ({ ...hit, score: hit.score / bestScore }))
+        })
+        .sort(
+          (a, b) =>
+            b.score - a.score ||
+            SEARCH_TYPES.indexOf(a.type) - SEARCH_TYPES.indexOf(b.type) ||
+            a.id - b.id
+        )
+      const pageHits = hits.slice((page - 1) * pageSize, page * pageSize)
+      const [results, facets] = await Promise.all([
+        this._buildResults(pageHits, terms),
+        this._buildFacets(hits)
+      ])
+      return {
+        results,
+        facets,
+        pagination: {
+          page,
+          pageSize,
+          total: hits.length,
+          totalPages: Math.ceil(hits.length / pageSize)
+        }
+      }
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to search')
+    }
+  }
+
+  /**
+   * Loads the titles and texts of a page of hits and builds their highlighted results.
+   * @param {SearchHit[]} hits - The hits of the page, in order.
+   * @param {string[]} terms - The search terms.
+   * @returns {Promise<SearchResult[]>} - The results, in the order of the hits.
+   */
+  static async _buildResults (hits, terms) {
+    const documentsByType = Object.fromEntries(
+      await Promise.all(
+        SEARCH_TYPES.map(async (type) => {
+          const ids = hits.filter((hit) => hit.type === type).map(({ id }) => id)
+          const documents = await SearchRepository.findDocuments(type, ids)
+          return [type, new Map(documents.map((document) => [document.id, document]))]
+        })
+      )
+    )
+    return hits
+      .filter(({ type, id }) => documentsByType[type].has(id))
+      .map(({ type, id, score }) => {
+        const { title, texts, legalBasis } = documentsByType[type].get(id)
+        const snippetText =
+          texts.find((text) => hasMatch(text, terms)) ?? texts.find(Boolean)
+        return {
+          type,
+          id,
+          title,
+          highlightedTitle: buildSnippet(title, terms, Infinity),
+          snippet: buildSnippet(snippetText, terms),
+          score: Number(score.toFixed(4)),
+          ...(legalBasis && { legalBasis })
+        }
+      })
+  }
+
+  /**
+   * Counts the hits per subject, aspect, jurisdiction, state and classification.
+   * Values are sorted by count, most frequent first.
+   * @param {SearchHit[]} hits - All the hits.
+   * @returns {Promise<SearchFacets>} - The facets.
+   */
+  static async _buildFacets (hits) {
+    const countBy = (getValues) => {
+      const counts = new Map()
+      for (const hit of hits) {
+        for (const value of getValues(hit)) {
+          if (value == null || value === '') continue
+          counts.set(value, (counts.get(value) || 0) + 1)
+        }
+      }
+      return [...counts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+    }
+    const subjectCounts = countBy((hit) => [hit.subjectId])
+    const aspectCounts = countBy((hit) => hit.aspectIds)
+    const [subjects, aspects] = await Promise.all([
+      SubjectsRepository.findByIds(subjectCounts.map(({ value }) => value)),
+      AspectsRepository.findByIds(aspectCounts.map(({ value }) => value))
+    ])
+    const subjectsById = new Map(subjects.map((subject) => [subject.id, subject]))
+    const aspectsById = new Map(aspects.map((aspect) => [aspect.id, aspect]))
+    return {
+      subjects: subjectCounts
+        .filter(({ value }) => subjectsById.has(value))
+        .map(({ value, count }) => ({
+          id: value,
+          name: subjectsById.get(value).subject_name,
+          count
+        })),
+      aspects: aspectCounts
+        .filter(({ value }) => aspectsById.has(value))
+        .map(({ value, count }) => ({
+          id: value,
+          name: aspectsById.get(value).aspect_name,
+          subjectId: aspectsById.get(value).subject_id,
+          count
+        })),
+      jurisdictions: countBy((hit) => [hit.jurisdiction]),
+      states: countBy((hit) => [hit.state]),
+      classifications: countBy((hit) => [hit.classification])
+    }
+  }
+}
+
+export default SearchService
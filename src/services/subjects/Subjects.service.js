@@ -1,6 +1,6 @@
 import SubjectsRepository from '../../repositories/Subject.repository.js'
 import HttpException from '../errors/HttpException.js'
-import subjectSchema from '../../schemas/subject.schema.js'
+import subjectSchema, { subjectListQuerySchema } from '../../schemas/subject.schema.js'
 import { z } from 'zod'
 
 /**
@@ -46,18 +46,28 @@ class SubjectsService {
   }
 
   /**
-   * Fetches all subjects.
-   * @returns {Promise<Array<Subject>>} - List of all subjects.
-   * @throws {HttpException} - If an error occurs during retrieval.
+   * Fetches a page of subjects.
+   * @param {Object} [query] - The list query.
+   * @param {number} [query.page] - The page number.
+   * @param {number} [query.pageSize] - The page size.
+   * @param {string} [query.cursor] - The cursor of the page, instead of a page number.
+   * @param {string} [query.sort] - The sort fields, e.g. '-orderIndex,name'.
+   * @param {string} [query.name] - A partial name of the subject.
+   * @returns {Promise<import('../../utils/pagination.js').Page<Subject>>} - The page of subjects.
+   * @throws {HttpException} - If the query is invalid or an error occurs during retrieval.
    */
-  static async getAll () {
+  static async getAll (query = {}) {
     try {
-      const subjects = await SubjectsRepository.findAll()
-      if (!subjects) {
-        return []
-      }
-      return subjects
+      const { filters, listOptions } = subjectListQuerySchema.parse(query)
+      return await SubjectsRepository.findMany(filters, listOptions)
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
@@ -86,27 +96,6 @@ class SubjectsService {
     }
   }
 
-  /**
-   * Fetches subjects by name.
-   * @param {string} subjectName - The name of the subject to retrieve.
-   * @returns {Promise<Array<Subject>>} - The subject data.
-   * @throws {HttpException} - If an error occurs during retrieval.
-   */
-  static async getByName (subjectName) {
-    try {
-      const subjects = await SubjectsRepository.findByName(subjectName)
-      if (!subjects) {
-        return []
-      }
-      return subjects
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(500, 'Failed to fetch subject')
-    }
-  }
-
   /**
  * Updates a subject by ID.
  * @param {number} id - The ID of the subject to update.
@@ -1,23 +1,42 @@
 import axios from 'axios'
+import crypto from 'crypto'
 import UserRepository from '../../repositories/User.repository.js'
+import RoleRepository from '../../repositories/Role.repository.js'
+import UserSessionRepository from '../../repositories/UserSession.repository.js'
+import UserSessionsService from './userSessions/UserSessions.service.js'
+import TwoFactorService from './twoFactor/TwoFactor.service.js'
 import bcrypt from 'bcrypt'
-import userSchema from '../../schemas/user.schema.js'
+import userSchema, {
+  passwordSchema,
+  userListQuerySchema
+} from '../../schemas/user.schema.js'
 import loginSchema from '../../schemas/login.schema.js'
 import { generatePassword } from '../../utils/generatePassword.js'
 import { z } from 'zod'
 import HttpException from '../errors/HttpException.js'
 import emailQueue from '../../workers/emailWorker.js'
-import jwt from 'jsonwebtoken'
 import {
-  JWT_SECRET,
-  JWT_EXPIRATION,
-  MICROSOFT_GRAPH_API
+  MICROSOFT_GRAPH_API,
+  PASSWORD_RESET_CODE_EXPIRATION_MINUTES,
+  PASSWORD_RESET_TOKEN_EXPIRATION_MINUTES,
+  PASSWORD_RESET_MAX_ATTEMPTS,
+  PASSWORD_RESET_ACCOUNT_MAX_ATTEMPTS,
+  PASSWORD_RESET_ACCOUNT_LOCK_MINUTES
 } from '../../config/variables.config.js'
 import FileService from '../files/File.service.js'
 import generateVerificationCode from '../../utils/generateCode.js'
 import { addMinutes } from 'date-fns'
 import EmailService from '../email/Email.service.js'
 
+/**
+ * Password reset settings, used when the corresponding variables are not set.
+ */
+const DEFAULT_PASSWORD_RESET_CODE_EXPIRATION_MINUTES = 10
+const DEFAULT_PASSWORD_RESET_TOKEN_EXPIRATION_MINUTES = 15
+const DEFAULT_PASSWORD_RESET_MAX_ATTEMPTS = 5
+const DEFAULT_PASSWORD_RESET_ACCOUNT_MAX_ATTEMPTS = 10
+const DEFAULT_PASSWORD_RESET_ACCOUNT_LOCK_MINUTES = 60
+
 /**
  * Service class for handling User operations.
  * Provides methods for user registration, login, retrieval, update, and deletion.
@@ -43,6 +62,10 @@ class UserService {
       if (existingUser) {
         throw new HttpException(409, 'Gmail already exists')
       }
+      const role = await RoleRepository.findById(parsedUser.roleId)
+      if (!role) {
+        throw new HttpException(404, 'Role not found')
+      }
       const userPassword = generatePassword()
       const salt = await bcrypt.genSalt()
       const hashedPassword = await bcrypt.hash(userPassword, salt)
@@ -95,15 +118,18 @@ class UserService {
   }
 
   /**
-   * Logs in a user by verifying credentials.
+   * Logs in a user by verifying credentials and opens a new session.
+   * Users enrolled in two-factor authentication, and admins that must enroll, receive a
+   * challenge instead of a session.
    * @param {Object} loginData - User's login data.
    * @param {string} loginData.gmail - User's Gmail.
    * @param {string} loginData.password - User's password.
-   * @returns {Promise<string>} - JWT token.
+   * @param {import('./userSessions/UserSessions.service.js').ClientInfo} [clientInfo] - Information about the client.
+   * @returns {Promise<import('./userSessions/UserSessions.service.js').SessionTokens|import('./twoFactor/TwoFactor.service.js').TwoFactorChallenge>} - Access and refresh tokens, or the two-factor challenge.
    * @throws {HttpException} - If validation fails or credentials are invalid.
    */
 
-  static async loginUser (loginData) {
+  static async loginUser (loginData, clientInfo) {
     try {
       const parsedLoginData = loginSchema.parse(loginData)
       const { gmail, password } = parsedLoginData
@@ -115,16 +141,11 @@ class UserService {
       if (!correctPassword) {
         throw new HttpException(401, 'Invalid email or password')
       }
-      const userForToken = {
-        id: user.id,
-        gmail: user.gmail,
-        username: user.name,
-        userType: user.roleId
+      const twoFactorChallenge = await TwoFactorService.getLoginChallenge(user)
+      if (twoFactorChallenge) {
+        return twoFactorChallenge
       }
-      const token = jwt.sign({ userForToken }, JWT_SECRET, {
-        expiresIn: JWT_EXPIRATION
-      })
-      return token
+      return await UserSessionsService.createSession(user, clientInfo)
     } catch (error) {
       if (error instanceof z.ZodError) {
         throw new HttpException(401, 'Invalid email or password')
@@ -162,30 +183,20 @@ class UserService {
   }
 
   /**
-   * Logs in a user using Microsoft OAuth.
+   * Logs in a user using Microsoft OAuth and opens a new session.
    * @param {string} accessToken - Microsoft access token.
-   * @returns {Promise<string>} - JWT token.
+   * @param {import('./userSessions/UserSessions.service.js').ClientInfo} [clientInfo] - Information about the client.
+   * @returns {Promise<import('./userSessions/UserSessions.service.js').SessionTokens>} - Access and refresh tokens.
    * @throws {HttpException} - If login fails or user does not exist.
    */
-  static async microsoftLogin (accessToken) {
+  static async microsoftLogin (accessToken, clientInfo) {
     try {
       const userEmail = await this.getUserDataFromMicrosoft(accessToken)
       const user = await UserRepository.existsByGmail(userEmail)
       if (!user) {
         throw new HttpException(401, 'Invalid email')
       }
-      const userForToken = {
-        id: user.id,
-        gmail: user.gmail,
-        username: user.name,
-        userType: user.roleId
-      }
-
-      const token = jwt.sign({ userForToken }, JWT_SECRET, {
-        expiresIn: JWT_EXPIRATION
-      })
-
-      return token
+      return await UserSessionsService.createSession(user, clientInfo)
     } catch (error) {
       if (error instanceof HttpException) {
         throw error
@@ -195,16 +206,24 @@ class UserService {
   }
 
   /**
-   * Retrieves all users from the database.
-   * @returns {Promise<Array<User>>} - Array of user objects.
-   * @throws {HttpException} - If retrieval fails.
+   * Retrieves a page of users.
+   * @param {Object} [query] - The list query.
+   * @param {number} [query.page] - The page number.
+   * @param {number} [query.pageSize] - The page size.
+   * @param {string} [query.cursor] - The cursor of the page, instead of a page number.
+   * @param {string} [query.sort] - The sort fields, e.g. 'name,-id'.
+   * @param {string} [query.search] - A partial name or gmail of the user.
+   * @param {number} [query.roleId] - The role ID of the user.
+   * @returns {Promise<import('../../utils/pagination.js').Page<User>>} - The page of users, without passwords.
+   * @throws {HttpException} - If the query is invalid or retrieval fails.
    */
-  static async getAllUsers () {
+  static async getAllUsers (query = {}) {
     try {
-      const users = await UserRepository.findAll()
-      if (!users) {
-        return []
-      }
+      const { filters, listOptions } = userListQuerySchema.parse(query)
+      const { items: users, pagination } = await UserRepository.findMany(
+        filters,
+        listOptions
+      )
       const userList = await Promise.all(
         users.map(async (user) => {
           let profilePictureUrl = null
@@ -218,8 +237,15 @@ class UserService {
           }
         })
       )
-      return userList
+      return { items: userList, pagination }
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
@@ -228,13 +254,13 @@ class UserService {
   }
 
   /**
-   * Retrieves all roles from the database.
+   * Retrieves all roles with their permissions from the database.
    * @returns {Promise<Array<Role>>} - Array of role objects.
    * @throws {HttpException} - If retrieval fails.
    */
   static async getAllRoles () {
     try {
-      const roles = await UserRepository.findAllRoles()
+      const roles = await RoleRepository.findAll()
       if (!roles) {
         return []
       }
@@ -277,84 +303,26 @@ class UserService {
     }
   }
 
-  /**
-   * Retrieves users by their role ID.
-   * @param {number} roleId - Role ID to filter users by.
-   * @returns {Promise<Array<User>>} - Array of user objects.
-   * @throws {HttpException} - If retrieval fails.
-   */
-  static async getUsersByRole (roleId) {
-    try {
-      const users = await UserRepository.findByRole(roleId)
-      if (!users) {
-        return []
-      }
-      const userList = await Promise.all(
-        users.map(async (user) => {
-          let profilePictureUrl = null
-          if (user.profile_picture) {
-            profilePictureUrl = await FileService.getFile(user.profile_picture)
-          }
-          const { password, ..._user } = user
-          return {
-            ..._user,
-            profile_picture: profilePictureUrl
-          }
-        })
-      )
-      return userList
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(500, 'Failed to retrieve users by role')
-    }
-  }
-
-  /**
-   * Retrieves users by name or gmail.
-   * @param {string} [nameOrEmail] - The name or email of the user to search for.
-   * @returns {Promise<Array<User>>} - Array of user objects matching the criteria.
-   * @throws {HttpException} - If retrieval fails.
-   */
-  static async getUsersByNameOrGmail (nameOrEmail) {
-    try {
-      const users = await UserRepository.findByNameOrGmail(nameOrEmail)
-      if (!users) {
-        return []
-      }
-      const userList = await Promise.all(
-        users.map(async (user) => {
-          let profilePictureUrl = null
-          if (user.profile_picture) {
-            profilePictureUrl = await FileService.getFile(user.profile_picture)
-          }
-          const { password, ..._user } = user
-          return {
-            ..._user,
-            profile_picture: profilePictureUrl
-          }
-        })
-      )
-      return userList
-    } catch (error) {
-      if (error instanceof HttpException) {
-        throw error
-      }
-      throw new HttpException(500, 'Failed to retrieve users by name or gmail')
-    }
-  }
-
   /**
    * Updates a user's information by ID.
+   * Changing the role revokes every open session of the user, so sessions opened under the
+   * previous role (and its two-factor requirement) end and the user logs in again.
    * @param {number} userId - User's ID.
    * @param {Object} userData - Fields to update, expects { name, gmail, roleId, profilePicture, removePicture }.
    * @param {Express.Multer.File} profilePicture - New profile picture file (optional).
    * @param {number} currentUserId - ID of the currently logged-in user.
-   * @returns {Promise<User>} - Updated user data and a new token if applicable.
+   * @param {string} currentSessionId - ID of the session of the currently logged-in user.
+   * @returns {Promise<User>} - Updated user data, and a new token if the current user updated
+   * themselves without changing their role.
    * @throws {HttpException} - If update fails, user not found, or validation errors occur.
    */
-  static async updateUser (userId, userData, profilePicture, currentUserId) {
+  static async updateUser (
+    userId,
+    userData,
+    profilePicture,
+    currentUserId,
+    currentSessionId
+  ) {
     try {
       const parsedUser = userSchema.parse({
         ...userData,
@@ -371,6 +339,10 @@ class UserService {
       if (!currentUser) {
         throw new HttpException(404, 'User not found')
       }
+      const role = await RoleRepository.findById(parsedUser.roleId)
+      if (!role) {
+        throw new HttpException(404, 'Role not found')
+      }
       if (parsedUser.removePicture && profilePicture) {
         throw new HttpException(
           400,
@@ -408,18 +380,17 @@ class UserService {
           updatedUser.profile_picture
         )
       }
+      const roleChanged = Number(currentUser.roleId) !== Number(updatedUser.roleId)
+      if (roleChanged) {
+        await UserSessionRepository.revokeByUserId(updatedUser.id)
+      }
       const { password, ..._user } = updatedUser
       let token = null
-      if (Number(userId) === Number(currentUserId)) {
-        const userForToken = {
-          id: updatedUser.id,
-          gmail: updatedUser.gmail,
-          username: updatedUser.name,
-          userType: updatedUser.roleId
-        }
-        token = jwt.sign({ userForToken }, JWT_SECRET, {
-          expiresIn: JWT_EXPIRATION
-        })
+      if (Number(userId) === Number(currentUserId) && !roleChanged) {
+        token = UserSessionsService.signAccessToken(
+          updatedUser,
+          currentSessionId
+        )
       }
       return {
         updatedUser: {
@@ -540,19 +511,33 @@ class UserService {
   }
 
   /**
-   * Checks if a user is authorized as an admin.
+   * Retrieves the names of the permissions granted to a user through their role.
    * @param {number} userId - User's ID.
-   * @returns {Promise<boolean>} - True if the user is authorized.
-   * @throws {HttpException} - If check fails.
+   * @returns {Promise<string[]>} - The permission names, empty if the user does not exist.
+   * @throws {HttpException} - If retrieval fails.
    */
-
-  static async isAuthorized (userId) {
+  static async getPermissions (userId) {
     try {
-      const user = await UserRepository.findById(userId)
-      if (!user) {
-        return false
+      return await RoleRepository.findPermissionsByUserId(userId)
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
       }
-      return user.roleId === 1
+      throw new HttpException(500, 'Failed to retrieve user permissions')
+    }
+  }
+
+  /**
+   * Checks if a user's role grants a permission.
+   * @param {number} userId - User's ID.
+   * @param {string} permission - The permission name (e.g. 'legalBasis:write').
+   * @returns {Promise<boolean>} - True if the user holds the permission.
+   * @throws {HttpException} - If check fails.
+   */
+  static async hasPermission (userId, permission) {
+    try {
+      const permissions = await RoleRepository.findPermissionsByUserId(userId)
+      return permissions.includes(permission)
     } catch (error) {
       if (error instanceof HttpException) {
         throw error
@@ -584,24 +569,27 @@ class UserService {
 
   /**
    * Checks if a user can access another user's data.
+   * Users can always access their own data; other users require the given permission.
    * @param {number} requestingUserId - ID of the requesting user.
    * @param {number} targetUserId - ID of the target user.
+   * @param {string} [permission='users:read'] - Permission required to access other users.
    * @returns {Promise<boolean>} - True if the user can access the target user's data.
    * @throws {HttpException} - If check fails.
    */
-  static async canAccessUser (requestingUserId, targetUserId) {
+  static async canAccessUser (
+    requestingUserId,
+    targetUserId,
+    permission = 'users:read'
+  ) {
     try {
       const requestingUser = await UserRepository.findById(requestingUserId)
       if (!requestingUser) {
         return false
       }
-      if (
-        requestingUser.roleId === 1 ||
-        requestingUserId === parseInt(targetUserId, 10)
-      ) {
+      if (requestingUserId === parseInt(targetUserId, 10)) {
         return true
       }
-      return false
+      return await this.hasPermission(requestingUserId, permission)
     } catch (error) {
       if (error instanceof HttpException) {
         throw error
@@ -612,16 +600,30 @@ class UserService {
 
   /**
    * Requests a password reset by generating a verification code.
+   * Any code previously requested for the same Gmail stops being valid. No code is sent
+   * while the Gmail is locked by too many verifications (see verifyPasswordResetCode).
    * @param {string} gmail - User's Gmail.
    * @returns {Promise<void>}
-   * @throws {HttpException} - If code generation or email sending fails.
+   * @throws {HttpException} - If the Gmail is locked, or code generation or email sending fails.
    */
   static async requestPasswordReset (gmail) {
     try {
+      const { maxAttempts, lockMinutes } = this._passwordResetAccountLimits()
+      const accountAttempts = await UserRepository.countPasswordResetAttempts(
+        gmail,
+        lockMinutes
+      )
+      if (accountAttempts >= maxAttempts) {
+        throw new HttpException(429, 'Too many failed attempts, try again later')
+      }
       const verificationCode = generateVerificationCode()
+      const expirationMinutes =
+        Number(PASSWORD_RESET_CODE_EXPIRATION_MINUTES) ||
+        DEFAULT_PASSWORD_RESET_CODE_EXPIRATION_MINUTES
 
-      const expiresAt = addMinutes(new Date(), 1)
+      const expiresAt = addMinutes(new Date(), expirationMinutes)
 
+      await UserRepository.invalidateVerificationCodes(gmail)
       await UserRepository.saveVerificationCode({
         gmail,
         code: verificationCode,
@@ -630,7 +632,8 @@ class UserService {
 
       const emailData = EmailService.generatePasswordResetEmail(
         gmail,
-        verificationCode
+        verificationCode,
+        expirationMinutes
       )
 
       await emailQueue.add(emailData)
@@ -643,52 +646,180 @@ class UserService {
   }
 
   /**
-   * Verifies the password reset code and generates a new password.
+   * Verifies the password reset code and exchanges it for a single-use reset token.
+   * Every verification counts against the code before it is compared, so the
+   * code is locked once the maximum number of attempts is reached, even under
+   * parallel requests. It also counts against the Gmail over a time window that
+   * requesting a new code does not reset, so the Gmail is locked once too many
+   * verifications fail across its codes.
    * @param {string} gmail - User's Gmail.
    * @param {string} code - Verification code.
-   * @returns {Promise<boolean>} - True if verification is successful.
-   * @throws {HttpException} - If verification or password update fails.
+   * @returns {Promise<{ resetToken: string, expiresAt: Date }|null>} - The reset token, or null if the code is invalid or expired.
+   * @throws {HttpException} - If the code is locked or verification fails.
    */
   static async verifyPasswordResetCode (gmail, code) {
     try {
-      const verification = await UserRepository.getVerificationCode(
+      const verification =
+        await UserRepository.findPendingVerificationCode(gmail)
+      if (!verification) {
+        return null
+      }
+      const accountLimits = this._passwordResetAccountLimits()
+      const accountAttempts = await UserRepository.claimPasswordResetAttempt(
         gmail,
-        code
+        accountLimits.lockMinutes
       )
-      if (!verification) {
-        return false
+      if (accountAttempts > accountLimits.maxAttempts) {
+        throw new HttpException(429, 'Too many failed attempts, try again later')
+      }
+      const maxAttempts =
+        Number(PASSWORD_RESET_MAX_ATTEMPTS) ||
+        DEFAULT_PASSWORD_RESET_MAX_ATTEMPTS
+      const attemptClaimed = await UserRepository.claimVerificationAttempt(
+        verification.id,
+        maxAttempts
+      )
+      if (!attemptClaimed) {
+        throw new HttpException(
+          429,
+          'Too many failed attempts, request a new code'
+        )
+      }
+      if (new Date() > new Date(verification.expiresAt)) {
+        return null
+      }
+      if (!this._codesMatch(verification.code, String(code))) {
+        if (verification.attempts + 1 >= maxAttempts) {
+          throw new HttpException(
+            429,
+            'Too many failed attempts, request a new code'
+          )
+        }
+        return null
+      }
+      const resetToken = crypto.randomBytes(32).toString('base64url')
+      const expiresAt = addMinutes(
+        new Date(),
+        Number(PASSWORD_RESET_TOKEN_EXPIRATION_MINUTES) ||
+          DEFAULT_PASSWORD_RESET_TOKEN_EXPIRATION_MINUTES
+      )
+      const tokenSaved = await UserRepository.saveResetToken(
+        verification.id,
+        this._hashResetToken(resetToken),
+        expiresAt
+      )
+      if (!tokenSaved) {
+        return null
+      }
+      await UserRepository.deletePasswordResetAttempts(gmail)
+      return { resetToken, expiresAt }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
       }
-      const { expiresAt } = verification
-      const currentTime = new Date()
+      throw new HttpException(500, 'Failed verifying verification code')
+    }
+  }
 
-      if (currentTime > expiresAt) {
-        return false
+  /**
+   * Sets a new password using a reset token. The token can only be used once,
+   * and every open session of the user is revoked.
+   * @param {string} resetToken - The reset token obtained by verifying the code.
+   * @param {string} password - The new password.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If validation fails, the token is invalid or expired, or the update fails.
+   */
+  static async confirmPasswordReset (resetToken, password) {
+    try {
+      const parsedData = z.object({ password: passwordSchema }).parse({
+        password
+      })
+      const verification = await UserRepository.findByResetTokenHash(
+        this._hashResetToken(resetToken)
+      )
+      if (
+        !verification ||
+        verification.usedAt ||
+        new Date() > new Date(verification.resetTokenExpiresAt)
+      ) {
+        throw new HttpException(400, 'Invalid or expired reset token')
+      }
+      const user = await UserRepository.existsByGmail(verification.gmail)
+      if (!user) {
+        throw new HttpException(400, 'Invalid or expired reset token')
+      }
+      const tokenUsed = await UserRepository.markVerificationCodeAsUsed(
+        verification.id
+      )
+      if (!tokenUsed) {
+        throw new HttpException(400, 'Invalid or expired reset token')
       }
-      const password = generatePassword()
       const salt = await bcrypt.genSalt()
-      const hashedPassword = await bcrypt.hash(password, salt)
-
+      const hashedPassword = await bcrypt.hash(parsedData.password, salt)
       const userUpdated = await UserRepository.updateUserPassword(
-        gmail,
+        user.gmail,
         hashedPassword
       )
-
       if (!userUpdated) {
         throw new HttpException(500, 'Failed to update user password')
       }
-      const emailData = EmailService.generatePasswordResetEmailSend(
-        gmail,
-        password
-      )
+      await UserSessionRepository.revokeByUserId(user.id)
+      const emailData = EmailService.generatePasswordChangedEmail(user.gmail)
       await emailQueue.add(emailData)
-      return true
     } catch (error) {
+      if (error instanceof z.ZodError) {
+        const validationErrors = error.errors.map((e) => ({
+          field: e.path[0],
+          message: e.message
+        }))
+        throw new HttpException(400, 'Validation failed', validationErrors)
+      }
       if (error instanceof HttpException) {
         throw error
       }
-      throw new HttpException(500, 'Failed verifying verification code')
+      throw new HttpException(500, 'Failed to reset password')
+    }
+  }
+
+  /**
+   * Reads the limits of the password reset verifications of a Gmail address.
+   * @returns {{ maxAttempts: number, lockMinutes: number }} - The verifications allowed in a
+   * window, and the length of the window in minutes.
+   */
+  static _passwordResetAccountLimits () {
+    return {
+      maxAttempts:
+        Number(PASSWORD_RESET_ACCOUNT_MAX_ATTEMPTS) ||
+        DEFAULT_PASSWORD_RESET_ACCOUNT_MAX_ATTEMPTS,
+      lockMinutes:
+        Number(PASSWORD_RESET_ACCOUNT_LOCK_MINUTES) ||
+        DEFAULT_PASSWORD_RESET_ACCOUNT_LOCK_MINUTES
     }
   }
+
+  /**
+   * Compares a verification code in constant time.
+   * @param {string} expected - The stored code.
+   * @param {string} received - The code sent by the user.
+   * @returns {boolean} - True if the codes are equal.
+   */
+  static _codesMatch (expected, received) {
+    const expectedBuffer = Buffer.from(expected)
+    const receivedBuffer = Buffer.from(received)
+    return (
+      expectedBuffer.length === receivedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+    )
+  }
+
+  /**
+   * Hashes a reset token for storage.
+   * @param {string} resetToken - The reset token.
+   * @returns {string} - The SHA-256 hex digest.
+   */
+  static _hashResetToken (resetToken) {
+    return crypto.createHash('sha256').update(resetToken).digest('hex')
+  }
 }
 
 export default UserService
@@ -0,0 +1,472 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import UserTwoFactorRepository from '../../../repositories/UserTwoFactor.repository.js'
+import UserRepository from '../../../repositories/User.repository.js'
+import RoleRepository from '../../../repositories/Role.repository.js'
+import UserSessionsService from '../userSessions/UserSessions.service.js'
+import HttpException from '../../errors/HttpException.js'
+import {
+  generateTotpSecret,
+  findTotpCounter,
+  buildOtpauthUrl
+} from '../../../utils/totp.js'
+import { JWT_SECRET } from '../../../config/variables.config.js'
+
+/**
+ * @typedef {Object} TwoFactorChallenge
+ * @property {boolean} [twoFactorRequired] - True if the user must provide a TOTP or recovery code.
+ * @property {boolean} [twoFactorSetupRequired] - True if the user must enroll before logging in.
+ * @property {string} twoFactorToken - Short-lived token that identifies the pending login.
+ */
+
+/**
+ * Issuer shown by authenticator apps.
+ */
+const TOTP_ISSUER = 'Legal Eye'
+
+/**
+ * Lifetime in seconds of the token that links the password step of a login with the two-factor step.
+ */
+const TWO_FACTOR_TOKEN_EXPIRATION = 300
+
+/**
+ * Number of codes that can be submitted with each two-factor login token.
+ */
+const TWO_FACTOR_MAX_ATTEMPTS = 5
+
+/**
+ * Permissions that make two-factor authentication mandatory for the roles that hold any of them.
+ */
+const PRIVILEGED_PERMISSIONS = [
+  'users:write',
+  'users:delete',
+  'roles:manage',
+  'audit:read'
+]
+
+/**
+ * Number of recovery codes issued on enrollment.
+ */
+const RECOVERY_CODES_COUNT = 10
+
+/**
+ * Service class for handling TOTP two-factor authentication.
+ * Enrollment is opt-in, except for users whose role holds a privileged permission, who cannot
+ * log in with a password until they enroll. Each TOTP code is accepted once.
+ * Microsoft logins are not subject to two-factor authentication.
+ */
+class TwoFactorService {
+  /**
+   * Retrieves the two-factor status of a user.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<{ enabled: boolean, required: boolean, recoveryCodesRemaining: number }>} - The status.
+   * @throws {HttpException} - If the user is not found or retrieval fails.
+   */
+  static async getStatus (userId) {
+    try {
+      const user = await this._getUser(userId)
+      const settings = await UserTwoFactorRepository.findByUserId(user.id)
+      const enabled = !!settings?.enabledAt
+      const recoveryCodesRemaining = enabled
+        ? await UserTwoFactorRepository.countUnusedRecoveryCodes(user.id)
+        : 0
+      return {
+        enabled,
+        required: await this.isRequired(user),
+        recoveryCodesRemaining
+      }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to retrieve two-factor status')
+    }
+  }
+
+  /**
+   * Starts the enrollment of a user by generating a new pending secret.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<{ secret: string, otpauthUrl: string }>} - The secret and the URI to enroll it in an authenticator app.
+   * @throws {HttpException} - If the user is not found, is already enrolled or the setup fails.
+   */
+  static async setup (userId) {
+    try {
+      const user = await this._getUser(userId)
+      const settings = await UserTwoFactorRepository.findByUserId(user.id)
+      if (settings?.enabledAt) {
+        throw new HttpException(
+          409,
+          'Two-factor authentication is already enabled'
+        )
+      }
+      const secret = generateTotpSecret()
+      await UserTwoFactorRepository.savePendingSecret(user.id, secret)
+      return {
+        secret,
+        otpauthUrl: buildOtpauthUrl(secret, user.gmail, TOTP_ISSUER)
+      }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to set up two-factor authentication')
+    }
+  }
+
+  /**
+   * Completes the enrollment of a user by verifying a code of the pending secret.
+   * @param {number} userId - The ID of the user.
+   * @param {string} code - A TOTP code generated by the authenticator app.
+   * @returns {Promise<{ recoveryCodes: string[] }>} - The recovery codes, only returned once.
+   * @throws {HttpException} - If the setup was not started, the code is invalid or enabling fails.
+   */
+  static async enable (userId, code) {
+    try {
+      const user = await this._getUser(userId)
+      const settings = await UserTwoFactorRepository.findByUserId(user.id)
+      if (!settings) {
+        throw new HttpException(
+          409,
+          'Two-factor authentication setup has not been started'
+        )
+      }
+      if (settings.enabledAt) {
+        throw new HttpException(
+          409,
+          'Two-factor authentication is already enabled'
+        )
+      }
+      const usedCounter = findTotpCounter(settings.secret, code)
+      if (usedCounter === null) {
+        throw new HttpException(400, 'Invalid two-factor code')
+      }
+      const recoveryCodes = this._generateRecoveryCodes()
+      const enabled = await UserTwoFactorRepository.enable(
+        user.id,
+        usedCounter,
+        recoveryCodes.map((recoveryCode) => this._hashRecoveryCode(recoveryCode))
+      )
+      if (!enabled) {
+        throw new HttpException(
+          409,
+          'Two-factor authentication is already enabled'
+        )
+      }
+      return { recoveryCodes }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to enable two-factor authentication')
+    }
+  }
+
+  /**
+   * Disables two-factor authentication for a user.
+   * @param {number} userId - The ID of the user.
+   * @param {string} code - A TOTP code or an unused recovery code.
+   * @returns {Promise<{ success: boolean }>} - An object indicating two-factor authentication was disabled.
+   * @throws {HttpException} - If two-factor authentication is mandatory or not enabled, the code is invalid or disabling fails.
+   */
+  static async disable (userId, code) {
+    try {
+      const user = await this._getUser(userId)
+      if (await this.isRequired(user)) {
+        throw new HttpException(
+          409,
+          'Two-factor authentication is mandatory for your role'
+        )
+      }
+      await this._assertValidCode(user.id, code)
+      await UserTwoFactorRepository.disable(user.id)
+      return { success: true }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(
+        500,
+        'Failed to disable two-factor authentication'
+      )
+    }
+  }
+
+  /**
+   * Replaces the recovery codes of a user.
+   * @param {number} userId - The ID of the user.
+   * @param {string} code - A TOTP code.
+   * @returns {Promise<{ recoveryCodes: string[] }>} - The new recovery codes, only returned once.
+   * @throws {HttpException} - If two-factor authentication is not enabled, the code is invalid or the update fails.
+   */
+  static async regenerateRecoveryCodes (userId, code) {
+    try {
+      const user = await this._getUser(userId)
+      const settings = await this._getEnabledSettings(user.id)
+      if (!(await this._useTotpCode(user.id, settings.secret, code))) {
+        throw new HttpException(400, 'Invalid two-factor code')
+      }
+      const recoveryCodes = this._generateRecoveryCodes()
+      await UserTwoFactorRepository.replaceRecoveryCodes(
+        user.id,
+        recoveryCodes.map((recoveryCode) => this._hashRecoveryCode(recoveryCode))
+      )
+      return { recoveryCodes }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to regenerate recovery codes')
+    }
+  }
+
+  /**
+   * Determines whether a user must complete a second step after a valid password.
+   * @param {import('../../../models/User.model.js').default} user - The user logging in.
+   * @returns {Promise<TwoFactorChallenge|null>} - The challenge, or null if the user can log in directly.
+   * @throws {HttpException} - If retrieval fails.
+   */
+  static async getLoginChallenge (user) {
+    try {
+      const settings = await UserTwoFactorRepository.findByUserId(user.id)
+      if (settings?.enabledAt) {
+        const tokenId = crypto.randomBytes(16).toString('hex')
+        await UserTwoFactorRepository.createLoginAttempts(
+          tokenId,
+          user.id,
+          TWO_FACTOR_TOKEN_EXPIRATION
+        )
+        return {
+          twoFactorRequired: true,
+          twoFactorToken: this._signTwoFactorToken(user.id, 'login', tokenId)
+        }
+      }
+      if (await this.isRequired(user)) {
+        return {
+          twoFactorSetupRequired: true,
+          twoFactorToken: this._signTwoFactorToken(user.id, 'setup')
+        }
+      }
+      return null
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to check two-factor authentication')
+    }
+  }
+
+  /**
+   * Completes a login that requires a second step.
+   * Each token accepts a limited number of codes and is discarded once the login succeeds.
+   * @param {string} twoFactorToken - The token returned by the password step.
+   * @param {string} code - A TOTP code or an unused recovery code.
+   * @param {import('../userSessions/UserSessions.service.js').ClientInfo} [clientInfo] - Information about the client.
+   * @returns {Promise<import('../userSessions/UserSessions.service.js').SessionTokens>} - Access and refresh tokens.
+   * @throws {HttpException} - If the token or code is invalid, the token ran out of attempts or was
+   * already used, or the login fails.
+   */
+  static async completeLogin (twoFactorToken, code, clientInfo) {
+    try {
+      const { userId, tokenId } = this._verifyTwoFactorToken(
+        twoFactorToken,
+        'login'
+      )
+      const attemptClaimed = await UserTwoFactorRepository.claimLoginAttempt(
+        tokenId,
+        TWO_FACTOR_MAX_ATTEMPTS
+      )
+      if (!attemptClaimed) {
+        throw new HttpException(
+          429,
+          'Too many failed attempts, log in again'
+        )
+      }
+      const user = await this._getUser(userId)
+      await this._assertValidCode(user.id, code)
+      await UserTwoFactorRepository.deleteLoginAttempts(tokenId)
+      return await UserSessionsService.createSession(user, clientInfo)
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to complete login')
+    }
+  }
+
+  /**
+   * Starts the mandatory enrollment of a user that cannot log in without it.
+   * @param {string} twoFactorToken - The token returned by the password step.
+   * @returns {Promise<{ secret: string, otpauthUrl: string }>} - The secret and the URI to enroll it in an authenticator app.
+   * @throws {HttpException} - If the token is invalid or the setup fails.
+   */
+  static async setupForLogin (twoFactorToken) {
+    const { userId } = this._verifyTwoFactorToken(twoFactorToken, 'setup')
+    return await this.setup(userId)
+  }
+
+  /**
+   * Completes the mandatory enrollment of a user and logs them in.
+   * @param {string} twoFactorToken - The token returned by the password step.
+   * @param {string} code - A TOTP code generated by the authenticator app.
+   * @param {import('../userSessions/UserSessions.service.js').ClientInfo} [clientInfo] - Information about the client.
+   * @returns {Promise<{ recoveryCodes: string[], token: string, refreshToken: string }>} - The recovery codes and session tokens.
+   * @throws {HttpException} - If the token or code is invalid, or the login fails.
+   */
+  static async enableForLogin (twoFactorToken, code, clientInfo) {
+    try {
+      const { userId } = this._verifyTwoFactorToken(twoFactorToken, 'setup')
+      const { recoveryCodes } = await this.enable(userId, code)
+      const user = await this._getUser(userId)
+      const tokens = await UserSessionsService.createSession(user, clientInfo)
+      return { recoveryCodes, ...tokens }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to complete login')
+    }
+  }
+
+  /**
+   * Checks if two-factor authentication is mandatory for a user.
+   * @param {import('../../../models/User.model.js').default} user - The user.
+   * @returns {Promise<boolean>} - True if the role of the user holds a privileged permission.
+   */
+  static async isRequired (user) {
+    const permissions = await RoleRepository.findPermissionsByUserId(user.id)
+    return permissions.some((permission) =>
+      PRIVILEGED_PERMISSIONS.includes(permission)
+    )
+  }
+
+  /**
+   * Retrieves a user or throws.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<import('../../../models/User.model.js').default>} - The user.
+   * @throws {HttpException} - If the user is not found.
+   */
+  static async _getUser (userId) {
+    const user = await UserRepository.findById(userId)
+    if (!user) {
+      throw new HttpException(404, 'User not found')
+    }
+    return user
+  }
+
+  /**
+   * Retrieves the two-factor settings of a user, requiring them to be enabled.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<{ userId: number, secret: string, enabledAt: Date }>} - The settings.
+   * @throws {HttpException} - If two-factor authentication is not enabled.
+   */
+  static async _getEnabledSettings (userId) {
+    const settings = await UserTwoFactorRepository.findByUserId(userId)
+    if (!settings?.enabledAt) {
+      throw new HttpException(409, 'Two-factor authentication is not enabled')
+    }
+    return settings
+  }
+
+  /**
+   * Verifies a TOTP code, or consumes a recovery code when the TOTP code does not match.
+   * @param {number} userId - The ID of the user.
+   * @param {string} code - A TOTP code or an unused recovery code.
+   * @returns {Promise<void>}
+   * @throws {HttpException} - If two-factor authentication is not enabled or the code is invalid.
+   */
+  static async _assertValidCode (userId, code) {
+    const settings = await this._getEnabledSettings(userId)
+    if (!code) {
+      throw new HttpException(400, 'Invalid two-factor code')
+    }
+    if (await this._useTotpCode(userId, settings.secret, code)) {
+      return
+    }
+    const recoveryCodeUsed = await UserTwoFactorRepository.useRecoveryCode(
+      userId,
+      this._hashRecoveryCode(code)
+    )
+    if (!recoveryCodeUsed) {
+      throw new HttpException(400, 'Invalid two-factor code')
+    }
+  }
+
+  /**
+   * Verifies a TOTP code and records its time step, so the code cannot be used again.
+   * @param {number} userId - The ID of the user.
+   * @param {string} secret - The base32 encoded secret of the user.
+   * @param {string} code - The TOTP code.
+   * @returns {Promise<boolean>} - True if the code is valid and was not used before.
+   */
+  static async _useTotpCode (userId, secret, code) {
+    const counter = findTotpCounter(secret, code)
+    if (counter === null) {
+      return false
+    }
+    return await UserTwoFactorRepository.useCounter(userId, counter)
+  }
+
+  /**
+   * Signs the token that links the password step of a login with the two-factor step.
+   * It carries no session, so it is rejected as an access token.
+   * @param {number} userId - The ID of the user.
+   * @param {'login'|'setup'} purpose - The step the token allows.
+   * @param {string} [tokenId] - The ID under which the attempts of a login token are counted.
+   * @returns {string} - The token.
+   */
+  static _signTwoFactorToken (userId, purpose, tokenId) {
+    return jwt.sign({ twoFactor: { userId, purpose, tokenId } }, JWT_SECRET, {
+      expiresIn: TWO_FACTOR_TOKEN_EXPIRATION
+    })
+  }
+
+  /**
+   * Verifies a two-factor token.
+   * @param {string} twoFactorToken - The token.
+   * @param {'login'|'setup'} purpose - The step the token must allow.
+   * @returns {{ userId: number, tokenId?: string }} - The ID of the user and, for login tokens, the ID of the token.
+   * @throws {HttpException} - If the token is invalid, expired or issued for another step.
+   */
+  static _verifyTwoFactorToken (twoFactorToken, purpose) {
+    let decodedToken
+    try {
+      decodedToken = jwt.verify(twoFactorToken, JWT_SECRET)
+    } catch (error) {
+      throw new HttpException(401, 'Invalid or expired two-factor token')
+    }
+    if (
+      !decodedToken?.twoFactor?.userId ||
+      decodedToken.twoFactor.purpose !== purpose ||
+      (purpose === 'login' && !decodedToken.twoFactor.tokenId)
+    ) {
+      throw new HttpException(401, 'Invalid or expired two-factor token')
+    }
+    const { userId, tokenId } = decodedToken.twoFactor
+    return { userId, tokenId }
+  }
+
+  /**
+   * Generates a set of random recovery codes.
+   * @returns {string[]} - The recovery codes, formatted as xxxxx-xxxxx.
+   */
+  static _generateRecoveryCodes () {
+    return Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+      const value = crypto.randomBytes(5).toString('hex')
+      return `${value.slice(0, 5)}-${value.slice(5)}`
+    })
+  }
+
+  /**
+   * Hashes a recovery code for storage, ignoring case, spaces and dashes.
+   * @param {string} recoveryCode - The recovery code.
+   * @returns {string} - The SHA-256 hex digest.
+   */
+  static _hashRecoveryCode (recoveryCode) {
+    const normalizedCode = String(recoveryCode)
+      .toLowerCase()
+      .replace(/[\s-]/g, '')
+    return crypto.createHash('sha256').update(normalizedCode).digest('hex')
+  }
+}
+
+export default TwoFactorService
@@ -0,0 +1,224 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { addDays } from 'date-fns'
+import UserSessionRepository from '../../../repositories/UserSession.repository.js'
+import UserRepository from '../../../repositories/User.repository.js'
+import HttpException from '../../errors/HttpException.js'
+import {
+  JWT_SECRET,
+  JWT_EXPIRATION,
+  REFRESH_TOKEN_EXPIRATION_DAYS
+} from '../../../config/variables.config.js'
+
+/**
+ * @typedef {Object} SessionTokens
+ * @property {string} token - The short-lived access token (JWT).
+ * @property {string} refreshToken - The opaque refresh token used to obtain new access tokens.
+ */
+
+/**
+ * @typedef {Object} ClientInfo
+ * @property {string|null} [ipAddress] - The IP address of the client.
+ * @property {string|null} [userAgent] - The user agent of the client.
+ */
+
+/**
+ * Default refresh token lifetime, used when REFRESH_TOKEN_EXPIRATION_DAYS is not set.
+ */
+const DEFAULT_REFRESH_TOKEN_EXPIRATION_DAYS = 7
+
+/**
+ * Service class for handling login sessions.
+ * Access tokens are short-lived JWTs that carry the session ID, and refresh tokens are
+ * opaque values stored as hashes and rotated on every use.
+ */
+class UserSessionsService {
+  /**
+   * Opens a new session for a user.
+   * @param {import('../../../models/User.model.js').default} user - The user logging in.
+   * @param {ClientInfo} [clientInfo={}] - Information about the client.
+   * @returns {Promise<SessionTokens>} - The access and refresh tokens.
+   * @throws {HttpException} - If the session cannot be created.
+   */
+  static async createSession (user, clientInfo = {}) {
+    try {
+      const sessionId = crypto.randomUUID()
+      const refreshToken = this._generateRefreshToken()
+      await UserSessionRepository.create({
+        id: sessionId,
+        userId: user.id,
+        refreshTokenHash: this._hash(refreshToken),
+        expiresAt: this._refreshTokenExpiration(),
+        ipAddress: clientInfo.ipAddress,
+        userAgent: clientInfo.userAgent
+      })
+      return {
+        token: this.signAccessToken(user, sessionId),
+        refreshToken
+      }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to create session')
+    }
+  }
+
+  /**
+   * Exchanges a refresh token for a new access token and a new refresh token.
+   * The presented refresh token stops being valid.
+   * @param {string} refreshToken - The refresh token.
+   * @returns {Promise<SessionTokens>} - The new access and refresh tokens.
+   * @throws {HttpException} - If the refresh token is invalid, expired or revoked.
+   */
+  static async refresh (refreshToken) {
+    try {
+      const refreshTokenHash = this._hash(refreshToken)
+      const session =
+        await UserSessionRepository.findByRefreshTokenHash(refreshTokenHash)
+      if (
+        !session ||
+        session.revokedAt ||
+        new Date(session.expiresAt) <= new Date()
+      ) {
+        throw new HttpException(401, 'Invalid refresh token')
+      }
+      const user = await UserRepository.findById(session.userId)
+      if (!user) {
+        throw new HttpException(401, 'Invalid refresh token')
+      }
+      const newRefreshToken = this._generateRefreshToken()
+      const rotated = await UserSessionRepository.rotateRefreshToken(
+        session.id,
+        refreshTokenHash,
+        this._hash(newRefreshToken),
+        this._refreshTokenExpiration()
+      )
+      if (!rotated) {
+        throw new HttpException(401, 'Invalid refresh token')
+      }
+      return {
+        token: this.signAccessToken(user, session.id),
+        refreshToken: newRefreshToken
+      }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to refresh session')
+    }
+  }
+
+  /**
+   * Revokes a single session.
+   * @param {string} sessionId - The ID of the session.
+   * @returns {Promise<{ success: boolean }>} - An object indicating the session was revoked.
+   * @throws {HttpException} - If the revocation fails.
+   */
+  static async revokeSession (sessionId) {
+    try {
+      await UserSessionRepository.revoke(sessionId)
+      return { success: true }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to revoke session')
+    }
+  }
+
+  /**
+   * Revokes every active session of a user.
+   * @param {number} userId - The ID of the user.
+   * @returns {Promise<{ revokedSessions: number }>} - The number of revoked sessions.
+   * @throws {HttpException} - If the user is not found or the revocation fails.
+   */
+  static async revokeUserSessions (userId) {
+    try {
+      const user = await UserRepository.findById(userId)
+      if (!user) {
+        throw new HttpException(404, 'User not found')
+      }
+      const revokedSessions = await UserSessionRepository.revokeByUserId(
+        user.id
+      )
+      return { revokedSessions }
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to revoke user sessions')
+    }
+  }
+
+  /**
+   * Checks if a session is active and belongs to the given user.
+   * @param {string} sessionId - The ID of the session.
+   * @param {number} userId - The ID of the user carried by the access token.
+   * @returns {Promise<boolean>} - True if the session can be used.
+   * @throws {HttpException} - If the check fails.
+   */
+  static async isSessionActive (sessionId, userId) {
+    try {
+      const session = await UserSessionRepository.findById(sessionId)
+      return (
+        !!session &&
+        !session.revokedAt &&
+        Number(session.userId) === Number(userId)
+      )
+    } catch (error) {
+      if (error instanceof HttpException) {
+        throw error
+      }
+      throw new HttpException(500, 'Failed to check session')
+    }
+  }
+
+  /**
+   * Signs an access token for a session.
+   * @param {import('../../../models/User.model.js').default} user - The session user.
+   * @param {string} sessionId - The ID of the session.
+   * @returns {string} - The access token.
+   */
+  static signAccessToken (user, sessionId) {
+    const userForToken = {
+      id: user.id,
+      gmail: user.gmail,
+      username: user.name,
+      userType: user.roleId
+    }
+    return jwt.sign({ userForToken, sessionId }, JWT_SECRET, {
+      expiresIn: JWT_EXPIRATION
+    })
+  }
+
+  /**
+   * Generates a random refresh token.
+   * @returns {string} - The refresh token.
+   */
+  static _generateRefreshToken () {
+    return crypto.randomBytes(48).toString('base64url')
+  }
+
+  /**
+   * Hashes a refresh token for storage.
+   * @param {string} refreshToken - The refresh token.
+   * @returns {string} - The SHA-256 hex digest.
+   */
+  static _hash (refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex')
+  }
+
+  /**
+   * Computes the expiration date of a new refresh token.
+   * @returns {Date} - The expiration date.
+   */
+  static _refreshTokenExpiration () {
+    const days =
+      Number(REFRESH_TOKEN_EXPIRATION_DAYS) ||
+      DEFAULT_REFRESH_TOKEN_EXPIRATION_DAYS
+    return addDays(new Date(), days)
+  }
+}
+
+export default UserSessionsService
@@ -0,0 +1,51 @@
+/* eslint-disable no-undef */
+import ArticleSubunitParser from '../../services/articles/articleExtraction/ArticleSubunitParser.js'
+
+describe('ArticleSubunitParser', () => {
+  test('Should split an article into paragraphs, fractions and incisos with their citations', () => {
+    const article = [
+      'Artículo 28.- La evaluación del impacto ambiental es el procedimiento a través del cual',
+      'la Secretaría establece las condiciones. Quienes pretendan llevar a cabo alguna de las',
+      'siguientes obras requerirán previamente la autorización:',
+      'I.- Obras hidráulicas;',
+      'II.- Industria del petróleo:',
+      'a) Refinación, y',
+      'b) Petroquímica;',
+      'II Bis.- Plantas de gas natural, y',
+      'III.- Exploración y beneficio de minerales.',
+      'El Reglamento de la presente Ley determinará las obras.'
+    ].join('\n')
+
+    const subunits = ArticleSubunitParser.parse(article)
+    expect(subunits.map(({ kind, citation, parentIndex }) => [kind, citation, parentIndex])).toEqual([
+      ['paragraph', 'párrafo primero', null],
+      ['fraction', 'fracción I', null],
+      ['fraction', 'fracción II', null],
+      ['inciso', 'fracción II, inciso a)', 2],
+      ['inciso', 'fracción II, inciso b)', 2],
+      ['fraction', 'fracción II Bis', null],
+      ['fraction', 'fracción III', null],
+      ['paragraph', 'párrafo segundo', null]
+    ])
+    expect(subunits[0].content).toBe(
+      'La evaluación del impacto ambiental es el procedimiento a través del cual la Secretaría establece las condiciones. Quienes pretendan llevar a cabo alguna de las siguientes obras requerirán previamente la autorización:'
+    )
+    expect(subunits.map(({ order }) => order)).toEqual([1, 2, 3, 4, 5, 6, 7, 8])
+  })
+
+  test('Should split paragraphs on blank lines and read markers out of sequence as text', () => {
+    const article = 'ARTÍCULO 5.- Texto del primer\npárrafo.\n\nSegundo párrafo.\n\nc) Texto que no es inciso.'
+
+    const subunits = ArticleSubunitParser.parse(article)
+    expect(subunits.map(({ citation, content }) => [citation, content])).toEqual([
+      ['párrafo primero', 'Texto del primer párrafo.'],
+      ['párrafo segundo', 'Segundo párrafo.'],
+      ['párrafo tercero', 'c) Texto que no es inciso.']
+    ])
+  })
+
+  test('Should not split an article of a single paragraph', () => {
+    expect(ArticleSubunitParser.parse('Artículo 1.- La presente ley es de orden público.')).toEqual([])
+    expect(ArticleSubunitParser.parse(null)).toEqual([])
+  })
+})
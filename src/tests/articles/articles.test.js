@@ -1,5 +1,5 @@
 /* eslint-disable no-undef */
-import { api } from '../../config/test.config.js'
+import { api, loginAsAdmin, waitForEmbeddings } from '../../config/test.config.js'
 import UserRepository from '../../repositories/User.repository.js'
 import SubjectsRepository from '../../repositories/Subject.repository.js'
 import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
@@ -10,11 +10,9 @@ import generateLegalBasisData from '../../utils/generateLegalBasisData.js'
 import generateArticleData from '../../utils/generateArticleData.js'
 import ReqIdentifyService from '../../services/reqIdentification/reqIdentify/ReqIdentify.service.js'
 import SendLegalBasisService from '../../services/legalBasis/sendLegalBasis/SendLegalBasis.service.js'
+import ArticlesService from '../../services/articles/Articles.service.js'
 
-import {
-  ADMIN_PASSWORD_TEST,
-  ADMIN_GMAIL
-} from '../../config/variables.config.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
 
 const subjectName = 'Seguridad & Higiene'
 const aspectsToCreate = ['Organizacional', 'Técnico', 'Legal']
@@ -32,16 +30,7 @@ beforeAll(async () => {
   await AspectsRepository.deleteAll()
   await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
 
-  const response = await api
-    .post('/api/user/login')
-    .send({
-      gmail: ADMIN_GMAIL,
-      password: ADMIN_PASSWORD_TEST
-    })
-    .expect(200)
-    .expect('Content-Type', /application\/json/)
-
-  tokenAdmin = response.body.token
+  tokenAdmin = await loginAsAdmin()
   const subjectResponse = await api
     .post('/api/subjects')
     .set('Authorization', `Bearer ${tokenAdmin}`)
@@ -227,10 +216,10 @@ describe('Get articles by Legal Basis Id', () => {
     expect(response.body.error).toMatch(/token missing or invalid/i)
   })
 })
-describe('Filter articles by name', () => {
+describe('GET /articles/legalBasis/:legalBasisId?name=', () => {
   test('Should return an empty list if no articles match the name for the given legal basis', async () => {
     const response = await api
-      .get(`/api/articles/${createdLegalBasisId}/name`)
+      .get(`/api/articles/legalBasis/${createdLegalBasisId}`)
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ name: 'NonExistentName' })
       .expect(200)
@@ -251,7 +240,7 @@ describe('Filter articles by name', () => {
       .expect('Content-Type', /application\/json/)
 
     const response = await api
-      .get(`/api/articles/${createdLegalBasisId}/name`)
+      .get(`/api/articles/legalBasis/${createdLegalBasisId}`)
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ name: 'UniqueArticleName' })
       .expect(200)
@@ -260,6 +249,7 @@ describe('Filter articles by name', () => {
     const { articles } = response.body
     expect(articles).toBeInstanceOf(Array)
     expect(articles.length).toBe(1)
+    expect(response.body.pagination).toMatchObject({ page: 1, total: 1 })
 
     const retrievedArticle = articles[0]
     expect(retrievedArticle).toMatchObject({
@@ -271,7 +261,7 @@ describe('Filter articles by name', () => {
 
   test('Should return 401 if the user is unauthorized', async () => {
     const response = await api
-      .get(`/api/articles/${createdLegalBasisId}/name`)
+      .get(`/api/articles/legalBasis/${createdLegalBasisId}`)
       .query({ name: 'UniqueArticleName' })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -280,7 +270,7 @@ describe('Filter articles by name', () => {
   })
 })
 
-describe('Filter articles by description', () => {
+describe('GET /articles/legalBasis/:legalBasisId?description=', () => {
   test('Should return a list of articles matching the description for the given legal basis', async () => {
     const articleData = generateArticleData({
       article: 'UniqueArticleDescription'
@@ -294,7 +284,7 @@ describe('Filter articles by description', () => {
       .expect('Content-Type', /application\/json/)
 
     const response = await api
-      .get(`/api/articles/${createdLegalBasisId}/description`)
+      .get(`/api/articles/legalBasis/${createdLegalBasisId}`)
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ description: 'UniqueArticleDescription' })
       .expect(200)
@@ -314,7 +304,7 @@ describe('Filter articles by description', () => {
 
   test('Should return 401 if the user is unauthorized', async () => {
     const response = await api
-      .get(`/api/articles/${createdLegalBasisId}/description`)
+      .get(`/api/articles/legalBasis/${createdLegalBasisId}`)
       .query({ description: 'UniqueArticleDescription' })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -323,6 +313,209 @@ describe('Filter articles by description', () => {
   })
 })
 
+describe('GET /articles/legalBasis/:legalBasisId/table-of-contents', () => {
+  test('Should return the articles nested under their titles and chapters', async () => {
+    await ArticlesService.createMany(null, createdLegalBasisId, [
+      { title: 'TÍTULO PRIMERO', article: 'TÍTULO PRIMERO', order: 1, sectionKind: 'title' },
+      { title: 'CAPÍTULO I', article: 'CAPÍTULO I', order: 2, sectionKind: 'chapter', parentIndex: 0 },
+      { title: 'Artículo 1', article: 'Texto.', order: 3, sectionKind: 'article', parentIndex: 1 },
+      { title: 'TRANSITORIOS', article: 'Único.', order: 4, sectionKind: 'transitory' }
+    ])
+
+    const response = await api
+      .get(`/api/articles/legalBasis/${createdLegalBasisId}/table-of-contents`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    const { tableOfContents } = response.body
+    expect(tableOfContents.map(({ name, kind }) => [name, kind])).toEqual([
+      ['TÍTULO PRIMERO', 'title'],
+      ['TRANSITORIOS', 'transitory']
+    ])
+    const [chapter] = tableOfContents[0].children
+    expect(chapter).toMatchObject({ name: 'CAPÍTULO I', kind: 'chapter' })
+    expect(chapter.children).toEqual([
+      expect.objectContaining({ name: 'Artículo 1', kind: 'article', order: 3, children: [] })
+    ])
+  })
+
+  test('Should return 400 when the parent belongs to another legal basis', async () => {
+    const otherLegalBasis = await api
+      .post('/api/legalBasis')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send(generateLegalBasisData({
+        legalName: 'Otra Ley',
+        abbreviation: 'OL',
+        subjectId: String(createdSubjectId),
+        aspectsIds: JSON.stringify(createdAspectIds)
+      }))
+      .expect(201)
+    const { body: { article: otherTitle } } = await api
+      .post(`/api/articles/legalBasis/${otherLegalBasis.body.legalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ title: 'TÍTULO PRIMERO', article: 'TÍTULO PRIMERO', order: 1, sectionKind: 'title' })
+      .expect(201)
+
+    const response = await api
+      .post(`/api/articles/legalBasis/${createdLegalBasisId}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ ...generateArticleData(), sectionKind: 'article', parentId: otherTitle.id })
+      .expect(400)
+      .expect('Content-Type', /application\/json/)
+
+    expect(response.body.errors).toEqual([
+      { field: 'parentId', message: 'The parent article must belong to the same legal basis' }
+    ])
+  })
+
+  test('Should return 404 when the legal basis does not exist', async () => {
+    await api
+      .get('/api/articles/legalBasis/-1/table-of-contents')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(404)
+      .expect('Content-Type', /application\/json/)
+  })
+})
+
+describe('GET /article/:id/subunits', () => {
+  test('Should return the fractions and incisos parsed from the article', async () => {
+    const { body: { article } } = await api
+      .post(`/api/articles/legalBasis/${createdLegalBasisId}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({
+        title: 'Artículo 28',
+        article: '<p>Artículo 28.- Requieren autorización:</p><p>I.- Obras hidráulicas;</p><p>II.- Industria del petróleo:</p><p>a) Refinación.</p>',
+        order: 1
+      })
+      .expect(201)
+
+    const response = await api
+      .get(`/api/article/${article.id}/subunits`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(response.body.subunits.map(({ citation }) => citation)).toEqual([
+      'párrafo primero',
+      'fracción I',
+      'fracción II',
+      'fracción II, inciso a)'
+    ])
+  })
+
+  test('Should return 404 when the article does not exist', async () => {
+    await api
+      .get('/api/article/-1/subunits')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(404)
+      .expect('Content-Type', /application\/json/)
+  })
+})
+
+describe('GET /articles/semantic-search', () => {
+  test('Should rank the articles by similarity to the query', async () => {
+    for (const articleData of [
+      generateArticleData({ title: 'Artículo 1', article: 'El almacenamiento temporal de residuos peligrosos requiere autorización.', order: 1 }),
+      generateArticleData({ title: 'Artículo 2', article: 'Los niveles de ruido no deberán exceder los límites permitidos.', order: 2 })
+    ]) {
+      await api
+        .post(`/api/articles/legalBasis/${createdLegalBasisId}`)
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send(articleData)
+        .expect(201)
+    }
+    await waitForEmbeddings()
+
+    const response = await api
+      .get('/api/articles/semantic-search')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ q: 'almacenamiento de residuos peligrosos', subjectId: createdSubjectId })
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    const { articles, pagination } = response.body
+    expect(articles[0]).toMatchObject({ article_name: 'Artículo 1', legal_basis_id: createdLegalBasisId })
+    expect(articles[0].similarity).toBeGreaterThan(0)
+    articles.slice(1).forEach((article) => {
+      expect(article.similarity).toBeLessThanOrEqual(articles[0].similarity)
+    })
+    expect(pagination).toMatchObject({ page: 1, total: articles.length })
+  })
+
+  test('Should embed the articles created in bulk and re-embed updated articles', async () => {
+    await ArticlesService.createMany(null, createdLegalBasisId, [
+      { title: 'Artículo 1', article: '<p>Emisiones a la atmósfera</p>', plainArticle: 'Emisiones a la atmósfera', order: 1 }
+    ])
+    const [createdArticle] = await ArticlesRepository.findByLegalBasisId(createdLegalBasisId)
+    await waitForEmbeddings()
+
+    const bulkResponse = await api
+      .get('/api/articles/semantic-search')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ q: 'emisiones atmósfera' })
+      .expect(200)
+    expect(bulkResponse.body.articles.map(({ id }) => id)).toContain(createdArticle.id)
+
+    await api
+      .patch(`/api/article/${createdArticle.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ title: 'Artículo 1', article: 'Descarga de aguas residuales', order: 1 })
+      .expect(200)
+    await waitForEmbeddings()
+
+    const updatedResponse = await api
+      .get('/api/articles/semantic-search')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ q: 'descarga de aguas residuales' })
+      .expect(200)
+    expect(updatedResponse.body.articles[0].id).toBe(createdArticle.id)
+  })
+
+  test('Should embed the articles written without an embedding job when backfilled', async () => {
+    const storedArticle = await ArticlesRepository.create(createdLegalBasisId, {
+      title: 'Artículo 3',
+      article: 'Manejo de lodos y biosólidos',
+      plainArticle: 'Manejo de lodos y biosólidos',
+      order: 3
+    })
+
+    const response = await api
+      .post('/api/jobs/embeddings/backfill')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(201)
+      .expect('Content-Type', /application\/json/)
+    expect(response.body.jobId).toBeDefined()
+    await waitForEmbeddings()
+
+    const searchResponse = await api
+      .get('/api/articles/semantic-search')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ q: 'lodos y biosólidos' })
+      .expect(200)
+    expect(searchResponse.body.articles[0].id).toBe(storedArticle.id)
+  })
+
+  test('Should return 404 if the subject does not exist', async () => {
+    const response = await api
+      .get('/api/articles/semantic-search')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ q: 'residuos', subjectId: 999999 })
+      .expect(404)
+
+    expect(response.body.message).toBe('Subject not found')
+  })
+
+  test('Should return 400 if the query is missing', async () => {
+    const response = await api
+      .get('/api/articles/semantic-search')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(400)
+
+    expect(response.body.errors).toEqual([expect.objectContaining({ field: 'q' })])
+  })
+})
+
 describe('Get an article by its ID', () => {
   let createdArticleId
 
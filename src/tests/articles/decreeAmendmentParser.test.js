@@ -0,0 +1,96 @@
+/* eslint-disable no-undef */
+import DecreeAmendmentParser from '../../services/articles/articleExtraction/DecreeAmendmentParser.js'
+import DecreeArticleExtractor from '../../services/articles/articleExtraction/DecreeArticleExtractor.js'
+import ArticleExtractorFactory from '../../services/articles/articleExtraction/ArticleExtractorFactory.js'
+
+describe('DecreeAmendmentParser', () => {
+  test('Should read the target and the reformed, added and repealed articles of a decree', () => {
+    const decree = [
+      'DECRETO por el que se reforman los artículos 5 y 12 y se adiciona el 12 Bis de la Ley General para la Prevención y Gestión Integral de los Residuos.',
+      '',
+      'DECRETA:',
+      '',
+      'Artículo Único.- Se reforman los artículos 5 y 12, se adiciona el 12 Bis y se derogan el artículo 9 y la fracción III del artículo 7 de la Ley General para la Prevención y Gestión Integral de los Residuos, para quedar como sigue:',
+      '',
+      'Artículo 5.- Para los efectos de esta Ley se entiende por:',
+      'I. a III. ...',
+      'IV. Residuo: Material o producto que se desecha.',
+      '',
+      'Artículo 7.- ...',
+      'III. Se deroga.',
+      '',
+      'Artículo 9.- Se deroga.',
+      '',
+      'Artículo 12.- La Secretaría publicará el inventario de residuos.',
+      '',
+      'Artículo 12 Bis.- Los municipios podrán celebrar convenios de coordinación.',
+      '',
+      'TRANSITORIOS',
+      'Primero.- El presente Decreto entrará en vigor al día siguiente de su publicación.'
+    ].join('\n')
+
+    const amendments = DecreeAmendmentParser.parse(decree)
+    expect(amendments.map(({ action, articleName, order }) => [action, articleName, order])).toEqual([
+      ['reform', 'Artículo 5', 1],
+      ['reform', 'Artículo 12', 2],
+      ['addition', 'Artículo 12 Bis', 3],
+      ['repeal', 'Artículo 9', 4],
+      ['reform', 'Artículo 7', 5]
+    ])
+    expect(new Set(amendments.map(({ targetName }) => targetName))).toEqual(
+      new Set(['Ley General para la Prevención y Gestión Integral de los Residuos'])
+    )
+    expect(amendments[0].content).toBe(
+      'Artículo 5.- Para los efectos de esta Ley se entiende por:\nI. a III. ...\nIV. Residuo: Material o producto que se desecha.'
+    )
+    expect(amendments[2].content).toBe(
+      'Artículo 12 Bis.- Los municipios podrán celebrar convenios de coordinación.'
+    )
+  })
+
+  test('Should read decrees amending several legal bases and parts of articles', () => {
+    const decree = [
+      'Artículo Primero.- Se adiciona un párrafo segundo al artículo 8 del Reglamento de la Ley de Aguas Nacionales, para quedar como sigue:',
+      'Artículo 8.- Las concesiones se otorgarán por la Comisión.',
+      'Las prórrogas se solicitarán con un año de anticipación.',
+      'ARTÍCULO SEGUNDO.- Se adicionan los artículos 3, párrafo tercero, y 4 Ter de la Ley de Aguas Nacionales, para quedar como sigue:',
+      'Artículo 3.- Para los efectos de esta Ley se entenderá por:',
+      'Artículo 4 Ter.- La Comisión integrará el registro.',
+      'Transitorios',
+      'Único.- El presente Decreto entrará en vigor al día siguiente.'
+    ].join('\n')
+
+    const amendments = DecreeAmendmentParser.parse(decree)
+    expect(amendments.map(({ targetName, action, articleName }) => [targetName, action, articleName])).toEqual([
+      ['Reglamento de la Ley de Aguas Nacionales', 'reform', 'Artículo 8'],
+      ['Ley de Aguas Nacionales', 'reform', 'Artículo 3'],
+      ['Ley de Aguas Nacionales', 'addition', 'Artículo 4 Ter']
+    ])
+    expect(amendments[0].content).toBe(
+      'Artículo 8.- Las concesiones se otorgarán por la Comisión.\nLas prórrogas se solicitarán con un año de anticipación.'
+    )
+  })
+
+  test('Should tell partial excerpts of an article from its full text', () => {
+    expect(DecreeAmendmentParser.isPartial('Artículo 5.- Para los efectos de esta Ley se entiende por:\nI. a III. ...\nIV. Residuo.')).toBe(true)
+    expect(DecreeAmendmentParser.isPartial('<p>Artículo 7.- …</p><p>III. Se deroga.</p>')).toBe(true)
+    expect(DecreeAmendmentParser.isPartial('<p>Artículo 7.- . . .</p>')).toBe(true)
+    expect(DecreeAmendmentParser.isPartial('<p>Artículo 12.- La Secretaría publicará el inventario. Lo anterior, sin perjuicio de la Ley.</p>')).toBe(false)
+    expect(DecreeAmendmentParser.isPartial(null)).toBe(false)
+  })
+
+  test('Should match article names however they are written', () => {
+    expect(DecreeAmendmentParser.articleKey('ARTÍCULO 12 BIS.-')).toBe('12 bis')
+    expect(DecreeAmendmentParser.articleKey('Artículo 12 Bis')).toBe('12 bis')
+    expect(DecreeAmendmentParser.articleKey('Artículo 4o.')).toBe('4')
+    expect(DecreeAmendmentParser.articleKey('Artículo 3-A')).toBe('3 a')
+    expect(DecreeAmendmentParser.articleKey('Artículo Décimo Segundo')).toBe('12')
+    expect(DecreeAmendmentParser.parse('Texto sin disposiciones de reforma.')).toEqual([])
+  })
+
+  test('Should extract the articles of decrees with the decree extractor', () => {
+    const job = { isFailed: async () => false, progress: () => {} }
+    const extractor = ArticleExtractorFactory.getExtractor('Decreto', 'Decreto', '', 'gpt-4o-mini', job)
+    expect(extractor).toBeInstanceOf(DecreeArticleExtractor)
+  })
+})
@@ -1,5 +1,5 @@
 /* eslint-disable no-undef */
-import { api } from '../../config/test.config.js'
+import { api, loginAsAdmin } from '../../config/test.config.js'
 import UserRepository from '../../repositories/User.repository.js'
 import SubjectsRepository from '../../repositories/Subject.repository.js'
 import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
@@ -8,10 +8,7 @@ import AspectsRepository from '../../repositories/Aspects.repository.js'
 import extractArticlesService from '../../services/articles/extractArticles/ExtractArticles.service.js'
 import generateLegalBasisData from '../../utils/generateLegalBasisData.js'
 import extractArticlesQueue from '../../queues/extractArticlesQueue.js'
-import {
-  ADMIN_PASSWORD_TEST,
-  ADMIN_GMAIL
-} from '../../config/variables.config.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
 
 const subjectName = 'Seguridad & Higiene'
 const aspectsToCreate = ['Organizacional', 'Técnico', 'Legal']
@@ -28,16 +25,7 @@ beforeAll(async () => {
   await AspectsRepository.deleteAll()
   await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
 
-  const response = await api
-    .post('/api/user/login')
-    .send({
-      gmail: ADMIN_GMAIL,
-      password: ADMIN_PASSWORD_TEST
-    })
-    .expect(200)
-    .expect('Content-Type', /application\/json/)
-
-  tokenAdmin = response.body.token
+  tokenAdmin = await loginAsAdmin()
   const subjectResponse = await api
     .post('/api/subjects')
     .set('Authorization', `Bearer ${tokenAdmin}`)
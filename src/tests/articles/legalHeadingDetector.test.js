@@ -0,0 +1,237 @@
+/* eslint-disable no-undef */
+import LegalHeadingDetector, {
+  NORM_HEADING_KINDS,
+  AGREEMENT_HEADING_KINDS,
+  GUIDELINE_HEADING_KINDS,
+  PROGRAM_HEADING_KINDS
+} from '../../services/articles/articleExtraction/LegalHeadingDetector.js'
+import LawArticleExtractor from '../../services/articles/articleExtraction/LawArticleExtractor.js'
+import ArticleExtractor from '../../services/articles/articleExtraction/ArticleExtractor.js'
+import ArticleExtractorFactory from '../../services/articles/articleExtraction/ArticleExtractorFactory.js'
+import AgreementArticleExtractor from '../../services/articles/articleExtraction/AgreementArticleExtractor.js'
+import GuidelineArticleExtractor from '../../services/articles/articleExtraction/GuidelineArticleExtractor.js'
+import ProgramArticleExtractor from '../../services/articles/articleExtraction/ProgramArticleExtractor.js'
+
+describe('LegalHeadingDetector - Laws and regulations', () => {
+  const law = [
+    'LEY GENERAL DE PRUEBA',
+    'ÍNDICE',
+    'TÍTULO PRIMERO',
+    'CAPÍTULO I',
+    'TÍTULO PRIMERO',
+    'Disposiciones Generales',
+    'CAPÍTULO I',
+    'Del objeto',
+    'Artículo 1.- La presente ley es de orden público.',
+    'Artículo 2. Para los efectos de esta Ley se entiende por:',
+    'I. Secretaría: la dependencia, conforme al',
+    'artículo 5 de esta Ley.',
+    'Artículo 2 Bis.- Se aplicará el presente.',
+    'CAPÍTULO DÉCIMO SEGUNDO',
+    'De las sanciones',
+    'Artículo 3 Quáter:',
+    'Contenido del artículo.',
+    'ARTÍCULO 4',
+    'Texto.',
+    'TRANSITORIOS',
+    'Artículo Primero.- El presente decreto entrará en vigor.',
+    'Artículo Segundo.- Se derogan las disposiciones.',
+    'ANEXO A',
+    'Tabla de valores'
+  ].join('\n')
+
+  test('Should detect the headings verbatim with their line and kind', () => {
+    const { sections, isValid, confidence } = LegalHeadingDetector.detect(law)
+    expect(isValid).toBe(true)
+    expect(confidence).toBe(1)
+    expect(sections).toEqual([
+      { title: 'ÍNDICE', line: 2, kind: 'block' },
+      { title: 'TÍTULO PRIMERO', line: 5, kind: 'title' },
+      { title: 'CAPÍTULO I', line: 7, kind: 'chapter' },
+      { title: 'Artículo 1.-', line: 9, kind: 'article' },
+      { title: 'Artículo 2.', line: 10, kind: 'article' },
+      { title: 'Artículo 2 Bis.-', line: 13, kind: 'article' },
+      { title: 'CAPÍTULO DÉCIMO SEGUNDO', line: 14, kind: 'chapter' },
+      { title: 'Artículo 3 Quáter:', line: 16, kind: 'article' },
+      { title: 'ARTÍCULO 4', line: 18, kind: 'article' },
+      { title: 'TRANSITORIOS', line: 20, kind: 'transitory' },
+      { title: 'ANEXO A', line: 23, kind: 'annex' }
+    ])
+  })
+
+  test('Should report low confidence when article numbers skip', () => {
+    const text = [
+      'Artículo 1.- Texto.',
+      'Artículo 2.- Texto.',
+      'Artículo 7.- Texto.',
+      'Artículo 8.- Texto.'
+    ].join('\n')
+    const { confidence } = LegalHeadingDetector.detect(text)
+    expect(confidence).toBeCloseTo(2 / 3)
+  })
+
+  test('Should not be valid if the text has no headings', () => {
+    expect(LegalHeadingDetector.detect('Texto sin encabezados.\nOtra línea.')).toEqual({
+      sections: [],
+      isValid: false,
+      confidence: 0
+    })
+  })
+
+  test('Should read digits, ordinals and Roman numerals', () => {
+    expect(LegalHeadingDetector.parseNumber('12')).toBe(12)
+    expect(LegalHeadingDetector.parseNumber('decimo segundo')).toBe(12)
+    expect(LegalHeadingDetector.parseNumber('vigesimoprimero')).toBe(21)
+    expect(LegalHeadingDetector.parseNumber('unica')).toBe(1)
+    expect(LegalHeadingDetector.parseNumber('xiv')).toBe(14)
+  })
+
+  test('Should nest the extracted articles under their titles and chapters', async () => {
+    const extractor = new LawArticleExtractor('Ley General de Prueba', law, 'model', null)
+    const articles = await extractor._extractArticles(law)
+    expect(
+      articles.map(({ title, sectionKind, parentIndex }) => [title, sectionKind, parentIndex])
+    ).toEqual([
+      ['ÍNDICE', 'preamble', null],
+      ['TÍTULO PRIMERO', 'title', null],
+      ['CAPÍTULO I', 'chapter', 1],
+      ['Artículo 1.-', 'article', 2],
+      ['Artículo 2.', 'article', 2],
+      ['Artículo 2 Bis.-', 'article', 2],
+      ['CAPÍTULO DÉCIMO SEGUNDO', 'chapter', 1],
+      ['Artículo 3 Quáter:', 'article', 6],
+      ['ARTÍCULO 4', 'article', 6],
+      ['TRANSITORIOS', 'transitory', null],
+      ['ANEXO A', 'annex', null]
+    ])
+  })
+})
+
+describe('LegalHeadingDetector - Normas', () => {
+  test('Should detect numbered sections in sequence and skip the index', () => {
+    const norm = [
+      'PREFACIO',
+      'Participaron las dependencias.',
+      'ÍNDICE',
+      '1. Objetivo y campo de aplicación',
+      '2. Referencias',
+      '1. Objetivo y campo de aplicación',
+      'Esta norma establece los límites.',
+      '2. Referencias',
+      '4. Elemento de una lista',
+      '3. Definiciones',
+      '3.1 Agua residual',
+      'ANEXO NORMATIVO I',
+      'Tabla de límites'
+    ].join('\n')
+    const { sections, confidence } = LegalHeadingDetector.detect(
+      norm,
+      NORM_HEADING_KINDS
+    )
+    expect(confidence).toBe(1)
+    expect(sections).toEqual([
+      { title: 'PREFACIO', line: 1, kind: 'block' },
+      { title: 'ÍNDICE', line: 3, kind: 'block' },
+      { title: '1. Objetivo y campo de aplicación', line: 6, kind: 'numbered' },
+      { title: '2. Referencias', line: 8, kind: 'numbered' },
+      { title: '3. Definiciones', line: 10, kind: 'numbered' },
+      { title: 'ANEXO NORMATIVO I', line: 12, kind: 'annex' }
+    ])
+  })
+})
+
+describe('LegalHeadingDetector - Acuerdos, Lineamientos and Programas', () => {
+  test('Should detect the ordinal points of an acuerdo and keep transitory points in their block', () => {
+    const agreement = [
+      'ACUERDO por el que se dan a conocer los criterios de clasificación de residuos.',
+      'CONSIDERANDO',
+      'Que la Ley prevé la clasificación de los residuos.',
+      'PRIMERO.- El presente Acuerdo tiene por objeto dar a conocer los criterios.',
+      'SEGUNDO. Los criterios son los siguientes:',
+      '1. Residuos de manejo especial.',
+      'Tercero, se aplicarán los criterios del Anexo.',
+      'TERCERO.- La Secretaría vigilará su cumplimiento.',
+      'DÉCIMO PRIMERO.- Texto.',
+      'TRANSITORIOS',
+      'PRIMERO.- El presente Acuerdo entrará en vigor al día siguiente.',
+      'SEGUNDO.- Se abroga el Acuerdo anterior.',
+      'ANEXO ÚNICO',
+      'Tabla de criterios'
+    ].join('\n')
+    const { sections } = LegalHeadingDetector.detect(agreement, AGREEMENT_HEADING_KINDS)
+    expect(sections).toEqual([
+      { title: 'CONSIDERANDO', line: 2, kind: 'block' },
+      { title: 'PRIMERO.-', line: 4, kind: 'point' },
+      { title: 'SEGUNDO.', line: 5, kind: 'point' },
+      { title: 'TERCERO.-', line: 8, kind: 'point' },
+      { title: 'DÉCIMO PRIMERO.-', line: 9, kind: 'point' },
+      { title: 'TRANSITORIOS', line: 10, kind: 'transitory' },
+      { title: 'ANEXO ÚNICO', line: 13, kind: 'annex' }
+    ])
+  })
+
+  test('Should number the guidelines apart from the article that issues them', () => {
+    const guidelines = [
+      'ARTÍCULO ÚNICO.- Se emiten los siguientes Lineamientos.',
+      'CAPÍTULO I',
+      'Disposiciones generales',
+      'Lineamiento 1. Los presentes Lineamientos tienen por objeto establecer el registro.',
+      'Lineamiento 2.- Para efectos de los presentes se entiende conforme al',
+      'lineamiento 5 de los presentes.',
+      'CAPÍTULO II',
+      'Lineamiento 3. La Comisión integrará el registro.'
+    ].join('\n')
+    const { sections, confidence } = LegalHeadingDetector.detect(guidelines, GUIDELINE_HEADING_KINDS)
+    expect(confidence).toBe(1)
+    expect(sections.map(({ title, kind }) => [title, kind])).toEqual([
+      ['ARTÍCULO ÚNICO.-', 'article'],
+      ['CAPÍTULO I', 'chapter'],
+      ['Lineamiento 1.', 'guideline'],
+      ['Lineamiento 2.-', 'guideline'],
+      ['CAPÍTULO II', 'chapter'],
+      ['Lineamiento 3.', 'guideline']
+    ])
+  })
+
+  test('Should detect the numbered chapters and objectives of a programa', () => {
+    const program = [
+      '1.- Fundamento normativo de elaboración del Programa',
+      'El Programa se elabora conforme a la Ley de Planeación.',
+      '2.- Objetivos prioritarios',
+      'Objetivo prioritario 1.- Promover la conservación de los ecosistemas.',
+      'Estrategia prioritaria 1.1 Fortalecer la protección.',
+      'Objetivo prioritario 2.- Reducir la contaminación.',
+      '3.- Metas para el bienestar',
+      'Tabla de metas'
+    ].join('\n')
+    const { sections, confidence } = LegalHeadingDetector.detect(program, PROGRAM_HEADING_KINDS)
+    expect(confidence).toBe(1)
+    expect(sections.map(({ title, kind }) => [title, kind])).toEqual([
+      ['1.- Fundamento normativo de elaboración del Programa', 'numbered'],
+      ['2.- Objetivos prioritarios', 'numbered'],
+      ['Objetivo prioritario 1.-', 'objective'],
+      ['Objetivo prioritario 2.-', 'objective'],
+      ['3.- Metas para el bienestar', 'numbered']
+    ])
+  })
+
+  test('Should route each classification to its extractor and accept new ones', () => {
+    const getExtractor = (classification) =>
+      ArticleExtractorFactory.getExtractor(classification, 'Documento', '', 'model', null)
+    expect(getExtractor('Acuerdos')).toBeInstanceOf(AgreementArticleExtractor)
+    expect(getExtractor('Lineamiento')).toBeInstanceOf(GuidelineArticleExtractor)
+    expect(getExtractor('Programa')).toBeInstanceOf(ProgramArticleExtractor)
+    expect(getExtractor('Plan')).toBeInstanceOf(ProgramArticleExtractor)
+    expect(getExtractor('Código')).toBeInstanceOf(LawArticleExtractor)
+    expect(getExtractor('Circular')).toBeNull()
+
+    class CircularArticleExtractor extends LawArticleExtractor {}
+    ArticleExtractorFactory.register('Circular', CircularArticleExtractor)
+    expect(getExtractor('Circular')).toBeInstanceOf(CircularArticleExtractor)
+    expect(() => ArticleExtractorFactory.register('Circular', class {})).toThrow(
+      'The extractor of "Circular" must extend ArticleExtractor'
+    )
+    ArticleExtractorFactory.extractors.delete('Circular')
+    expect(getExtractor('Ley')).toBeInstanceOf(ArticleExtractor)
+  })
+})
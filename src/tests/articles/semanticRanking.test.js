@@ -0,0 +1,67 @@
+/* eslint-disable no-undef */
+import EmbeddingsService from '../../services/embeddings/Embeddings.service.js'
+import EmbeddingsRepository from '../../repositories/Embeddings.repository.js'
+import { localEmbeddingProvider } from '../../config/openapi.config.js'
+
+const QUERY = 'almacenamiento de residuos peligrosos'
+
+/**
+ * Mocks the stored article embeddings, served in article ID order like the repository.
+ * @param {Array<{ articleId: number, embedding: number[] }>} articleEmbeddings - The stored embeddings.
+ * @returns {jest.SpyInstance} - The spy of the repository method.
+ */
+const mockArticleEmbeddings = (articleEmbeddings) =>
+  jest
+    .spyOn(EmbeddingsRepository, 'findArticleEmbeddings')
+    .mockImplementation(async (filters, model, { afterArticleId, size }) =>
+      articleEmbeddings
+        .filter(({ articleId }) => articleId > afterArticleId)
+        .slice(0, size)
+        .map(({ articleId, embedding }) => ({
+          articleId,
+          norm: Math.hypot(...embedding),
+          embedding: Float32Array.from(embedding)
+        }))
+    )
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('EmbeddingsService - rankArticles()', () => {
+  test('Should score the embeddings in batches and keep only the best articles', async () => {
+    const [queryEmbedding] = await localEmbeddingProvider.embed([QUERY])
+    const [otherEmbedding] = await localEmbeddingProvider.embed(['niveles de ruido'])
+    const articleEmbeddings = Array.from({ length: 1200 }, (_, index) => ({
+      articleId: index + 1,
+      embedding: queryEmbedding.map(
+        (value, dimension) => value + (index / 100) * otherEmbedding[dimension]
+      )
+    }))
+    const spy = mockArticleEmbeddings(articleEmbeddings)
+
+    const { articles, total } = await EmbeddingsService.rankArticles(QUERY, {}, 20)
+
+    expect(spy).toHaveBeenCalledTimes(3)
+    expect(total).toBe(1000)
+    expect(articles).toHaveLength(20)
+    expect(articles[0].articleId).toBe(1)
+    articles.slice(1).forEach(({ similarity }, index) => {
+      expect(similarity).toBeLessThanOrEqual(articles[index].similarity)
+    })
+  })
+
+  test('Should leave out articles with no similarity to the text', async () => {
+    const [queryEmbedding] = await localEmbeddingProvider.embed([QUERY])
+    mockArticleEmbeddings([
+      { articleId: 1, embedding: queryEmbedding },
+      { articleId: 2, embedding: queryEmbedding.map((value) => -value) }
+    ])
+
+    const { articles, total } = await EmbeddingsService.rankArticles(QUERY)
+
+    expect(articles.map(({ articleId }) => articleId)).toEqual([1])
+    expect(articles[0].similarity).toBeCloseTo(1)
+    expect(total).toBe(1)
+  })
+})
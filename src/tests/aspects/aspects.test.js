@@ -1,11 +1,11 @@
 /* eslint-disable no-undef */
-import { api } from '../../config/test.config.js'
+import { api, loginAsAdmin } from '../../config/test.config.js'
 import UserRepository from '../../repositories/User.repository.js'
 import SubjectsRepository from '../../repositories/Subject.repository.js'
 import AspectsRepository from '../../repositories/Aspects.repository.js'
 import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
 import RequirementRepository from '../../repositories/Requirements.repository.js'
-import { ADMIN_PASSWORD_TEST, ADMIN_GMAIL } from '../../config/variables.config.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
 import generateLegalBasisData from '../../utils/generateLegalBasisData.js'
 import generateRequirementData from '../../utils/generateRequirementData.js'
 
@@ -24,16 +24,7 @@ beforeAll(async () => {
   await SubjectsRepository.deleteAll()
   await AspectsRepository.deleteAll()
   await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
-  const response = await api
-    .post('/api/user/login')
-    .send({
-      gmail: ADMIN_GMAIL,
-      password: ADMIN_PASSWORD_TEST
-    })
-    .expect(200)
-    .expect('Content-Type', /application\/json/)
-
-  tokenAdmin = response.body.token
+  tokenAdmin = await loginAsAdmin()
   const subjectResponse = await api
     .post('/api/subjects')
     .set('Authorization', `Bearer ${tokenAdmin}`)
@@ -160,7 +151,7 @@ describe('Aspects API tests', () => {
     })
   })
 
-  describe('GET /subjects/:subjectId/aspects - Retrieve all aspects for a specific subject', () => {
+  describe('GET /subjects/:subjectId/aspects - Retrieve the aspects of a specific subject', () => {
     test('Should retrieve the correct list of aspects for the subject', async () => {
       const response = await api
         .get(`/api/subjects/${createdSubjectId}/aspects`)
@@ -259,12 +250,12 @@ describe('Aspects API - GET /aspect/:id', () => {
   })
 })
 
-describe('Aspects API - GET /subjects/:subjectId/aspects/name', () => {
+describe('Aspects API - GET /subjects/:subjectId/aspects?name=', () => {
   test('Should retrieve aspects by their name for a specific subject', async () => {
     const response = await api
-      .get(`/api/subjects/${createdSubjectId}/aspects/name`)
+      .get(`/api/subjects/${createdSubjectId}/aspects`)
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ aspectName })
+      .query({ name: aspectName })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -277,14 +268,15 @@ describe('Aspects API - GET /subjects/:subjectId/aspects/name', () => {
     expect(aspect).toHaveProperty('subject_id', createdSubjectId)
     expect(aspect).toHaveProperty('abbreviation', 'ORG')
     expect(aspect).toHaveProperty('order_index', 1)
+    expect(response.body.pagination).toMatchObject({ page: 1, total: 1 })
   })
 
   test('Should return an empty array if no aspects match the name for the subject', async () => {
     const nonExistentAspectName = 'nonExistentAspectName'
     const response = await api
-      .get(`/api/subjects/${createdSubjectId}/aspects/name`)
+      .get(`/api/subjects/${createdSubjectId}/aspects`)
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ aspectName: nonExistentAspectName })
+      .query({ name: nonExistentAspectName })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -296,9 +288,9 @@ describe('Aspects API - GET /subjects/:subjectId/aspects/name', () => {
   test('Should return 404 if the subject does not exist', async () => {
     const nonExistentSubjectId = -1
     const response = await api
-      .get(`/api/subjects/${nonExistentSubjectId}/aspects/name`)
+      .get(`/api/subjects/${nonExistentSubjectId}/aspects`)
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ aspectName })
+      .query({ name: aspectName })
       .expect(404)
       .expect('Content-Type', /application\/json/)
 
@@ -307,8 +299,8 @@ describe('Aspects API - GET /subjects/:subjectId/aspects/name', () => {
 
   test('Should return 401 if the user is unauthorized', async () => {
     const response = await api
-      .get(`/api/subjects/${createdSubjectId}/aspects/name`)
-      .query({ aspectName })
+      .get(`/api/subjects/${createdSubjectId}/aspects`)
+      .query({ name: aspectName })
       .expect(401)
       .expect('Content-Type', /application\/json/)
 
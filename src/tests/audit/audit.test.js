@@ -0,0 +1,274 @@
+/* eslint-disable no-undef */
+import { api, loginAsAdmin } from '../../config/test.config.js'
+import UserRepository from '../../repositories/User.repository.js'
+import SubjectsRepository from '../../repositories/Subject.repository.js'
+import UserSessionsService from '../../services/users/userSessions/UserSessions.service.js'
+import AuditLogRepository from '../../repositories/AuditLog.repository.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
+import { format } from 'date-fns'
+
+const VIEWER_ROLE_ID = 3
+let tokenAdmin
+let adminId
+
+/**
+ * Retrieves the audit log entries of a subject.
+ * @param {number} subjectId - The ID of the subject.
+ * @returns {Promise<Object[]>} - The entries, newest first.
+ */
+const getSubjectAuditLogs = async (subjectId) => {
+  const response = await api
+    .get('/api/audit')
+    .query({ entityType: 'subject', entityId: subjectId })
+    .set('Authorization', `Bearer ${tokenAdmin}`)
+    .expect(200)
+    .expect('Content-Type', /application\/json/)
+  return response.body.auditLogs
+}
+
+const timeout = 50000
+beforeAll(async () => {
+  await SubjectsRepository.deleteAll()
+  await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
+  tokenAdmin = await loginAsAdmin()
+  const admin = await UserRepository.existsByGmail(ADMIN_GMAIL)
+  adminId = admin.id
+}, timeout)
+
+afterEach(async () => {
+  jest.restoreAllMocks()
+  await SubjectsRepository.deleteAll()
+})
+
+describe('Recording mutating calls', () => {
+  test('Should record who created, updated and deleted a subject with its before and after states', async () => {
+    const createResponse = await api
+      .post('/api/subjects')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ subjectName: 'Auditoría', abbreviation: 'AUD', orderIndex: 1 })
+      .expect(201)
+    const { id: subjectId } = createResponse.body.subject
+
+    await api
+      .patch(`/api/subject/${subjectId}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ subjectName: 'Auditoría Interna', abbreviation: 'AUI', orderIndex: 2 })
+      .expect(200)
+
+    await api
+      .delete(`/api/subject/${subjectId}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(204)
+
+    const auditLogs = await getSubjectAuditLogs(subjectId)
+    expect(auditLogs.map(({ action }) => action)).toEqual([
+      'delete',
+      'update',
+      'create'
+    ])
+
+    const [deleted, updated, created] = auditLogs
+    expect(created).toMatchObject({
+      user_id: adminId,
+      entity_type: 'subject',
+      entity_id: String(subjectId),
+      method: 'POST',
+      path: '/api/subjects',
+      before: null,
+      after: expect.objectContaining({ subject_name: 'Auditoría' })
+    })
+    expect(created.user).toMatchObject({ id: adminId, gmail: ADMIN_GMAIL })
+    expect(created.created_at).toBeDefined()
+    expect(updated.before).toMatchObject({ subject_name: 'Auditoría' })
+    expect(updated.after).toMatchObject({ subject_name: 'Auditoría Interna' })
+    expect(deleted.before).toMatchObject({ subject_name: 'Auditoría Interna' })
+    expect(deleted.after).toBeNull()
+  })
+
+  test('Should record one entry per entity on batch deletions', async () => {
+    const subjectIds = []
+    for (const [index, subjectName] of ['Lote Uno', 'Lote Dos'].entries()) {
+      const response = await api
+        .post('/api/subjects')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send({ subjectName, abbreviation: `LT${index}`, orderIndex: index + 1 })
+        .expect(201)
+      subjectIds.push(response.body.subject.id)
+    }
+
+    await api
+      .delete('/api/subjects/batch')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ subjectIds })
+      .expect(204)
+
+    for (const subjectId of subjectIds) {
+      const [deleted] = await getSubjectAuditLogs(subjectId)
+      expect(deleted).toMatchObject({
+        action: 'delete',
+        path: '/api/subjects/batch',
+        before: expect.objectContaining({ id: subjectId }),
+        after: null
+      })
+    }
+  })
+
+  test('Should not record failed calls', async () => {
+    await api
+      .patch('/api/subject/-1')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ subjectName: 'Inexistente', abbreviation: 'INX', orderIndex: 1 })
+      .expect(404)
+
+    const auditLogs = await getSubjectAuditLogs(-1)
+    expect(auditLogs).toEqual([])
+  })
+
+  test('Should not fail the call when the audit log cannot be written', async () => {
+    jest
+      .spyOn(AuditLogRepository, 'createMany')
+      .mockRejectedValueOnce(new Error('Database error'))
+
+    const response = await api
+      .post('/api/subjects')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ subjectName: 'Sin Registro', abbreviation: 'SRG', orderIndex: 1 })
+      .expect(201)
+
+    expect(response.body.subject).toMatchObject({ subject_name: 'Sin Registro' })
+  })
+})
+
+describe('GET /audit - Browse the audit log', () => {
+  test('Should filter entries by user, action and date range', async () => {
+    await api
+      .post('/api/subjects')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ subjectName: 'Filtros', abbreviation: 'FLT', orderIndex: 1 })
+      .expect(201)
+
+    const today = format(new Date(), 'yyyy-MM-dd')
+    const response = await api
+      .get('/api/audit')
+      .query({ userId: adminId, action: 'create', entityType: 'subject', from: today, to: today })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    expect(response.body.auditLogs.length).toBeGreaterThan(0)
+    for (const auditLog of response.body.auditLogs) {
+      expect(auditLog).toMatchObject({
+        user_id: adminId,
+        action: 'create',
+        entity_type: 'subject'
+      })
+    }
+
+    const emptyResponse = await api
+      .get('/api/audit')
+      .query({ userId: adminId, from: '2000-01-01', to: '2000-01-31' })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    expect(emptyResponse.body.auditLogs).toEqual([])
+  })
+
+  test('Should paginate the entries by page and by cursor', async () => {
+    const subjectIds = []
+    for (const orderIndex of [1, 2, 3]) {
+      const response = await api
+        .post('/api/subjects')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send({ subjectName: `Página ${orderIndex}`, abbreviation: `PG${orderIndex}`, orderIndex })
+        .expect(201)
+      subjectIds.push(String(response.body.subject.id))
+    }
+    const query = { userId: adminId, action: 'create', entityType: 'subject', sort: '-id' }
+
+    const firstPage = await api
+      .get('/api/audit')
+      .query({ ...query, pageSize: 2 })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    expect(firstPage.body.auditLogs.map(({ entity_id: entityId }) => entityId)).toEqual([
+      subjectIds[2],
+      subjectIds[1]
+    ])
+    expect(firstPage.body.pagination).toMatchObject({
+      page: 1,
+      pageSize: 2,
+      total: expect.any(Number),
+      nextCursor: expect.any(String)
+    })
+
+    const nextPage = await api
+      .get('/api/audit')
+      .query({ ...query, pageSize: 2, cursor: firstPage.body.pagination.nextCursor })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    expect(nextPage.body.auditLogs[0].entity_id).toBe(subjectIds[0])
+    expect(nextPage.body.pagination.page).toBeNull()
+  })
+
+  test('Should return 400 when the page size exceeds the maximum', async () => {
+    const response = await api
+      .get('/api/audit')
+      .query({ pageSize: 1000 })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(400)
+
+    expect(response.body.message).toMatch(/Validation failed/i)
+    expect(response.body.errors).toEqual([
+      expect.objectContaining({ field: 'pageSize' })
+    ])
+  })
+
+  test('Should return 400 for an invalid date', async () => {
+    const response = await api
+      .get('/api/audit')
+      .query({ from: 'not-a-date' })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(400)
+
+    expect(response.body.message).toMatch(/Validation failed/i)
+    expect(response.body.errors).toEqual([
+      expect.objectContaining({
+        field: 'from',
+        message: expect.stringMatching(/is not a valid date/i)
+      })
+    ])
+  })
+
+  test('Should return 400 for an invalid userId', async () => {
+    const response = await api
+      .get('/api/audit')
+      .query({ userId: 'abc' })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(400)
+
+    expect(response.body.message).toMatch(/Validation failed/i)
+  })
+
+  test('Should return 403 for users without audit:read', async () => {
+    const registerResponse = await api
+      .post('/api/user/register')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ gmail: 'auditviewer@isaambiental.com', name: 'Audit Viewer', roleId: String(VIEWER_ROLE_ID) })
+      .expect(201)
+    const { token } = await UserSessionsService.createSession(registerResponse.body.user)
+
+    await api
+      .get('/api/audit')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403)
+
+    await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
+  })
+
+  test('Should return 401 when the token is missing', async () => {
+    const response = await api.get('/api/audit').expect(401)
+
+    expect(response.body.error).toMatch(/token missing or invalid/i)
+  })
+})
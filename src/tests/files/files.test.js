@@ -1,23 +1,22 @@
 /* eslint-disable no-undef */
-import { api } from '../../config/test.config.js'
+import { api, loginAsAdmin } from '../../config/test.config.js'
 import UserRepository from '../../repositories/User.repository.js'
-import { ADMIN_PASSWORD_TEST, ADMIN_GMAIL } from '../../config/variables.config.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
+import DocumentService from '../../services/files/Document.service.js'
+import TextExtractionProviderFactory from '../../services/files/textExtraction/TextExtractionProviderFactory.js'
+import PdfTextLayerProvider from '../../services/files/textExtraction/PdfTextLayerProvider.js'
+import TextractProvider from '../../services/files/textExtraction/TextractProvider.js'
+import { DOCX_MIME_TYPE } from '../../utils/documentMimeType.js'
+import JSZip from 'jszip'
+import multer from 'multer'
+import { handleUploadError } from '../../middlewares/multer.js'
 
 let tokenAdmin
 
 const timeout = 50000
 beforeAll(async () => {
   await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
-  const response = await api
-    .post('/api/user/login')
-    .send({
-      gmail: ADMIN_GMAIL,
-      password: ADMIN_PASSWORD_TEST
-    })
-    .expect(200)
-    .expect('Content-Type', /application\/json/)
-
-  tokenAdmin = response.body.token
+  tokenAdmin = await loginAsAdmin()
 }, timeout)
 
 describe('File Upload & Fetch API Tests', () => {
@@ -96,4 +95,163 @@ describe('File Upload & Fetch API Tests', () => {
       expect(response.body.error).toMatch(/token missing or invalid/i)
     })
   })
+
+  describe('Upload errors', () => {
+    test('Should answer 413 when the file is over the size limit', () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() }
+      const next = jest.fn()
+      handleUploadError(new multer.MulterError('LIMIT_FILE_SIZE', 'file'), {}, res, next)
+      expect(res.status).toHaveBeenCalledWith(413)
+      expect(res.json).toHaveBeenCalledWith({
+        message: expect.stringMatching(/File too large/i)
+      })
+      expect(next).not.toHaveBeenCalled()
+    })
+
+    test('Should pass on errors not raised by Multer', () => {
+      const error = new Error('Unexpected')
+      const next = jest.fn()
+      handleUploadError(error, {}, {}, next)
+      expect(next).toHaveBeenCalledWith(error)
+    })
+  })
+
+  describe('DocumentService - Local text extraction', () => {
+    test('Should extract the paragraphs of a DOCX document', async () => {
+      const zip = new JSZip()
+      zip.file(
+        'word/document.xml',
+        '<w:document><w:body>' +
+          '<w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:t>CAPÍTULO I</w:t></w:r></w:p>' +
+          '<w:p><w:r><w:t xml:space="preserve">Artículo 1.- Las </w:t></w:r>' +
+          '<w:r><w:t>disposiciones &amp; normas</w:t></w:r><w:r><w:tab/><w:t>aplican.</w:t></w:r></w:p>' +
+          '<w:p/>' +
+          '</w:body></w:document>'
+      )
+      const buffer = await zip.generateAsync({ type: 'nodebuffer' })
+      const result = await DocumentService.extractText('ley.docx', {
+        mimeType: DOCX_MIME_TYPE,
+        buffer
+      })
+      expect(result).toEqual({
+        success: true,
+        text: 'CAPÍTULO I\nArtículo 1.- Las disposiciones & normas aplican.',
+        lines: [
+          { text: 'CAPÍTULO I', page: null },
+          { text: 'Artículo 1.- Las disposiciones & normas aplican.', page: null }
+        ]
+      })
+    })
+
+    test('Should extract the text of an HTML page without images or links', async () => {
+      const html =
+        '<html><head><meta charset="utf-8"><title>DOF</title></head><body>' +
+        '<img src="escudo.png"><p>TÍTULO PRIMERO</p>' +
+        '<p>Artículo 1.- Véase el <a href="https://dof.gob.mx">Diario Oficial</a>.</p>' +
+        '</body></html>'
+      const result = await DocumentService.extractText('ley.html', {
+        buffer: Buffer.from(html, 'utf8')
+      })
+      expect(result.success).toBe(true)
+      expect(result.text).toBe(
+        'TÍTULO PRIMERO\nArtículo 1.- Véase el Diario Oficial.'
+      )
+    })
+
+    test('Should decode a Windows-1252 plain-text document', async () => {
+      const result = await DocumentService.extractText('ley.txt', {
+        mimeType: 'text/plain',
+        buffer: Buffer.from('Artículo 1.- Sanción\r\n\r\nArtículo 2.- Señal', 'latin1')
+      })
+      expect(result).toMatchObject({
+        success: true,
+        text: 'Artículo 1.- Sanción\nArtículo 2.- Señal'
+      })
+    })
+
+    test('Should fail if the document has no text', async () => {
+      const result = await DocumentService.extractText('vacio.txt', {
+        buffer: Buffer.from('  \n ')
+      })
+      expect(result).toEqual({
+        success: false,
+        error: 'The document has no text'
+      })
+    })
+  })
+  describe('Text extraction providers', () => {
+    test('Should read PDFs locally before Textract and images with Textract in auto mode', () => {
+      const [local, textract] = TextExtractionProviderFactory.getProviders('application/pdf', 'auto')
+      expect(local).toBeInstanceOf(PdfTextLayerProvider)
+      expect(textract).toBeInstanceOf(TextractProvider)
+      const imageProviders = TextExtractionProviderFactory.getProviders('image/png', 'auto')
+      expect(imageProviders).toHaveLength(1)
+      expect(imageProviders[0]).toBeInstanceOf(TextractProvider)
+    })
+
+    test('Should read only the text layer of PDFs in local mode', () => {
+      const pdfProviders = TextExtractionProviderFactory.getProviders('application/pdf', 'local')
+      expect(pdfProviders).toHaveLength(1)
+      expect(pdfProviders[0]).toBeInstanceOf(PdfTextLayerProvider)
+      expect(TextExtractionProviderFactory.getProviders('image/png', 'local')).toEqual([])
+    })
+
+    test('Should send PDFs and images to Textract in textract mode', () => {
+      for (const mimeType of ['application/pdf', 'image/jpeg']) {
+        const providers = TextExtractionProviderFactory.getProviders(mimeType, 'textract')
+        expect(providers).toHaveLength(1)
+        expect(providers[0]).toBeInstanceOf(TextractProvider)
+      }
+    })
+
+    test('Should reject an unknown text extraction provider', () => {
+      expect(() => TextExtractionProviderFactory.getProviders('application/pdf', 'ocr')).toThrow(
+        'Unknown text extraction provider: ocr'
+      )
+    })
+
+    test('Should use the local text layer outside production by default', () => {
+      const providers = TextExtractionProviderFactory.getProviders('application/pdf')
+      expect(providers).toHaveLength(1)
+      expect(providers[0]).toBeInstanceOf(PdfTextLayerProvider)
+    })
+
+    test('Should fail to read documents of an unsupported type', async () => {
+      const result = await DocumentService.extractText('hoja.xlsx', {
+        mimeType: 'application/vnd.ms-excel',
+        buffer: Buffer.from('hoja')
+      })
+      expect(result).toEqual({
+        success: false,
+        error: 'Cannot read application/vnd.ms-excel documents'
+      })
+    })
+
+    test('Should treat the near-empty text layer of a scanned PDF as missing', () => {
+      const provider = new PdfTextLayerProvider()
+      const scannedLines = [{ text: '1', page: 1 }, { text: '2', page: 2 }]
+      const textLines = [
+        { text: 'Artículo 1.- La presente ley es de orden público e interés social.', page: 1 }
+      ]
+      expect(provider._hasTextLayer(scannedLines, 2)).toBe(false)
+      expect(provider._hasTextLayer(textLines, 1)).toBe(true)
+    })
+
+    test('Should group the PDF text items of a page into lines', () => {
+      const provider = new PdfTextLayerProvider()
+      const item = (str, y, hasEOL = false) => ({
+        str,
+        hasEOL,
+        height: 10,
+        transform: [10, 0, 0, 10, 72, y]
+      })
+      const lines = provider._groupLines([
+        item('Artículo 1.-', 700),
+        item(' Objeto', 700, true),
+        item('de la ley', 688),
+        item('Artículo 2.-', 676)
+      ])
+      expect(lines).toEqual(['Artículo 1.- Objeto', 'de la ley', 'Artículo 2.-'])
+    })
+  })
 })
@@ -1,19 +1,21 @@
 /* eslint-disable no-undef */
-import { api } from '../../config/test.config.js'
+import { api, loginAsAdmin, waitForEmbeddings } from '../../config/test.config.js'
 import UserRepository from '../../repositories/User.repository.js'
 import SubjectsRepository from '../../repositories/Subject.repository.js'
 import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
 import AspectsRepository from '../../repositories/Aspects.repository.js'
 import RequirementRepository from '../../repositories/Requirements.repository.js'
+import EmbeddingsRepository from '../../repositories/Embeddings.repository.js'
 import extractArticlesService from '../../services/articles/extractArticles/ExtractArticles.service.js'
 import ReqIdentifyService from '../../services/reqIdentification/reqIdentify/ReqIdentify.service.js'
+import ReqIdentificationService from '../../services/reqIdentification/ReqIdentification.service.js'
 import SendLegalBasisService from '../../services/legalBasis/sendLegalBasis/SendLegalBasis.service.js'
+import LegalBasisAmendmentsService from '../../services/legalBasis/legalBasisAmendments/LegalBasisAmendments.service.js'
 
-import {
-  ADMIN_PASSWORD_TEST,
-  ADMIN_GMAIL
-} from '../../config/variables.config.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
+import { getEmbeddingProvider } from '../../config/openapi.config.js'
 import generateLegalBasisData from '../../utils/generateLegalBasisData.js'
+import generateArticleData from '../../utils/generateArticleData.js'
 
 const subjectName = 'Seguridad & Higiene'
 const aspectsToCreate = ['Organizacional', 'Técnico', 'Legal']
@@ -29,16 +31,7 @@ beforeAll(async () => {
   await AspectsRepository.deleteAll()
   await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
 
-  const response = await api
-    .post('/api/user/login')
-    .send({
-      gmail: ADMIN_GMAIL,
-      password: ADMIN_PASSWORD_TEST
-    })
-    .expect(200)
-    .expect('Content-Type', /application\/json/)
-
-  tokenAdmin = response.body.token
+  tokenAdmin = await loginAsAdmin()
   const subjectResponse = await api
     .post('/api/subjects')
     .set('Authorization', `Bearer ${tokenAdmin}`)
@@ -686,8 +679,8 @@ describe('Create a legal base', () => {
         .post('/api/legalBasis')
         .set('Authorization', `Bearer ${tokenAdmin}`)
         .attach('document', document, {
-          filename: 'file.txt',
-          contentType: 'text/plain'
+          filename: 'file.zip',
+          contentType: 'application/zip'
         })
         .field('legalName', legalBasisData.legalName)
         .field('abbreviation', legalBasisData.abbreviation)
@@ -705,7 +698,7 @@ describe('Create a legal base', () => {
           {
             field: 'document',
             message: expect.stringMatching(
-              /Invalid document type\. Allowed types are: pdf, png, jpeg/i
+              /Invalid document type\. Allowed types are: pdf, png, jpeg, docx, html, txt/i
             )
           }
         ])
@@ -822,6 +815,77 @@ describe('Get All Legal Basis', () => {
     })
   })
 
+  test('Should combine filters, sort and paginate legal basis', async () => {
+    const createdIds = []
+    for (const legalName of ['Ley Alfa', 'Ley Beta', 'Reglamento Gamma']) {
+      const createResponse = await api
+        .post('/api/legalBasis')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send(
+          generateLegalBasisData({
+            legalName,
+            abbreviation: legalName.replace(/\s/g, ''),
+            subjectId: String(createdSubjectId),
+            aspectsIds: JSON.stringify(createdAspectIds)
+          })
+        )
+        .expect(201)
+      createdIds.push(createResponse.body.legalBasis.id)
+    }
+
+    const firstPage = await api
+      .get('/api/legalBasis')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({
+        name: 'Ley',
+        subjectId: createdSubjectId,
+        aspectIds: createdAspectIds.join(','),
+        sort: '-name',
+        pageSize: 1
+      })
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(firstPage.body.legalBasis).toHaveLength(1)
+    expect(firstPage.body.legalBasis[0].id).toBe(createdIds[1])
+    expect(firstPage.body.pagination).toMatchObject({
+      page: 1,
+      pageSize: 1,
+      total: 2,
+      totalPages: 2,
+      nextCursor: expect.any(String)
+    })
+
+    const secondPage = await api
+      .get('/api/legalBasis')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({
+        name: 'Ley',
+        subjectId: createdSubjectId,
+        aspectIds: createdAspectIds.join(','),
+        sort: '-name',
+        pageSize: 1,
+        cursor: firstPage.body.pagination.nextCursor
+      })
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(secondPage.body.legalBasis).toHaveLength(1)
+    expect(secondPage.body.legalBasis[0].id).toBe(createdIds[0])
+    expect(secondPage.body.pagination.nextCursor).toBeNull()
+  })
+
+  test('Should return 400 for an invalid sort field', async () => {
+    const response = await api
+      .get('/api/legalBasis')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ sort: 'url' })
+      .expect(400)
+      .expect('Content-Type', /application\/json/)
+
+    expect(response.body.message).toMatch(/Validation failed/i)
+  })
+
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
       .get('/api/legalBasis')
@@ -904,7 +968,7 @@ describe('Get Legal Basis By ID', () => {
   })
 })
 
-describe('Get Legal Basis By Name', () => {
+describe('GET /legalBasis?name=', () => {
   let createdLegalBasis
 
   beforeEach(async () => {
@@ -927,7 +991,7 @@ describe('Get Legal Basis By Name', () => {
 
   test('Should successfully retrieve a legal basis by its name', async () => {
     const response = await api
-      .get('/api/legalBasis/name/name')
+      .get('/api/legalBasis')
       .query({ name: createdLegalBasis.legal_name })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -960,7 +1024,7 @@ describe('Get Legal Basis By Name', () => {
 
   test('Should return an empty array if no legal basis is found', async () => {
     const response = await api
-      .get('/api/legalBasis/name/name')
+      .get('/api/legalBasis')
       .query({ name: 'NonExistent Legal Basis' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -972,7 +1036,7 @@ describe('Get Legal Basis By Name', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/legalBasis/name/name')
+      .get('/api/legalBasis')
       .query({ name: createdLegalBasis.legal_name })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -981,7 +1045,7 @@ describe('Get Legal Basis By Name', () => {
   })
 })
 
-describe('Get Legal Basis By Abbreviation', () => {
+describe('GET /legalBasis?abbreviation=', () => {
   let createdLegalBasis
 
   beforeEach(async () => {
@@ -1004,7 +1068,7 @@ describe('Get Legal Basis By Abbreviation', () => {
 
   test('Should successfully retrieve a legal basis by its abbreviation', async () => {
     const response = await api
-      .get('/api/legalBasis/abbreviation/abbreviation')
+      .get('/api/legalBasis')
       .query({ abbreviation: createdLegalBasis.abbreviation })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -1040,7 +1104,7 @@ describe('Get Legal Basis By Abbreviation', () => {
   test('Should return 404 if the legal basis with the abbreviation does not exist', async () => {
     const nonExistentAbbreviation = 'NON-EXISTENT'
     const response = await api
-      .get('/api/legalBasis/abbreviation/abbreviation')
+      .get('/api/legalBasis')
       .query({ abbreviation: nonExistentAbbreviation })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -1052,7 +1116,7 @@ describe('Get Legal Basis By Abbreviation', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/legalBasis/abbreviation/abbreviation')
+      .get('/api/legalBasis')
       .query({ abbreviation: createdLegalBasis.abbreviation })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -1061,7 +1125,7 @@ describe('Get Legal Basis By Abbreviation', () => {
   })
 })
 
-describe('Get Legal Basis By Classification', () => {
+describe('GET /legalBasis?classification=', () => {
   let createdLegalBasis
 
   beforeEach(async () => {
@@ -1082,7 +1146,7 @@ describe('Get Legal Basis By Classification', () => {
 
   test('Should successfully retrieve legal basis by classification', async () => {
     const response = await api
-      .get('/api/legalBasis/classification/classification')
+      .get('/api/legalBasis')
       .query({ classification: createdLegalBasis.classification })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -1118,7 +1182,7 @@ describe('Get Legal Basis By Classification', () => {
   test('Should return 200 with an empty array if no legal basis exists for the classification', async () => {
     const nonExistentClassification = 'NonExistentClassification'
     const response = await api
-      .get('/api/legalBasis/classification/classification')
+      .get('/api/legalBasis')
       .query({ classification: nonExistentClassification })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -1130,7 +1194,7 @@ describe('Get Legal Basis By Classification', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/legalBasis/classification/classification')
+      .get('/api/legalBasis')
       .query({ classification: createdLegalBasis.classification })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -1139,7 +1203,7 @@ describe('Get Legal Basis By Classification', () => {
   })
 })
 
-describe('Get Legal Basis By Jurisdiction', () => {
+describe('GET /legalBasis?jurisdiction=', () => {
   let createdLegalBasis
 
   beforeEach(async () => {
@@ -1160,7 +1224,7 @@ describe('Get Legal Basis By Jurisdiction', () => {
 
   test('Should successfully retrieve legal basis by jurisdiction', async () => {
     const response = await api
-      .get('/api/legalBasis/jurisdiction/jurisdiction')
+      .get('/api/legalBasis')
       .query({ jurisdiction: createdLegalBasis.jurisdiction })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -1196,7 +1260,7 @@ describe('Get Legal Basis By Jurisdiction', () => {
   test('Should return 200 with an empty array if no legal basis exists for the jurisdiction', async () => {
     const nonExistentJurisdiction = 'Mundial'
     const response = await api
-      .get('/api/legalBasis/jurisdiction/jurisdiction')
+      .get('/api/legalBasis')
       .query({ jurisdiction: nonExistentJurisdiction })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -1208,7 +1272,7 @@ describe('Get Legal Basis By Jurisdiction', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/legalBasis/jurisdiction')
+      .get('/api/legalBasis')
       .query({ jurisdiction: createdLegalBasis.jurisdiction })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -1217,7 +1281,7 @@ describe('Get Legal Basis By Jurisdiction', () => {
   })
 })
 
-describe('Get Legal Basis By State', () => {
+describe('GET /legalBasis?state=', () => {
   let createdLegalBasis
 
   beforeEach(async () => {
@@ -1240,7 +1304,7 @@ describe('Get Legal Basis By State', () => {
 
   test('Should successfully retrieve legal basis by state', async () => {
     const response = await api
-      .get('/api/legalBasis/state/state')
+      .get('/api/legalBasis')
       .query({ state: createdLegalBasis.state })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -1275,7 +1339,7 @@ describe('Get Legal Basis By State', () => {
 
   test('Should return an empty array if no legal basis exists for the state', async () => {
     const response = await api
-      .get('/api/legalBasis/state/state')
+      .get('/api/legalBasis')
       .query({ state: 'Non-existent' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -1287,7 +1351,7 @@ describe('Get Legal Basis By State', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/legalBasis/state/state')
+      .get('/api/legalBasis')
       .query({ state: createdLegalBasis.state })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -1296,7 +1360,7 @@ describe('Get Legal Basis By State', () => {
   })
 })
 
-describe('Get Legal Basis By State and Municipalities', () => {
+describe('GET /legalBasis?state=&municipalities=', () => {
   let createdLegalBasis
 
   beforeEach(async () => {
@@ -1322,7 +1386,7 @@ describe('Get Legal Basis By State and Municipalities', () => {
 
   test('Should successfully retrieve legal basis by state', async () => {
     const response = await api
-      .get('/api/legalBasis/state/municipalities/query')
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ state: createdLegalBasis.state })
       .expect(200)
@@ -1357,7 +1421,7 @@ describe('Get Legal Basis By State and Municipalities', () => {
 
   test('Should successfully retrieve legal basis by state and specific municipalities', async () => {
     const response = await api
-      .get('/api/legalBasis/state/municipalities/query')
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({
         state: createdLegalBasis.state,
@@ -1379,20 +1443,26 @@ describe('Get Legal Basis By State and Municipalities', () => {
 
   test('Should return 400 error if municipalities are provided but state is missing', async () => {
     const response = await api
-      .get('/api/legalBasis/state/municipalities/query')
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ municipalities: ['Test Municipality'] })
       .expect(400)
       .expect('Content-Type', /application\/json/)
 
-    expect(response.body).toMatchObject({
-      message: 'State is required if municipalities are provided'
-    })
+    expect(response.body.message).toMatch(/Validation failed/i)
+    expect(response.body.errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          field: 'state',
+          message: 'State is required if municipalities are provided'
+        })
+      ])
+    )
   })
 
   test('Should return an empty array if no legal basis exists for the state and municipalities', async () => {
     const response = await api
-      .get('/api/legalBasis/state/municipalities/query')
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({
         state: 'Non-existent',
@@ -1407,7 +1477,7 @@ describe('Get Legal Basis By State and Municipalities', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/legalBasis/state/municipalities/query')
+      .get('/api/legalBasis')
       .query({ state: 'Test State' })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -1416,7 +1486,7 @@ describe('Get Legal Basis By State and Municipalities', () => {
   })
 })
 
-describe('Get Legal Basis By Subject', () => {
+describe('GET /legalBasis?subjectId=', () => {
   let createdLegalBasis
 
   beforeEach(async () => {
@@ -1439,8 +1509,9 @@ describe('Get Legal Basis By Subject', () => {
 
   test('Should successfully retrieve legal basis by subjectId', async () => {
     const response = await api
-      .get(`/api/legalBasis/subject/${createdLegalBasis.subject.subject_id}`)
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ subjectId: createdLegalBasis.subject.subject_id })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1472,10 +1543,11 @@ describe('Get Legal Basis By Subject', () => {
   })
 
   test('Should return 404 if the subjectId does not exist', async () => {
-    const nonExistentSubjectId = '-1'
+    const nonExistentSubjectId = 999999
     const response = await api
-      .get(`/api/legalBasis/subject/${nonExistentSubjectId}`)
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ subjectId: nonExistentSubjectId })
       .expect(404)
       .expect('Content-Type', /application\/json/)
 
@@ -1497,8 +1569,9 @@ describe('Get Legal Basis By Subject', () => {
     const newSubjectId = newSubjectResponse.body.subject.id
 
     const response = await api
-      .get(`/api/legalBasis/subject/${newSubjectId}`)
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ subjectId: newSubjectId })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1508,7 +1581,8 @@ describe('Get Legal Basis By Subject', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get(`/api/legalBasis/subject/${createdSubjectId}`)
+      .get('/api/legalBasis')
+      .query({ subjectId: createdSubjectId })
       .expect(401)
       .expect('Content-Type', /application\/json/)
 
@@ -1516,7 +1590,7 @@ describe('Get Legal Basis By Subject', () => {
   })
 })
 
-describe('Get Legal Basis By Subject And Aspects', () => {
+describe('GET /legalBasis?subjectId=&aspectIds=', () => {
   let createdLegalBasis
 
   beforeEach(async () => {
@@ -1539,11 +1613,12 @@ describe('Get Legal Basis By Subject And Aspects', () => {
 
   test('Should successfully retrieve legal basis by subjectId and aspects', async () => {
     const response = await api
-      .get(
-        `/api/legalBasis/subject/${createdLegalBasis.subject.subject_id}/aspects`
-      )
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ aspectIds: createdAspectIds })
+      .query({
+        subjectId: createdLegalBasis.subject.subject_id,
+        aspectIds: createdAspectIds
+      })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1575,11 +1650,14 @@ describe('Get Legal Basis By Subject And Aspects', () => {
   })
 
   test('Should return 404 if the subjectId does not exist', async () => {
-    const nonExistentSubjectId = '-1'
+    const nonExistentSubjectId = 999999
     const response = await api
-      .get(`/api/legalBasis/subject/${nonExistentSubjectId}/aspects`)
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ aspectIds: createdAspectIds })
+      .query({
+        subjectId: nonExistentSubjectId,
+        aspectIds: createdAspectIds
+      })
       .expect(404)
       .expect('Content-Type', /application\/json/)
 
@@ -1587,13 +1665,14 @@ describe('Get Legal Basis By Subject And Aspects', () => {
   })
 
   test('Should return 404 if aspects do not exist', async () => {
-    const invalidAspectIds = [-1, -2]
+    const invalidAspectIds = [999998, 999999]
     const response = await api
-      .get(
-        `/api/legalBasis/subject/${createdLegalBasis.subject.subject_id}/aspects`
-      )
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ aspectIds: invalidAspectIds })
+      .query({
+        subjectId: createdLegalBasis.subject.subject_id,
+        aspectIds: invalidAspectIds
+      })
       .expect(404)
       .expect('Content-Type', /application\/json/)
 
@@ -1607,10 +1686,11 @@ describe('Get Legal Basis By Subject And Aspects', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get(
-        `/api/legalBasis/subject/${createdLegalBasis.subject.subject_id}/aspects`
-      )
-      .query({ aspectIds: createdAspectIds })
+      .get('/api/legalBasis')
+      .query({
+        subjectId: createdLegalBasis.subject.subject_id,
+        aspectIds: createdAspectIds
+      })
       .expect(401)
       .expect('Content-Type', /application\/json/)
 
@@ -1618,7 +1698,7 @@ describe('Get Legal Basis By Subject And Aspects', () => {
   })
 })
 
-describe('Get Legal Basis By Last Reform', () => {
+describe('GET /legalBasis?lastReformFrom=&lastReformTo=', () => {
   let createdLegalBasis
 
   beforeEach(async () => {
@@ -1639,49 +1719,49 @@ describe('Get Legal Basis By Last Reform', () => {
     createdLegalBasis = response.body.legalBasis
   })
 
-  test('Should return 400 if "from" date is invalid', async () => {
+  test('Should return 400 if "lastReformFrom" date is invalid', async () => {
     const response = await api
-      .get('/api/legalBasis/lastReform/lastReform')
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ from: 'invalid-date', to: '2024-12-31' })
+      .query({ lastReformFrom: 'invalid-date', lastReformTo: '2024-12-31' })
       .expect(400)
       .expect('Content-Type', /application\/json/)
 
-    expect(response.body.message).toMatch(/Invalid date format/i)
+    expect(response.body.message).toMatch(/Validation failed/i)
     expect(response.body.errors).toEqual(
       expect.arrayContaining([
         expect.objectContaining({
-          field: 'from',
+          field: 'lastReformFrom',
           message: expect.stringMatching(/is not a valid date/i)
         })
       ])
     )
   })
 
-  test('Should return 400 if "to" date is invalid', async () => {
+  test('Should return 400 if "lastReformTo" date is invalid', async () => {
     const response = await api
-      .get('/api/legalBasis/lastReform/lastReform')
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ from: '2024-01-01', to: 'invalid-date' })
+      .query({ lastReformFrom: '2024-01-01', lastReformTo: 'invalid-date' })
       .expect(400)
       .expect('Content-Type', /application\/json/)
 
-    expect(response.body.message).toMatch(/Invalid date format/i)
+    expect(response.body.message).toMatch(/Validation failed/i)
     expect(response.body.errors).toEqual(
       expect.arrayContaining([
         expect.objectContaining({
-          field: 'to',
+          field: 'lastReformTo',
           message: expect.stringMatching(/is not a valid date/i)
         })
       ])
     )
   })
 
-  test('Should return 200 and legal basis if valid "from" and "to" are provided', async () => {
+  test('Should return 200 and legal basis if valid "lastReformFrom" and "lastReformTo" are provided', async () => {
     const response = await api
-      .get('/api/legalBasis/lastReform/lastReform')
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ from: '2024-01-01', to: '2024-12-31' })
+      .query({ lastReformFrom: '2024-01-01', lastReformTo: '2024-12-31' })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1702,22 +1782,22 @@ describe('Get Legal Basis By Last Reform', () => {
     })
   })
 
-  test('Should return 200 if only "from" is provided', async () => {
+  test('Should return 200 if only "lastReformFrom" is provided', async () => {
     const response = await api
-      .get('/api/legalBasis/lastReform/lastReform')
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ from: '2024-01-01' })
+      .query({ lastReformFrom: '2024-01-01' })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
     expect(response.body.legalBasis).toBeInstanceOf(Array)
   })
 
-  test('Should return 200 if only "to" is provided', async () => {
+  test('Should return 200 if only "lastReformTo" is provided', async () => {
     const response = await api
-      .get('/api/legalBasis/lastReform/lastReform')
+      .get('/api/legalBasis')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ to: '2024-12-31' }) // Solo enviamos "to"
+      .query({ lastReformTo: '2024-12-31' })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1726,8 +1806,8 @@ describe('Get Legal Basis By Last Reform', () => {
 
   test('Should return 401 if the user is unauthorized', async () => {
     const response = await api
-      .get('/api/legalBasis/lastReform/lastReform')
-      .query({ from: '2024-01-01', to: '2024-12-31' })
+      .get('/api/legalBasis')
+      .query({ lastReformFrom: '2024-01-01', lastReformTo: '2024-12-31' })
       .expect(401)
       .expect('Content-Type', /application\/json/)
 
@@ -2180,6 +2260,49 @@ describe('Update a Legal Basis', () => {
 
     expect(response.body.error).toMatch(/token missing or invalid/i)
   })
+
+  test('Should flag requirement identifications as outdated when the last reform changes', async () => {
+    const outdatedSpy = jest
+      .spyOn(ReqIdentificationService, 'markLegalBasisAsOutdated')
+      .mockResolvedValue([])
+    const updatedData = generateLegalBasisData({
+      legalName: 'Reformed Legal Name',
+      subjectId: String(createdSubjectId),
+      aspectsIds: JSON.stringify(createdAspectIds),
+      lastReform: '01-06-2025'
+    })
+
+    await api
+      .patch(`/api/legalBasis/${createdLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send(updatedData)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(outdatedSpy).toHaveBeenCalledWith(
+      expect.objectContaining({ id: createdLegalBasis.id })
+    )
+  })
+
+  test('Should not flag requirement identifications when the legal basis is not reformed', async () => {
+    const outdatedSpy = jest
+      .spyOn(ReqIdentificationService, 'markLegalBasisAsOutdated')
+      .mockResolvedValue([])
+    const updatedData = generateLegalBasisData({
+      legalName: 'Renamed Legal Name',
+      subjectId: String(createdSubjectId),
+      aspectsIds: JSON.stringify(createdAspectIds)
+    })
+
+    await api
+      .patch(`/api/legalBasis/${createdLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send(updatedData)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(outdatedSpy).not.toHaveBeenCalled()
+  })
 })
 
 describe('Delete Legal Basis By ID', () => {
@@ -2469,3 +2592,429 @@ describe('Delete Multiple Legal Bases By IDs', () => {
     expect(response.body.error).toMatch(/token missing or invalid/i)
   })
 })
+
+describe('Legal Basis Revisions', () => {
+  let createdLegalBasis
+  let legalBasisData
+  beforeEach(async () => {
+    await LegalBasisRepository.deleteAll()
+    legalBasisData = generateLegalBasisData({
+      subjectId: String(createdSubjectId),
+      aspectsIds: JSON.stringify(createdAspectIds)
+    })
+    const response = await api
+      .post('/api/legalBasis')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send(legalBasisData)
+      .expect(201)
+      .expect('Content-Type', /application\/json/)
+
+    createdLegalBasis = response.body.legalBasis
+  })
+
+  test('Should record a revision when a legal basis is created', async () => {
+    const response = await api
+      .get(`/api/legalBasis/${createdLegalBasis.id}/revisions`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    const { revisions } = response.body
+    expect(revisions).toHaveLength(1)
+    expect(revisions[0]).toMatchObject({
+      legal_basis_id: createdLegalBasis.id,
+      action: 'Create',
+      legal_name: legalBasisData.legalName,
+      last_reform: legalBasisData.lastReform
+    })
+    expect(revisions[0].aspects_ids).toEqual(
+      expect.arrayContaining(createdAspectIds)
+    )
+    expect(revisions[0].user).toHaveProperty('gmail', ADMIN_GMAIL)
+  })
+
+  test('Should restore a legal basis to a previous revision', async () => {
+    await api
+      .patch(`/api/legalBasis/${createdLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ ...legalBasisData, legalName: 'Updated Legal Name' })
+      .expect(200)
+    const revisionsResponse = await api
+      .get(`/api/legalBasis/${createdLegalBasis.id}/revisions`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    const [updateRevision, createRevision] = revisionsResponse.body.revisions
+    expect(updateRevision).toMatchObject({
+      action: 'Update',
+      legal_name: 'Updated Legal Name'
+    })
+    const response = await api
+      .post(
+        `/api/legalBasis/${createdLegalBasis.id}/revisions/${createRevision.id}/restore`
+      )
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(response.body.legalBasis).toMatchObject({
+      id: createdLegalBasis.id,
+      legal_name: legalBasisData.legalName
+    })
+    const afterRestoreResponse = await api
+      .get(`/api/legalBasis/${createdLegalBasis.id}/revisions`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+    expect(afterRestoreResponse.body.revisions[0]).toMatchObject({
+      action: 'Restore',
+      legal_name: legalBasisData.legalName
+    })
+  })
+
+  test('Should restore a deleted legal basis together with its articles', async () => {
+    const articleData = generateArticleData()
+    const articleResponse = await api
+      .post(`/api/articles/legalBasis/${createdLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send(articleData)
+      .expect(201)
+    const { article } = articleResponse.body
+    await api
+      .delete(`/api/legalBasis/${createdLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(204)
+    const revisionsResponse = await api
+      .get(`/api/legalBasis/${createdLegalBasis.id}/revisions`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    const [deleteRevision] = revisionsResponse.body.revisions
+    expect(deleteRevision).toHaveProperty('action', 'Delete')
+    const response = await api
+      .post(
+        `/api/legalBasis/${createdLegalBasis.id}/revisions/${deleteRevision.id}/restore`
+      )
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    expect(response.body.legalBasis).toMatchObject({
+      id: createdLegalBasis.id,
+      legal_name: legalBasisData.legalName,
+      url: null
+    })
+    const articlesResponse = await api
+      .get(`/api/articles/legalBasis/${createdLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+    expect(articlesResponse.body.articles).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          id: article.id,
+          article_name: articleData.title,
+          description: articleData.article
+        })
+      ])
+    )
+  })
+
+  test('Should restore the outline of the articles of a deleted legal basis', async () => {
+    const titleResponse = await api
+      .post(`/api/articles/legalBasis/${createdLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send(generateArticleData({ title: 'TÍTULO PRIMERO', article: 'Disposiciones generales', order: 1, sectionKind: 'title' }))
+      .expect(201)
+    const heading = titleResponse.body.article
+    const articleResponse = await api
+      .post(`/api/articles/legalBasis/${createdLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send(generateArticleData({ title: 'Artículo 1', order: 2, sectionKind: 'article', parentId: heading.id }))
+      .expect(201)
+    const { article } = articleResponse.body
+    await api
+      .delete(`/api/legalBasis/${createdLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(204)
+    const revisionsResponse = await api
+      .get(`/api/legalBasis/${createdLegalBasis.id}/revisions`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+    const [deleteRevision] = revisionsResponse.body.revisions
+
+    await api
+      .post(
+        `/api/legalBasis/${createdLegalBasis.id}/revisions/${deleteRevision.id}/restore`
+      )
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    const articlesResponse = await api
+      .get(`/api/articles/legalBasis/${createdLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+    expect(articlesResponse.body.articles).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ id: heading.id, section_kind: 'title', parent_id: null }),
+        expect.objectContaining({ id: article.id, section_kind: 'article', parent_id: heading.id })
+      ])
+    )
+  })
+
+  test('Should restore a deleted article from its revisions', async () => {
+    const articleData = generateArticleData()
+    const articleResponse = await api
+      .post(`/api/articles/legalBasis/${createdLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send(articleData)
+      .expect(201)
+    const { article } = articleResponse.body
+    await api
+      .delete(`/api/article/${article.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(204)
+    const revisionsResponse = await api
+      .get(`/api/legalBasis/${createdLegalBasis.id}/articles/revisions`)
+      .query({ articleId: article.id })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    const { revisions } = revisionsResponse.body
+    expect(revisions.map(({ action }) => action)).toEqual(['Delete', 'Create'])
+    const response = await api
+      .post(
+        `/api/legalBasis/${createdLegalBasis.id}/articles/revisions/${revisions[0].id}/restore`
+      )
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(response.body.article).toMatchObject({
+      id: article.id,
+      legal_basis_id: createdLegalBasis.id,
+      article_name: articleData.title,
+      description: articleData.article
+    })
+    await waitForEmbeddings()
+    const pendingArticles = await EmbeddingsRepository.findPendingArticles(
+      { articleIds: [article.id] },
+      getEmbeddingProvider().model
+    )
+    expect(pendingArticles).toEqual([])
+  })
+
+  test('Should return 404 if the revision belongs to another legal basis', async () => {
+    const otherLegalBasisResponse = await api
+      .post('/api/legalBasis')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send(
+        generateLegalBasisData({
+          legalName: 'Other Legal Basis',
+          abbreviation: 'OLB',
+          subjectId: String(createdSubjectId),
+          aspectsIds: JSON.stringify(createdAspectIds)
+        })
+      )
+      .expect(201)
+    const otherLegalBasis = otherLegalBasisResponse.body.legalBasis
+    const revisionsResponse = await api
+      .get(`/api/legalBasis/${otherLegalBasis.id}/revisions`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    const [revision] = revisionsResponse.body.revisions
+    const response = await api
+      .post(
+        `/api/legalBasis/${createdLegalBasis.id}/revisions/${revision.id}/restore`
+      )
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(404)
+    expect(response.body.message).toMatch(/Revision not found/i)
+  })
+
+  test('Should return 404 if the legal basis never existed', async () => {
+    const response = await api
+      .get('/api/legalBasis/-1/revisions')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(404)
+    expect(response.body.message).toMatch(/LegalBasis not found/i)
+  })
+
+  test('Should return 401 if the user is unauthorized', async () => {
+    const response = await api
+      .get(`/api/legalBasis/${createdLegalBasis.id}/revisions`)
+      .expect(401)
+      .expect('Content-Type', /application\/json/)
+
+    expect(response.body.error).toMatch(/token missing or invalid/i)
+  })
+})
+
+describe('Decree Amendments', () => {
+  let targetLegalBasis
+  let decree
+  let amendments
+  beforeEach(async () => {
+    await LegalBasisRepository.deleteAll()
+    const targetResponse = await api
+      .post('/api/legalBasis')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send(
+        generateLegalBasisData({
+          legalName: 'Ley General para la Prevención y Gestión Integral de los Residuos',
+          abbreviation: 'LGPGIR',
+          classification: 'Ley',
+          lastReform: '01-01-2024',
+          subjectId: String(createdSubjectId),
+          aspectsIds: JSON.stringify(createdAspectIds)
+        })
+      )
+      .expect(201)
+    targetLegalBasis = targetResponse.body.legalBasis
+    for (const [order, title] of ['Artículo 12.', 'Artículo 13.'].entries()) {
+      await api
+        .post(`/api/articles/legalBasis/${targetLegalBasis.id}`)
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send({ title, article: `<p>${title} Texto vigente.</p>`, order: order + 1 })
+        .expect(201)
+    }
+    const decreeResponse = await api
+      .post('/api/legalBasis')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send(
+        generateLegalBasisData({
+          legalName: 'Decreto por el que se reforma la Ley General para la Prevención y Gestión Integral de los Residuos',
+          abbreviation: 'DLGPGIR',
+          classification: 'Decreto',
+          lastReform: '15-03-2025',
+          subjectId: String(createdSubjectId),
+          aspectsIds: JSON.stringify(createdAspectIds)
+        })
+      )
+      .expect(201)
+    decree = decreeResponse.body.legalBasis
+    amendments = await LegalBasisAmendmentsService.replacePending(decree.id, [
+      {
+        targetName: 'Ley General para la Prevención y Gestión Integral de los Residuos',
+        action: 'reform',
+        articleName: 'Artículo 12',
+        content: '<p>Artículo 12.- Texto reformado.</p>',
+        order: 1
+      },
+      {
+        targetName: 'Ley General para la Prevención y Gestión Integral de los Residuos',
+        action: 'addition',
+        articleName: 'Artículo 12 Bis',
+        content: '<p>Artículo 12 Bis.- Texto adicionado.</p>',
+        order: 2
+      }
+    ])
+  })
+
+  test('Should list the amendments of a decree with their target found by name', async () => {
+    const response = await api
+      .get(`/api/legalBasis/${decree.id}/amendments`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(response.body.amendments).toHaveLength(2)
+    expect(response.body.amendments[0]).toMatchObject({
+      decree_id: decree.id,
+      target_id: targetLegalBasis.id,
+      action: 'reform',
+      article_name: 'Artículo 12',
+      status: 'pending'
+    })
+  })
+
+  test('Should apply the approved amendments and update the last reform of the target', async () => {
+    for (const amendment of amendments) {
+      await api
+        .patch(`/api/legalBasis/${decree.id}/amendments/${amendment.id}`)
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send({ status: 'approved' })
+        .expect(200)
+    }
+    const response = await api
+      .post(`/api/legalBasis/${decree.id}/amendments/apply`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(response.body.amendments.map(({ status }) => status)).toEqual(['applied', 'applied'])
+    const articlesResponse = await api
+      .get(`/api/articles/legalBasis/${targetLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+    expect(
+      articlesResponse.body.articles.map(({ article_name: name, article_order: order }) => [name, order])
+    ).toEqual([
+      ['Artículo 12.', 1],
+      ['Artículo 12 Bis', 2],
+      ['Artículo 13.', 3]
+    ])
+    expect(articlesResponse.body.articles[0].description).toBe('<p>Artículo 12.- Texto reformado.</p>')
+    const targetResponse = await api
+      .get(`/api/legalBasis/${targetLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+    expect(targetResponse.body.legalBasis.last_reform).toBe('15-03-2025')
+  })
+
+  test('Should not apply amendments that do not match the articles of the target', async () => {
+    await api
+      .patch(`/api/legalBasis/${decree.id}/amendments/${amendments[0].id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ status: 'approved', action: 'repeal', articleName: 'Artículo 30' })
+      .expect(200)
+    const response = await api
+      .post(`/api/legalBasis/${decree.id}/amendments/apply`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(409)
+
+    expect(response.body.errors).toEqual([
+      expect.objectContaining({
+        id: amendments[0].id,
+        message: 'The article does not exist in the target legal basis'
+      })
+    ])
+  })
+
+  test('Should not apply a reform that only holds the amended parts of the article', async () => {
+    await api
+      .patch(`/api/legalBasis/${decree.id}/amendments/${amendments[0].id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({
+        status: 'approved',
+        content: '<p>Artículo 12.- ...</p><p>II. Texto reformado de la fracción.</p><p>...</p>'
+      })
+      .expect(200)
+    const response = await api
+      .post(`/api/legalBasis/${decree.id}/amendments/apply`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(409)
+
+    expect(response.body.errors).toEqual([
+      expect.objectContaining({
+        id: amendments[0].id,
+        message: expect.stringMatching(/only holds the amended parts/)
+      })
+    ])
+    const articlesResponse = await api
+      .get(`/api/articles/legalBasis/${targetLegalBasis.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+    expect(articlesResponse.body.articles[0].description).toBe('<p>Artículo 12. Texto vigente.</p>')
+  })
+
+  test('Should return 400 if the review sets an invalid status', async () => {
+    const response = await api
+      .patch(`/api/legalBasis/${decree.id}/amendments/${amendments[0].id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ status: 'applied' })
+      .expect(400)
+
+    expect(response.body.errors).toEqual(
+      expect.arrayContaining([expect.objectContaining({ field: 'status' })])
+    )
+  })
+})
@@ -1,12 +1,9 @@
 /* eslint-disable no-undef */
-import { api } from '../../config/test.config.js'
+import { api, loginAsAdmin } from '../../config/test.config.js'
 import UserRepository from '../../repositories/User.repository.js'
 import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
 import SendLegalBasisService from '../../services/legalBasis/sendLegalBasis/SendLegalBasis.service.js'
-import {
-  ADMIN_PASSWORD_TEST,
-  ADMIN_GMAIL
-} from '../../config/variables.config.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
 
 let tokenAdmin
 
@@ -15,16 +12,7 @@ beforeAll(async () => {
   await LegalBasisRepository.deleteAll()
   await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
 
-  const response = await api
-    .post('/api/user/login')
-    .send({
-      gmail: ADMIN_GMAIL,
-      password: ADMIN_PASSWORD_TEST
-    })
-    .expect(200)
-    .expect('Content-Type', /application\/json/)
-
-  tokenAdmin = response.body.token
+  tokenAdmin = await loginAsAdmin()
 }, timeout)
 
 afterEach(async () => {
@@ -1,27 +1,16 @@
 /* eslint-disable no-undef */
-import { api } from '../../config/test.config.js'
+import { api, loginAsAdmin } from '../../config/test.config.js'
 import UserRepository from '../../repositories/User.repository.js'
 import LegalVerbsRepository from '../../repositories/LegalVerbs.repository.js'
 import generateLegalVerbData from '../../utils/generateLegalVerbData.js'
-import {
-  ADMIN_PASSWORD_TEST,
-  ADMIN_GMAIL
-} from '../../config/variables.config.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
 
 let tokenAdmin
 
 beforeAll(async () => {
   await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
   await LegalVerbsRepository.deleteAll()
-  const response = await api
-    .post('/api/user/login')
-    .send({
-      gmail: ADMIN_GMAIL,
-      password: ADMIN_PASSWORD_TEST
-    })
-    .expect(200)
-    .expect('Content-Type', /application\/json/)
-  tokenAdmin = response.body.token
+  tokenAdmin = await loginAsAdmin()
 })
 
 beforeEach(async () => {
@@ -144,6 +133,39 @@ describe('GET /api/legal-verbs', () => {
     })
   })
 
+  test('Should combine filters and sort by name', async () => {
+    const legalVerbsData = [
+      generateLegalVerbData({ name: 'Deber Ambiental', translation: 'Must Environmental' }),
+      generateLegalVerbData({ name: 'Deber Laboral', translation: 'Must Labor' }),
+      generateLegalVerbData({ name: 'Poder Ambiental', translation: 'May Environmental' })
+    ]
+    for (const legalVerb of legalVerbsData) {
+      await api
+        .post('/api/legal-verbs')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send(legalVerb)
+        .expect(201)
+    }
+
+    const response = await api
+      .get('/api/legal-verbs')
+      .query({ name: 'Ambiental', translation: 'Environmental', sort: '-name' })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    expect(response.body.legalVerbs.map((verb) => verb.name)).toEqual([
+      'Poder Ambiental',
+      'Deber Ambiental'
+    ])
+    expect(response.body.pagination).toMatchObject({
+      page: 1,
+      pageSize: 20,
+      total: 2,
+      totalPages: 1,
+      nextCursor: null
+    })
+  })
+
   test('Should return 401 Unauthorized if token is missing', async () => {
     const response = await api.get('/api/legal-verbs').expect(401)
 
@@ -199,7 +221,7 @@ describe('GET /api/legal-verbs/:id', () => {
     expect(response.body.error).toMatch(/token missing or invalid/i)
   })
 })
-describe('GET /api/legal-verbs/search/name', () => {
+describe('GET /api/legal-verbs?name=', () => {
   test('Should return a list with a legal verb that matches the given name', async () => {
     const legalVerb = generateLegalVerbData({ name: 'Search Name' })
 
@@ -210,7 +232,7 @@ describe('GET /api/legal-verbs/search/name', () => {
       .expect(201)
 
     const response = await api
-      .get('/api/legal-verbs/search/name')
+      .get('/api/legal-verbs')
       .query({ name: 'Search Name' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -222,7 +244,7 @@ describe('GET /api/legal-verbs/search/name', () => {
 
   test('Should return an empty list when no legal verb matches the given name', async () => {
     const response = await api
-      .get('/api/legal-verbs/search/name')
+      .get('/api/legal-verbs')
       .query({ name: 'NonExistentName' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -232,14 +254,14 @@ describe('GET /api/legal-verbs/search/name', () => {
 
   test('Should return 401 Unauthorized if token is missing', async () => {
     const response = await api
-      .get('/api/legal-verbs/search/name')
+      .get('/api/legal-verbs')
       .query({ name: 'Search Name' })
       .expect(401)
 
     expect(response.body.error).toMatch(/token missing or invalid/i)
   })
 })
-describe('GET /api/legal-verbs/search/description', () => {
+describe('GET /api/legal-verbs?description=', () => {
   test('Should return a list with a legal verb that matches the given description', async () => {
     const legalVerb = generateLegalVerbData({ description: 'Search Desc' })
 
@@ -250,7 +272,7 @@ describe('GET /api/legal-verbs/search/description', () => {
       .expect(201)
 
     const response = await api
-      .get('/api/legal-verbs/search/description')
+      .get('/api/legal-verbs')
       .query({ description: 'Search Desc' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -264,7 +286,7 @@ describe('GET /api/legal-verbs/search/description', () => {
 
   test('Should return an empty list when no legal verb matches the given description', async () => {
     const response = await api
-      .get('/api/legal-verbs/search/description')
+      .get('/api/legal-verbs')
       .query({ description: 'NonExistentDesc' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -274,14 +296,14 @@ describe('GET /api/legal-verbs/search/description', () => {
 
   test('Should return 401 Unauthorized if token is missing', async () => {
     const response = await api
-      .get('/api/legal-verbs/search/description')
+      .get('/api/legal-verbs')
       .query({ description: 'Search Desc' })
       .expect(401)
 
     expect(response.body.error).toMatch(/token missing or invalid/i)
   })
 })
-describe('GET /api/legal-verbs/search/translation', () => {
+describe('GET /api/legal-verbs?translation=', () => {
   test('Should return a list with a legal verb that matches the given translation', async () => {
     const legalVerb = generateLegalVerbData({ translation: 'Search Trans' })
 
@@ -292,7 +314,7 @@ describe('GET /api/legal-verbs/search/translation', () => {
       .expect(201)
 
     const response = await api
-      .get('/api/legal-verbs/search/translation')
+      .get('/api/legal-verbs')
       .query({ translation: 'Search Trans' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -306,7 +328,7 @@ describe('GET /api/legal-verbs/search/translation', () => {
 
   test('Should return an empty list when no legal verb matches the given translation', async () => {
     const response = await api
-      .get('/api/legal-verbs/search/translation')
+      .get('/api/legal-verbs')
       .query({ translation: 'NonExistentTrans' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -316,7 +338,7 @@ describe('GET /api/legal-verbs/search/translation', () => {
 
   test('Should return 401 Unauthorized if token is missing', async () => {
     const response = await api
-      .get('/api/legal-verbs/search/translation')
+      .get('/api/legal-verbs')
       .query({ translation: 'Search Trans' })
       .expect(401)
 
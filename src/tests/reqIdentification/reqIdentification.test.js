@@ -1,17 +1,26 @@
 /* eslint-disable no-undef */
-import { api } from '../../config/test.config.js'
+import { api, loginAsAdmin } from '../../config/test.config.js'
 import UserRepository from '../../repositories/User.repository.js'
-import { ADMIN_GMAIL, ADMIN_PASSWORD_TEST } from '../../config/variables.config.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
 import ReqIdentificationRepository from '../../repositories/ReqIdentification.repository.js'
 import RequirementRepository from '../../repositories/Requirements.repository.js'
 import SubjectsRepository from '../../repositories/Subject.repository.js'
 import AspectsRepository from '../../repositories/Aspects.repository.js'
 import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
+import LegalVerbsRepository from '../../repositories/LegalVerbs.repository.js'
+import ArticlesRepository from '../../repositories/Articles.repository.js'
+import ArticleSubunitParser from '../../services/articles/articleExtraction/ArticleSubunitParser.js'
 
 import generateReqIdentificationData from '../../utils/generateReqIdentificationData.js'
 import generateLegalBasisData from '../../utils/generateLegalBasisData.js'
 import generateRequirementData from '../../utils/generateRequirementData.js'
+import generateLegalVerbData from '../../utils/generateLegalVerbData.js'
+import generateArticleData from '../../utils/generateArticleData.js'
 import reqIdentificationQueue from '../../workers/reqIdentificationWorker.js'
+import reqIdentificationReportQueue from '../../workers/reqIdentificationReportWorker.js'
+import ReqIdentificationService from '../../services/reqIdentification/ReqIdentification.service.js'
+import ReqIdentifyService from '../../services/reqIdentification/reqIdentify/ReqIdentify.service.js'
+import ReqIdentificationExportService from '../../services/reqIdentification/reqIdentificationExport/ReqIdentificationExport.service.js'
 
 let tokenAdmin
 let createdSubject
@@ -28,12 +37,9 @@ beforeAll(async () => {
   await AspectsRepository.deleteAll()
   await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
   await ReqIdentificationRepository.deleteAll()
+  await LegalVerbsRepository.deleteAll()
 
-  const loginRes = await api
-    .post('/api/user/login')
-    .send({ gmail: ADMIN_GMAIL, password: ADMIN_PASSWORD_TEST })
-    .expect(200)
-  tokenAdmin = loginRes.body.token
+  tokenAdmin = await loginAsAdmin()
 
   const subjRes = await api
     .post('/api/subjects')
@@ -152,3 +158,1196 @@ describe('ReqIdentificationService - create()', () => {
     expect(res.body.message).toMatch(/Requirement Identification name already exists/i)
   })
 })
+
+describe('ReqIdentificationService - getRequirementLegalVerbs()', () => {
+  let reqIdentificationId
+  let createdLegalVerb
+
+  beforeAll(async () => {
+    const reqIdentification = await ReqIdentificationRepository.create({
+      identificationName: 'Verbos ' + Date.now(),
+      identificationDescription: 'Identificación con verbos legales',
+      userId: null
+    })
+    reqIdentificationId = reqIdentification.id
+    const { name, description, translation } = generateLegalVerbData()
+    createdLegalVerb = await LegalVerbsRepository.create(name, description, translation)
+    await ReqIdentificationRepository.linkRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      'TS - TA - 1'
+    )
+    await ReqIdentificationRepository.linkLegalVerbToRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalVerb.id,
+      'Traducción contextual de prueba'
+    )
+  })
+
+  test('Should return the legal verb translations of the requirement', async () => {
+    const res = await api
+      .get(`/api/req-identification/${reqIdentificationId}/requirements/${createdRequirement.id}/legal-verbs`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.legalVerbs).toHaveLength(1)
+    expect(res.body.legalVerbs[0].legalVerb.id).toBe(createdLegalVerb.id)
+    expect(res.body.legalVerbs[0].translation).toBe('Traducción contextual de prueba')
+  })
+
+  test('Should return 404 if the requirement identification does not exist', async () => {
+    const res = await api
+      .get(`/api/req-identification/-1/requirements/${createdRequirement.id}/legal-verbs`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(404)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toMatch(/Requirement identification not found/i)
+  })
+
+  test('Should return 404 if the requirement is not part of the identification', async () => {
+    const res = await api
+      .get(`/api/req-identification/${reqIdentificationId}/requirements/-1/legal-verbs`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(404)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toMatch(/Requirement not found in requirement identification/i)
+  })
+})
+
+describe('ReqIdentificationService - status lifecycle', () => {
+  let reqIdentificationId
+
+  beforeAll(async () => {
+    const reqIdentification = await ReqIdentificationRepository.create({
+      identificationName: 'Estado ' + Date.now(),
+      identificationDescription: 'Identificación para estados',
+      userId: null
+    })
+    reqIdentificationId = reqIdentification.id
+  })
+
+  test('Should expose the failure reason of a failed identification', async () => {
+    await ReqIdentificationRepository.markAsFailed(reqIdentificationId, 'Requirement Identification Error')
+
+    const res = await api
+      .get(`/api/req-identification/${reqIdentificationId}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.reqIdentification.status).toBe('Fallido')
+    expect(res.body.reqIdentification.failureReason).toBe('Requirement Identification Error')
+    expect(res.body.reqIdentification.completedAt).toBeNull()
+  })
+
+  test('Should record the completion date of a completed identification', async () => {
+    await ReqIdentificationRepository.markAsCompleted(reqIdentificationId)
+
+    const res = await api
+      .get(`/api/req-identification/${reqIdentificationId}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.reqIdentification.status).toBe('Completado')
+    expect(res.body.reqIdentification.failureReason).toBeNull()
+    expect(res.body.reqIdentification.completedAt).toEqual(expect.any(String))
+  })
+})
+
+describe('GET /req-identification', () => {
+  beforeAll(async () => {
+    for (const identificationName of ['Listado A', 'Listado B', 'Listado C']) {
+      const reqIdentification = await ReqIdentificationRepository.create({
+        identificationName,
+        identificationDescription: 'Identificación para listado',
+        userId: null
+      })
+      await ReqIdentificationRepository.markAsCompleted(reqIdentification.id)
+    }
+  })
+
+  test('Should filter by name and status and paginate with a cursor', async () => {
+    const firstPage = await api
+      .get('/api/req-identification')
+      .query({ name: 'Listado', status: 'Completado', sort: 'name', pageSize: 2 })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(firstPage.body.reqIdentifications.map(({ name }) => name)).toEqual(['Listado A', 'Listado B'])
+    expect(firstPage.body.pagination).toMatchObject({ page: 1, pageSize: 2, total: 3, totalPages: 2 })
+    expect(firstPage.body.pagination.nextCursor).toEqual(expect.any(String))
+
+    const secondPage = await api
+      .get('/api/req-identification')
+      .query({
+        name: 'Listado',
+        status: 'Completado',
+        sort: 'name',
+        pageSize: 2,
+        cursor: firstPage.body.pagination.nextCursor
+      })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    expect(secondPage.body.reqIdentifications.map(({ name }) => name)).toEqual(['Listado C'])
+    expect(secondPage.body.pagination.nextCursor).toBeNull()
+  })
+
+  test('Should return 400 if createdFrom is after createdTo', async () => {
+    const res = await api
+      .get('/api/req-identification')
+      .query({ createdFrom: '2024-12-31', createdTo: '2024-01-01' })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(400)
+
+    expect(res.body.message).toBe('Validation failed')
+    expect(res.body.errors).toEqual(
+      expect.arrayContaining([expect.objectContaining({ field: 'createdTo' })])
+    )
+  })
+
+  test('Should return 404 if the subject does not exist', async () => {
+    const res = await api
+      .get('/api/req-identification')
+      .query({ subjectId: 999999 })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(404)
+
+    expect(res.body.message).toBe('Subject not found')
+  })
+})
+
+describe('ReqIdentifyService - job management', () => {
+  let reqIdentificationId
+
+  beforeAll(async () => {
+    const reqIdentification = await ReqIdentificationRepository.create({
+      identificationName: 'Trabajos ' + Date.now(),
+      identificationDescription: 'Identificación para trabajos',
+      userId: null
+    })
+    reqIdentificationId = reqIdentification.id
+  })
+
+  test('Should return the pending job of a requirement identification', async () => {
+    jest.spyOn(reqIdentificationQueue, 'getJobs').mockResolvedValue([
+      { id: 'pending-job', data: { reqIdentificationId } }
+    ])
+
+    const res = await api
+      .get(`/api/jobs/req-identification/reqIdentification/${reqIdentificationId}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body).toEqual({ hasPendingJobs: true, jobId: 'pending-job' })
+  })
+
+  test('Should report the articles evaluated by a job, including irrelevant ones', async () => {
+    await ReqIdentificationRepository.linkRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      'TS - TA - 1'
+    )
+    await ReqIdentificationRepository.linkLegalBaseToRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id
+    )
+    const article = await ArticlesRepository.create(
+      createdLegalBasis.id,
+      generateArticleData({ title: 'Artículo 30', order: 30 })
+    )
+    await ReqIdentificationRepository.recordArticleEvaluation(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id,
+      article.id,
+      false
+    )
+    jest.spyOn(reqIdentificationQueue, 'getJob').mockResolvedValue({
+      id: 'completed-job',
+      data: { reqIdentificationId },
+      getState: jest.fn().mockResolvedValue('completed'),
+      progress: jest.fn().mockReturnValue(100)
+    })
+
+    const res = await api
+      .get('/api/jobs/req-identification/completed-job')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body).toEqual({
+      message: 'Job completed successfully',
+      jobProgress: 100,
+      evaluatedArticles: 1,
+      relevantArticles: 0
+    })
+  })
+
+  test('Should return 404 when checking jobs of a non-existent requirement identification', async () => {
+    const res = await api
+      .get('/api/jobs/req-identification/reqIdentification/-1')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(404)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toMatch(/Requirement identification not found/i)
+  })
+
+  test('Should cancel an active job and mark the identification as failed', async () => {
+    const jobId = '12345'
+    const mockJob = {
+      id: jobId,
+      data: { reqIdentificationId },
+      moveToFailed: jest.fn().mockResolvedValue(true),
+      isActive: jest.fn().mockResolvedValue(true),
+      isCompleted: jest.fn().mockResolvedValue(false),
+      isFailed: jest.fn().mockResolvedValue(false)
+    }
+    jest.spyOn(reqIdentificationQueue, 'getJob').mockResolvedValue(mockJob)
+
+    await api
+      .delete(`/api/jobs/req-identification/${jobId}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(204)
+
+    expect(mockJob.moveToFailed).toHaveBeenCalledWith(
+      { message: 'Job was canceled' },
+      true
+    )
+    const saved = await ReqIdentificationRepository.findById(reqIdentificationId)
+    expect(saved.status).toBe('Fallido')
+    expect(saved.failureReason).toBe('Job was canceled')
+  })
+
+  test('Should return 404 when canceling a non-existent job', async () => {
+    jest.spyOn(reqIdentificationQueue, 'getJob').mockResolvedValue(null)
+
+    const res = await api
+      .delete('/api/jobs/req-identification/nonexistent')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(404)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toBe('Job not found')
+  })
+
+  test('Should retry a failed job and mark the identification as active', async () => {
+    const jobId = '12345'
+    const mockJob = {
+      id: jobId,
+      data: { reqIdentificationId },
+      isFailed: jest.fn().mockResolvedValue(true),
+      retry: jest.fn().mockResolvedValue(undefined)
+    }
+    jest.spyOn(reqIdentificationQueue, 'getJob').mockResolvedValue(mockJob)
+
+    await api
+      .post(`/api/jobs/req-identification/${jobId}/retry`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(204)
+
+    expect(mockJob.retry).toHaveBeenCalled()
+    const saved = await ReqIdentificationRepository.findById(reqIdentificationId)
+    expect(saved.status).toBe('Activo')
+    expect(saved.failureReason).toBeNull()
+  })
+
+  test('Should return 400 when retrying a job that has not failed', async () => {
+    const jobId = '12345'
+    const mockJob = {
+      id: jobId,
+      data: { reqIdentificationId },
+      isFailed: jest.fn().mockResolvedValue(false),
+      retry: jest.fn()
+    }
+    jest.spyOn(reqIdentificationQueue, 'getJob').mockResolvedValue(mockJob)
+
+    const res = await api
+      .post(`/api/jobs/req-identification/${jobId}/retry`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(400)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toBe(
+      "Job cannot be retried. Only jobs in 'failed' state can be retried."
+    )
+    expect(mockJob.retry).not.toHaveBeenCalled()
+  })
+
+  test('Should mark an active identification whose job is gone as failed when results are missing', async () => {
+    const reqIdentification = await ReqIdentificationRepository.create({
+      identificationName: 'Sin trabajo ' + Date.now(),
+      identificationDescription: 'Identificación sin trabajo en la cola',
+      userId: null
+    })
+    jest.spyOn(reqIdentificationQueue, 'getJobs').mockResolvedValue([])
+
+    await ReqIdentifyService.syncReqIdentificationsStatus()
+
+    const saved = await ReqIdentificationRepository.findById(reqIdentification.id)
+    expect(saved.status).toBe('Fallido')
+    expect(saved.failureReason).toBe('Job no longer in queue')
+  })
+
+  test('Should mark an active identification whose job is gone as completed when every result is recorded', async () => {
+    const reqIdentification = await ReqIdentificationRepository.create({
+      identificationName: 'Sin trabajo completo ' + Date.now(),
+      identificationDescription: 'Identificación sin trabajo en la cola',
+      userId: null
+    })
+    await ReqIdentificationRepository.linkRequirement(
+      reqIdentification.id,
+      createdRequirement.id,
+      'TS - TA - 1'
+    )
+    await ReqIdentificationRepository.linkLegalBaseToRequirement(
+      reqIdentification.id,
+      createdRequirement.id,
+      createdLegalBasis.id
+    )
+    const articles =
+      (await ArticlesRepository.findNormativeByLegalBasisId(createdLegalBasis.id)) || []
+    for (const article of articles) {
+      await ReqIdentificationRepository.recordArticleEvaluation(
+        reqIdentification.id,
+        createdRequirement.id,
+        createdLegalBasis.id,
+        article.id,
+        false
+      )
+    }
+    jest.spyOn(reqIdentificationQueue, 'getJobs').mockResolvedValue([])
+
+    await ReqIdentifyService.syncReqIdentificationsStatus()
+
+    const saved = await ReqIdentificationRepository.findById(reqIdentification.id)
+    expect(saved.status).toBe('Completado')
+    expect(saved.failureReason).toBeNull()
+  })
+
+  test('Should return 401 if the user is missing a token', async () => {
+    const response = await api
+      .post('/api/jobs/req-identification/12345/retry')
+      .expect(401)
+      .expect('Content-Type', /application\/json/)
+
+    expect(response.body.error).toMatch(/token missing or invalid/i)
+  })
+})
+
+describe('ReqIdentificationExportService - export()', () => {
+  let reqIdentificationId
+  let createdArticle
+
+  beforeAll(async () => {
+    const reqIdentification = await ReqIdentificationRepository.create({
+      identificationName: 'Exportación ' + Date.now(),
+      identificationDescription: 'Identificación para exportar',
+      userId: null
+    })
+    reqIdentificationId = reqIdentification.id
+    createdArticle = await ArticlesRepository.create(
+      createdLegalBasis.id,
+      generateArticleData({ title: 'Artículo 5', plainArticle: 'Contenido' })
+    )
+    await ReqIdentificationRepository.linkRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      'TS - TA - 1'
+    )
+    await ReqIdentificationRepository.linkLegalBaseToRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id
+    )
+    await ReqIdentificationRepository.linkArticleToLegalBaseToRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id,
+      createdArticle.id,
+      'Obligatorio'
+    )
+  })
+
+  test('Should export the compliance matrix as CSV with one row per requirement', async () => {
+    const res = await api
+      .get(`/api/req-identification/${reqIdentificationId}/export?format=csv`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /text\/csv/)
+      .expect('Content-Disposition', /attachment; filename=".+\.csv"/)
+
+    const lines = res.text.split('\r\n')
+    expect(lines).toHaveLength(2)
+    expect(lines[0]).toMatch(/Requerimiento/)
+    expect(lines[1]).toMatch(/TS - TA - 1/)
+    expect(lines[1]).toMatch(/Artículo 5 \(Obligatorio\)/)
+  })
+
+  test('Should cite the fractions and incisos of an article that hold the requirement', async () => {
+    const article = await ArticlesRepository.create(
+      createdLegalBasis.id,
+      generateArticleData({ title: 'Artículo 28.-', order: 2 })
+    )
+    await ArticlesRepository.replaceSubunits(
+      article.id,
+      ArticleSubunitParser.parse([
+        'Artículo 28.- Requieren autorización:',
+        'I.- Obras hidráulicas;',
+        'II.- Industria del petróleo:',
+        'a) Refinación, y',
+        'b) Petroquímica.'
+      ].join('\n'))
+    )
+    const subunits = await ArticlesRepository.findSubunitsByArticleIds([article.id])
+    const citedSubunit = subunits.find(
+      ({ citation }) => citation === 'fracción II, inciso b)'
+    )
+    await ReqIdentificationRepository.linkArticleToLegalBaseToRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id,
+      article.id,
+      'Complementario'
+    )
+    await ReqIdentificationRepository.linkArticleSubunits(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id,
+      article.id,
+      [citedSubunit.id]
+    )
+
+    const res = await api
+      .get(`/api/req-identification/${reqIdentificationId}/export?format=csv`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    expect(res.text).toMatch(/Artículo 28, fracción II, inciso b\) \(Complementario\)/)
+  })
+
+  test('Should prefix CSV cells that spreadsheets would read as formulas', () => {
+    const csv = ReqIdentificationExportService._buildCsv([
+      {
+        requirementName: '=HYPERLINK("http://example.com")',
+        subject: '+1',
+        aspects: '-2',
+        requirementType: '@SUM(A1)',
+        condition: '\tTab',
+        evidence: 'Bitácora - mensual'
+      }
+    ]).toString('utf-8')
+
+    const cells = csv.split('\r\n')[1].split(',')
+    expect(cells[0]).toBe('"\'=HYPERLINK(""http://example.com"")"')
+    expect(cells[1]).toBe('"\'+1"')
+    expect(cells[2]).toBe('"\'-2"')
+    expect(cells[3]).toBe('"\'@SUM(A1)"')
+    expect(cells[4]).toBe('"\'\tTab"')
+    expect(cells[5]).toBe('"Bitácora - mensual"')
+  })
+
+  test('Should export the compliance matrix as XLSX by default', async () => {
+    await api
+      .get(`/api/req-identification/${reqIdentificationId}/export`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /spreadsheetml/)
+      .expect('Content-Disposition', /attachment; filename=".+\.xlsx"/)
+  })
+
+  test('Should return 400 for an unsupported format', async () => {
+    const res = await api
+      .get(`/api/req-identification/${reqIdentificationId}/export?format=pdf`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(400)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toMatch(/Invalid export format/i)
+  })
+
+  test('Should return 404 if the requirement identification does not exist', async () => {
+    const res = await api
+      .get('/api/req-identification/-1/export?format=csv')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(404)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toMatch(/Requirement identification not found/i)
+  })
+})
+
+describe('ArticlesRepository - replaceSubunits()', () => {
+  let reqIdentificationId
+  let article
+  let citedSubunit
+
+  beforeAll(async () => {
+    const reqIdentification = await ReqIdentificationRepository.create({
+      identificationName: 'Subunidades ' + Date.now(),
+      identificationDescription: 'Identificación que cita fracciones',
+      userId: null
+    })
+    reqIdentificationId = reqIdentification.id
+    article = await ArticlesRepository.create(
+      createdLegalBasis.id,
+      generateArticleData({ title: 'Artículo 40.-', order: 40 })
+    )
+    await ArticlesRepository.replaceSubunits(
+      article.id,
+      ArticleSubunitParser.parse([
+        'Artículo 40.- Requieren autorización:',
+        'I.- Obras hidráulicas;',
+        'II.- Industria del petróleo.'
+      ].join('\n'))
+    )
+    const subunits = await ArticlesRepository.findSubunitsByArticleIds([article.id])
+    citedSubunit = subunits.find(({ citation }) => citation === 'fracción II')
+    await ReqIdentificationRepository.linkRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      'TS - TA - 1'
+    )
+    await ReqIdentificationRepository.linkLegalBaseToRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id
+    )
+    await ReqIdentificationRepository.linkArticleToLegalBaseToRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id,
+      article.id,
+      'Obligatorio'
+    )
+    await ReqIdentificationRepository.linkArticleSubunits(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id,
+      article.id,
+      [citedSubunit.id]
+    )
+  })
+
+  test('Should keep the cited sub-units that remain after the article text changes', async () => {
+    const flaggedPairs = await ArticlesRepository.replaceSubunits(
+      article.id,
+      ArticleSubunitParser.parse([
+        'Artículo 40.- Requieren autorización:',
+        'I.- Obras hidráulicas y presas;',
+        'II.- Industria del petróleo y sus derivados.'
+      ].join('\n'))
+    )
+
+    expect(flaggedPairs).toBe(0)
+    const subunits = await ArticlesRepository.findSubunitsByArticleIds([article.id])
+    expect(subunits.find(({ citation }) => citation === 'fracción II').id).toBe(citedSubunit.id)
+    expect(await ReqIdentificationRepository.findOutdatedLegalBases(reqIdentificationId)).toBeNull()
+  })
+
+  test('Should flag the identifications citing a sub-unit that disappears', async () => {
+    const flaggedPairs = await ArticlesRepository.replaceSubunits(
+      article.id,
+      ArticleSubunitParser.parse([
+        'Artículo 40.- Requieren autorización:',
+        'I.- Obras hidráulicas y presas.'
+      ].join('\n'))
+    )
+
+    expect(flaggedPairs).toBe(1)
+    expect(await ReqIdentificationRepository.findOutdatedLegalBases(reqIdentificationId)).toEqual([
+      expect.objectContaining({
+        requirementId: createdRequirement.id,
+        legalBasisId: createdLegalBasis.id
+      })
+    ])
+  })
+})
+
+describe('ReqIdentificationReportService - report', () => {
+  let reqIdentificationId
+
+  beforeAll(async () => {
+    const reqIdentification = await ReqIdentificationRepository.create({
+      identificationName: 'Reporte ' + Date.now(),
+      identificationDescription: 'Identificación para reporte',
+      userId: null
+    })
+    reqIdentificationId = reqIdentification.id
+    await ReqIdentificationRepository.linkRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      'TS - TA - 1'
+    )
+    await ReqIdentificationRepository.linkLegalBaseToRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id
+    )
+  })
+
+  test('Should download the PDF report of a requirement identification', async () => {
+    const res = await api
+      .get(`/api/req-identification/${reqIdentificationId}/report`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .responseType('blob')
+      .expect(200)
+      .expect('Content-Type', /application\/pdf/)
+      .expect('Content-Disposition', /attachment; filename=".+\.pdf"/)
+
+    expect(res.body.toString('utf-8', 0, 5)).toBe('%PDF-')
+  })
+
+  test('Should queue the PDF report to be emailed', async () => {
+    const addSpy = jest
+      .spyOn(reqIdentificationReportQueue, 'add')
+      .mockResolvedValue({ id: 'report-job' })
+
+    const res = await api
+      .post(`/api/req-identification/${reqIdentificationId}/report`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(201)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.jobId).toBe('report-job')
+    expect(addSpy).toHaveBeenCalledWith(
+      expect.objectContaining({ reqIdentificationId })
+    )
+  })
+
+  test('Should return 404 if the requirement identification does not exist', async () => {
+    const res = await api
+      .get('/api/req-identification/-1/report')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(404)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toMatch(/Requirement identification not found/i)
+  })
+})
+
+describe('ReqIdentificationService - outdated legal bases', () => {
+  let reqIdentificationId
+
+  beforeAll(async () => {
+    const reqIdentification = await ReqIdentificationRepository.create({
+      identificationName: 'Desactualizada ' + Date.now(),
+      identificationDescription: 'Identificación con fundamento reformado',
+      userId: null
+    })
+    reqIdentificationId = reqIdentification.id
+    await ReqIdentificationRepository.linkRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      'TS - TA - 1'
+    )
+    await ReqIdentificationRepository.linkLegalBaseToRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id
+    )
+  })
+
+  test('Should flag the identifications that cite a reformed legal basis', async () => {
+    const flaggedIds =
+      await ReqIdentificationService.markLegalBasisAsOutdated(createdLegalBasis)
+    expect(flaggedIds).toContain(reqIdentificationId)
+
+    const res = await api
+      .get(`/api/req-identification/${reqIdentificationId}/outdated`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.outdatedLegalBases).toEqual([
+      expect.objectContaining({
+        requirementId: createdRequirement.id,
+        legalBasisId: createdLegalBasis.id,
+        outdatedAt: expect.any(String)
+      })
+    ])
+  })
+
+  test('Should re-queue only the outdated requirement/legal basis pairs', async () => {
+    jest
+      .spyOn(ReqIdentifyService, 'hasPendingReqIdentificationJobs')
+      .mockResolvedValue({ hasPendingJobs: false, jobId: null })
+    const addSpy = jest
+      .spyOn(reqIdentificationQueue, 'add')
+      .mockResolvedValue({ id: 'rerun-job' })
+
+    const res = await api
+      .post(`/api/req-identification/${reqIdentificationId}/outdated/rerun`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ intelligenceLevel: 'Low' })
+      .expect(201)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.jobId).toBe('rerun-job')
+    expect(addSpy).toHaveBeenCalledWith(
+      expect.objectContaining({
+        reqIdentificationId,
+        pairs: [
+          {
+            requirementId: createdRequirement.id,
+            legalBasisId: createdLegalBasis.id
+          }
+        ]
+      })
+    )
+  })
+
+  test('Should return 409 if the identification already has a pending job', async () => {
+    jest
+      .spyOn(ReqIdentifyService, 'hasPendingReqIdentificationJobs')
+      .mockResolvedValue({ hasPendingJobs: true, jobId: 'pending-job' })
+
+    const res = await api
+      .post(`/api/req-identification/${reqIdentificationId}/outdated/rerun`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ intelligenceLevel: 'Low' })
+      .expect(409)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toMatch(/already has a pending job/i)
+  })
+
+  test('Should return 400 if the intelligence level is missing', async () => {
+    const res = await api
+      .post(`/api/req-identification/${reqIdentificationId}/outdated/rerun`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({})
+      .expect(400)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toBe('Validation failed')
+  })
+
+  test('Should return 400 if the identification has no outdated legal bases', async () => {
+    await ReqIdentificationRepository.clearOutdatedLegalBasis(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id
+    )
+
+    const res = await api
+      .post(`/api/req-identification/${reqIdentificationId}/outdated/rerun`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ intelligenceLevel: 'Low' })
+      .expect(400)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toMatch(/no outdated legal bases/i)
+  })
+})
+
+describe('ReqIdentificationService - compare()', () => {
+  let emptyReqIdentificationId
+  let leftReqIdentificationId
+  let rightReqIdentificationId
+  let reclassifiedArticle
+  let addedArticle
+  let previousArticle
+  let reextractedArticle
+
+  beforeAll(async () => {
+    const createIdentification = async (name) => {
+      const { id } = await ReqIdentificationRepository.create({
+        identificationName: `${name} ${Date.now()}`,
+        identificationDescription: 'Identificación para comparar',
+        userId: null
+      })
+      return id
+    }
+    emptyReqIdentificationId = await createIdentification('Vacía')
+    leftReqIdentificationId = await createIdentification('Anterior')
+    rightReqIdentificationId = await createIdentification('Actual')
+    reclassifiedArticle = await ArticlesRepository.create(
+      createdLegalBasis.id,
+      generateArticleData({ title: 'Artículo 10', plainArticle: 'Contenido', order: 10 })
+    )
+    addedArticle = await ArticlesRepository.create(
+      createdLegalBasis.id,
+      generateArticleData({ title: 'Artículo 11', plainArticle: 'Contenido', order: 11 })
+    )
+    previousArticle = await ArticlesRepository.create(
+      createdLegalBasis.id,
+      generateArticleData({ title: 'Artículo 12', article: 'Texto anterior', order: 12 })
+    )
+    reextractedArticle = await ArticlesRepository.create(
+      createdLegalBasis.id,
+      generateArticleData({ title: 'ARTÍCULO 12.-', article: 'Texto reformado', order: 13 })
+    )
+    for (const reqIdentificationId of [leftReqIdentificationId, rightReqIdentificationId]) {
+      await ReqIdentificationRepository.linkRequirement(
+        reqIdentificationId,
+        createdRequirement.id,
+        'TS - TA - 1'
+      )
+      await ReqIdentificationRepository.linkLegalBaseToRequirement(
+        reqIdentificationId,
+        createdRequirement.id,
+        createdLegalBasis.id
+      )
+    }
+    await ReqIdentificationRepository.linkArticleToLegalBaseToRequirement(
+      leftReqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id,
+      reclassifiedArticle.id,
+      'Obligatorio'
+    )
+    await ReqIdentificationRepository.linkArticleToLegalBaseToRequirement(
+      rightReqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id,
+      reclassifiedArticle.id,
+      'Complementario'
+    )
+    await ReqIdentificationRepository.linkArticleToLegalBaseToRequirement(
+      rightReqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id,
+      addedArticle.id,
+      'General'
+    )
+    await ReqIdentificationRepository.linkArticleToLegalBaseToRequirement(
+      leftReqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id,
+      previousArticle.id,
+      'Obligatorio'
+    )
+    await ReqIdentificationRepository.linkArticleToLegalBaseToRequirement(
+      rightReqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id,
+      reextractedArticle.id,
+      'Obligatorio'
+    )
+  })
+
+  test('Should report added and reclassified articles', async () => {
+    const res = await api
+      .get(`/api/req-identification/compare?left=${leftReqIdentificationId}&right=${rightReqIdentificationId}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    const { comparison } = res.body
+    expect(comparison.requirements).toEqual({ added: [], removed: [] })
+    expect(comparison.legalBases).toEqual({ added: [], removed: [] })
+    expect(comparison.articles.removed).toEqual([])
+    expect(comparison.articles.added).toEqual([
+      expect.objectContaining({
+        requirementId: createdRequirement.id,
+        legalBasisId: createdLegalBasis.id,
+        articleId: addedArticle.id,
+        articleType: 'General'
+      })
+    ])
+    expect(comparison.articles.reclassified).toEqual([
+      expect.objectContaining({
+        articleId: reclassifiedArticle.id,
+        previousArticleType: 'Obligatorio',
+        articleType: 'Complementario'
+      })
+    ])
+  })
+
+  test('Should match re-extracted articles by name and report their content changes', async () => {
+    const res = await api
+      .get(`/api/req-identification/compare?left=${leftReqIdentificationId}&right=${rightReqIdentificationId}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    const { articles } = res.body.comparison
+    expect(articles.added.map(({ articleId }) => articleId)).not.toContain(reextractedArticle.id)
+    expect(articles.removed).toEqual([])
+    expect(articles.contentChanged).toEqual([
+      expect.objectContaining({
+        articleId: reextractedArticle.id,
+        previousArticleId: previousArticle.id,
+        articleType: 'Obligatorio'
+      })
+    ])
+  })
+
+  test('Should match re-extracted articles by their order before their name', async () => {
+    const createIdentification = async (name, article) => {
+      const { id } = await ReqIdentificationRepository.create({
+        identificationName: `${name} ${Date.now()}`,
+        identificationDescription: 'Identificación para comparar por orden',
+        userId: null
+      })
+      await ReqIdentificationRepository.linkRequirement(id, createdRequirement.id, 'TS - TA - 1')
+      await ReqIdentificationRepository.linkLegalBaseToRequirement(
+        id,
+        createdRequirement.id,
+        createdLegalBasis.id
+      )
+      await ReqIdentificationRepository.linkArticleToLegalBaseToRequirement(
+        id,
+        createdRequirement.id,
+        createdLegalBasis.id,
+        article.id,
+        'Obligatorio'
+      )
+      return id
+    }
+    const renamedArticle = await ArticlesRepository.create(
+      createdLegalBasis.id,
+      generateArticleData({ title: 'Artículo 14', article: 'Texto anterior', order: 14 })
+    )
+    const reorderedArticle = await ArticlesRepository.create(
+      createdLegalBasis.id,
+      generateArticleData({ title: 'Artículo Decimocuarto', article: 'Texto reformado', order: 14 })
+    )
+    const left = await createIdentification('Anterior por orden', renamedArticle)
+    const right = await createIdentification('Actual por orden', reorderedArticle)
+
+    const res = await api
+      .get(`/api/req-identification/compare?left=${left}&right=${right}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    const { articles } = res.body.comparison
+    expect(articles.added).toEqual([])
+    expect(articles.removed).toEqual([])
+    expect(articles.contentChanged).toEqual([
+      expect.objectContaining({
+        articleId: reorderedArticle.id,
+        previousArticleId: renamedArticle.id
+      })
+    ])
+  })
+
+  test('Should report added and removed requirements', async () => {
+    const res = await api
+      .get(`/api/req-identification/compare?left=${rightReqIdentificationId}&right=${emptyReqIdentificationId}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    const { comparison } = res.body
+    expect(comparison.requirements.added).toEqual([])
+    expect(comparison.requirements.removed).toEqual([
+      { requirementId: createdRequirement.id, requirementName: 'TS - TA - 1' }
+    ])
+    expect(comparison.articles).toEqual({
+      added: [],
+      removed: [],
+      reclassified: [],
+      contentChanged: []
+    })
+  })
+
+  test('Should return 404 if a requirement identification does not exist', async () => {
+    const res = await api
+      .get(`/api/req-identification/compare?left=${leftReqIdentificationId}&right=999999`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(404)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toMatch(/Requirement identification not found/i)
+    expect(res.body.errors).toEqual({ notFoundIds: [999999] })
+  })
+
+  test('Should return 400 if an ID is missing', async () => {
+    const res = await api
+      .get(`/api/req-identification/compare?left=${leftReqIdentificationId}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(400)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toBe('Validation failed')
+  })
+})
+
+describe('ReqIdentificationService - manual curation', () => {
+  let reqIdentificationId
+  let citedArticle
+  let createdLegalVerb
+
+  beforeAll(async () => {
+    const reqIdentification = await ReqIdentificationRepository.create({
+      identificationName: 'Curada ' + Date.now(),
+      identificationDescription: 'Identificación con correcciones manuales',
+      userId: null
+    })
+    reqIdentificationId = reqIdentification.id
+    citedArticle = await ArticlesRepository.create(
+      createdLegalBasis.id,
+      generateArticleData({ title: 'Artículo 20', plainArticle: 'Contenido', order: 20 })
+    )
+    const { name, description, translation } = generateLegalVerbData()
+    createdLegalVerb = await LegalVerbsRepository.create(name, description, translation)
+  })
+
+  beforeEach(() => {
+    jest
+      .spyOn(ReqIdentifyService, 'hasPendingReqIdentificationJobs')
+      .mockResolvedValue({ hasPendingJobs: false, jobId: null })
+  })
+
+  test('Should manually add a requirement to the identification', async () => {
+    const res = await api
+      .post(`/api/req-identification/${reqIdentificationId}/requirements`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ requirementId: createdRequirement.id })
+      .expect(201)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.requirement).toEqual({
+      requirementId: createdRequirement.id,
+      requirementName: createdRequirement.requirement_name,
+      source: 'Manual',
+      updatedBy: expect.any(Number)
+    })
+  })
+
+  test('Should return 409 if the requirement is already in the identification', async () => {
+    const res = await api
+      .post(`/api/req-identification/${reqIdentificationId}/requirements`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ requirementId: createdRequirement.id })
+      .expect(409)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toMatch(/Requirement already exists/i)
+  })
+
+  test('Should manually cite an article and link its legal basis', async () => {
+    const res = await api
+      .post(`/api/req-identification/${reqIdentificationId}/requirements/${createdRequirement.id}/articles`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({
+        legalBasisId: createdLegalBasis.id,
+        articleId: citedArticle.id,
+        articleType: 'Obligatorio'
+      })
+      .expect(201)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.article).toEqual(
+      expect.objectContaining({ articleId: citedArticle.id, source: 'Manual' })
+    )
+    const [requirement] =
+      await ReqIdentificationRepository.findRequirements(reqIdentificationId)
+    expect(requirement.legalBases[0].source).toBe('Manual')
+    expect(requirement.legalBases[0].articles[0].articleType).toBe('Obligatorio')
+  })
+
+  test('Should return 400 if the article type is invalid', async () => {
+    const res = await api
+      .patch(`/api/req-identification/${reqIdentificationId}/requirements/${createdRequirement.id}/legal-basis/${createdLegalBasis.id}/articles/${citedArticle.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ articleType: 'Opcional' })
+      .expect(400)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toBe('Validation failed')
+  })
+
+  test('Should change the article type and record the curator', async () => {
+    const res = await api
+      .patch(`/api/req-identification/${reqIdentificationId}/requirements/${createdRequirement.id}/legal-basis/${createdLegalBasis.id}/articles/${citedArticle.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ articleType: 'Complementario' })
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.article.articleType).toBe('Complementario')
+    const [requirement] =
+      await ReqIdentificationRepository.findRequirements(reqIdentificationId)
+    const [article] = requirement.legalBases[0].articles
+    expect(article.articleType).toBe('Complementario')
+    expect(article.source).toBe('Manual')
+    expect(article.updatedBy).toBe(res.body.article.updatedBy)
+  })
+
+  test('Should keep an edited legal verb translation when re-running', async () => {
+    await ReqIdentificationRepository.linkLegalVerbToRequirement(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalVerb.id,
+      'Traducción generada'
+    )
+
+    const res = await api
+      .patch(`/api/req-identification/${reqIdentificationId}/requirements/${createdRequirement.id}/legal-verbs/${createdLegalVerb.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ translation: 'Traducción corregida' })
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.legalVerb).toEqual(
+      expect.objectContaining({ translation: 'Traducción corregida', source: 'Manual' })
+    )
+    await ReqIdentificationRepository.unlinkLegalVerbsFromRequirement(
+      reqIdentificationId,
+      createdRequirement.id
+    )
+    const legalVerbs = await ReqIdentificationRepository.findLegalVerbsByRequirement(
+      reqIdentificationId,
+      createdRequirement.id
+    )
+    expect(legalVerbs).toHaveLength(1)
+    expect(legalVerbs[0].translation).toBe('Traducción corregida')
+  })
+
+  test('Should remove an article citation and exclude it from re-runs', async () => {
+    await api
+      .delete(`/api/req-identification/${reqIdentificationId}/requirements/${createdRequirement.id}/legal-basis/${createdLegalBasis.id}/articles/${citedArticle.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(204)
+
+    const isExcluded = await ReqIdentificationRepository.isArticleExcluded(
+      reqIdentificationId,
+      createdRequirement.id,
+      createdLegalBasis.id,
+      citedArticle.id
+    )
+    expect(isExcluded).toBe(true)
+  })
+
+  test('Should remove a requirement and exclude it from re-runs', async () => {
+    await api
+      .delete(`/api/req-identification/${reqIdentificationId}/requirements/${createdRequirement.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(204)
+
+    const requirements =
+      await ReqIdentificationRepository.findRequirements(reqIdentificationId)
+    expect(requirements).toBeNull()
+    const excludedIds =
+      await ReqIdentificationRepository.findExcludedRequirementIds(reqIdentificationId)
+    expect(excludedIds).toContain(createdRequirement.id)
+  })
+
+  test('Should return 409 if the identification has a pending job', async () => {
+    jest
+      .spyOn(ReqIdentifyService, 'hasPendingReqIdentificationJobs')
+      .mockResolvedValue({ hasPendingJobs: true, jobId: 'pending-job' })
+
+    const res = await api
+      .post(`/api/req-identification/${reqIdentificationId}/requirements`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ requirementId: createdRequirement.id })
+      .expect(409)
+      .expect('Content-Type', /application\/json/)
+
+    expect(res.body.message).toMatch(/already has a pending job/i)
+  })
+})
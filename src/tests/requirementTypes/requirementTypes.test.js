@@ -1,27 +1,16 @@
 /* eslint-disable no-undef */
-import { api } from '../../config/test.config.js'
+import { api, loginAsAdmin } from '../../config/test.config.js'
 import UserRepository from '../../repositories/User.repository.js'
 import RequirementTypesRepository from '../../repositories/RequirementTypes.repository.js'
 import generateRequirementTypeData from '../../utils/generateRequirementTypeData.js'
-import {
-  ADMIN_PASSWORD_TEST,
-  ADMIN_GMAIL
-} from '../../config/variables.config.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
 
 let tokenAdmin
 
 beforeAll(async () => {
   await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
   await RequirementTypesRepository.deleteAll()
-  const response = await api
-    .post('/api/user/login')
-    .send({
-      gmail: ADMIN_GMAIL,
-      password: ADMIN_PASSWORD_TEST
-    })
-    .expect(200)
-    .expect('Content-Type', /application\/json/)
-  tokenAdmin = response.body.token
+  tokenAdmin = await loginAsAdmin()
 })
 
 beforeEach(async () => {
@@ -147,6 +136,34 @@ describe('GET /api/requirement-types', () => {
     })
   })
 
+  test('Should paginate requirement types', async () => {
+    for (const name of ['Type A', 'Type B']) {
+      await api
+        .post('/api/requirement-types')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send(generateRequirementTypeData({ name }))
+        .expect(201)
+    }
+
+    const firstPage = await api
+      .get('/api/requirement-types')
+      .query({ pageSize: 1, sort: 'name' })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    expect(firstPage.body.requirementTypes.map((rt) => rt.name)).toEqual(['Type A'])
+    expect(firstPage.body.pagination).toMatchObject({ page: 1, pageSize: 1, total: 2, totalPages: 2 })
+
+    const secondPage = await api
+      .get('/api/requirement-types')
+      .query({ pageSize: 1, sort: 'name', cursor: firstPage.body.pagination.nextCursor })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    expect(secondPage.body.requirementTypes.map((rt) => rt.name)).toEqual(['Type B'])
+    expect(secondPage.body.pagination.nextCursor).toBeNull()
+  })
+
   test('Should return 401 if the user is unauthorized', async () => {
     const response = await api.get('/api/requirement-types').expect(401)
 
@@ -210,7 +227,7 @@ describe('GET /api/requirement-types/:id', () => {
   })
 })
 
-describe('GET /api/requirement-types/search/name', () => {
+describe('GET /api/requirement-types?name=', () => {
   test('Should return a requirement type that matches the given name', async () => {
     const data = generateRequirementTypeData({ name: 'Water Regulation' })
 
@@ -221,7 +238,7 @@ describe('GET /api/requirement-types/search/name', () => {
       .expect(201)
 
     const response = await api
-      .get('/api/requirement-types/search/name')
+      .get('/api/requirement-types')
       .query({ name: 'Water Regulation' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -233,7 +250,7 @@ describe('GET /api/requirement-types/search/name', () => {
 
   test('Should return an empty array when no requirement types match the given name', async () => {
     const response = await api
-      .get('/api/requirement-types/search/name')
+      .get('/api/requirement-types')
       .query({ name: 'NonExistentName' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -243,7 +260,7 @@ describe('GET /api/requirement-types/search/name', () => {
 
   test('Should return 401 if the user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirement-types/search/name')
+      .get('/api/requirement-types')
       .query({ name: 'Water Regulation' })
       .expect(401)
 
@@ -251,7 +268,7 @@ describe('GET /api/requirement-types/search/name', () => {
   })
 })
 
-describe('GET /api/requirement-types/search/description', () => {
+describe('GET /api/requirement-types?description=', () => {
   test('Should return a requirement type that matches the given description', async () => {
     const data = generateRequirementTypeData({
       description: 'Regulates water treatment'
@@ -264,7 +281,7 @@ describe('GET /api/requirement-types/search/description', () => {
       .expect(201)
 
     const response = await api
-      .get('/api/requirement-types/search/description')
+      .get('/api/requirement-types')
       .query({ description: 'Regulates water treatment' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -278,7 +295,7 @@ describe('GET /api/requirement-types/search/description', () => {
 
   test('Should return an empty array when no requirement types match the given description', async () => {
     const response = await api
-      .get('/api/requirement-types/search/description')
+      .get('/api/requirement-types')
       .query({ description: 'NonExistentDescription' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -288,7 +305,7 @@ describe('GET /api/requirement-types/search/description', () => {
 
   test('Should return 401 if the user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirement-types/search/description')
+      .get('/api/requirement-types')
       .query({ description: 'Regulates water treatment' })
       .expect(401)
 
@@ -296,7 +313,7 @@ describe('GET /api/requirement-types/search/description', () => {
   })
 })
 
-describe('GET /api/requirement-types/search/classification', () => {
+describe('GET /api/requirement-types?classification=', () => {
   test('Should return a requirement type that matches the given classification', async () => {
     const data = generateRequirementTypeData({
       classification: 'Environmental'
@@ -309,7 +326,7 @@ describe('GET /api/requirement-types/search/classification', () => {
       .expect(201)
 
     const response = await api
-      .get('/api/requirement-types/search/classification')
+      .get('/api/requirement-types')
       .query({ classification: 'Environmental' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -321,7 +338,7 @@ describe('GET /api/requirement-types/search/classification', () => {
 
   test('Should return an empty array when no requirement types match the given classification', async () => {
     const response = await api
-      .get('/api/requirement-types/search/classification')
+      .get('/api/requirement-types')
       .query({ classification: 'NonExistentClassification' })
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .expect(200)
@@ -331,7 +348,7 @@ describe('GET /api/requirement-types/search/classification', () => {
 
   test('Should return 401 if the user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirement-types/search/classification')
+      .get('/api/requirement-types')
       .query({ classification: 'Environmental' })
       .expect(401)
 
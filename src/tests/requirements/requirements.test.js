@@ -1,5 +1,5 @@
 /* eslint-disable no-undef */
-import { api } from '../../config/test.config.js'
+import { api, loginAsAdmin } from '../../config/test.config.js'
 import UserRepository from '../../repositories/User.repository.js'
 import RequirementRepository from '../../repositories/Requirements.repository.js'
 import SubjectsRepository from '../../repositories/Subject.repository.js'
@@ -7,10 +7,7 @@ import AspectsRepository from '../../repositories/Aspects.repository.js'
 import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
 import ReqIdentifyService from '../../services/reqIdentification/reqIdentify/ReqIdentify.service.js'
 import generateRequirementData from '../../utils/generateRequirementData.js'
-import {
-  ADMIN_PASSWORD_TEST,
-  ADMIN_GMAIL
-} from '../../config/variables.config.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
 
 const subjectName = 'Seguridad & Higiene'
 const aspectsToCreate = ['Organizacional', 'Técnico', 'Legal']
@@ -26,16 +23,7 @@ beforeAll(async () => {
   await AspectsRepository.deleteAll()
   await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
 
-  const response = await api
-    .post('/api/user/login')
-    .send({
-      gmail: ADMIN_GMAIL,
-      password: ADMIN_PASSWORD_TEST
-    })
-    .expect(200)
-    .expect('Content-Type', /application\/json/)
-
-  tokenAdmin = response.body.token
+  tokenAdmin = await loginAsAdmin()
   const subjectResponse = await api
     .post('/api/subjects')
     .set('Authorization', `Bearer ${tokenAdmin}`)
@@ -724,6 +712,81 @@ describe('Get All Requirements', () => {
     })
   })
 
+  test('Should combine filters, sort and paginate requirements', async () => {
+    const createdIds = []
+    for (const [index, requirementName] of ['Req A', 'Req B', 'Req C'].entries()) {
+      const createResponse = await api
+        .post('/api/requirements')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send(
+          generateRequirementData({
+            subjectId: String(createdSubjectId),
+            aspectsIds: JSON.stringify([createdAspectIds[index === 2 ? 1 : 0]]),
+            requirementNumber: index + 1,
+            requirementName
+          })
+        )
+        .expect(201)
+      createdIds.push(createResponse.body.requirement.id)
+    }
+
+    const firstPage = await api
+      .get('/api/requirements')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({
+        subjectId: createdSubjectId,
+        aspectIds: String(createdAspectIds[0]),
+        condition: 'Crítica',
+        sort: '-number',
+        pageSize: 1
+      })
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(firstPage.body.requirements).toHaveLength(1)
+    expect(firstPage.body.requirements[0].id).toBe(createdIds[1])
+    expect(firstPage.body.pagination).toMatchObject({
+      page: 1,
+      pageSize: 1,
+      total: 2,
+      totalPages: 2
+    })
+
+    const secondPage = await api
+      .get('/api/requirements')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({
+        subjectId: createdSubjectId,
+        aspectIds: String(createdAspectIds[0]),
+        condition: 'Crítica',
+        sort: '-number',
+        pageSize: 1,
+        page: 2
+      })
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(secondPage.body.requirements).toHaveLength(1)
+    expect(secondPage.body.requirements[0].id).toBe(createdIds[0])
+    expect(secondPage.body.pagination.nextCursor).toBeNull()
+  })
+
+  test('Should return 400 if page and cursor are combined', async () => {
+    const response = await api
+      .get('/api/requirements')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ page: 2, cursor: 'abc' })
+      .expect(400)
+      .expect('Content-Type', /application\/json/)
+
+    expect(response.body.message).toMatch(/Validation failed/i)
+    expect(response.body.errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ field: 'cursor' })
+      ])
+    )
+  })
+
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
       .get('/api/requirements')
@@ -814,7 +877,7 @@ describe('Get Requirement By ID', () => {
   })
 })
 
-describe('Get Requirements By Number', () => {
+describe('GET /requirements?number=', () => {
   let createdRequirement
   const testRequirementNumber = 1
 
@@ -824,7 +887,7 @@ describe('Get Requirements By Number', () => {
 
   test('Should return an empty array when no requirements match the given number', async () => {
     const response = await api
-      .get('/api/requirements/search/number')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ number: testRequirementNumber })
       .expect(200)
@@ -851,7 +914,7 @@ describe('Get Requirements By Number', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get('/api/requirements/search/number')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ number: testRequirementNumber })
       .expect(200)
@@ -894,7 +957,7 @@ describe('Get Requirements By Number', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirements/search/number')
+      .get('/api/requirements')
       .query({ number: testRequirementNumber })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -903,7 +966,7 @@ describe('Get Requirements By Number', () => {
   })
 })
 
-describe('Get Requirements By Name', () => {
+describe('GET /requirements?name=', () => {
   let createdRequirement
   const testRequirementName = 'Test Requirement Search'
 
@@ -913,7 +976,7 @@ describe('Get Requirements By Name', () => {
 
   test('Should return an empty array when no requirements match the given name', async () => {
     const response = await api
-      .get('/api/requirements/search/name')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ name: testRequirementName })
       .expect(200)
@@ -940,7 +1003,7 @@ describe('Get Requirements By Name', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get('/api/requirements/search/name')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ name: testRequirementName })
       .expect(200)
@@ -983,7 +1046,7 @@ describe('Get Requirements By Name', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirements/search/name')
+      .get('/api/requirements')
       .query({ name: testRequirementName })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -992,7 +1055,7 @@ describe('Get Requirements By Name', () => {
   })
 })
 
-describe('Get Requirements By Subject', () => {
+describe('GET /requirements?subjectId=', () => {
   let createdRequirement
 
   beforeEach(async () => {
@@ -1001,8 +1064,9 @@ describe('Get Requirements By Subject', () => {
 
   test('Should return an empty array when no requirements exist for the given subject', async () => {
     const response = await api
-      .get(`/api/requirements/subject/${createdSubjectId}`)
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ subjectId: createdSubjectId })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1025,8 +1089,9 @@ describe('Get Requirements By Subject', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get(`/api/requirements/subject/${createdSubjectId}`)
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ subjectId: createdSubjectId })
       .expect(200)
 
     const { requirements } = response.body
@@ -1050,10 +1115,11 @@ describe('Get Requirements By Subject', () => {
   })
 
   test('Should return 404 if the subject does not exist', async () => {
-    const nonExistentSubjectId = '-1'
+    const nonExistentSubjectId = 999999
     const response = await api
-      .get(`/api/requirements/subject/${nonExistentSubjectId}`)
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
+      .query({ subjectId: nonExistentSubjectId })
       .expect(404)
 
     expect(response.body.message).toMatch(/Subject not found/i)
@@ -1061,14 +1127,15 @@ describe('Get Requirements By Subject', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get(`/api/requirements/subject/${createdSubjectId}`)
+      .get('/api/requirements')
+      .query({ subjectId: createdSubjectId })
       .expect(401)
 
     expect(response.body.error).toMatch(/token missing or invalid/i)
   })
 })
 
-describe('Get Requirements By Subject And Aspects', () => {
+describe('GET /requirements?subjectId=&aspectIds=', () => {
   let createdRequirement
 
   beforeEach(async () => {
@@ -1077,9 +1144,12 @@ describe('Get Requirements By Subject And Aspects', () => {
 
   test('Should return an empty array when no requirements exist for the given subject and aspects', async () => {
     const response = await api
-      .get(`/api/requirements/subject/${createdSubjectId}/aspects`)
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ aspectIds: createdAspectIds })
+      .query({
+        subjectId: createdSubjectId,
+        aspectIds: createdAspectIds
+      })
       .expect(200)
 
     expect(response.body.requirements).toBeInstanceOf(Array)
@@ -1101,9 +1171,12 @@ describe('Get Requirements By Subject And Aspects', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get(`/api/requirements/subject/${createdSubjectId}/aspects`)
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ aspectIds: [createdAspectIds[0]] })
+      .query({
+        subjectId: createdSubjectId,
+        aspectIds: [createdAspectIds[0]]
+      })
       .expect(200)
 
     const { requirements } = response.body
@@ -1142,12 +1215,15 @@ describe('Get Requirements By Subject And Aspects', () => {
   })
 
   test('Should return 404 if the subjectId does not exist', async () => {
-    const nonExistentSubjectId = '-1'
+    const nonExistentSubjectId = 999999
 
     const response = await api
-      .get(`/api/requirements/subject/${nonExistentSubjectId}/aspects`)
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ aspectIds: createdAspectIds })
+      .query({
+        subjectId: nonExistentSubjectId,
+        aspectIds: createdAspectIds
+      })
       .expect(404)
       .expect('Content-Type', /application\/json/)
 
@@ -1155,11 +1231,14 @@ describe('Get Requirements By Subject And Aspects', () => {
   })
 
   test('Should return 404 if aspects do not exist', async () => {
-    const invalidAspectIds = [-1, -2]
+    const invalidAspectIds = [999998, 999999]
     const response = await api
-      .get(`/api/requirements/subject/${createdSubjectId}/aspects`)
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ aspectIds: invalidAspectIds })
+      .query({
+        subjectId: createdSubjectId,
+        aspectIds: invalidAspectIds
+      })
       .expect(404)
       .expect('Content-Type', /application\/json/)
 
@@ -1173,8 +1252,11 @@ describe('Get Requirements By Subject And Aspects', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get(`/api/requirements/subject/${createdSubjectId}/aspects`)
-      .query({ aspectIds: createdAspectIds })
+      .get('/api/requirements')
+      .query({
+        subjectId: createdSubjectId,
+        aspectIds: createdAspectIds
+      })
       .expect(401)
       .expect('Content-Type', /application\/json/)
 
@@ -1182,7 +1264,7 @@ describe('Get Requirements By Subject And Aspects', () => {
   })
 })
 
-describe('Get Requirements By Mandatory Description', () => {
+describe('GET /requirements?mandatoryDescription=', () => {
   let createdRequirement
   const testMandatoryDescription =
     'This is a mandatory description for testing.'
@@ -1193,9 +1275,9 @@ describe('Get Requirements By Mandatory Description', () => {
 
   test('Should return an empty array when no requirements match the given mandatory description', async () => {
     const response = await api
-      .get('/api/requirements/search/mandatory-description')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ description: testMandatoryDescription })
+      .query({ mandatoryDescription: testMandatoryDescription })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1219,9 +1301,9 @@ describe('Get Requirements By Mandatory Description', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get('/api/requirements/search/mandatory-description')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ description: testMandatoryDescription })
+      .query({ mandatoryDescription: testMandatoryDescription })
       .expect(200)
 
     const { requirements } = response.body
@@ -1261,15 +1343,15 @@ describe('Get Requirements By Mandatory Description', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirements/search/mandatory-description')
-      .query({ description: testMandatoryDescription })
+      .get('/api/requirements')
+      .query({ mandatoryDescription: testMandatoryDescription })
       .expect(401)
 
     expect(response.body.error).toMatch(/token missing or invalid/i)
   })
 })
 
-describe('Get Requirements By Complementary Description', () => {
+describe('GET /requirements?complementaryDescription=', () => {
   let createdRequirement
   const testComplementaryDescription =
     'This is a complementary description for testing.'
@@ -1280,9 +1362,9 @@ describe('Get Requirements By Complementary Description', () => {
 
   test('Should return an empty array when no requirements match the given complementary description', async () => {
     const response = await api
-      .get('/api/requirements/search/complementary-description')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ description: testComplementaryDescription })
+      .query({ complementaryDescription: testComplementaryDescription })
       .expect(200)
 
     expect(response.body.requirements).toBeInstanceOf(Array)
@@ -1305,9 +1387,9 @@ describe('Get Requirements By Complementary Description', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get('/api/requirements/search/complementary-description')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ description: testComplementaryDescription })
+      .query({ complementaryDescription: testComplementaryDescription })
       .expect(200)
 
     const { requirements } = response.body
@@ -1347,15 +1429,15 @@ describe('Get Requirements By Complementary Description', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirements/search/complementary-description')
-      .query({ description: testComplementaryDescription })
+      .get('/api/requirements')
+      .query({ complementaryDescription: testComplementaryDescription })
       .expect(401)
 
     expect(response.body.error).toMatch(/token missing or invalid/i)
   })
 })
 
-describe('Get Requirements By Mandatory Sentences', () => {
+describe('GET /requirements?mandatorySentences=', () => {
   let createdRequirement
   const testMandatorySentence = 'This is a mandatory sentence for testing.'
 
@@ -1365,9 +1447,9 @@ describe('Get Requirements By Mandatory Sentences', () => {
 
   test('Should return an empty array when no requirements match the given mandatory sentence', async () => {
     const response = await api
-      .get('/api/requirements/search/mandatory-sentences')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ sentence: testMandatorySentence })
+      .query({ mandatorySentences: testMandatorySentence })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1391,9 +1473,9 @@ describe('Get Requirements By Mandatory Sentences', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get('/api/requirements/search/mandatory-sentences')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ sentence: testMandatorySentence })
+      .query({ mandatorySentences: testMandatorySentence })
       .expect(200)
 
     const { requirements } = response.body
@@ -1433,8 +1515,8 @@ describe('Get Requirements By Mandatory Sentences', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirements/search/mandatory-sentences')
-      .query({ sentence: testMandatorySentence })
+      .get('/api/requirements')
+      .query({ mandatorySentences: testMandatorySentence })
       .expect(401)
       .expect('Content-Type', /application\/json/)
 
@@ -1442,7 +1524,7 @@ describe('Get Requirements By Mandatory Sentences', () => {
   })
 })
 
-describe('Get Requirements By Complementary Sentences', () => {
+describe('GET /requirements?complementarySentences=', () => {
   let createdRequirement
   const testComplementarySentence =
     'This is a complementary sentence for testing.'
@@ -1453,9 +1535,9 @@ describe('Get Requirements By Complementary Sentences', () => {
 
   test('Should return an empty array when no requirements match the given complementary sentence', async () => {
     const response = await api
-      .get('/api/requirements/search/complementary-sentences')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ sentence: testComplementarySentence })
+      .query({ complementarySentences: testComplementarySentence })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1479,9 +1561,9 @@ describe('Get Requirements By Complementary Sentences', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get('/api/requirements/search/complementary-sentences')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ sentence: testComplementarySentence })
+      .query({ complementarySentences: testComplementarySentence })
       .expect(200)
 
     const { requirements } = response.body
@@ -1521,15 +1603,15 @@ describe('Get Requirements By Complementary Sentences', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirements/search/complementary-sentences')
-      .query({ sentence: testComplementarySentence })
+      .get('/api/requirements')
+      .query({ complementarySentences: testComplementarySentence })
       .expect(401)
       .expect('Content-Type', /application\/json/)
 
     expect(response.body.error).toMatch(/token missing or invalid/i)
   })
 })
-describe('Get Requirements By Mandatory Keywords', () => {
+describe('GET /requirements?mandatoryKeywords=', () => {
   let createdRequirement
   const fullKeywordSet = 'critical safety compliance regulation'
   const searchableKeyword = 'compliance'
@@ -1540,9 +1622,9 @@ describe('Get Requirements By Mandatory Keywords', () => {
 
   test('Should return an empty array when no requirements match the given mandatory keyword', async () => {
     const response = await api
-      .get('/api/requirements/search/mandatory-keywords')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ keyword: searchableKeyword })
+      .query({ mandatoryKeywords: searchableKeyword })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1567,9 +1649,9 @@ describe('Get Requirements By Mandatory Keywords', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get('/api/requirements/search/mandatory-keywords')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ keyword: searchableKeyword })
+      .query({ mandatoryKeywords: searchableKeyword })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1610,8 +1692,8 @@ describe('Get Requirements By Mandatory Keywords', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirements/search/mandatory-keywords')
-      .query({ keyword: searchableKeyword })
+      .get('/api/requirements')
+      .query({ mandatoryKeywords: searchableKeyword })
       .expect(401)
       .expect('Content-Type', /application\/json/)
 
@@ -1619,7 +1701,7 @@ describe('Get Requirements By Mandatory Keywords', () => {
   })
 })
 
-describe('Get Requirements By Complementary Keywords', () => {
+describe('GET /requirements?complementaryKeywords=', () => {
   let createdRequirement
   const fullComplementaryKeywords =
     'safety procedures control measures checklist'
@@ -1631,9 +1713,9 @@ describe('Get Requirements By Complementary Keywords', () => {
 
   test('Should return an empty array when no requirements match the given complementary keyword', async () => {
     const response = await api
-      .get('/api/requirements/search/complementary-keywords')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ keyword: searchableKeyword })
+      .query({ complementaryKeywords: searchableKeyword })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1658,9 +1740,9 @@ describe('Get Requirements By Complementary Keywords', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get('/api/requirements/search/complementary-keywords')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
-      .query({ keyword: searchableKeyword })
+      .query({ complementaryKeywords: searchableKeyword })
       .expect(200)
       .expect('Content-Type', /application\/json/)
 
@@ -1701,8 +1783,8 @@ describe('Get Requirements By Complementary Keywords', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirements/search/complementary-keywords')
-      .query({ keyword: searchableKeyword })
+      .get('/api/requirements')
+      .query({ complementaryKeywords: searchableKeyword })
       .expect(401)
       .expect('Content-Type', /application\/json/)
 
@@ -1710,7 +1792,7 @@ describe('Get Requirements By Complementary Keywords', () => {
   })
 })
 
-describe('Get Requirements By Condition', () => {
+describe('GET /requirements?condition=', () => {
   let createdRequirement
   const testCondition = 'Crítica'
 
@@ -1720,7 +1802,7 @@ describe('Get Requirements By Condition', () => {
 
   test('Should return an empty array when no requirements match the given condition', async () => {
     const response = await api
-      .get('/api/requirements/search/condition')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ condition: testCondition })
       .expect(200)
@@ -1747,7 +1829,7 @@ describe('Get Requirements By Condition', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get('/api/requirements/search/condition')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ condition: testCondition })
       .expect(200)
@@ -1790,7 +1872,7 @@ describe('Get Requirements By Condition', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirements/search/condition')
+      .get('/api/requirements')
       .query({ condition: testCondition })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -1799,7 +1881,7 @@ describe('Get Requirements By Condition', () => {
   })
 })
 
-describe('Get Requirements By Evidence', () => {
+describe('GET /requirements?evidence=', () => {
   let createdRequirement
   const testEvidence = 'Registro'
 
@@ -1809,7 +1891,7 @@ describe('Get Requirements By Evidence', () => {
 
   test('Should return an empty array when no requirements match the given evidence', async () => {
     const response = await api
-      .get('/api/requirements/search/evidence')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ evidence: testEvidence })
       .expect(200)
@@ -1836,7 +1918,7 @@ describe('Get Requirements By Evidence', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get('/api/requirements/search/evidence')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ evidence: testEvidence })
       .expect(200)
@@ -1879,7 +1961,7 @@ describe('Get Requirements By Evidence', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirements/search/evidence')
+      .get('/api/requirements')
       .query({ evidence: testEvidence })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -1888,7 +1970,7 @@ describe('Get Requirements By Evidence', () => {
   })
 })
 
-describe('Get Requirements By Periodicity', () => {
+describe('GET /requirements?periodicity=', () => {
   let createdRequirement
   const testPeriodicity = 'Anual'
 
@@ -1898,7 +1980,7 @@ describe('Get Requirements By Periodicity', () => {
 
   test('Should return an empty array when no requirements match the given periodicity', async () => {
     const response = await api
-      .get('/api/requirements/search/periodicity')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ periodicity: testPeriodicity })
       .expect(200)
@@ -1925,7 +2007,7 @@ describe('Get Requirements By Periodicity', () => {
     createdRequirement = createResponse.body.requirement
 
     const response = await api
-      .get('/api/requirements/search/periodicity')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ periodicity: testPeriodicity })
       .expect(200)
@@ -1968,7 +2050,7 @@ describe('Get Requirements By Periodicity', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     const response = await api
-      .get('/api/requirements/search/periodicity')
+      .get('/api/requirements')
       .query({ periodicity: testPeriodicity })
       .expect(401)
       .expect('Content-Type', /application\/json/)
@@ -1977,7 +2059,7 @@ describe('Get Requirements By Periodicity', () => {
   })
 })
 
-describe('Get Requirements By Acceptance Criteria', () => {
+describe('GET /requirements?acceptanceCriteria=', () => {
   let createdRequirement
   const testAcceptanceCriteria = 'Informe validado por auditor'
 
@@ -1987,7 +2069,7 @@ describe('Get Requirements By Acceptance Criteria', () => {
 
   test('Should return an empty array when no requirements match the given acceptance criteria', async () => {
     const response = await api
-      .get('/api/requirements/search/acceptance-criteria')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ acceptanceCriteria: testAcceptanceCriteria })
       .expect(200)
@@ -2012,7 +2094,7 @@ describe('Get Requirements By Acceptance Criteria', () => {
 
     createdRequirement = createRes.body.requirement
     const response = await api
-      .get('/api/requirements/search/acceptance-criteria')
+      .get('/api/requirements')
       .set('Authorization', `Bearer ${tokenAdmin}`)
       .query({ acceptanceCriteria: testAcceptanceCriteria })
       .expect(200)
@@ -2054,7 +2136,7 @@ describe('Get Requirements By Acceptance Criteria', () => {
 
   test('Should return 401 if user is unauthorized', async () => {
     await api
-      .get('/api/requirements/search/acceptance-criteria')
+      .get('/api/requirements')
       .query({ acceptanceCriteria: testAcceptanceCriteria })
       .expect(401)
   })
@@ -0,0 +1,260 @@
+/* eslint-disable no-undef */
+import { api, loginAsAdmin } from '../../config/test.config.js'
+import UserRepository from '../../repositories/User.repository.js'
+import RoleRepository from '../../repositories/Role.repository.js'
+import UserSessionsService from '../../services/users/userSessions/UserSessions.service.js'
+import {
+  ADMIN_GMAIL,
+  ADMIN_ROLE
+} from '../../config/variables.config.js'
+
+const ANALYST_ROLE_ID = 2
+const VIEWER_ROLE_ID = 3
+const roleName = 'Auditor'
+let tokenAdmin
+
+/**
+ * Registers a user with the given role and opens a session for it.
+ * @param {string} gmail - The user's gmail.
+ * @param {number} roleId - The user's role ID.
+ * @returns {Promise<{ user: Object, token: string }>} - The user and its token.
+ */
+const createUserWithToken = async (gmail, roleId) => {
+  const response = await api
+    .post('/api/user/register')
+    .set('Authorization', `Bearer ${tokenAdmin}`)
+    .send({ gmail, name: 'Test User', roleId: String(roleId) })
+    .expect(201)
+  const { user } = response.body
+  const { token } = await UserSessionsService.createSession(user)
+  return { user, token }
+}
+
+const timeout = 50000
+beforeAll(async () => {
+  await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
+  tokenAdmin = await loginAsAdmin()
+}, timeout)
+
+afterEach(async () => {
+  jest.restoreAllMocks()
+  await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
+  const roles = await RoleRepository.findAll()
+  for (const role of roles.filter(({ role }) => role === roleName)) {
+    await RoleRepository.delete(role.id)
+  }
+})
+
+describe('Permissions catalog', () => {
+  test('Should return the permissions that can be granted', async () => {
+    const response = await api
+      .get('/api/permissions')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    expect(response.body.permissions).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ name: 'legalBasis:write' }),
+        expect.objectContaining({ name: 'reqIdentification:delete' }),
+        expect.objectContaining({ name: 'acmSuite:send' })
+      ])
+    )
+  })
+
+  test('Should return the permissions of the authenticated user', async () => {
+    const response = await api
+      .get('/api/user/me/permissions')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    expect(response.body.permissions).toEqual(
+      expect.arrayContaining(['roles:manage', 'users:write'])
+    )
+  })
+})
+
+describe('Role management', () => {
+  test('Should create a role with its permissions', async () => {
+    const response = await api
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({
+        name: roleName,
+        description: 'Reviews requirement identifications',
+        permissions: ['reqIdentification:read', 'legalBasis:read']
+      })
+      .expect(201)
+      .expect('Content-Type', /application\/json/)
+
+    const { role } = response.body
+    expect(role).toMatchObject({
+      role: roleName,
+      description: 'Reviews requirement identifications'
+    })
+    expect(role.permissions).toEqual(
+      expect.arrayContaining(['reqIdentification:read', 'legalBasis:read'])
+    )
+  })
+
+  test('Should return 409 if the role name already exists', async () => {
+    const response = await api
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ name: 'Analyst', permissions: [] })
+      .expect(409)
+
+    expect(response.body.message).toMatch(/Role already exists/i)
+  })
+
+  test('Should return 400 if a permission is unknown', async () => {
+    const response = await api
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ name: roleName, permissions: ['legalBasis:fly'] })
+      .expect(400)
+
+    expect(response.body.message).toMatch(/Invalid permissions/i)
+    expect(response.body.errors.invalidPermissions).toEqual(['legalBasis:fly'])
+  })
+
+  test('Should replace the permissions of a role', async () => {
+    const role = await RoleRepository.create({
+      name: roleName,
+      permissions: ['legalBasis:read']
+    })
+    const response = await api
+      .patch(`/api/role/${role.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ name: roleName, permissions: ['articles:read'] })
+      .expect(200)
+
+    expect(response.body.role.permissions).toEqual(['articles:read'])
+  })
+
+  test('Should revoke the sessions of the users of a role when its permissions change', async () => {
+    const role = await RoleRepository.create({
+      name: roleName,
+      permissions: ['legalBasis:read']
+    })
+    const { user, token } = await createUserWithToken('auditor@isaambiental.com', role.id)
+    await api
+      .patch(`/api/role/${role.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ name: roleName, description: 'Solo lectura', permissions: ['legalBasis:read'] })
+      .expect(200)
+    await api
+      .get(`/api/user/${user.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+
+    await api
+      .patch(`/api/role/${role.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ name: roleName, permissions: ['articles:read'] })
+      .expect(200)
+    const response = await api
+      .get(`/api/user/${user.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(401)
+
+    expect(response.body.error).toMatch(/token missing or invalid/i)
+  })
+
+  test('Should return 409 when trying to modify the Admin role', async () => {
+    const response = await api
+      .patch(`/api/role/${ADMIN_ROLE}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ name: 'Admin', permissions: [] })
+      .expect(409)
+
+    expect(response.body.message).toMatch(/Admin role cannot be modified/i)
+  })
+
+  test('Should delete a role that is not assigned to any user', async () => {
+    const role = await RoleRepository.create({
+      name: roleName,
+      permissions: []
+    })
+    await api
+      .delete(`/api/role/${role.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(204)
+
+    const deletedRole = await RoleRepository.findById(role.id)
+    expect(deletedRole).toBeNull()
+  })
+
+  test('Should return 409 when deleting a role assigned to users', async () => {
+    const role = await RoleRepository.create({
+      name: roleName,
+      permissions: []
+    })
+    await createUserWithToken('auditor@isaambiental.com', role.id)
+    const response = await api
+      .delete(`/api/role/${role.id}`)
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(409)
+
+    expect(response.body.message).toMatch(/assigned to one or more users/i)
+  })
+
+  test('Should return 404 when registering a user with a non-existent role', async () => {
+    const response = await api
+      .post('/api/user/register')
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .send({ gmail: 'norole@isaambiental.com', name: 'No Role', roleId: '9999' })
+      .expect(404)
+
+    expect(response.body.message).toMatch(/Role not found/i)
+  })
+})
+
+describe('Route permissions', () => {
+  test('Should let a Viewer read but not write', async () => {
+    const { token } = await createUserWithToken(
+      'viewer@isaambiental.com',
+      VIEWER_ROLE_ID
+    )
+    await api
+      .get('/api/subjects')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+    const response = await api
+      .post('/api/subjects')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ subjectName: 'Viewer Subject', orderIndex: 1 })
+      .expect(403)
+
+    expect(response.body.message).toMatch(/Unauthorized/i)
+  })
+
+  test('Should not let an Analyst manage users or roles', async () => {
+    const { user, token } = await createUserWithToken(
+      'analyst@isaambiental.com',
+      ANALYST_ROLE_ID
+    )
+    await api
+      .get('/api/users')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403)
+    await api
+      .post('/api/roles')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: roleName, permissions: [] })
+      .expect(403)
+    await api
+      .get(`/api/user/${user.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+  })
+
+  test('Should return 401 if the user is unauthorized', async () => {
+    const response = await api
+      .get('/api/permissions')
+      .expect(401)
+      .expect('Content-Type', /application\/json/)
+
+    expect(response.body.error).toMatch(/token missing or invalid/i)
+  })
+})
@@ -0,0 +1,184 @@
+/* eslint-disable no-undef */
+import { api, loginAsAdmin } from '../../config/test.config.js'
+import UserRepository from '../../repositories/User.repository.js'
+import SubjectsRepository from '../../repositories/Subject.repository.js'
+import AspectsRepository from '../../repositories/Aspects.repository.js'
+import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
+import LegalVerbsRepository from '../../repositories/LegalVerbs.repository.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
+import generateLegalBasisData from '../../utils/generateLegalBasisData.js'
+import generateArticleData from '../../utils/generateArticleData.js'
+import generateLegalVerbData from '../../utils/generateLegalVerbData.js'
+
+let tokenAdmin
+let createdSubject
+let createdAspect
+let createdLegalBasis
+let createdArticle
+let createdLegalVerb
+
+const timeout = 50000
+
+beforeAll(async () => {
+  await LegalBasisRepository.deleteAll()
+  await AspectsRepository.deleteAll()
+  await SubjectsRepository.deleteAll()
+  await LegalVerbsRepository.deleteAll()
+  await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
+  tokenAdmin = await loginAsAdmin()
+
+  const subjectResponse = await api
+    .post('/api/subjects')
+    .set('Authorization', `Bearer ${tokenAdmin}`)
+    .send({ subjectName: 'Ambiental', abbreviation: 'AMB', orderIndex: 1 })
+    .expect(201)
+  createdSubject = subjectResponse.body.subject
+
+  const aspectResponse = await api
+    .post(`/api/subjects/${createdSubject.id}/aspects`)
+    .set('Authorization', `Bearer ${tokenAdmin}`)
+    .send({ aspectName: 'Impacto', abbreviation: 'IMP', orderIndex: 1 })
+    .expect(201)
+  createdAspect = aspectResponse.body.aspect
+
+  const legalBasisResponse = await api
+    .post('/api/legalBasis')
+    .set('Authorization', `Bearer ${tokenAdmin}`)
+    .send(generateLegalBasisData({
+      legalName: 'Ley General de Evaluación Ambiental',
+      abbreviation: 'LGEA',
+      subjectId: String(createdSubject.id),
+      aspectsIds: JSON.stringify([createdAspect.id]),
+      classification: 'Ley',
+      jurisdiction: 'Federal'
+    }))
+    .expect(201)
+  createdLegalBasis = legalBasisResponse.body.legalBasis
+
+  const articleResponse = await api
+    .post(`/api/articles/legalBasis/${createdLegalBasis.id}`)
+    .set('Authorization', `Bearer ${tokenAdmin}`)
+    .send(generateArticleData({
+      title: 'Artículo 5',
+      article: 'Las obras que requieran evaluación del impacto ambiental deberán presentar una manifestación.'
+    }))
+    .expect(201)
+  createdArticle = articleResponse.body.article
+
+  const legalVerbResponse = await api
+    .post('/api/legal-verbs')
+    .set('Authorization', `Bearer ${tokenAdmin}`)
+    .send(generateLegalVerbData({
+      name: 'Evaluar',
+      description: 'Realizar la evaluación de un trámite.',
+      translation: 'Evaluate'
+    }))
+    .expect(201)
+  createdLegalVerb = legalVerbResponse.body.legalVerb
+}, timeout)
+
+describe('GET /search', () => {
+  test('Should find legal bases, articles and legal verbs ignoring accents', async () => {
+    const response = await api
+      .get('/api/search')
+      .query({ q: 'evaluacion' })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+      .expect('Content-Type', /application\/json/)
+
+    const { results, pagination } = response.body
+    expect(results).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ type: 'legalBasis', id: createdLegalBasis.id }),
+        expect.objectContaining({
+          type: 'article',
+          id: createdArticle.id,
+          legalBasis: { id: createdLegalBasis.id, name: createdLegalBasis.legal_name }
+        }),
+        expect.objectContaining({ type: 'legalVerb', id: createdLegalVerb.id })
+      ])
+    )
+    expect(pagination).toMatchObject({ page: 1, total: results.length })
+    for (const result of results) {
+      expect(result.score).toBeGreaterThan(0)
+      expect(result.score).toBeLessThanOrEqual(1)
+    }
+  })
+
+  test('Should highlight the matched words in the title and snippet', async () => {
+    const response = await api
+      .get('/api/search')
+      .query({ q: 'evaluación impacto', types: 'article' })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    const [result] = response.body.results
+    expect(response.body.results).toHaveLength(1)
+    expect(result.snippet).toContain('<mark>evaluación</mark>')
+    expect(result.snippet).toContain('<mark>impacto</mark>')
+    expect(result.highlightedTitle).toBe('Artículo 5')
+  })
+
+  test('Should return facets by subject, aspect, jurisdiction and classification', async () => {
+    const response = await api
+      .get('/api/search')
+      .query({ q: 'evaluacion' })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    const { facets } = response.body
+    expect(facets.subjects).toEqual([
+      { id: createdSubject.id, name: 'Ambiental', count: 2 }
+    ])
+    expect(facets.aspects).toEqual([
+      { id: createdAspect.id, name: 'Impacto', subjectId: createdSubject.id, count: 2 }
+    ])
+    expect(facets.jurisdictions).toEqual([{ value: 'Federal', count: 2 }])
+    expect(facets.classifications).toEqual([{ value: 'Ley', count: 2 }])
+    expect(facets.states).toEqual([])
+  })
+
+  test('Should exclude types without the filtered facet', async () => {
+    const response = await api
+      .get('/api/search')
+      .query({ q: 'evaluacion', jurisdiction: 'Federal' })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(200)
+
+    const types = response.body.results.map(({ type }) => type)
+    expect(types).toEqual(expect.arrayContaining(['legalBasis', 'article']))
+    expect(types).not.toContain('legalVerb')
+  })
+
+  test('Should return 400 if the query has no searchable words', async () => {
+    const response = await api
+      .get('/api/search')
+      .query({ q: 'de la' })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(400)
+
+    expect(response.body.message).toBe('Validation failed')
+    expect(response.body.errors).toEqual([
+      expect.objectContaining({ field: 'q' })
+    ])
+  })
+
+  test('Should return 400 for an unknown type', async () => {
+    const response = await api
+      .get('/api/search')
+      .query({ q: 'evaluacion', types: 'article,user' })
+      .set('Authorization', `Bearer ${tokenAdmin}`)
+      .expect(400)
+
+    expect(response.body.errors).toEqual([
+      expect.objectContaining({ field: 'types' })
+    ])
+  })
+
+  test('Should return 401 if the user is unauthorized', async () => {
+    await api
+      .get('/api/search')
+      .query({ q: 'evaluacion' })
+      .expect(401)
+  })
+})
@@ -1,9 +1,9 @@
 /* eslint-disable no-undef */
-import { api } from '../../config/test.config.js'
+import { api, loginAsAdmin } from '../../config/test.config.js'
 import UserRepository from '../../repositories/User.repository.js'
 import SubjectsRepository from '../../repositories/Subject.repository.js'
 import AspectsRepository from '../../repositories/Aspects.repository.js'
-import { ADMIN_PASSWORD_TEST, ADMIN_GMAIL } from '../../config/variables.config.js'
+import { ADMIN_GMAIL } from '../../config/variables.config.js'
 import LegalBasisRepository from '../../repositories/LegalBasis.repository.js'
 import RequirementRepository from '../../repositories/Requirements.repository.js'
 import generateLegalBasisData from '../../utils/generateLegalBasisData.js'
@@ -24,15 +24,7 @@ beforeAll(async () => {
   await SubjectsRepository.deleteAll()
   await AspectsRepository.deleteAll()
   await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
-  const response = await api
-    .post('/api/user/login')
-    .send({
-      gmail: ADMIN_GMAIL,
-      password: ADMIN_PASSWORD_TEST
-    })
-    .expect(200)
-    .expect('Content-Type', /application\/json/)
-  tokenAdmin = response.body.token
+  tokenAdmin = await loginAsAdmin()
 }, timeout)
 
 describe('Subjects API tests', () => {
@@ -129,7 +121,7 @@ describe('Subjects API tests', () => {
     })
   })
 
-  describe('GET /subjects - Retrieve all subjects', () => {
+  describe('GET /subjects - Retrieve subjects', () => {
     test('Should retrieve all subjects with correct length', async () => {
       const response = await api
         .get('/api/subjects')
@@ -187,45 +179,105 @@ describe('Subjects API tests', () => {
     })
   })
 
-  describe('Subjects API - GET /subjects/name', () => {
-    test('Should retrieve a subject by its name', async () => {
+  describe('GET /subjects - Filter, sort and paginate subjects', () => {
+    test('Should filter subjects by name', async () => {
       const response = await api
-        .get('/api/subjects/name')
+        .get('/api/subjects')
         .set('Authorization', `Bearer ${tokenAdmin}`)
-        .query({ subjectName })
+        .query({ name: subjectName })
         .expect(200)
         .expect('Content-Type', /application\/json/)
 
-      const { subjects } = response.body
+      const { subjects, pagination } = response.body
       expect(subjects).toHaveLength(1)
       const subject = subjects[0]
       expect(subject).toHaveProperty('id')
       expect(subject.subject_name).toBe(subjectName)
       expect(subject.abbreviation).toBe('AMB')
       expect(subject.order_index).toBe(1)
+      expect(pagination).toMatchObject({ page: 1, total: 1, totalPages: 1, nextCursor: null })
     })
 
-    test('Should return an empty array if the subject does not exist', async () => {
+    test('Should return an empty page if no subject matches the name', async () => {
       const nonExistentSubjectName = 'nonExistentSubjectName'
       const response = await api
-        .get('/api/subjects/name')
+        .get('/api/subjects')
         .set('Authorization', `Bearer ${tokenAdmin}`)
-        .query({ subjectName: nonExistentSubjectName })
+        .query({ name: nonExistentSubjectName })
         .expect(200)
         .expect('Content-Type', /application\/json/)
 
-      const { subjects } = response.body
+      const { subjects, pagination } = response.body
       expect(subjects).toBeInstanceOf(Array)
       expect(subjects).toHaveLength(0)
+      expect(pagination).toMatchObject({ total: 0, totalPages: 0 })
     })
-    test('Should return 401 if the user is unauthorized', async () => {
-      const response = await api
-        .get('/api/subjects/name')
-        .query({ subjectName })
-        .expect(401)
-        .expect('Content-Type', /application\/json/)
 
-      expect(response.body.error).toMatch(/token missing or invalid/i)
+    test('Should paginate by page and by cursor with the same results', async () => {
+      const extraSubjectIds = []
+      for (const [index, name] of ['Agua', 'Residuos'].entries()) {
+        const response = await api
+          .post('/api/subjects')
+          .set('Authorization', `Bearer ${tokenAdmin}`)
+          .send({ subjectName: name, abbreviation: `PG${index}`, orderIndex: index + 2 })
+          .expect(201)
+        extraSubjectIds.push(response.body.subject.id)
+      }
+
+      const firstPage = await api
+        .get('/api/subjects')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .query({ pageSize: 2, sort: '-name' })
+        .expect(200)
+      expect(firstPage.body.subjects.map((subject) => subject.subject_name))
+        .toEqual(['Residuos', subjectName])
+      expect(firstPage.body.pagination).toMatchObject({
+        page: 1,
+        pageSize: 2,
+        total: 3,
+        totalPages: 2
+      })
+      expect(firstPage.body.pagination.nextCursor).toEqual(expect.any(String))
+
+      const secondPage = await api
+        .get('/api/subjects')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .query({ pageSize: 2, sort: '-name', page: 2 })
+        .expect(200)
+      const cursorPage = await api
+        .get('/api/subjects')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .query({ pageSize: 2, sort: '-name', cursor: firstPage.body.pagination.nextCursor })
+        .expect(200)
+      expect(secondPage.body.subjects.map((subject) => subject.subject_name)).toEqual(['Agua'])
+      expect(cursorPage.body.subjects).toEqual(secondPage.body.subjects)
+      expect(cursorPage.body.pagination).toMatchObject({ page: null, total: 3, nextCursor: null })
+
+      await api
+        .delete('/api/subjects/batch')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send({ subjectIds: extraSubjectIds })
+        .expect(204)
+    })
+
+    test('Should return 400 for an invalid sort field, page size or cursor', async () => {
+      const invalidQueries = [
+        { query: { sort: 'unknown' }, field: 'sort' },
+        { query: { pageSize: 1000 }, field: 'pageSize' },
+        { query: { cursor: 'invalid' }, field: 'cursor' },
+        { query: { sort: '-name', cursor: Buffer.from(JSON.stringify({ sort: 'name:asc', values: ['a', 1] })).toString('base64url') }, field: 'cursor' }
+      ]
+      for (const { query, field } of invalidQueries) {
+        const response = await api
+          .get('/api/subjects')
+          .set('Authorization', `Bearer ${tokenAdmin}`)
+          .query(query)
+          .expect(400)
+        expect(response.body.message).toMatch(/Validation failed/i)
+        expect(response.body.errors).toEqual(
+          expect.arrayContaining([expect.objectContaining({ field })])
+        )
+      }
     })
   })
 
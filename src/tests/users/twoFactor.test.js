@@ -0,0 +1,295 @@
+/* eslint-disable no-undef */
+import { api, loginAsAdmin, generateUnusedTotp } from '../../config/test.config.js'
+import UserRepository from '../../repositories/User.repository.js'
+import RoleRepository from '../../repositories/Role.repository.js'
+import UserSessionsService from '../../services/users/userSessions/UserSessions.service.js'
+import { generateTotp } from '../../utils/totp.js'
+import { ADMIN_PASSWORD_TEST, ADMIN_GMAIL } from '../../config/variables.config.js'
+
+let tokenAdmin
+let adminUserId
+
+const timeout = 50000
+beforeAll(async () => {
+  await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
+  tokenAdmin = await loginAsAdmin()
+  const adminUser = await UserRepository.existsByGmail(ADMIN_GMAIL)
+  adminUserId = adminUser.id
+}, timeout)
+
+/**
+ * Logs in as the admin with the password and returns the two-factor token.
+ * @returns {Promise<string>} - The two-factor token.
+ */
+const getAdminTwoFactorToken = async () => {
+  const response = await api
+    .post('/api/user/login')
+    .send({ gmail: ADMIN_GMAIL, password: ADMIN_PASSWORD_TEST })
+    .expect(200)
+  return response.body.twoFactorToken
+}
+
+describe('Two-factor authentication', () => {
+  describe('Admin login', () => {
+    test('Should require a second factor instead of returning a session', async () => {
+      const response = await api
+        .post('/api/user/login')
+        .send({ gmail: ADMIN_GMAIL, password: ADMIN_PASSWORD_TEST })
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.twoFactorRequired).toBe(true)
+      expect(response.body.twoFactorToken).toBeDefined()
+      expect(response.body.token).toBeUndefined()
+    })
+
+    test('Should return 400 for an invalid code', async () => {
+      const twoFactorToken = await getAdminTwoFactorToken()
+      const response = await api
+        .post('/api/user/login/2fa')
+        .send({ twoFactorToken, code: 'invalid' })
+        .expect(400)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.message).toMatch(/Invalid two-factor code/i)
+    })
+
+    test('Should return 401 for an invalid two-factor token', async () => {
+      const response = await api
+        .post('/api/user/login/2fa')
+        .send({ twoFactorToken: 'invalid', code: '123456' })
+        .expect(401)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.message).toMatch(/Invalid or expired two-factor token/i)
+    })
+
+    test('Should not accept the two-factor token as an access token', async () => {
+      const twoFactorToken = await getAdminTwoFactorToken()
+      const response = await api
+        .get('/api/user/2fa/status')
+        .set('Authorization', `Bearer ${twoFactorToken}`)
+        .expect(401)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.error).toMatch(/token missing or invalid/i)
+    })
+
+    test('Should return 400 when required fields are missing', async () => {
+      const response = await api
+        .post('/api/user/login/2fa')
+        .send({ code: '123456' })
+        .expect(400)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.message).toMatch(/Missing required fields: twoFactorToken, code/i)
+    })
+
+    test('Should log in once with each recovery code', async () => {
+      const codesResponse = await api
+        .post('/api/user/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send({ code: await generateUnusedTotp(adminUserId) })
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+
+      const { recoveryCodes } = codesResponse.body
+      expect(recoveryCodes).toHaveLength(10)
+
+      const response = await api
+        .post('/api/user/login/2fa')
+        .send({ twoFactorToken: await getAdminTwoFactorToken(), code: recoveryCodes[0] })
+        .expect(200)
+
+      expect(response.body.token).toBeDefined()
+
+      await api
+        .post('/api/user/login/2fa')
+        .send({ twoFactorToken: await getAdminTwoFactorToken(), code: recoveryCodes[0] })
+        .expect(400)
+    })
+
+    test('Should reject a code that was already used', async () => {
+      const code = await generateUnusedTotp(adminUserId)
+      await api
+        .post('/api/user/login/2fa')
+        .send({ twoFactorToken: await getAdminTwoFactorToken(), code })
+        .expect(200)
+
+      const response = await api
+        .post('/api/user/login/2fa')
+        .send({ twoFactorToken: await getAdminTwoFactorToken(), code })
+        .expect(400)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.message).toMatch(/Invalid two-factor code/i)
+    })
+
+    test('Should lock the two-factor token after too many failed attempts', async () => {
+      const twoFactorToken = await getAdminTwoFactorToken()
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await api
+          .post('/api/user/login/2fa')
+          .send({ twoFactorToken, code: 'invalid' })
+          .expect(400)
+      }
+
+      const response = await api
+        .post('/api/user/login/2fa')
+        .send({ twoFactorToken, code: await generateUnusedTotp(adminUserId) })
+        .expect(429)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.message).toMatch(/Too many failed attempts/i)
+    })
+
+    test('Should not accept a two-factor token after the login succeeds', async () => {
+      const twoFactorToken = await getAdminTwoFactorToken()
+      await api
+        .post('/api/user/login/2fa')
+        .send({ twoFactorToken, code: await generateUnusedTotp(adminUserId) })
+        .expect(200)
+
+      await api
+        .post('/api/user/login/2fa')
+        .send({ twoFactorToken, code: await generateUnusedTotp(adminUserId) })
+        .expect(429)
+    })
+
+    test('Should not allow admins to disable two-factor authentication', async () => {
+      const response = await api
+        .post('/api/user/2fa/disable')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send({ code: await generateUnusedTotp(adminUserId) })
+        .expect(409)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.message).toMatch(/mandatory for your role/i)
+    })
+  })
+
+  describe('Opt-in enrollment', () => {
+    let analystToken
+
+    beforeAll(async () => {
+      const response = await api
+        .post('/api/user/register')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send({ gmail: 'twofactor@isaambiental.com', name: 'Two Factor User', roleId: '2' })
+        .expect(201)
+      const { token } = await UserSessionsService.createSession(response.body.user)
+      analystToken = token
+    })
+
+    test('Should not require two-factor authentication for other roles', async () => {
+      const response = await api
+        .get('/api/user/2fa/status')
+        .set('Authorization', `Bearer ${analystToken}`)
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body).toEqual({
+        enabled: false,
+        required: false,
+        recoveryCodesRemaining: 0
+      })
+    })
+
+    test('Should enroll, enable and disable two-factor authentication', async () => {
+      const setupResponse = await api
+        .post('/api/user/2fa/setup')
+        .set('Authorization', `Bearer ${analystToken}`)
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+
+      const { secret, otpauthUrl } = setupResponse.body
+      expect(otpauthUrl).toMatch(/^otpauth:\/\/totp\//)
+
+      await api
+        .post('/api/user/2fa/enable')
+        .set('Authorization', `Bearer ${analystToken}`)
+        .send({ code: generateTotp(secret) === '000000' ? '111111' : '000000' })
+        .expect(400)
+
+      const enableResponse = await api
+        .post('/api/user/2fa/enable')
+        .set('Authorization', `Bearer ${analystToken}`)
+        .send({ code: generateTotp(secret) })
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+
+      expect(enableResponse.body.recoveryCodes).toHaveLength(10)
+
+      const statusResponse = await api
+        .get('/api/user/2fa/status')
+        .set('Authorization', `Bearer ${analystToken}`)
+        .expect(200)
+
+      expect(statusResponse.body.enabled).toBe(true)
+      expect(statusResponse.body.recoveryCodesRemaining).toBe(10)
+
+      await api
+        .post('/api/user/2fa/setup')
+        .set('Authorization', `Bearer ${analystToken}`)
+        .expect(409)
+
+      await api
+        .post('/api/user/2fa/disable')
+        .set('Authorization', `Bearer ${analystToken}`)
+        .send({ code: enableResponse.body.recoveryCodes[0] })
+        .expect(204)
+
+      const disabledResponse = await api
+        .get('/api/user/2fa/status')
+        .set('Authorization', `Bearer ${analystToken}`)
+        .expect(200)
+
+      expect(disabledResponse.body.enabled).toBe(false)
+    })
+
+    test('Should return 409 when enabling without a setup', async () => {
+      const response = await api
+        .post('/api/user/2fa/enable')
+        .set('Authorization', `Bearer ${analystToken}`)
+        .send({ code: '123456' })
+        .expect(409)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.message).toMatch(/setup has not been started/i)
+    })
+
+    test('Should return 401 without a token', async () => {
+      const response = await api
+        .post('/api/user/2fa/setup')
+        .expect(401)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.error).toMatch(/token missing or invalid/i)
+    })
+
+    test('Should require two-factor authentication for custom roles with administrative permissions', async () => {
+      const role = await RoleRepository.create({
+        name: 'Two Factor Custom Admin',
+        permissions: ['users:read', 'users:write']
+      })
+      const registerResponse = await api
+        .post('/api/user/register')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send({ gmail: 'twofactor.admin@isaambiental.com', name: 'Custom Admin', roleId: String(role.id) })
+        .expect(201)
+      const { user } = registerResponse.body
+      const { token } = await UserSessionsService.createSession(user)
+
+      const response = await api
+        .get('/api/user/2fa/status')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.required).toBe(true)
+
+      await UserRepository.delete(user.id)
+      await RoleRepository.delete(role.id)
+    })
+  })
+})
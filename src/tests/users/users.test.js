@@ -1,6 +1,7 @@
 /* eslint-disable no-undef */
-import { api } from '../../config/test.config.js'
+import { api, loginAsAdmin, generateUnusedTotp } from '../../config/test.config.js'
 import UserRepository from '../../repositories/User.repository.js'
+import UserSessionsService from '../../services/users/userSessions/UserSessions.service.js'
 import { ADMIN_PASSWORD_TEST, ADMIN_GMAIL } from '../../config/variables.config.js'
 
 let tokenAdmin
@@ -10,16 +11,7 @@ let analystUserId
 const timeout = 50000
 beforeAll(async () => {
   await UserRepository.deleteAllExceptByGmail(ADMIN_GMAIL)
-  const response = await api
-    .post('/api/user/login')
-    .send({
-      gmail: ADMIN_GMAIL,
-      password: ADMIN_PASSWORD_TEST
-    })
-    .expect(200)
-    .expect('Content-Type', /application\/json/)
-
-  tokenAdmin = response.body.token
+  tokenAdmin = await loginAsAdmin()
   const adminUser = await UserRepository.existsByGmail(ADMIN_GMAIL)
   adminUserId = adminUser.id
 }, timeout)
@@ -114,7 +106,7 @@ describe('User API tests', () => {
           { field: 'gmail', message: expect.stringMatching(/email must be valid/i) },
           { field: 'gmail', message: expect.stringMatching(/must end with @isaambiental.com/i) },
           { field: 'roleId', message: expect.stringMatching(/must be a valid number/i) },
-          { field: 'roleId', message: expect.stringMatching(/must be either 1 \(Admin\) or 2 \(Analyst\)/i) }
+          { field: 'roleId', message: expect.stringMatching(/must be a positive integer/i) }
         ])
       )
     })
@@ -187,7 +179,7 @@ describe('User API tests', () => {
     })
   })
 
-  describe('Get users by role ID', () => {
+  describe('GET /users?roleId=', () => {
     const roleId = 2
     const newUserData = {
       name: 'Test Analyst',
@@ -196,8 +188,9 @@ describe('User API tests', () => {
     }
     test('Should return an empty array when no users match the role ID', async () => {
       const response = await api
-        .get(`/api/users/role/${roleId}`)
+        .get('/api/users/')
         .set('Authorization', `Bearer ${tokenAdmin}`)
+        .query({ roleId })
         .expect(200)
         .expect('Content-Type', /application\/json/)
 
@@ -211,8 +204,9 @@ describe('User API tests', () => {
         .send(newUserData)
         .expect(201)
       const response = await api
-        .get(`/api/users/role/${roleId}`)
+        .get('/api/users/')
         .set('Authorization', `Bearer ${tokenAdmin}`)
+        .query({ roleId })
         .expect(200)
         .expect('Content-Type', /application\/json/)
 
@@ -223,7 +217,8 @@ describe('User API tests', () => {
 
     test('Should return 401 if the user is unauthorized', async () => {
       const response = await api
-        .get(`/api/users/role/${roleId}`)
+        .get('/api/users/')
+        .query({ roleId })
         .expect(401)
         .expect('Content-Type', /application\/json/)
 
@@ -231,7 +226,7 @@ describe('User API tests', () => {
     })
   })
 
-  describe('Get users by name or gmail', () => {
+  describe('GET /users?search=', () => {
     const searchUserData = {
       name: 'Search User',
       gmail: 'searchuser@isaambiental.com',
@@ -240,9 +235,9 @@ describe('User API tests', () => {
 
     test('Should return an empty array when no users match the name or gmail', async () => {
       const response = await api
-        .get('/api/users/search/filter')
+        .get('/api/users/')
         .set('Authorization', `Bearer ${tokenAdmin}`)
-        .query({ nameOrEmail: 'NonExistentNameOrEmail' })
+        .query({ search: 'NonExistentNameOrEmail' })
         .expect(200)
         .expect('Content-Type', /application\/json/)
 
@@ -258,9 +253,9 @@ describe('User API tests', () => {
         .expect(201)
 
       const nameResponse = await api
-        .get('/api/users/search/filter')
+        .get('/api/users/')
         .set('Authorization', `Bearer ${tokenAdmin}`)
-        .query({ nameOrEmail: 'Search User' })
+        .query({ search: 'Search User' })
         .expect(200)
         .expect('Content-Type', /application\/json/)
 
@@ -271,9 +266,9 @@ describe('User API tests', () => {
       ).toBe(true)
 
       const gmailResponse = await api
-        .get('/api/users/search/filter')
+        .get('/api/users/')
         .set('Authorization', `Bearer ${tokenAdmin}`)
-        .query({ nameOrEmail: 'searchuser@isaambiental.com' })
+        .query({ search: 'searchuser@isaambiental.com' })
         .expect(200)
         .expect('Content-Type', /application\/json/)
 
@@ -284,10 +279,52 @@ describe('User API tests', () => {
       ).toBe(true)
     })
 
+    test('Should combine filters and paginate the users', async () => {
+      const firstPage = await api
+        .get('/api/users/')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .query({ search: 'isaambiental.com', roleId: 2, sort: 'gmail', pageSize: 1 })
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+
+      expect(firstPage.body.users).toHaveLength(1)
+      expect(firstPage.body.users.every(user => user.roleId === 2)).toBe(true)
+      expect(firstPage.body.pagination).toMatchObject({ page: 1, pageSize: 1 })
+      expect(firstPage.body.pagination.total).toBeGreaterThan(1)
+      expect(firstPage.body.pagination.nextCursor).toEqual(expect.any(String))
+
+      const secondPage = await api
+        .get('/api/users/')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .query({
+          search: 'isaambiental.com',
+          roleId: 2,
+          sort: 'gmail',
+          pageSize: 1,
+          cursor: firstPage.body.pagination.nextCursor
+        })
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+
+      expect(secondPage.body.users).toHaveLength(1)
+      expect(secondPage.body.users[0].gmail > firstPage.body.users[0].gmail).toBe(true)
+    })
+
+    test('Should return 400 for an invalid sort field', async () => {
+      const response = await api
+        .get('/api/users/')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .query({ sort: 'password' })
+        .expect(400)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.message).toMatch(/Validation failed/i)
+    })
+
     test('Should return 401 if the user is unauthorized', async () => {
       const response = await api
-        .get('/api/users/search/filter')
-        .query({ nameOrEmail: 'Search User' })
+        .get('/api/users/')
+        .query({ search: 'Search User' })
         .expect(401)
         .expect('Content-Type', /application\/json/)
 
@@ -336,7 +373,7 @@ describe('User API tests', () => {
           { field: 'gmail', message: expect.stringMatching(/email must be valid/i) },
           { field: 'gmail', message: expect.stringMatching(/must end with @isaambiental.com/i) },
           { field: 'roleId', message: expect.stringMatching(/must be a valid number/i) },
-          { field: 'roleId', message: expect.stringMatching(/must be either 1 \(Admin\) or 2 \(Analyst\)/i) }
+          { field: 'roleId', message: expect.stringMatching(/must be a positive integer/i) }
         ])
       )
     })
@@ -423,6 +460,11 @@ describe('User API tests', () => {
   })
 
   describe('Password reset and verification', () => {
+    afterAll(async () => {
+      await UserRepository.deletePasswordResetAttempts(ADMIN_GMAIL)
+      await UserRepository.deletePasswordResetAttempts('resetuser@isaambiental.com')
+    })
+
     test('Should successfully send a password reset code', async () => {
       await api
         .post('/api/user/reset-password')
@@ -440,6 +482,162 @@ describe('User API tests', () => {
 
       expect(response.body.message).toMatch(/Invalid or expired code/i)
     })
+
+    describe('Reset token and new password', () => {
+      const resetGmail = 'resetuser@isaambiental.com'
+      const newPassword = 'N3w-Secure-Password'
+
+      /**
+       * Requests a reset code for the test user and reads it from the database.
+       * @returns {Promise<string>} - The verification code.
+       */
+      const requestCode = async () => {
+        await api
+          .post('/api/user/reset-password')
+          .send({ gmail: resetGmail })
+          .expect(200)
+        const { code } = await UserRepository.findPendingVerificationCode(resetGmail)
+        return code
+      }
+
+      beforeAll(async () => {
+        await api
+          .post('/api/user/register')
+          .set('Authorization', `Bearer ${tokenAdmin}`)
+          .send({ gmail: resetGmail, name: 'Reset User', roleId: '2' })
+          .expect(201)
+      })
+
+      test('Should exchange a valid code for a reset token and set a new password', async () => {
+        const code = await requestCode()
+        const verifyResponse = await api
+          .post('/api/user/verify-code')
+          .send({ gmail: resetGmail, code })
+          .expect(200)
+          .expect('Content-Type', /application\/json/)
+
+        const { resetToken } = verifyResponse.body
+        expect(resetToken).toBeDefined()
+
+        await api
+          .post('/api/user/reset-password/confirm')
+          .send({ resetToken, password: newPassword })
+          .expect(200)
+
+        const loginResponse = await api
+          .post('/api/user/login')
+          .send({ gmail: resetGmail, password: newPassword })
+          .expect(200)
+
+        expect(loginResponse.body.token).toBeDefined()
+
+        const reusedResponse = await api
+          .post('/api/user/reset-password/confirm')
+          .send({ resetToken, password: 'An0ther-Password' })
+          .expect(400)
+          .expect('Content-Type', /application\/json/)
+
+        expect(reusedResponse.body.message).toMatch(/Invalid or expired reset token/i)
+      })
+
+      test('Should not accept the same code twice', async () => {
+        const code = await requestCode()
+        await api
+          .post('/api/user/verify-code')
+          .send({ gmail: resetGmail, code })
+          .expect(200)
+
+        const response = await api
+          .post('/api/user/verify-code')
+          .send({ gmail: resetGmail, code })
+          .expect(400)
+
+        expect(response.body.message).toMatch(/Invalid or expired code/i)
+      })
+
+      test('Should return 400 when the new password is weak', async () => {
+        const code = await requestCode()
+        const verifyResponse = await api
+          .post('/api/user/verify-code')
+          .send({ gmail: resetGmail, code })
+          .expect(200)
+
+        const response = await api
+          .post('/api/user/reset-password/confirm')
+          .send({ resetToken: verifyResponse.body.resetToken, password: 'weak' })
+          .expect(400)
+          .expect('Content-Type', /application\/json/)
+
+        expect(response.body.message).toMatch(/Validation failed/i)
+        expect(response.body.errors).toEqual(
+          expect.arrayContaining([
+            { field: 'password', message: expect.stringMatching(/at least 8 characters/i) },
+            { field: 'password', message: expect.stringMatching(/uppercase letter/i) },
+            { field: 'password', message: expect.stringMatching(/number/i) },
+            { field: 'password', message: expect.stringMatching(/symbol/i) }
+          ])
+        )
+      })
+
+      test('Should lock the code after too many failed attempts', async () => {
+        const code = await requestCode()
+        const wrongCode = code === '000000' ? '111111' : '000000'
+        let status
+        for (let attempt = 0; attempt < 10 && status !== 429; attempt++) {
+          const response = await api
+            .post('/api/user/verify-code')
+            .send({ gmail: resetGmail, code: wrongCode })
+          status = response.status
+        }
+        expect(status).toBe(429)
+
+        const response = await api
+          .post('/api/user/verify-code')
+          .send({ gmail: resetGmail, code })
+          .expect(429)
+          .expect('Content-Type', /application\/json/)
+
+        expect(response.body.message).toMatch(/Too many failed attempts/i)
+      })
+
+      test('Should lock the Gmail after too many failed attempts across new codes', async () => {
+        let requestStatus
+        for (let round = 0; round < 5; round++) {
+          const requestResponse = await api
+            .post('/api/user/reset-password')
+            .send({ gmail: resetGmail })
+          requestStatus = requestResponse.status
+          if (requestStatus !== 200) break
+          const { code } = await UserRepository.findPendingVerificationCode(resetGmail)
+          const wrongCode = code === '000000' ? '111111' : '000000'
+          for (let attempt = 0; attempt < 10; attempt++) {
+            const response = await api
+              .post('/api/user/verify-code')
+              .send({ gmail: resetGmail, code: wrongCode })
+            if (response.status === 429) break
+          }
+        }
+        expect(requestStatus).toBe(429)
+
+        const response = await api
+          .post('/api/user/reset-password')
+          .send({ gmail: resetGmail })
+          .expect(429)
+          .expect('Content-Type', /application\/json/)
+
+        expect(response.body.message).toMatch(/try again later/i)
+      })
+
+      test('Should return 400 when required fields are missing', async () => {
+        const response = await api
+          .post('/api/user/reset-password/confirm')
+          .send({ password: newPassword })
+          .expect(400)
+          .expect('Content-Type', /application\/json/)
+
+        expect(response.body.message).toMatch(/Missing required fields: resetToken, password/i)
+      })
+    })
   })
 
   describe('Batch delete users', () => {
@@ -514,4 +712,168 @@ describe('User API tests', () => {
       expect(response.body.message).toMatch(/Users not found for IDs/i)
     })
   })
+
+  describe('Sessions and refresh tokens', () => {
+    let sessionUser
+
+    beforeAll(async () => {
+      const response = await api
+        .post('/api/user/register')
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send({
+          gmail: 'sessionuser@isaambiental.com',
+          name: 'Session User',
+          roleId: '2'
+        })
+        .expect(201)
+      sessionUser = response.body.user
+    })
+
+    test('Should return a refresh token on login', async () => {
+      const loginResponse = await api
+        .post('/api/user/login')
+        .send({ gmail: ADMIN_GMAIL, password: ADMIN_PASSWORD_TEST })
+        .expect(200)
+      const response = await api
+        .post('/api/user/login/2fa')
+        .send({
+          twoFactorToken: loginResponse.body.twoFactorToken,
+          code: await generateUnusedTotp(adminUserId)
+        })
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.token).toBeDefined()
+      expect(response.body.refreshToken).toBeDefined()
+    })
+
+    test('Should rotate the refresh token and reject the previous one', async () => {
+      const { refreshToken } = await UserSessionsService.createSession(sessionUser)
+      const response = await api
+        .post('/api/user/token/refresh')
+        .send({ refreshToken })
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.token).toBeDefined()
+      expect(response.body.refreshToken).toBeDefined()
+      expect(response.body.refreshToken).not.toBe(refreshToken)
+
+      await api
+        .get(`/api/user/${sessionUser.id}`)
+        .set('Authorization', `Bearer ${response.body.token}`)
+        .expect(200)
+
+      const reusedResponse = await api
+        .post('/api/user/token/refresh')
+        .send({ refreshToken })
+        .expect(401)
+        .expect('Content-Type', /application\/json/)
+
+      expect(reusedResponse.body.message).toMatch(/Invalid refresh token/i)
+    })
+
+    test('Should return 400 when the refresh token is missing', async () => {
+      const response = await api
+        .post('/api/user/token/refresh')
+        .send({})
+        .expect(400)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.message).toMatch(/Missing required fields: refreshToken/i)
+    })
+
+    test('Should reject the access token and refresh token after logout', async () => {
+      const { token, refreshToken } = await UserSessionsService.createSession(sessionUser)
+      await api
+        .post('/api/user/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(204)
+
+      const response = await api
+        .get(`/api/user/${sessionUser.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.error).toMatch(/token missing or invalid/i)
+
+      await api
+        .post('/api/user/token/refresh')
+        .send({ refreshToken })
+        .expect(401)
+    })
+
+    test('Should revoke every session of a user', async () => {
+      const { token: firstToken } = await UserSessionsService.createSession(sessionUser)
+      const { token: secondToken } = await UserSessionsService.createSession(sessionUser)
+      const response = await api
+        .post(`/api/user/${sessionUser.id}/sessions/revoke`)
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .expect(200)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.revokedSessions).toBeGreaterThanOrEqual(2)
+
+      for (const token of [firstToken, secondToken]) {
+        await api
+          .get(`/api/user/${sessionUser.id}`)
+          .set('Authorization', `Bearer ${token}`)
+          .expect(401)
+      }
+    })
+
+    test('Should revoke every session of a user whose role changes', async () => {
+      const { token, refreshToken } = await UserSessionsService.createSession(sessionUser)
+      const { token: keptToken } = await UserSessionsService.createSession(sessionUser)
+      await api
+        .patch(`/api/user/${sessionUser.id}`)
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send({ name: sessionUser.name, gmail: sessionUser.gmail, roleId: '3' })
+        .expect(200)
+
+      await api
+        .get(`/api/user/${sessionUser.id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401)
+      await api
+        .post('/api/user/token/refresh')
+        .send({ refreshToken })
+        .expect(401)
+
+      const { token: newToken } = await UserSessionsService.createSession({ ...sessionUser, roleId: 3 })
+      await api
+        .patch(`/api/user/${sessionUser.id}`)
+        .set('Authorization', `Bearer ${tokenAdmin}`)
+        .send({ name: sessionUser.name, gmail: sessionUser.gmail, roleId: '2' })
+        .expect(200)
+
+      for (const revokedToken of [keptToken, newToken]) {
+        await api
+          .get(`/api/user/${sessionUser.id}`)
+          .set('Authorization', `Bearer ${revokedToken}`)
+          .expect(401)
+      }
+    })
+
+    test('Should return 403 when revoking the sessions of another user without permission', async () => {
+      const { token } = await UserSessionsService.createSession(sessionUser)
+      const response = await api
+        .post(`/api/user/${adminUserId}/sessions/revoke`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.message).toMatch(/Unauthorized/i)
+    })
+
+    test('Should return 401 when revoking sessions without a token', async () => {
+      const response = await api
+        .post(`/api/user/${sessionUser.id}/sessions/revoke`)
+        .expect(401)
+        .expect('Content-Type', /application\/json/)
+
+      expect(response.body.error).toMatch(/token missing or invalid/i)
+    })
+  })
 })
@@ -0,0 +1,47 @@
+import mime from 'mime-types'
+
+/**
+ * MIME type of DOCX documents.
+ */
+export const DOCX_MIME_TYPE =
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+
+/**
+ * MIME types of the documents parsed locally, without Textract.
+ */
+export const LOCAL_DOCUMENT_MIME_TYPES = [DOCX_MIME_TYPE, 'text/html', 'text/plain']
+
+/**
+ * MIME type of PDF documents. Depending on TEXT_EXTRACTION_PROVIDER, their text layer is read
+ * locally, they are sent to Textract, or only scanned PDFs (empty text layer) are sent to Textract.
+ */
+export const PDF_MIME_TYPE = 'application/pdf'
+
+/**
+ * MIME types of the documents only Textract can read (images).
+ */
+export const TEXTRACT_DOCUMENT_MIME_TYPES = ['image/png', 'image/jpeg']
+
+/**
+ * MIME types accepted for legal basis documents.
+ */
+export const DOCUMENT_MIME_TYPES = [
+  PDF_MIME_TYPE,
+  ...TEXTRACT_DOCUMENT_MIME_TYPES,
+  ...LOCAL_DOCUMENT_MIME_TYPES
+]
+
+/**
+ * Detects the MIME type of a document.
+ * Uses the type reported by multer, without parameters such as the charset, and falls back
+ * to the file extension when the client sent no type or a generic binary one.
+ * @param {Object} file - The document.
+ * @param {string} [file.mimetype] - The MIME type reported on upload.
+ * @param {string} [file.originalname] - The file name or S3 key.
+ * @returns {string|null} - The lowercase MIME type, or null if it cannot be detected.
+ */
+export function detectMimeType ({ mimetype, originalname } = {}) {
+  const reported = String(mimetype || '').split(';')[0].trim().toLowerCase()
+  if (reported && reported !== 'application/octet-stream') return reported
+  return mime.lookup(originalname || '') || reported || null
+}
@@ -0,0 +1,13 @@
+/**
+ * Builds the citation of an article down to its cited párrafos, fracciones and incisos
+ * ("Artículo 28, fracción IV, inciso b)").
+ * The trailing punctuation of the article heading ("Artículo 28.-") is dropped before the sub-units.
+ * @param {string} articleName - The title of the article.
+ * @param {Array<{ citation: string }>} [subunits=[]] - The cited sub-units; none to cite the whole article.
+ * @returns {string} - The citation.
+ */
+export default function formatArticleCitation (articleName, subunits = []) {
+  if (subunits.length === 0) return articleName
+  const name = String(articleName || '').trim().replace(/[\s.:;,\-–—]+$/u, '')
+  return `${name}, ${subunits.map(({ citation }) => citation).join('; ')}`
+}
@@ -0,0 +1,216 @@
+/**
+ * Helpers shared by the repositories to paginate and sort list queries.
+ * Pages are resolved in two steps: a lightweight query selects the IDs of the
+ * page (plus the total count), and the repository then loads the full records
+ * of those IDs, so joins that multiply rows never break the page boundaries.
+ */
+
+/**
+ * @typedef {Object} SortField
+ * @property {string} field - The public name of the sort field.
+ * @property {'asc'|'desc'} direction - The sort direction.
+ */
+
+/**
+ * @typedef {Object} Cursor
+ * @property {string} sort - The normalized sort the cursor was created with.
+ * @property {Array<string|number|Date>} values - The sort values of the last row of the previous page.
+ */
+
+/**
+ * @typedef {Object} ListOptions
+ * @property {number|null} page - The 1-based page number, or null when paginating by cursor.
+ * @property {number} pageSize - The maximum number of items per page.
+ * @property {Cursor|null} cursor - The decoded cursor, or null when paginating by page.
+ * @property {SortField[]} sort - The requested sort fields.
+ */
+
+/**
+ * @typedef {Object} Pagination
+ * @property {number|null} page - The current page, or null when paginating by cursor.
+ * @property {number} pageSize - The maximum number of items per page.
+ * @property {number} total - The number of items matching the filters.
+ * @property {number} totalPages - The number of pages for the page size.
+ * @property {string|null} nextCursor - The cursor of the next page, or null on the last page.
+ */
+
+/**
+ * @template T
+ * @typedef {Object} Page
+ * @property {T[]} items - The items of the page.
+ * @property {Pagination} pagination - The pagination details.
+ */
+
+/**
+ * @typedef {Object} PageQueries
+ * @property {string} pageQuery - Selects the IDs and sort values of the page.
+ * @property {Array} pageValues - The values of the page query.
+ * @property {string} countQuery - Counts the rows matching the filters.
+ * @property {Array} countValues - The values of the count query.
+ */
+
+/**
+ * Serializes a sort into the canonical string stored in cursors.
+ * @param {SortField[]} sort - The sort fields.
+ * @returns {string} - The normalized sort, e.g. 'lastReform:desc,name:asc'.
+ */
+export function normalizeSort (sort) {
+  return sort.map(({ field, direction }) => `${field}:${direction}`).join(',')
+}
+
+/**
+ * Encodes an opaque cursor.
+ * @param {SortField[]} sort - The sort of the page.
+ * @param {Array<string|number|Date>} values - The sort values of the last row of the page.
+ * @returns {string} - The base64url encoded cursor.
+ */
+export function encodeCursor (sort, values) {
+  const payload = {
+    sort: normalizeSort(sort),
+    values: values.map((value) =>
+      value instanceof Date ? { date: value.toISOString() } : value
+    )
+  }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url')
+}
+
+/**
+ * Decodes an opaque cursor.
+ * @param {string} cursor - The base64url encoded cursor.
+ * @returns {Cursor|null} - The decoded cursor, or null if it is malformed.
+ */
+export function decodeCursor (cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    if (typeof payload?.sort !== 'string' || !Array.isArray(payload.values)) {
+      return null
+    }
+    return {
+      sort: payload.sort,
+      values: payload.values.map((value) =>
+        value && typeof value === 'object' && 'date' in value
+          ? new Date(value.date)
+          : value
+      )
+    }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Builds the queries that select one page of IDs and count the matching rows.
+ * The ID column is always appended as the last sort key so the order is total,
+ * which keyset (cursor) pagination requires. Sort expressions must not yield NULL.
+ * @param {Object} params - The query parts.
+ * @param {string} params.idColumn - The qualified ID column, e.g. 'legal_basis.id'.
+ * @param {string} params.from - The FROM clause, without the keyword.
+ * @param {string[]} [params.conditions=[]] - The filter conditions, joined with AND.
+ * @param {Array} [params.values=[]] - The values of the filter conditions.
+ * @param {Object<string, string>} params.sortColumns - Maps each sort field to its SQL expression.
+ * @param {ListOptions} params.listOptions - The pagination and sort options.
+ * @returns {PageQueries} - The page and count queries.
+ */
+export function buildPageQueries ({
+  idColumn,
+  from,
+  conditions = [],
+  values = [],
+  sortColumns,
+  listOptions
+}) {
+  const { page, pageSize, cursor, sort } = listOptions
+  const terms = sort.map(({ field, direction }) => ({
+    expression: sortColumns[field],
+    direction
+  }))
+  if (!terms.some(({ expression }) => expression === idColumn)) {
+    terms.push({
+      expression: idColumn,
+      direction: terms.length > 0 ? terms[terms.length - 1].direction : 'desc'
+    })
+  }
+
+  const pageConditions = [...conditions]
+  const pageValues = [...values]
+  if (cursor) {
+    const keyset = terms.map(({ expression, direction }, index) => {
+      const equalities = terms
+        .slice(0, index)
+        .map((term) => `${term.expression} = ?`)
+      const comparison = `${expression} ${direction === 'asc' ? '>' : '<'} ?`
+      pageValues.push(...cursor.values.slice(0, index), cursor.values[index])
+      return `(${[...equalities, comparison].join(' AND ')})`
+    })
+    pageConditions.push(`(${keyset.join(' OR ')})`)
+  }
+
+  const where = (clauses) =>
+    clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : ''
+  const pageQuery = `
+    SELECT ${idColumn} AS id, ${terms
+      .map(({ expression }, index) => `${expression} AS sort_${index}`)
+      .join(', ')}
+    FROM ${from}
+    ${where(pageConditions)}
+    ORDER BY ${terms
+      .map(({ expression, direction }) => `${expression} ${direction.toUpperCase()}`)
+      .join(', ')}
+    LIMIT ?${cursor ? '' : ' OFFSET ?'}
+  `
+  pageValues.push(pageSize + 1)
+  if (!cursor) {
+    pageValues.push((page - 1) * pageSize)
+  }
+
+  const countQuery = `
+    SELECT COUNT(*) AS total
+    FROM ${from}
+    ${where(conditions)}
+  `
+  return { pageQuery, pageValues, countQuery, countValues: [...values] }
+}
+
+/**
+ * Turns the rows of a page query into the page IDs and pagination details.
+ * @param {Array<Object>} rows - The rows returned by the page query.
+ * @param {number} total - The number of rows matching the filters.
+ * @param {ListOptions} listOptions - The pagination and sort options.
+ * @returns {{ ids: Array<number>, pagination: Pagination }} - The IDs and pagination details.
+ */
+export function toPage (rows, total, listOptions) {
+  const { page, pageSize, sort } = listOptions
+  const pageRows = rows.slice(0, pageSize)
+  const lastRow = pageRows[pageRows.length - 1]
+  const nextCursor =
+    rows.length > pageSize
+      ? encodeCursor(
+        sort,
+        Object.keys(lastRow)
+          .filter((key) => key.startsWith('sort_'))
+          .map((key) => lastRow[key])
+      )
+      : null
+  return {
+    ids: pageRows.map(({ id }) => id),
+    pagination: {
+      page,
+      pageSize,
+      total: Number(total),
+      totalPages: Math.ceil(Number(total) / pageSize),
+      nextCursor
+    }
+  }
+}
+
+/**
+ * Orders records to follow a list of IDs, dropping IDs that were not found.
+ * @template T
+ * @param {T[]} records - The records, each with an `id`.
+ * @param {Array<number>} ids - The IDs in the desired order.
+ * @returns {T[]} - The ordered records.
+ */
+export function orderByIds (records, ids) {
+  const recordsById = new Map(records.map((record) => [record.id, record]))
+  return ids.map((id) => recordsById.get(id)).filter(Boolean)
+}
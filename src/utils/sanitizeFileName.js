@@ -0,0 +1,15 @@
+/**
+ * Builds a safe file name (without extension) from an arbitrary name.
+ * Accents are removed and any character other than letters, digits, '-' or '_' is replaced with '_'.
+ * @param {string} name - The name to sanitize.
+ * @param {string} [fallback='archivo'] - The name to use if nothing remains after sanitizing.
+ * @returns {string} - The sanitized file name.
+ */
+export default function sanitizeFileName (name, fallback = 'archivo') {
+  const sanitized = String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9-_]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+  return sanitized || fallback
+}
@@ -0,0 +1,144 @@
+/**
+ * Text helpers for the global search: accent folding, query parsing and highlighted snippets.
+ */
+
+/**
+ * Spanish words too common to help ranking; they are dropped from search queries.
+ */
+const SPANISH_STOPWORDS = new Set([
+  'a', 'al', 'con', 'de', 'del', 'el', 'en', 'es', 'la', 'las', 'lo', 'los',
+  'o', 'para', 'por', 'que', 'se', 'su', 'sus', 'un', 'una', 'y'
+])
+
+/**
+ * Shortest term sent to MySQL. Shorter words are not indexed by InnoDB FULLTEXT
+ * (innodb_ft_min_token_size defaults to 3), so requiring them would match nothing.
+ */
+const MIN_TERM_LENGTH = 3
+
+/**
+ * Largest number of terms taken from a query.
+ */
+const MAX_TERMS = 10
+
+/**
+ * Number of characters of text shown around the first match of a snippet.
+ */
+const SNIPPET_LENGTH = 200
+
+/**
+ * Removes accents and lowercases a text, keeping one character per input character
+ * so positions in the folded text map to the original text.
+ * @param {string} text - The text to fold.
+ * @returns {string} - The folded text.
+ */
+export function foldAccents (text) {
+  return Array.from(String(text ?? ''), (char) => {
+    const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    return folded.length === char.length ? folded : char
+  }).join('')
+}
+
+/**
+ * Extracts the search terms of a query: accent-folded, lowercase words without
+ * stopwords, duplicates, boolean operators or words shorter than MIN_TERM_LENGTH.
+ * @param {string} query - The query as typed by the user.
+ * @returns {string[]} - The search terms.
+ */
+export function extractSearchTerms (query) {
+  const words = foldAccents(query)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= MIN_TERM_LENGTH && !SPANISH_STOPWORDS.has(word))
+  return [...new Set(words)].slice(0, MAX_TERMS)
+}
+
+/**
+ * Builds a MySQL boolean mode query that requires every term, each as a prefix
+ * so 'obligaci' also matches 'obligaciones'.
+ * @param {string[]} terms - The search terms.
+ * @returns {string} - The boolean mode query.
+ */
+export function toBooleanQuery (terms) {
+  return terms.map((term) => `+${term}*`).join(' ')
+}
+
+/**
+ * Escapes the HTML special characters of a text.
+ * @param {string} text - The text to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml (text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+/**
+ * Finds the ranges of the words that start with one of the terms, ignoring accents and case.
+ * @param {string} text - The text to search.
+ * @param {string[]} terms - The search terms.
+ * @returns {Array<[number, number]>} - The sorted [start, end) ranges of the matched words.
+ */
+function findMatches (text, terms) {
+  const folded = foldAccents(text)
+  const ranges = []
+  const wordPattern = /[\p{L}\p{N}]+/gu
+  for (const { 0: word, index } of folded.matchAll(wordPattern)) {
+    if (terms.some((term) => word.startsWith(term))) {
+      ranges.push([index, index + word.length])
+    }
+  }
+  return ranges
+}
+
+/**
+ * Checks whether a text contains a word that starts with one of the terms, ignoring accents and case.
+ * @param {string|null} text - The text to check.
+ * @param {string[]} terms - The search terms.
+ * @returns {boolean} - True if the text matches.
+ */
+export function hasMatch (text, terms) {
+  return Boolean(text) && findMatches(text, terms).length > 0
+}
+
+/**
+ * Builds an HTML snippet of a text around its first match, with every matched word
+ * wrapped in <mark>. The rest of the text is HTML-escaped. If the text has no matches,
+ * the snippet shows its beginning.
+ * @param {string} text - The text to build the snippet from.
+ * @param {string[]} terms - The search terms.
+ * @param {number} [length=SNIPPET_LENGTH] - The approximate length of the snippet, or Infinity for the whole text.
+ * @returns {string} - The highlighted snippet.
+ */
+export function buildSnippet (text, terms, length = SNIPPET_LENGTH) {
+  const source = String(text ?? '').replace(/\s+/g, ' ').trim()
+  const ranges = findMatches(source, terms)
+  let start = 0
+  let end = source.length
+  if (source.length > length) {
+    const anchor = ranges.length > 0 ? ranges[0][0] : 0
+    start = Math.max(0, Math.min(anchor - Math.floor(length / 4), source.length - length))
+    end = start + length
+    if (start > 0) {
+      const space = source.indexOf(' ', start)
+      if (space !== -1 && space < anchor) start = space + 1
+    }
+    if (end < source.length) {
+      const space = source.lastIndexOf(' ', end)
+      if (space > anchor) end = space
+    }
+  }
+
+  let snippet = start > 0 ? '…' : ''
+  let position = start
+  for (const [matchStart, matchEnd] of ranges) {
+    if (matchEnd <= start || matchStart >= end) continue
+    snippet += escapeHtml(source.slice(position, Math.max(position, matchStart)))
+    snippet += `<mark>${escapeHtml(source.slice(Math.max(position, matchStart), matchEnd))}</mark>`
+    position = matchEnd
+  }
+  snippet += escapeHtml(source.slice(position, end))
+  return end < source.length ? `${snippet}…` : snippet
+}
@@ -0,0 +1,144 @@
+import crypto from 'crypto'
+
+/**
+ * RFC 4648 base32 alphabet, used by authenticator apps to exchange secrets.
+ */
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+/**
+ * Length of each time step in seconds.
+ */
+export const TOTP_PERIOD = 30
+
+/**
+ * Number of digits of each code.
+ */
+const TOTP_DIGITS = 6
+
+/**
+ * Encodes a buffer as an unpadded base32 string.
+ * @param {Buffer} buffer - The bytes to encode.
+ * @returns {string} - The base32 string.
+ */
+function base32Encode (buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+/**
+ * Decodes a base32 string, ignoring padding, spaces and case.
+ * @param {string} input - The base32 string.
+ * @returns {Buffer} - The decoded bytes.
+ */
+function base32Decode (input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '')
+  let bits = 0
+  let value = 0
+  const bytes = []
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error('Invalid base32 character')
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+/**
+ * Generates a random TOTP secret.
+ * @returns {string} - The base32 encoded secret.
+ */
+export function generateTotpSecret () {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+/**
+ * Returns the time step (counter) of a given time.
+ * @param {number} [timestamp=Date.now()] - The time in milliseconds.
+ * @returns {number} - The number of periods elapsed since the Unix epoch.
+ */
+export function getTotpCounter (timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD)
+}
+
+/**
+ * Generates the TOTP code (RFC 6238, HMAC-SHA1) of a secret for a given time.
+ * @param {string} secret - The base32 encoded secret.
+ * @param {number} [timestamp=Date.now()] - The time in milliseconds.
+ * @returns {string} - The zero-padded code.
+ */
+export function generateTotp (secret, timestamp = Date.now()) {
+  const counter = getTotpCounter(timestamp)
+  const counterBuffer = Buffer.alloc(8)
+  counterBuffer.writeBigUInt64BE(BigInt(counter))
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBuffer)
+    .digest()
+  const offset = hmac[hmac.length - 1] & 15
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0')
+}
+
+/**
+ * Finds the time step of a TOTP code, accepting the adjacent time steps to tolerate clock drift.
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} code - The code to verify.
+ * @param {number} [window=1] - The number of time steps accepted before and after the current one.
+ * @returns {number|null} - The counter of the matching time step, or null if the code is invalid.
+ */
+export function findTotpCounter (secret, code, window = 1) {
+  const normalizedCode = String(code).replace(/\s/g, '')
+  if (!/^\d+$/.test(normalizedCode) || normalizedCode.length !== TOTP_DIGITS) {
+    return null
+  }
+  const now = Date.now()
+  for (let step = -window; step <= window; step++) {
+    const timestamp = now + step * TOTP_PERIOD * 1000
+    const expected = generateTotp(secret, timestamp)
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))
+    ) {
+      return getTotpCounter(timestamp)
+    }
+  }
+  return null
+}
+
+/**
+ * Builds the otpauth:// URI used by authenticator apps to enroll a secret.
+ * @param {string} secret - The base32 encoded secret.
+ * @param {string} accountName - The account name shown in the app.
+ * @param {string} issuer - The issuer shown in the app.
+ * @returns {string} - The otpauth URI.
+ */
+export function buildOtpauthUrl (secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  })
+  return `otpauth://totp/${label}?${params.toString()}`
+}
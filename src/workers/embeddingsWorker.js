@@ -0,0 +1,39 @@
+import embeddingsQueue from '../queues/embeddingsQueue.js'
+import EmbeddingsService from '../services/embeddings/Embeddings.service.js'
+import HttpException from '../services/errors/HttpException.js'
+
+/**
+ * @typedef {Object} EmbeddingsJobData
+ * @property {Array<number>} [articleIds] - IDs of the created or updated articles to embed.
+ * @property {Array<number>} [requirementIds] - IDs of the created or updated requirements to embed.
+ * @property {boolean} [backfill] - Whether to embed every article and requirement pending one instead.
+ */
+
+/**
+ * Worker for processing embedding jobs.
+ * Embeds the articles and requirements of the job whose embedding is missing or out of date;
+ * failed jobs are retried by the queue, and texts left pending are embedded by their next update
+ * or the next backfill. A backfill job embeds every pending article and requirement.
+ *
+ * @param {import('bull').Job} job
+ * @param {import('bull').ProcessCallbackFunction} done
+ */
+embeddingsQueue.process(async (job, done) => {
+  /** @type {EmbeddingsJobData} */
+  const { articleIds, requirementIds, backfill } = job.data
+  try {
+    if (backfill) {
+      const embedded = await EmbeddingsService.backfill()
+      return done(null, embedded)
+    }
+    await EmbeddingsService.refresh({ articleIds, requirementIds })
+    done()
+  } catch (error) {
+    if (error instanceof HttpException) {
+      return done(error)
+    }
+    return done(new HttpException(500, 'Unexpected error computing embeddings'))
+  }
+})
+
+export default embeddingsQueue
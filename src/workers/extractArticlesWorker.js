@@ -4,6 +4,7 @@ import HttpException from '../services/errors/HttpException.js'
 import DocumentService from '../services/files/Document.service.js'
 import LegalBasisRepository from '../repositories/LegalBasis.repository.js'
 import ArticlesService from '../services/articles/Articles.service.js'
+import LegalBasisAmendmentsService from '../services/legalBasis/legalBasisAmendments/LegalBasisAmendments.service.js'
 import UserRepository from '../repositories/User.repository.js'
 import EmailService from '../services/email/Email.service.js'
 import { CONCURRENCY_EXTRACT_ARTICLES } from '../config/variables.config.js'
@@ -15,6 +16,9 @@ import emailQueue from './emailWorker.js'
  * @property {number} userId - ID of the user who initiated the extraction.
  * @property {number} legalBasisId - ID of the legal basis to extract articles from.
  * @property {'High'|'Low'} [intelligenceLevel] - Optional intelligence level to choose AI model.
+ * @property {Object} [document] - The uploaded document, when the job was queued with it.
+ * @property {string} document.mimeType - The MIME type of the document, which is read from S3
+ * through the key stored in the legal basis.
  */
 
 const CONCURRENCY = Number(CONCURRENCY_EXTRACT_ARTICLES || 1)
@@ -24,8 +28,8 @@ const CONCURRENCY = Number(CONCURRENCY_EXTRACT_ARTICLES || 1)
  * Steps:
  * 1. Validates job and dependencies.
  * 2. Downloads and parses document.
- * 3. Extracts articles.
- * 4. Inserts into DB.
+ * 3. Extracts articles, and the amendments of reform decrees.
+ * 4. Inserts into DB; amendments are stored for review.
  * 5. Notifies user of success or failure.
  *
  * @param {import('bull').Job<import('bull').Job>} job
@@ -33,15 +37,16 @@ const CONCURRENCY = Number(CONCURRENCY_EXTRACT_ARTICLES || 1)
  */
 extractArticlesQueue.process(CONCURRENCY, async (job, done) => {
   /** @type {ArticleExtractorJobData} */
-  const { userId, legalBasisId, intelligenceLevel } = job.data
+  const { userId, legalBasisId, intelligenceLevel, document } = job.data
   try {
     const currentJob = await extractArticlesQueue.getJob(job.id)
     if (!currentJob) throw new HttpException(404, 'Job not found')
     if (await currentJob.isFailed()) { throw new HttpException(500, 'Job was canceled') }
     const legalBase = await LegalBasisRepository.findById(legalBasisId)
     if (!legalBase) throw new HttpException(404, 'LegalBasis not found')
-    const { error, success, text } = await DocumentService.extractText(
-      legalBase.url
+    const { error, success, text, lines } = await DocumentService.extractText(
+      legalBase.url,
+      { mimeType: document?.mimeType }
     )
     if (!success) throw new HttpException(500, 'Document Processing Error', error)
     const model = getTextModel(intelligenceLevel)
@@ -50,19 +55,25 @@ extractArticlesQueue.process(CONCURRENCY, async (job, done) => {
       legalBase.legal_name,
       text,
       model,
-      currentJob
+      currentJob,
+      lines.map(({ page }) => page)
     )
     if (!extractor) throw new HttpException(400, 'Invalid Classification')
     const extractedArticles = await extractor.extractArticles()
     if (!extractedArticles || extractedArticles.length === 0) {
       throw new HttpException(500, 'Article Processing Error')
     }
+    const amendments = await extractor.extractAmendments()
     if (await currentJob.isFailed()) { throw new HttpException(500, 'Job was canceled') }
     const insertionSuccess = await ArticlesService.createMany(
+      userId,
       legalBase.id,
       extractedArticles
     )
     if (!insertionSuccess) { throw new HttpException(500, 'Failed to insert articles') }
+    if (amendments.length > 0) {
+      await LegalBasisAmendmentsService.replacePending(legalBase.id, amendments)
+    }
     try {
       const user = await UserRepository.findById(userId)
       if (user) {
@@ -0,0 +1,82 @@
+import reqIdentificationReportQueue from '../queues/reqIdentificationReportQueue.js'
+import ReqIdentificationRepository from '../repositories/ReqIdentification.repository.js'
+import UserRepository from '../repositories/User.repository.js'
+import ReqIdentificationReportService from '../services/reqIdentification/reqIdentificationReport/ReqIdentificationReport.service.js'
+import FileService from '../services/files/File.service.js'
+import EmailService from '../services/email/Email.service.js'
+import HttpException from '../services/errors/HttpException.js'
+import emailQueue from './emailWorker.js'
+
+/**
+ * @typedef {Object} ReqIdentificationReportJobData
+ * @property {number} userId - ID of the user who requested the report.
+ * @property {number} reqIdentificationId - ID of the requirement identification to report.
+ */
+
+/**
+ * Worker for processing requirement identification report jobs.
+ * Steps:
+ * 1. Generates the PDF report.
+ * 2. Uploads it to storage.
+ * 3. Emails the user a download link, or the failure reason.
+ *
+ * @param {import('bull').Job} job
+ * @param {import('bull').ProcessCallbackFunction} done
+ */
+reqIdentificationReportQueue.process(async (job, done) => {
+  /** @type {ReqIdentificationReportJobData} */
+  const { userId, reqIdentificationId } = job.data
+  try {
+    const { buffer, contentType, fileName } =
+      await ReqIdentificationReportService.generateReport(reqIdentificationId)
+    await job.progress(50)
+    const { uniqueFileName } = await FileService.uploadFile({
+      buffer,
+      originalname: fileName,
+      mimetype: contentType
+    })
+    const downloadUrl = await FileService.getFile(uniqueFileName)
+    await job.progress(100)
+    try {
+      const user = await UserRepository.findById(userId)
+      const reqIdentification = await ReqIdentificationRepository.findById(
+        reqIdentificationId
+      )
+      if (user && reqIdentification) {
+        const emailData = EmailService.generateReqIdentificationReportEmail(
+          user.gmail,
+          reqIdentification.name,
+          downloadUrl
+        )
+        await emailQueue.add(emailData)
+      }
+    } catch (notifyErr) {
+      console.error('Error sending report success email:', notifyErr)
+    }
+    done(null, { fileKey: uniqueFileName })
+  } catch (error) {
+    try {
+      const user = await UserRepository.findById(userId)
+      const reqIdentification = await ReqIdentificationRepository.findById(
+        reqIdentificationId
+      )
+      if (user && reqIdentification) {
+        const emailData =
+          EmailService.generateReqIdentificationReportFailureEmail(
+            user.gmail,
+            reqIdentification.name,
+            error.message
+          )
+        await emailQueue.add(emailData)
+      }
+    } catch (notifyError) {
+      console.error('Error sending report failure email:', notifyError)
+    }
+    if (error instanceof HttpException) return done(error)
+    return done(
+      new HttpException(500, 'Unexpected error during report generation')
+    )
+  }
+})
+
+export default reqIdentificationReportQueue
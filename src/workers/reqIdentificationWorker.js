@@ -1,30 +1,70 @@
 import reqIdentificationQueue from '../queues/reqIdentificationQueue.js'
 import ArticlesRepository from '../repositories/Articles.repository.js'
 import ReqIdentificationRepository from '../repositories/ReqIdentification.repository.js'
+import LegalVerbsRepository from '../repositories/LegalVerbs.repository.js'
+import ReqIdentifierService from '../services/reqIdentification/reqIdentifier/ReqIdentifier.service.js'
+import LegalVerbsIdentifierService from '../services/reqIdentification/legalVerbsIdentifier/LegalVerbsIdentifier.service.js'
 import HttpException from '../services/errors/HttpException.js'
 import { CONCURRENCY_REQ_IDENTIFICATIONS } from '../config/variables.config.js'
+import { getTextModel } from '../config/openapi.config.js'
 
 /**
  * @typedef {Object} ReqIdentificationJobData
  * @property {number} reqIdentificationId
  * @property {import('../models/LegalBasis.model.js').default[]} legalBases
  * @property {import('../models/Requirement.model.js').default[]} requirements
- * @property {string} intelligenceLevel
+ * @property {'High'|'Low'} intelligenceLevel
+ * @property {{ requirementId: number, legalBasisId: number }[]} [pairs] - Optional requirement/legal basis pairs to restrict the identification to.
  */
 
 const CONCURRENCY = Number(CONCURRENCY_REQ_IDENTIFICATIONS || 1)
 
+/**
+ * Builds a key of the set of articles linked to a requirement, so two sets can be compared.
+ * @param {import('../models/Article.model.js').default[]|null} articles - The linked articles.
+ * @returns {string} - The sorted article IDs.
+ */
+const articleSetKey = (articles) =>
+  (articles || [])
+    .map(({ id }) => id)
+    .sort((a, b) => a - b)
+    .join(',')
+
 /**
  * Worker for processing requirement identification jobs.
+ * Every evaluated article is recorded, relevant or not, once its links are written, so a
+ * retried job resumes from the articles it had not evaluated yet without losing any link.
+ * Legal verbs are identified again only for requirements without any, or whose linked
+ * articles changed during the job; re-runs of `pairs` only visit the requirements they name.
  */
 reqIdentificationQueue.process(CONCURRENCY, async (job, done) => {
   /** @type {ReqIdentificationJobData} */
-  const { reqIdentificationId, legalBases, requirements } = job.data
+  const { reqIdentificationId, legalBases, intelligenceLevel, pairs } = job.data
   console.log('Processing requirement identification job:', job.id)
 
   try {
     const currentJob = await reqIdentificationQueue.getJob(job.id)
     if (!currentJob) throw new HttpException(404, 'Job not found')
+    if (await currentJob.isFailed()) {
+      throw new HttpException(500, 'Job was canceled')
+    }
+    const isSelectedPair = (requirementId, legalBasisId) =>
+      !pairs ||
+      pairs.some(
+        (pair) =>
+          pair.requirementId === requirementId &&
+          pair.legalBasisId === legalBasisId
+      )
+    const excludedRequirementIds = new Set(
+      await ReqIdentificationRepository.findExcludedRequirementIds(
+        reqIdentificationId
+      )
+    )
+    const requirements = job.data.requirements.filter(
+      (requirement) => !excludedRequirementIds.has(requirement.id)
+    )
+    const model = getTextModel(intelligenceLevel)
+    const legalVerbs = (await LegalVerbsRepository.findAll()) || []
 
     let totalTasks = 0
     for (const requirement of requirements) {
@@ -35,10 +75,11 @@ reqIdentificationQueue.process(CONCURRENCY, async (job, done) => {
             lb.aspects.some(
               (lbAspect) => lbAspect.aspect_id === reqAspect.aspect_id
             )
-          )
+          ) &&
+          isSelectedPair(requirement.id, lb.id)
       )
       for (const legalBase of legalBasis) {
-        const articles = await ArticlesRepository.findByLegalBasisId(
+        const articles = await ArticlesRepository.findNormativeByLegalBasisId(
           legalBase.id
         )
         if (articles) {
@@ -62,7 +103,8 @@ reqIdentificationQueue.process(CONCURRENCY, async (job, done) => {
             lb.aspects.some(
               (lbAspect) => lbAspect.aspect_id === reqAspect.aspect_id
             )
-          )
+          ) &&
+          isSelectedPair(requirement.id, lb.id)
       )
 
       if (legalBasis.length === 0) continue
@@ -111,6 +153,12 @@ reqIdentificationQueue.process(CONCURRENCY, async (job, done) => {
         )
       }
 
+      const previousArticles =
+        await ReqIdentificationRepository.findArticlesByRequirement(
+          reqIdentificationId,
+          requirement.id
+        )
+
       for (const legalBase of legalBasis) {
         const existsLegalBasis =
           await ReqIdentificationRepository.existsLegalBaseRequirementLink(
@@ -126,12 +174,31 @@ reqIdentificationQueue.process(CONCURRENCY, async (job, done) => {
           )
         }
 
-        const articles = await ArticlesRepository.findByLegalBasisId(
+        const articles = await ArticlesRepository.findNormativeByLegalBasisId(
           legalBase.id
         )
 
         if (articles) {
+          const subunits = await ArticlesRepository.findSubunitsByArticleIds(
+            articles.map(({ id }) => id)
+          )
+          const evaluatedArticleIds =
+            await ReqIdentificationRepository.findEvaluatedArticleIds(
+              reqIdentificationId,
+              requirement.id,
+              legalBase.id
+            )
           for (const article of articles) {
+            if (await currentJob.isFailed()) {
+              throw new HttpException(500, 'Job was canceled')
+            }
+            if (evaluatedArticleIds.has(article.id)) {
+              completedTasks += 1
+              await currentJob.progress(
+                Math.floor((completedTasks / totalTasks) * 100)
+              )
+              continue
+            }
             const existsArticle =
               await ReqIdentificationRepository.existsArticleLegalBaseRequirementLink(
                 reqIdentificationId,
@@ -139,12 +206,46 @@ reqIdentificationQueue.process(CONCURRENCY, async (job, done) => {
                 legalBase.id,
                 article.id
               )
-            if (!existsArticle) {
-              await ReqIdentificationRepository.linkArticleToLegalBaseToRequirement(
+            const isExcluded =
+              !existsArticle &&
+              (await ReqIdentificationRepository.isArticleExcluded(
                 reqIdentificationId,
                 requirement.id,
                 legalBase.id,
                 article.id
+              ))
+            if (!existsArticle && !isExcluded) {
+              const reqIdentifier = new ReqIdentifierService(
+                article,
+                requirement,
+                model,
+                currentJob,
+                subunits.filter((subunit) => subunit.article_id === article.id)
+              )
+              const { isRelevant, articleType, subunitIds = [] } =
+                await reqIdentifier.identifyRequirements()
+              if (isRelevant) {
+                await ReqIdentificationRepository.linkArticleToLegalBaseToRequirement(
+                  reqIdentificationId,
+                  requirement.id,
+                  legalBase.id,
+                  article.id,
+                  articleType
+                )
+                await ReqIdentificationRepository.linkArticleSubunits(
+                  reqIdentificationId,
+                  requirement.id,
+                  legalBase.id,
+                  article.id,
+                  subunitIds
+                )
+              }
+              await ReqIdentificationRepository.recordArticleEvaluation(
+                reqIdentificationId,
+                requirement.id,
+                legalBase.id,
+                article.id,
+                isRelevant
               )
             }
 
@@ -154,6 +255,60 @@ reqIdentificationQueue.process(CONCURRENCY, async (job, done) => {
             )
           }
         }
+
+        if (pairs) {
+          await ReqIdentificationRepository.clearOutdatedLegalBasis(
+            reqIdentificationId,
+            requirement.id,
+            legalBase.id
+          )
+        }
+      }
+
+      const linkedArticles =
+        await ReqIdentificationRepository.findArticlesByRequirement(
+          reqIdentificationId,
+          requirement.id
+        )
+      const hasLegalVerbs =
+        (await ReqIdentificationRepository.findLegalVerbsByRequirement(
+          reqIdentificationId,
+          requirement.id
+        )) !== null
+      const articlesChanged =
+        articleSetKey(linkedArticles) !== articleSetKey(previousArticles)
+      if (hasLegalVerbs && articlesChanged) {
+        await ReqIdentificationRepository.unlinkLegalVerbsFromRequirement(
+          reqIdentificationId,
+          requirement.id
+        )
+      }
+      if (linkedArticles && (!hasLegalVerbs || articlesChanged)) {
+        const legalVerbsIdentifier = new LegalVerbsIdentifierService(
+          linkedArticles,
+          requirement,
+          legalVerbs,
+          model,
+          currentJob
+        )
+        const identifiedLegalVerbs =
+          await legalVerbsIdentifier.identifyLegalVerbs()
+        for (const { legalVerbId, translation } of identifiedLegalVerbs) {
+          const existsLegalVerb =
+            await ReqIdentificationRepository.existsLegalVerbRequirementLink(
+              reqIdentificationId,
+              requirement.id,
+              legalVerbId
+            )
+          if (!existsLegalVerb) {
+            await ReqIdentificationRepository.linkLegalVerbToRequirement(
+              reqIdentificationId,
+              requirement.id,
+              legalVerbId,
+              translation
+            )
+          }
+        }
       }
     }
 
@@ -167,4 +322,34 @@ reqIdentificationQueue.process(CONCURRENCY, async (job, done) => {
   }
 })
 
+/**
+ * Marks the requirement identification as completed when its job finishes.
+ * @param {import('bull').Job} job - The completed job.
+ */
+reqIdentificationQueue.on('completed', async (job) => {
+  try {
+    await ReqIdentificationRepository.markAsCompleted(
+      job.data.reqIdentificationId
+    )
+  } catch (error) {
+    console.error('Error marking requirement identification as completed:', error)
+  }
+})
+
+/**
+ * Marks the requirement identification as failed when its job fails, recording the reason.
+ * @param {import('bull').Job} job - The failed job.
+ * @param {Error} error - The error that made the job fail.
+ */
+reqIdentificationQueue.on('failed', async (job, error) => {
+  try {
+    await ReqIdentificationRepository.markAsFailed(
+      job.data.reqIdentificationId,
+      error?.message || job.failedReason
+    )
+  } catch (markError) {
+    console.error('Error marking requirement identification as failed:', markError)
+  }
+})
+
 export default reqIdentificationQueue